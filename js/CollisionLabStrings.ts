@@ -25,6 +25,8 @@ type StringsType = {
     'explore2DStringProperty': LocalizedStringProperty;
     'inelastic': string;
     'inelasticStringProperty': LocalizedStringProperty;
+    'idealGas': string;
+    'idealGasStringProperty': LocalizedStringProperty;
   };
   'pattern': {
     'range': string;
@@ -43,6 +45,8 @@ type StringsType = {
     'labelEqualsValueSpaceUnitsStringProperty': LocalizedStringProperty;
     'vectorSymbolEqualsValueSpaceUnits': string;
     'vectorSymbolEqualsValueSpaceUnitsStringProperty': LocalizedStringProperty;
+    'ballAndBall': string;
+    'ballAndBallStringProperty': LocalizedStringProperty;
   };
   'units': {
     'kilograms': string;
@@ -59,6 +63,24 @@ type StringsType = {
     'percentStringProperty': LocalizedStringProperty;
     'joules': string;
     'joulesStringProperty': LocalizedStringProperty;
+    'metersPerSecondSquared': string;
+    'metersPerSecondSquaredStringProperty': LocalizedStringProperty;
+    'degrees': string;
+    'degreesStringProperty': LocalizedStringProperty;
+    'newtonsPerMeter': string;
+    'newtonsPerMeterStringProperty': LocalizedStringProperty;
+    'newtonMetersSquaredPerKilogramSquared': string;
+    'newtonMetersSquaredPerKilogramSquaredStringProperty': LocalizedStringProperty;
+    'coulombs': string;
+    'coulombsStringProperty': LocalizedStringProperty;
+    'teslas': string;
+    'teslasStringProperty': LocalizedStringProperty;
+    'metersSquared': string;
+    'metersSquaredStringProperty': LocalizedStringProperty;
+    'kelvins': string;
+    'kelvinsStringProperty': LocalizedStringProperty;
+    'watts': string;
+    'wattsStringProperty': LocalizedStringProperty;
   };
   'symbol': {
     'x': string;
@@ -69,6 +91,20 @@ type StringsType = {
     'momentumStringProperty': LocalizedStringProperty;
     'velocity': string;
     'velocityStringProperty': LocalizedStringProperty;
+    'time': string;
+    'timeStringProperty': LocalizedStringProperty;
+    'energy': string;
+    'energyStringProperty': LocalizedStringProperty;
+    'mass': string;
+    'massStringProperty': LocalizedStringProperty;
+    'pressure': string;
+    'pressureStringProperty': LocalizedStringProperty;
+    'area': string;
+    'areaStringProperty': LocalizedStringProperty;
+    'temperature': string;
+    'temperatureStringProperty': LocalizedStringProperty;
+    'numberOfBalls': string;
+    'numberOfBallsStringProperty': LocalizedStringProperty;
   };
   'mass': string;
   'massStringProperty': LocalizedStringProperty;
@@ -88,12 +124,44 @@ type StringsType = {
   'inelasticStringProperty': LocalizedStringProperty;
   'elastic': string;
   'elasticStringProperty': LocalizedStringProperty;
+  'elasticityByPair': string;
+  'elasticityByPairStringProperty': LocalizedStringProperty;
+  'border': string;
+  'borderStringProperty': LocalizedStringProperty;
+  'material': string;
+  'materialStringProperty': LocalizedStringProperty;
+  'steel': string;
+  'steelStringProperty': LocalizedStringProperty;
+  'rubber': string;
+  'rubberStringProperty': LocalizedStringProperty;
+  'wood': string;
+  'woodStringProperty': LocalizedStringProperty;
+  'clay': string;
+  'clayStringProperty': LocalizedStringProperty;
   'values': string;
   'valuesStringProperty': LocalizedStringProperty;
   'momentaDiagram': string;
   'momentaDiagramStringProperty': LocalizedStringProperty;
   'reflectingBorder': string;
   'reflectingBorderStringProperty': LocalizedStringProperty;
+  'tableFriction': string;
+  'tableFrictionStringProperty': LocalizedStringProperty;
+  'drag': string;
+  'dragStringProperty': LocalizedStringProperty;
+  'contactFriction': string;
+  'contactFrictionStringProperty': LocalizedStringProperty;
+  'gravity': string;
+  'gravityStringProperty': LocalizedStringProperty;
+  'strength': string;
+  'strengthStringProperty': LocalizedStringProperty;
+  'direction': string;
+  'directionStringProperty': LocalizedStringProperty;
+  'pegs': string;
+  'pegsStringProperty': LocalizedStringProperty;
+  'drawWalls': string;
+  'drawWallsStringProperty': LocalizedStringProperty;
+  'periodicBorder': string;
+  'periodicBorderStringProperty': LocalizedStringProperty;
   'kineticEnergy': string;
   'kineticEnergyStringProperty': LocalizedStringProperty;
   'centerOfMass': string;
@@ -104,6 +172,72 @@ type StringsType = {
   'stickStringProperty': LocalizedStringProperty;
   'slip': string;
   'slipStringProperty': LocalizedStringProperty;
+  'stickyCollisions': string;
+  'stickyCollisionsStringProperty': LocalizedStringProperty;
+  'breakableBonds': string;
+  'breakableBondsStringProperty': LocalizedStringProperty;
+  'bondStrength': string;
+  'bondStrengthStringProperty': LocalizedStringProperty;
+  'explosion': string;
+  'explosionStringProperty': LocalizedStringProperty;
+  'springBond': string;
+  'springBondStringProperty': LocalizedStringProperty;
+  'stiffness': string;
+  'stiffnessStringProperty': LocalizedStringProperty;
+  'restLength': string;
+  'restLengthStringProperty': LocalizedStringProperty;
+  'bondedBalls': string;
+  'bondedBallsStringProperty': LocalizedStringProperty;
+  'mutualGravity': string;
+  'mutualGravityStringProperty': LocalizedStringProperty;
+  'charges': string;
+  'chargesStringProperty': LocalizedStringProperty;
+  'charge': string;
+  'chargeStringProperty': LocalizedStringProperty;
+  'scatteringAngle': string;
+  'scatteringAngleStringProperty': LocalizedStringProperty;
+  'measured': string;
+  'measuredStringProperty': LocalizedStringProperty;
+  'rutherford': string;
+  'rutherfordStringProperty': LocalizedStringProperty;
+  'impactParameter': string;
+  'impactParameterStringProperty': LocalizedStringProperty;
+  'magneticField': string;
+  'magneticFieldStringProperty': LocalizedStringProperty;
+  'idealGas': string;
+  'idealGasStringProperty': LocalizedStringProperty;
+  'speedDistribution': string;
+  'speedDistributionStringProperty': LocalizedStringProperty;
+  'speed': string;
+  'speedStringProperty': LocalizedStringProperty;
+  'timeAverage': string;
+  'timeAverageStringProperty': LocalizedStringProperty;
+  'maxwellBoltzmann': string;
+  'maxwellBoltzmannStringProperty': LocalizedStringProperty;
+  'thermalWalls': string;
+  'thermalWallsStringProperty': LocalizedStringProperty;
+  'leftWall': string;
+  'leftWallStringProperty': LocalizedStringProperty;
+  'rightWall': string;
+  'rightWallStringProperty': LocalizedStringProperty;
+  'heatFlow': string;
+  'heatFlowStringProperty': LocalizedStringProperty;
+  'piston': string;
+  'pistonStringProperty': LocalizedStringProperty;
+  'oscillate': string;
+  'oscillateStringProperty': LocalizedStringProperty;
+  'pistonSpeed': string;
+  'pistonSpeedStringProperty': LocalizedStringProperty;
+  'work': string;
+  'workStringProperty': LocalizedStringProperty;
+  'brownianMotion': string;
+  'brownianMotionStringProperty': LocalizedStringProperty;
+  'meanSquaredDisplacement': string;
+  'meanSquaredDisplacementStringProperty': LocalizedStringProperty;
+  'msd': string;
+  'msdStringProperty': LocalizedStringProperty;
+  'lagTime': string;
+  'lagTimeStringProperty': LocalizedStringProperty;
   'moreData': string;
   'moreDataStringProperty': LocalizedStringProperty;
   'balls': string;
@@ -120,6 +254,10 @@ type StringsType = {
   'inelasticCollisionStringProperty': LocalizedStringProperty;
   'approximatePattern': string;
   'approximatePatternStringProperty': LocalizedStringProperty;
+  'inelasticCollapse': string;
+  'inelasticCollapseStringProperty': LocalizedStringProperty;
+  'manyBalls': string;
+  'manyBallsStringProperty': LocalizedStringProperty;
 };
 
 const CollisionLabStrings = getStringModule( 'COLLISION_LAB' ) as StringsType;
@@ -12,6 +12,7 @@ import Tandem from '../../tandem/js/Tandem.js';
 import CollisionLabStrings from './CollisionLabStrings.js';
 import Explore1DScreen from './explore1D/Explore1DScreen.js';
 import Explore2DScreen from './explore2D/Explore2DScreen.js';
+import IdealGasScreen from './idealGas/IdealGasScreen.js';
 import InelasticScreen from './inelastic/InelasticScreen.js';
 import IntroScreen from './intro/IntroScreen.js';
 
@@ -33,7 +34,8 @@ simLauncher.launch( () => {
     new IntroScreen( Tandem.ROOT.createTandem( 'introScreen' ) ),
     new Explore1DScreen( Tandem.ROOT.createTandem( 'explore1DScreen' ) ),
     new Explore2DScreen( Tandem.ROOT.createTandem( 'explore2DScreen' ) ),
-    new InelasticScreen( Tandem.ROOT.createTandem( 'inelasticScreen' ) )
+    new InelasticScreen( Tandem.ROOT.createTandem( 'inelasticScreen' ) ),
+    new IdealGasScreen( Tandem.ROOT.createTandem( 'idealGasScreen' ) )
   ], simOptions );
 
   sim.start();
@@ -0,0 +1,39 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Unit tests for collision-lab.
+ *
+ * @author agent
+ */
+
+import qunitStart from '../../chipper/js/browser/sim-tests/qunitStart.js';
+import './common/model/BallMaterialTests.js';
+import './common/model/BallSystemTests.js';
+import './common/model/BallTests.js';
+import './common/model/BondedBallPairTests.js';
+import './common/model/BroadPhaseTests.js';
+import './common/model/CollisionQueueTests.js';
+import './common/model/GyratingBallTests.js';
+import './common/model/InverseSquareBallGroupTests.js';
+import './common/model/PegTests.js';
+import './common/model/PlayAreaTests.js';
+import './common/model/RestitutionMatrixTests.js';
+import './common/model/RotatingBallClusterTests.js';
+import './common/model/TableFrictionTests.js';
+import './common/model/UniformGravityTests.js';
+import './common/model/WallTests.js';
+import './explore1D/model/Explore1DCollisionEngineTests.js';
+import './explore1D/model/Explore1DModelTests.js';
+import './explore2D/model/Explore2DCollisionEngineTests.js';
+import './explore2D/model/Explore2DModelTests.js';
+import './explore2D/model/RutherfordScatteringTests.js';
+import './idealGas/model/GasGaugeTests.js';
+import './idealGas/model/IdealGasModelTests.js';
+import './idealGas/model/MeanSquaredDisplacementTests.js';
+import './idealGas/model/PistonTests.js';
+import './idealGas/model/SpeedHistogramTests.js';
+import './idealGas/model/ThermalWallTests.js';
+import './inelastic/model/InelasticCollisionEngineTests.js';
+
+// Since our tests are loaded asynchronously, we must direct QUnit to begin the tests
+qunitStart();
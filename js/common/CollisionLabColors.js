@@ -26,6 +26,13 @@ const CollisionLabColors = {
   REFLECTING_PLAY_AREA_BORDER: 'rgb( 41, 41, 128 )',
   NON_REFLECTING_PLAY_AREA_BORDER: Color.BLACK,
 
+  // Pegs
+  PEG_FILL: 'rgb( 120, 120, 120 )',
+  PEG_STROKE: Color.BLACK,
+
+  // Walls
+  WALL_STROKE: 'rgb( 41, 41, 128 )',
+
   // Buttons
   KEYPAD_ENTER_BUTTON: PhetColorScheme.BUTTON_YELLOW,
   RETURN_BALLS_BUTTON: PhetColorScheme.BUTTON_YELLOW,
@@ -38,6 +45,9 @@ const CollisionLabColors = {
   // Balls
   BALL_LEADER_LINES_COLOR: Color.BLACK,
   BALL_STROKE_COLOR: Color.BLACK,
+
+  // The colors of the Balls, by index. Systems with more Balls than colors (like the Balls of a gas) cycle through the
+  // colors.
   BALL_COLORS: [
     new Color( 37, 221, 222 ),
     new Color( 255, 37, 173 ),
@@ -52,6 +62,32 @@ const CollisionLabColors = {
   MOMENTUM_VECTOR_FILL: PhetColorScheme.MOMENTUM,
   MOMENTUM_VECTOR_STROKE: Color.BLACK,
 
+  // Spring Bond
+  SPRING_STROKE: 'rgb( 90, 90, 90 )',
+
+  // Rutherford Scattering
+  RUTHERFORD_PREDICTION_STROKE: 'rgb( 200, 40, 40 )',
+
+  // Magnetic Field
+  MAGNETIC_FIELD_SYMBOL_STROKE: 'rgb( 120, 150, 190 )',
+
+  // Speed Histogram
+  SPEED_HISTOGRAM_BAR_FILL: 'rgb( 150, 200, 235 )',
+  SPEED_HISTOGRAM_BAR_STROKE: 'rgb( 70, 120, 160 )',
+  MAXWELL_BOLTZMANN_CURVE_STROKE: 'rgb( 200, 40, 40 )',
+
+  // Thermal Walls, which are colored from cold to hot by their temperature
+  THERMAL_WALL_COLD_FILL: new Color( 40, 110, 230 ),
+  THERMAL_WALL_HOT_FILL: new Color( 230, 50, 30 ),
+
+  // Piston
+  PISTON_FILL: 'rgb( 170, 170, 170 )',
+  PISTON_STROKE: 'rgb( 90, 90, 90 )',
+
+  // Mean Squared Displacement graph
+  MEAN_SQUARED_DISPLACEMENT_STROKE: 'rgb( 60, 110, 180 )',
+  MEAN_SQUARED_DISPLACEMENT_POINT_FILL: 'rgb( 150, 200, 235 )',
+
   // Center of mass
   CENTER_OF_MASS_FILL: new Color( 70, 70, 70 ),
   CENTER_OF_MASS_STROKE: Color.BLACK,
@@ -49,6 +49,60 @@ const CollisionLabConstants = {
   BALL_DEFAULT_DENSITY: 35,   // Uniform Density of Balls if constant-radius is OFF, in kg/m^3.
   BALL_CONSTANT_RADIUS: 0.15, // Radius of Balls if constant-radius is on, in meters.
 
+  // Table Friction
+  TABLE_FRICTION_DECELERATION: 0.25, // Deceleration of Balls due to the friction of the PlayArea's surface, in m/s^2.
+  TABLE_DRAG_COEFFICIENT: 0.4,       // Linear drag coefficient of Balls, in 1/s.
+
+  // Contact Friction
+  CONTACT_FRICTION_RANGE: new RangeWithValue( 0, 1, 0 ), // Coefficient of friction of ball-ball contacts, unitless.
+  CONTACT_FRICTION_INTERVAL: 0.05,
+
+  // Breakable Bonds
+  BOND_STRENGTH_RANGE: new RangeWithValue( 0, 2, 0.5 ), // Impulse that breaks a RotatingBallCluster apart, in kg*m/s.
+  BOND_STRENGTH_INTERVAL: 0.05,
+
+  // Explosions
+  EXPLOSION_TIME_RANGE: new Range( 0, 20 ),                     // Elapsed time that a Ball explodes at, in seconds.
+  EXPLOSION_ENERGY_RANGE: new RangeWithValue( 0, 2, 0.5 ),      // Kinetic energy released by an explosion, in Joules.
+  EXPLOSION_MASS_SPLIT_RANGE: new RangeWithValue( 10, 90, 50 ), // Percent of the mass of the first fragment.
+
+  // Spring Bonds
+  SPRING_STIFFNESS_RANGE: new RangeWithValue( 1, 20, 5 ),      // Stiffness of the spring of a SpringBond, in N/m.
+  SPRING_STIFFNESS_INTERVAL: 0.5,
+  SPRING_REST_LENGTH_RANGE: new RangeWithValue( 0.8, 1.6, 1 ), // Rest length of the spring of a SpringBond, in meters.
+  SPRING_REST_LENGTH_INTERVAL: 0.05,
+
+  // Mutual Gravity
+  MUTUAL_GRAVITY_STRENGTH_RANGE: new RangeWithValue( 0.05, 1, 0.3 ), // Gravitational constant, G, in N*m^2/kg^2.
+  MUTUAL_GRAVITY_STRENGTH_INTERVAL: 0.05,
+
+  // Charges
+  CHARGE_RANGE: new RangeWithValue( -1, 1, 0 ), // Charge of a Ball, in Coulombs.
+  COULOMB_CONSTANT: 1,                          // Exaggerated Coulomb constant, k, in N*m^2/C^2.
+
+  // Magnetic Field
+  MAGNETIC_FIELD_STRENGTH_RANGE: new RangeWithValue( -2, 2, 1 ), // Field out of the PlayArea, in Teslas.
+  MAGNETIC_FIELD_STRENGTH_INTERVAL: 0.1,
+
+  // Ideal Gas
+  BOLTZMANN_CONSTANT: 1E-3,                              // Exaggerated Boltzmann constant, k, in J/K.
+  THERMAL_WALL_TEMPERATURE_RANGE: new Range( 10, 200 ),  // Temperature of a ThermalWall, in Kelvin.
+  THERMAL_WALL_TEMPERATURE_INTERVAL: 5,
+  PISTON_SPEED_RANGE: new RangeWithValue( 0.1, 2, 0.5 ), // Maximum speed of the Piston, in m/s.
+  PISTON_SPEED_INTERVAL: 0.1,
+
+  // Uniform Gravity
+  GRAVITY_MAGNITUDE_RANGE: new RangeWithValue( 0, 3, 1 ),        // in m/s^2.
+  GRAVITY_DIRECTION_RANGE: new RangeWithValue( -180, 180, -90 ), // in degrees, counterclockwise from the +x axis.
+
+  // Pegs
+  PEG_RADIUS: 0.05, // Radius of the fixed Pegs of the PlayArea, in meters.
+  MAX_PEGS: 8,      // Maximum number of Pegs that can be in the PlayArea at once.
+
+  // Walls
+  WALL_MIN_LENGTH: 0.05, // Walls that are drawn shorter than this are discarded, in meters.
+  MAX_WALLS: 6,          // Maximum number of Walls that can be in the PlayArea at once.
+
   // Momenta Diagram
   MOMENTA_DIAGRAM_ASPECT_RATIO: new Dimension2( 7, 5.7 ),
   MOMENTA_DIAGRAM_ZOOM_RANGE: new RangeWithValue( 0.125, 4, 2 ),
@@ -10,6 +10,35 @@ import { QueryStringMachine } from '../../../query-string-machine/js/QueryString
 
 const CollisionLabQueryParameters = QueryStringMachine.getAll( {
 
+  /**
+   * The shape of the border of the PlayArea in the 'Explore 2D' screen. The circle is inscribed in the rectangular
+   * PlayArea, and the hexagon has flat sides at the top and bottom of the rectangular PlayArea. A circular arena is a
+   * demonstration of chaotic billiards.
+   *
+   * The arena can only be chosen with this query parameter. There is no control for it in the sim, since the shape of
+   * the border is fixed when the PlayArea is created and the initial positions of the Balls depend on it.
+   */
+  arenaShape: {
+    type: 'string',
+    validValues: [ 'rectangle', 'circle', 'hexagon' ],
+    defaultValue: 'rectangle',
+    public: true
+  },
+
+  /**
+   * How ball-ball collisions that involve more than two Balls at the same instant are resolved, like a Ball hitting a
+   * row of touching Balls (Newton's cradle). 'chainPropagation' passes the collision through the touching Balls as a
+   * sequence of pairwise collisions, 'sequentialImpulses' collides every touching pair simultaneously, and 'pairwise'
+   * handles the collisions one pair at a time, in no particular order. See SimultaneousCollisionResolver.
+   *
+   * For internal use only.
+   */
+  simultaneousCollisions: {
+    type: 'string',
+    validValues: [ 'chainPropagation', 'sequentialImpulses', 'pairwise' ],
+    defaultValue: 'chainPropagation'
+  },
+
   /**
    * The max life-time of recorded PathDataPoints along the trailing 'Path' of the Center of Mass and the Balls when the
    * 'Path' Checkbox is checked.
@@ -7,8 +7,9 @@
  *
  * Primary responsibilities are:
  *   - Center-position Property.
- *   - Mass Property.
+ *   - Mass and Material Properties.
  *   - Velocity and Momentum Properties.
+ *   - Spin (angular velocity) and moment of inertia Properties.
  *   - Radius Property.
  *   - Dragging, user-control, restarting, etc.
  *   - Creating the trailing 'Path' behind the Ball.
@@ -23,12 +24,15 @@
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import Vector2Property from '../../../../dot/js/Vector2Property.js';
 import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
 import CollisionLabConstants from '../CollisionLabConstants.js';
 import CollisionLabUtils from '../CollisionLabUtils.js';
+import BallMaterial from './BallMaterial.js';
 import BallState from './BallState.js';
 import BallUtils from './BallUtils.js';
 import CollisionLabPath from './CollisionLabPath.js';
@@ -40,15 +44,17 @@ class Ball {
    * @param {BallState} initialBallState - starting state of the Ball.
    * @param {PlayArea} playArea - the PlayArea instance, which may or may not 'contain' this Ball.
    * @param {Property.<boolean>} isConstantSizeProperty - indicates if the Ball's radius is independent of mass.
+   * @param {Property.<number>} radiusScaleProperty - the factor that the Ball's radius is scaled by.
    * @param {Property.<boolean>} pathsVisibleProperty - indicates if the Ball's trailing 'Path' is visible.
    * @param {number} index - the index of the Ball, which indicates which Ball in the system is this Ball. This index
    *                         number is displayed on the Ball, and each Ball within the system has a unique index.
    *                         Indices start from 1 within the system (ie. 1, 2, 3, ...).
    */
-  constructor( initialBallState, playArea, isConstantSizeProperty, pathsVisibleProperty, index ) {
+  constructor( initialBallState, playArea, isConstantSizeProperty, radiusScaleProperty, pathsVisibleProperty, index ) {
     assert && assert( initialBallState instanceof BallState, `invalid initialBallState: ${initialBallState}` );
     assert && assert( playArea instanceof PlayArea, `invalid playArea: ${playArea}` );
     assert && AssertUtils.assertPropertyOf( isConstantSizeProperty, 'boolean' );
+    assert && AssertUtils.assertPropertyOf( radiusScaleProperty, 'number' );
     assert && AssertUtils.assertPropertyOf( pathsVisibleProperty, 'boolean' );
     assert && AssertUtils.assertPositiveInteger( index );
 
@@ -90,15 +96,30 @@ class Ball {
 
     //----------------------------------------------------------------------------------------
 
+    // @public {Property.<BallMaterial>} - Property of the material of the Ball, which determines its density and the
+    //                                     elasticity of its collisions. Manipulated in the view.
+    this.materialProperty = new EnumerationDeprecatedProperty( BallMaterial, initialBallState.material );
+
     // @public {Property.<number>} - Property of the radius of the Ball, in meters.
-    this.radiusProperty = new DerivedProperty( [ this.massProperty, isConstantSizeProperty ],
+    this.radiusProperty = new DerivedProperty(
+      [ this.massProperty, isConstantSizeProperty, this.materialProperty, radiusScaleProperty ],
       BallUtils.calculateBallRadius,
       { valueType: 'number', isValidValue: value => value > 0 } );
 
+    // @public {Property.<number>} - Property of the moment of inertia of the Ball about its own center, in kg*m^2.
+    this.momentOfInertiaProperty = new DerivedProperty( [ this.massProperty, this.radiusProperty ],
+      BallUtils.calculateMomentOfInertia,
+      { valueType: 'number', isValidValue: value => value > 0 } );
+
     // @public {Property.<number>} - Property of the rotation of the Ball relative to its own center, in radians. This is
-    //                            used for 'sticky' collisions in the 'Inelastic' screen.
+    //                            used for 'sticky' collisions in the 'Inelastic' screen and for the spin of the Ball.
     this.rotationProperty = new NumberProperty( 0 );
 
+    // @public {Property.<number>} - Property of the angular velocity (spin) of the Ball about its own center, in rad/s,
+    //                               where positive is counterclockwise. Balls pick up spin from the contact friction of
+    //                               ball-ball collisions. See CollisionEngine.handleBallToBallCollision().
+    this.angularVelocityProperty = new NumberProperty( 0 );
+
     // @public {Property.<boolean>} - indicates if ANY part of the Ball is inside the PlayArea's bounds.
     this.insidePlayAreaProperty = new DerivedProperty( [ this.positionProperty, this.radiusProperty ],
       () => playArea.containsAnyPartOfBall( this ),
@@ -109,9 +130,40 @@ class Ball {
 
     //----------------------------------------------------------------------------------------
 
+    // @public {Property.<number|null>} - the elapsed time that the Ball explodes into two fragments at, in seconds.
+    //                                    Null means that the Ball doesn't explode. Manipulated in the view. See
+    //                                    BallSystem.explodeBall().
+    this.explosionTimeProperty = new Property( null, {
+      isValidValue: value => value === null || ( typeof value === 'number' && value > 0 )
+    } );
+
+    // @public {Property.<number>} - the kinetic energy released when the Ball explodes, in Joules. Manipulated in the
+    //                               view.
+    this.explosionEnergyProperty = new NumberProperty( CollisionLabConstants.EXPLOSION_ENERGY_RANGE.defaultValue, {
+      range: CollisionLabConstants.EXPLOSION_ENERGY_RANGE
+    } );
+
+    // @public {Property.<number>} - the percent of the mass of the Ball that goes to the first fragment when the Ball
+    //                               explodes. The second fragment gets the rest. Manipulated in the view.
+    this.explosionMassSplitProperty = new NumberProperty( CollisionLabConstants.EXPLOSION_MASS_SPLIT_RANGE.defaultValue, {
+      range: CollisionLabConstants.EXPLOSION_MASS_SPLIT_RANGE
+    } );
+
+    // @public {Property.<number>} - the electric charge of the Ball, in Coulombs. Charged Balls only exert forces on each
+    //                               other when charges are enabled (see PlayArea.chargesEnabledProperty). Manipulated
+    //                               in the view.
+    this.chargeProperty = new NumberProperty( CollisionLabConstants.CHARGE_RANGE.defaultValue, {
+      range: CollisionLabConstants.CHARGE_RANGE
+    } );
+
+    //----------------------------------------------------------------------------------------
+
     // @public {Property.<boolean>} - indicates if the Ball's mass is being manipulated by the user. Set in the view.
     this.massUserControlledProperty = new BooleanProperty( false );
 
+    // @public {Property.<boolean>} - indicates if the Ball's material is being changed by the user. Set in the view.
+    this.materialUserControlledProperty = new BooleanProperty( false );
+
     // @public {Property.<boolean>} - indicates if the Ball's position is being manipulated by the user. Set in the view.
     this.xPositionUserControlledProperty = new BooleanProperty( false );
     this.yPositionUserControlledProperty = new BooleanProperty( false );
@@ -120,13 +172,28 @@ class Ball {
     this.xVelocityUserControlledProperty = new BooleanProperty( false );
     this.yVelocityUserControlledProperty = new BooleanProperty( false );
 
+    // @public {Property.<boolean>} - indicates if the elasticity of any pair that the Ball is in is being manipulated by
+    //                                the user. Set in the view.
+    this.elasticityUserControlledProperty = new BooleanProperty( false );
+
+    // @public {Property.<boolean>} - indicates if the explosion of the Ball is being manipulated by the user. Set in
+    //                                the view.
+    this.explosionUserControlledProperty = new BooleanProperty( false );
+
+    // @public {Property.<boolean>} - indicates if the Ball's charge is being manipulated by the user. Set in the view.
+    this.chargeUserControlledProperty = new BooleanProperty( false );
+
     // @public {Property.<boolean>} - indicates if the Ball is being controlled by the user in any way, either by
     //                                       dragging or through the Keypad.
     this.userControlledProperty = new DerivedProperty( [ this.massUserControlledProperty,
+      this.materialUserControlledProperty,
       this.xPositionUserControlledProperty,
       this.yPositionUserControlledProperty,
       this.xVelocityUserControlledProperty,
-      this.yVelocityUserControlledProperty
+      this.yVelocityUserControlledProperty,
+      this.elasticityUserControlledProperty,
+      this.explosionUserControlledProperty,
+      this.chargeUserControlledProperty
     ], ( ...userControlledValues ) => userControlledValues.some( _.identity ), {
       valueType: 'boolean'
     } );
@@ -156,13 +223,23 @@ class Ball {
     this.positionProperty.reset();
     this.velocityProperty.reset();
     this.massProperty.reset();
+    this.materialProperty.reset();
     this.rotationProperty.reset();
+    this.angularVelocityProperty.reset();
+    this.explosionTimeProperty.reset();
+    this.explosionEnergyProperty.reset();
+    this.explosionMassSplitProperty.reset();
+    this.chargeProperty.reset();
     this.path.clear();
     this.massUserControlledProperty.reset();
+    this.materialUserControlledProperty.reset();
     this.xPositionUserControlledProperty.reset();
     this.yPositionUserControlledProperty.reset();
     this.xVelocityUserControlledProperty.reset();
     this.yVelocityUserControlledProperty.reset();
+    this.elasticityUserControlledProperty.reset();
+    this.explosionUserControlledProperty.reset();
+    this.chargeUserControlledProperty.reset();
     this.saveState();
   }
 
@@ -175,9 +252,10 @@ class Ball {
   restart() {
     this.setState( this.restartState );
 
-    // Setting the state resets the trailing 'Path' and the rotation of the Ball.
+    // Setting the state resets the trailing 'Path' and the rotation and spin of the Ball.
     this.path.clear();
     this.rotationProperty.reset();
+    this.angularVelocityProperty.reset();
   }
 
   /**
@@ -192,6 +270,61 @@ class Ball {
     // Since velocity is the first derivative of position, and the ball isn't accelerating, we can solely multiply
     // the velocity by the delta-time to get the displacement.
     this.positionProperty.value = this.velocityProperty.value.times( dt ).add( this.positionProperty.value );
+    this.stepSpin( dt );
+  }
+
+  /**
+   * Moves the ball by some time step, assuming that the Ball is decelerated by the friction of the PlayArea's surface.
+   * The direction of the Ball's velocity doesn't change, but its speed decreases until it stops. See TableFriction.
+   * @public
+   *
+   * @param {number} dt - time in seconds
+   */
+  stepFrictionMotion( dt ) {
+    assert && assert( typeof dt === 'number' && dt >= 0, `invalid dt: ${dt}` );
+
+    const speed = this.velocityProperty.value.magnitude;
+
+    // Stationary Balls stay stationary.
+    if ( speed > CollisionLabConstants.ZERO_THRESHOLD ) {
+      const tableFriction = this.playArea.tableFriction;
+      const direction = this.velocityProperty.value.normalized();
+
+      this.positionProperty.value = direction.times( tableFriction.getDistance( speed, dt ) ).add( this.positionProperty.value );
+      this.velocityProperty.value = direction.times( tableFriction.getSpeed( speed, dt ) );
+    }
+    this.stepSpin( dt );
+  }
+
+  /**
+   * Moves the ball by some time step, assuming that the Ball is accelerated by the gravitational field of the PlayArea.
+   * The acceleration is constant over the time step, so the Ball follows a parabolic trajectory. See UniformGravity.
+   * @public
+   *
+   * @param {number} dt - time in seconds
+   * @param {Vector2} acceleration - the acceleration of the Ball, see PlayArea.getBallGravityAcceleration().
+   */
+  stepGravityMotion( dt, acceleration ) {
+    assert && assert( typeof dt === 'number', `invalid dt: ${dt}` );
+    assert && assert( acceleration instanceof Vector2, `invalid acceleration: ${acceleration}` );
+
+    this.positionProperty.value = this.velocityProperty.value.times( dt )
+      .add( acceleration.times( dt * dt / 2 ) )
+      .add( this.positionProperty.value );
+    this.velocityProperty.value = acceleration.times( dt ).add( this.velocityProperty.value );
+    this.stepSpin( dt );
+  }
+
+  /**
+   * Rotates the ball by some time step, based on its spin. Spin is constant in between collisions.
+   * @private
+   *
+   * @param {number} dt - time in seconds
+   */
+  stepSpin( dt ) {
+    if ( this.angularVelocityProperty.value !== 0 ) {
+      this.rotationProperty.value += this.angularVelocityProperty.value * dt;
+    }
   }
 
   /**
@@ -200,7 +333,14 @@ class Ball {
    *
    * This is called when the user presses the play button. See https://github.com/phetsims/collision-lab/issues/76.
    */
-  saveState() { this.restartState = new BallState( this.positionProperty.value, this.velocityProperty.value, this.massProperty.value ); }
+  saveState() {
+    this.restartState = new BallState(
+      this.positionProperty.value,
+      this.velocityProperty.value,
+      this.massProperty.value,
+      this.materialProperty.value
+    );
+  }
 
   /**
    * Sets the Properties of this Ball to match the passed-in BallState.
@@ -213,11 +353,24 @@ class Ball {
     this.positionProperty.value = ballState.position;
     this.velocityProperty.value = ballState.velocity;
     this.massProperty.value = ballState.mass;
+    this.materialProperty.value = ballState.material;
+  }
+
+  /**
+   * Gets the fraction of the mass of the Ball of each of the two fragments that the Ball explodes into, based on the
+   * explosionMassSplitProperty.
+   * @public
+   *
+   * @returns {number[]}
+   */
+  getExplosionMassFractions() {
+    const massSplit = this.explosionMassSplitProperty.value / 100;
+    return [ massSplit, 1 - massSplit ];
   }
 
   /**
    * Invoked from the view when the Ball is dragged to a different position. Attempts to position the Ball at the
-   * passed in position but ensures the Ball is inside the PlayArea's Bounds.
+   * passed in position but ensures the Ball is inside the PlayArea's border.
    *
    * If the grid is visible, the Ball will also snap to the nearest grid-line.
    * If the PlayArea is 1D, the Ball's y-position will be kept at 0.
@@ -233,9 +386,8 @@ class Ball {
 
     if ( !this.playArea.gridVisibleProperty.value ) {
 
-      // Ensure that the Ball's position is inside of the PlayArea's bounds, eroded by the radius to ensure that the
-      // entire Ball is inside the PlayArea.
-      correctedPosition = this.playArea.bounds.eroded( this.radiusProperty.value ).closestPointTo( position );
+      // Ensure that the entire Ball is inside of the PlayArea's border.
+      correctedPosition = this.playArea.getClosestContainedPosition( position, this.radiusProperty.value );
     }
     else {
 
@@ -245,6 +397,11 @@ class Ball {
         BallUtils.getBallGridSafeConstrainedBounds( this.playArea.bounds, this.radiusProperty.value ).closestPointTo( position ),
         CollisionLabConstants.MINOR_GRIDLINE_SPACING
       );
+
+      // For non-rectangular borders, the grid-line may be outside of the border, so don't snap the Ball in that case.
+      if ( !this.playArea.fullyContainsCircle( correctedPosition, this.radiusProperty.value ) ) {
+        correctedPosition = this.playArea.getClosestContainedPosition( position, this.radiusProperty.value );
+      }
     }
 
     // If the PlayArea is 1D, ensure that the y-position of the Ball is set to 0.
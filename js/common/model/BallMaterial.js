@@ -0,0 +1,85 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Enumeration of the different materials that a Ball can be made of. Each material maps to a class that stores the
+ * physical properties of the material, which are:
+ *   - the density of the material, which determines the radius of the Ball for a given mass.
+ *   - the elasticity of the material, which determines the elasticity of collisions that the Ball is involved in.
+ *
+ * The elasticity of a pair of colliding Balls is derived from the elasticities of both of their materials. See
+ * BallMaterial.getPairElasticityPercent(). The values of each material aren't physically accurate and were chosen to
+ * keep the radii of Balls reasonably sized in the PlayArea while still demonstrating the differences between materials.
+ *
+ * The user selects the material of each Ball via ComboBox in the BallValuesPanel.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+
+// constants
+const ELASTICITY_PERCENT_RANGE = CollisionLabConstants.ELASTICITY_PERCENT_RANGE;
+
+// @private
+class BallMaterialValue {
+
+  /**
+   * @param {number} density - the uniform density of the material, in kg/m^3.
+   * @param {number|null} elasticityPercent - the elasticity of the material, as a percentage. Null indicates that the
+   *                                          elasticity isn't determined by the material, and the elasticity slider of
+   *                                          the PlayArea is used instead.
+   */
+  constructor( density, elasticityPercent ) {
+    assert && assert( typeof density === 'number' && density > 0, `invalid density: ${density}` );
+    assert && assert( elasticityPercent === null || ELASTICITY_PERCENT_RANGE.contains( elasticityPercent ),
+      `invalid elasticityPercent: ${elasticityPercent}` );
+
+    // @public (read-only) {number} - reference to the passed-in density.
+    this.density = density;
+
+    // @public (read-only) {number|null} - reference to the passed-in elasticityPercent.
+    this.elasticityPercent = elasticityPercent;
+  }
+}
+
+const BallMaterial = EnumerationDeprecated.byMap( {
+
+  // The custom material, which has the default uniform density of Balls. Its elasticity is set by the elasticity
+  // slider, so the behavior of Balls with the CUSTOM material matches the behavior of Balls before materials existed.
+  CUSTOM: new BallMaterialValue( CollisionLabConstants.BALL_DEFAULT_DENSITY, null ),
+
+  STEEL: new BallMaterialValue( 70, 95 ),
+  RUBBER: new BallMaterialValue( 25, 80 ),
+  WOOD: new BallMaterialValue( 15, 55 ),
+  CLAY: new BallMaterialValue( 45, 0 )
+}, {
+  beforeFreeze: BallMaterial => {
+
+    /**
+     * Gets the elasticity of a collision between two materials, as a percentage. The elasticity of the pair is the
+     * geometric mean of the elasticity of each material, rounded to the interval of the elasticity slider. For the
+     * elasticity of a Ball with the border of the PlayArea, pass the same material twice.
+     * @public
+     *
+     * @param {BallMaterial} material1
+     * @param {BallMaterial} material2
+     * @param {number} defaultElasticityPercent - the elasticity used for materials that don't determine elasticity.
+     * @returns {number}
+     */
+    BallMaterial.getPairElasticityPercent = ( material1, material2, defaultElasticityPercent ) => {
+      assert && assert( BallMaterial.includes( material1 ), `invalid material1: ${material1}` );
+      assert && assert( BallMaterial.includes( material2 ), `invalid material2: ${material2}` );
+      assert && assert( typeof defaultElasticityPercent === 'number', `invalid defaultElasticityPercent: ${defaultElasticityPercent}` );
+
+      const elasticityPercent1 = material1.elasticityPercent === null ? defaultElasticityPercent : material1.elasticityPercent;
+      const elasticityPercent2 = material2.elasticityPercent === null ? defaultElasticityPercent : material2.elasticityPercent;
+
+      return Utils.roundToInterval( Math.sqrt( elasticityPercent1 * elasticityPercent2 ),
+        CollisionLabConstants.ELASTICITY_PERCENT_INTERVAL );
+    };
+  }
+} );
+
+export default BallMaterial;
@@ -0,0 +1,87 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * BallMaterial tests, with the Balls of the 'Explore 1D' screen. The material of a Ball determines its radius through
+ * its density, and the elasticity of the pairs that it is in through the elasticities of both materials.
+ *
+ * @author agent
+ */
+
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Explore1DModel from '../../explore1D/model/Explore1DModel.js';
+import BallMaterial from './BallMaterial.js';
+import BallUtils from './BallUtils.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const DURATION = 1.5;      // the first two Balls collide once within this duration, in seconds.
+const TOLERANCE = 1e-9;    // the tolerance of the compared values.
+
+QUnit.module( 'BallMaterial' );
+
+QUnit.test( 'denser materials make smaller Balls', assert => {
+  const mass = 1.2;
+  const radius = material => BallUtils.calculateBallRadius( mass, false, material );
+
+  assert.ok( Math.abs( radius( BallMaterial.STEEL ) - ( 3 / 4 * mass / 70 / Math.PI ) ** ( 1 / 3 ) ) < TOLERANCE,
+    'the radius of a uniform sphere with the density of steel' );
+  assert.ok( radius( BallMaterial.STEEL ) < radius( BallMaterial.CLAY ) &&
+             radius( BallMaterial.CLAY ) < radius( BallMaterial.CUSTOM ) &&
+             radius( BallMaterial.CUSTOM ) < radius( BallMaterial.RUBBER ) &&
+             radius( BallMaterial.RUBBER ) < radius( BallMaterial.WOOD ), 'ordered by density' );
+  assert.equal( BallUtils.calculateBallRadius( mass, true, BallMaterial.STEEL ),
+    BallUtils.calculateBallRadius( mass, true, BallMaterial.WOOD ), 'the material is ignored with a constant size' );
+
+  const model = new Explore1DModel( Tandem.OPT_OUT );
+  const ball = model.ballSystem.balls[ 0 ];
+  ball.materialProperty.value = BallMaterial.STEEL;
+  assert.equal( ball.radiusProperty.value,
+    BallUtils.calculateBallRadius( ball.massProperty.value, false, BallMaterial.STEEL ),
+    'the radius of the Ball follows its material' );
+} );
+
+QUnit.test( 'pair elasticities', assert => {
+  const getPairElasticityPercent = BallMaterial.getPairElasticityPercent;
+
+  assert.equal( getPairElasticityPercent( BallMaterial.STEEL, BallMaterial.STEEL, 20 ), 95, 'the same material' );
+  assert.equal( getPairElasticityPercent( BallMaterial.STEEL, BallMaterial.RUBBER, 20 ), 85,
+    'the rounded geometric mean' );
+  assert.equal( getPairElasticityPercent( BallMaterial.RUBBER, BallMaterial.STEEL, 20 ), 85, 'either order' );
+  assert.equal( getPairElasticityPercent( BallMaterial.STEEL, BallMaterial.CLAY, 20 ), 0, 'clay never bounces' );
+  assert.equal( getPairElasticityPercent( BallMaterial.CUSTOM, BallMaterial.CUSTOM, 20 ), 20,
+    'the default elasticity' );
+  assert.equal( getPairElasticityPercent( BallMaterial.CUSTOM, BallMaterial.STEEL, 100 ), 95,
+    'the default elasticity in place of the custom material' );
+
+  const model = new Explore1DModel( Tandem.OPT_OUT );
+  const restitutionMatrix = model.ballSystem.restitutionMatrix;
+  const [ ball1, ball2 ] = model.ballSystem.balls;
+  ball1.materialProperty.value = BallMaterial.STEEL;
+  ball2.materialProperty.value = BallMaterial.RUBBER;
+
+  assert.equal( restitutionMatrix.getElasticityPercentProperty( ball1, ball2 ).value, 85, 'ball-ball entry' );
+  assert.equal( restitutionMatrix.getElasticityPercentProperty( ball1, model.playArea ).value, 95,
+    'ball-border entry' );
+
+  model.playArea.elasticityPercentProperty.value = 50;
+  assert.equal( restitutionMatrix.getElasticityPercentProperty( ball1, ball2 ).value, 85,
+    'the elasticity slider doesn\'t change the entries of materials that determine elasticity' );
+} );
+
+QUnit.test( 'steel and clay collide perfectly inelastically', assert => {
+  const model = new Explore1DModel( Tandem.OPT_OUT );
+  const [ ball1, ball2 ] = model.ballSystem.balls;
+  ball1.materialProperty.value = BallMaterial.STEEL;
+  ball2.materialProperty.value = BallMaterial.CLAY;
+
+  const momentum = ball1.momentumProperty.value.plus( ball2.momentumProperty.value );
+
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+  }
+
+  assert.ok( Math.abs( ball1.velocityProperty.value.x - ball2.velocityProperty.value.x ) < TOLERANCE,
+    'the Balls move together after colliding' );
+  assert.ok( ball1.momentumProperty.value.plus( ball2.momentumProperty.value ).equalsEpsilon( momentum, TOLERANCE ),
+    'momentum is conserved' );
+} );
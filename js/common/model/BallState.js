@@ -1,8 +1,8 @@
 // Copyright 2020-2026, University of Colorado Boulder
 
 /**
- * A multipurpose data structure that immutably contains information about the mass, position, and velocity of a Ball.
- * Doesn't hold onto any listeners or Properties, so no dispose method is needed.
+ * A multipurpose data structure that immutably contains information about the mass, position, velocity, and material
+ * of a Ball. Doesn't hold onto any listeners or Properties, so no dispose method is needed.
  *
  * ## Usages of BallState:
  *
@@ -17,14 +17,15 @@
  *       Restart:
  *         - Pauses the sim.
  *         - Sets the elapsed time to 0.
- *         - Sets the Balls' position, mass, and velocity to their most recent saved BallState. Their restart BallState
- *           is saved when the user finishes controlling one of the Balls. However, if any of the balls are outside
- *           the PlayArea's bounds, the states are not saved. See https://github.com/phetsims/collision-lab/issues/163.
+ *         - Sets the Balls' position, mass, velocity, and material to their most recent saved BallState. Their
+ *           restart BallState is saved when the user finishes controlling one of the Balls. However, if any of the
+ *           balls are outside the PlayArea's bounds, the states are not saved. See https://github.com/phetsims/collision-lab/issues/163.
  *
  * @author Brandon Li
  */
 
 import Vector2 from '../../../../dot/js/Vector2.js';
+import BallMaterial from './BallMaterial.js';
 
 class BallState {
 
@@ -32,11 +33,13 @@ class BallState {
    * @param {Vector2} position - position of the center of the ball, in meters.
    * @param {Vector2} velocity - velocity of the ball, in m/s.
    * @param {number} mass - mass of the ball, in kg.
+   * @param {BallMaterial} [material] - material of the ball.
    */
-  constructor( position, velocity, mass ) {
+  constructor( position, velocity, mass, material = BallMaterial.CUSTOM ) {
     assert && assert( position instanceof Vector2, `invalid position: ${position}` );
     assert && assert( velocity instanceof Vector2, `invalid velocity: ${velocity}` );
     assert && assert( typeof mass === 'number' && mass > 0, `invalid mass: ${mass}` );
+    assert && assert( BallMaterial.includes( material ), `invalid material: ${material}` );
 
     // @public (read-only) {Vector2} - reference to the passed-in position.
     this.position = position;
@@ -46,6 +49,9 @@ class BallState {
 
     // @public (read-only) {number} - reference to the passed-in mass.
     this.mass = mass;
+
+    // @public (read-only) {BallMaterial} - reference to the passed-in material.
+    this.material = material;
   }
 
   /**
@@ -58,7 +64,8 @@ class BallState {
   equals( ballState ) {
     return this.position.equals( ballState.position ) &&
            this.velocity.equals( ballState.velocity ) &&
-           this.mass === ballState.mass;
+           this.mass === ballState.mass &&
+           this.material === ballState.material;
   }
 
   /**
@@ -68,7 +75,7 @@ class BallState {
    * @returns {string}
    */
   toString() {
-    return `BallState[ position: ${this.position}, velocity: ${this.velocity}, mass: ${this.mass} ]`;
+    return `BallState[ position: ${this.position}, velocity: ${this.velocity}, mass: ${this.mass}, material: ${this.material} ]`;
   }
 }
 
@@ -10,9 +10,12 @@
  *     number of Balls, so Balls are created here at the start of the sim.
  *   - CenterOfMass model instantiation for the system of Balls.
  *   - Keeping track of the total kinetic energy of the system.
+ *   - Keeping track of the elasticity of every pair of colliding bodies in a RestitutionMatrix.
  *   - Tracking the visibility of trailing 'Paths' in a Property.
  *   - Tracking if there are any Balls that are being controlled by the user.
  *   - Tracking if the Balls in the system are inside of the PlayArea.
+ *   - Wrapping Balls that leave a periodic PlayArea back into it.
+ *   - Exploding Balls into fragments, which are added to the system from prepopulatedBalls.
  *
  * BallSystems are created at the start of the sim and are never disposed, so no dispose method is necessary and links
  * are left as-is.
@@ -37,6 +40,7 @@ import BallState from './BallState.js';
 import BallUtils from './BallUtils.js';
 import CenterOfMass from './CenterOfMass.js';
 import PlayArea from './PlayArea.js';
+import RestitutionMatrix from './RestitutionMatrix.js';
 
 class BallSystem {
 
@@ -61,7 +65,7 @@ class BallSystem {
 
     assert && assert( options.numberOfBallsRange.max === initialBallStates.length );
 
-    // @private {PlayArea}
+    // @public (read-only) {PlayArea} - reference to the passed-in PlayArea.
     this.playArea = playArea;
 
     //----------------------------------------------------------------------------------------
@@ -73,6 +77,11 @@ class BallSystem {
     //                             is manipulated externally in the view.
     this.ballsConstantSizeProperty = new BooleanProperty( false );
 
+    // @public {Property.<number>} - the factor that the radii of all Balls are scaled by, so that more Balls fit in the
+    //                               PlayArea. Balls aren't bumped away from each other when it changes, so the Balls
+    //                               should be re-positioned along with it. Only changed in the 'Ideal Gas' screen.
+    this.ballsRadiusScaleProperty = new NumberProperty( 1, { isValidValue: value => value > 0 } );
+
     // @public {Property.<boolean>} - indicates if the Ball and center of mass trailing 'paths' are visible. This is in the
     //                             model since paths only show the path of the moving object after the visibility
     //                             checkbox is checked and are empty when false.
@@ -93,6 +102,7 @@ class BallSystem {
       ballState,
       playArea,
       this.ballsConstantSizeProperty,
+      this.ballsRadiusScaleProperty,
       this.pathsVisibleProperty,
       index + 1
     ) );
@@ -111,13 +121,34 @@ class BallSystem {
     //                                          numberOfBallsProperty's value.
     this.balls = createObservableArray( { valueType: Ball } );
 
+    // @public (read-only) {boolean} - indicates if a Ball is currently exploding, in which case the fragments of the
+    //                                 Ball are being added to the system. See explodeBall().
+    this.isExploding = false;
+
+    // @private {number|null} - the number of Balls in the system before the first explosion since the states of the
+    //                          Balls were last saved, which is restored when the restart button is pressed. Null if no
+    //                          Balls have exploded since then.
+    this.restartNumberOfBalls = null;
+
+    // @private {Set.<Ball>} - the Balls that have exploded (or whose fragments didn't fit) since the states of the
+    //                         Balls were last saved, which don't attempt to explode again until the sim is restarted.
+    this.explodedBalls = new Set();
+
+    // @public (read-only) {Property.<boolean>} - indicates if any Balls have exploded since the states of the Balls
+    //                                            were last saved. Explosions can't be undone by stepping backwards, so
+    //                                            the sim can't be stepped backwards while this is true.
+    this.hasExplodedProperty = new BooleanProperty( false );
+
+    // @public (read-only) {RestitutionMatrix} - the elasticity of every ball-ball and ball-border pair of the system.
+    this.restitutionMatrix = new RestitutionMatrix( this.prepopulatedBalls, this.balls, playArea );
+
     // Observe when the number of Balls is manipulated by the user and, if so, add or remove the correct number of Balls
     // to match the numberOfBallsProperty's value. The same Balls are in the system with the same number of Balls value.
     // Link is never disposed as BallSystems are never disposed.
     this.numberOfBallsProperty.link( this.updateBalls.bind( this ) );
 
     this.numberOfBallsProperty.lazyLink( ( newQuantity, oldQuantity ) => {
-      if ( newQuantity > oldQuantity ) {
+      if ( newQuantity > oldQuantity && !this.isExploding ) {
         this.balls.slice( oldQuantity ).forEach( ball => this.bumpBallAwayFromOthers( ball ) );
         this.tryToSaveBallStates();
       }
@@ -136,13 +167,16 @@ class BallSystem {
     // @public {Property.<number>} - the total kinetic energy of the system of balls.
     //
     // For the dependencies, we use:
-    //  - mass and velocity Properties of the all Balls. Only the balls in the system are used for the calculation.
+    //  - mass, velocity, moment of inertia, and spin Properties of the all Balls. Only the balls in the system are used
+    //    for the calculation.
     //  - balls.lengthProperty, since removing or adding a Ball changes the total kinetic energy of the system.
     //
     // This DerivedProperty is never disposed and lasts for the lifetime of the sim.
     this.totalKineticEnergyProperty = new DerivedProperty( [ this.balls.lengthProperty,
       ...this.prepopulatedBalls.map( ball => ball.massProperty ),
-      ...this.prepopulatedBalls.map( ball => ball.velocityProperty )
+      ...this.prepopulatedBalls.map( ball => ball.velocityProperty ),
+      ...this.prepopulatedBalls.map( ball => ball.momentOfInertiaProperty ),
+      ...this.prepopulatedBalls.map( ball => ball.angularVelocityProperty )
     ], () => BallUtils.getTotalKineticEnergy( this.balls ), {
       valueType: 'number',
       isValidValue: value => value >= 0
@@ -178,8 +212,10 @@ class BallSystem {
     // Observe when Balls are added to the system and save the states of all balls in the system. Listener lasts for the
     // life-time of the simulation since BallSystems are never disposed.
     this.balls.elementAddedEmitter.addListener( ball => {
-      this.balls.every( ball => ball.insidePlayAreaProperty.value ) && this.balls.forEach( ball => ball.saveState() );
-      this.tryToSaveBallStates();
+      if ( !this.isExploding ) {
+        this.balls.every( ball => ball.insidePlayAreaProperty.value ) && this.balls.forEach( ball => ball.saveState() );
+        this.tryToSaveBallStates();
+      }
     } );
 
     // Observe when the user is done controlling any of the Balls to:
@@ -190,6 +226,18 @@ class BallSystem {
     // Link lasts for the life-time of the sim as BallSystems are never disposed.
     this.ballSystemUserControlledProperty.lazyLink( this.tryToSaveBallStates.bind( this ) );
     playArea.elasticityPercentProperty.lazyLink( this.tryToSaveBallStates.bind( this ) );
+    this.restitutionMatrix.elasticityPercentProperties.forEach( elasticityPercentProperty => {
+      elasticityPercentProperty.lazyLink( this.tryToSaveBallStates.bind( this ) );
+    } );
+
+    // Observe when the border of the PlayArea becomes periodic and wrap the Balls that have already left the PlayArea
+    // back into it. Link lasts for the life-time of the sim as BallSystems are never disposed.
+    playArea.periodicBorderProperty.lazyLink( isPeriodic => {
+      if ( isPeriodic ) {
+        this.balls.forEach( ball => this.wrapBallIntoPlayArea( ball ) );
+        this.tryToSaveBallStates();
+      }
+    } );
 
     this.ballsConstantSizeProperty.lazyLink( () => {
       this.balls.forEach( ball => this.bumpBallAwayFromOthers( ball ) );
@@ -205,11 +253,16 @@ class BallSystem {
    */
   reset() {
     this.ballsConstantSizeProperty.reset();
+    this.ballsRadiusScaleProperty.reset();
     this.centerOfMassVisibleProperty.reset();
     this.pathsVisibleProperty.reset();
     this.numberOfBallsProperty.reset();
     this.prepopulatedBalls.forEach( ball => { ball.reset(); } ); // Reset All Possible Balls.
     this.centerOfMass.reset();
+    this.restitutionMatrix.reset();
+    this.restartNumberOfBalls = null;
+    this.explodedBalls.clear();
+    this.hasExplodedProperty.reset();
   }
 
   /**
@@ -223,6 +276,14 @@ class BallSystem {
       ball.restart();
     } );
 
+    // Remove the fragments of the Balls that exploded since the states of the Balls were last saved.
+    if ( this.restartNumberOfBalls !== null ) {
+      this.numberOfBallsProperty.value = this.restartNumberOfBalls;
+      this.restartNumberOfBalls = null;
+    }
+    this.explodedBalls.clear();
+    this.hasExplodedProperty.reset();
+
     // Reset the center-of-mass.
     this.centerOfMass.reset();
   }
@@ -238,20 +299,183 @@ class BallSystem {
     assert && assert( typeof dt === 'number', `invalid dt: ${dt}` );
     assert && assert( typeof elapsedTime === 'number' && elapsedTime >= 0, `invalid elapsedTime: ${elapsedTime}` );
 
-    for ( let i = 0; i < this.balls.length; i++ ) {
-      this.balls[ i ].stepUniformMotion( dt );
-    }
+    this.moveBalls( ball => ball.stepUniformMotion( dt ) );
+
+    // Update the trailing 'Paths' of all Balls in the system and the CenterOfMass.
+    this.updatePaths( elapsedTime );
+  }
+
+  /**
+   * Moves every Ball currently in the system by one time-step, assuming that the Balls are decelerated by the friction
+   * of the PlayArea's surface. See TableFriction.
+   * @public
+   *
+   * @param {number} dt - time in seconds
+   * @param {number} elapsedTime - the total elapsed elapsedTime of the simulation, in seconds.
+   */
+  stepFrictionMotion( dt, elapsedTime ) {
+    assert && assert( typeof dt === 'number' && dt >= 0, `invalid dt: ${dt}` );
+    assert && assert( typeof elapsedTime === 'number' && elapsedTime >= 0, `invalid elapsedTime: ${elapsedTime}` );
+
+    this.moveBalls( ball => ball.stepFrictionMotion( dt ) );
 
     // Update the trailing 'Paths' of all Balls in the system and the CenterOfMass.
     this.updatePaths( elapsedTime );
   }
 
+  /**
+   * Moves every Ball currently in the system by one time-step, assuming that the Balls are accelerated by the
+   * gravitational field of the PlayArea. See UniformGravity.
+   * @public
+   *
+   * @param {number} dt - time in seconds
+   * @param {number} elapsedTime - the total elapsed elapsedTime of the simulation, in seconds.
+   */
+  stepGravityMotion( dt, elapsedTime ) {
+    assert && assert( typeof dt === 'number', `invalid dt: ${dt}` );
+    assert && assert( typeof elapsedTime === 'number' && elapsedTime >= 0, `invalid elapsedTime: ${elapsedTime}` );
+
+    // Balls support each other, so the accelerations of all of the Balls are found before any of them move.
+    const accelerations = this.balls.map( ball => this.playArea.getBallGravityAcceleration( ball, this.balls ) );
+
+    this.moveBalls( ( ball, index ) => ball.stepGravityMotion( dt, accelerations[ index ] ) );
+
+    // Update the trailing 'Paths' of all Balls in the system and the CenterOfMass.
+    this.updatePaths( elapsedTime );
+  }
+
+  /**
+   * Gets the Ball in the system that explodes first in between two elapsed times, if any. Balls only explode if there
+   * are enough Balls left in prepopulatedBalls for the fragments and if each fragment has at least the minimum mass.
+   * @public
+   *
+   * @param {number} minTime - the elapsed time to search from, in seconds.
+   * @param {number} maxTime - the elapsed time to search up to, in seconds.
+   * @returns {Ball|null} - null if no Balls explode in between the times.
+   */
+  getNextExplodingBall( minTime, maxTime ) {
+    assert && assert( typeof minTime === 'number' && typeof maxTime === 'number' && minTime <= maxTime, 'invalid times' );
+
+    if ( this.balls.length >= this.numberOfBallsRange.max ) { return null; /** no fragments are left **/ }
+
+    const explodingBalls = this.balls.filter( ball => {
+      const explosionTime = ball.explosionTimeProperty.value;
+      const massFractions = ball.getExplosionMassFractions();
+
+      return explosionTime !== null && explosionTime >= minTime && explosionTime <= maxTime &&
+             !this.explodedBalls.has( ball ) &&
+             massFractions.every( massFraction => massFraction * ball.massProperty.value >= CollisionLabConstants.MASS_RANGE.min );
+    } );
+    return _.minBy( explodingBalls, ball => ball.explosionTimeProperty.value ) || null;
+  }
+
+  /**
+   * Explodes a Ball into fragments, which start in contact with each other and fly apart. The Ball becomes the first
+   * fragment, and the rest of the fragments are added to the system from prepopulatedBalls. The total momentum of the
+   * system is conserved exactly, and its kinetic energy increases by the released energy (see
+   * BallUtils.getExplosionFragmentStates()). Explosions are the time-reverse of perfectly inelastic collisions.
+   *
+   * The fragments are translated together to fit inside of a reflecting border (see fitExplosionFragments()). If the
+   * fragments still don't fit, or would overlap with the other Balls, Pegs or Walls, the Ball doesn't explode.
+   * @public
+   *
+   * @param {Ball} ball
+   * @param {number[]} massFractions - the fraction of the mass of the Ball of each fragment, which must sum to 1.
+   * @param {number} releasedEnergy - the kinetic energy released by the explosion, in Joules.
+   * @param {Vector2} [direction] - the unit direction that the first fragment flies apart in, relative to the rest.
+   * @returns {boolean} - indicates if the Ball exploded.
+   */
+  explodeBall( ball, massFractions, releasedEnergy, direction = Vector2.X_UNIT ) {
+    assert && assert( ball instanceof Ball && this.balls.includes( ball ), `invalid ball: ${ball}` );
+    assert && assert( this.balls.length + massFractions.length - 1 <= this.numberOfBallsRange.max, 'not enough Balls' );
+    assert && assert( !this.isExploding, 'explosions cannot be nested' );
+    assert && assert( this.ballsRadiusScaleProperty.value === 1, 'the fragments of scaled Balls are not supported' );
+
+    const fragmentStates = BallUtils.getExplosionFragmentStates(
+      new BallState( ball.positionProperty.value, ball.velocityProperty.value, ball.massProperty.value, ball.materialProperty.value ),
+      massFractions,
+      releasedEnergy,
+      this.ballsConstantSizeProperty.value,
+      direction
+    );
+
+    // Whether or not the fragments fit, the Ball doesn't attempt to explode again until the sim is restarted.
+    this.explodedBalls.add( ball );
+
+    if ( !this.fitExplosionFragments( ball, fragmentStates ) ) {
+      return false;
+    }
+
+    if ( this.restartNumberOfBalls === null ) {
+      this.restartNumberOfBalls = this.numberOfBallsProperty.value;
+    }
+    this.hasExplodedProperty.value = true;
+
+    // Add the rest of the fragments from prepopulatedBalls, without saving the states of the Balls or 'bumping' them.
+    this.isExploding = true;
+    const firstFragmentIndex = this.balls.length;
+    this.numberOfBallsProperty.value += fragmentStates.length - 1;
+    const fragments = [ ball, ...this.balls.slice( firstFragmentIndex ) ];
+    this.isExploding = false;
+
+    fragments.forEach( ( fragment, index ) => {
+      fragment.setState( fragmentStates[ index ] );
+
+      // The fragments keep the spin of the Ball, but don't explode again.
+      fragment.angularVelocityProperty.value = ball.angularVelocityProperty.value;
+      fragment !== ball && fragment.explosionTimeProperty.reset();
+    } );
+    return true;
+  }
+
+  /**
+   * Translates the fragments of an exploding Ball together to fit inside of the PlayArea, if its border reflects Balls.
+   * Translating the fragments together keeps them in contact with each other and doesn't change their velocities, so
+   * momentum and energy are still conserved. Each pass moves the fragments by the largest translation that any one
+   * fragment needs, which may take a few passes for borders that aren't rectangular.
+   * @private
+   *
+   * @param {Ball} ball - the exploding Ball, which becomes the first fragment.
+   * @param {BallState[]} fragmentStates - the BallStates of the fragments, whose positions are mutated.
+   * @returns {boolean} - indicates if the fragments fit inside of the border and are clear of the other Balls, Pegs and
+   *                      Walls.
+   */
+  fitExplosionFragments( ball, fragmentStates ) {
+    const positions = fragmentStates.map( fragmentState => fragmentState.position );
+    const isConstantSize = this.ballsConstantSizeProperty.value;
+    const radii = fragmentStates.map( state => BallUtils.calculateBallRadius( state.mass, isConstantSize, state.material ) );
+    const isReflecting = this.playArea.reflectingBorderProperty.value;
+
+    for ( let pass = 0; isReflecting && pass < positions.length; pass++ ) {
+      const translation = _.maxBy( positions.map( ( position, i ) => {
+        return this.playArea.getClosestContainedPosition( position, radii[ i ] ).minus( position );
+      } ), translation => translation.magnitude );
+
+      positions.forEach( position => position.add( translation ) );
+    }
+
+    return positions.every( ( position, i ) => {
+      const radius = radii[ i ];
+
+      return ( !isReflecting || this.playArea.fullyContainsCircle( position, radius ) ) &&
+             this.balls.every( otherBall => {
+               return otherBall === ball ||
+                      position.distance( otherBall.positionProperty.value ) >= radius + otherBall.radiusProperty.value;
+             } ) &&
+             this.playArea.pegs.every( peg => position.distance( peg.positionProperty.value ) >= radius + peg.radius ) &&
+             this.playArea.walls.every( wall => position.distance( wall.getClosestPoint( position ) ) >= radius );
+    } );
+  }
+
   /**
    * Attempts to save ball states
    * @private
    */
   tryToSaveBallStates() {
     if ( !this.ballSystemUserControlledProperty.value && this.balls.every( ball => ball.insidePlayAreaProperty.value ) ) {
+      this.restartNumberOfBalls = null;
+      this.explodedBalls.clear();
+      this.hasExplodedProperty.reset();
       this.balls.forEach( ball => {
 
         // Save the state of each Ball.
@@ -263,6 +487,25 @@ class BallSystem {
     }
   }
 
+  /**
+   * Moves every Ball currently in the system. The position of the CenterOfMass is derived from the position of every
+   * Ball, so it is deferred while the Balls move. Otherwise, it would be re-derived once for each Ball, which is
+   * quadratic in the number of Balls.
+   * @private
+   *
+   * @param {function(Ball, number)} moveBall - moves the passed-in Ball, which is at the passed-in index.
+   */
+  moveBalls( moveBall ) {
+    this.centerOfMass.positionProperty.setDeferred( true );
+
+    for ( let i = 0; i < this.balls.length; i++ ) {
+      moveBall( this.balls[ i ], i );
+    }
+
+    const notifyListeners = this.centerOfMass.positionProperty.setDeferred( false );
+    notifyListeners && notifyListeners();
+  }
+
   /**
    * Updates the trailing 'Paths' of all Balls in the system and the trailing 'Path' of the CenterOfMass.
    * @public
@@ -278,6 +521,29 @@ class BallSystem {
     this.centerOfMass.path.updatePath( elapsedTime );
   }
 
+  /**
+   * Wraps a Ball that has left a periodic PlayArea back into it from the opposite side. The trailing 'Paths' of the Ball
+   * and the CenterOfMass are broken at the wrap, so that they aren't drawn across the PlayArea.
+   * @public
+   *
+   * @param {Ball} ball
+   * @returns {boolean} - indicates if the Ball was wrapped.
+   */
+  wrapBallIntoPlayArea( ball ) {
+    assert && assert( ball instanceof Ball && this.balls.includes( ball ), `invalid ball: ${ball}` );
+    assert && assert( this.playArea.periodicBorderProperty.value, 'the border of the PlayArea must be periodic' );
+
+    const wrappedPosition = this.playArea.getWrappedPosition( ball.positionProperty.value );
+
+    if ( wrappedPosition.equals( ball.positionProperty.value ) ) {
+      return false;
+    }
+    ball.positionProperty.value = wrappedPosition;
+    ball.path.breakPath();
+    this.centerOfMass.path.breakPath();
+    return true;
+  }
+
   /**
    * @public
    *
@@ -287,7 +553,7 @@ class BallSystem {
     // Don't bump balls into the play area if there is no reflecting border, see
     // https://github.com/phetsims/collision-lab/issues/206
     if ( this.playArea.reflectingBorderProperty.value ) {
-      ball.positionProperty.value = ball.playArea.bounds.eroded( ball.radiusProperty.value ).closestPointTo( ball.positionProperty.value );
+      ball.positionProperty.value = this.playArea.getClosestContainedPosition( ball.positionProperty.value, ball.radiusProperty.value );
     }
 
     this.tryToSaveBallStates();
@@ -318,6 +584,7 @@ class BallSystem {
     assert && assert( ball instanceof Ball && this.balls.includes( ball ), `invalid ball: ${ball}` );
 
     this.bumpBallIntoPlayArea( ball );
+    this.bumpBallAwayFromObstacles( ball );
 
     // Flag that points to the closest Ball that overlaps with the passed-in Ball. Will be undefined if no other balls
     // are overlapping with the passed-in Ball.
@@ -361,6 +628,7 @@ class BallSystem {
       BallUtils.moveBallNextToBall( ball, overlappingBall, directionVector );
 
       this.bumpBallIntoPlayArea( ball );
+      this.bumpBallAwayFromObstacles( ball );
 
       // Recompute the overlappingBall for the next iteration.
       bumpedAwayFromBalls.push( overlappingBall );
@@ -378,6 +646,48 @@ class BallSystem {
     this.tryToSaveBallStates();
   }
 
+  /**
+   * Bumps a Ball away from the Pegs and Walls of the PlayArea that it is overlapping with. The Ball is placed adjacent
+   * to the Peg (or Wall), in the direction from the center of the Peg (or the closest point of the Wall) to the center
+   * of the Ball. Pegs and Walls are never moved. This method does nothing if the Ball isn't overlapping with any Pegs or
+   * Walls.
+   * @private
+   *
+   * @param {Ball} ball
+   */
+  bumpBallAwayFromObstacles( ball ) {
+
+    // Gets the closest point of the obstacle that the Ball is overlapping with, and the radius of the obstacle. Null if
+    // the Ball isn't overlapping with any obstacles.
+    const getOverlap = () => {
+      const overlappingPeg = this.playArea.getOverlappingPeg( ball );
+      const overlappingWall = this.playArea.getOverlappingWall( ball );
+
+      return overlappingPeg ? { point: overlappingPeg.positionProperty.value, radius: overlappingPeg.radius } :
+             overlappingWall ? { point: overlappingWall.getClosestPoint( ball.positionProperty.value ), radius: 0 } :
+             null;
+    };
+
+    let overlap = getOverlap();
+
+    // Obstacles that are close to each other or to the border may bump the Ball back and forth, so limit the iterations.
+    let count = 0;
+
+    while ( overlap && count++ < 10 ) {
+
+      // Account for a scenario when a Ball is placed exactly concentrically on-top of a Peg or on a Wall.
+      const directionVector = !ball.positionProperty.value.equals( overlap.point ) ?
+                              ball.positionProperty.value.minus( overlap.point ).normalize() :
+                              Vector2.X_UNIT.copy();
+
+      // Move the Ball next to the obstacle, with an infinitesimally small separation.
+      ball.positionProperty.value = directionVector.withMagnitude( ball.radiusProperty.value + overlap.radius
+                                                                   + CollisionLabConstants.ZERO_THRESHOLD ).add( overlap.point );
+
+      overlap = getOverlap();
+    }
+  }
+
   /**
    * Causes all balls to repel from each other, while staying inside the boundaries.
    * @private
@@ -410,8 +720,8 @@ class BallSystem {
           // Don't bump balls into the play area if there is no reflecting border, see
           // https://github.com/phetsims/collision-lab/issues/206
           if ( this.playArea.reflectingBorderProperty.value ) {
-            pair0Position = pair[ 0 ].playArea.bounds.eroded( pair[ 0 ].radiusProperty.value ).closestPointTo( pair0Position );
-            pair1Position = pair[ 1 ].playArea.bounds.eroded( pair[ 1 ].radiusProperty.value ).closestPointTo( pair1Position );
+            pair0Position = this.playArea.getClosestContainedPosition( pair0Position, pair[ 0 ].radiusProperty.value );
+            pair1Position = this.playArea.getClosestContainedPosition( pair1Position, pair[ 1 ].radiusProperty.value );
           }
 
           pair[ 0 ].positionProperty.value = pair0Position;
@@ -430,6 +740,11 @@ class BallSystem {
    */
   updateBalls() {
 
+    // The minimum elasticity of the RestitutionMatrix is derived from every pair of Balls in the system, so it is
+    // deferred while the Balls are added or removed. Otherwise, it would be re-derived for each Ball, which is too slow
+    // with hundreds of Balls.
+    this.restitutionMatrix.minElasticityPercentProperty.setDeferred( true );
+
     // If the number of balls is greater than the Balls currently in the system, Balls need to be added to the system.
     if ( this.numberOfBallsProperty.value > this.balls.length ) {
 
@@ -448,6 +763,9 @@ class BallSystem {
       }
     }
 
+    const notifyListeners = this.restitutionMatrix.minElasticityPercentProperty.setDeferred( false );
+    notifyListeners && notifyListeners();
+
     // Verify that Balls are in ascending order by their indices, if assertions are enabled.
     assert && assert( CollisionLabUtils.isSorted( this.balls, ball => ball.index ) );
   }
@@ -0,0 +1,110 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * BallSystem tests for explosions, with the Balls of the 'Explore 2D' screen. An exploding Ball splits into fragments
+ * that start in contact and fly apart, with the momentum of the Ball and its kinetic energy plus the released energy.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Explore2DModel from '../../explore2D/model/Explore2DModel.js';
+import BallState from './BallState.js';
+import BallUtils from './BallUtils.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const TOLERANCE = 1e-9;    // the tolerance of the compared values.
+
+QUnit.module( 'BallSystem' );
+
+/**
+ * Gets the linear momentum of the passed-in BallStates.
+ *
+ * @param {BallState[]} ballStates
+ * @returns {Vector2}
+ */
+const getMomentum = ballStates => {
+  return ballStates.reduce( ( momentum, ballState ) => momentum.plus( ballState.velocity.times( ballState.mass ) ),
+    Vector2.ZERO );
+};
+
+/**
+ * Gets the kinetic energy of the passed-in BallStates.
+ *
+ * @param {BallState[]} ballStates
+ * @returns {number}
+ */
+const getKineticEnergy = ballStates => _.sum( ballStates.map( ballState => {
+  return 0.5 * ballState.mass * ballState.velocity.magnitudeSquared;
+} ) );
+
+[ [ 0.3, 0.7 ], [ 0.2, 0.3, 0.5 ] ].forEach( massFractions => {
+
+  QUnit.test( `the fragments of an explosion (mass fractions: ${massFractions})`, assert => {
+    const ballState = new BallState( new Vector2( 0.2, -0.1 ), new Vector2( 0.4, 0.3 ), 1.5 );
+    const fragmentStates = BallUtils.getExplosionFragmentStates( ballState, massFractions, 0.5, false );
+    const radii = fragmentStates.map( fragmentState => BallUtils.calculateBallRadius( fragmentState.mass, false ) );
+
+    assert.ok( fragmentStates.every( ( fragmentState, i ) => fragmentState.mass === massFractions[ i ] * 1.5 ),
+      'the fragments split the mass of the Ball' );
+    assert.ok( getMomentum( fragmentStates ).equalsEpsilon( ballState.velocity.times( 1.5 ), TOLERANCE ),
+      'momentum is conserved' );
+    assert.ok( Math.abs( getKineticEnergy( fragmentStates ) - getKineticEnergy( [ ballState ] ) - 0.5 ) < TOLERANCE,
+      'the kinetic energy of the fragments is the kinetic energy of the Ball plus the released energy' );
+    assert.ok( getMomentum( fragmentStates.map( fragmentState => {
+      return new BallState( Vector2.ZERO, fragmentState.position, fragmentState.mass );
+    } ) ).equalsEpsilon( ballState.position.times( 1.5 ), TOLERANCE ), 'the center-of-mass is at the Ball' );
+
+    // The gaps between the surfaces of neighboring fragments, which start in contact without overlapping.
+    const gaps = fragmentStates.map( ( fragmentState, i ) => {
+      const j = ( i + 1 ) % fragmentStates.length;
+      return fragmentState.position.distance( fragmentStates[ j ].position ) - radii[ i ] - radii[ j ];
+    } );
+    assert.ok( gaps.every( gap => gap > -TOLERANCE ), 'the fragments don\'t overlap' );
+    assert.ok( gaps.some( gap => gap < TOLERANCE ), 'the fragments start in contact' );
+  } );
+} );
+
+QUnit.test( 'a Ball explodes at its explosion time', assert => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  const ballSystem = model.ballSystem;
+  ballSystem.numberOfBallsProperty.value = 1;
+  const ball = ballSystem.balls[ 0 ];
+  ball.positionProperty.value = new Vector2( 0.2, -0.1 );
+  ball.velocityProperty.value = new Vector2( 0.4, 0.3 );
+  ball.massProperty.value = 1.5;
+  ball.explosionTimeProperty.value = 0.5;
+  ball.explosionMassSplitProperty.value = 30;
+  ball.explosionEnergyProperty.value = 0.5;
+  ball.saveState();
+
+  const momentum = ball.momentumProperty.value;
+  const kineticEnergy = ballSystem.totalKineticEnergyProperty.value;
+
+  for ( let time = 0; time < 0.6; time += DT ) {
+    model.stepManual( DT );
+  }
+
+  const [ fragment1, fragment2 ] = ballSystem.balls;
+  assert.equal( ballSystem.balls.length, 2, 'the Ball exploded into two fragments' );
+  assert.ok( Math.abs( fragment1.massProperty.value - 0.45 ) < TOLERANCE &&
+             Math.abs( fragment2.massProperty.value - 1.05 ) < TOLERANCE, 'the mass of the Ball is split' );
+  assert.ok( ballSystem.balls.reduce( ( sum, fragment ) => sum.plus( fragment.momentumProperty.value ), Vector2.ZERO )
+    .equalsEpsilon( momentum, TOLERANCE ), 'momentum is conserved' );
+  assert.ok( Math.abs( ballSystem.totalKineticEnergyProperty.value - kineticEnergy - 0.5 ) < TOLERANCE,
+    'the explosion releases its energy' );
+  assert.ok( ballSystem.centerOfMass.positionProperty.value.equalsEpsilon(
+    new Vector2( 0.2, -0.1 ).plus( new Vector2( 0.4, 0.3 ).times( model.elapsedTimeProperty.value ) ), 1e-6 ),
+    'the center-of-mass moves uniformly through the explosion' );
+  assert.ok( fragment1.positionProperty.value.distance( fragment2.positionProperty.value ) >
+             fragment1.radiusProperty.value + fragment2.radiusProperty.value, 'the fragments fly apart' );
+  assert.ok( !model.isTimeReversibleProperty.value, 'explosions can\'t be reversed' );
+
+  model.restart();
+  assert.equal( ballSystem.balls.length, 1, 'restarting removes the fragments' );
+  assert.ok( ball.positionProperty.value.equals( new Vector2( 0.2, -0.1 ) ) && ball.massProperty.value === 1.5,
+    'restarting restores the Ball' );
+  assert.ok( model.isTimeReversibleProperty.value, 'the Balls can be reversed again' );
+} );
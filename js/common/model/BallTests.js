@@ -0,0 +1,129 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Ball tests for the spin of Balls, with the Balls of the 'Explore 2D' screen. Balls pick up spin from the contact
+ * friction of ball-ball collisions, which trades their tangential momentum for spin while conserving the linear and
+ * angular momentum of the system, and spinning Balls rotate and have rotational kinetic energy.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Explore2DModel from '../../explore2D/model/Explore2DModel.js';
+import BallUtils from './BallUtils.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const TOLERANCE = 1e-9;    // the tolerance of the compared values.
+
+QUnit.module( 'Ball' );
+
+/**
+ * Creates an Explore2DModel with two Balls that touch along the x-axis, where the first Ball moves towards the second
+ * Ball at rest, at an angle, and handles their collision with the passed-in contact friction.
+ *
+ * @param {number} contactFriction
+ * @returns {Explore2DModel}
+ */
+const createCollidedModel = contactFriction => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  const [ ball1, ball2 ] = model.ballSystem.balls;
+  model.playArea.contactFrictionProperty.value = contactFriction;
+  ball1.positionProperty.value = new Vector2( -0.5, 0 );
+  ball1.velocityProperty.value = new Vector2( 1, 0.6 );
+  ball2.positionProperty.value = new Vector2( -0.5 + ball1.radiusProperty.value + ball2.radiusProperty.value, 0 );
+  ball2.velocityProperty.value = Vector2.ZERO;
+  model.collisionEngine.handleBallToBallCollision( ball1, ball2, DT );
+  return model;
+};
+
+/**
+ * Gets the linear momentum of the passed-in Balls.
+ *
+ * @param {Ball[]} balls
+ * @returns {Vector2}
+ */
+const getMomentum = balls => {
+  return balls.reduce( ( momentum, ball ) => momentum.plus( ball.momentumProperty.value ), Vector2.ZERO );
+};
+
+/**
+ * Gets the angular momentum of the passed-in Balls about the origin, which is the angular momentum of their motion plus
+ * the angular momentum of their spin.
+ *
+ * @param {Ball[]} balls
+ * @returns {number}
+ */
+const getAngularMomentum = balls => _.sum( balls.map( ball => {
+  return ball.positionProperty.value.crossScalar( ball.momentumProperty.value ) +
+         ball.momentOfInertiaProperty.value * ball.angularVelocityProperty.value;
+} ) );
+
+QUnit.test( 'moment of inertia and rotational kinetic energy', assert => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  const ball = model.ballSystem.balls[ 0 ];
+  model.ballSystem.numberOfBallsProperty.value = 1;
+
+  assert.equal( ball.momentOfInertiaProperty.value, 2 / 5 * ball.massProperty.value * ball.radiusProperty.value ** 2,
+    'a uniform solid sphere' );
+
+  const kineticEnergy = model.ballSystem.totalKineticEnergyProperty.value;
+  ball.angularVelocityProperty.value = 3;
+  assert.ok( Math.abs( model.ballSystem.totalKineticEnergyProperty.value - kineticEnergy -
+                       0.5 * ball.momentOfInertiaProperty.value * 9 ) < TOLERANCE, 'the spin adds kinetic energy' );
+  assert.equal( BallUtils.getTotalKineticEnergy( [ ball ] ), model.ballSystem.totalKineticEnergyProperty.value,
+    'matches BallUtils' );
+
+  model.stepManual( 0.5 );
+  assert.ok( Math.abs( ball.rotationProperty.value - 1.5 ) < TOLERANCE, 'the Ball rotates with its spin' );
+} );
+
+QUnit.test( 'collisions without contact friction don\'t spin Balls', assert => {
+  const model = createCollidedModel( 0 );
+  const [ ball1, ball2 ] = model.ballSystem.balls;
+
+  assert.equal( ball1.angularVelocityProperty.value, 0, 'no spin of the first Ball' );
+  assert.equal( ball2.angularVelocityProperty.value, 0, 'no spin of the second Ball' );
+  assert.ok( Math.abs( ball1.velocityProperty.value.y - 0.6 ) < TOLERANCE, 'the tangential velocity is unchanged' );
+} );
+
+[ 0.05, 1 ].forEach( contactFriction => {
+
+  QUnit.test( `collisions with contact friction spin Balls (contact friction: ${contactFriction})`, assert => {
+    const model = createCollidedModel( contactFriction );
+    const [ ball1, ball2 ] = model.ballSystem.balls;
+
+    // The quantities of the system before the collision, when only the first Ball moves.
+    const kineticEnergy = 0.5 * ball1.massProperty.value * new Vector2( 1, 0.6 ).magnitudeSquared;
+    const momentum = new Vector2( 1, 0.6 ).timesScalar( ball1.massProperty.value );
+    const angularMomentum = new Vector2( -0.5, 0 ).crossScalar( momentum );
+
+    assert.ok( ball1.angularVelocityProperty.value < 0 && ball2.angularVelocityProperty.value < 0,
+      'the Balls spin in the same direction, like meshing gears' );
+    assert.ok( getMomentum( [ ball1, ball2 ] ).equalsEpsilon( momentum, TOLERANCE ), 'linear momentum is conserved' );
+    assert.ok( Math.abs( getAngularMomentum( [ ball1, ball2 ] ) - angularMomentum ) < TOLERANCE,
+      'angular momentum is conserved' );
+    assert.ok( model.ballSystem.totalKineticEnergyProperty.value < kineticEnergy + TOLERANCE,
+      'friction never adds kinetic energy' );
+
+    // The tangential velocity of the surface of the second Ball relative to the surface of the first Ball.
+    const getSpinVelocity = ball => ball.angularVelocityProperty.value * ball.radiusProperty.value;
+    const slipVelocity = ( ball2.velocityProperty.value.y - getSpinVelocity( ball2 ) ) -
+                         ( ball1.velocityProperty.value.y + getSpinVelocity( ball1 ) );
+
+    // The second Ball was at rest, so its momentum is the impulse of the collision on it.
+    const normalImpulse = ball2.momentumProperty.value.x;
+    const tangentialImpulse = ball2.momentumProperty.value.y;
+
+    if ( contactFriction < 1 ) {
+      assert.ok( Math.abs( tangentialImpulse - contactFriction * normalImpulse ) < TOLERANCE,
+        'the surfaces slip, with the tangential impulse limited by the coefficient of friction' );
+      assert.ok( slipVelocity < 0, 'the surfaces still slip after the collision' );
+    }
+    else {
+      assert.ok( tangentialImpulse < contactFriction * normalImpulse, 'the tangential impulse is below the limit' );
+      assert.ok( Math.abs( slipVelocity ) < TOLERANCE, 'the surfaces grip each other' );
+    }
+  } );
+} );
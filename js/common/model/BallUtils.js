@@ -14,12 +14,15 @@ import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
 import CollisionLabConstants from '../CollisionLabConstants.js';
 import CollisionLabUtils from '../CollisionLabUtils.js';
 import Ball from './Ball.js';
+import BallMaterial from './BallMaterial.js';
+import BallState from './BallState.js';
 
 const BallUtils = {
 
   /**
    * Calculates the radius of a Ball. If the 'Constant Size' checkbox is checked, it uses the constant radius.
-   * Otherwise, the radius is derived from the mass and the uniform density of the Ball.
+   * Otherwise, the radius is derived from the mass and the uniform density of the material of the Ball. Either radius
+   * is then scaled by the radius scale of the BallSystem.
    *
    * Derivation:
    *   Volume = 4/3 PI * Radius^3
@@ -29,15 +32,35 @@ const BallUtils = {
    * @public
    * @param {number} mass - mass of the Ball, in kg.
    * @param {boolean} isConstantSize - indicates if the 'Constant Size' checkbox is checked.
+   * @param {BallMaterial} [material] - the material of the Ball, which determines its density.
+   * @param {number} [radiusScale] - see BallSystem.ballsRadiusScaleProperty.
    * @returns {number} - in meters
    */
-  calculateBallRadius( mass, isConstantSize = false ) {
+  calculateBallRadius( mass, isConstantSize = false, material = BallMaterial.CUSTOM, radiusScale = 1 ) {
     assert && assert( typeof mass === 'number', `invalid mass: ${mass}` );
     assert && assert( typeof isConstantSize === 'boolean', `invalid isConstantSize: ${isConstantSize}` );
+    assert && assert( BallMaterial.includes( material ), `invalid material: ${material}` );
+    assert && assert( typeof radiusScale === 'number' && radiusScale > 0, `invalid radiusScale: ${radiusScale}` );
 
-    return isConstantSize ?
-           CollisionLabConstants.BALL_CONSTANT_RADIUS :
-           ( 3 / 4 * mass / CollisionLabConstants.BALL_DEFAULT_DENSITY / Math.PI ) ** ( 1 / 3 );
+    return radiusScale * ( isConstantSize ?
+                           CollisionLabConstants.BALL_CONSTANT_RADIUS :
+                           ( 3 / 4 * mass / material.density / Math.PI ) ** ( 1 / 3 ) );
+  },
+
+  /**
+   * Calculates the moment of inertia of a Ball about its own center. Balls are uniform solid spheres, so I = 2/5 m r^2.
+   * See https://en.wikipedia.org/wiki/List_of_moments_of_inertia.
+   *
+   * @public
+   * @param {number} mass - mass of the Ball, in kg.
+   * @param {number} radius - radius of the Ball, in meters.
+   * @returns {number} - in kg*m^2
+   */
+  calculateMomentOfInertia( mass, radius ) {
+    assert && assert( typeof mass === 'number' && mass > 0, `invalid mass: ${mass}` );
+    assert && assert( typeof radius === 'number' && radius > 0, `invalid radius: ${radius}` );
+
+    return 2 / 5 * mass * radius * radius;
   },
 
   /**
@@ -194,6 +217,76 @@ const BallUtils = {
     assert && assert( !BallUtils.areBallsOverlapping( ball1, ball2 ) );
   },
 
+  /**
+   * Gets the BallStates of the fragments of an exploding Ball. The fragments start in contact with each other, evenly
+   * spaced around a ring in the order of the passed-in mass fractions, starting in the passed-in direction. The
+   * center-of-mass of the fragments is at the position of the Ball.
+   *
+   * The fragments fly apart from the center of the ring with velocities that are computed from the energy budget of the
+   * explosion. Each fragment receives an impulse J_i = j * ( u_i - u_avg ), where u_i is the direction from the center
+   * of the ring to the fragment and u_avg is the average of the directions. The impulses sum to zero, so momentum is
+   * conserved, and the magnitude j is chosen so that the kinetic energy of the fragments is the kinetic energy of the
+   * Ball plus the released energy:
+   *
+   *   releasedEnergy = sum( |J_i|^2 / ( 2 * m_i ) )  =>  j = sqrt( 2 * releasedEnergy / sum( |u_i - u_avg|^2 / m_i ) )
+   *
+   * The velocity of the last fragment is computed from the remaining momentum, so that the total momentum of the
+   * fragments is exactly the momentum of the Ball. See https://en.wikipedia.org/wiki/Conservation_of_momentum.
+   *
+   * @public
+   * @param {BallState} ballState - the state of the Ball at the instant that it explodes.
+   * @param {number[]} massFractions - the fraction of the mass of the Ball of each fragment, which must sum to 1.
+   * @param {number} releasedEnergy - the kinetic energy released by the explosion, in Joules.
+   * @param {boolean} isConstantSize - indicates if the 'Constant Size' checkbox is checked.
+   * @param {Vector2} [direction] - the unit direction from the center of the ring to the first fragment.
+   * @returns {BallState[]} - the BallStates of the fragments, in corresponding order of the massFractions.
+   */
+  getExplosionFragmentStates( ballState, massFractions, releasedEnergy, isConstantSize, direction = Vector2.X_UNIT ) {
+    assert && assert( ballState instanceof BallState, `invalid ballState: ${ballState}` );
+    assert && assert( Array.isArray( massFractions ) && massFractions.length >= 2, `invalid massFractions: ${massFractions}` );
+    assert && assert( massFractions.every( massFraction => massFraction > 0 ), `invalid massFractions: ${massFractions}` );
+    assert && assert( Math.abs( _.sum( massFractions ) - 1 ) < CollisionLabConstants.ZERO_THRESHOLD, 'massFractions must sum to 1' );
+    assert && assert( typeof releasedEnergy === 'number' && releasedEnergy >= 0, `invalid releasedEnergy: ${releasedEnergy}` );
+    assert && assert( typeof isConstantSize === 'boolean', `invalid isConstantSize: ${isConstantSize}` );
+    assert && assert( direction instanceof Vector2, `invalid direction: ${direction}` );
+
+    const numberOfFragments = massFractions.length;
+    const masses = massFractions.map( massFraction => massFraction * ballState.mass );
+    const radii = masses.map( mass => BallUtils.calculateBallRadius( mass, isConstantSize, ballState.material ) );
+
+    // The directions from the center of the ring to each fragment, and their average.
+    const directions = _.range( numberOfFragments ).map( i => direction.normalized().rotate( 2 * Math.PI * i / numberOfFragments ) );
+    const averageDirection = directions.reduce( ( sum, u ) => sum.add( u ), Vector2.ZERO.copy() ).divideScalar( numberOfFragments );
+
+    // The radius of the ring, which is large enough for every pair of neighboring fragments to be in contact. The
+    // distance between neighbors on the ring is 2 * R * sin( PI / n ).
+    const ringRadius = _.max( _.range( numberOfFragments ).map( i => {
+      return ( radii[ i ] + radii[ ( i + 1 ) % numberOfFragments ] ) / ( 2 * Math.sin( Math.PI / numberOfFragments ) );
+    } ) );
+
+    // Shift the ring so that the center-of-mass of the fragments is at the position of the Ball.
+    const centerOfMassOffset = directions.reduce( ( sum, u, i ) => sum.add( u.times( ringRadius * masses[ i ] ) ), Vector2.ZERO.copy() )
+      .divideScalar( ballState.mass );
+    const positions = directions.map( u => u.times( ringRadius ).subtract( centerOfMassOffset ).add( ballState.position ) );
+
+    // The magnitude of the impulses, in kg*m/s.
+    const impulseMagnitude = Math.sqrt( 2 * releasedEnergy / _.sum( directions.map( ( u, i ) => {
+      return u.minus( averageDirection ).magnitudeSquared / masses[ i ];
+    } ) ) );
+
+    const velocities = directions.map( ( u, i ) => {
+      return u.minus( averageDirection ).multiplyScalar( impulseMagnitude / masses[ i ] ).add( ballState.velocity );
+    } );
+
+    // Compute the velocity of the last fragment from the remaining momentum, so that momentum is conserved exactly.
+    const remainingMomentum = _.range( numberOfFragments - 1 ).reduce( ( momentum, i ) => {
+      return momentum.subtract( velocities[ i ].times( masses[ i ] ) );
+    }, ballState.velocity.times( ballState.mass ) );
+    velocities[ numberOfFragments - 1 ] = remainingMomentum.divideScalar( masses[ numberOfFragments - 1 ] );
+
+    return _.range( numberOfFragments ).map( i => new BallState( positions[ i ], velocities[ i ], masses[ i ], ballState.material ) );
+  },
+
   /**
    * Gets the total Kinetic Energy of a collection of Balls. See https://en.wikipedia.org/wiki/Kinetic_energy.
    * @public
@@ -209,6 +302,10 @@ const BallUtils = {
 
       // See See https://en.wikipedia.org/wiki/Kinetic_energy.
       totalKineticEnergy += 0.5 * ball.massProperty.value * ball.velocityProperty.value.magnitudeSquared; // K = 1/2*m*|v|^2
+
+      // Add the rotational kinetic energy of the spin of the Ball. See
+      // https://en.wikipedia.org/wiki/Rotational_energy.
+      totalKineticEnergy += 0.5 * ball.momentOfInertiaProperty.value * ball.angularVelocityProperty.value ** 2; // K = 1/2*I*w^2
     } );
     return totalKineticEnergy;
   }
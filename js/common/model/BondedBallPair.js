@@ -0,0 +1,232 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * BondedBallPair is a data structure that represents two Balls that are bonded by an ideal spring (see SpringBond).
+ * The spring force is internal to the pair, so the center-of-mass of the pair moves uniformly, and the motion of the
+ * Balls is split into the uniform motion of the center-of-mass and the motion of the second Ball relative to the first.
+ * With the relative position r, the stiffness k, the rest length L, and the reduced mass mu = m1 * m2 / ( m1 + m2 ),
+ * the relative motion follows
+ *
+ *   mu * r'' = -k * ( |r| - L ) * r / |r|
+ *
+ * which is a central force, so the Balls oscillate along the line between their centers while the line rotates. There
+ * is no closed-form solution in 2D, so the relative motion is integrated with the classic fourth-order Runge-Kutta
+ * method, in sub-steps that are a small fraction of the period of the oscillation. The Balls are then placed around
+ * the center-of-mass with
+ *
+ *   r1 = R - m2 / M * r        r2 = R + m1 / M * r
+ *
+ * so the total momentum of the pair is conserved exactly. See:
+ *   + https://en.wikipedia.org/wiki/Reduced_mass
+ *   + https://en.wikipedia.org/wiki/Runge%E2%80%93Kutta_methods
+ *
+ * Like the Balls of a RotatingBallCluster, the collisions of bonded Balls have no closed-form solution, so they are
+ * found with conservative advancement (see CollisionEngine.getAdvancementCollisionTime()). The internal energy of the
+ * pair (the kinetic energy of the relative motion plus the potential energy of the spring) is conserved in between
+ * collisions, which bounds the speed of each Ball relative to the center-of-mass.
+ *
+ * Integrating from the current state of the Balls for some time-delta always uses the same sub-steps, so the predicted
+ * positions of the Balls are exactly the positions that the Balls are stepped to.
+ *
+ * @author agent
+ */
+
+import Ball from './Ball.js';
+
+// constants
+const SUB_STEPS_PER_PERIOD = 200; // the number of sub-steps of the integration per period of the oscillation
+
+class BondedBallPair {
+
+  /**
+   * @param {Ball} ball1
+   * @param {Ball} ball2
+   * @param {number} stiffness - the stiffness of the spring, in N/m.
+   * @param {number} restLength - the rest length of the spring, in meters.
+   */
+  constructor( ball1, ball2, stiffness, restLength ) {
+    assert && assert( ball1 instanceof Ball && ball2 instanceof Ball && ball1 !== ball2, 'invalid balls' );
+    assert && assert( typeof stiffness === 'number' && stiffness > 0, `invalid stiffness: ${stiffness}` );
+    assert && assert( typeof restLength === 'number' && restLength > 0, `invalid restLength: ${restLength}` );
+
+    // @public (read-only) {Ball[]} - the Balls that are bonded together.
+    this.balls = [ ball1, ball2 ];
+
+    // @private {number} - reference to the passed-in parameters.
+    this.stiffness = stiffness;
+    this.restLength = restLength;
+  }
+
+  /**
+   * Gets the total mass of the pair, in kg.
+   * @private
+   *
+   * @returns {number}
+   */
+  getTotalMass() {
+    return this.balls[ 0 ].massProperty.value + this.balls[ 1 ].massProperty.value;
+  }
+
+  /**
+   * Gets the reduced mass of the pair, in kg.
+   * @private
+   *
+   * @returns {number}
+   */
+  getReducedMass() {
+    return this.balls[ 0 ].massProperty.value * this.balls[ 1 ].massProperty.value / this.getTotalMass();
+  }
+
+  /**
+   * Gets the velocity of the center-of-mass of the pair, in meters per second.
+   * @private
+   *
+   * @returns {Vector2}
+   */
+  getCenterOfMassVelocity() {
+    return this.balls[ 0 ].momentumProperty.value.plus( this.balls[ 1 ].momentumProperty.value )
+      .divideScalar( this.getTotalMass() );
+  }
+
+  /**
+   * Gets the potential energy of the spring, in Joules.
+   * @public
+   *
+   * @returns {number}
+   */
+  getPotentialEnergy() {
+    const stretch = this.balls[ 0 ].positionProperty.value.distance( this.balls[ 1 ].positionProperty.value ) -
+                    this.restLength;
+    return 0.5 * this.stiffness * stretch * stretch;
+  }
+
+  /**
+   * Gets the maximum speed of the center of a Ball in the pair, in meters per second. The internal energy of the pair,
+   * E, is conserved in between collisions, and the kinetic energy of each Ball relative to the center-of-mass is never
+   * more than E, so its speed is never more than the speed of the center-of-mass plus sqrt( 2 * E / m ).
+   * @public
+   *
+   * @param {Ball} ball
+   * @returns {number}
+   */
+  getMaxBallSpeed( ball ) {
+    assert && assert( this.balls.includes( ball ), `ball is not in the pair: ${ball}` );
+
+    const relativeVelocity = this.balls[ 1 ].velocityProperty.value.minus( this.balls[ 0 ].velocityProperty.value );
+    const internalEnergy = 0.5 * this.getReducedMass() * relativeVelocity.magnitudeSquared + this.getPotentialEnergy();
+
+    return this.getCenterOfMassVelocity().magnitude + Math.sqrt( 2 * internalEnergy / ball.massProperty.value );
+  }
+
+  /**
+   * Moves both Balls of the pair by one time-step.
+   * @public
+   *
+   * @param {number} dt - time-delta in seconds.
+   */
+  step( dt ) {
+    assert && assert( typeof dt === 'number', `invalid dt: ${dt}` );
+
+    const positions = this.balls.map( ball => this.getBallPosition( ball, dt ) );
+    const velocities = this.balls.map( ball => this.getBallVelocity( ball, dt ) );
+
+    this.balls.forEach( ( ball, index ) => {
+      ball.positionProperty.value = positions[ index ];
+      ball.velocityProperty.value = velocities[ index ];
+
+      // The spring exerts no torque on the Balls, so they keep spinning at the same rate.
+      ball.rotationProperty.value += ball.angularVelocityProperty.value * dt;
+    } );
+  }
+
+  /**
+   * Gets the position of a Ball in the pair after some time-delta, in meters.
+   * @public
+   *
+   * @param {Ball} ball
+   * @param {number} dt - time-delta, in seconds.
+   * @returns {Vector2}
+   */
+  getBallPosition( ball, dt ) {
+    assert && assert( this.balls.includes( ball ), `ball is not in the pair: ${ball}` );
+
+    const relativeState = this.getRelativeState( dt );
+    const centerOfMassPosition = this.balls[ 0 ].positionProperty.value.times( this.balls[ 0 ].massProperty.value )
+      .add( this.balls[ 1 ].positionProperty.value.times( this.balls[ 1 ].massProperty.value ) )
+      .divideScalar( this.getTotalMass() )
+      .add( this.getCenterOfMassVelocity().times( dt ) );
+
+    return centerOfMassPosition.add( relativeState.position.times( this.getRelativeFraction( ball ) ) );
+  }
+
+  /**
+   * Gets the velocity of a Ball in the pair after some time-delta, in meters per second.
+   * @public
+   *
+   * @param {Ball} ball
+   * @param {number} dt - time-delta, in seconds.
+   * @returns {Vector2}
+   */
+  getBallVelocity( ball, dt ) {
+    assert && assert( this.balls.includes( ball ), `ball is not in the pair: ${ball}` );
+
+    return this.getCenterOfMassVelocity().add( this.getRelativeState( dt ).velocity.times( this.getRelativeFraction( ball ) ) );
+  }
+
+  /**
+   * Gets the fraction of the relative position (and velocity) of the pair that a Ball is offset from the center-of-mass
+   * by, which is -m2 / M for the first Ball and m1 / M for the second Ball.
+   * @private
+   *
+   * @param {Ball} ball
+   * @returns {number}
+   */
+  getRelativeFraction( ball ) {
+    return ball === this.balls[ 0 ] ? -this.balls[ 1 ].massProperty.value / this.getTotalMass() :
+           this.balls[ 0 ].massProperty.value / this.getTotalMass();
+  }
+
+  /**
+   * Integrates the position and velocity of the second Ball relative to the first for some time-delta, from the
+   * current state of the Balls.
+   * @private
+   *
+   * @param {number} dt - time-delta, in seconds.
+   * @returns {{position: Vector2, velocity: Vector2}}
+   */
+  getRelativeState( dt ) {
+    let position = this.balls[ 1 ].positionProperty.value.minus( this.balls[ 0 ].positionProperty.value );
+    let velocity = this.balls[ 1 ].velocityProperty.value.minus( this.balls[ 0 ].velocityProperty.value );
+
+    // The angular frequency of the oscillation, in radians per second.
+    const angularFrequency = Math.sqrt( this.stiffness / this.getReducedMass() );
+
+    // Use the same number of equal sub-steps for the same time-delta, so that predictions match the stepped states.
+    const subSteps = Math.max( 1, Math.ceil( Math.abs( dt ) * angularFrequency * SUB_STEPS_PER_PERIOD / ( 2 * Math.PI ) ) );
+    const h = dt / subSteps;
+
+    // The relative acceleration at a relative position.
+    const getAcceleration = relativePosition => {
+      const distance = relativePosition.magnitude;
+      return relativePosition.times( -angularFrequency * angularFrequency * ( distance - this.restLength ) / distance );
+    };
+
+    for ( let i = 0; i < subSteps; i++ ) {
+      const k1v = getAcceleration( position );
+      const k1r = velocity;
+      const k2v = getAcceleration( position.plus( k1r.times( h / 2 ) ) );
+      const k2r = velocity.plus( k1v.times( h / 2 ) );
+      const k3v = getAcceleration( position.plus( k2r.times( h / 2 ) ) );
+      const k3r = velocity.plus( k2v.times( h / 2 ) );
+      const k4v = getAcceleration( position.plus( k3r.times( h ) ) );
+      const k4r = velocity.plus( k3v.times( h ) );
+
+      position = position.plus( k1r.plus( k2r.times( 2 ) ).add( k3r.times( 2 ) ).add( k4r ).multiplyScalar( h / 6 ) );
+      velocity = velocity.plus( k1v.plus( k2v.times( 2 ) ).add( k3v.times( 2 ) ).add( k4v ).multiplyScalar( h / 6 ) );
+    }
+
+    return { position: position, velocity: velocity };
+  }
+}
+
+export default BondedBallPair;
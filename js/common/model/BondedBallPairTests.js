@@ -0,0 +1,162 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * BondedBallPair tests, with the Balls of the 'Explore 2D' screen. Balls that are bonded by a spring oscillate about
+ * the center-of-mass of the pair, which moves uniformly, and the pair conserves its momentum and its kinetic energy
+ * plus the potential energy of the spring, even as the bonded Balls collide with other Balls.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Explore2DModel from '../../explore2D/model/Explore2DModel.js';
+import BondedBallPair from './BondedBallPair.js';
+import SpringBond from './SpringBond.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const DURATION = 2.5;      // the duration of the motion, over a period of the oscillation, in seconds.
+const TOLERANCE = 1e-6;    // the tolerance of the compared values.
+
+QUnit.module( 'BondedBallPair' );
+
+/**
+ * Creates an Explore2DModel with the passed-in number of Balls, where Balls 1 and 2 are bonded by a spring with a
+ * stiffness of 5 N/m and a rest length of 1 m. The Balls are stretched apart along the x-axis.
+ *
+ * @param {number} numberOfBalls
+ * @returns {Explore2DModel}
+ */
+const createBondedModel = numberOfBalls => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  const springBond = model.playArea.springBond;
+  model.ballSystem.numberOfBallsProperty.value = numberOfBalls;
+  springBond.stiffnessProperty.value = 5;
+  springBond.restLengthProperty.value = 1;
+  springBond.isEnabledProperty.value = true;
+
+  const [ ball1, ball2 ] = model.ballSystem.balls;
+  ball1.massProperty.value = 0.5;
+  ball1.positionProperty.value = new Vector2( -0.6, 0 );
+  ball1.velocityProperty.value = Vector2.ZERO;
+  ball2.massProperty.value = 1.5;
+  ball2.positionProperty.value = new Vector2( 0.6, 0 );
+  ball2.velocityProperty.value = Vector2.ZERO;
+  return model;
+};
+
+/**
+ * Gets the linear momentum of the passed-in Balls.
+ *
+ * @param {Ball[]} balls
+ * @returns {Vector2}
+ */
+const getMomentum = balls => {
+  return balls.reduce( ( momentum, ball ) => momentum.plus( ball.momentumProperty.value ), Vector2.ZERO );
+};
+
+/**
+ * Gets the total energy of the Balls of the passed-in model, which is the kinetic energy of the Balls plus the
+ * potential energy of the spring between Balls 1 and 2.
+ *
+ * @param {Explore2DModel} model
+ * @returns {number}
+ */
+const getTotalEnergy = model => {
+  const [ ball1, ball2 ] = model.ballSystem.balls;
+  const springBond = model.playArea.springBond;
+  const stretch = ball1.positionProperty.value.distance( ball2.positionProperty.value ) -
+                  springBond.restLengthProperty.value;
+  return model.ballSystem.totalKineticEnergyProperty.value + 0.5 * springBond.stiffnessProperty.value * stretch ** 2;
+};
+
+QUnit.test( 'a stretched pair oscillates like a harmonic oscillator', assert => {
+  const model = createBondedModel( 2 );
+  const [ ball1, ball2 ] = model.ballSystem.balls;
+  const pair = new BondedBallPair( ball1, ball2, 5, 1 );
+
+  // Along the line between the Balls, the distance between them oscillates about the rest length with the angular
+  // frequency sqrt( k / mu ), where mu is the reduced mass.
+  const angularFrequency = Math.sqrt( 5 / ( 0.5 * 1.5 / 2 ) );
+  const maxError = _.max( _.range( 1, 11 ).map( i => {
+    const time = i * 0.2;
+    const distance = pair.getBallPosition( ball1, time ).distance( pair.getBallPosition( ball2, time ) );
+    return Math.abs( distance - ( 1 + 0.2 * Math.cos( angularFrequency * time ) ) );
+  } ) );
+  assert.ok( maxError < TOLERANCE, `max error of the distance between the Balls: ${maxError}` );
+
+  assert.ok( pair.getBallPosition( ball1, 1 ).times( 0.5 ).add( pair.getBallPosition( ball2, 1 ).times( 1.5 ) )
+    .divideScalar( 2 ).equalsEpsilon( new Vector2( 0.3, 0 ), TOLERANCE ), 'the center-of-mass doesn\'t move' );
+  assert.ok( pair.getBallVelocity( ball1, 1 ).times( 0.5 ).add( pair.getBallVelocity( ball2, 1 ).times( 1.5 ) )
+    .equalsEpsilon( Vector2.ZERO, TOLERANCE ), 'momentum is conserved' );
+  assert.ok( Math.abs( pair.getPotentialEnergy() - 0.5 * 5 * 0.2 ** 2 ) < TOLERANCE, 'the potential energy' );
+} );
+
+QUnit.test( 'a spinning pair conserves momentum and energy', assert => {
+  const model = createBondedModel( 2 );
+  const balls = model.ballSystem.balls;
+  balls[ 0 ].velocityProperty.value = new Vector2( 0.3, -0.6 );
+  balls[ 1 ].velocityProperty.value = new Vector2( 0, 0.4 );
+
+  const momentum = getMomentum( balls );
+  const energy = getTotalEnergy( model );
+  const centerOfMassPosition = model.ballSystem.centerOfMass.positionProperty.value;
+
+  let maxEnergyError = 0;
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+    maxEnergyError = Math.max( maxEnergyError, Math.abs( getTotalEnergy( model ) - energy ) );
+  }
+
+  assert.ok( getMomentum( balls ).equalsEpsilon( momentum, TOLERANCE ), 'momentum is conserved' );
+  assert.ok( maxEnergyError < TOLERANCE, `max error of the energy: ${maxEnergyError}` );
+  assert.ok( model.ballSystem.centerOfMass.positionProperty.value.equalsEpsilon(
+    centerOfMassPosition.plus( momentum.times( model.elapsedTimeProperty.value / 2 ) ), TOLERANCE ),
+    'the center-of-mass moves uniformly' );
+} );
+
+QUnit.test( 'a bonded Ball collides elastically with a free Ball', assert => {
+  const model = createBondedModel( 3 );
+  const balls = model.ballSystem.balls;
+  balls[ 2 ].massProperty.value = 1;
+  balls[ 2 ].positionProperty.value = new Vector2( 0.6, -0.7 );
+  balls[ 2 ].velocityProperty.value = new Vector2( 0, 0.5 );
+
+  const momentum = getMomentum( balls );
+  const energy = getTotalEnergy( model );
+
+  let minGap = Infinity;
+  let maxEnergyError = 0;
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+    maxEnergyError = Math.max( maxEnergyError, Math.abs( getTotalEnergy( model ) - energy ) );
+    minGap = Math.min( minGap, ..._.range( 2 ).map( i => {
+      return balls[ i ].positionProperty.value.distance( balls[ 2 ].positionProperty.value ) -
+             balls[ i ].radiusProperty.value - balls[ 2 ].radiusProperty.value;
+    } ) );
+  }
+
+  assert.ok( !balls[ 2 ].velocityProperty.value.equals( new Vector2( 0, 0.5 ) ), 'the Balls collided' );
+  assert.ok( minGap > -TOLERANCE, `min gap between the bonded Balls and the free Ball: ${minGap}` );
+  assert.ok( getMomentum( balls ).equalsEpsilon( momentum, TOLERANCE ), 'momentum is conserved' );
+  assert.ok( maxEnergyError < TOLERANCE, `max error of the energy: ${maxEnergyError}` );
+} );
+
+QUnit.test( 'the spring bonds the chosen pair of Balls', assert => {
+  const model = createBondedModel( 3 );
+  const balls = model.ballSystem.balls;
+  const collisionEngine = model.collisionEngine;
+  balls[ 2 ].positionProperty.value = new Vector2( -0.6, 0.6 );
+  const ballIndices = SpringBond.BALL_INDEX_PAIRS.find( pair => pair[ 0 ] === 1 && pair[ 1 ] === 3 );
+  model.playArea.springBond.ballIndicesProperty.value = ballIndices;
+
+  model.stepManual( DT );
+  const bondedBalls = collisionEngine.bondedBallPair.balls;
+  assert.ok( bondedBalls[ 0 ] === balls[ 0 ] && bondedBalls[ 1 ] === balls[ 2 ], 'Balls 1 and 3 are bonded' );
+  assert.ok( balls[ 1 ].velocityProperty.value.equals( Vector2.ZERO ), 'Ball 2 is free' );
+
+  model.ballSystem.numberOfBallsProperty.value = 2;
+  model.stepManual( DT );
+  assert.equal( collisionEngine.bondedBallPair, null, 'the spring only acts while both Balls are in the system' );
+} );
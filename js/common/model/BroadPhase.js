@@ -0,0 +1,177 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * BroadPhase finds the pairs of Balls that may collide within a time-step, so that the CollisionEngine only runs the
+ * exact (narrow-phase) collision detection on those pairs instead of on every pair of Balls.
+ *
+ * It uses sweep-and-prune: the swept bounding box of each Ball, which contains the Ball over the entire time-step, is
+ * computed and the boxes are sorted by their left edges. Sweeping through the sorted boxes, each box only needs to be
+ * checked against the boxes that start before it ends, so only Balls that are close to each other are paired. Balls
+ * whose swept boxes don't overlap can't collide within the time-step.
+ *
+ * With a periodic border, the boxes that cross a side of the PlayArea are also added on the opposite side, and boxes
+ * are compared vertically across the top and bottom, so that Balls near opposite sides are paired.
+ *
+ * BroadPhases are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+import PlayArea from './PlayArea.js';
+
+// constants
+const EPSILON = CollisionLabConstants.ZERO_THRESHOLD;
+
+/**
+ * Determines whether two boxes overlap vertically, with the second box shifted vertically by some offset.
+ *
+ * @param {Bounds2} bounds1
+ * @param {Bounds2} bounds2
+ * @param {number} offset
+ * @returns {boolean}
+ */
+const overlapsVertically = ( bounds1, bounds2, offset ) => {
+  return bounds1.minY <= bounds2.maxY + offset && bounds2.minY + offset <= bounds1.maxY;
+};
+
+class BroadPhase {
+
+  /**
+   * @param {PlayArea} playArea - the PlayArea that the Balls are in.
+   */
+  constructor( playArea ) {
+    assert && assert( playArea instanceof PlayArea, `invalid playArea: ${playArea}` );
+
+    // @private {PlayArea} - reference to the passed-in PlayArea.
+    this.playArea = playArea;
+
+    // @private {{ball: Ball, bounds: Bounds2}[]} - the swept bounding boxes of the current sweep, sorted by their left
+    //                                              edges. Boxes are reused from the pool to minimize GC.
+    this.boxes = [];
+    this.pool = [];
+  }
+
+  /**
+   * Calls a function on every pair of Balls that may collide within a time-delta, which is every pair whose swept
+   * bounding boxes overlap. A pair may be passed more than once with a periodic border.
+   * @public
+   *
+   * @param {Ball[]} balls - the Balls in the system, in ascending order of their indices.
+   * @param {number} dt - the time-delta, in seconds. Negative when the sim is being stepped backwards.
+   * @param {function(Ball, Ball)} callback - called with the Ball of the greater index first.
+   */
+  forEachCandidatePair( balls, dt, callback ) {
+    assert && assert( typeof dt === 'number', `invalid dt: ${dt}` );
+
+    const isPeriodic = this.playArea.periodicBorderProperty.value;
+    const width = this.playArea.width;
+    const height = this.playArea.height;
+
+    // Compute the swept bounding box of every Ball. With a periodic border, boxes that cross the left or right side of
+    // the PlayArea are also added on the opposite side.
+    this.boxes.length = 0;
+    for ( let i = 0; i < balls.length; i++ ) {
+      const box = this.addBox( balls[ i ] );
+      this.setSweptBounds( balls[ i ], balls, dt, box.bounds );
+
+      if ( isPeriodic && box.bounds.maxX > this.playArea.right ) {
+        this.addBox( balls[ i ] ).bounds.set( box.bounds ).shiftX( -width );
+      }
+      if ( isPeriodic && box.bounds.minX < this.playArea.left ) {
+        this.addBox( balls[ i ] ).bounds.set( box.bounds ).shiftX( width );
+      }
+    }
+
+    this.boxes.sort( ( box1, box2 ) => box1.bounds.minX - box2.bounds.minX );
+
+    // Sweep through the boxes from left to right. Each box can only overlap with the boxes that start before it ends.
+    for ( let i = 0; i < this.boxes.length; i++ ) {
+      const box1 = this.boxes[ i ];
+
+      for ( let j = i + 1; j < this.boxes.length && this.boxes[ j ].bounds.minX <= box1.bounds.maxX; j++ ) {
+        const box2 = this.boxes[ j ];
+
+        if ( box1.ball !== box2.ball && (
+          overlapsVertically( box1.bounds, box2.bounds, 0 ) ||
+          ( isPeriodic && ( overlapsVertically( box1.bounds, box2.bounds, height ) ||
+                            overlapsVertically( box1.bounds, box2.bounds, -height ) ) ) ) ) {
+
+          box1.ball.index > box2.ball.index ? callback( box1.ball, box2.ball ) : callback( box2.ball, box1.ball );
+        }
+      }
+    }
+  }
+
+  /**
+   * Adds a box for a Ball to the current sweep, reusing a box from the pool if possible.
+   * @private
+   *
+   * @param {Ball} ball
+   * @returns {{ball: Ball, bounds: Bounds2}}
+   */
+  addBox( ball ) {
+    if ( this.pool.length === this.boxes.length ) {
+      this.pool.push( { ball: null, bounds: new Bounds2( 0, 0, 0, 0 ) } );
+    }
+    const box = this.pool[ this.boxes.length ];
+    box.ball = ball;
+    this.boxes.push( box );
+    return box;
+  }
+
+  /**
+   * Sets a Bounds2 to the swept bounding box of a Ball over a time-delta, which contains every position of the Ball
+   * over the time-delta, assuming that the Ball isn't involved in any collisions. The equations of motion of the Ball
+   * depend on the table friction and gravitational field of the PlayArea.
+   * @private
+   *
+   * @param {Ball} ball
+   * @param {Ball[]} balls - the Balls in the system, which can support the Ball.
+   * @param {number} dt - in seconds.
+   * @param {Bounds2} bounds - mutated to the swept bounding box, in meters.
+   */
+  setSweptBounds( ball, balls, dt, bounds ) {
+    const position = ball.positionProperty.value;
+    const velocity = ball.velocityProperty.value;
+
+    // The distance that the box extends past the start and end positions of the center of the Ball. A small tolerance
+    // is added so that Balls that are exactly touching are paired.
+    let margin = ball.radiusProperty.value + EPSILON;
+    let endX;
+    let endY;
+
+    if ( this.playArea.tableFriction.isEnabledProperty.value ) {
+
+      // The Ball moves in a straight line in the direction of its velocity, so the box of its start and end positions
+      // contains its path.
+      const speed = velocity.magnitude;
+      const distance = speed > EPSILON ? this.playArea.tableFriction.getDistance( speed, dt ) : 0;
+      endX = speed > EPSILON ? position.x + velocity.x / speed * distance : position.x;
+      endY = speed > EPSILON ? position.y + velocity.y / speed * distance : position.y;
+    }
+    else if ( this.playArea.uniformGravity.isEnabledProperty.value ) {
+
+      // The Ball follows a parabola, which deviates from the line between its start and end positions by at most a
+      // quarter of the distance that the acceleration moves the Ball over the time-delta.
+      const acceleration = this.playArea.getBallGravityAcceleration( ball, balls );
+      endX = position.x + velocity.x * dt + acceleration.x * dt * dt / 2;
+      endY = position.y + velocity.y * dt + acceleration.y * dt * dt / 2;
+      margin += acceleration.magnitude * dt * dt / 8;
+    }
+    else {
+      endX = position.x + velocity.x * dt;
+      endY = position.y + velocity.y * dt;
+    }
+
+    bounds.setMinMax(
+      Math.min( position.x, endX ) - margin,
+      Math.min( position.y, endY ) - margin,
+      Math.max( position.x, endX ) + margin,
+      Math.max( position.y, endY ) + margin
+    );
+  }
+}
+
+export default BroadPhase;
@@ -0,0 +1,90 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * BroadPhase tests with hundreds of Balls of the 'Many Balls' mode of the 'Ideal Gas' screen, at random positions and
+ * velocities. Every pair of Balls that comes within touching distance over the time-delta must be a candidate pair, and
+ * only a small fraction of all pairs should be candidates.
+ *
+ * @author agent
+ */
+
+import Random from '../../../../dot/js/Random.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import IdealGasModel from '../../idealGas/model/IdealGasModel.js';
+import BroadPhase from './BroadPhase.js';
+
+// constants
+const NUMBER_OF_BALLS = 300;
+const DT = 0.05;              // the time-delta of the sweep, in seconds.
+const MAX_SPEED = 2;          // the max speed of each component of the velocities of the Balls, in m/s.
+const MAX_FRACTION = 0.05;    // the max fraction of all pairs of Balls that may be candidate pairs.
+
+QUnit.module( 'BroadPhase' );
+
+/**
+ * Gets the minimum distance between two Balls that move in a straight line over a time-delta, with the second Ball
+ * shifted by an offset.
+ *
+ * @param {Ball} ball1
+ * @param {Ball} ball2
+ * @param {Vector2} offset
+ * @param {number} dt
+ * @returns {number}
+ */
+const getMinimumDistance = ( ball1, ball2, offset, dt ) => {
+  const separation = ball2.positionProperty.value.plus( offset ).minus( ball1.positionProperty.value );
+  const relativeVelocity = ball2.velocityProperty.value.minus( ball1.velocityProperty.value );
+  const speedSquared = relativeVelocity.magnitudeSquared;
+  const time = speedSquared ? Math.min( Math.max( -separation.dot( relativeVelocity ) / speedSquared, 0 ), dt ) : 0;
+
+  return separation.plus( relativeVelocity.timesScalar( time ) ).magnitude;
+};
+
+[ false, true ].forEach( isPeriodic => {
+
+  QUnit.test( `every pair of Balls that may collide is a candidate pair (periodic border: ${isPeriodic})`, assert => {
+    const model = new IdealGasModel( Tandem.OPT_OUT );
+    const playArea = model.playArea;
+    const balls = model.ballSystem.balls;
+    model.ballSystem.isManyBallsProperty.value = true;
+    model.ballSystem.numberOfBallsProperty.value = NUMBER_OF_BALLS;
+    playArea.periodicBorderProperty.value = isPeriodic;
+
+    // Place the Balls at random, so that some of them overlap the sides of the PlayArea.
+    const random = new Random( { seed: 22 } );
+    balls.forEach( ball => {
+      ball.positionProperty.value = random.nextPointInBounds( playArea.bounds );
+      ball.velocityProperty.value = new Vector2( random.nextDoubleBetween( -MAX_SPEED, MAX_SPEED ),
+        random.nextDoubleBetween( -MAX_SPEED, MAX_SPEED ) );
+    } );
+
+    const candidatePairs = new Set();
+    new BroadPhase( playArea ).forEachCandidatePair( balls, DT, ( ball1, ball2 ) => {
+      candidatePairs.add( `${ball1.index}-${ball2.index}` );
+    } );
+
+    // With a periodic border, the Balls may collide with the images of the other Balls in the neighboring cells.
+    const offsets = isPeriodic ? _.flatMap( [ -1, 0, 1 ], i => [ -1, 0, 1 ].map( j => {
+      return new Vector2( i * playArea.width, j * playArea.height );
+    } ) ) : [ Vector2.ZERO ];
+
+    let missingPairs = 0;
+    let collidingPairs = 0;
+    for ( let i = 0; i < balls.length; i++ ) {
+      for ( let j = 0; j < i; j++ ) {
+        const sumOfRadii = balls[ i ].radiusProperty.value + balls[ j ].radiusProperty.value;
+
+        if ( offsets.some( offset => getMinimumDistance( balls[ i ], balls[ j ], offset, DT ) <= sumOfRadii ) ) {
+          collidingPairs++;
+          !candidatePairs.has( `${balls[ i ].index}-${balls[ j ].index}` ) && missingPairs++;
+        }
+      }
+    }
+
+    assert.ok( collidingPairs > 0, `pairs that may collide: ${collidingPairs}` );
+    assert.equal( missingPairs, 0, 'every pair that may collide is a candidate pair' );
+    assert.ok( candidatePairs.size < MAX_FRACTION * NUMBER_OF_BALLS * ( NUMBER_OF_BALLS - 1 ) / 2,
+      `candidate pairs: ${candidatePairs.size}` );
+  } );
+} );
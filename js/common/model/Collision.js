@@ -17,7 +17,9 @@
 
 import Poolable from '../../../../phet-core/js/Poolable.js';
 import Ball from './Ball.js';
+import Peg from './Peg.js';
 import PlayArea from './PlayArea.js';
+import Wall from './Wall.js';
 
 class Collision {
 
@@ -125,6 +127,12 @@ class Collision {
         return 'cluster-border';
       }
     }
+    else if ( this.body2 instanceof Peg ) {
+      return `#${this.body1.index}-peg${this.body2.index}`;
+    }
+    else if ( this.body2 instanceof Wall ) {
+      return `#${this.body1.index}-wall${this.body2.index}`;
+    }
     else {
       return `#${this.body1.index}-#${this.body2.index}`;
     }
@@ -6,16 +6,22 @@
  *
  * ## Collision detection:
  *
- *   - CollisionEngine deals with 2 types of collisions: ball-ball and ball-border collisions. Both of these collisions
- *     are detected *before* the collision occurs to avoid tunneling scenarios where Balls would pass through each
- *     other with high velocities and/or time-steps. The algorithm for detecting ball-ball collisions is described fully
+ *   - CollisionEngine deals with 4 types of collisions: ball-ball, ball-peg, ball-wall, and ball-border collisions. All
+ *     of these collisions are detected *before* the collision occurs to avoid tunneling scenarios where Balls would pass through
+ *     each other with high velocities and/or time-steps. The algorithm for detecting ball-ball collisions is described fully
  *     in https://github.com/phetsims/collision-lab/blob/main/doc/algorithms/ball-to-ball-collision-detection.md
  *
- *   - On each time-step, every ball-ball and ball-border combination is encapsulated in a Collision data structure
- *     instance, along with if and when the respective bodies will collide. These Collision instances are saved to
- *     optimize the number of redundant collision-detection checks. On successive time-steps, Collision instances
- *     are only created for ball-ball and ball-border combinations that haven't already been created. Collision
- *     instances are removed when a collision is handled or some other state in the simulation changes.
+ *   - On each time-step, every ball-ball and ball-border combination that may collide is encapsulated in a Collision
+ *     data structure instance, along with if and when the respective bodies will collide. These Collision instances
+ *     are saved in a CollisionQueue to optimize the number of redundant collision-detection checks. On successive
+ *     time-steps, Collision instances are only created for combinations that haven't already been created. Collision
+ *     instances of a body are removed when the body is involved in a collision or some other state in the simulation
+ *     changes.
+ *
+ *   - To scale to many Balls, ball-ball collisions go through a broad phase first (see BroadPhase), which uses
+ *     sweep-and-prune on the swept bounding boxes of the Balls to find the pairs of Balls that may collide within the
+ *     rest of the time-step. Only those pairs are checked with the exact equations below. Pairs that aren't close
+ *     enough to collide within the time-step are checked again on later time-steps.
  *
  * ## Collision response:
  *
@@ -24,9 +30,55 @@
  *     rigid-body collision model as described in
  *     http://web.mst.edu/~reflori/be150/Dyn%20Lecture%20Videos/Impact%20Particles%201/Impact%20Particles%201.pdf
  *
+ *   - The elasticity of each collision is determined by the pair of bodies involved, which is looked up in the
+ *     RestitutionMatrix of the BallSystem.
+ *
+ *   - Pegs are fixed obstacles that never move, like bodies with infinite mass. Balls bounce off of Pegs with the
+ *     elasticity of the Ball with the border, and the contact with a Peg is friction-less. Walls are straight segments
+ *     that Balls reflect off of in the same way, on either face or at either end-point.
+ *
+ *   - Ball-ball collisions that involve more than two Balls at the same instant, like a Ball hitting a row of touching
+ *     Balls (Newton's cradle), are resolved together as a group (see SimultaneousCollisionResolver), either with
+ *     sequential impulses or by propagating the collision through the group, chosen with the simultaneousCollisions
+ *     query parameter. Otherwise, the result would depend on the order that the pairs of Balls are handled in.
+ *
+ *   - When collisions are inelastic, bodies that are pressed together can collide endlessly with ever-smaller gaps in
+ *     between (inelastic collapse). Bodies that keep colliding in rapid succession are put into resting contact (see
+ *     RestingContacts), which only sets the elasticity of their collisions to 0 until they separate. Each
+ *     collapse is reported with the inelasticCollapseEmitter, including bodies in resting contact that keep colliding
+ *     anyway because the bodies around them push them together. If the detection-response loop still runs out of
+ *     iterations, that is reported too, and the rest of the time-step is progressed without handling any collisions.
+ *
+ *   - The contact friction of the PlayArea exerts a tangential impulse in ball-ball collisions, which gives Balls spin.
+ *     Spin doesn't affect the trajectories of Balls, so it doesn't affect collision detection.
+ *
+ *   - When the PlayArea has table friction, Balls decelerate in between collisions instead of moving uniformly (see
+ *     TableFriction). The closed-form solutions for the collision times no longer apply, so collision times are found
+ *     with root-finders on the exact equations of motion of the decelerating Balls, which keeps collision timing exact.
+ *
+ *   - When the PlayArea has a gravitational field, Balls follow parabolic trajectories in between collisions (see
+ *     UniformGravity). Balls that share the same acceleration have uniform relative motion, so the ball-ball quadratic
+ *     still applies. Balls that are supported by the border (directly or through the Balls that they rest on) don't
+ *     accelerate into it, so the relative motion of a pair of Balls may be accelerating, which makes ball-ball
+ *     collision detection a quartic problem. Ball-border collisions become a quadratic problem for each side of the
+ *     border.
+ *     Bodies that touch with a negligible relative velocity are resting against each other, not colliding. The
+ *     Collisions of a Ball are re-detected when its acceleration changes, like when a Ball that supports it slides
+ *     away.
+ *
+ *   - The border of the PlayArea can also be a circle or a convex polygon (see PlayArea.BorderShape). Balls collide with
+ *     a polygonal border like a rectangular border, side by side. For circular borders, the distance from the center of
+ *     the border to the Ball is solved instead, and Balls reflect about the normal of the border at the point of contact.
+ *
+ *   - When the border of the PlayArea is periodic, Balls that leave one side of the PlayArea re-enter from the opposite
+ *     side and ball-ball collisions are detected with the minimum-image separation of the Balls, so that Balls near
+ *     opposite sides collide across the seam. The minimum image of a pair changes as the Balls move, so the earliest
+ *     collision of the images around the second Ball is saved instead, which stays valid until either Ball is wrapped.
+ *
  *   - On each time-step, after Collisions have been created for every ball-ball and ball-border combination, we check
- *     if any of our 'saved' collisions that have associated collision times are in between the previous and current
- *     step, meaning a collision will occur in this time-step. To fully ensure that collisions are simulated
+ *     if the earliest of our 'saved' collisions that have associated collision times, which is at the top of the
+ *     CollisionQueue, is in between the previous and current step, meaning a collision will occur in this time-step.
+ *     To fully ensure that collisions are simulated
  *     correctly — even with extremely high time-steps — only the earliest collision is handled and progressed. All
  *     Collision instances that store the involved Ball(s) are removed. This detection-response loop is then repeated
  *     until there are no collisions detected within the time-step.
@@ -35,38 +87,91 @@
  * @author Martin Veillette
  */
 
+import Emitter from '../../../../axon/js/Emitter.js';
 import Multilink from '../../../../axon/js/Multilink.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Utils from '../../../../dot/js/Utils.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+import CollisionLabQueryParameters from '../CollisionLabQueryParameters.js';
 import CollisionLabUtils from '../CollisionLabUtils.js';
 import Ball from './Ball.js';
 import BallSystem from './BallSystem.js';
+import BroadPhase from './BroadPhase.js';
 import Collision from './Collision.js';
+import CollisionQueue from './CollisionQueue.js';
+import Peg from './Peg.js';
 import PlayArea from './PlayArea.js';
+import RestingContacts from './RestingContacts.js';
+import SimultaneousCollisionResolver from './SimultaneousCollisionResolver.js';
+import Wall from './Wall.js';
+
+// constants
+const SIMULTANEOUS_COLLISION_MODEL = CollisionLabQueryParameters.simultaneousCollisions === 'sequentialImpulses' ?
+                                     SimultaneousCollisionResolver.Model.SEQUENTIAL_IMPULSES :
+                                     CollisionLabQueryParameters.simultaneousCollisions === 'chainPropagation' ?
+                                     SimultaneousCollisionResolver.Model.CHAIN_PROPAGATION :
+                                     SimultaneousCollisionResolver.Model.PAIRWISE;
+const MINIMUM_ADVANCEMENT_FACTOR = 1e-2; // the minimum advancement of a gap, as a fraction of the radii of the bodies
 
 class CollisionEngine {
 
   /**
    * @param {PlayArea} playArea
    * @param {BallSystem} ballSystem
+   * @param {Object} [options]
    */
-  constructor( playArea, ballSystem ) {
+  constructor( playArea, ballSystem, options ) {
     assert && assert( playArea instanceof PlayArea, `invalid playArea: ${playArea}` );
     assert && assert( ballSystem instanceof BallSystem, `invalid ballSystem: ${ballSystem}` );
 
-    // @protected {Array.<Collision>} - collection of Ball collisions that may or may not occur. Some Collisions instances
-    //                              will not have an associated "time" which indicates that a Collision will not occur.
-    //                              See the comment at the top for a high level overview of how this set is used.
-    this.collisions = [];
-    this.nextCollisions = []; // Minimizing GC by using a persistent array
-    this.collisionsToDispose = [];
+    options = merge( {
+
+      // {SimultaneousCollisionResolver.Model} - how ball-ball collisions that involve more than two Balls at the same
+      // instant are resolved. PAIRWISE handles them one pair at a time.
+      simultaneousCollisionModel: SIMULTANEOUS_COLLISION_MODEL
+    }, options );
+
+    assert && assert( SimultaneousCollisionResolver.Model.includes( options.simultaneousCollisionModel ),
+      `invalid simultaneousCollisionModel: ${options.simultaneousCollisionModel}` );
 
     // @private {Property.<number>} - the 'direction' of the progression of the current time-step of the sim, where:
     //                               1 means the sim is being progressed forwards in the current time-step, (dt > 0).
     //                              -1 means the sim is being progressed backwards in the current time-step, (dt < 0)
     this.timeStepDirectionProperty = new NumberProperty( 1, { numberType: 'Integer' } );
 
+    // @private {CollisionQueue} - collection of Ball collisions that may or may not occur. Some Collisions instances
+    //                             will not have an associated "time" which indicates that a Collision will not occur.
+    //                             See the comment at the top for a high level overview of how this set is used.
+    this.collisionQueue = new CollisionQueue( this.timeStepDirectionProperty );
+    this.nextCollisions = []; // Minimizing GC by using a persistent array
+    this.collisionsToDispose = [];
+
+    // @private {Map.<Ball, Vector2>} - with gravity, the acceleration of each Ball when its Collisions were detected.
+    //                                  Balls whose Collisions were removed since then have no acceleration.
+    this.gravityAccelerations = new Map();
+
+    // @private {BroadPhase} - finds the pairs of Balls that may collide within a time-step.
+    this.broadPhase = new BroadPhase( playArea );
+
+    // @private {SimultaneousCollisionResolver|null} - resolves groups of touching Balls that collide at the same
+    //                                                 instant, or null if Collisions are handled one pair at a time.
+    this.simultaneousCollisionResolver = null;
+    if ( options.simultaneousCollisionModel !== SimultaneousCollisionResolver.Model.PAIRWISE ) {
+      this.simultaneousCollisionResolver = new SimultaneousCollisionResolver( playArea, ballSystem,
+        options.simultaneousCollisionModel, this.getElasticity.bind( this ) );
+    }
+    this.resolvedBalls = []; // Minimizing GC by using a persistent array
+
+    // @protected {RestingContacts} - the pairs of bodies that are in resting contact after an inelastic collapse.
+    this.restingContacts = new RestingContacts( playArea, ballSystem );
+
+    // @public (read-only) {Emitter} - emits with the Ball and the other body of a Collision when they collapse into
+    //                                 resting contact, instead of colliding endlessly, or when they keep colliding
+    //                                 endlessly anyway. See RestingContacts.
+    this.inelasticCollapseEmitter = new Emitter( { parameters: [ { valueType: Ball }, { valueType: Object } ] } );
+
     // @protected - reference to the passed-in parameters.
     this.playArea = playArea;
     this.ballSystem = ballSystem;
@@ -74,15 +179,36 @@ class CollisionEngine {
     // @private {Vector2} - mutable Vector2 instances, reused in critical code to reduce memory allocations.
     this.deltaR = new Vector2( 0, 0 );
     this.deltaV = new Vector2( 0, 0 );
+    this.imagePosition = new Vector2( 0, 0 );
 
     // Observe when some 'state' in the simulation that invalidates our Collision instances changes. This occurs when a
-    // Ball is user-controlled, when the number of Balls in the system changes, when the 'Constant' size checkbox is
-    // toggled, or when the 'direction' of time progression changes. In all of these scenarios, existing Collisions may
-    // be incorrect and collisions should be re-detected. Multilink persists for the lifetime of the simulation.
+    // Ball, Peg, or Wall is user-controlled, when the number of Balls, Pegs, or Walls changes, when the 'Constant' size
+    // checkbox is toggled or the radii of the Balls are scaled, when the table friction, gravity, periodic border,
+    // sticky collisions, spring bond, mutual gravity, charges, or magnetic field change, or when the 'direction' of
+    // time progression changes. In all of these scenarios, existing Collisions may be incorrect and collisions should
+    // be re-detected.
+    // Multilink persists for the lifetime of the simulation.
     Multilink.lazyMultilink( [
       ballSystem.ballSystemUserControlledProperty,
       ballSystem.numberOfBallsProperty,
       ballSystem.ballsConstantSizeProperty,
+      ballSystem.ballsRadiusScaleProperty,
+      playArea.pegs.lengthProperty,
+      playArea.pegsUserControlledProperty,
+      playArea.walls.lengthProperty,
+      playArea.wallsUserControlledProperty,
+      playArea.tableFriction.isEnabledProperty,
+      playArea.tableFriction.isDragEnabledProperty,
+      playArea.uniformGravity.isEnabledProperty,
+      playArea.uniformGravity.magnitudeProperty,
+      playArea.uniformGravity.directionProperty,
+      playArea.periodicBorderProperty,
+      playArea.stickyCollisionsProperty,
+      playArea.springBond.isEnabledProperty,
+      playArea.springBond.ballIndicesProperty,
+      playArea.mutualGravity.isEnabledProperty,
+      playArea.chargesEnabledProperty,
+      playArea.magneticField.isEnabledProperty,
       this.timeStepDirectionProperty
     ], this.reset.bind( this ) );
 
@@ -98,9 +224,9 @@ class CollisionEngine {
    * Called when the reset/restart button is pressed or when some 'state' of the simulation changes.
    */
   reset() {
-    while ( this.collisions.length ) {
-      this.collisionsToDispose.push( this.collisions.pop() );
-    }
+    this.collisionQueue.clear( this.collisionsToDispose );
+    this.restingContacts.clear();
+    this.gravityAccelerations.clear();
   }
 
   /**
@@ -111,7 +237,7 @@ class CollisionEngine {
    * @param {number} dt - time-delta of this step, in seconds.
    * @param {number} elapsedTime - elapsedTime, based on where the Balls are positioned when this method is called.
    * @param {number} [maxIterations] - max number of iterations in the detection-response loop. Once this number is
-   *                                   reached, collision-response is considered to be finished for the step.
+   *                                   reached, the rest of the step is progressed without handling any more collisions.
    */
   step( dt, elapsedTime, maxIterations = 2000 ) {
     assert && assert( typeof dt === 'number', `invalid dt: ${dt}` );
@@ -120,6 +246,17 @@ class CollisionEngine {
     sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `step dt:${dt}, elapsedTime:${elapsedTime}, maxIterations:${maxIterations}` );
     sceneryLog && sceneryLog.Sim && sceneryLog.push();
 
+    // With gravity, the accelerations of Balls that rest against other Balls change as the Balls slide apart, without
+    // colliding. Only the Collisions of those Balls are re-detected.
+    this.playArea.uniformGravity.isEnabledProperty.value && this.invalidateAcceleratedBalls();
+
+    // Bodies that were in resting contact and have moved apart collide with their own elasticity again.
+    this.restingContacts.releaseSeparatedContacts();
+
+    // The bodies of the last handled Collision, which are reported if the loop runs out of iterations.
+    let lastBody1 = null;
+    let lastBody2 = null;
+
     let iterations = 0;
     while ( iterations++ < maxIterations ) {
       sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `iteration ${iterations} dt:${dt}, elapsedTime:${elapsedTime}` );
@@ -131,30 +268,19 @@ class CollisionEngine {
 
       // First detect all potential collisions that have not already been detected.
       this.timeStepDirectionProperty.value = Math.sign( dt );
-      this.detectAllCollisions( elapsedTime );
+      this.detectAllCollisions( elapsedTime, dt );
 
       if ( sceneryLog && sceneryLog.Sim ) {
-        this.collisions.forEach( collision => {
+        this.collisionQueue.forEach( collision => {
           sceneryLog.Sim( `${collision.inRange( elapsedTime, elapsedTime + dt ) ? '[in-step] ' : ''}${collision.time} ${collision}` );
         } );
       }
 
-      // Get all Collisions that have a collision 'time' in this time-step. Rolled back to simple logic for performance
-      // and memory characteristics
       // If there are collisions within the given time-step, only handle and progress the 'earliest' collision.
-      // Find and reference the next Collision that will occur of the collisions that will occur in this step.
+      // Find and reference the next Collision(s) that will occur of the collisions that will occur in this step, which
+      // are at the top of the CollisionQueue.
       this.nextCollisions.length = 0;
-      let bestPotentialCollisionTime = elapsedTime + dt * ( 1 + 1e-7 );
-      for ( let i = this.collisions.length - 1; i >= 0; i-- ) {
-        const collision = this.collisions[ i ];
-        if ( collision.inRange( elapsedTime, bestPotentialCollisionTime ) ) {
-          if ( collision.time !== bestPotentialCollisionTime ) {
-            bestPotentialCollisionTime = collision.time;
-            this.nextCollisions.length = 0;
-          }
-          this.nextCollisions.push( collision );
-        }
-      }
+      this.collisionQueue.getNextCollisions( elapsedTime, elapsedTime + dt * ( 1 + 1e-7 ), this.nextCollisions );
 
       if ( !this.nextCollisions.length ) {
 
@@ -169,7 +295,7 @@ class CollisionEngine {
       }
       else {
         // Reference when the collision will occur (in terms of both elapsedTime and a time-delta, respectively).
-        const collisionTime = Math.max( 0, bestPotentialCollisionTime );
+        const collisionTime = Math.max( 0, this.nextCollisions[ 0 ].time );
         const timeUntilCollision = collisionTime - elapsedTime;
 
         sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `collision in step in ${timeUntilCollision}` );
@@ -177,9 +303,36 @@ class CollisionEngine {
         // Progress forwards to the exact point of contact of the collision.
         this.progressBalls( timeUntilCollision, elapsedTime );
 
-        // Handle the response for the Collision depending on the type of collision.
+        // Bodies that keep colliding in rapid succession collapse into resting contact, which stops the endless series
+        // of collisions of inelastic collapse. Bodies in resting contact that keep colliding anyway collapse again.
+        // Stepping backwards can't collapse, since collisions are never inelastic.
+        for ( let i = 0; i < this.nextCollisions.length && dt > 0; i++ ) {
+          const collision = this.nextCollisions[ i ];
+
+          if ( this.restingContacts.registerCollision( collision ) ) {
+            sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `inelastic collapse ${collision}` );
+            this.inelasticCollapseEmitter.emit( collision.body1, collision.body2 );
+          }
+        }
+        lastBody1 = this.nextCollisions[ 0 ].body1;
+        lastBody2 = this.nextCollisions[ 0 ].body2;
+
+        // Groups of touching Balls that collide at the same instant are resolved together, since handling their
+        // Collisions one pair at a time depends on the order of the pairs (see SimultaneousCollisionResolver).
+        this.resolvedBalls.length = 0;
+        this.simultaneousCollisionResolver &&
+        this.simultaneousCollisionResolver.resolve( this.nextCollisions, dt, this.resolvedBalls );
+
+        // Handle the response for the rest of the Collisions depending on the type of collision.
         for ( let i = this.nextCollisions.length - 1; i >= 0; i-- ) {
-          this.handleCollision( this.nextCollisions[ i ], dt );
+          const collision = this.nextCollisions[ i ];
+
+          if ( !( collision.body2 instanceof Ball && this.resolvedBalls.includes( collision.body1 ) ) ) {
+            this.handleCollision( collision, dt );
+          }
+        }
+        for ( let i = 0; i < this.resolvedBalls.length; i++ ) {
+          this.invalidateCollisions( this.resolvedBalls[ i ] );
         }
 
         // Continue on to the next iteration
@@ -194,6 +347,15 @@ class CollisionEngine {
       sceneryLog && sceneryLog.Sim && sceneryLog.pop();
     }
 
+    // The loop ran out of iterations, which happens when bodies collide endlessly. This is reported like a collapse,
+    // and the rest of the time-step is progressed without handling any more collisions.
+    if ( iterations > maxIterations ) {
+      sceneryLog && sceneryLog.Sim && sceneryLog.Sim( 'out of iterations' );
+
+      lastBody1 instanceof Ball && this.inelasticCollapseEmitter.emit( lastBody1, lastBody2 );
+      this.progressBalls( dt, elapsedTime );
+    }
+
     sceneryLog && sceneryLog.Sim && sceneryLog.pop();
   }
 
@@ -206,12 +368,17 @@ class CollisionEngine {
    * @returns {boolean}
    */
   hasCollisionBetween( body1, body2 ) {
-    for ( let i = this.collisions.length - 1; i >= 0; i-- ) {
-      if ( this.collisions[ i ].includesBodies( body1, body2 ) ) {
-        return true;
-      }
-    }
-    return false;
+    return this.collisionQueue.hasCollisionBetween( body1, body2 );
+  }
+
+  /**
+   * Saves a newly detected Collision.
+   * @protected
+   *
+   * @param {Collision} collision
+   */
+  addCollision( collision ) {
+    this.collisionQueue.add( collision );
   }
 
   /**
@@ -228,23 +395,45 @@ class CollisionEngine {
     sceneryLog && sceneryLog.Sim && sceneryLog.Sim( 'CollisionEngine.progressBalls' );
     sceneryLog && sceneryLog.Sim && sceneryLog.push();
 
-    // CollisionEngine only deals with uniformly moving Balls, but sub-types might not (for the 'Inelastic' screen).
-    this.ballSystem.stepUniformMotion( dt, elapsedTime + dt );
+    // CollisionEngine only deals with uniformly moving Balls or Balls that are decelerated by table friction or
+    // accelerated by gravity, but sub-types might not (for the 'Inelastic' screen).
+    if ( this.playArea.tableFriction.isEnabledProperty.value ) {
+      this.ballSystem.stepFrictionMotion( dt, elapsedTime + dt );
+    }
+    else if ( this.playArea.uniformGravity.isEnabledProperty.value ) {
+      this.ballSystem.stepGravityMotion( dt, elapsedTime + dt );
+    }
+    else {
+      this.ballSystem.stepUniformMotion( dt, elapsedTime + dt );
+    }
+
+    // With a periodic border, wrap the Balls that left the PlayArea back in from the opposite side. The positions of
+    // wrapped Balls jump, so their Collisions are re-detected.
+    if ( this.playArea.periodicBorderProperty.value ) {
+      for ( let i = 0; i < this.ballSystem.balls.length; i++ ) {
+        const ball = this.ballSystem.balls[ i ];
+        this.ballSystem.wrapBallIntoPlayArea( ball ) && this.invalidateCollisions( ball );
+      }
+    }
 
     sceneryLog && sceneryLog.Sim && sceneryLog.pop();
   }
 
   /**
-   * Detects all ball-ball and ball-border collisions that have not already been detected.
+   * Detects all ball-ball, ball-peg, ball-wall, and ball-border collisions that have not already been detected.
    * @protected - can be overridden in subclasses.
    *
    * @param {number} elapsedTime - elapsedTime, based on where the Balls are positioned when this method is called.
+   * @param {number} dt - the time-delta until the end of the time-step, in seconds.
    */
-  detectAllCollisions( elapsedTime ) {
+  detectAllCollisions( elapsedTime, dt ) {
     assert && assert( typeof elapsedTime === 'number' && elapsedTime >= 0, `invalid elapsedTime: ${elapsedTime}` );
+    assert && assert( typeof dt === 'number', `invalid dt: ${dt}` );
 
-    // CollisionEngine only deals with detecting 2 types of collisions, but sub-types might not ('Inelastic' screen).
-    this.detectBallToBallCollisions( elapsedTime );
+    // CollisionEngine only deals with detecting 4 types of collisions, but sub-types might not ('Inelastic' screen).
+    this.detectBallToBallCollisions( elapsedTime, dt );
+    this.detectBallToPegCollisions( elapsedTime );
+    this.detectBallToWallCollisions( elapsedTime );
     this.detectBallToBorderCollisions( elapsedTime );
   }
 
@@ -261,14 +450,54 @@ class CollisionEngine {
     sceneryLog && sceneryLog.Sim && sceneryLog.Sim( 'CollisionEngine.handleCollision' );
     sceneryLog && sceneryLog.Sim && sceneryLog.push();
 
-    // CollisionEngine only deals with detecting 2 types of collisions, but sub-types might not ('Inelastic' screen).
-    collision.includes( this.playArea ) ?
-    this.handleBallToBorderCollision( collision.body2 === this.playArea ? collision.body1 : collision.body2, dt ) :
-    this.handleBallToBallCollision( collision.body1, collision.body2, dt );
+    // CollisionEngine only deals with detecting 4 types of collisions, but sub-types might not ('Inelastic' screen).
+    if ( collision.includes( this.playArea ) ) {
+      this.handleBallToBorderCollision( collision.body2 === this.playArea ? collision.body1 : collision.body2, dt );
+    }
+    else if ( collision.body2 instanceof Peg ) {
+      this.handleBallToPegCollision( collision.body1, collision.body2, dt );
+    }
+    else if ( collision.body2 instanceof Wall ) {
+      this.handleBallToWallCollision( collision.body1, collision.body2, dt );
+    }
+    else {
+      this.handleBallToBallCollision( collision.body1, collision.body2, dt );
+    }
 
     sceneryLog && sceneryLog.Sim && sceneryLog.pop();
   }
 
+  /**
+   * Gets the elasticity of a Collision between a Ball and another body, which is zero for bodies in resting contact
+   * (see RestingContacts). Otherwise, it is looked up in the RestitutionMatrix of the BallSystem, where Pegs and Walls
+   * use the elasticity of the Ball with the border.
+   * @protected
+   *
+   * @param {Ball} ball
+   * @param {Object} body
+   * @returns {number}
+   */
+  getElasticity( ball, body ) {
+    if ( this.restingContacts.includes( ball, body ) ) {
+      return 0;
+    }
+    return this.ballSystem.restitutionMatrix.getElasticity( ball,
+      body instanceof Peg || body instanceof Wall ? this.playArea : body );
+  }
+
+  /**
+   * Whether a Ball is free, meaning that its motion in between collisions only depends on the PlayArea. The collisions
+   * of Balls that aren't free (like Balls that are stuck in a RotatingBallCluster) aren't detected by CollisionEngine,
+   * so sub-types that constrain the motion of Balls must detect them instead.
+   * @protected - can be overridden in subclasses.
+   *
+   * @param {Ball} ball
+   * @returns {boolean}
+   */
+  isBallFree( ball ) {
+    return true;
+  }
+
   /**
    * Remove all collisions that involves the passed-in body.
    * @protected
@@ -278,12 +507,35 @@ class CollisionEngine {
   invalidateCollisions( body ) {
     assert && assert( body instanceof Object, `invalid body: ${body}` );
 
-    for ( let i = this.collisions.length - 1; i >= 0; i-- ) {
-      const collision = this.collisions[ i ];
+    this.collisionQueue.removeBody( body, this.collisionsToDispose );
+
+    // With gravity, Balls support the Balls that rest against them, so changing the velocity of a Ball can change the
+    // accelerations of the Balls that it touches (see PlayArea.getBallGravityAcceleration()).
+    if ( body instanceof Ball && this.playArea.uniformGravity.isEnabledProperty.value ) {
+      this.playArea.getTouchingBalls( body, this.ballSystem.balls ).forEach( ball => {
+        ball !== body && this.collisionQueue.removeBody( ball, this.collisionsToDispose );
+        this.gravityAccelerations.delete( ball );
+      } );
+    }
+  }
 
-      if ( collision.includes( body ) ) {
-        this.collisions.splice( i, 1 );
-        this.collisionsToDispose.push( collision );
+  /**
+   * With gravity, removes the Collisions of the Balls whose accelerations have changed since their Collisions were
+   * detected, which happens when the bodies that support them move away (see PlayArea.getBallGravityAcceleration()).
+   * The Collisions of the other Balls are still valid, since their equations of motion haven't changed.
+   * @private
+   */
+  invalidateAcceleratedBalls() {
+    const balls = this.ballSystem.balls;
+
+    for ( let i = 0; i < balls.length; i++ ) {
+      const ball = balls[ i ];
+      const acceleration = this.playArea.getBallGravityAcceleration( ball, balls );
+      const previousAcceleration = this.gravityAccelerations.get( ball );
+
+      if ( !previousAcceleration || !previousAcceleration.equals( acceleration ) ) {
+        this.collisionQueue.removeBody( ball, this.collisionsToDispose );
+        this.gravityAccelerations.set( ball, acceleration );
       }
     }
   }
@@ -294,81 +546,414 @@ class CollisionEngine {
 
   /**
    * Detects all ball-to-ball collisions of the BallSystem that haven't already occurred. Ball-to-ball collisions are
-   * detected before the collision occurs to avoid tunneling scenarios. For newly detected collisions, necessary
-   * information is encapsulated in a Collision instance.
+   * detected before the collision occurs to avoid tunneling scenarios. Only the pairs of Balls that may collide within
+   * the rest of the time-step (see BroadPhase) are checked. For newly detected collisions, necessary information is
+   * encapsulated in a Collision instance.
    * @private
    *
    * @param {number} elapsedTime - elapsedTime, based on where the Balls are positioned when this method is called.
+   * @param {number} dt - the time-delta until the end of the time-step, in seconds.
    */
-  detectBallToBallCollisions( elapsedTime ) {
+  detectBallToBallCollisions( elapsedTime, dt ) {
     assert && assert( typeof elapsedTime === 'number' && elapsedTime >= 0, `invalid elapsedTime: ${elapsedTime}` );
 
     sceneryLog && sceneryLog.Sim && sceneryLog.Sim( 'detectBallToBallCollisions' );
     sceneryLog && sceneryLog.Sim && sceneryLog.push();
 
-    // Loop through each unique possible pair of Balls.
-    for ( let i = 1; i < this.ballSystem.balls.length; i++ ) {
-      const ball1 = this.ballSystem.balls[ i ];
-      for ( let j = 0; j < i; j++ ) {
-        const ball2 = this.ballSystem.balls[ j ];
+    // With gravity, Balls that are supported by the border (directly or through other Balls) have a different
+    // acceleration than the other Balls.
+    const isGravityEnabled = this.playArea.uniformGravity.isEnabledProperty.value;
 
-        assert && assert( ball1 !== ball2, 'ball cannot collide with itself' );
+    // Loop through each pair of Balls that may collide within the time-step.
+    this.broadPhase.forEachCandidatePair( this.ballSystem.balls, dt, ( ball1, ball2 ) => {
 
-        // Only detect new ball-ball collisions if it hasn't already been detected.
-        if ( this.hasCollisionBetween( ball1, ball2 ) ) {
-          continue;
+      // Only detect new ball-ball collisions of free Balls if it hasn't already been detected.
+      if ( !this.isBallFree( ball1 ) || !this.isBallFree( ball2 ) || this.hasCollisionBetween( ball1, ball2 ) ) {
+        return;
+      }
+
+      const acceleration1 = isGravityEnabled ?
+                            this.playArea.getBallGravityAcceleration( ball1, this.ballSystem.balls ) : Vector2.ZERO;
+      const acceleration2 = isGravityEnabled ?
+                            this.playArea.getBallGravityAcceleration( ball2, this.ballSystem.balls ) : Vector2.ZERO;
+      let collisionTime = null;
+
+      // With a periodic border, the first Ball may collide with any image of the second Ball. Neither Ball leaves the
+      // PlayArea until it is wrapped, which re-detects its Collisions, so their separation stays within one width and
+      // height of the PlayArea, and only the images in the 3x3 block of cells around the second Ball can be reached.
+      // The earliest collision of those images is saved, so the Collision stays valid as the minimum image changes.
+      const periodicImages = this.playArea.periodicBorderProperty.value ? 1 : 0;
+      for ( let i = -periodicImages; i <= periodicImages; i++ ) {
+        for ( let j = -periodicImages; j <= periodicImages; j++ ) {
+          this.imagePosition.setXY( ball2.positionProperty.value.x + i * this.playArea.width,
+            ball2.positionProperty.value.y + j * this.playArea.height );
+
+          const imageCollisionTime = this.getCircleCollisionTime(
+            ball1.positionProperty.value,
+            ball1.velocityProperty.value,
+            acceleration1,
+            this.imagePosition,
+            ball2.velocityProperty.value,
+            acceleration2,
+            ball1.radiusProperty.value + ball2.radiusProperty.value,
+            elapsedTime
+          );
+
+          if ( imageCollisionTime !== null && ( collisionTime === null ||
+               Math.abs( imageCollisionTime - elapsedTime ) < Math.abs( collisionTime - elapsedTime ) ) ) {
+            collisionTime = imageCollisionTime;
+          }
         }
+      }
 
-        // Reference the multiplier of the velocity of the Ball. When the sim is being reversed, Balls are essentially
-        // moving in the opposite direction of its velocity vector. For calculating if Balls will collide, reverse the
-        // velocity of the ball for convenience and reverse the collisionTime back at the end.
-        const velocityMultiplier = this.timeStepDirectionProperty.value;
+      const collision = Collision.createFromPool( ball1, ball2, collisionTime );
 
-        /*----------------------------------------------------------------------------*
-         * This calculation for detecting if the balls will collide comes from the
-         * known fact that when the Balls are exactly colliding, their distance is
-         * exactly equal to the sum of their radii.
-         *
-         * Documenting the derivation was beyond the scope of code comments. Please reference
-         * https://github.com/phetsims/collision-lab/blob/main/doc/algorithms/ball-to-ball-collision-detection.md
-         *----------------------------------------------------------------------------*/
+      sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `adding collision ${collision}` );
 
-        this.deltaR.set( ball2.positionProperty.value ).subtract( ball1.positionProperty.value );
-        this.deltaV.set( ball2.velocityProperty.value ).subtract( ball1.velocityProperty.value ).multiply( velocityMultiplier );
-        const sumOfRadiiSquared = ( ball1.radiusProperty.value + ball2.radiusProperty.value ) ** 2;
+      // Register the collision and encapsulate information in a Collision instance.
+      this.addCollision( collision );
+    } );
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.pop();
+  }
 
-        const relativeDotProduct = this.deltaV.dot( this.deltaR );
+  /**
+   * Calculates when two circular bodies, like a pair of Balls or a Ball and a Peg, will collide. Instead of passing in
+   * the bodies, key attributes of the bodies are passed-in, so that bodies that never move (see Peg) can be passed in
+   * with a zero velocity and acceleration. The equations of motion of the bodies in between collisions depend on the
+   * table friction and gravitational field of the PlayArea.
+   * @private
+   *
+   * @param {Vector2} position1 - the position of the first body.
+   * @param {Vector2} velocity1 - the velocity of the first body.
+   * @param {Vector2} acceleration1 - the acceleration of the first body due to gravity.
+   * @param {Vector2} position2 - the position of the second body.
+   * @param {Vector2} velocity2 - the velocity of the second body.
+   * @param {Vector2} acceleration2 - the acceleration of the second body due to gravity.
+   * @param {number} sumOfRadii - the sum of the radii of the bodies.
+   * @param {number} elapsedTime - elapsedTime, based on where the bodies are positioned when this method is called.
+   * @returns {number|null} - null indicates that the bodies will not collide.
+   */
+  getCircleCollisionTime( position1, velocity1, acceleration1, position2, velocity2, acceleration2, sumOfRadii, elapsedTime ) {
 
-        const isEffectivelyParallel = Math.abs( relativeDotProduct ) < 1e-11;
+    // With table friction, the bodies are decelerating and the quadratic doesn't apply.
+    if ( this.playArea.tableFriction.isEnabledProperty.value ) {
+      return this.getFrictionCollisionTime( position1, velocity1, position2, velocity2, sumOfRadii, elapsedTime );
+    }
 
-        // Solve for the possible roots of the quadratic outlined in the document above.
-        const possibleRoots = Utils.solveQuadraticRootsReal(
-          this.deltaV.magnitudeSquared,
-          relativeDotProduct * 2,
-          CollisionLabUtils.clampDown( this.deltaR.magnitudeSquared - sumOfRadiiSquared ) );
+    // With gravity, the bodies are accelerating. If both bodies have the same acceleration, their relative motion is
+    // uniform and the quadratic still applies. Otherwise, the quartic of their relative motion is solved.
+    if ( !acceleration1.equals( acceleration2 ) ) {
+      return this.getGravityCollisionTime( position1, velocity1, acceleration1, position2, velocity2, acceleration2,
+        sumOfRadii, elapsedTime );
+    }
 
-        // The minimum root of the quadratic is when the Balls will first collide.
-        const root = possibleRoots ? Math.min( ...possibleRoots ) : null;
+    return this.getUniformCollisionTime( position1, velocity1, position2, velocity2, sumOfRadii, elapsedTime );
+  }
 
-        // If the quadratic root is finite and the collisionTime is positive, the collision is detected and should be
-        // registered.
-        const collisionTime = ( Number.isFinite( root ) && root >= 0 && !isEffectivelyParallel ) ? elapsedTime + root * velocityMultiplier : null;
+  /**
+   * Calculates when two circular bodies in uniform relative motion will collide.
+   * @private
+   *
+   * @param {Vector2} position1 - the position of the first body.
+   * @param {Vector2} velocity1 - the velocity of the first body.
+   * @param {Vector2} position2 - the position of the second body.
+   * @param {Vector2} velocity2 - the velocity of the second body.
+   * @param {number} sumOfRadii - the sum of the radii of the bodies.
+   * @param {number} elapsedTime - elapsedTime, based on where the bodies are positioned when this method is called.
+   * @returns {number|null} - null indicates that the bodies will not collide.
+   */
+  getUniformCollisionTime( position1, velocity1, position2, velocity2, sumOfRadii, elapsedTime ) {
 
-        const collision = Collision.createFromPool( ball1, ball2, collisionTime );
+    // Reference the multiplier of the velocity of the Ball. When the sim is being reversed, Balls are essentially
+    // moving in the opposite direction of its velocity vector. For calculating if Balls will collide, reverse the
+    // velocity of the ball for convenience and reverse the collisionTime back at the end.
+    const velocityMultiplier = this.timeStepDirectionProperty.value;
 
-        sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `adding collision ${collision} root:${root} ${this.deltaV.dot( this.deltaR )}` );
+    /*----------------------------------------------------------------------------*
+     * This calculation for detecting if the balls will collide comes from the
+     * known fact that when the Balls are exactly colliding, their distance is
+     * exactly equal to the sum of their radii.
+     *
+     * Documenting the derivation was beyond the scope of code comments. Please reference
+     * https://github.com/phetsims/collision-lab/blob/main/doc/algorithms/ball-to-ball-collision-detection.md
+     *----------------------------------------------------------------------------*/
 
-        // Register the collision and encapsulate information in a Collision instance.
-        this.collisions.push( collision );
+    this.deltaR.set( position2 ).subtract( position1 );
+    this.deltaV.set( velocity2 ).subtract( velocity1 ).multiply( velocityMultiplier );
+    const sumOfRadiiSquared = sumOfRadii ** 2;
+
+    const relativeDotProduct = this.deltaV.dot( this.deltaR );
+    const overlapDistanceSquared = CollisionLabUtils.clampDown( this.deltaR.magnitudeSquared - sumOfRadiiSquared );
+
+    const isEffectivelyParallel = Math.abs( relativeDotProduct ) < 1e-11;
+
+    // The Balls are touching (or already overlapping), so they are colliding only if they are moving towards each
+    // other. Otherwise, a negligible relative velocity degenerates the quadratic into a line with a root at zero.
+    if ( overlapDistanceSquared <= 0 ) {
+      return CollisionLabUtils.clampDown( relativeDotProduct / sumOfRadii ) < 0 ? elapsedTime : null;
+    }
+
+    // Solve for the possible roots of the quadratic outlined in the document above.
+    const possibleRoots = Utils.solveQuadraticRootsReal(
+      this.deltaV.magnitudeSquared,
+      relativeDotProduct * 2,
+      overlapDistanceSquared );
+
+    // The minimum root of the quadratic is when the Balls will first collide.
+    const root = possibleRoots ? Math.min( ...possibleRoots ) : null;
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `root:${root} ${relativeDotProduct}` );
+
+    // If the quadratic root is finite and the collisionTime is positive, the collision is detected and should be
+    // registered.
+    return ( Number.isFinite( root ) && root >= 0 && !isEffectivelyParallel ) ? elapsedTime + root * velocityMultiplier : null;
+  }
+
+  /**
+   * Calculates when two bodies that are decelerated by table friction will collide. Since the directions of the Balls
+   * don't change in between collisions, the position of each Ball is its current position plus its distance traveled
+   * (see TableFriction.getDistance()) along its direction. There is no closed-form solution for when the distance
+   * between the Balls equals the sum of their radii, so the collision time is found by:
+   *
+   *   1. Conservative advancement - the gap between the surfaces of the Balls can close at most by the sum of the
+   *      distances that the Balls travel, so advancing time by the gap divided by the sum of their (decreasing) speeds
+   *      never passes the first contact. A minimum advancement is used so that Balls that are touching but separating
+   *      still make progress, which means that grazes that overlap less than the minimum advancement are ignored.
+   *   2. Bisection - once the Balls overlap, the exact time of contact is found with CollisionLabUtils.bisection() in
+   *      between the last two advancements.
+   *
+   * Only the forward progression of time is supported, since the sim cannot be stepped backwards with table friction.
+   * @private
+   *
+   * @param {Vector2} position1 - the position of the first body.
+   * @param {Vector2} velocity1 - the velocity of the first body.
+   * @param {Vector2} position2 - the position of the second body.
+   * @param {Vector2} velocity2 - the velocity of the second body.
+   * @param {number} sumOfRadii - the sum of the radii of the bodies.
+   * @param {number} elapsedTime - elapsedTime, based on where the bodies are positioned when this method is called.
+   * @returns {number|null} - null indicates that the bodies will not collide.
+   */
+  getFrictionCollisionTime( position1, velocity1, position2, velocity2, sumOfRadii, elapsedTime ) {
+    assert && assert( this.timeStepDirectionProperty.value === 1, 'table friction is not time-reversible' );
+
+    const tableFriction = this.playArea.tableFriction;
+
+    // Reference quantities of the bodies. The direction of a stationary body is the zero vector.
+    const speed1 = velocity1.magnitude;
+    const speed2 = velocity2.magnitude;
+    const direction1 = speed1 > 0 ? velocity1.normalized() : Vector2.ZERO;
+    const direction2 = speed2 > 0 ? velocity2.normalized() : Vector2.ZERO;
+    this.deltaR.set( position2 ).subtract( position1 );
+
+    // The time when both Balls have stopped.
+    const stopTime = Math.max( tableFriction.getStopTime( speed1 ), tableFriction.getStopTime( speed2 ) );
+
+    // Convenience functions that get the x and y components of the displacement from ball1 to ball2 at some time.
+    const getDeltaX = time => this.deltaR.x + direction2.x * tableFriction.getDistance( speed2, time )
+                              - direction1.x * tableFriction.getDistance( speed1, time );
+    const getDeltaY = time => this.deltaR.y + direction2.y * tableFriction.getDistance( speed2, time )
+                              - direction1.y * tableFriction.getDistance( speed1, time );
+
+    // Convenience function that gets the gap between the surfaces of the Balls at some time. Negative when overlapping.
+    const getGap = time => Math.sqrt( getDeltaX( time ) ** 2 + getDeltaY( time ) ** 2 ) - sumOfRadii;
+
+    // Convenience function that indicates if the Balls are moving towards each other at some time.
+    const isApproaching = time => {
+      const relativeVelocityX = direction2.x * tableFriction.getSpeed( speed2, time ) - direction1.x * tableFriction.getSpeed( speed1, time );
+      const relativeVelocityY = direction2.y * tableFriction.getSpeed( speed2, time ) - direction1.y * tableFriction.getSpeed( speed1, time );
+      return relativeVelocityX * getDeltaX( time ) + relativeVelocityY * getDeltaY( time ) < 0;
+    };
+
+    // Convenience function that finds the exact time of contact in between two times, where the Balls are separated at
+    // the first time and overlapping at the second time.
+    const getContactTime = ( minTime, maxTime ) => CollisionLabUtils.bisection( t => {
+      const gap = getGap( t );
+      return Math.abs( gap ) < CollisionLabConstants.ZERO_THRESHOLD ? 0 : -Math.sign( gap );
+    }, minTime, maxTime );
+
+    // The minimum advancement of the gap, in meters, so that Balls that are touching but separating make progress.
+    const minimumAdvancement = sumOfRadii * 1e-2;
+
+    let previousTime = 0;
+    let previousGap = null;
+    let time = 0;
+    let haveStopped = false;
+
+    while ( !haveStopped ) {
+      const gap = CollisionLabUtils.clampDown( getGap( time ) );
+
+      // The Balls started to overlap in between the last two advancements, so find the exact time of contact.
+      if ( gap < 0 && previousGap !== null && previousGap >= 0 ) {
+        return elapsedTime + getContactTime( previousTime, time );
+      }
+
+      // The Balls are touching (or already overlapping) and moving towards each other.
+      if ( gap <= 0 && isApproaching( time ) ) {
+        return elapsedTime + time;
       }
+
+      // After both Balls stop, the gap between them doesn't change.
+      haveStopped = time === stopTime;
+
+      const sumOfSpeeds = tableFriction.getSpeed( speed1, time ) + tableFriction.getSpeed( speed2, time );
+
+      previousTime = time;
+      previousGap = gap;
+      time = Math.min( stopTime, time + Math.max( gap, minimumAdvancement ) / sumOfSpeeds );
     }
 
-    sceneryLog && sceneryLog.Sim && sceneryLog.pop();
+    return null;
+  }
+
+  /**
+   * Calculates when two bodies will collide within the rest of the time-step, for bodies whose motion has no closed-form
+   * collision time, like the Balls of a RotatingBallCluster. Instead of passing in the bodies, the gap between them is
+   * passed in as a function of time. Like getFrictionCollisionTime(), time is advanced conservatively by the gap divided
+   * by the maximum rate that the gap can close, which never passes the first contact, and the exact time of contact is
+   * found with bisection once the bodies overlap. Only the forward progression of time is supported.
+   * @protected
+   *
+   * @param {function(time:number):number} getGap - gets the gap between the bodies after a time-delta. Negative when
+   *                                                overlapping.
+   * @param {function(time:number):boolean} isApproaching - indicates if the bodies are moving towards each other after
+   *                                                        a time-delta. Negligible approaching speeds should be
+   *                                                        ignored, so that bodies that are touching after a perfectly
+   *                                                        inelastic collision don't collide again.
+   * @param {number} maxSpeed - the maximum rate that the gap between the bodies can close, in meters per second.
+   * @param {number} size - the sum of the radii of the bodies, in meters, which scales the minimum advancement.
+   * @param {number} elapsedTime - elapsedTime, based on where the bodies are positioned when this method is called.
+   * @param {number} dt - the time-delta until the end of the time-step, in seconds.
+   * @returns {number|null} - null indicates that the bodies will not collide within the time-step.
+   */
+  getAdvancementCollisionTime( getGap, isApproaching, maxSpeed, size, elapsedTime, dt ) {
+    assert && assert( dt >= 0, 'only the forward progression of time is supported' );
+
+    // Convenience function that finds the exact time of contact in between two times, where the bodies are separated at
+    // the first time and overlapping at the second time.
+    const getContactTime = ( minTime, maxTime ) => CollisionLabUtils.bisection( t => {
+      const gap = getGap( t );
+      return Math.abs( gap ) < CollisionLabConstants.ZERO_THRESHOLD ? 0 : -Math.sign( gap );
+    }, minTime, maxTime );
+
+    // The minimum advancement of the gap, in meters, so that bodies that are touching but separating make progress.
+    const minimumAdvancement = size * MINIMUM_ADVANCEMENT_FACTOR;
+
+    let collisionTime = null;
+    let previousTime = 0;
+    let previousGap = null;
+    let time = 0;
+    let isEndOfStep = false;
+
+    while ( collisionTime === null && !isEndOfStep ) {
+      const gap = CollisionLabUtils.clampDown( getGap( time ) );
+
+      // The bodies started to overlap in between the last two advancements, so find the exact time of contact.
+      if ( gap < 0 && previousGap !== null && previousGap >= 0 ) {
+        collisionTime = elapsedTime + getContactTime( previousTime, time );
+      }
+
+      // The bodies are touching (or already overlapping) and moving towards each other.
+      else if ( gap <= 0 && isApproaching( time ) ) {
+        collisionTime = elapsedTime + time;
+      }
+
+      isEndOfStep = time === dt;
+
+      previousTime = time;
+      previousGap = gap;
+      time = Math.min( dt, time + Math.max( gap, minimumAdvancement ) / maxSpeed );
+    }
+    return collisionTime;
+  }
+
+  /**
+   * Calculates when two bodies with different accelerations in the gravitational field of the PlayArea will collide,
+   * which happens when one of the Balls is supported by the border (see PlayArea.getBallGravityAcceleration()) or when
+   * a Ball falls onto a Peg, which never moves. With the relative position, velocity, and acceleration of the bodies, r,
+   * v, and a, the bodies are exactly colliding when
+   *
+   *   f(t) = | r + v * t + a * t^2 / 2 |^2 - ( R1 + R2 )^2 = 0
+   *
+   * which is a quartic in t. Instead of solving the quartic in closed-form (which is numerically unstable), the critical
+   * points of f are found by solving its derivative, a cubic. Since f is monotonic in between consecutive critical
+   * points, the first time that the Balls start to overlap is in the first interval where f goes from positive to
+   * non-positive, and the exact time is found in that interval with CollisionLabUtils.bisection().
+   * @private
+   *
+   * @param {Vector2} position1 - the position of the first body.
+   * @param {Vector2} velocity1 - the velocity of the first body.
+   * @param {Vector2} acceleration1 - the acceleration of the first body, in m/s^2.
+   * @param {Vector2} position2 - the position of the second body.
+   * @param {Vector2} velocity2 - the velocity of the second body.
+   * @param {Vector2} acceleration2 - the acceleration of the second body, in m/s^2.
+   * @param {number} sumOfRadii - the sum of the radii of the bodies.
+   * @param {number} elapsedTime - elapsedTime, based on where the bodies are positioned when this method is called.
+   * @returns {number|null} - null indicates that the bodies will not collide.
+   */
+  getGravityCollisionTime( position1, velocity1, acceleration1, position2, velocity2, acceleration2, sumOfRadii, elapsedTime ) {
+    assert && assert( acceleration1 instanceof Vector2, `invalid acceleration1: ${acceleration1}` );
+    assert && assert( acceleration2 instanceof Vector2, `invalid acceleration2: ${acceleration2}` );
+
+    // Reference the multiplier of the velocity of the Balls. When the sim is being reversed, Balls are essentially
+    // moving in the opposite direction of their velocity vectors, but their accelerations are unchanged.
+    const velocityMultiplier = this.timeStepDirectionProperty.value;
+
+    this.deltaR.set( position2 ).subtract( position1 );
+    this.deltaV.set( velocity2 ).subtract( velocity1 ).multiply( velocityMultiplier );
+    const halfDeltaA = acceleration2.minus( acceleration1 ).divideScalar( 2 );
+    const sumOfRadiiSquared = sumOfRadii ** 2;
+
+    // The coefficients of f, from the highest degree to the lowest degree.
+    const a = halfDeltaA.magnitudeSquared;
+    const b = 2 * this.deltaV.dot( halfDeltaA );
+    const c = this.deltaV.magnitudeSquared + 2 * this.deltaR.dot( halfDeltaA );
+    const d = 2 * this.deltaR.dot( this.deltaV );
+    const e = CollisionLabUtils.clampDown( this.deltaR.magnitudeSquared - sumOfRadiiSquared );
+    const f = t => ( ( ( a * t + b ) * t + c ) * t + d ) * t + e;
+
+    // The Balls are touching (or already overlapping) and moving towards each other. Balls that are touching with a
+    // negligible relative velocity along the normal are resting against each other, so they aren't colliding, and
+    // the Ball that is supported doesn't accelerate into the other (see PlayArea.getBallGravityAcceleration()).
+    const normalRate = CollisionLabUtils.clampDown( d / ( 2 * sumOfRadii ) );
+    if ( e <= 0 && normalRate < 0 ) {
+      return elapsedTime;
+    }
+
+    // The times of the critical points of f that are in the future, in ascending order. After the last critical point,
+    // f is increasing since the leading coefficient is positive, so the Balls can't start to overlap.
+    const criticalTimes = ( Utils.solveCubicRootsReal( 4 * a, 3 * b, 2 * c, d ) || [] )
+      .filter( t => t > 0 )
+      .sort( ( t1, t2 ) => t1 - t2 );
+
+    let previousTime = 0;
+    for ( let i = 0; i < criticalTimes.length; i++ ) {
+      if ( f( previousTime ) > 0 && f( criticalTimes[ i ] ) <= 0 ) {
+        const root = CollisionLabUtils.bisection( t => {
+          const value = f( t );
+          return Math.abs( value ) < CollisionLabConstants.ZERO_THRESHOLD ? 0 : -Math.sign( value );
+        }, previousTime, criticalTimes[ i ] );
+
+        return elapsedTime + root * velocityMultiplier;
+      }
+
+      // The Balls are overlapping and moving apart, but they start moving towards each other again before they stop
+      // overlapping. This happens when a Ball slides off of a Ball that supported it, since the support is lost as
+      // soon as the Balls aren't touching anymore.
+      if ( e < 0 && normalRate > 0 && f( criticalTimes[ i ] ) < 0 && f( previousTime ) <= f( criticalTimes[ i ] ) ) {
+        return elapsedTime + criticalTimes[ i ] * velocityMultiplier;
+      }
+      previousTime = criticalTimes[ i ];
+    }
+
+    return null;
   }
 
   /**
    * Responds to and handles a single ball-to-ball collision by updating the velocity of both Balls depending on their
-   * orientation and elasticity. The collision algorithm follows the standard rigid-body collision model as described in
+   * orientation and the elasticity of the pair, as described in the RestitutionMatrix. If the PlayArea has contact
+   * friction, the spin of both Balls is updated as well. The collision algorithm follows
+   * the standard rigid-body collision model as described in
    * http://web.mst.edu/~reflori/be150/Dyn%20Lecture%20Videos/Impact%20Particles%201/Impact%20Particles%201.pdf.
    *
    * Our version deals with normalized dot product projections to switch coordinate frames. Please reference
@@ -390,7 +975,7 @@ class CollisionEngine {
     // Convenience references to known ball values.
     const m1 = ball1.massProperty.value;
     const m2 = ball2.massProperty.value;
-    let elasticity = this.playArea.getElasticity();
+    let elasticity = this.getElasticity( ball1, ball2 );
 
     assert && assert( dt >= 0 || elasticity > 0, 'We cannot step backwards with zero elasticity' );
 
@@ -401,8 +986,10 @@ class CollisionEngine {
     sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `ball1 v: ${ball1.velocityProperty.value}` );
     sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `ball2 v: ${ball2.velocityProperty.value}` );
 
-    // Set the Normal and Tangential vector, called the 'line of impact' and 'plane of contact' respectively.
-    const normal = ball2.positionProperty.value.minus( ball1.positionProperty.value ).normalize();
+    // Set the Normal and Tangential vector, called the 'line of impact' and 'plane of contact' respectively. With a
+    // periodic border, the Balls may be colliding across the seam, so the minimum image of ball2 is used.
+    const normal = this.playArea.getMinimumImagePosition( ball2.positionProperty.value, ball1.positionProperty.value )
+      .minus( ball1.positionProperty.value ).normalize();
     const tangent = new Vector2( -normal.y, normal.x );
 
     sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `normal ${normal}` );
@@ -411,8 +998,8 @@ class CollisionEngine {
     // Reference the 'normal' and 'tangential' components of the Ball velocities. This is a switch in coordinate frames.
     const v1n = ball1.velocityProperty.value.dot( normal );
     const v2n = ball2.velocityProperty.value.dot( normal );
-    const v1t = ball1.velocityProperty.value.dot( tangent );
-    const v2t = ball2.velocityProperty.value.dot( tangent );
+    let v1t = ball1.velocityProperty.value.dot( tangent );
+    let v2t = ball2.velocityProperty.value.dot( tangent );
 
     sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `m1 ${m1}` );
     sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `m2 ${m2}` );
@@ -434,6 +1021,38 @@ class CollisionEngine {
     sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `v1nP ${v1nP}` );
     sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `v2nP ${v2nP}` );
 
+    // Contact friction exerts a tangential impulse at the point of contact that opposes the slipping of the surfaces of
+    // the Balls, which trades the tangential momentum of the Balls for spin. Following Coulomb's law of friction, the
+    // tangential impulse is at most the coefficient of friction times the normal impulse, and at most the impulse that
+    // stops the slipping entirely (where the surfaces grip each other).
+    const contactFriction = this.playArea.contactFrictionProperty.value;
+
+    assert && assert( dt >= 0 || contactFriction === 0, 'We cannot step backwards with contact friction' );
+
+    if ( contactFriction > 0 ) {
+      const r1 = ball1.radiusProperty.value;
+      const r2 = ball2.radiusProperty.value;
+      const I1 = ball1.momentOfInertiaProperty.value;
+      const I2 = ball2.momentOfInertiaProperty.value;
+
+      // The tangential velocity of the surface of ball2 relative to the surface of ball1 at the point of contact.
+      const slipVelocity = ( v2t - ball2.angularVelocityProperty.value * r2 ) - ( v1t + ball1.angularVelocityProperty.value * r1 );
+
+      // The magnitude of the normal impulse of the collision and the tangential impulse that would stop the slipping.
+      const normalImpulse = Math.abs( m2 * ( v2nP - v2n ) );
+      const gripImpulse = -slipVelocity / ( 1 / m1 + 1 / m2 + r1 * r1 / I1 + r2 * r2 / I2 );
+
+      // The tangential impulse on ball2. Ball1 receives the opposite impulse.
+      const tangentialImpulse = Utils.clamp( gripImpulse, -contactFriction * normalImpulse, contactFriction * normalImpulse );
+
+      sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `tangentialImpulse ${tangentialImpulse}` );
+
+      v1t -= tangentialImpulse / m1;
+      v2t += tangentialImpulse / m2;
+      ball1.angularVelocityProperty.value -= r1 * tangentialImpulse / I1;
+      ball2.angularVelocityProperty.value -= r2 * tangentialImpulse / I2;
+    }
+
     // Change coordinate frames back into the standard x-y coordinate frame.
     const v1xP = tangent.dotXY( v1t, v1nP );
     const v2xP = tangent.dotXY( v2t, v2nP );
@@ -452,6 +1071,319 @@ class CollisionEngine {
     sceneryLog && sceneryLog.Sim && sceneryLog.pop();
   }
 
+  /*----------------------------------------------------------------------------*
+   * Ball To Peg Collisions
+   *----------------------------------------------------------------------------*/
+
+  /**
+   * Detects all ball-to-peg collisions of the BallSystem that haven't already occurred. Pegs never move, so ball-to-peg
+   * collisions are detected like ball-to-ball collisions where the second Ball is stationary and isn't accelerated.
+   * For newly detected collisions, information is encapsulated in a Collision instance, with the Peg as the second body.
+   * @private
+   *
+   * @param {number} elapsedTime - elapsedTime, based on where the Balls are positioned when this method is called.
+   */
+  detectBallToPegCollisions( elapsedTime ) {
+    assert && assert( typeof elapsedTime === 'number' && elapsedTime >= 0, `invalid elapsedTime: ${elapsedTime}` );
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.Sim( 'detectBallToPegCollisions' );
+    sceneryLog && sceneryLog.Sim && sceneryLog.push();
+
+    for ( let i = this.ballSystem.balls.length - 1; i >= 0; i-- ) {
+      const ball = this.ballSystem.balls[ i ];
+      if ( !this.isBallFree( ball ) ) { continue; }
+
+      const acceleration = this.playArea.uniformGravity.isEnabledProperty.value ?
+                           this.playArea.getBallGravityAcceleration( ball, this.ballSystem.balls ) : Vector2.ZERO;
+
+      for ( let j = this.playArea.pegs.length - 1; j >= 0; j-- ) {
+        const peg = this.playArea.pegs[ j ];
+
+        // Only detect new ball-peg collisions if it hasn't already been detected.
+        if ( this.hasCollisionBetween( ball, peg ) ) {
+          continue;
+        }
+
+        const collisionTime = this.getCircleCollisionTime(
+          ball.positionProperty.value,
+          ball.velocityProperty.value,
+          acceleration,
+          peg.positionProperty.value,
+          Vector2.ZERO,
+          Vector2.ZERO,
+          ball.radiusProperty.value + peg.radius,
+          elapsedTime
+        );
+
+        const collision = Collision.createFromPool( ball, peg, collisionTime );
+
+        sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `adding collision ${collision}` );
+
+        // Register the collision and encapsulate information in a Collision instance.
+        this.addCollision( collision );
+      }
+    }
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.pop();
+  }
+
+  /**
+   * Responds to and handles a single ball-to-peg collision by reflecting the normal component of the velocity of the
+   * Ball, scaled by the elasticity of the Ball with the border. Since the Peg has infinite mass, the Peg doesn't move
+   * and the tangential component of the velocity of the Ball is unchanged. The contact is friction-less, so the spin
+   * of the Ball is unchanged as well.
+   * @protected - can be overridden in subclasses.
+   *
+   * @param {Ball} ball - the Ball involved in the collision.
+   * @param {Peg} peg - the Peg involved in the collision.
+   * @param {number} dt
+   */
+  handleBallToPegCollision( ball, peg, dt ) {
+    assert && assert( ball instanceof Ball, `invalid ball: ${ball}` );
+    assert && assert( peg instanceof Peg, `invalid peg: ${peg}` );
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `CollisionEngine.handleBallToPegCollision #${ball.index} peg${peg.index}` );
+    sceneryLog && sceneryLog.Sim && sceneryLog.push();
+
+    // Reference the multiplier of the velocity of the Ball. When the sim is being reversed (dt < 0), Balls are
+    // essentially moving in the opposite direction of its velocity vector. Even if the Ball is touching the Peg, its
+    // velocity doesn't change unless it is moving towards the Peg.
+    const velocityMultiplier = this.timeStepDirectionProperty.value;
+
+    // Reference the elasticity of the Ball with the Peg, which is the elasticity of the Ball with the border.
+    let elasticity = this.getElasticity( ball, peg );
+
+    assert && assert( dt >= 0 || elasticity > 0, 'We cannot step backwards with zero elasticity' );
+
+    if ( dt < 0 ) {
+      elasticity = 1 / elasticity;
+    }
+
+    // The 'line of impact', from the center of the Peg to the center of the Ball.
+    const normal = ball.positionProperty.value.minus( peg.positionProperty.value ).normalize();
+    const vn = ball.velocityProperty.value.dot( normal );
+
+    if ( vn * velocityMultiplier < 0 ) {
+
+      sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `#${ball.index} peg${peg.index} bounce` );
+
+      // Flip the normal component of the velocity, scaled by the elasticity.
+      const velocity = ball.velocityProperty.value.minus( normal.multiplyScalar( ( 1 + elasticity ) * vn ) );
+      ball.setXVelocity( velocity.x );
+      ball.setYVelocity( velocity.y );
+    }
+
+    // Remove all collisions that involves the involved Ball.
+    this.invalidateCollisions( ball );
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.pop();
+  }
+
+  /*----------------------------------------------------------------------------*
+   * Ball To Wall Collisions
+   *----------------------------------------------------------------------------*/
+
+  /**
+   * Detects all ball-to-wall collisions of the BallSystem that haven't already occurred. For newly detected collisions,
+   * information is encapsulated in a Collision instance, with the Wall as the second body.
+   * @private
+   *
+   * @param {number} elapsedTime - elapsedTime, based on where the Balls are positioned when this method is called.
+   */
+  detectBallToWallCollisions( elapsedTime ) {
+    assert && assert( typeof elapsedTime === 'number' && elapsedTime >= 0, `invalid elapsedTime: ${elapsedTime}` );
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.Sim( 'detectBallToWallCollisions' );
+    sceneryLog && sceneryLog.Sim && sceneryLog.push();
+
+    for ( let i = this.ballSystem.balls.length - 1; i >= 0; i-- ) {
+      const ball = this.ballSystem.balls[ i ];
+      if ( !this.isBallFree( ball ) ) { continue; }
+
+      const acceleration = this.playArea.uniformGravity.isEnabledProperty.value ?
+                           this.playArea.getBallGravityAcceleration( ball, this.ballSystem.balls ) : Vector2.ZERO;
+
+      for ( let j = this.playArea.walls.length - 1; j >= 0; j-- ) {
+        const wall = this.playArea.walls[ j ];
+
+        // Only detect new ball-wall collisions if it hasn't already been detected.
+        if ( this.hasCollisionBetween( ball, wall ) ) {
+          continue;
+        }
+
+        const collision = Collision.createFromPool( ball, wall, this.getWallCollisionTime( ball, wall, acceleration, elapsedTime ) );
+
+        sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `adding collision ${collision}` );
+
+        // Register the collision and encapsulate information in a Collision instance.
+        this.addCollision( collision );
+      }
+    }
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.pop();
+  }
+
+  /**
+   * Calculates when a Ball will collide with a Wall. A Ball can collide with either face of the Wall or with one of its
+   * end-points:
+   *
+   *   - End-points: the Ball collides with an end-point when the distance between its center and the end-point equals
+   *     its radius, which is the same as colliding with a Peg that has zero radius (see getCircleCollisionTime()).
+   *   - Faces: the Ball collides with a face when the signed distance between its center and the line of the Wall equals
+   *     plus or minus its radius while the Ball is moving towards the line, and the center of the Ball is in between
+   *     the end-points (otherwise, it collides with an end-point instead). The signed distance is a quadratic in time for
+   *     uniformly moving and accelerating Balls. With table friction, the signed distance changes proportionally to the
+   *     distance traveled by the Ball, since its direction doesn't change.
+   *
+   * @private
+   *
+   * @param {Ball} ball
+   * @param {Wall} wall
+   * @param {Vector2} acceleration - the acceleration of the Ball due to gravity.
+   * @param {number} elapsedTime - elapsedTime, based on where the Ball is positioned when this method is called.
+   * @returns {number|null} - null indicates that the Ball will not collide with the Wall.
+   */
+  getWallCollisionTime( ball, wall, acceleration, elapsedTime ) {
+    assert && assert( ball instanceof Ball, `invalid ball: ${ball}` );
+    assert && assert( wall instanceof Wall, `invalid wall: ${wall}` );
+    assert && assert( acceleration instanceof Vector2, `invalid acceleration: ${acceleration}` );
+
+    // Reference the multiplier of the velocity of the Ball. When the sim is being reversed (dt < 0), Balls are
+    // essentially moving in the opposite direction of its velocity vector, but its acceleration is unchanged.
+    const velocityMultiplier = this.timeStepDirectionProperty.value;
+
+    // Reference quantities of the Ball and the Wall.
+    const position = ball.positionProperty.value;
+    const velocity = ball.velocityProperty.value;
+    const radius = ball.radiusProperty.value;
+    const start = wall.startPositionProperty.value;
+    const end = wall.endPositionProperty.value;
+    const length = wall.length;
+
+    // The end-points of the Wall, in (non-negative) time until collision.
+    let timeUntilCollision = Math.min( ...[ start, end ].map( endPoint => {
+      const collisionTime = this.getCircleCollisionTime( position, velocity, acceleration, endPoint, Vector2.ZERO,
+        Vector2.ZERO, radius, elapsedTime );
+      return collisionTime === null ? Infinity : ( collisionTime - elapsedTime ) * velocityMultiplier;
+    } ) );
+
+    if ( length === 0 ) {
+      return Number.isFinite( timeUntilCollision ) ? elapsedTime + timeUntilCollision * velocityMultiplier : null;
+    }
+
+    const tableFriction = this.playArea.tableFriction;
+    const isFrictionEnabled = tableFriction.isEnabledProperty.value;
+    const speed = velocity.magnitude;
+    const direction = speed > 0 ? velocity.normalized() : Vector2.ZERO;
+
+    // The unit vectors along the Wall and perpendicular to it.
+    const tangent = end.minus( start ).divideScalar( length );
+    const normal = new Vector2( -tangent.y, tangent.x );
+
+    // The signed distance from the line of the Wall to the center of the Ball, and its rate and acceleration.
+    const distance = position.minus( start ).dot( normal );
+    const rate = CollisionLabUtils.clampDown( velocity.dot( normal ) * velocityMultiplier );
+    const normalAcceleration = acceleration.dot( normal );
+
+    // Convenience function that gets the position of the Ball at some time.
+    const getPosition = time => isFrictionEnabled ?
+                                direction.times( tableFriction.getDistance( speed, time ) ).add( position ) :
+                                velocity.times( time * velocityMultiplier ).add( acceleration.times( time * time / 2 ) ).add( position );
+
+    // Convenience function that indicates if a position is in between the end-points of the Wall.
+    const isBetweenEndPoints = point => {
+      const projection = point.minus( start ).dot( tangent );
+      return projection >= 0 && projection <= length;
+    };
+
+    // The Ball is touching (or already overlapping) a face of the Wall and moving towards it.
+    if ( CollisionLabUtils.clampDown( Math.abs( distance ) - radius ) <= 0 && distance * rate < 0 &&
+         isBetweenEndPoints( position ) ) {
+      return elapsedTime;
+    }
+
+    // Each face is at a signed distance of plus or minus the radius of the Ball from the center of the Ball.
+    [ radius, -radius ].forEach( contactDistance => {
+      let contactTimes;
+
+      if ( isFrictionEnabled ) {
+        const directionRate = direction.dot( normal );
+        const distanceToTravel = directionRate === 0 ? -1 : CollisionLabUtils.clampDown( contactDistance - distance ) / directionRate;
+        const time = distanceToTravel >= 0 ? tableFriction.getTimeToTravel( speed, distanceToTravel ) : null;
+        contactTimes = time === null ? [] : [ time ];
+      }
+      else {
+        contactTimes = Utils.solveQuadraticRootsReal( normalAcceleration / 2, rate,
+          CollisionLabUtils.clampDown( distance - contactDistance ) ) || [];
+      }
+
+      contactTimes.forEach( time => {
+        const contactRate = isFrictionEnabled ? direction.dot( normal ) : rate + normalAcceleration * time;
+
+        // Only collide with the face if the Ball is moving towards the line of the Wall at the time of contact.
+        if ( time >= 0 && contactRate * contactDistance < 0 && isBetweenEndPoints( getPosition( time ) ) ) {
+          timeUntilCollision = Math.min( timeUntilCollision, time );
+        }
+      } );
+    } );
+
+    return Number.isFinite( timeUntilCollision ) ? elapsedTime + timeUntilCollision * velocityMultiplier : null;
+  }
+
+  /**
+   * Responds to and handles a single ball-to-wall collision by reflecting the velocity of the Ball about the normal of
+   * the Wall at the point of contact, scaled by the elasticity of the Ball with the border. At an end-point of the
+   * Wall, the normal is the direction from the end-point to the center of the Ball. Like the border, Walls are
+   * friction-less, so the tangential component of the velocity of the Ball and its spin are unchanged.
+   * @protected - can be overridden in subclasses.
+   *
+   * @param {Ball} ball - the Ball involved in the collision.
+   * @param {Wall} wall - the Wall involved in the collision.
+   * @param {number} dt
+   */
+  handleBallToWallCollision( ball, wall, dt ) {
+    assert && assert( ball instanceof Ball, `invalid ball: ${ball}` );
+    assert && assert( wall instanceof Wall, `invalid wall: ${wall}` );
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `CollisionEngine.handleBallToWallCollision #${ball.index} wall${wall.index}` );
+    sceneryLog && sceneryLog.Sim && sceneryLog.push();
+
+    // Reference the multiplier of the velocity of the Ball. When the sim is being reversed (dt < 0), Balls are
+    // essentially moving in the opposite direction of its velocity vector. Even if the Ball is touching the Wall, its
+    // velocity doesn't change unless it is moving towards the Wall.
+    const velocityMultiplier = this.timeStepDirectionProperty.value;
+
+    // Reference the elasticity of the Ball with the Wall, which is the elasticity of the Ball with the border.
+    let elasticity = this.getElasticity( ball, wall );
+
+    assert && assert( dt >= 0 || elasticity > 0, 'We cannot step backwards with zero elasticity' );
+
+    if ( dt < 0 ) {
+      elasticity = 1 / elasticity;
+    }
+
+    // The 'line of impact', from the point of contact to the center of the Ball.
+    const normal = ball.positionProperty.value.minus( wall.getClosestPoint( ball.positionProperty.value ) ).normalize();
+    const vn = ball.velocityProperty.value.dot( normal );
+
+    if ( vn * velocityMultiplier < 0 ) {
+
+      sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `#${ball.index} wall${wall.index} bounce` );
+
+      // Flip the normal component of the velocity, scaled by the elasticity. Like the border, negligible bounces are
+      // removed, which allows Balls to come to rest on Walls with gravity.
+      const vnP = CollisionLabUtils.clampDown( -vn * elasticity, CollisionLabConstants.MIN_VELOCITY );
+      const velocity = ball.velocityProperty.value.plus( normal.multiplyScalar( vnP - vn ) );
+      ball.setXVelocity( velocity.x );
+      ball.setYVelocity( velocity.y );
+    }
+
+    // Remove all collisions that involves the involved Ball.
+    this.invalidateCollisions( ball );
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.pop();
+  }
+
   /*----------------------------------------------------------------------------*
    * Ball To Border Collisions
    *----------------------------------------------------------------------------*/
@@ -475,18 +1407,21 @@ class CollisionEngine {
       for ( let i = this.ballSystem.balls.length - 1; i >= 0; i-- ) {
         const ball = this.ballSystem.balls[ i ];
 
-        // Only detect new ball-border collisions if it hasn't already been detected.
-        if ( !this.hasCollisionBetween( ball, this.playArea ) ) {
+        // Only detect new ball-border collisions of free Balls if it hasn't already been detected.
+        if ( this.isBallFree( ball ) && !this.hasCollisionBetween( ball, this.playArea ) ) {
 
           // Calculate when the Ball will collide with the border.
-          const collisionTime = this.getBorderCollisionTime( ball.positionProperty.value, ball.velocityProperty.value, ball.radiusProperty.value, elapsedTime );
+          const collisionTime = this.getBorderCollisionTime( ball.positionProperty.value, ball.velocityProperty.value,
+            ball.radiusProperty.value, elapsedTime, this.playArea.uniformGravity.isEnabledProperty.value ?
+                                                    this.playArea.getBallGravityAcceleration( ball, this.ballSystem.balls ) :
+                                                    Vector2.ZERO );
 
           const collision = Collision.createFromPool( ball, this.playArea, collisionTime );
 
           sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `adding collision ${collision}` );
 
           // Register the collision and encapsulate information in a Collision instance.
-          this.collisions.push( collision );
+          this.addCollision( collision );
         }
       }
     }
@@ -496,20 +1431,39 @@ class CollisionEngine {
 
   /**
    * Calculates when some Ball will collide with the PlayArea's border. Instead of passing in a Ball instance, key
-   * attributes of the Ball are passed-in. This API is required for sub-classes (see InelasticCollisionEngine).
+   * attributes of the Ball are passed-in.
    * @protected
    *
    * @param {Vector2} position - the position of the Ball.
    * @param {Vector2} velocity - the velocity of the Ball.
    * @param {number} radius - the radius of the Ball.
    * @param {number} elapsedTime - elapsedTime, based on where the Ball is positioned when this method is called.
+   * @param {Vector2} [acceleration] - the acceleration of the Ball due to gravity.
    */
-  getBorderCollisionTime( position, velocity, radius, elapsedTime ) {
+  getBorderCollisionTime( position, velocity, radius, elapsedTime, acceleration = Vector2.ZERO ) {
     assert && assert( position instanceof Vector2, `invalid position: ${position}` );
     assert && assert( velocity instanceof Vector2, `invalid velocity: ${velocity}` );
     assert && assert( typeof radius === 'number', `invalid radius: ${radius}` );
     assert && assert( typeof elapsedTime === 'number' && elapsedTime >= 0, `invalid elapsedTime: ${elapsedTime}` );
 
+    // Non-rectangular borders have their own equations, for every type of motion.
+    if ( this.playArea.borderShape === PlayArea.BorderShape.CIRCLE ) {
+      return this.getCircularBorderCollisionTime( position, velocity, radius, acceleration, elapsedTime );
+    }
+    if ( this.playArea.borderShape === PlayArea.BorderShape.POLYGON ) {
+      return this.getPolygonalBorderCollisionTime( position, velocity, radius, acceleration, elapsedTime );
+    }
+
+    // With table friction, the Ball is decelerating and the equations below don't apply.
+    if ( this.playArea.tableFriction.isEnabledProperty.value ) {
+      return this.getFrictionBorderCollisionTime( position, velocity, radius, elapsedTime );
+    }
+
+    // With gravity, the Ball may be accelerating and the equations below don't apply.
+    if ( !acceleration.equals( Vector2.ZERO ) ) {
+      return this.getGravityBorderCollisionTime( position, velocity, radius, acceleration, elapsedTime );
+    }
+
     // Reference the multiplier of the velocity of the Ball. When the sim is being reversed (dt < 0), Balls are
     // essentially moving in the opposite direction of its velocity vector. For calculating if Balls will collide,
     // reverse the velocity of the ball for convenience and reverse the collisionTime back at the end.
@@ -540,11 +1494,256 @@ class CollisionEngine {
     return possibleCollisionTimes.length ? elapsedTime + timeUntilCollision : null;
   }
 
+  /**
+   * Calculates when some Ball that is decelerated by table friction will collide with the PlayArea's border. Since the
+   * direction of the Ball doesn't change, the distance that the Ball has to travel to reach each side of the border is
+   * known, and the time it takes to travel that distance is found with TableFriction.getTimeToTravel().
+   * @private
+   *
+   * @param {Vector2} position - the position of the Ball.
+   * @param {Vector2} velocity - the velocity of the Ball.
+   * @param {number} radius - the radius of the Ball.
+   * @param {number} elapsedTime - elapsedTime, based on where the Ball is positioned when this method is called.
+   * @returns {number|null} - null indicates that the Ball stops before colliding with the border.
+   */
+  getFrictionBorderCollisionTime( position, velocity, radius, elapsedTime ) {
+    assert && assert( this.timeStepDirectionProperty.value === 1, 'table friction is not time-reversible' );
+
+    const speed = velocity.magnitude;
+
+    if ( speed === 0 ) {
+      return null;
+    }
+
+    // Reference the distance the Ball would travel along its direction to reach the horizontal/vertical sides of the
+    // border that the Ball is moving towards. The distances are infinite if the Ball isn't moving horizontally/vertically.
+    const direction = velocity.normalized();
+    const horizontalDistance = direction.x === 0 ? Infinity : Math.max( 0, CollisionLabUtils.clampDown(
+      direction.x > 0 ? this.playArea.right - position.x - radius : position.x - radius - this.playArea.left
+    ) ) / Math.abs( direction.x );
+    const verticalDistance = direction.y === 0 ? Infinity : Math.max( 0, CollisionLabUtils.clampDown(
+      direction.y > 0 ? this.playArea.top - position.y - radius : position.y - radius - this.playArea.bottom
+    ) ) / Math.abs( direction.y );
+
+    // The Ball collides with the first side of the border that it reaches, if it reaches it before it stops.
+    const timeUntilCollision = this.playArea.tableFriction.getTimeToTravel( speed, Math.min( horizontalDistance, verticalDistance ) );
+
+    return timeUntilCollision === null ? null : elapsedTime + timeUntilCollision;
+  }
+
+  /**
+   * Calculates when some Ball that is accelerated by gravity will collide with the PlayArea's border. The gap between
+   * the Ball and each side of the border is a quadratic in time, and the Ball collides with a side when the gap closes
+   * (reaches zero while decreasing). Since the Ball may be pulled back towards a side that it is moving away from, both
+   * roots of each quadratic are considered.
+   * @private
+   *
+   * @param {Vector2} position - the position of the Ball.
+   * @param {Vector2} velocity - the velocity of the Ball.
+   * @param {number} radius - the radius of the Ball.
+   * @param {Vector2} acceleration - the acceleration of the Ball.
+   * @param {number} elapsedTime - elapsedTime, based on where the Ball is positioned when this method is called.
+   * @returns {number|null} - null indicates that the Ball will not collide with the border.
+   */
+  getGravityBorderCollisionTime( position, velocity, radius, acceleration, elapsedTime ) {
+
+    // Reference the multiplier of the velocity of the Ball. When the sim is being reversed (dt < 0), Balls are
+    // essentially moving in the opposite direction of its velocity vector, but its acceleration is unchanged.
+    const velocityMultiplier = this.timeStepDirectionProperty.value;
+    const xVelocity = velocity.x * velocityMultiplier;
+    const yVelocity = velocity.y * velocityMultiplier;
+
+    // Calculate the time the Ball would collide with each respective side of the border.
+    const timeUntilCollision = Math.min(
+      this.getGapClosingTime( position.x - radius - this.playArea.left, xVelocity, acceleration.x ),
+      this.getGapClosingTime( this.playArea.right - position.x - radius, -xVelocity, -acceleration.x ),
+      this.getGapClosingTime( position.y - radius - this.playArea.bottom, yVelocity, acceleration.y ),
+      this.getGapClosingTime( this.playArea.top - position.y - radius, -yVelocity, -acceleration.y )
+    );
+
+    return Number.isFinite( timeUntilCollision ) ? elapsedTime + timeUntilCollision * velocityMultiplier : null;
+  }
+
+  /**
+   * Gets the earliest time that a gap between a Ball and a straight side of the border closes, where the gap changes
+   * at the given rate and acceleration. The gap closes when it reaches zero while decreasing.
+   * @protected
+   *
+   * @param {number} gap - the distance between the surface of the Ball and the side, in meters.
+   * @param {number} rate - the rate that the gap is changing, in m/s.
+   * @param {number} gapAcceleration - the acceleration of the gap, in m/s^2.
+   * @returns {number} - the time until the gap closes, in seconds. Infinity indicates that the gap never closes.
+   */
+  getGapClosingTime( gap, rate, gapAcceleration ) {
+    gap = CollisionLabUtils.clampDown( gap );
+    rate = CollisionLabUtils.clampDown( rate );
+    gapAcceleration = CollisionLabUtils.clampDown( gapAcceleration );
+
+    if ( gap <= 0 && rate < 0 ) {
+      return 0;
+    }
+
+    // The Ball has slightly overshot the side and is moving back, but it starts moving towards the side again before
+    // it is back in-bounds, which is when the gap starts closing.
+    if ( gap < 0 && gapAcceleration < 0 && gap - rate * rate / gapAcceleration / 2 < 0 ) {
+      return -rate / gapAcceleration;
+    }
+    const roots = Utils.solveQuadraticRootsReal( gapAcceleration / 2, rate, gap ) || [];
+    return Math.min( ...roots.filter( t => t >= 0 && rate + gapAcceleration * t < 0 ) );
+  }
+
+  /**
+   * Calculates when some Ball will collide with a CIRCLE border. With the position of the Ball relative to the center
+   * of the border, r, and the velocity and acceleration of the Ball, v and a, the Ball is exactly colliding when
+   *
+   *   f(t) = | r + v * t + a * t^2 / 2 |^2 - ( R - radius )^2 = 0
+   *
+   * where R is the radius of the border, and f is negative while the Ball is fully inside of the border. For uniformly
+   * moving Balls, f is a quadratic in t and the collision is its larger root. With table friction, the direction of
+   * the Ball doesn't change, so f is a quadratic in the distance traveled, which is converted to a time with
+   * TableFriction.getTimeToTravel(). With gravity, f is a quartic in t, which is solved like in
+   * getGravityCollisionTime() for the first time that f goes from negative to non-negative. Since f eventually
+   * increases forever, the collision always happens after the last critical point of f if it hasn't happened before.
+   * @private
+   *
+   * @param {Vector2} position - the position of the Ball.
+   * @param {Vector2} velocity - the velocity of the Ball.
+   * @param {number} radius - the radius of the Ball.
+   * @param {Vector2} acceleration - the acceleration of the Ball.
+   * @param {number} elapsedTime - elapsedTime, based on where the Ball is positioned when this method is called.
+   * @returns {number|null} - null indicates that the Ball will not collide with the border.
+   */
+  getCircularBorderCollisionTime( position, velocity, radius, acceleration, elapsedTime ) {
+
+    // Reference the multiplier of the velocity of the Ball. When the sim is being reversed (dt < 0), Balls are
+    // essentially moving in the opposite direction of its velocity vector, but its acceleration is unchanged.
+    const velocityMultiplier = this.timeStepDirectionProperty.value;
+
+    this.deltaR.set( position ).subtract( this.playArea.bounds.center );
+    this.deltaV.set( velocity ).multiply( velocityMultiplier );
+
+    // The constant term of f, which is zero when the Ball is touching the border.
+    const e = CollisionLabUtils.clampDown( this.deltaR.magnitudeSquared - ( this.playArea.borderRadius - radius ) ** 2 );
+
+    // The Ball is touching (or already overlapping) the border and moving towards it.
+    if ( e >= 0 && CollisionLabUtils.clampDown( this.deltaR.dot( this.deltaV ) / this.deltaR.magnitude ) > 0 ) {
+      return elapsedTime;
+    }
+
+    if ( this.playArea.tableFriction.isEnabledProperty.value ) {
+      const speed = velocity.magnitude;
+
+      if ( speed === 0 ) {
+        return null;
+      }
+
+      // The distance that the Ball travels along its direction before colliding with the border.
+      const distances = Utils.solveQuadraticRootsReal( 1, 2 * CollisionLabUtils.clampDown( this.deltaR.dot( velocity ) / speed ), e ) || [];
+      const distance = Math.max( ...distances );
+      const timeUntilCollision = distance > 0 ? this.playArea.tableFriction.getTimeToTravel( speed, distance ) : null;
+
+      return timeUntilCollision === null ? null : elapsedTime + timeUntilCollision;
+    }
+
+    const halfA = acceleration.timesScalar( 0.5 );
+
+    // The coefficients of f, from the highest degree to the lowest degree.
+    const a = halfA.magnitudeSquared;
+    const b = 2 * this.deltaV.dot( halfA );
+    const c = this.deltaV.magnitudeSquared + 2 * this.deltaR.dot( halfA );
+    const d = 2 * CollisionLabUtils.clampDown( this.deltaR.dot( this.deltaV ) );
+    const f = t => ( ( ( a * t + b ) * t + c ) * t + d ) * t + e;
+
+    if ( a === 0 ) {
+      const timeUntilCollision = Math.max( ...( Utils.solveQuadraticRootsReal( c, d, e ) || [] ) );
+      return timeUntilCollision > 0 ? elapsedTime + timeUntilCollision * velocityMultiplier : null;
+    }
+
+    // The times of the critical points of f that are in the future, in ascending order.
+    const criticalTimes = ( Utils.solveCubicRootsReal( 4 * a, 3 * b, 2 * c, d ) || [] )
+      .filter( t => t > 0 )
+      .sort( ( t1, t2 ) => t1 - t2 );
+
+    // After the last critical point, f increases forever. Find a time after it where f is positive.
+    let endTime = Math.max( 1, ...criticalTimes );
+    while ( f( endTime ) <= 0 ) {
+      endTime *= 2;
+    }
+    criticalTimes.push( endTime );
+
+    let previousTime = 0;
+    for ( let i = 0; i < criticalTimes.length; i++ ) {
+      if ( f( previousTime ) < 0 && f( criticalTimes[ i ] ) >= 0 ) {
+        const root = CollisionLabUtils.bisection( t => {
+          const value = f( t );
+          return Math.abs( value ) < CollisionLabConstants.ZERO_THRESHOLD ? 0 : Math.sign( value );
+        }, previousTime, criticalTimes[ i ] );
+
+        return elapsedTime + root * velocityMultiplier;
+      }
+      previousTime = criticalTimes[ i ];
+    }
+
+    return null;
+  }
+
+  /**
+   * Calculates when some Ball will collide with a POLYGON border. Since the polygon is convex, the Ball is fully inside
+   * of the border when it is fully inside of every side (as if each side were an infinite line), so the Ball collides
+   * with the first side that it reaches. The gap between the Ball and each side is a quadratic in time (see
+   * getGapClosingTime()), and it changes proportionally to the distance traveled with table friction, like the sides
+   * of a rectangular border.
+   * @private
+   *
+   * @param {Vector2} position - the position of the Ball.
+   * @param {Vector2} velocity - the velocity of the Ball.
+   * @param {number} radius - the radius of the Ball.
+   * @param {Vector2} acceleration - the acceleration of the Ball.
+   * @param {number} elapsedTime - elapsedTime, based on where the Ball is positioned when this method is called.
+   * @returns {number|null} - null indicates that the Ball will not collide with the border.
+   */
+  getPolygonalBorderCollisionTime( position, velocity, radius, acceleration, elapsedTime ) {
+
+    // Reference the multiplier of the velocity of the Ball. When the sim is being reversed (dt < 0), Balls are
+    // essentially moving in the opposite direction of its velocity vector, but its acceleration is unchanged.
+    const velocityMultiplier = this.timeStepDirectionProperty.value;
+    const isFrictionEnabled = this.playArea.tableFriction.isEnabledProperty.value;
+    const speed = velocity.magnitude;
+
+    if ( isFrictionEnabled && speed === 0 ) {
+      return null;
+    }
+
+    // The gap between the Ball and each side of the border, which is measured along the inward normal of the side.
+    const normals = this.playArea.borderNormals;
+    const gaps = normals.map( ( normal, i ) => normal.dot( position.minus( this.playArea.borderVertices[ i ] ) ) - radius );
+
+    if ( isFrictionEnabled ) {
+
+      // The distance the Ball would travel along its direction to reach each side that it is moving towards.
+      const direction = velocity.normalized();
+      const distance = Math.min( ...normals.map( ( normal, i ) => {
+        return CollisionLabUtils.clampDown( velocity.dot( normal ) ) < 0 ?
+               Math.max( 0, CollisionLabUtils.clampDown( gaps[ i ] ) ) / -direction.dot( normal ) :
+               Infinity;
+      } ) );
+      const timeUntilCollision = Number.isFinite( distance ) ? this.playArea.tableFriction.getTimeToTravel( speed, distance ) : null;
+
+      return timeUntilCollision === null ? null : elapsedTime + timeUntilCollision;
+    }
+
+    const timeUntilCollision = Math.min( ...normals.map( ( normal, i ) => this.getGapClosingTime( gaps[ i ],
+      CollisionLabUtils.clampDown( velocity.dot( normal ) * velocityMultiplier ), acceleration.dot( normal ) ) ) );
+
+    return Number.isFinite( timeUntilCollision ) ? elapsedTime + timeUntilCollision * velocityMultiplier : null;
+  }
+
   /**
    * Responds to and handles a single ball-to-border collision by updating the velocity of the Balls depending on its
    * orientation relative to the border. The collision algorithm follows the standard rigid-body collision model
    * described in
    * http://web.mst.edu/~reflori/be150/Dyn%20Lecture%20Videos/Impact%20Particles%201/Impact%20Particles%201.pdf.
+   * For non-rectangular borders, the velocity is reflected about the normal of the border at the point of contact.
    *
    * @protected - can be overridden in subclasses.
    *
@@ -563,7 +1762,8 @@ class CollisionEngine {
     // unless it is moving towards that respective side.
     const velocityMultiplier = this.timeStepDirectionProperty.value;
 
-    let elasticity = this.playArea.getElasticity();
+    // Reference the elasticity of the Ball with the border, which may differ from Ball to Ball.
+    let elasticity = this.getElasticity( ball, this.playArea );
 
     assert && assert( dt >= 0 || elasticity > 0, 'We cannot step backwards with zero elasticity' );
 
@@ -571,22 +1771,43 @@ class CollisionEngine {
       elasticity = 1 / elasticity;
     }
 
-    // Update the velocity after the collision.
-    if ( ( this.playArea.isBallTouchingLeft( ball ) && ball.velocityProperty.value.x * velocityMultiplier < 0 ) ||
-         ( this.playArea.isBallTouchingRight( ball ) && ball.velocityProperty.value.x * velocityMultiplier > 0 ) ) {
+    // For non-rectangular borders, reflect the velocity about the normal of each side that the Ball is touching and
+    // moving towards, scaled by the elasticity.
+    if ( this.playArea.borderShape !== PlayArea.BorderShape.RECTANGLE ) {
+      this.playArea.getBorderContactNormals( ball ).forEach( normal => {
+        const vn = ball.velocityProperty.value.dot( normal );
+
+        if ( CollisionLabUtils.clampDown( vn * velocityMultiplier ) < 0 ) {
 
-      sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `#${ball.index} border X bounce` );
+          sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `#${ball.index} border bounce` );
 
-      // Left and Right ball-to-border collisions incur a flip in horizontal velocity, scaled by the elasticity.
-      ball.setXVelocity( -ball.velocityProperty.value.x * elasticity );
+          // Like Walls, negligible bounces are removed, which allows Balls to come to rest on the border with gravity.
+          const vnP = CollisionLabUtils.clampDown( -vn * elasticity, CollisionLabConstants.MIN_VELOCITY );
+          const velocity = ball.velocityProperty.value.plus( normal.multiplyScalar( vnP - vn ) );
+          ball.setXVelocity( velocity.x );
+          ball.setYVelocity( velocity.y );
+        }
+      } );
     }
-    if ( ( this.playArea.isBallTouchingBottom( ball ) && ball.velocityProperty.value.y * velocityMultiplier < 0 ) ||
-         ( this.playArea.isBallTouchingTop( ball ) && ball.velocityProperty.value.y * velocityMultiplier > 0 ) ) {
+    else {
+
+      // Update the velocity after the collision.
+      if ( ( this.playArea.isBallTouchingLeft( ball ) && ball.velocityProperty.value.x * velocityMultiplier < 0 ) ||
+           ( this.playArea.isBallTouchingRight( ball ) && ball.velocityProperty.value.x * velocityMultiplier > 0 ) ) {
+
+        sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `#${ball.index} border X bounce` );
 
-      sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `#${ball.index} border Y bounce` );
+        // Left and Right ball-to-border collisions incur a flip in horizontal velocity, scaled by the elasticity.
+        ball.setXVelocity( -ball.velocityProperty.value.x * elasticity );
+      }
+      if ( ( this.playArea.isBallTouchingBottom( ball ) && ball.velocityProperty.value.y * velocityMultiplier < 0 ) ||
+           ( this.playArea.isBallTouchingTop( ball ) && ball.velocityProperty.value.y * velocityMultiplier > 0 ) ) {
+
+        sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `#${ball.index} border Y bounce` );
 
-      // Top and Bottom ball-to-border collisions incur a flip in vertical velocity, scaled by the elasticity.
-      ball.setYVelocity( -ball.velocityProperty.value.y * elasticity );
+        // Top and Bottom ball-to-border collisions incur a flip in vertical velocity, scaled by the elasticity.
+        ball.setYVelocity( -ball.velocityProperty.value.y * elasticity );
+      }
     }
 
     // Remove all collisions that involves the involved Ball.
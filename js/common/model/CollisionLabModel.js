@@ -8,13 +8,17 @@
  *   - creation of a PlayArea, BallSystem and CollisionEngine using the Factory Method Pattern.
  *   - instantiation of a MomentaDiagram.
  *   - control of time (play, pause, step, speed).
+ *   - exploding Balls at their explosion times, see BallSystem.explodeBall().
+ *   - reporting when Balls collapse inelastically, see RestingContacts.
  *
  * @author Brandon Li
  * @author Martin Veillette
  */
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
 import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import Multilink from '../../../../axon/js/Multilink.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import TimeSpeed from '../../../../scenery-phet/js/TimeSpeed.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
@@ -53,6 +57,31 @@ class CollisionLabModel {
     // @private {CollisionEngine} - create the CollisionEngine of the screen.
     this.collisionEngine = this.createCollisionEngine( this.playArea, this.ballSystem );
 
+    // @public (read-only) {Property.<boolean>} - indicates if the sim can be stepped backwards, ignoring the elasticity
+    //                                            of collisions. The motion in the PlayArea must be time-reversible, and
+    //                                            no Balls can have exploded since the states of the Balls were last
+    //                                            saved, since fragments don't merge back together when stepping
+    //                                            backwards. DerivedProperty is never disposed.
+    this.isTimeReversibleProperty = new DerivedProperty(
+      [ this.playArea.isTimeReversibleProperty, this.ballSystem.hasExplodedProperty ],
+      ( isPlayAreaTimeReversible, hasExploded ) => isPlayAreaTimeReversible && !hasExploded, {
+        valueType: 'boolean'
+      } );
+
+    // @public (read-only) {Property.<boolean>} - indicates if Balls have collapsed inelastically since the elapsed time
+    //                                            was last reset. Instead of colliding endlessly, the Balls were put
+    //                                            into resting contact, where their collisions are perfectly inelastic
+    //                                            (see RestingContacts).
+    this.inelasticCollapseProperty = new BooleanProperty( false );
+
+    // @protected {Property[]} - the Properties that are derived from the velocity of every Ball, which would be
+    //                           re-derived whenever any Ball collides, which is quadratic in the number of Balls. They
+    //                           are deferred while the CollisionEngine steps, see stepManual(). Sub-types add their own.
+    this.velocityDerivedProperties = [
+      this.ballSystem.centerOfMass.velocityProperty,
+      this.ballSystem.totalKineticEnergyProperty
+    ];
+
     // @public (read-only) {MomentaDiagram} - create the MomentaDiagram of the screen.
     this.momentaDiagram = new MomentaDiagram(
       this.ballSystem.prepopulatedBalls,
@@ -62,16 +91,44 @@ class CollisionLabModel {
 
     //----------------------------------------------------------------------------------------
 
+    // Observe when Balls collapse inelastically, which is reported to the user until the elapsed time is reset, like
+    // when the screen is restarted or its state is changed. Listener and link persist for the lifetime of the sim.
+    this.collisionEngine.inelasticCollapseEmitter.addListener( () => {
+      this.inelasticCollapseProperty.value = true;
+    } );
+    this.elapsedTimeProperty.link( elapsedTime => {
+      elapsedTime === 0 && this.inelasticCollapseProperty.reset();
+    } );
+
+    // Observe when the user is finished dragging a Peg or drawing a Wall and bump the Balls that the Peg was dropped on
+    // (or that the Wall was drawn through) away from it. These listeners are added before the DerivedProperty below so
+    // that Balls are bumped away **before** the sim is played again. Links persist for the lifetime of the sim.
+    const bumpBallsAwayFromObstacles = userControlled => {
+      !userControlled && this.ballSystem.balls.forEach( ball => {
+        ( this.playArea.getOverlappingPeg( ball ) || this.playArea.getOverlappingWall( ball ) ) &&
+        this.ballSystem.bumpBallAwayFromOthers( ball );
+      } );
+    };
+    this.playArea.pegsUserControlledProperty.lazyLink( bumpBallsAwayFromObstacles );
+    this.playArea.wallsUserControlledProperty.lazyLink( bumpBallsAwayFromObstacles );
+
+    // Indicates if the user is controlling any of the Balls, Pegs, or Walls. DerivedProperty is never disposed.
+    const userControlledProperty = DerivedProperty.or( [
+      this.ballSystem.ballSystemUserControlledProperty,
+      this.playArea.pegsUserControlledProperty,
+      this.playArea.wallsUserControlledProperty
+    ] );
+
     // Flag that indicates whether the sim was playing before it was programmatically paused.
     let wasPlaying = this.isPlayingProperty.value;
 
-    // Observe when the user manipulates any of the Balls and pause the simulation. If the sim was playing before, the
-    // sim is un-paused when the user is finished controlling the Ball. The elapsedTimeProperty is also reset when the
-    // user manipulates a Ball. See https://github.com/phetsims/collision-lab/issues/85#issuecomment-650271055.
-    this.ballSystem.ballSystemUserControlledProperty.link( ballSystemUserControlled => {
-      if ( ballSystemUserControlled ) {
+    // Observe when the user manipulates any of the Balls, Pegs, or Walls and pause the simulation. If the sim was playing
+    // before, the sim is un-paused when the user is finished controlling the Ball. The elapsedTimeProperty is also reset
+    // when the user manipulates a Ball. See https://github.com/phetsims/collision-lab/issues/85#issuecomment-650271055.
+    userControlledProperty.link( userControlled => {
+      if ( userControlled ) {
 
-        // If a Ball is being controlled, pause the sim and reset the elapsedTimeProperty.
+        // If a Ball, Peg, or Wall is being controlled, pause the sim and reset the elapsedTimeProperty.
         wasPlaying = this.isPlayingProperty.value;
         this.isPlayingProperty.value = false;
         this.elapsedTimeProperty.reset();
@@ -89,8 +146,17 @@ class CollisionLabModel {
     } );
 
     // Reset time when the quantity of balls changes, see
-    // https://github.com/phetsims/collision-lab/issues/183#issuecomment-756429346
+    // https://github.com/phetsims/collision-lab/issues/183#issuecomment-756429346. The fragments of an exploding Ball
+    // don't reset time, since the explosion is part of the motion of the Balls.
     this.ballSystem.balls.lengthProperty.lazyLink( () => {
+      !this.ballSystem.isExploding && this.elapsedTimeProperty.reset();
+    } );
+
+    // The same applies when a Peg or Wall is added to or removed from the PlayArea.
+    this.playArea.pegs.lengthProperty.lazyLink( () => {
+      this.elapsedTimeProperty.reset();
+    } );
+    this.playArea.walls.lengthProperty.lazyLink( () => {
       this.elapsedTimeProperty.reset();
     } );
 
@@ -100,6 +166,37 @@ class CollisionLabModel {
       this.elapsedTimeProperty.reset();
       this.collisionEngine.reset();
     } );
+
+    // The same applies when the friction of the PlayArea's surface, the friction of ball-ball contacts, the
+    // gravitational field of the PlayArea, the spring bond, mutual gravity, charges, or the magnetic field changes.
+    // CollisionEngine re-detects its collisions.
+    Multilink.lazyMultilink( [
+      this.playArea.contactFrictionProperty,
+      this.playArea.tableFriction.isEnabledProperty,
+      this.playArea.tableFriction.isDragEnabledProperty,
+      this.playArea.uniformGravity.isEnabledProperty,
+      this.playArea.uniformGravity.magnitudeProperty,
+      this.playArea.uniformGravity.directionProperty,
+      this.playArea.springBond.isEnabledProperty,
+      this.playArea.springBond.ballIndicesProperty,
+      this.playArea.springBond.stiffnessProperty,
+      this.playArea.springBond.restLengthProperty,
+      this.playArea.mutualGravity.isEnabledProperty,
+      this.playArea.mutualGravity.strengthProperty,
+      this.playArea.chargesEnabledProperty,
+      this.playArea.magneticField.isEnabledProperty,
+      this.playArea.magneticField.strengthProperty
+    ], () => {
+      this.elapsedTimeProperty.reset();
+    } );
+
+    // The same applies when the elasticity of a single pair of bodies is changed in the RestitutionMatrix.
+    this.ballSystem.restitutionMatrix.elasticityPercentProperties.forEach( elasticityPercentProperty => {
+      elasticityPercentProperty.lazyLink( () => {
+        this.elapsedTimeProperty.reset();
+        this.collisionEngine.reset();
+      } );
+    } );
   }
 
   /**
@@ -205,8 +302,53 @@ class CollisionLabModel {
 
     // Step the Physics Engine and update the elapsedTimeProperty value.
     const previousElapsedTime = this.elapsedTimeProperty.value;
-    this.elapsedTimeProperty.value += dt;
-    this.collisionEngine.step( dt, previousElapsedTime );
+    const elapsedTime = previousElapsedTime + dt;
+    this.elapsedTimeProperty.value = elapsedTime;
+
+    // Defer the Properties that are derived from the velocity of every Ball while the CollisionEngine steps, so that they
+    // are re-derived once instead of once for each collision. Their listeners are notified after the step.
+    this.velocityDerivedProperties.forEach( property => property.setDeferred( true ) );
+    this.stepCollisionEngine( previousElapsedTime, elapsedTime );
+    const notifyListenersCallbacks = this.velocityDerivedProperties.map( property => property.setDeferred( false ) );
+    notifyListenersCallbacks.forEach( notifyListeners => notifyListeners && notifyListeners() );
+  }
+
+  /**
+   * Steps the CollisionEngine from the previous elapsed time to the new elapsed time. When stepping forwards, Balls
+   * that explode within the step are exploded at their explosion time.
+   * @private
+   *
+   * @param {number} previousElapsedTime - the elapsed time before the step, in seconds.
+   * @param {number} elapsedTime - the elapsed time after the step, in seconds.
+   */
+  stepCollisionEngine( previousElapsedTime, elapsedTime ) {
+
+    if ( elapsedTime < previousElapsedTime ) {
+      this.collisionEngine.step( elapsedTime - previousElapsedTime, previousElapsedTime );
+      return;
+    }
+
+    // When stepping forwards, step the Physics Engine up to each explosion within the step and explode the Ball. If the
+    // Ball exploded, the CollisionEngine is reset so that collisions are re-detected with the fragments for the rest of
+    // the step.
+    let stepStartTime = previousElapsedTime;
+    let explodingBall = this.ballSystem.getNextExplodingBall( stepStartTime, elapsedTime );
+    while ( explodingBall ) {
+      const explosionTime = explodingBall.explosionTimeProperty.value;
+
+      if ( explosionTime > stepStartTime ) {
+        this.collisionEngine.step( explosionTime - stepStartTime, stepStartTime );
+        stepStartTime = explosionTime;
+      }
+      if ( this.ballSystem.explodeBall( explodingBall, explodingBall.getExplosionMassFractions(),
+        explodingBall.explosionEnergyProperty.value ) ) {
+        this.collisionEngine.reset();
+      }
+
+      explodingBall = this.ballSystem.getNextExplodingBall( stepStartTime, elapsedTime );
+    }
+
+    elapsedTime > stepStartTime && this.collisionEngine.step( elapsedTime - stepStartTime, stepStartTime );
   }
 
   /**
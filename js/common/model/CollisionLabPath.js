@@ -10,7 +10,12 @@
  * are only recorded if the checkbox is checked.
  *
  * CollisionLabPath will also remove PathDataPoints that are past the set time period, which allows the trailing 'Path'
- * to fade over time. See https://github.com/phetsims/collision-lab/issues/61.
+ * to fade over time. See https://github.com/phetsims/collision-lab/issues/61. The time period can be made longer for
+ * a single 'Path', like the long-lived trace of the heavy Ball of the 'Brownian Motion' scenario of the 'Ideal Gas'
+ * screen.
+ *
+ * The trailing 'Path' can also be broken into disconnected pieces, like when a Ball wraps around a periodic border of
+ * the PlayArea, so that the 'Path' isn't drawn across the PlayArea.
  *
  * CollisionLabPaths are created for each Ball, which are never disposed, meaning CollisionLabPaths are also never
  * disposed and internal links are left as-is. This doesn't negatively impact performance since Balls that aren't in the
@@ -41,9 +46,13 @@ class CollisionLabPath {
     assert && AssertUtils.assertAbstractPropertyOf( pathsVisibleProperty, 'boolean' );
 
     // @public (read-only) {PathDataPoint[]} - the recorded points of the trailing points of the 'Path' within a given
-    //                                         time period, which is PATH_DATA_POINT_LIFETIME seconds.
+    //                                         time period, which is pointLifetime seconds.
     this.dataPoints = [];
 
+    // @public {number} - the time period that PathDataPoints are kept for, in seconds. Expired PathDataPoints are
+    //                    removed the next time that the 'Path' is updated.
+    this.pointLifetime = CollisionLabPath.DEFAULT_POINT_LIFETIME;
+
     // @public (read-only) {Emitter} - Emits when the trailing 'path' has changed in any form. Using an ObservableArrayDef
     //                                 was considered for the dataPoints array instead of this, but ObservableArrayDef's
     //                                 itemRemovedEmitter emits after each item removed, which would result in redrawing
@@ -57,6 +66,9 @@ class CollisionLabPath {
     // @private {Property.<boolean>} - reference to the passed-in pathsVisibleProperty.
     this.pathsVisibleProperty = pathsVisibleProperty;
 
+    // @private {boolean} - indicates if the next PathDataPoint is disconnected from the previous PathDataPoint.
+    this.isBroken = false;
+
     //----------------------------------------------------------------------------------------
 
     // Observe when the pathsVisibleProperty is manipulated and clear the 'Path' when set to false. Link lasts for the
@@ -81,15 +93,26 @@ class CollisionLabPath {
     while ( this.dataPoints.length ) {
       this.dataPoints.pop();
     }
+    this.isBroken = false;
 
     // Signal once that the trailing 'Path' has changed.
     this.pathChangedEmitter.emit();
   }
 
+  /**
+   * Breaks the 'Path' at the current position of the moving object, meaning the next PathDataPoint isn't connected to
+   * the previous PathDataPoint. Called when the position of the moving object jumps, like when a Ball wraps around a
+   * periodic border.
+   * @public
+   */
+  breakPath() {
+    this.isBroken = true;
+  }
+
   /**
    * Updates the path by:
    *   - adding a new PathDataPoint for the current position of the moving object.
-   *   - removing any expired PathDataPoints that are past the MAX_DATA_POINT_LIFETIME.
+   *   - removing any expired PathDataPoints that are past the pointLifetime.
    *   - removing any PathDataPoints that are ahead of the total elapsed time of the simulation. This occurs when the
    *     step-backward button is pressed.
    * @public
@@ -105,15 +128,16 @@ class CollisionLabPath {
     for ( let i = 0; i < this.dataPoints.length; i++ ) {
       const dataPoint = this.dataPoints[ i ];
 
-      // Remove any expired PathDataPoints that are not within the MAX_DATA_POINT_LIFETIME or that are ahead of the
-      // total elapsedTime of the simulation. This occurs when the step-backward button is pressed.
-      if ( dataPoint.time + PATH_DATA_POINT_LIFETIME <= elapsedTime || dataPoint.time >= elapsedTime ) {
+      // Remove any expired PathDataPoints that are not within the pointLifetime or that are ahead of the total
+      // elapsedTime of the simulation. This occurs when the step-backward button is pressed.
+      if ( dataPoint.time + this.pointLifetime <= elapsedTime || dataPoint.time >= elapsedTime ) {
         this.dataPoints.splice( i--, 1 ); // Remove it, and step back so we'll scan the next index
       }
     }
 
     // Add a new PathDataPoint for the current position of the moving object.
-    this.dataPoints.push( new PathDataPoint( elapsedTime, this.positionProperty.value ) );
+    this.dataPoints.push( new PathDataPoint( elapsedTime, this.positionProperty.value, this.isBroken ) );
+    this.isBroken = false;
 
     // Verify that the dataPoints are strictly sorted by time.
     assert && assert( CollisionLabUtils.isSorted( this.dataPoints, dataPoint => dataPoint.time ) );
@@ -123,4 +147,7 @@ class CollisionLabPath {
   }
 }
 
+// @public (read-only) {number} - the default time period that PathDataPoints are kept for, in seconds.
+CollisionLabPath.DEFAULT_POINT_LIFETIME = PATH_DATA_POINT_LIFETIME;
+
 export default CollisionLabPath;
@@ -0,0 +1,301 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * CollisionQueue is the collection of the saved Collisions of the CollisionEngine. It is a priority queue (binary heap)
+ * of the Collisions that have an associated time, ordered by when they occur in the direction of time progression, so
+ * the next Collision to handle is found without scanning every Collision. It also indexes every saved Collision (with
+ * or without a time) by both of its bodies, so that checking if a pair of bodies already has a Collision and removing
+ * the Collisions of a body only look at the Collisions of that body.
+ *
+ * Collisions that are in the past (relative to the direction of time progression) are never handled. They are removed
+ * from the heap when they reach its top, but stay indexed by their bodies so that they aren't re-detected, which
+ * matches how the CollisionEngine treated them before the CollisionQueue existed.
+ *
+ * CollisionQueues are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Collision from './Collision.js';
+
+class CollisionQueue {
+
+  /**
+   * @param {NumberProperty} timeStepDirectionProperty - the 'direction' of the progression of the current time-step,
+   *                                                     where 1 is forwards and -1 is backwards. The CollisionQueue
+   *                                                     must be cleared whenever it changes.
+   */
+  constructor( timeStepDirectionProperty ) {
+    assert && assert( timeStepDirectionProperty instanceof NumberProperty,
+      `invalid timeStepDirectionProperty: ${timeStepDirectionProperty}` );
+
+    // @private {NumberProperty} - reference to the passed-in timeStepDirectionProperty.
+    this.timeStepDirectionProperty = timeStepDirectionProperty;
+
+    // @private {Collision[]} - the binary heap of the Collisions that have a finite time. The Collision at index i
+    //                          occurs no later than the Collisions at indices 2i + 1 and 2i + 2.
+    this.heap = [];
+
+    // @private {Map.<Collision, number>} - maps each Collision in the heap to its index in the heap.
+    this.heapIndices = new Map();
+
+    // @private {Map.<Object, Collision[]>} - maps each body to the saved Collisions that involve it.
+    this.bodyToCollisionsMap = new Map();
+
+    // @private {number[]} - the heap indices that are visited in getNextCollisions(). Persistent to minimize GC.
+    this.stack = [];
+  }
+
+  /**
+   * Saves a newly detected Collision. The Collision is in the CollisionQueue until it is removed with removeBody() or
+   * clear().
+   * @public
+   *
+   * @param {Collision} collision
+   */
+  add( collision ) {
+    assert && assert( collision instanceof Collision, `invalid collision: ${collision}` );
+    assert && assert( !this.hasCollisionBetween( collision.body1, collision.body2 ), `already has ${collision}` );
+
+    this.getCollisionsOf( collision.body1 ).push( collision );
+    this.getCollisionsOf( collision.body2 ).push( collision );
+
+    if ( Number.isFinite( collision.time ) ) {
+      this.heap.push( collision );
+      this.heapIndices.set( collision, this.heap.length - 1 );
+      this.siftUp( this.heap.length - 1 );
+    }
+  }
+
+  /**
+   * Whether there already exists a saved Collision between the two bodies.
+   * @public
+   *
+   * @param {Object} body1
+   * @param {Object} body2
+   * @returns {boolean}
+   */
+  hasCollisionBetween( body1, body2 ) {
+    const collisions1 = this.bodyToCollisionsMap.get( body1 );
+    const collisions2 = this.bodyToCollisionsMap.get( body2 );
+
+    if ( !collisions1 || !collisions2 ) {
+      return false;
+    }
+
+    // Scan the shorter of the two lists.
+    const collisions = collisions1.length < collisions2.length ? collisions1 : collisions2;
+    for ( let i = collisions.length - 1; i >= 0; i-- ) {
+      if ( collisions[ i ].includesBodies( body1, body2 ) ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Removes every saved Collision that involves the passed-in body.
+   * @public
+   *
+   * @param {Object} body
+   * @param {Collision[]} removedCollisions - the removed Collisions are pushed to this array, so they can be disposed.
+   */
+  removeBody( body, removedCollisions ) {
+    assert && assert( body instanceof Object, `invalid body: ${body}` );
+    assert && assert( Array.isArray( removedCollisions ), `invalid removedCollisions: ${removedCollisions}` );
+
+    const collisions = this.bodyToCollisionsMap.get( body );
+    if ( !collisions ) { return; /** do nothing **/ }
+
+    this.bodyToCollisionsMap.delete( body );
+
+    for ( let i = 0; i < collisions.length; i++ ) {
+      const collision = collisions[ i ];
+      const otherCollisions = this.bodyToCollisionsMap.get( collision.body1 === body ? collision.body2 : collision.body1 );
+
+      otherCollisions.splice( otherCollisions.indexOf( collision ), 1 );
+      this.heapIndices.has( collision ) && this.removeFromHeap( collision );
+      removedCollisions.push( collision );
+    }
+  }
+
+  /**
+   * Removes every saved Collision.
+   * @public
+   *
+   * @param {Collision[]} removedCollisions - the removed Collisions are pushed to this array, so they can be disposed.
+   */
+  clear( removedCollisions ) {
+    assert && assert( Array.isArray( removedCollisions ), `invalid removedCollisions: ${removedCollisions}` );
+
+    this.forEach( collision => removedCollisions.push( collision ) );
+
+    this.bodyToCollisionsMap.clear();
+    this.heapIndices.clear();
+    this.heap.length = 0;
+  }
+
+  /**
+   * Calls a function on every saved Collision, in no particular order.
+   * @public
+   *
+   * @param {function(Collision)} callback
+   */
+  forEach( callback ) {
+    this.bodyToCollisionsMap.forEach( ( collisions, body ) => {
+      for ( let i = 0; i < collisions.length; i++ ) {
+
+        // Each Collision is in the lists of both of its bodies, so only visit it from its first body.
+        collisions[ i ].body1 === body && callback( collisions[ i ] );
+      }
+    } );
+  }
+
+  /**
+   * Finds the saved Collisions that occur first within a range of times, in the direction of time progression. If
+   * multiple Collisions occur at the exact same time, all of them are found. Collisions in the past are dropped from
+   * the heap (see the comment at the top of this file).
+   * @public
+   *
+   * @param {number} startTime - the elapsedTime where the Balls are currently positioned.
+   * @param {number} endTime - the latest elapsedTime (in the direction of time progression) to look for Collisions.
+   * @param {Collision[]} nextCollisions - the found Collisions are pushed to this array.
+   */
+  getNextCollisions( startTime, endTime, nextCollisions ) {
+    assert && assert( typeof startTime === 'number', `invalid startTime: ${startTime}` );
+    assert && assert( typeof endTime === 'number', `invalid endTime: ${endTime}` );
+    assert && assert( Array.isArray( nextCollisions ), `invalid nextCollisions: ${nextCollisions}` );
+
+    while ( this.heap.length && this.getPriority( this.heap[ 0 ].time ) < this.getPriority( startTime ) ) {
+      this.removeFromHeap( this.heap[ 0 ] );
+    }
+
+    if ( !this.heap.length || !this.heap[ 0 ].inRange( startTime, endTime ) ) {
+      return;
+    }
+
+    // Collisions that occur at the same time as the top of the heap form a sub-tree that contains the top, so only
+    // that sub-tree is visited.
+    const time = this.heap[ 0 ].time;
+    this.stack.push( 0 );
+    while ( this.stack.length ) {
+      const index = this.stack.pop();
+
+      if ( index < this.heap.length && this.heap[ index ].time === time ) {
+        nextCollisions.push( this.heap[ index ] );
+        this.stack.push( 2 * index + 1, 2 * index + 2 );
+      }
+    }
+  }
+
+  /**
+   * Gets the saved Collisions of a body, creating the list if the body doesn't have any saved Collisions.
+   * @private
+   *
+   * @param {Object} body
+   * @returns {Collision[]}
+   */
+  getCollisionsOf( body ) {
+    if ( !this.bodyToCollisionsMap.has( body ) ) {
+      this.bodyToCollisionsMap.set( body, [] );
+    }
+    return this.bodyToCollisionsMap.get( body );
+  }
+
+  /**
+   * Gets the priority of a time in the heap, where lower priorities occur first in the direction of time progression.
+   * @private
+   *
+   * @param {number} time
+   * @returns {number}
+   */
+  getPriority( time ) {
+    return time * ( this.timeStepDirectionProperty.value || 1 );
+  }
+
+  /**
+   * Removes a Collision from the heap, but not from the lists of its bodies.
+   * @private
+   *
+   * @param {Collision} collision
+   */
+  removeFromHeap( collision ) {
+    const index = this.heapIndices.get( collision );
+    const last = this.heap.pop();
+
+    this.heapIndices.delete( collision );
+
+    // Move the last Collision of the heap into the vacated index and restore the order of the heap.
+    if ( last !== collision ) {
+      this.heap[ index ] = last;
+      this.heapIndices.set( last, index );
+      this.siftUp( index );
+      this.siftDown( this.heapIndices.get( last ) );
+    }
+  }
+
+  /**
+   * Moves the Collision at an index of the heap up until its parent occurs no later than it.
+   * @private
+   *
+   * @param {number} index
+   */
+  siftUp( index ) {
+    while ( index > 0 ) {
+      const parentIndex = ( index - 1 ) >> 1;
+
+      if ( this.getPriority( this.heap[ parentIndex ].time ) <= this.getPriority( this.heap[ index ].time ) ) {
+        return;
+      }
+      this.swap( index, parentIndex );
+      index = parentIndex;
+    }
+  }
+
+  /**
+   * Moves the Collision at an index of the heap down until it occurs no later than its children.
+   * @private
+   *
+   * @param {number} index
+   */
+  siftDown( index ) {
+    while ( 2 * index + 1 < this.heap.length ) {
+      const leftIndex = 2 * index + 1;
+      const rightIndex = leftIndex + 1;
+      let earliestIndex = index;
+
+      if ( this.getPriority( this.heap[ leftIndex ].time ) < this.getPriority( this.heap[ earliestIndex ].time ) ) {
+        earliestIndex = leftIndex;
+      }
+      if ( rightIndex < this.heap.length &&
+           this.getPriority( this.heap[ rightIndex ].time ) < this.getPriority( this.heap[ earliestIndex ].time ) ) {
+        earliestIndex = rightIndex;
+      }
+      if ( earliestIndex === index ) {
+        return;
+      }
+      this.swap( index, earliestIndex );
+      index = earliestIndex;
+    }
+  }
+
+  /**
+   * Swaps two Collisions of the heap.
+   * @private
+   *
+   * @param {number} index1
+   * @param {number} index2
+   */
+  swap( index1, index2 ) {
+    const collision1 = this.heap[ index1 ];
+    const collision2 = this.heap[ index2 ];
+
+    this.heap[ index1 ] = collision2;
+    this.heap[ index2 ] = collision1;
+    this.heapIndices.set( collision2, index1 );
+    this.heapIndices.set( collision1, index2 );
+  }
+}
+
+export default CollisionQueue;
@@ -0,0 +1,117 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * CollisionQueue tests, which compare the Collisions that the CollisionQueue finds against a plain scan of every saved
+ * Collision, for both directions of time progression, as bodies are removed.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Random from '../../../../dot/js/Random.js';
+import Collision from './Collision.js';
+import CollisionQueue from './CollisionQueue.js';
+
+// constants
+const NUMBER_OF_BODIES = 40;
+const NUMBER_OF_COLLISIONS = 300;
+
+QUnit.module( 'CollisionQueue' );
+
+/**
+ * Fills a CollisionQueue with Collisions between random pairs of bodies at random times, some of which are shared by
+ * several Collisions and some of which are null. Each pair of bodies has at most one Collision.
+ *
+ * @param {CollisionQueue} collisionQueue
+ * @param {Object[]} bodies
+ * @param {Random} random
+ * @returns {Collision[]} - the saved Collisions.
+ */
+const addRandomCollisions = ( collisionQueue, bodies, random ) => {
+  const collisions = [];
+
+  while ( collisions.length < NUMBER_OF_COLLISIONS ) {
+    const body1 = bodies[ random.nextInt( bodies.length ) ];
+    const body2 = bodies[ random.nextInt( bodies.length ) ];
+
+    if ( body1 !== body2 && !collisionQueue.hasCollisionBetween( body1, body2 ) ) {
+      const time = random.nextDouble() < 0.1 ? null : random.nextInt( 50 ) / 10;
+      const collision = new Collision( body1, body2, time );
+      collisionQueue.add( collision );
+      collisions.push( collision );
+    }
+  }
+  return collisions;
+};
+
+/**
+ * Scans every Collision for the Collisions that occur first within a range of times, in the direction of time
+ * progression, which is what CollisionQueue.getNextCollisions() finds.
+ *
+ * @param {Collision[]} collisions
+ * @param {number} startTime
+ * @param {number} endTime
+ * @param {number} direction - 1 if time progresses forwards, -1 if backwards.
+ * @returns {Collision[]}
+ */
+const scanNextCollisions = ( collisions, startTime, endTime, direction ) => {
+  const inRange = collisions.filter( collision => collision.time !== null && collision.inRange( startTime, endTime ) );
+  const earliestTime = direction * Math.min( ...inRange.map( collision => direction * collision.time ) );
+  return inRange.filter( collision => collision.time === earliestTime );
+};
+
+[ 1, -1 ].forEach( direction => {
+
+  QUnit.test( `getNextCollisions matches a scan of every Collision (direction ${direction})`, assert => {
+    const random = new Random( { seed: 10 } );
+    const collisionQueue = new CollisionQueue( new NumberProperty( direction ) );
+    const bodies = _.range( NUMBER_OF_BODIES ).map( index => ( { index: index } ) );
+    let collisions = addRandomCollisions( collisionQueue, bodies, random );
+
+    // Remove the bodies one at a time, which removes their Collisions from the middle of the heap.
+    for ( let i = 0; i < bodies.length; i += 4 ) {
+      const removedCollisions = [];
+      collisionQueue.removeBody( bodies[ i ], removedCollisions );
+
+      assert.ok( removedCollisions.every( collision => collision.includes( bodies[ i ] ) ),
+        'only the Collisions of the body are removed' );
+      collisions = collisions.filter( collision => !collision.includes( bodies[ i ] ) );
+
+      // Times progress in the direction of the queue, within a range that includes 0.5 seconds.
+      const startTime = direction > 0 ? 0 : 5;
+      const nextCollisions = [];
+      collisionQueue.getNextCollisions( startTime, startTime + direction * 0.5, nextCollisions );
+
+      assert.deepEqual( _.sortBy( nextCollisions, collision => collisions.indexOf( collision ) ),
+        scanNextCollisions( collisions, startTime, startTime + direction * 0.5, direction ),
+        `next Collisions after removing body ${i}` );
+    }
+  } );
+} );
+
+QUnit.test( 'Collisions are indexed by both of their bodies', assert => {
+  const collisionQueue = new CollisionQueue( new NumberProperty( 1 ) );
+  const body1 = { name: 'body1' };
+  const body2 = { name: 'body2' };
+  const body3 = { name: 'body3' };
+
+  collisionQueue.add( new Collision( body1, body2, 1 ) );
+  collisionQueue.add( new Collision( body2, body3, null ) );
+
+  assert.ok( collisionQueue.hasCollisionBetween( body2, body1 ), 'in either order' );
+  assert.ok( collisionQueue.hasCollisionBetween( body3, body2 ), 'a Collision without a time is saved' );
+  assert.ok( !collisionQueue.hasCollisionBetween( body1, body3 ), 'no Collision between body1 and body3' );
+
+  const removedCollisions = [];
+  collisionQueue.removeBody( body2, removedCollisions );
+  assert.equal( removedCollisions.length, 2, 'both Collisions of body2 are removed' );
+  assert.ok( !collisionQueue.hasCollisionBetween( body1, body2 ), 'no Collision after removing body2' );
+
+  collisionQueue.add( new Collision( body1, body3, 2 ) );
+  collisionQueue.clear( removedCollisions );
+  assert.equal( removedCollisions.length, 3, 'every Collision is removed when cleared' );
+
+  const nextCollisions = [];
+  collisionQueue.getNextCollisions( 0, 10, nextCollisions );
+  assert.equal( nextCollisions.length, 0, 'no next Collisions after clearing' );
+} );
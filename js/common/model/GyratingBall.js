@@ -0,0 +1,119 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * GyratingBall is a data structure that represents a charged Ball that moves in a uniform magnetic field (see
+ * MagneticField). The Lorentz force is always perpendicular to the velocity of the Ball, so the Ball moves uniformly on
+ * a circle, which is known as cyclotron motion. With the charge q, the mass m, and the component of the field out of
+ * the PlayArea B, the velocity of the Ball rotates with the angular velocity
+ *
+ *   w = -q * B / m
+ *
+ * counterclockwise, and the Ball circles around its guiding center on a circle with the radius |v| / |w|. Unlike the
+ * motion of the Balls of a BondedBallPair or an InverseSquareBallGroup, the motion is solved in closed-form, like the
+ * rotation of the Balls of a RotatingBallCluster. See https://en.wikipedia.org/wiki/Cyclotron_motion.
+ *
+ * The collisions of a gyrating Ball have no closed-form solution, so they are found with conservative advancement (see
+ * CollisionEngine.getAdvancementCollisionTime()). The magnetic field does no work on the Ball, so the Ball moves at a
+ * constant speed in between collisions.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Ball from './Ball.js';
+
+class GyratingBall {
+
+  /**
+   * @param {Ball} ball
+   * @param {number} magneticFieldStrength - the component of the magnetic field out of the PlayArea, in Teslas.
+   */
+  constructor( ball, magneticFieldStrength ) {
+    assert && assert( ball instanceof Ball, `invalid ball: ${ball}` );
+    assert && assert( typeof magneticFieldStrength === 'number', `invalid magneticFieldStrength: ${magneticFieldStrength}` );
+    assert && assert( ball.chargeProperty.value * magneticFieldStrength !== 0, 'the Ball must gyrate' );
+
+    // @public (read-only) {Ball[]} - the gyrating Ball, in an Array to match the other groups of Balls that don't move
+    //                                uniformly.
+    this.balls = [ ball ];
+
+    // @private {number} - the counterclockwise angular velocity of the velocity of the Ball, in radians per second.
+    this.angularVelocity = -ball.chargeProperty.value * magneticFieldStrength / ball.massProperty.value;
+  }
+
+  /**
+   * Gets the maximum speed of the center of the Ball, in meters per second. The magnetic field doesn't change the
+   * speed of the Ball.
+   * @public
+   *
+   * @param {Ball} ball
+   * @returns {number}
+   */
+  getMaxBallSpeed( ball ) {
+    assert && assert( this.balls.includes( ball ), `ball is not the gyrating Ball: ${ball}` );
+
+    return ball.velocityProperty.value.magnitude;
+  }
+
+  /**
+   * Moves the Ball by one time-step.
+   * @public
+   *
+   * @param {number} dt - time-delta in seconds.
+   */
+  step( dt ) {
+    assert && assert( typeof dt === 'number', `invalid dt: ${dt}` );
+
+    const ball = this.balls[ 0 ];
+    const position = this.getBallPosition( ball, dt );
+    const velocity = this.getBallVelocity( ball, dt );
+
+    ball.positionProperty.value = position;
+    ball.velocityProperty.value = velocity;
+
+    // The magnetic field exerts no torque on the Ball, so it keeps spinning at the same rate.
+    ball.rotationProperty.value += ball.angularVelocityProperty.value * dt;
+  }
+
+  /**
+   * Gets the position of the Ball after some time-delta, in meters. Integrating the rotating velocity gives
+   *
+   *   r(t) = r + ( sin( w * t ) * v + ( 1 - cos( w * t ) ) * v_perp ) / w
+   *
+   * where v_perp is the velocity rotated 90 degrees counterclockwise.
+   * @public
+   *
+   * @param {Ball} ball
+   * @param {number} dt - time-delta, in seconds.
+   * @returns {Vector2}
+   */
+  getBallPosition( ball, dt ) {
+    assert && assert( this.balls.includes( ball ), `ball is not the gyrating Ball: ${ball}` );
+
+    const velocity = ball.velocityProperty.value;
+    const angle = this.angularVelocity * dt;
+
+    // 1 - cos( angle ) is computed as 2 * sin^2( angle / 2 ), which doesn't lose precision for small angles.
+    const halfAngleSine = Math.sin( angle / 2 );
+
+    return ball.positionProperty.value
+      .plus( velocity.times( Math.sin( angle ) / this.angularVelocity ) )
+      .add( new Vector2( -velocity.y, velocity.x ).multiplyScalar( 2 * halfAngleSine * halfAngleSine / this.angularVelocity ) );
+  }
+
+  /**
+   * Gets the velocity of the Ball after some time-delta, in meters per second.
+   * @public
+   *
+   * @param {Ball} ball
+   * @param {number} dt - time-delta, in seconds.
+   * @returns {Vector2}
+   */
+  getBallVelocity( ball, dt ) {
+    assert && assert( this.balls.includes( ball ), `ball is not the gyrating Ball: ${ball}` );
+
+    return ball.velocityProperty.value.rotated( this.angularVelocity * dt );
+  }
+}
+
+export default GyratingBall;
@@ -0,0 +1,98 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * GyratingBall tests, with the Balls of the 'Explore 2D' screen. Charged Balls in a uniform magnetic field move on
+ * circles at a constant speed, in the direction of the sign of their charge, and collide exactly with other Balls.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Explore2DModel from '../../explore2D/model/Explore2DModel.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const DURATION = 3;        // the duration of the motion, about half of a period of the cyclotron motion, in seconds.
+const TOLERANCE = 1e-6;    // the tolerance of the compared values.
+
+QUnit.module( 'GyratingBall' );
+
+/**
+ * Creates an Explore2DModel with a magnetic field of 1 T out of the PlayArea and the passed-in number of Balls, where
+ * Ball 1 has a mass of 1 kg and the passed-in charge, and moves to the right from the origin at 0.5 m/s.
+ *
+ * @param {number} numberOfBalls
+ * @param {number} charge - in Coulombs.
+ * @returns {Explore2DModel}
+ */
+const createMagneticModel = ( numberOfBalls, charge ) => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  model.playArea.magneticField.isEnabledProperty.value = true;
+  model.playArea.magneticField.strengthProperty.value = 1;
+  model.ballSystem.numberOfBallsProperty.value = numberOfBalls;
+
+  const ball = model.ballSystem.balls[ 0 ];
+  ball.massProperty.value = 1;
+  ball.chargeProperty.value = charge;
+  ball.positionProperty.value = Vector2.ZERO;
+  ball.velocityProperty.value = new Vector2( 0.5, 0 );
+  return model;
+};
+
+[ 1, -1 ].forEach( charge => {
+
+  QUnit.test( `a charged Ball moves on a circle (charge: ${charge})`, assert => {
+    const model = createMagneticModel( 1, charge );
+    const ball = model.ballSystem.balls[ 0 ];
+    ball.positionProperty.value = new Vector2( 0, 0.5 * charge );
+
+    // The velocity rotates with the angular velocity -q * B / m, so a positive charge circles clockwise and a negative
+    // charge circles counterclockwise, around the origin on a circle with the radius |v| / |w| = 0.5 m.
+
+    let maxError = 0;
+    for ( let time = 0; time < DURATION; time += DT ) {
+      model.stepManual( DT );
+      const angle = -charge * model.elapsedTimeProperty.value;
+      const position = new Vector2( 0, 0.5 * charge ).rotated( angle );
+      maxError = Math.max( maxError, ball.positionProperty.value.distance( position ),
+        Math.abs( ball.velocityProperty.value.magnitude - 0.5 ) );
+    }
+
+    assert.ok( maxError < TOLERANCE, `max error of the position and speed of the Ball: ${maxError}` );
+    assert.ok( ball.velocityProperty.value.x < 0, 'the Ball turned around' );
+  } );
+} );
+
+QUnit.test( 'Balls that aren\'t charged move uniformly', assert => {
+  const model = createMagneticModel( 2, 0 );
+  const ball = model.ballSystem.balls[ 0 ];
+
+  model.stepManual( 0.5 );
+  assert.ok( ball.positionProperty.value.equalsEpsilon( new Vector2( 0.25, 0 ), TOLERANCE ),
+    'the Ball moves straight' );
+  assert.equal( model.collisionEngine.gyratingBalls.length, 0, 'no Balls gyrate' );
+} );
+
+QUnit.test( 'a gyrating Ball collides with a Ball at rest', assert => {
+  const model = createMagneticModel( 2, 1 );
+  const [ ball1, ball2 ] = model.ballSystem.balls;
+  ball2.massProperty.value = 1;
+  ball2.positionProperty.value = new Vector2( 0.5, -0.8 );
+  ball2.velocityProperty.value = Vector2.ZERO;
+  const kineticEnergy = model.ballSystem.totalKineticEnergyProperty.value;
+
+  let minGap = Infinity;
+  let maxEnergyError = 0;
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+    minGap = Math.min( minGap, ball1.positionProperty.value.distance( ball2.positionProperty.value ) -
+                               ball1.radiusProperty.value - ball2.radiusProperty.value );
+    maxEnergyError = Math.max( maxEnergyError,
+      Math.abs( model.ballSystem.totalKineticEnergyProperty.value - kineticEnergy ) );
+  }
+
+  assert.ok( ball2.velocityProperty.value.magnitude > 0, 'the Balls collided' );
+  assert.ok( minGap > -TOLERANCE, `min gap between the Balls: ${minGap}` );
+  assert.ok( maxEnergyError < TOLERANCE, `the magnetic field does no work: ${maxEnergyError}` );
+} );
@@ -0,0 +1,257 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * InverseSquareBallGroup is a data structure that represents the Balls of a BallSystem when they exert inverse-square
+ * forces on each other, which are the mutual gravity of the Balls (see MutualGravity) and the Coulomb forces between
+ * charged Balls (see PlayArea.chargesEnabledProperty). Both forces are central, so the force between every pair of
+ * Balls i and j is described by a single coupling constant, c_ij, in J*m, where the potential energy of the pair is
+ *
+ *   U_ij = c_ij / |r_j - r_i|        c_ij = k * q_i * q_j - G * m_i * m_j
+ *
+ * with an exaggerated gravitational constant, G, and Coulomb constant, k. Pairs with a positive coupling repel each
+ * other and pairs with a negative coupling attract each other.
+ *
+ * The forces are internal to the group, so the total momentum of the Balls is conserved and their center-of-mass moves
+ * uniformly. The n-body problem has no closed-form solution, so the motion of all of the Balls is integrated together
+ * with the classic fourth-order Runge-Kutta method, in sub-steps that are no longer than MAX_SUB_STEP. See:
+ *   + https://en.wikipedia.org/wiki/Newton%27s_law_of_universal_gravitation
+ *   + https://en.wikipedia.org/wiki/Coulomb%27s_law
+ *   + https://en.wikipedia.org/wiki/N-body_problem
+ *
+ * Like the Balls of a BondedBallPair, the collisions of the Balls of the group are found with conservative advancement
+ * (see CollisionEngine.getAdvancementCollisionTime()). The total energy of the group (the kinetic energy of the Balls
+ * plus the potential energy of every pair) is conserved in between collisions. The potential energy of an attracting
+ * pair is lowest when the Balls are touching, and the potential energy of a repelling pair is never negative, which
+ * bounds the speed of every Ball.
+ *
+ * Integrating from the current state of the Balls for some time-delta always uses the same sub-steps, so the predicted
+ * positions of the Balls are exactly the positions that the Balls are stepped to. The last integration is cached, since
+ * collision detection asks for the positions and velocities of multiple Balls at the same time-delta.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Ball from './Ball.js';
+
+// constants
+const MAX_SUB_STEP = 1 / 600; // the longest sub-step of the integration, in seconds
+
+class InverseSquareBallGroup {
+
+  /**
+   * @param {Ball[]} balls - the Balls that exert forces on each other.
+   * @param {function(ball1:Ball, ball2:Ball):number} getCoupling - gets the coupling constant of a pair of Balls, in J*m.
+   *                                                                Zero means that the pair doesn't interact.
+   */
+  constructor( balls, getCoupling ) {
+    assert && assert( Array.isArray( balls ) && _.every( balls, ball => ball instanceof Ball ), `invalid balls: ${balls}` );
+    assert && assert( typeof getCoupling === 'function', `invalid getCoupling: ${getCoupling}` );
+
+    // @public (read-only) {Ball[]} - the Balls that exert forces on each other.
+    this.balls = balls;
+
+    // @private {number[][]} - the coupling constant of every pair of Balls, in J*m, indexed by the indices of the Balls
+    //                         in the group. The couplings only depend on the Balls at the start of the time-step.
+    this.couplings = balls.map( ball1 => balls.map( ball2 => ball1 === ball2 ? 0 : getCoupling( ball1, ball2 ) ) );
+
+    // @private {Object|null} - the time-delta, the initial states, and the result of the last integration.
+    this.cachedIntegration = null;
+  }
+
+  /**
+   * Indicates if the Balls of the group exert any force on each other.
+   * @public
+   *
+   * @returns {boolean}
+   */
+  hasInteractions() {
+    return _.some( this.couplings, couplings => _.some( couplings ) );
+  }
+
+  /**
+   * Gets the total potential energy of the pairs of Balls that interact, in Joules.
+   * @public
+   *
+   * @returns {number}
+   */
+  getPotentialEnergy() {
+    let potentialEnergy = 0;
+    this.forEachInteractingPair( ( ball1, ball2, coupling ) => {
+      potentialEnergy += coupling / ball1.positionProperty.value.distance( ball2.positionProperty.value );
+    } );
+    return potentialEnergy;
+  }
+
+  /**
+   * Gets the maximum speed of the center of a Ball in the group, in meters per second. The total energy of the group,
+   * E, is conserved in between collisions, and the potential energy, U, is never less than its value when every
+   * attracting pair of Balls is touching and every repelling pair is infinitely far apart, so the kinetic energy of
+   * each Ball is never more than E - min(U).
+   * @public
+   *
+   * @param {Ball} ball
+   * @returns {number}
+   */
+  getMaxBallSpeed( ball ) {
+    assert && assert( this.balls.includes( ball ), `ball is not in the group: ${ball}` );
+
+    const kineticEnergy = _.sumBy( this.balls, groupBall => {
+      return 0.5 * groupBall.massProperty.value * groupBall.velocityProperty.value.magnitudeSquared;
+    } );
+
+    let minimumPotentialEnergy = 0;
+    this.forEachInteractingPair( ( ball1, ball2, coupling ) => {
+      const minimumDistance = Math.min( ball1.radiusProperty.value + ball2.radiusProperty.value,
+        ball1.positionProperty.value.distance( ball2.positionProperty.value ) );
+      minimumPotentialEnergy += Math.min( 0, coupling / minimumDistance );
+    } );
+
+    const maxKineticEnergy = kineticEnergy + this.getPotentialEnergy() - minimumPotentialEnergy;
+    return Math.sqrt( 2 * maxKineticEnergy / ball.massProperty.value );
+  }
+
+  /**
+   * Moves all of the Balls of the group by one time-step.
+   * @public
+   *
+   * @param {number} dt - time-delta in seconds.
+   */
+  step( dt ) {
+    assert && assert( typeof dt === 'number', `invalid dt: ${dt}` );
+
+    const states = this.integrate( dt );
+
+    this.balls.forEach( ( ball, index ) => {
+      ball.positionProperty.value = states.positions[ index ];
+      ball.velocityProperty.value = states.velocities[ index ];
+
+      // Central forces exert no torque on the Balls, so they keep spinning at the same rate.
+      ball.rotationProperty.value += ball.angularVelocityProperty.value * dt;
+    } );
+  }
+
+  /**
+   * Gets the position of a Ball in the group after some time-delta, in meters.
+   * @public
+   *
+   * @param {Ball} ball
+   * @param {number} dt - time-delta, in seconds.
+   * @returns {Vector2}
+   */
+  getBallPosition( ball, dt ) {
+    assert && assert( this.balls.includes( ball ), `ball is not in the group: ${ball}` );
+
+    return this.integrate( dt ).positions[ this.balls.indexOf( ball ) ];
+  }
+
+  /**
+   * Gets the velocity of a Ball in the group after some time-delta, in meters per second.
+   * @public
+   *
+   * @param {Ball} ball
+   * @param {number} dt - time-delta, in seconds.
+   * @returns {Vector2}
+   */
+  getBallVelocity( ball, dt ) {
+    assert && assert( this.balls.includes( ball ), `ball is not in the group: ${ball}` );
+
+    return this.integrate( dt ).velocities[ this.balls.indexOf( ball ) ];
+  }
+
+  /**
+   * Calls a function for every pair of Balls in the group that interact, with the coupling constant of the pair.
+   * @private
+   *
+   * @param {function(ball1:Ball, ball2:Ball, coupling:number, index1:number, index2:number)} callback
+   */
+  forEachInteractingPair( callback ) {
+    for ( let i = 0; i < this.balls.length; i++ ) {
+      for ( let j = i + 1; j < this.balls.length; j++ ) {
+        this.couplings[ i ][ j ] && callback( this.balls[ i ], this.balls[ j ], this.couplings[ i ][ j ], i, j );
+      }
+    }
+  }
+
+  /**
+   * Gets the acceleration of every Ball, in m/s^2, with the Balls at the given positions.
+   * @private
+   *
+   * @param {Vector2[]} positions
+   * @returns {Vector2[]}
+   */
+  getAccelerations( positions ) {
+    const accelerations = positions.map( () => Vector2.ZERO.copy() );
+
+    this.forEachInteractingPair( ( ball1, ball2, coupling, i, j ) => {
+      const displacement = positions[ j ].minus( positions[ i ] );
+      const distance = displacement.magnitude;
+
+      if ( distance > 0 ) {
+
+        // The force on the second Ball of the pair. The first Ball feels the opposite force.
+        const force = displacement.multiplyScalar( coupling / ( distance * distance * distance ) );
+        accelerations[ i ].subtract( force.times( 1 / ball1.massProperty.value ) );
+        accelerations[ j ].add( force.times( 1 / ball2.massProperty.value ) );
+      }
+    } );
+    return accelerations;
+  }
+
+  /**
+   * Integrates the positions and velocities of the Balls for some time-delta, from the current state of the Balls.
+   * @private
+   *
+   * @param {number} dt - time-delta, in seconds.
+   * @returns {{positions: Vector2[], velocities: Vector2[]}}
+   */
+  integrate( dt ) {
+    const initialPositions = this.balls.map( ball => ball.positionProperty.value );
+    const initialVelocities = this.balls.map( ball => ball.velocityProperty.value );
+
+    // Re-use the last integration if the Balls haven't changed since.
+    const cache = this.cachedIntegration;
+    if ( cache && cache.dt === dt &&
+         _.every( initialPositions, ( position, index ) => position === cache.initialPositions[ index ] ) &&
+         _.every( initialVelocities, ( velocity, index ) => velocity === cache.initialVelocities[ index ] ) ) {
+      return cache.states;
+    }
+
+    let positions = initialPositions;
+    let velocities = initialVelocities;
+
+    // Use the same number of equal sub-steps for the same time-delta, so that predictions match the stepped states.
+    const subSteps = Math.max( 1, Math.ceil( Math.abs( dt ) / MAX_SUB_STEP ) );
+    const h = dt / subSteps;
+
+    // Convenience function that offsets each of the given vectors by the corresponding derivative times a time-delta.
+    const offset = ( vectors, derivatives, time ) => vectors.map( ( vector, index ) => vector.plus( derivatives[ index ].times( time ) ) );
+
+    for ( let i = 0; i < subSteps; i++ ) {
+      const k1v = this.getAccelerations( positions );
+      const k1r = velocities;
+      const k2v = this.getAccelerations( offset( positions, k1r, h / 2 ) );
+      const k2r = offset( velocities, k1v, h / 2 );
+      const k3v = this.getAccelerations( offset( positions, k2r, h / 2 ) );
+      const k3r = offset( velocities, k2v, h / 2 );
+      const k4v = this.getAccelerations( offset( positions, k3r, h ) );
+      const k4r = offset( velocities, k3v, h );
+
+      positions = positions.map( ( position, index ) => position.plus(
+        k1r[ index ].plus( k2r[ index ].times( 2 ) ).add( k3r[ index ].times( 2 ) ).add( k4r[ index ] ).multiplyScalar( h / 6 ) ) );
+      velocities = velocities.map( ( velocity, index ) => velocity.plus(
+        k1v[ index ].plus( k2v[ index ].times( 2 ) ).add( k3v[ index ].times( 2 ) ).add( k4v[ index ] ).multiplyScalar( h / 6 ) ) );
+    }
+
+    const states = { positions: positions, velocities: velocities };
+    this.cachedIntegration = {
+      dt: dt,
+      initialPositions: initialPositions,
+      initialVelocities: initialVelocities,
+      states: states
+    };
+    return states;
+  }
+}
+
+export default InverseSquareBallGroup;
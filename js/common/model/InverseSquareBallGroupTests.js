@@ -0,0 +1,122 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * InverseSquareBallGroup tests, with the Balls of the 'Explore 2D' screen. Balls that attract each other with mutual
+ * gravity orbit and fall towards each other, while their total momentum and their kinetic energy plus the potential
+ * energy of every pair are conserved.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Explore2DModel from '../../explore2D/model/Explore2DModel.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const DURATION = 4;        // the duration of the motion, in seconds.
+const TOLERANCE = 1e-6;    // the tolerance of the compared values.
+
+QUnit.module( 'InverseSquareBallGroup' );
+
+/**
+ * Creates an Explore2DModel with two Balls of 1 kg, which attract each other with a gravitational constant of
+ * 0.3 N*m^2/kg^2.
+ *
+ * @returns {Explore2DModel}
+ */
+const createGravitatingModel = () => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  model.playArea.mutualGravity.isEnabledProperty.value = true;
+  model.playArea.mutualGravity.strengthProperty.value = 0.3;
+  model.ballSystem.balls.forEach( ball => { ball.massProperty.value = 1; } );
+  return model;
+};
+
+/**
+ * Gets the total energy of the Balls of the passed-in model, which is the kinetic energy of the Balls plus the
+ * gravitational potential energy of every pair, -G * m1 * m2 / r.
+ *
+ * @param {Explore2DModel} model
+ * @returns {number}
+ */
+const getTotalEnergy = model => {
+  const balls = model.ballSystem.balls;
+  const gravitationalConstant = model.playArea.mutualGravity.strengthProperty.value;
+  return model.ballSystem.totalKineticEnergyProperty.value + _.sum( _.flatMap( balls, ( ball1, i ) => {
+    return balls.slice( i + 1 ).map( ball2 => -gravitationalConstant * ball1.massProperty.value *
+                                              ball2.massProperty.value /
+                                              ball1.positionProperty.value.distance( ball2.positionProperty.value ) );
+  } ) );
+};
+
+/**
+ * Gets the linear momentum of the passed-in Balls.
+ *
+ * @param {Ball[]} balls
+ * @returns {Vector2}
+ */
+const getMomentum = balls => {
+  return balls.reduce( ( momentum, ball ) => momentum.plus( ball.momentumProperty.value ), Vector2.ZERO );
+};
+
+QUnit.test( 'two Balls orbit their center-of-mass in a circle', assert => {
+  const model = createGravitatingModel();
+  const [ ball1, ball2 ] = model.ballSystem.balls;
+
+  // The gravity between the Balls, G * m^2 / d^2, is the centripetal force of each Ball, m * v^2 / ( d / 2 ).
+  const speed = Math.sqrt( 0.3 / 2 );
+  ball1.positionProperty.value = new Vector2( -0.5, 0 );
+  ball1.velocityProperty.value = new Vector2( 0, -speed );
+  ball2.positionProperty.value = new Vector2( 0.5, 0 );
+  ball2.velocityProperty.value = new Vector2( 0, speed );
+
+  let maxDistanceError = 0;
+  let maxSpeedError = 0;
+  let maxCenterOfMassError = 0;
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+    maxDistanceError = Math.max( maxDistanceError,
+      Math.abs( ball1.positionProperty.value.distance( ball2.positionProperty.value ) - 1 ) );
+    maxSpeedError = Math.max( maxSpeedError, Math.abs( ball1.speedProperty.value - speed ) );
+    maxCenterOfMassError = Math.max( maxCenterOfMassError,
+      model.ballSystem.centerOfMass.positionProperty.value.magnitude );
+  }
+
+  assert.ok( maxDistanceError < TOLERANCE, `max error of the distance between the Balls: ${maxDistanceError}` );
+  assert.ok( maxSpeedError < TOLERANCE, `max error of the speed of the Balls: ${maxSpeedError}` );
+  assert.ok( maxCenterOfMassError < TOLERANCE, `max error of the center-of-mass: ${maxCenterOfMassError}` );
+  assert.ok( ball1.positionProperty.value.x > -0.5 + 0.1, 'the Balls moved around the orbit' );
+} );
+
+QUnit.test( 'Balls at rest fall towards each other and collide', assert => {
+  const model = createGravitatingModel();
+  model.ballSystem.numberOfBallsProperty.value = 3;
+  const balls = model.ballSystem.balls;
+  balls[ 2 ].massProperty.value = 1;
+  [ [ -0.8, -0.2 ], [ 0.6, -0.3 ], [ 0, 0.6 ] ].forEach( ( [ x, y ], i ) => {
+    balls[ i ].positionProperty.value = new Vector2( x, y );
+    balls[ i ].velocityProperty.value = Vector2.ZERO;
+  } );
+  const energy = getTotalEnergy( model );
+
+  let maxSpeed = 0;
+  let maxEnergyError = 0;
+  let maxMomentum = 0;
+  let minGap = Infinity;
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+    maxSpeed = Math.max( maxSpeed, ...balls.map( ball => ball.speedProperty.value ) );
+    maxEnergyError = Math.max( maxEnergyError, Math.abs( getTotalEnergy( model ) - energy ) );
+    maxMomentum = Math.max( maxMomentum, getMomentum( balls ).magnitude );
+    minGap = Math.min( minGap, ..._.flatMap( balls, ( ball1, i ) => balls.slice( i + 1 ).map( ball2 => {
+      return ball1.positionProperty.value.distance( ball2.positionProperty.value ) -
+             ball1.radiusProperty.value - ball2.radiusProperty.value;
+    } ) ) );
+  }
+
+  assert.ok( maxSpeed > 0.3, `the Balls were pulled together: ${maxSpeed}` );
+  assert.ok( minGap > -TOLERANCE, `min gap between the Balls: ${minGap}` );
+  assert.ok( maxMomentum < TOLERANCE, `the total momentum stays zero: ${maxMomentum}` );
+  assert.ok( maxEnergyError < TOLERANCE, `max error of the energy: ${maxEnergyError}` );
+} );
@@ -0,0 +1,47 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * MagneticField is the model for the optional uniform magnetic field of the PlayArea, which points perpendicular to the
+ * PlayArea. The magnetic field exerts the Lorentz force, F = q * v x B, on every charged Ball (see Ball.chargeProperty),
+ * which is perpendicular to the velocity of the Ball, so charged Balls move in circles in between collisions while
+ * their speed stays the same (see GyratingBall). Uncharged Balls aren't affected by the field.
+ *
+ * A positive field points out of the PlayArea, towards the viewer, which makes positively charged Balls circle
+ * clockwise. A negative field points into the PlayArea.
+ *
+ * MagneticFields are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+
+class MagneticField {
+
+  constructor() {
+
+    // @public {Property.<boolean>} - indicates if the magnetic field is on. Manipulated in the view.
+    this.isEnabledProperty = new BooleanProperty( false );
+
+    // @public {Property.<number>} - the component of the magnetic field out of the PlayArea, in Teslas. Manipulated in
+    //                               the view.
+    this.strengthProperty = new NumberProperty( CollisionLabConstants.MAGNETIC_FIELD_STRENGTH_RANGE.defaultValue, {
+      range: CollisionLabConstants.MAGNETIC_FIELD_STRENGTH_RANGE
+    } );
+  }
+
+  /**
+   * Resets the MagneticField.
+   * @public
+   *
+   * Called when the reset-all button is pressed.
+   */
+  reset() {
+    this.isEnabledProperty.reset();
+    this.strengthProperty.reset();
+  }
+}
+
+export default MagneticField;
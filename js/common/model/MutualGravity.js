@@ -0,0 +1,47 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * MutualGravity is the model for the optional mutual gravitational attraction of the Balls of the PlayArea, which makes
+ * Balls attract, orbit, and slingshot around each other. Every pair of Balls attracts each other with Newton's law of
+ * gravitation, with an exaggerated gravitational constant, G, so that the attraction is visible at the scale of the
+ * PlayArea (see InverseSquareBallGroup).
+ *
+ * Unlike UniformGravity, mutual gravity is an internal force, so the total momentum of the system is conserved while it
+ * is enabled; the CenterOfMass moves uniformly and the total momentum in the MomentaDiagram stays constant while the
+ * momenta of the individual Balls change.
+ *
+ * MutualGravities are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+
+class MutualGravity {
+
+  constructor() {
+
+    // @public {Property.<boolean>} - indicates if the Balls attract each other. Manipulated in the view.
+    this.isEnabledProperty = new BooleanProperty( false );
+
+    // @public {Property.<number>} - the gravitational constant, G, in N*m^2/kg^2. Manipulated in the view.
+    this.strengthProperty = new NumberProperty( CollisionLabConstants.MUTUAL_GRAVITY_STRENGTH_RANGE.defaultValue, {
+      range: CollisionLabConstants.MUTUAL_GRAVITY_STRENGTH_RANGE
+    } );
+  }
+
+  /**
+   * Resets the MutualGravity.
+   * @public
+   *
+   * Called when the reset-all button is pressed.
+   */
+  reset() {
+    this.isEnabledProperty.reset();
+    this.strengthProperty.reset();
+  }
+}
+
+export default MutualGravity;
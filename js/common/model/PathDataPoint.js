@@ -18,16 +18,21 @@ class PathDataPoint {
   /**
    * @param {number} time - the total elapsed time of the simulation, in seconds.
    * @param {Vector2} position - position of the Ball or CenterOfMass moving object, in meter coordinates.
+   * @param {boolean} [isDisconnected] - indicates if the 'Path' is broken right before this PathDataPoint.
    */
-  constructor( time, position ) {
+  constructor( time, position, isDisconnected = false ) {
     assert && assert( typeof time === 'number' && time >= 0, `invalid time: ${time}` );
     assert && assert( position instanceof Vector2, `invalid position: ${position}` );
+    assert && assert( typeof isDisconnected === 'boolean', `invalid isDisconnected: ${isDisconnected}` );
 
     // @public (read-only) {number}
     this.time = time;
 
     // @public (read-only) {Vector2}
     this.position = position;
+
+    // @public (read-only) {boolean} - if true, this PathDataPoint isn't connected to the previous PathDataPoint.
+    this.isDisconnected = isDisconnected;
   }
 
   /**
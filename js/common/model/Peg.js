@@ -0,0 +1,53 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A Peg is the model for a single fixed, circular obstacle inside of the PlayArea. Balls bounce off of Pegs, but Pegs
+ * never move when they are hit, as if they had infinite mass. Pegs are added to and removed from the PlayArea with the
+ * toolbox in the control panel, and can be dragged around the PlayArea by the user.
+ *
+ * Like Balls, the same Peg instances are used for the lifetime of the sim, regardless of whether or not they are in
+ * the PlayArea. Thus, Pegs are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Vector2Property from '../../../../dot/js/Vector2Property.js';
+import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+
+class Peg {
+
+  /**
+   * @param {number} index - the index of the Peg, which is unique among the Pegs of the PlayArea. Starts from 1.
+   */
+  constructor( index ) {
+    assert && AssertUtils.assertPositiveInteger( index );
+
+    // @public {Property.<Vector2>} - Property of the center-position of the Peg, in meters.
+    this.positionProperty = new Vector2Property( Vector2.ZERO, {
+      valueComparisonStrategy: 'equalsFunction'
+    } );
+
+    // @public {Property.<boolean>} - indicates if the Peg is being dragged by the user. Set in the view.
+    this.userControlledProperty = new BooleanProperty( false );
+
+    // @public (read-only) {number} - the radius of the Peg, in meters.
+    this.radius = CollisionLabConstants.PEG_RADIUS;
+
+    // @public (read-only) {number} - the unique index of this Peg within the PlayArea.
+    this.index = index;
+  }
+
+  /**
+   * Resets this Peg to its factory settings. Called when the reset-all button is pressed.
+   * @public
+   */
+  reset() {
+    this.positionProperty.reset();
+    this.userControlledProperty.reset();
+  }
+}
+
+export default Peg;
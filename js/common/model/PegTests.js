@@ -0,0 +1,118 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Peg tests, with a Ball of the 'Explore 2D' screen. Pegs are added to and removed from the PlayArea, and Balls bounce
+ * off of Pegs with the elasticity of the Ball with the border, while the Pegs never move.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Explore2DModel from '../../explore2D/model/Explore2DModel.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const DURATION = 2;        // the Ball bounces off of the Peg once within this duration, in seconds.
+const TOLERANCE = 1e-6;    // the tolerance of the compared values.
+
+QUnit.module( 'Peg' );
+
+/**
+ * Creates an Explore2DModel with one Ball, at the passed-in position and moving to the right, and a Peg at the origin.
+ *
+ * @param {Vector2} position
+ * @param {number} elasticityPercent
+ * @returns {Explore2DModel}
+ */
+const createModel = ( position, elasticityPercent ) => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  model.ballSystem.numberOfBallsProperty.value = 1;
+  model.ballSystem.balls[ 0 ].positionProperty.value = position;
+  model.ballSystem.balls[ 0 ].velocityProperty.value = new Vector2( 1, 0 );
+  model.playArea.elasticityPercentProperty.value = elasticityPercent;
+  model.playArea.addPeg( Vector2.ZERO );
+  return model;
+};
+
+/**
+ * Steps the model for the passed-in duration and returns the min gap between the surfaces of the Ball and the Peg.
+ *
+ * @param {Explore2DModel} model
+ * @param {number} duration - in seconds.
+ * @returns {number}
+ */
+const stepModel = ( model, duration ) => {
+  const ball = model.ballSystem.balls[ 0 ];
+  const peg = model.playArea.pegs.get( 0 );
+
+  let minGap = Infinity;
+  for ( let time = 0; time < duration; time += DT ) {
+    model.stepManual( DT );
+    minGap = Math.min( minGap,
+      ball.positionProperty.value.distance( peg.positionProperty.value ) - ball.radiusProperty.value - peg.radius );
+  }
+  return minGap;
+};
+
+QUnit.test( 'adding and removing Pegs', assert => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  const playArea = model.playArea;
+  const ball = model.ballSystem.balls[ 0 ];
+
+  const pegs = _.range( CollisionLabConstants.MAX_PEGS ).map( index => {
+    return playArea.addPeg( new Vector2( index * 0.2, 0.8 ) );
+  } );
+  assert.ok( pegs.every( peg => peg !== null ), 'up to the max number of Pegs are added' );
+  assert.equal( playArea.addPeg( Vector2.ZERO ), null, 'no more than the max number of Pegs are added' );
+
+  assert.equal( playArea.getOverlappingPeg( ball ), undefined, 'the Ball doesn\'t overlap any Peg' );
+  ball.positionProperty.value = pegs[ 2 ].positionProperty.value.plusXY( 0.05, 0 );
+  assert.equal( playArea.getOverlappingPeg( ball ), pegs[ 2 ], 'the Ball overlaps a Peg' );
+
+  playArea.removePeg( pegs[ 2 ] );
+  assert.equal( playArea.pegs.length, CollisionLabConstants.MAX_PEGS - 1, 'the Peg is removed' );
+  assert.ok( pegs[ 2 ].positionProperty.value.equals( Vector2.ZERO ), 'the removed Peg is reset' );
+  assert.equal( playArea.addPeg( Vector2.ZERO ), pegs[ 2 ], 'the removed Peg is added again' );
+
+  model.reset();
+  assert.equal( playArea.pegs.length, 0, 'every Peg is removed on reset' );
+} );
+
+QUnit.test( 'a Ball bounces off of a Peg head-on', assert => {
+  const model = createModel( new Vector2( -1, 0 ), 50 );
+  const ball = model.ballSystem.balls[ 0 ];
+  const peg = model.playArea.pegs.get( 0 );
+
+  const minGap = stepModel( model, DURATION );
+
+  assert.ok( minGap > -TOLERANCE, `min gap between the Ball and the Peg: ${minGap}` );
+  assert.ok( ball.velocityProperty.value.equalsEpsilon( new Vector2( -0.5, 0 ), TOLERANCE ),
+    `the Ball bounces back with half of its speed: ${ball.velocityProperty.value}` );
+  assert.ok( peg.positionProperty.value.equals( Vector2.ZERO ), 'the Peg never moves' );
+} );
+
+QUnit.test( 'a Ball bounces off of a Peg at an angle and reverses in time', assert => {
+  const position = new Vector2( -1, 0.04 );
+  const model = createModel( position, 100 );
+  const ball = model.ballSystem.balls[ 0 ];
+  const sumOfRadii = ball.radiusProperty.value + model.playArea.pegs.get( 0 ).radius;
+
+  // Where the Ball touches the Peg, the velocity of the Ball is reflected about the line between their centers.
+  const normal = new Vector2( -Math.sqrt( sumOfRadii ** 2 - position.y ** 2 ), position.y ).normalized();
+  const velocity = new Vector2( 1, 0 );
+  const expectedVelocity = velocity.minus( normal.timesScalar( 2 * velocity.dot( normal ) ) );
+
+  const minGap = stepModel( model, DURATION );
+
+  assert.ok( minGap > -TOLERANCE, `min gap between the Ball and the Peg: ${minGap}` );
+  assert.ok( ball.velocityProperty.value.equalsEpsilon( expectedVelocity, TOLERANCE ),
+    `the velocity is reflected about the normal: ${ball.velocityProperty.value}` );
+
+  while ( model.elapsedTimeProperty.value > 0 ) {
+    model.stepBackwards();
+  }
+  assert.ok( ball.positionProperty.value.equalsEpsilon( position, TOLERANCE ), 'the Ball returns to its position' );
+  assert.ok( ball.velocityProperty.value.equalsEpsilon( velocity, TOLERANCE ), 'the Ball returns to its velocity' );
+} );
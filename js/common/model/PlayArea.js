@@ -2,14 +2,30 @@
 
 /**
  * PlayArea is the model for the main container of colliding Balls in the 'collision lab' simulation. It is a
- * sub-model of the top-level model of each screen and has a ideal friction-less surface with rigid borders. The origin
- * is at the center, and its bounds never changes.
+ * sub-model of the top-level model of each screen and has rigid borders. Its surface is ideal and friction-less unless
+ * table friction is enabled (see TableFriction), and there is no external field unless gravity is enabled (see
+ * UniformGravity). Some PlayAreas can also contain fixed Pegs and Walls that Balls bounce off of (see Peg and Wall).
+ * The origin is at the center, and its bounds never changes. The sides of a rectangular border are the edges of the
+ * bounds, but sub-types can move a side of the border inside of the bounds by overriding the getters of the edges (see
+ * IdealGasPlayArea).
+ *
+ * The border of a PlayArea is its rectangular bounds by default, but 2D PlayAreas can also have a circular border (which
+ * is inscribed in its bounds) or a convex polygonal border (which is inside of its bounds). See PlayArea.BorderShape.
+ *
+ * Instead of reflecting Balls, a rectangular border can also be periodic (wrap-around), where a Ball that leaves one side
+ * of the PlayArea re-enters from the opposite side. The PlayArea is then a single cell of an infinite lattice of copies
+ * of itself, and the separation of two bodies is their minimum-image separation, which is the shortest separation
+ * between one of the bodies and any of the lattice copies of the other body.
  *
  * PlayArea is mainly responsible for:
- *   - Handling the different Bounds of PlayAreas in each screen.
+ *   - Handling the different Bounds and border shapes of PlayAreas in each screen.
  *   - Handling and referencing the different dimension of each screen.
- *   - PlayArea-related Properties, such as Grid visibility and Reflecting Border.
- *   - Keeping track of the elasticity of collisions.
+ *   - PlayArea-related Properties, such as Grid visibility and Reflecting and Periodic Borders.
+ *   - Keeping track of the elasticity and contact friction of collisions.
+ *   - Keeping track of the friction of its surface and its gravitational field.
+ *   - Keeping track of the spring that bonds a pair of Balls, if it is enabled (see SpringBond).
+ *   - Keeping track of the mutual gravitational attraction of the Balls, if it is enabled (see MutualGravity).
+ *   - Keeping track of the Pegs and Walls that are inside of it.
  *   - Convenience methods related to the PlayArea.
  *
  * PlayAreas are created at the start of the sim and are never disposed, so no dispose method is necessary.
@@ -18,17 +34,54 @@
  */
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import createObservableArray from '../../../../axon/js/createObservableArray.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
 import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
 import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
 import merge from '../../../../phet-core/js/merge.js';
 import CollisionLabConstants from '../CollisionLabConstants.js';
 import Ball from './Ball.js';
+import MagneticField from './MagneticField.js';
+import MutualGravity from './MutualGravity.js';
+import Peg from './Peg.js';
+import SpringBond from './SpringBond.js';
+import TableFriction from './TableFriction.js';
+import UniformGravity from './UniformGravity.js';
+import Wall from './Wall.js';
 
 // constants
 const ELASTICITY_PERCENT_RANGE = CollisionLabConstants.ELASTICITY_PERCENT_RANGE;
 const EPSILON = CollisionLabConstants.ZERO_THRESHOLD;
+const MAX_SUPPORT_ITERATIONS = 200; // the maximum number of passes over the contacts that support Balls under gravity
+
+/**
+ * Gets the point on a line segment that is closest to some point.
+ *
+ * @param {Vector2} point
+ * @param {Vector2} start - the start of the segment.
+ * @param {Vector2} end - the end of the segment.
+ * @returns {Vector2}
+ */
+const getClosestPointOnSegment = ( point, start, end ) => {
+  const delta = end.minus( start );
+  const fraction = Utils.clamp( point.minus( start ).dot( delta ) / delta.magnitudeSquared, 0, 1 );
+  return delta.multiplyScalar( fraction ).add( start );
+};
+
+/**
+ * Determines whether a Ball that touches the border or a Wall is resting against it, given its velocity along the
+ * normal of the contact, which is positive when the Ball moves away. A Ball that moves away, however slowly, isn't
+ * resting, since the normal force can only push. Otherwise, the Ball would drift off and sink back in undetected.
+ *
+ * @param {number} normalVelocity - in m/s.
+ * @returns {boolean}
+ */
+const isRestingOnObstacle = normalVelocity => {
+  return normalVelocity > -CollisionLabConstants.MIN_VELOCITY && normalVelocity < EPSILON;
+};
 
 class PlayArea {
 
@@ -44,14 +97,34 @@ class PlayArea {
       // {Bounds2} - the model bounds of the PlayArea, in meters.
       bounds: PlayArea.DEFAULT_BOUNDS,
 
+      // {PlayArea.BorderShape} - the shape of the border of the PlayArea. Non-rectangular borders are only supported in
+      //                          2D PlayAreas.
+      borderShape: PlayArea.BorderShape.RECTANGLE,
+
+      // {Vector2[]|null} - the vertices of a POLYGON border, in meters, in counter-clockwise order. The polygon must be
+      //                    convex and inside of the bounds. Required (and only used) if the border is a POLYGON.
+      borderVertices: null,
+
       // {boolean} - indicates if the Grid is visible initially (and after resetting).
       isGridVisibleInitially: false,
 
       // {boolean} - indicates if the PlayArea's borders reflect initially (and after resetting).
       reflectingBorderInitially: true,
 
+      // {boolean} - indicates if the PlayArea's borders are periodic initially (and after resetting). Only rectangular
+      //             borders can be periodic, and the border can't be both reflecting and periodic.
+      periodicBorderInitially: false,
+
       // {number} - the initial elasticity of the PlayArea (and after resetting), as a percentage.
-      initialElasticityPercent: ELASTICITY_PERCENT_RANGE.max
+      initialElasticityPercent: ELASTICITY_PERCENT_RANGE.max,
+
+      // {number} - the maximum number of Pegs that can be in the PlayArea at once. Zero means that the PlayArea
+      //            doesn't support Pegs.
+      maxPegs: 0,
+
+      // {number} - the maximum number of Walls that can be in the PlayArea at once. Zero means that the PlayArea
+      //            doesn't support Walls.
+      maxWalls: 0
 
     }, options );
 
@@ -63,10 +136,68 @@ class PlayArea {
     // @public (read-only) {PlayArea.Dimension} - the dimensions of the PlayArea (1D vs 2D).
     this.dimension = dimension;
 
+    assert && assert( PlayArea.BorderShape.includes( options.borderShape ), `invalid borderShape: ${options.borderShape}` );
+    assert && assert( dimension === PlayArea.Dimension.TWO || options.borderShape === PlayArea.BorderShape.RECTANGLE,
+      'only 2D PlayAreas support non-rectangular borders' );
+    assert && assert( ( options.borderShape === PlayArea.BorderShape.POLYGON ) === !!options.borderVertices,
+      'borderVertices are required for (and only for) POLYGON borders' );
+
+    // @public (read-only) {PlayArea.BorderShape} - the shape of the border of the PlayArea.
+    this.borderShape = options.borderShape;
+
+    // @public (read-only) {number|null} - the radius of a CIRCLE border, in meters. The circle is inscribed in the
+    //                                      bounds. Null if the border isn't a CIRCLE.
+    this.borderRadius = options.borderShape === PlayArea.BorderShape.CIRCLE ?
+                        Math.min( this.bounds.width, this.bounds.height ) / 2 :
+                        null;
+
+    // @public (read-only) {Vector2[]|null} - the vertices of a POLYGON border, in meters, in counter-clockwise order.
+    //                                        Null if the border isn't a POLYGON.
+    this.borderVertices = options.borderVertices;
+
+    // @public (read-only) {Vector2[]|null} - the inward unit normals of the sides of a POLYGON border, where the side of
+    //                                        the ith normal goes from the ith vertex to the next vertex. Null if the
+    //                                        border isn't a POLYGON.
+    this.borderNormals = options.borderVertices && options.borderVertices.map( ( vertex, i ) => {
+      const direction = options.borderVertices[ ( i + 1 ) % options.borderVertices.length ].minus( vertex ).normalize();
+
+      // For counter-clockwise vertices, the inside of the polygon is to the left of each side.
+      return new Vector2( -direction.y, direction.x );
+    } );
+
+    if ( assert && this.borderVertices ) {
+
+      // Verify that the POLYGON border is convex, is in counter-clockwise order, and is inside of the bounds.
+      assert( this.borderVertices.length >= 3, 'POLYGON borders need at least 3 vertices' );
+      assert( this.borderVertices.every( vertex => this.bounds.containsPoint( vertex ) ), 'borderVertices must be in bounds' );
+      assert( this.borderNormals.every( ( normal, i ) => {
+        return normal.dot( this.borderVertices[ ( i + 2 ) % this.borderVertices.length ].minus( this.borderVertices[ i ] ) ) > 0;
+      } ), 'POLYGON borders must be convex and in counter-clockwise order' );
+    }
+
     // @public {Property.<boolean>} - indicates if the Balls reflect at the Border of the PlayArea bounds. This Property
     //                             is manipulated in the view.
     this.reflectingBorderProperty = new BooleanProperty( options.reflectingBorderInitially );
 
+    assert && assert( !options.periodicBorderInitially || !options.reflectingBorderInitially,
+      'the border cannot be both reflecting and periodic' );
+
+    // @public {Property.<boolean>} - indicates if Balls that leave the PlayArea re-enter from the opposite side. If
+    //                                neither this nor the reflectingBorderProperty is true, Balls leave the PlayArea
+    //                                forever. This Property is manipulated in the view.
+    this.periodicBorderProperty = new BooleanProperty( options.periodicBorderInitially, {
+      isValidValue: value => !value || this.borderShape === PlayArea.BorderShape.RECTANGLE
+    } );
+
+    // A border can't both reflect Balls and let them through, so a reflecting border and a periodic border are mutually
+    // exclusive. Links persist for the lifetime of the sim since PlayAreas are never disposed.
+    this.reflectingBorderProperty.link( isReflecting => {
+      if ( isReflecting ) { this.periodicBorderProperty.value = false; }
+    } );
+    this.periodicBorderProperty.link( isPeriodic => {
+      if ( isPeriodic ) { this.reflectingBorderProperty.value = false; }
+    } );
+
     // @public {Property.<boolean>} - indicates if the grid of the PlayArea is visible. This is placed inside of the model
     //                             since the visibility of the grid affects the drag-snapping of Balls.
     this.gridVisibleProperty = new BooleanProperty( options.isGridVisibleInitially );
@@ -76,6 +207,141 @@ class PlayArea {
     this.elasticityPercentProperty = new NumberProperty( options.initialElasticityPercent, {
       range: ELASTICITY_PERCENT_RANGE
     } );
+
+    // @public {Property.<number>} - Property of the coefficient of friction of ball-ball contacts in the PlayArea. During
+    //                            a collision, contact friction trades the tangential momentum of the Balls for spin.
+    //                            Zero means that collisions don't affect the spin of Balls.
+    this.contactFrictionProperty = new NumberProperty( CollisionLabConstants.CONTACT_FRICTION_RANGE.defaultValue, {
+      range: CollisionLabConstants.CONTACT_FRICTION_RANGE
+    } );
+
+    // @public (read-only) {TableFriction} - the friction of the surface of the PlayArea.
+    this.tableFriction = new TableFriction();
+
+    // @public (read-only) {UniformGravity} - the uniform gravitational field of the PlayArea.
+    this.uniformGravity = new UniformGravity();
+
+    // Table friction and gravity can't be combined, so enabling one disables the other. Links persist for the lifetime
+    // of the sim since PlayAreas are never disposed.
+    this.tableFriction.isEnabledProperty.link( isEnabled => {
+      if ( isEnabled ) { this.uniformGravity.isEnabledProperty.value = false; }
+    } );
+    this.uniformGravity.isEnabledProperty.link( isEnabled => {
+      if ( isEnabled ) { this.tableFriction.isEnabledProperty.value = false; }
+    } );
+
+    // @public {Property.<boolean>} - indicates if ball-ball collisions are perfectly inelastic and 'stick', where the
+    //                                Balls that collide stick together and move as a rigid body (see
+    //                                RotatingBallCluster). This Property is manipulated in the view.
+    this.stickyCollisionsProperty = new BooleanProperty( false );
+
+    // @public (read-only) {SpringBond} - the spring that bonds a pair of Balls of the PlayArea.
+    this.springBond = new SpringBond();
+
+    // @public (read-only) {MutualGravity} - the mutual gravitational attraction of the Balls of the PlayArea.
+    this.mutualGravity = new MutualGravity();
+
+    // @public {Property.<boolean>} - indicates if the Balls of the PlayArea exert Coulomb forces on each other, based on
+    //                                the charge of each Ball (see Ball.chargeProperty). Like charges repel each other
+    //                                and unlike charges attract each other. This Property is manipulated in the view.
+    this.chargesEnabledProperty = new BooleanProperty( false );
+
+    // @public (read-only) {MagneticField} - the uniform magnetic field of the PlayArea, which acts on charged Balls.
+    this.magneticField = new MagneticField();
+
+    // Clusters of stuck Balls, bonded Balls, Balls that exert forces on each other, and Balls that circle in the
+    // magnetic field are only found with conservative advancement inside of the border, and their collisions are
+    // re-detected on every time-step. So sticky collisions, the SpringBond, MutualGravity, charges, and the
+    // MagneticField can't be combined with each other or with table friction, gravity, or a periodic border. Links
+    // persist for the lifetime of the sim since PlayAreas are never disposed.
+    const constrainingProperties = [
+      this.stickyCollisionsProperty,
+      this.springBond.isEnabledProperty,
+      this.mutualGravity.isEnabledProperty,
+      this.chargesEnabledProperty,
+      this.magneticField.isEnabledProperty
+    ];
+    const nonUniformProperties = [
+      this.tableFriction.isEnabledProperty,
+      this.uniformGravity.isEnabledProperty,
+      this.periodicBorderProperty
+    ];
+    constrainingProperties.forEach( constrainingProperty => constrainingProperty.link( isEnabled => {
+      isEnabled && [ ...nonUniformProperties, ...constrainingProperties ].forEach( property => {
+        if ( property !== constrainingProperty ) { property.value = false; }
+      } );
+    } ) );
+    nonUniformProperties.forEach( property => property.link( isEnabled => {
+      isEnabled && constrainingProperties.forEach( constrainingProperty => { constrainingProperty.value = false; } );
+    } ) );
+
+    // @public {Property.<boolean>} - indicates if the motion of Balls in the PlayArea is time-reversible, ignoring the
+    //                                elasticity of collisions. Friction of any kind dissipates energy, so the sim can't be
+    //                                stepped backwards. Balls that stick together can't be separated by stepping
+    //                                backwards either, and the collisions of bonded Balls, of Balls that exert
+    //                                forces on each other, and of Balls in the magnetic field are only found forwards
+    //                                in time (see BondedBallPair, InverseSquareBallGroup, and GyratingBall).
+    //                                DerivedProperty is never disposed since PlayAreas are never disposed.
+    this.isTimeReversibleProperty = new DerivedProperty( [
+      this.tableFriction.isEnabledProperty,
+      this.contactFrictionProperty,
+      this.stickyCollisionsProperty,
+      this.springBond.isEnabledProperty,
+      this.mutualGravity.isEnabledProperty,
+      this.chargesEnabledProperty,
+      this.magneticField.isEnabledProperty
+    ], ( tableFrictionEnabled, contactFriction, stickyCollisions, springBondEnabled, mutualGravityEnabled,
+         chargesEnabled, magneticFieldEnabled ) => {
+      return !tableFrictionEnabled && contactFriction === 0 && !stickyCollisions && !springBondEnabled &&
+             !mutualGravityEnabled && !chargesEnabled && !magneticFieldEnabled;
+    }, {
+      valueType: 'boolean'
+    } );
+
+    //----------------------------------------------------------------------------------------
+
+    assert && assert( Number.isInteger( options.maxPegs ) && options.maxPegs >= 0, `invalid maxPegs: ${options.maxPegs}` );
+
+    // @public (read-only) {Peg[]} - an array of all possible Pegs of the PlayArea. Pegs are created at the start of the
+    //                               sim and are never disposed; they are only added to and removed from the pegs array.
+    this.prepopulatedPegs = _.range( options.maxPegs ).map( index => new Peg( index + 1 ) );
+
+    // @public (read-only) {ObservableArrayDef.<Peg>} - an array of the Pegs currently within the PlayArea. Pegs **must**
+    //                                                  be from prepopulatedPegs.
+    this.pegs = createObservableArray( { valueType: Peg } );
+
+    // @public {Property.<boolean>} - indicates if there are any Pegs that are being dragged. Uses the
+    //                                userControlledProperty of all possible Pegs as dependencies but only the Pegs in
+    //                                the PlayArea are considered in the derivation function. DerivedProperty is never
+    //                                disposed since PlayAreas are never disposed.
+    this.pegsUserControlledProperty = new DerivedProperty(
+      [ this.pegs.lengthProperty, ...this.prepopulatedPegs.map( peg => peg.userControlledProperty ) ],
+      () => this.pegs.some( peg => peg.userControlledProperty.value ), {
+        valueType: 'boolean'
+      } );
+
+    //----------------------------------------------------------------------------------------
+
+    assert && assert( Number.isInteger( options.maxWalls ) && options.maxWalls >= 0, `invalid maxWalls: ${options.maxWalls}` );
+
+    // @public (read-only) {Wall[]} - an array of all possible Walls of the PlayArea. Walls are created at the start of
+    //                                the sim and are never disposed; they are only added to and removed from the walls
+    //                                array.
+    this.prepopulatedWalls = _.range( options.maxWalls ).map( index => new Wall( index + 1 ) );
+
+    // @public (read-only) {ObservableArrayDef.<Wall>} - an array of the Walls currently within the PlayArea. Walls
+    //                                                   **must** be from prepopulatedWalls.
+    this.walls = createObservableArray( { valueType: Wall } );
+
+    // @public {Property.<boolean>} - indicates if there are any Walls that are being drawn. Uses the
+    //                                userControlledProperty of all possible Walls as dependencies but only the Walls in
+    //                                the PlayArea are considered in the derivation function. DerivedProperty is never
+    //                                disposed since PlayAreas are never disposed.
+    this.wallsUserControlledProperty = new DerivedProperty(
+      [ this.walls.lengthProperty, ...this.prepopulatedWalls.map( wall => wall.userControlledProperty ) ],
+      () => this.walls.some( wall => wall.userControlledProperty.value ), {
+        valueType: 'boolean'
+      } );
   }
 
   /**
@@ -86,8 +352,128 @@ class PlayArea {
    */
   reset() {
     this.reflectingBorderProperty.reset();
+    this.periodicBorderProperty.reset();
     this.gridVisibleProperty.reset();
     this.elasticityPercentProperty.reset();
+    this.contactFrictionProperty.reset();
+    this.tableFriction.reset();
+    this.uniformGravity.reset();
+    this.stickyCollisionsProperty.reset();
+    this.springBond.reset();
+    this.mutualGravity.reset();
+    this.chargesEnabledProperty.reset();
+    this.magneticField.reset();
+    this.pegs.clear();
+    this.prepopulatedPegs.forEach( peg => { peg.reset(); } );
+    this.clearWalls();
+  }
+
+  //----------------------------------------------------------------------------------------
+
+  /**
+   * Adds the first Peg that isn't already in the PlayArea at the given position. Called when the user drags a Peg out
+   * of the toolbox.
+   * @public
+   *
+   * @param {Vector2} position - in meters.
+   * @returns {Peg|null} - the added Peg, or null if all Pegs are already in the PlayArea.
+   */
+  addPeg( position ) {
+    assert && assert( position instanceof Vector2, `invalid position: ${position}` );
+
+    const peg = _.find( this.prepopulatedPegs, peg => !this.pegs.includes( peg ) );
+
+    if ( !peg ) {
+      return null;
+    }
+    peg.positionProperty.value = position;
+    this.pegs.push( peg );
+    return peg;
+  }
+
+  /**
+   * Removes a Peg from the PlayArea. Called when the user drops a Peg outside of the PlayArea.
+   * @public
+   *
+   * @param {Peg} peg
+   */
+  removePeg( peg ) {
+    assert && assert( peg instanceof Peg && this.pegs.includes( peg ), `invalid peg: ${peg}` );
+
+    this.pegs.remove( peg );
+    peg.reset();
+  }
+
+  /**
+   * Gets the Peg in the PlayArea that is overlapping with the passed-in Ball, if any.
+   * @public
+   *
+   * @param {Ball} ball
+   * @returns {Peg|undefined} - undefined if the Ball isn't overlapping with any Peg.
+   */
+  getOverlappingPeg( ball ) {
+    assert && assert( ball instanceof Ball, `invalid ball: ${ball}` );
+
+    return _.find( this.pegs, peg => ball.positionProperty.value.distance( peg.positionProperty.value ) <
+                                     ball.radiusProperty.value + peg.radius );
+  }
+
+  /**
+   * Adds the first Wall that isn't already in the PlayArea, with both of its end-points at the given position. Called
+   * when the user starts drawing a Wall.
+   * @public
+   *
+   * @param {Vector2} position - in meters.
+   * @returns {Wall|null} - the added Wall, or null if all Walls are already in the PlayArea.
+   */
+  addWall( position ) {
+    assert && assert( position instanceof Vector2, `invalid position: ${position}` );
+
+    const wall = _.find( this.prepopulatedWalls, wall => !this.walls.includes( wall ) );
+
+    if ( !wall ) {
+      return null;
+    }
+    wall.startPositionProperty.value = position;
+    wall.endPositionProperty.value = position;
+    this.walls.push( wall );
+    return wall;
+  }
+
+  /**
+   * Removes a Wall from the PlayArea. Called when the user draws a Wall that is too short.
+   * @public
+   *
+   * @param {Wall} wall
+   */
+  removeWall( wall ) {
+    assert && assert( wall instanceof Wall && this.walls.includes( wall ), `invalid wall: ${wall}` );
+
+    this.walls.remove( wall );
+    wall.reset();
+  }
+
+  /**
+   * Removes all Walls from the PlayArea. Called when the eraser button is pressed.
+   * @public
+   */
+  clearWalls() {
+    this.walls.clear();
+    this.prepopulatedWalls.forEach( wall => { wall.reset(); } );
+  }
+
+  /**
+   * Gets the Wall in the PlayArea that is overlapping with the passed-in Ball, if any.
+   * @public
+   *
+   * @param {Ball} ball
+   * @returns {Wall|undefined} - undefined if the Ball isn't overlapping with any Wall.
+   */
+  getOverlappingWall( ball ) {
+    assert && assert( ball instanceof Ball, `invalid ball: ${ball}` );
+
+    const position = ball.positionProperty.value;
+    return _.find( this.walls, wall => position.distance( wall.getClosestPoint( position ) ) < ball.radiusProperty.value );
   }
 
   //----------------------------------------------------------------------------------------
@@ -138,10 +524,111 @@ class PlayArea {
 
   get top() { return this.bounds.maxY; }
 
+  /**
+   * Gets the Bounds2 of the edges of the PlayArea, which is the border of a rectangular PlayArea. These are the bounds
+   * of the PlayArea, unless a sub-type moves one of its edges.
+   * @public
+   *
+   * @returns {Bounds2} - in meters.
+   */
+  get borderBounds() {
+    return new Bounds2( this.left, this.bottom, this.right, this.top );
+  }
+
   //----------------------------------------------------------------------------------------
 
   /**
-   * Determines whether the PlayArea FULLY contains all parts of a Ball within its Bounds.
+   * Gets the position that is equivalent to the passed-in position in a periodic PlayArea, which is the lattice copy
+   * of the position that is inside of the bounds. Used to wrap Balls that leave one side of the PlayArea back in from
+   * the opposite side. Components that are already inside of the bounds are unchanged, since the modulo can round them
+   * to a slightly different value.
+   * @public
+   *
+   * @param {Vector2} position - in meters.
+   * @returns {Vector2} - in meters.
+   */
+  getWrappedPosition( position ) {
+    assert && assert( position instanceof Vector2, `invalid position: ${position}` );
+
+    return new Vector2(
+      position.x >= this.left && position.x < this.right ? position.x :
+      Utils.moduloBetweenDown( position.x, this.left, this.right ),
+      position.y >= this.bottom && position.y < this.top ? position.y :
+      Utils.moduloBetweenDown( position.y, this.bottom, this.top )
+    );
+  }
+
+  /**
+   * Gets the minimum-image of a position relative to a reference position, which is the lattice copy of the position
+   * that is closest to the reference position. If the PlayArea isn't periodic, the position is returned as-is.
+   * @public
+   *
+   * @param {Vector2} position - in meters.
+   * @param {Vector2} referencePosition - in meters.
+   * @returns {Vector2} - in meters.
+   */
+  getMinimumImagePosition( position, referencePosition ) {
+    assert && assert( position instanceof Vector2, `invalid position: ${position}` );
+    assert && assert( referencePosition instanceof Vector2, `invalid referencePosition: ${referencePosition}` );
+
+    if ( !this.periodicBorderProperty.value ) {
+      return position;
+    }
+    return new Vector2(
+      position.x - this.width * Math.round( ( position.x - referencePosition.x ) / this.width ),
+      position.y - this.height * Math.round( ( position.y - referencePosition.y ) / this.height )
+    );
+  }
+
+  /**
+   * Gets the vertices of a POLYGON border, with each side moved inwards by the given distance. The inset polygon is
+   * the region that the center of a circle with a radius of the inset must be in for the circle to be fully inside of
+   * the PlayArea. A negative inset moves the sides outwards.
+   * @public
+   *
+   * @param {number} inset - in meters.
+   * @returns {Vector2[]} - in meters.
+   */
+  getInsetBorderVertices( inset ) {
+    assert && assert( this.borderShape === PlayArea.BorderShape.POLYGON, 'border must be a POLYGON' );
+    assert && assert( typeof inset === 'number', `invalid inset: ${inset}` );
+
+    return this.borderVertices.map( ( vertex, i ) => {
+      const previousNormal = this.borderNormals[ ( i + this.borderNormals.length - 1 ) % this.borderNormals.length ];
+      const normal = this.borderNormals[ i ];
+
+      // Moving both sides that meet at the vertex inwards moves the vertex along the sum of their normals.
+      return previousNormal.plus( normal ).multiplyScalar( inset / ( 1 + previousNormal.dot( normal ) ) ).add( vertex );
+    } );
+  }
+
+  /**
+   * Determines whether the PlayArea FULLY contains all parts of a circle, such as a Ball or a Peg, within its border.
+   * @public
+   *
+   * @param {Vector2} position - the center of the circle, in meters.
+   * @param {number} radius - the radius of the circle, in meters.
+   * @returns {boolean}
+   */
+  fullyContainsCircle( position, radius ) {
+    assert && assert( position instanceof Vector2, `invalid position: ${position}` );
+    assert && assert( typeof radius === 'number' && radius >= 0, `invalid radius: ${radius}` );
+
+    if ( this.borderShape === PlayArea.BorderShape.CIRCLE ) {
+      return position.distance( this.bounds.center ) + radius <= this.borderRadius + EPSILON;
+    }
+    else if ( this.borderShape === PlayArea.BorderShape.POLYGON ) {
+      return this.borderNormals.every( ( normal, i ) => {
+        return normal.dot( position.minus( this.borderVertices[ i ] ) ) >= radius - EPSILON;
+      } );
+    }
+    else {
+      return this.borderBounds.eroded( radius ).containsPoint( position );
+    }
+  }
+
+  /**
+   * Determines whether the PlayArea FULLY contains all parts of a Ball within its border.
    * @public
    *
    * @param {Ball} ball
@@ -150,6 +637,10 @@ class PlayArea {
   fullyContainsBall( ball ) {
     assert && assert( ball instanceof Ball, `invalid ball: ${ball}` );
 
+    if ( this.borderShape !== PlayArea.BorderShape.RECTANGLE ) {
+      return this.fullyContainsCircle( ball.positionProperty.value, ball.radiusProperty.value );
+    }
+
     return ball.left >= this.left &&
            ball.right <= this.right &&
            ball.bottom >= this.bottom &&
@@ -157,7 +648,21 @@ class PlayArea {
   }
 
   /**
-   * Determines whether the PlayArea contains ANY part of the Ball within its Bounds.
+   * Determines whether the PlayArea FULLY contains all parts of a Peg within its border.
+   * @public
+   *
+   * @param {Peg} peg
+   * @returns {boolean}
+   */
+  fullyContainsPeg( peg ) {
+    assert && assert( peg instanceof Peg, `invalid peg: ${peg}` );
+
+    return this.fullyContainsCircle( peg.positionProperty.value, peg.radius );
+  }
+
+  /**
+   * Determines whether the PlayArea contains ANY part of the Ball within its border. For POLYGON borders, Balls that are
+   * just outside of a corner of the polygon are considered to be inside of the PlayArea, which is negligible.
    * @public
    *
    * @param {Ball} ball
@@ -166,26 +671,316 @@ class PlayArea {
   containsAnyPartOfBall( ball ) {
     assert && assert( ball instanceof Ball, `invalid ball: ${ball}` );
 
+    if ( this.borderShape === PlayArea.BorderShape.CIRCLE ) {
+      return ball.positionProperty.value.distance( this.bounds.center ) < this.borderRadius + ball.radiusProperty.value;
+    }
+    else if ( this.borderShape === PlayArea.BorderShape.POLYGON ) {
+      return this.borderNormals.every( ( normal, i ) => {
+        return normal.dot( ball.positionProperty.value.minus( this.borderVertices[ i ] ) ) > -ball.radiusProperty.value;
+      } );
+    }
+
     return ball.right > this.left &&
            ball.left < this.right &&
            ball.top > this.bottom &&
            ball.bottom < this.top;
   }
 
+  /**
+   * Gets the closest position to the passed-in position where a circle, such as a Ball, is fully inside of the
+   * border of the PlayArea.
+   * @public
+   *
+   * @param {Vector2} position - the attempted position of the center of the circle, in meters.
+   * @param {number} radius - the radius of the circle, in meters.
+   * @returns {Vector2} - in meters.
+   */
+  getClosestContainedPosition( position, radius ) {
+    assert && assert( position instanceof Vector2, `invalid position: ${position}` );
+    assert && assert( typeof radius === 'number' && radius >= 0, `invalid radius: ${radius}` );
+
+    if ( this.borderShape === PlayArea.BorderShape.RECTANGLE ) {
+      return this.borderBounds.eroded( radius ).closestPointTo( position );
+    }
+    if ( this.fullyContainsCircle( position, radius ) ) {
+      return position.copy();
+    }
+    if ( this.borderShape === PlayArea.BorderShape.CIRCLE ) {
+      const center = this.bounds.center;
+      return position.minus( center ).setMagnitude( this.borderRadius - radius ).add( center );
+    }
+
+    // For POLYGON borders, the closest position is on one of the sides of the inset polygon.
+    const insetVertices = this.getInsetBorderVertices( radius );
+    return _.minBy( insetVertices.map( ( vertex, i ) => {
+      return getClosestPointOnSegment( position, vertex, insetVertices[ ( i + 1 ) % insetVertices.length ] );
+    } ), point => point.distance( position ) );
+  }
+
+  /**
+   * Gets the signed gap between a circle and the closest side of the border, which is negative when the circle overlaps
+   * or is outside of the side.
+   * @public
+   *
+   * @param {Vector2} position - the center of the circle, in meters.
+   * @param {number} radius - the radius of the circle, in meters.
+   * @returns {number} - in meters.
+   */
+  getBorderGap( position, radius ) {
+    assert && assert( position instanceof Vector2, `invalid position: ${position}` );
+    assert && assert( typeof radius === 'number' && radius >= 0, `invalid radius: ${radius}` );
+
+    if ( this.borderShape === PlayArea.BorderShape.CIRCLE ) {
+      return this.borderRadius - position.distance( this.bounds.center ) - radius;
+    }
+    else if ( this.borderShape === PlayArea.BorderShape.POLYGON ) {
+      return Math.min( ...this.borderNormals.map( ( normal, i ) => {
+        return normal.dot( position.minus( this.borderVertices[ i ] ) );
+      } ) ) - radius;
+    }
+    return Math.min( position.x - this.left, this.right - position.x, position.y - this.bottom, this.top - position.y ) -
+           radius;
+  }
+
+  /**
+   * Gets the inward unit normal of the side of the border that is closest to a position, which points from the side
+   * towards the inside of the PlayArea. See getBorderGap().
+   * @public
+   *
+   * @param {Vector2} position - in meters.
+   * @returns {Vector2}
+   */
+  getClosestBorderNormal( position ) {
+    assert && assert( position instanceof Vector2, `invalid position: ${position}` );
+
+    if ( this.borderShape === PlayArea.BorderShape.CIRCLE ) {
+      return this.bounds.center.minus( position ).normalize();
+    }
+    else if ( this.borderShape === PlayArea.BorderShape.POLYGON ) {
+      const closestIndex = _.minBy( _.range( this.borderNormals.length ), i => {
+        return this.borderNormals[ i ].dot( position.minus( this.borderVertices[ i ] ) );
+      } );
+      return this.borderNormals[ closestIndex ].copy();
+    }
+    return _.minBy( [
+      { normal: new Vector2( 1, 0 ), gap: position.x - this.left },
+      { normal: new Vector2( -1, 0 ), gap: this.right - position.x },
+      { normal: new Vector2( 0, 1 ), gap: position.y - this.bottom },
+      { normal: new Vector2( 0, -1 ), gap: this.top - position.y }
+    ], side => side.gap ).normal;
+  }
+
+  /**
+   * Gets the inward unit normals of the sides of the border that a Ball is touching, which point from the side towards
+   * the inside of the PlayArea. For non-rectangular borders, the sides that the Ball is overlapping are also included.
+   * @public
+   *
+   * @param {Ball} ball
+   * @returns {Vector2[]}
+   */
+  getBorderContactNormals( ball ) {
+    assert && assert( ball instanceof Ball, `invalid ball: ${ball}` );
+
+    const position = ball.positionProperty.value;
+    const radius = ball.radiusProperty.value;
+
+    if ( this.borderShape === PlayArea.BorderShape.CIRCLE ) {
+      const offset = this.bounds.center.minus( position );
+      return offset.magnitude + radius >= this.borderRadius - EPSILON ? [ offset.normalize() ] : [];
+    }
+    else if ( this.borderShape === PlayArea.BorderShape.POLYGON ) {
+      return this.borderNormals.filter( ( normal, i ) => {
+        return normal.dot( position.minus( this.borderVertices[ i ] ) ) - radius <= EPSILON;
+      } ).map( normal => normal.copy() );
+    }
+
+    const normals = [];
+    this.isBallTouchingLeft( ball ) && normals.push( new Vector2( 1, 0 ) );
+    this.isBallTouchingRight( ball ) && normals.push( new Vector2( -1, 0 ) );
+    this.isBallTouchingBottom( ball ) && normals.push( new Vector2( 0, 1 ) );
+    this.isBallTouchingTop( ball ) && normals.push( new Vector2( 0, -1 ) );
+    return normals;
+  }
+
   /**
    * Determines whether a respective side of a Ball is tangentially touching the corresponding side of the PlayArea.
+   * A Ball that has slightly overshot the side is also touching it, like in the collision detection of the border.
    * @public
    *
    * @param {Ball} ball
    * @returns {boolean}
    */
-  isBallTouchingTop( ball ) { return Utils.equalsEpsilon( ball.top, this.top, EPSILON ); } // @public
+  isBallTouchingTop( ball ) { return ball.top >= this.top - EPSILON; } // @public
+
+  isBallTouchingLeft( ball ) { return ball.left <= this.left + EPSILON; } // @public
+
+  isBallTouchingRight( ball ) { return ball.right >= this.right - EPSILON; } // @public
+
+  isBallTouchingBottom( ball ) { return ball.bottom <= this.bottom + EPSILON; } // @public
+
+  /**
+   * Gets the acceleration of a Ball due to the gravitational field of the PlayArea, in m/s^2. A Ball that rests on a
+   * body (touching it with no velocity perpendicular to the contact, while gravity pulls it into the body) is supported
+   * by the body, so the component of gravity into the body is cancelled by the normal force. This allows Balls to come
+   * to rest on (or slide along) the border instead of sinking through it. Walls support Balls in the same way, but
+   * neither supports a Ball that moves away from it.
+   *
+   * Balls also support the Balls that rest against them, like a Ball that rests on top of a Ball that rests on the
+   * border. The normal forces of all of the contacts of the Balls that are connected to the Ball through resting
+   * contacts are found together, since a Ball pushes back on the Balls that support it. Each normal force is
+   * non-negative, and only pushes when it stops the bodies of its contact from accelerating into each other.
+   * @public
+   *
+   * @param {Ball} ball
+   * @param {Ball[]} [balls] - the Balls that can support the Ball, which are usually all of the Balls in the system.
+   * @returns {Vector2}
+   */
+  getBallGravityAcceleration( ball, balls = [] ) {
+    assert && assert( ball instanceof Ball, `invalid ball: ${ball}` );
+    assert && assert( Array.isArray( balls ), `invalid balls: ${balls}` );
+
+    // Find the Balls that are connected to the Ball through resting contacts, and their resting contacts with the
+    // other Balls, the border, and the Walls. The normal of each contact points from the other body towards the Ball of
+    // the contact, and the other Ball is null for the border and the Walls, which never move.
+    const cluster = [ ball ];
+    const contacts = [];
+    for ( let i = 0; i < cluster.length; i++ ) {
+      const clusterBall = cluster[ i ];
+
+      this.getBorderAndWallContactNormals( clusterBall ).forEach( normal => {
+        isRestingOnObstacle( clusterBall.velocityProperty.value.dot( normal ) ) &&
+        contacts.push( { ball: clusterBall, otherBall: null, normal: normal, force: 0 } );
+      } );
+      balls.forEach( otherBall => {
+        const otherIndex = cluster.indexOf( otherBall );
+        const isNewPair = otherIndex === -1 || otherIndex > i;
+        const normal = isNewPair && this.getRestingContactNormal( clusterBall, otherBall );
+
+        if ( normal ) {
+          otherIndex === -1 && cluster.push( otherBall );
+          contacts.push( { ball: clusterBall, otherBall: otherBall, normal: normal, force: 0 } );
+        }
+      } );
+    }
+
+    // The contacts are ordered by the indices of their Balls, so that the result doesn't depend on which Ball of the
+    // cluster is passed in.
+    const sortedContacts = _.sortBy( contacts, [
+      contact => Math.min( contact.ball.index, contact.otherBall ? contact.otherBall.index : Infinity ),
+      contact => Math.max( contact.ball.index, contact.otherBall ? contact.otherBall.index : -Infinity )
+    ] );
+
+    // Find the normal forces, in Newtons, with projected Gauss-Seidel. Each pass sets the force of each contact to
+    // the non-negative force that stops the bodies of the contact from accelerating into each other, given the forces
+    // of the other contacts, until the accelerations stop changing.
+    const accelerations = new Map( cluster.map( clusterBall => {
+      return [ clusterBall, this.uniformGravity.getAcceleration().copy() ];
+    } ) );
+
+    for ( let i = 0; i < MAX_SUPPORT_ITERATIONS; i++ ) {
+      let maxChange = 0;
+
+      sortedContacts.forEach( contact => {
+        const inverseMass = 1 / contact.ball.massProperty.value;
+        const otherInverseMass = contact.otherBall ? 1 / contact.otherBall.massProperty.value : 0;
+        const acceleration = accelerations.get( contact.ball );
+        const otherAcceleration = contact.otherBall ? accelerations.get( contact.otherBall ) : Vector2.ZERO;
+
+        const normalAcceleration = acceleration.minus( otherAcceleration ).dot( contact.normal );
+        const force = Math.max( 0, contact.force - normalAcceleration / ( inverseMass + otherInverseMass ) );
+        const change = force - contact.force;
+
+        acceleration.add( contact.normal.timesScalar( change * inverseMass ) );
+        contact.otherBall && otherAcceleration.subtract( contact.normal.timesScalar( change * otherInverseMass ) );
+        contact.force = force;
+        maxChange = Math.max( maxChange, Math.abs( change ) * ( inverseMass + otherInverseMass ) );
+      } );
+
+      if ( maxChange < EPSILON ) { break; }
+    }
+    return accelerations.get( ball );
+  }
+
+  /**
+   * Gets the unit normals of the sides of the reflecting border and the Walls that a Ball is touching, which point from
+   * the point of contact towards the center of the Ball.
+   * @private
+   *
+   * @param {Ball} ball
+   * @returns {Vector2[]}
+   */
+  getBorderAndWallContactNormals( ball ) {
+    const normals = this.reflectingBorderProperty.value ? this.getBorderContactNormals( ball ) : [];
+
+    for ( let i = 0; i < this.walls.length; i++ ) {
+      const offset = ball.positionProperty.value.minus( this.walls[ i ].getClosestPoint( ball.positionProperty.value ) );
+
+      if ( Utils.equalsEpsilon( offset.magnitude, ball.radiusProperty.value, EPSILON ) ) {
+        normals.push( offset.normalize() );
+      }
+    }
+    return normals;
+  }
 
-  isBallTouchingLeft( ball ) { return Utils.equalsEpsilon( ball.left, this.left, EPSILON ); } // @public
+  /**
+   * Gets the unit normal of the contact of a Ball with another Ball that it is resting against, which is touching it
+   * with no relative velocity perpendicular to the contact. The normal points from the other Ball towards the Ball.
+   * @private
+   *
+   * @param {Ball} ball
+   * @param {Ball} otherBall
+   * @returns {Vector2|null} - null if the Ball isn't resting against the other Ball.
+   */
+  getRestingContactNormal( ball, otherBall ) {
+    const offset = ball.positionProperty.value.minus(
+      this.getMinimumImagePosition( otherBall.positionProperty.value, ball.positionProperty.value ) );
+
+    if ( !this.isBallTouchingBall( ball, otherBall ) ) {
+      return null;
+    }
+    const normal = offset.normalize();
+    const normalVelocity = ball.velocityProperty.value.minus( otherBall.velocityProperty.value ).dot( normal );
+
+    return Math.abs( normalVelocity ) < CollisionLabConstants.MIN_VELOCITY ? normal : null;
+  }
+
+  /**
+   * Determines whether a Ball is touching (or slightly overlapping) another Ball, like in the collision detection of
+   * pairs of Balls.
+   * @public
+   *
+   * @param {Ball} ball
+   * @param {Ball} otherBall
+   * @returns {boolean}
+   */
+  isBallTouchingBall( ball, otherBall ) {
+    const distance = ball.positionProperty.value.distance(
+      this.getMinimumImagePosition( otherBall.positionProperty.value, ball.positionProperty.value ) );
 
-  isBallTouchingRight( ball ) { return Utils.equalsEpsilon( ball.right, this.right, EPSILON ); } // @public
+    return distance <= ball.radiusProperty.value + otherBall.radiusProperty.value + EPSILON;
+  }
 
-  isBallTouchingBottom( ball ) { return Utils.equalsEpsilon( ball.bottom, this.bottom, EPSILON ); } // @public
+  /**
+   * Gets the Balls that are connected to a Ball through contacts with other Balls, regardless of their velocities.
+   * These are the Balls whose accelerations can depend on the velocity of the Ball, since Balls support the Balls that
+   * rest against them (see getBallGravityAcceleration()).
+   * @public
+   *
+   * @param {Ball} ball
+   * @param {Ball[]} balls - the Balls that can touch the Ball, which are usually all of the Balls in the system.
+   * @returns {Ball[]} - includes the Ball itself.
+   */
+  getTouchingBalls( ball, balls ) {
+    const touchingBalls = [ ball ];
+
+    for ( let i = 0; i < touchingBalls.length; i++ ) {
+      balls.forEach( otherBall => {
+        !touchingBalls.includes( otherBall ) && this.isBallTouchingBall( touchingBalls[ i ], otherBall ) &&
+        touchingBalls.push( otherBall );
+      } );
+    }
+    return touchingBalls;
+  }
 
   /**
    * Determines whether any side of a Ball is tangentially touching any side of the PlayArea from the inside.
@@ -195,6 +990,9 @@ class PlayArea {
    * @returns {boolean}
    */
   isBallTouchingSide( ball ) {
+    if ( this.borderShape !== PlayArea.BorderShape.RECTANGLE ) {
+      return this.getBorderContactNormals( ball ).length > 0;
+    }
     return this.isBallTouchingTop( ball ) ||
            this.isBallTouchingBottom( ball ) ||
            this.isBallTouchingLeft( ball ) ||
@@ -208,4 +1006,7 @@ PlayArea.DEFAULT_BOUNDS = new Bounds2( -2, -1, 2, 1 );
 // @public (read-only) {EnumerationDeprecated} - Enumeration of the possible 'dimension' of a PlayArea.
 PlayArea.Dimension = EnumerationDeprecated.byKeys( [ 'ONE', 'TWO' ] );
 
+// @public (read-only) {EnumerationDeprecated} - Enumeration of the possible shapes of the border of a PlayArea.
+PlayArea.BorderShape = EnumerationDeprecated.byKeys( [ 'RECTANGLE', 'CIRCLE', 'POLYGON' ] );
+
 export default PlayArea;
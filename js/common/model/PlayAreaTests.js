@@ -0,0 +1,107 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * PlayArea tests for the periodic (wrap-around) border, with the Balls of the 'Explore 2D' screen. A Ball that leaves
+ * one side of a periodic PlayArea re-enters from the opposite side, and Balls near opposite sides collide across the
+ * seam, using the minimum-image distance.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Explore2DModel from '../../explore2D/model/Explore2DModel.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const TOLERANCE = 1e-6;    // the tolerance of the compared values.
+
+QUnit.module( 'PlayArea' );
+
+/**
+ * Creates an Explore2DModel with a periodic border and the passed-in number of Balls.
+ *
+ * @param {number} numberOfBalls
+ * @returns {Explore2DModel}
+ */
+const createPeriodicModel = numberOfBalls => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  model.ballSystem.numberOfBallsProperty.value = numberOfBalls;
+  model.playArea.periodicBorderProperty.value = true;
+  return model;
+};
+
+QUnit.test( 'wrapped and minimum-image positions', assert => {
+  const playArea = createPeriodicModel( 1 ).playArea;
+  const width = playArea.width;
+  const height = playArea.height;
+
+  assert.ok( !playArea.reflectingBorderProperty.value, 'a periodic border doesn\'t reflect' );
+
+  const inside = new Vector2( playArea.left + 0.1, playArea.top - 0.2 );
+  assert.ok( playArea.getWrappedPosition( inside ).equals( inside ), 'inside positions are unchanged' );
+  assert.ok( playArea.getWrappedPosition( inside.plusXY( width, -2 * height ) ).equalsEpsilon( inside, TOLERANCE ),
+    'positions outside are wrapped inside' );
+
+  const reference = new Vector2( playArea.right - 0.1, 0 );
+  assert.ok( playArea.getMinimumImagePosition( new Vector2( playArea.left + 0.1, 0 ), reference )
+    .equalsEpsilon( new Vector2( playArea.right + 0.1, 0 ), TOLERANCE ), 'the closest copy is across the seam' );
+
+  playArea.reflectingBorderProperty.value = true;
+  assert.ok( !playArea.periodicBorderProperty.value, 'a reflecting border isn\'t periodic' );
+  assert.ok( playArea.getMinimumImagePosition( new Vector2( playArea.left + 0.1, 0 ), reference )
+    .equals( new Vector2( playArea.left + 0.1, 0 ) ), 'positions are unchanged without a periodic border' );
+} );
+
+QUnit.test( 'a Ball that leaves one side re-enters from the opposite side', assert => {
+  const model = createPeriodicModel( 1 );
+  const ball = model.ballSystem.balls[ 0 ];
+  const playArea = model.playArea;
+  model.ballSystem.pathsVisibleProperty.value = true;
+  ball.positionProperty.value = new Vector2( playArea.right - 0.2, 0.3 );
+  ball.velocityProperty.value = new Vector2( 1, 0 );
+
+  let wraps = 0;
+  let isInside = true;
+  for ( let time = 0; time < 1; time += DT ) {
+    const previousX = ball.positionProperty.value.x;
+    model.stepManual( DT );
+    wraps += ball.positionProperty.value.x < previousX ? 1 : 0;
+    isInside = isInside && playArea.bounds.containsPoint( ball.positionProperty.value );
+  }
+
+  assert.equal( wraps, 1, 'the Ball wrapped around the border once' );
+  assert.ok( isInside, 'the center of the Ball is always inside of the PlayArea' );
+  assert.ok( ball.positionProperty.value.equalsEpsilon( new Vector2( playArea.right - 0.2 + 1 - playArea.width, 0.3 ),
+    TOLERANCE ), 'the Ball keeps moving from the opposite side' );
+  assert.ok( ball.velocityProperty.value.equals( new Vector2( 1, 0 ) ), 'the velocity of the Ball is unchanged' );
+  assert.equal( ball.path.dataPoints.filter( dataPoint => dataPoint.isDisconnected ).length, 1,
+    'the Path is broken at the wrap' );
+  assert.ok( !model.ballSystem.ballsNotInsidePlayAreaProperty.value, 'the Ball never escapes' );
+} );
+
+QUnit.test( 'Balls collide across the seam', assert => {
+  const model = createPeriodicModel( 2 );
+  const [ ball1, ball2 ] = model.ballSystem.balls;
+  const playArea = model.playArea;
+  ball1.massProperty.value = 1;
+  ball2.massProperty.value = 1;
+  ball1.positionProperty.value = new Vector2( playArea.right - 0.3, 0 );
+  ball1.velocityProperty.value = new Vector2( 1, 0 );
+  ball2.positionProperty.value = new Vector2( playArea.left + 0.3, 0 );
+  ball2.velocityProperty.value = new Vector2( -0.5, 0 );
+
+  let minGap = Infinity;
+  for ( let time = 0; time < 0.5; time += DT ) {
+    model.stepManual( DT );
+    const position1 = ball1.positionProperty.value;
+    const position2 = playArea.getMinimumImagePosition( ball2.positionProperty.value, position1 );
+    const sumOfRadii = ball1.radiusProperty.value + ball2.radiusProperty.value;
+    minGap = Math.min( minGap, position1.distance( position2 ) - sumOfRadii );
+  }
+
+  assert.ok( minGap > -TOLERANCE, `min gap between the Balls across the seam: ${minGap}` );
+  assert.ok( ball1.velocityProperty.value.equalsEpsilon( new Vector2( -0.5, 0 ), TOLERANCE ) &&
+             ball2.velocityProperty.value.equalsEpsilon( new Vector2( 1, 0 ), TOLERANCE ),
+    'the Balls, with equal masses, exchange velocities' );
+} );
@@ -0,0 +1,210 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * RestingContacts detects inelastic collapse and tracks the pairs of bodies that are in resting contact.
+ *
+ * When collisions are inelastic, Balls that are pressed together (or against the border, a Peg, or a Wall) collide
+ * again and again, with ever-smaller gaps in between the collisions. This is an infinite series of collisions in a
+ * finite amount of time (Zeno behavior), which the detection-response loop of the CollisionEngine can never get
+ * through. RestingContacts counts the collisions of each Ball that occur in rapid succession. Once a Ball collides too
+ * many times in rapid succession, its next collision puts the pair of bodies into resting contact. A resting contact
+ * doesn't model the contact forces between the bodies. It only sets the elasticity of the collisions of the pair to 0
+ * (see CollisionEngine.getElasticity()), and the collisions of the pair are still detected and handled like any other
+ * collision. Each perfectly inelastic collision leaves the bodies with the same normal velocity, so they don't bounce
+ * off each other again. A resting contact is released once its bodies are no longer touching.
+ *
+ * Bodies in resting contact can still collide endlessly when the bodies around them keep pushing them together, like
+ * a pile of Balls in a corner. Resting contacts count their own collisions, so that this is detected as a collapse too.
+ *
+ * RestingContacts are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import Ball from './Ball.js';
+import BallSystem from './BallSystem.js';
+import Collision from './Collision.js';
+import Peg from './Peg.js';
+import PlayArea from './PlayArea.js';
+import Wall from './Wall.js';
+
+// constants
+const RAPID_COLLISION_INTERVAL = 1e-5; // collisions of a Ball closer than this (in seconds) are in rapid succession
+const MAX_RAPID_COLLISIONS = 10; // the number of collisions of a Ball in rapid succession before the Ball collapses
+const CONTACT_TOLERANCE = 1e-7; // bodies closer than this (in meters) are touching, see SimultaneousCollisionResolver
+
+class RestingContacts {
+
+  /**
+   * @param {PlayArea} playArea
+   * @param {BallSystem} ballSystem
+   */
+  constructor( playArea, ballSystem ) {
+    assert && assert( playArea instanceof PlayArea, `invalid playArea: ${playArea}` );
+    assert && assert( ballSystem instanceof BallSystem, `invalid ballSystem: ${ballSystem}` );
+
+    // @private - reference to the passed-in parameters.
+    this.playArea = playArea;
+    this.ballSystem = ballSystem;
+
+    // @private {{ball: Ball, body: Object, lastCollisionTime: number, rapidCollisionCount: number}[]} - the pairs of
+    // bodies that are in resting contact, with the elapsedTime of their last collision and the number of their
+    // collisions in rapid succession up to their last collision.
+    this.contacts = [];
+
+    // @private {Map.<Ball, number>} - the elapsedTime of the last collision of each Ball, and the number of collisions
+    //                                 of each Ball in rapid succession up to its last collision.
+    this.lastCollisionTimes = new Map();
+    this.rapidCollisionCounts = new Map();
+  }
+
+  /**
+   * Whether the two bodies are in resting contact.
+   * @public
+   *
+   * @param {Object} body1
+   * @param {Object} body2
+   * @returns {boolean}
+   */
+  includes( body1, body2 ) {
+    return !!this.getContact( body1, body2 );
+  }
+
+  /**
+   * Registers a Collision that is about to be handled. If either of its Balls has collided too many times in rapid
+   * succession, the bodies of the Collision are put into resting contact. If the bodies are already in resting contact
+   * and have collided with each other too many times in rapid succession, they have collapsed again.
+   * @public
+   *
+   * @param {Collision} collision
+   * @returns {boolean} - whether the bodies of the Collision collapsed, either into resting contact or again.
+   */
+  registerCollision( collision ) {
+    assert && assert( collision instanceof Collision, `invalid collision: ${collision}` );
+    assert && assert( Number.isFinite( collision.time ), `invalid collision time: ${collision.time}` );
+
+    if ( !( collision.body1 instanceof Ball ) ) { return false; /** do nothing **/ }
+
+    // Count the collision for both Balls of a ball-ball Collision.
+    const count1 = this.countCollision( collision.body1, collision.time );
+    const count2 = collision.body2 instanceof Ball ? this.countCollision( collision.body2, collision.time ) : 0;
+
+    const contact = this.getContact( collision.body1, collision.body2 );
+    if ( contact ) {
+      const isRapid = Math.abs( collision.time - contact.lastCollisionTime ) < RAPID_COLLISION_INTERVAL;
+
+      contact.lastCollisionTime = collision.time;
+      contact.rapidCollisionCount = isRapid ? contact.rapidCollisionCount + 1 : 1;
+
+      // Start counting over, so that the collapse is reported again if the bodies keep colliding.
+      if ( contact.rapidCollisionCount > MAX_RAPID_COLLISIONS ) {
+        contact.rapidCollisionCount = 0;
+        return true;
+      }
+      return false;
+    }
+
+    if ( Math.max( count1, count2 ) <= MAX_RAPID_COLLISIONS ) {
+      return false;
+    }
+
+    this.contacts.push( {
+      ball: collision.body1,
+      body: collision.body2,
+      lastCollisionTime: collision.time,
+      rapidCollisionCount: 1
+    } );
+    return true;
+  }
+
+  /**
+   * Releases the resting contacts whose bodies are no longer touching or are no longer in the system.
+   * @public
+   */
+  releaseSeparatedContacts() {
+    for ( let i = this.contacts.length - 1; i >= 0; i-- ) {
+      const contact = this.contacts[ i ];
+
+      if ( !this.ballSystem.balls.includes( contact.ball ) || !this.isTouching( contact.ball, contact.body ) ) {
+        this.contacts.splice( i, 1 );
+      }
+    }
+  }
+
+  /**
+   * Releases every resting contact and forgets the collisions of every Ball.
+   * @public
+   */
+  clear() {
+    this.contacts.length = 0;
+    this.lastCollisionTimes.clear();
+    this.rapidCollisionCounts.clear();
+  }
+
+  /**
+   * Gets the resting contact between two bodies.
+   * @private
+   *
+   * @param {Object} body1
+   * @param {Object} body2
+   * @returns {Object|null} - null if the bodies aren't in resting contact.
+   */
+  getContact( body1, body2 ) {
+    for ( let i = 0; i < this.contacts.length; i++ ) {
+      const contact = this.contacts[ i ];
+
+      if ( ( contact.ball === body1 && contact.body === body2 ) || ( contact.ball === body2 && contact.body === body1 ) ) {
+        return contact;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Counts a collision of a Ball.
+   * @private
+   *
+   * @param {Ball} ball
+   * @param {number} time - the elapsedTime of the collision.
+   * @returns {number} - the number of collisions of the Ball in rapid succession, including this collision.
+   */
+  countCollision( ball, time ) {
+    const isRapid = this.lastCollisionTimes.has( ball ) &&
+                    Math.abs( time - this.lastCollisionTimes.get( ball ) ) < RAPID_COLLISION_INTERVAL;
+    const count = isRapid ? this.rapidCollisionCounts.get( ball ) + 1 : 1;
+
+    this.lastCollisionTimes.set( ball, time );
+    this.rapidCollisionCounts.set( ball, count );
+    return count;
+  }
+
+  /**
+   * Determines whether a Ball is touching another body, which is a Ball, Peg, Wall, or the border of the PlayArea.
+   * @private
+   *
+   * @param {Ball} ball
+   * @param {Object} body
+   * @returns {boolean}
+   */
+  isTouching( ball, body ) {
+    const position = ball.positionProperty.value;
+    const radius = ball.radiusProperty.value;
+
+    if ( body === this.playArea ) {
+      return this.playArea.isBallTouchingSide( ball );
+    }
+    else if ( body instanceof Peg ) {
+      return this.playArea.pegs.includes( body ) &&
+             position.distance( body.positionProperty.value ) - radius - body.radius <= CONTACT_TOLERANCE;
+    }
+    else if ( body instanceof Wall ) {
+      return this.playArea.walls.includes( body ) &&
+             position.distance( body.getClosestPoint( position ) ) - radius <= CONTACT_TOLERANCE;
+    }
+    return this.ballSystem.balls.includes( body ) &&
+           position.distance( this.playArea.getMinimumImagePosition( body.positionProperty.value, position ) ) -
+           radius - body.radiusProperty.value <= CONTACT_TOLERANCE;
+  }
+}
+
+export default RestingContacts;
@@ -0,0 +1,166 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * RestitutionMatrix is the model for the elasticity (coefficient of restitution) of every pair of colliding bodies in a
+ * BallSystem. It contains an elasticity Property for every unique pair of Balls (ball i vs ball j) and for every Ball
+ * with the PlayArea's border (ball i vs border). CollisionEngine consults the RestitutionMatrix for the elasticity of
+ * each individual Collision, allowing different pairs of Balls to collide with different elasticities in the same run.
+ *
+ * Each entry of the matrix 'follows' the elasticity slider of the PlayArea and the materials of the Balls: when the
+ * PlayArea's elasticityPercentProperty changes, every entry of the matrix is set to the elasticity derived from the
+ * materials of the pair, where materials that don't determine elasticity use the slider's value (see BallMaterial).
+ * When the material of a Ball changes, only the entries of the pairs that the Ball is in are updated. Entries can then
+ * be edited individually in the BallValuesPanel until the slider or the materials are changed again.
+ *
+ * Like Balls, an entry is created for all prepopulatedBalls, regardless of whether or not they are in the system.
+ * RestitutionMatrices are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import pairs from '../../../../phet-core/js/pairs.js';
+import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
+import Ball from './Ball.js';
+import BallMaterial from './BallMaterial.js';
+import PlayArea from './PlayArea.js';
+
+class RestitutionMatrix {
+
+  /**
+   * @param {Ball[]} prepopulatedBalls - an array of All possible balls in the system.
+   * @param {ObservableArrayDef.<Ball>} balls - the balls in the system. Must belong in prepopulatedBalls.
+   * @param {PlayArea} playArea
+   */
+  constructor( prepopulatedBalls, balls, playArea ) {
+    assert && AssertUtils.assertArrayOf( prepopulatedBalls, Ball );
+    assert && AssertUtils.assertArrayOf( balls, Ball );
+    assert && assert( playArea instanceof PlayArea, `invalid playArea: ${playArea}` );
+
+    // @public (read-only) {Range} - the Range of every elasticity entry, as a percentage. Matches the PlayArea.
+    this.elasticityPercentRange = playArea.elasticityPercentProperty.range;
+
+    // @private {PlayArea} - reference to the passed-in PlayArea.
+    this.playArea = playArea;
+
+    // @private {Map.<Ball, Map.<Ball|PlayArea, Property.<number>>>} - maps a Ball to a Map of the other bodies that it
+    //                                                                  collides with to the elasticity of the pair.
+    //                                                                  Both orderings of a pair map to the same
+    //                                                                  Property.
+    this.ballToElasticityPercentPropertyMap = new Map();
+    prepopulatedBalls.forEach( ball => this.ballToElasticityPercentPropertyMap.set( ball, new Map() ) );
+
+    // @public (read-only) {Property.<number>[]} - every entry of the matrix, as a percentage.
+    this.elasticityPercentProperties = [];
+
+    // Convenience function to create an entry of the matrix for a pair of bodies.
+    const createEntry = ( ball, otherBody ) => {
+      const elasticityPercentProperty = new NumberProperty( playArea.elasticityPercentProperty.value, {
+        range: this.elasticityPercentRange
+      } );
+
+      this.ballToElasticityPercentPropertyMap.get( ball ).set( otherBody, elasticityPercentProperty );
+      otherBody instanceof Ball && this.ballToElasticityPercentPropertyMap.get( otherBody ).set( ball, elasticityPercentProperty );
+      this.elasticityPercentProperties.push( elasticityPercentProperty );
+    };
+
+    // Create an entry for every unique pair of Balls and for every ball-border pair.
+    pairs( prepopulatedBalls ).forEach( pair => createEntry( pair[ 0 ], pair[ 1 ] ) );
+    prepopulatedBalls.forEach( ball => createEntry( ball, playArea ) );
+
+    // @public {Property.<number>} - the minimum elasticity, as a percentage, of all pairs of bodies that are currently
+    //                               in the system. Used to determine if the sim can be stepped backwards. Only the
+    //                               Balls in the system are considered in the derivation function. DerivedProperty is
+    //                               never disposed and lasts for the lifetime of the sim.
+    this.minElasticityPercentProperty = new DerivedProperty(
+      [ balls.lengthProperty, ...this.elasticityPercentProperties ],
+      () => Math.min( ...balls.map( ball => Math.min(
+        this.getElasticityPercentProperty( ball, playArea ).value,
+        ...balls.filter( otherBall => otherBall !== ball )
+          .map( otherBall => this.getElasticityPercentProperty( ball, otherBall ).value )
+      ) ) ), {
+        valueType: 'number'
+      } );
+
+    // Observe when the elasticity slider of the PlayArea changes and set every entry of the matrix to follow it. Link
+    // persists for the lifetime of the sim since RestitutionMatrices are never disposed.
+    playArea.elasticityPercentProperty.lazyLink( () => {
+      prepopulatedBalls.forEach( ball => this.updateMaterialElasticities( ball ) );
+    } );
+
+    // Observe when the material of a Ball changes and update the entries of the pairs that the Ball is in. Links
+    // persist for the lifetime of the sim since Balls are never disposed.
+    prepopulatedBalls.forEach( ball => {
+      ball.materialProperty.lazyLink( () => this.updateMaterialElasticities( ball ) );
+    } );
+  }
+
+  /**
+   * Resets the RestitutionMatrix.
+   * @public
+   *
+   * Called when the reset-all button is pressed.
+   */
+  reset() {
+    this.elasticityPercentProperties.forEach( elasticityPercentProperty => elasticityPercentProperty.reset() );
+  }
+
+  /**
+   * Sets the elasticity of every pair that the passed-in Ball is in to the elasticity derived from the materials of the
+   * pair. For ball-border pairs, only the material of the Ball is used. See BallMaterial.getPairElasticityPercent().
+   * @private
+   *
+   * @param {Ball} ball
+   */
+  updateMaterialElasticities( ball ) {
+    assert && assert( this.ballToElasticityPercentPropertyMap.has( ball ), `invalid ball: ${ball}` );
+
+    const material = ball.materialProperty.value;
+    const defaultElasticityPercent = this.playArea.elasticityPercentProperty.value;
+
+    this.ballToElasticityPercentPropertyMap.get( ball ).forEach( ( elasticityPercentProperty, otherBody ) => {
+      const otherMaterial = otherBody instanceof Ball ? otherBody.materialProperty.value : material;
+
+      elasticityPercentProperty.value = this.elasticityPercentRange.constrainValue(
+        BallMaterial.getPairElasticityPercent( material, otherMaterial, defaultElasticityPercent )
+      );
+    } );
+  }
+
+  /**
+   * Gets the Property of the elasticity, as a percentage, between a Ball and another body that it collides with. The
+   * order in which the bodies are passed-in doesn't matter.
+   * @public
+   *
+   * @param {Ball|PlayArea} body1
+   * @param {Ball|PlayArea} body2
+   * @returns {Property.<number>}
+   */
+  getElasticityPercentProperty( body1, body2 ) {
+    assert && assert( body1 instanceof Ball || body2 instanceof Ball, 'at least one of the bodies must be a Ball' );
+    assert && assert( body1 !== body2, 'a body cannot collide with itself' );
+
+    const ball = body1 instanceof Ball ? body1 : body2;
+    const otherBody = ball === body1 ? body2 : body1;
+
+    assert && assert( this.ballToElasticityPercentPropertyMap.has( ball ), `invalid ball: ${ball}` );
+    assert && assert( this.ballToElasticityPercentPropertyMap.get( ball ).has( otherBody ), `invalid body: ${otherBody}` );
+
+    return this.ballToElasticityPercentPropertyMap.get( ball ).get( otherBody );
+  }
+
+  /**
+   * Convenience method to get the elasticity between a Ball and another body that it collides with, as a DECIMAL.
+   * @public
+   *
+   * @param {Ball|PlayArea} body1
+   * @param {Ball|PlayArea} body2
+   * @returns {number}
+   */
+  getElasticity( body1, body2 ) {
+    return this.getElasticityPercentProperty( body1, body2 ).value / 100;
+  }
+}
+
+export default RestitutionMatrix;
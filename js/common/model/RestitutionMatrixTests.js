@@ -0,0 +1,58 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * RestitutionMatrix tests, with the Balls of the 'Explore 1D' screen. Each pair of bodies has its own elasticity, which
+ * follows the elasticity of the PlayArea until it is changed, and which is used when the pair collides.
+ *
+ * @author agent
+ */
+
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Explore1DModel from '../../explore1D/model/Explore1DModel.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const DURATION = 1.5;      // the first two Balls collide once within this duration, in seconds.
+const TOLERANCE = 1e-9;    // the tolerance of the compared values.
+
+QUnit.module( 'RestitutionMatrix' );
+
+QUnit.test( 'entries are symmetric and only the Balls in the system set the minimum', assert => {
+  const model = new Explore1DModel( Tandem.OPT_OUT );
+  const restitutionMatrix = model.ballSystem.restitutionMatrix;
+  const [ ball1, ball2, ball3 ] = model.ballSystem.prepopulatedBalls;
+  model.ballSystem.numberOfBallsProperty.value = 2;
+
+  restitutionMatrix.getElasticityPercentProperty( ball1, ball2 ).value = 40;
+  restitutionMatrix.getElasticityPercentProperty( ball3, ball1 ).value = 10;
+
+  assert.equal( restitutionMatrix.getElasticityPercentProperty( ball2, ball1 ).value, 40, 'either order of a pair' );
+  assert.equal( restitutionMatrix.getElasticity( ball2, ball1 ), 0.4, 'as a decimal' );
+  assert.equal( restitutionMatrix.minElasticityPercentProperty.value, 40, 'the third Ball isn\'t in the system' );
+
+  model.ballSystem.numberOfBallsProperty.value = 3;
+  assert.equal( restitutionMatrix.minElasticityPercentProperty.value, 10, 'the third Ball is in the system' );
+
+  model.playArea.elasticityPercentProperty.value = 80;
+  assert.ok( restitutionMatrix.elasticityPercentProperties.every( property => property.value === 80 ),
+    'every entry follows the elasticity of the PlayArea' );
+} );
+
+QUnit.test( 'a pair collides with its own elasticity', assert => {
+  const model = new Explore1DModel( Tandem.OPT_OUT );
+  const [ ball1, ball2 ] = model.ballSystem.balls;
+  model.ballSystem.restitutionMatrix.getElasticityPercentProperty( ball1, ball2 ).value = 50;
+
+  const momentum = ball1.momentumProperty.value.plus( ball2.momentumProperty.value );
+  const approachSpeed = ball1.velocityProperty.value.x - ball2.velocityProperty.value.x;
+
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+  }
+
+  const separationSpeed = ball2.velocityProperty.value.x - ball1.velocityProperty.value.x;
+  assert.ok( Math.abs( separationSpeed - 0.5 * approachSpeed ) < TOLERANCE,
+    `separation speed ${separationSpeed} is half of the approach speed ${approachSpeed}` );
+  assert.ok( ball1.momentumProperty.value.plus( ball2.momentumProperty.value ).equalsEpsilon( momentum, TOLERANCE ),
+    'momentum is conserved' );
+} );
@@ -0,0 +1,330 @@
+// Copyright 2020-2026, University of Colorado Boulder
+
+/**
+ * RotatingBallCluster is a data structure that represents a 'stuck' cluster of Balls, which moves as a rigid body: the
+ * center-of-mass of the cluster moves uniformly, and each Ball is rotating around the center-of-mass of the cluster.
+ *
+ * Perfectly inelastic collisions that 'stick' are a new feature of the HTML5 version of the simulation. They happen
+ * for the 'Inelastic' screen and for the 'Explore 2D' screen with 'Sticky Collisions'. When a 'sticky' collision
+ * between balls occurs, the CollisionEngine will dynamically create a RotatingBallCluster instance of the Balls
+ * involved in the rotation. A cluster can be stuck to another Ball or cluster, in which case a new RotatingBallCluster
+ * of all of the Balls replaces it.
+ *
+ * The motion of the cluster is derived from the conservation of linear and angular momentum of its Balls at the
+ * instant that it is created. The velocity of the center-of-mass is the total momentum divided by the total mass, and
+ * the angular velocity (omega) is the angular momentum (L) about the center-of-mass divided by the moment of inertia
+ * (I) about the center-of-mass. Both L and I include the spin of each Ball about its own center, in addition to its
+ * orbit around the center-of-mass (parallel axis theorem). Since the cluster is rigid, every Ball spins with the
+ * angular velocity of the cluster, so the kinetic energy of the Balls is exactly 1/2 M V^2 + 1/2 I omega^2. See:
+ *   + https://en.wikipedia.org/wiki/Angular_momentum#Collection_of_particles
+ *   + https://en.wikipedia.org/wiki/Parallel_axis_theorem
+ *
+ * RotatingBallCluster is also responsible for 'stepping' (rotating) the position/velocity of the Balls on each
+ * time-step. It is implemented by changing reference frames to the center of mass and applying the standard
+ * uniform circular motion equations to compute the new velocity and position of each Ball. See:
+ *   + https://en.wikipedia.org/wiki/Frame_of_reference
+ *   + https://en.wikipedia.org/wiki/Circular_motion#Uniform_circular_motion
+ *
+ * The center-of-mass and its velocity are computed from the Balls whenever they are needed, so the only state of the
+ * rotation that is stored is the angular velocity. The velocity and spin of every Ball are always those of its point on
+ * the rotating cluster, so a cluster that breaks apart is simply discarded, and its Balls leave with the velocity of
+ * their points on the cluster.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
+import Ball from './Ball.js';
+import BallState from './BallState.js';
+
+class RotatingBallCluster {
+
+  /**
+   * @param {Ball[]} balls - an array of the Balls within the rotating ball cluster, which are stuck together.
+   */
+  constructor( balls ) {
+    assert && AssertUtils.assertArrayOf( balls, Ball );
+    assert && assert( balls.length >= 2, `clusters must have at least 2 Balls: ${balls.length}` );
+
+    // @public (read-only) {Ball[]} - reference to the passed-in balls.
+    this.balls = balls;
+
+    // @private {number} - the angular velocity of the rotation, in radians per second. Derived from the conservation
+    //                     of angular momentum about the center-of-mass of the Balls.
+    this.angularVelocity = this.getAngularMomentum() / this.getMomentOfInertia();
+
+    // The Balls now move as a rigid body, with the same center-of-mass velocity and angular velocity.
+    this.setBallVelocities( this.getCenterOfMassVelocity() );
+  }
+
+  /**
+   * Gets the total mass of the Balls in the cluster, in kg.
+   * @public
+   *
+   * @returns {number}
+   */
+  getTotalMass() {
+    return _.sumBy( this.balls, ball => ball.massProperty.value );
+  }
+
+  /**
+   * Gets the position of the center-of-mass of the cluster, in meters.
+   * @public
+   *
+   * @returns {Vector2}
+   */
+  getCenterOfMassPosition() {
+    const position = Vector2.ZERO.copy();
+    this.balls.forEach( ball => { position.add( ball.positionProperty.value.times( ball.massProperty.value ) ); } );
+    return position.divideScalar( this.getTotalMass() );
+  }
+
+  /**
+   * Gets the velocity of the center-of-mass of the cluster, which is the total momentum divided by the total mass, in
+   * meters per second.
+   * @public
+   *
+   * @returns {Vector2}
+   */
+  getCenterOfMassVelocity() {
+    const velocity = Vector2.ZERO.copy();
+    this.balls.forEach( ball => { velocity.add( ball.momentumProperty.value ); } );
+    return velocity.divideScalar( this.getTotalMass() );
+  }
+
+  /**
+   * Gets the moment of inertia of the cluster about its center-of-mass, in kg*m^2. By the parallel axis theorem, each
+   * Ball contributes the moment of inertia of a point-mass at its center (m * d^2) plus its own moment of inertia
+   * about its center. See https://en.wikipedia.org/wiki/Parallel_axis_theorem.
+   * @public
+   *
+   * @returns {number}
+   */
+  getMomentOfInertia() {
+    const centerOfMassPosition = this.getCenterOfMassPosition();
+    return _.sumBy( this.balls, ball => {
+      const d = ball.positionProperty.value.distance( centerOfMassPosition );
+      return ball.massProperty.value * d * d + ball.momentOfInertiaProperty.value;
+    } );
+  }
+
+  /**
+   * Gets the angular momentum of the Balls about the center-of-mass of the cluster, in kg*m^2/s. It is the sum of the
+   * cross products of the position and the momentum of each Ball, relative to the center-of-mass, plus the spin angular
+   * momentum of each Ball about its own center.
+   * @public
+   *
+   * @returns {number}
+   */
+  getAngularMomentum() {
+    const centerOfMassPosition = this.getCenterOfMassPosition();
+    const centerOfMassVelocity = this.getCenterOfMassVelocity();
+    return _.sumBy( this.balls, ball => {
+      const r = ball.positionProperty.value.minus( centerOfMassPosition );
+      const p = ball.velocityProperty.value.minus( centerOfMassVelocity ).multiplyScalar( ball.massProperty.value );
+      return r.crossScalar( p ) + ball.momentOfInertiaProperty.value * ball.angularVelocityProperty.value;
+    } );
+  }
+
+  /**
+   * Gets the maximum speed of the center of a Ball in the cluster, in meters per second. The center of the Ball moves
+   * around the center-of-mass at a constant distance, so its speed is never more than the speed of the center-of-mass
+   * plus the speed of its rotation.
+   * @public
+   *
+   * @param {Ball} ball
+   * @returns {number}
+   */
+  getMaxBallSpeed( ball ) {
+    assert && assert( this.balls.includes( ball ), `ball is not in the cluster: ${ball}` );
+
+    const distance = ball.positionProperty.value.distance( this.getCenterOfMassPosition() );
+    return this.getCenterOfMassVelocity().magnitude + Math.abs( this.angularVelocity ) * distance;
+  }
+
+  /**
+   * Moves every Ball in the cluster by one time-step, 'rotating' each ball around the center-of-mass of the cluster.
+   * @public
+   *
+   * @param {number} dt - time-delta in seconds.
+   */
+  step( dt ) {
+    assert && assert( typeof dt === 'number', `invalid dt: ${dt}` );
+
+    // The angular displacement of each Ball relative to the center of mass.
+    const changeInAngle = this.angularVelocity * dt;
+
+    // Get the states of the Balls after the rotation occurs.
+    const rotationStates = this.getSteppedRotationStates( dt );
+
+    this.balls.forEach( ball => {
+
+      // Set the state of each Ball.
+      ball.setState( rotationStates.get( ball ) );
+
+      // Rotate the balls around their centers to provide a more realistic rotation experience. See
+      // https://github.com/phetsims/collision-lab/issues/87
+      ball.rotationProperty.value += changeInAngle;
+    } );
+  }
+
+  /**
+   * Creates BallStates that describe the state of each Ball after being 'rotated' for dt seconds. The position and
+   * velocity of each Ball generally changes, but the mass and material do not. The position/velocity of each ball is
+   * calculated by changing reference frames to the centerOfMass and applying standard uniform circular motion equations.
+   * @public
+   *
+   * @param {number} dt - time-delta, in seconds.
+   * @returns {Map.<Ball, BallState>} - maps Ball to a BallState instance.
+   */
+  getSteppedRotationStates( dt ) {
+    assert && assert( typeof dt === 'number', `invalid dt: ${dt}` );
+
+    // The resulting Map that maps each Ball to a BallState instance.
+    const ballToRotationStates = new Map();
+
+    // The position/velocity of the center-of-mass **before** the rotation.
+    const centerOfMassPosition = this.getCenterOfMassPosition();
+    const centerOfMassVelocity = this.getCenterOfMassVelocity();
+
+    this.balls.forEach( ball => {
+      ballToRotationStates.set( ball, new BallState(
+        this.getRotatedBallPosition( ball, dt, centerOfMassPosition, centerOfMassVelocity ),
+        this.getRotatedBallVelocity( ball, dt, centerOfMassPosition, centerOfMassVelocity ),
+        ball.massProperty.value,
+        ball.materialProperty.value
+      ) );
+    } );
+
+    return ballToRotationStates;
+  }
+
+  /**
+   * Gets the position of a Ball in the cluster after being 'rotated' for dt seconds, in meters.
+   * @public
+   *
+   * @param {Ball} ball
+   * @param {number} dt - time-delta, in seconds.
+   * @returns {Vector2}
+   */
+  getBallPosition( ball, dt ) {
+    assert && assert( this.balls.includes( ball ), `ball is not in the cluster: ${ball}` );
+
+    return this.getRotatedBallPosition( ball, dt, this.getCenterOfMassPosition(), this.getCenterOfMassVelocity() );
+  }
+
+  /**
+   * Gets the velocity of a Ball in the cluster after being 'rotated' for dt seconds, in meters per second.
+   * @public
+   *
+   * @param {Ball} ball
+   * @param {number} dt - time-delta, in seconds.
+   * @returns {Vector2}
+   */
+  getBallVelocity( ball, dt ) {
+    assert && assert( this.balls.includes( ball ), `ball is not in the cluster: ${ball}` );
+
+    return this.getRotatedBallVelocity( ball, dt, this.getCenterOfMassPosition(), this.getCenterOfMassVelocity() );
+  }
+
+  /**
+   * Applies the impulse of a collision with a fixed body (like the border, a Peg, or a Wall) to the cluster, which
+   * changes both the velocity of the center-of-mass and the angular velocity. With the position of the point of
+   * contact relative to the center-of-mass (r), the unit normal of the contact (n), and the velocity of the point of
+   * contact along the normal (vn), the magnitude of the impulse is
+   *
+   *   j = -( 1 + e ) * vn / ( 1 / M + ( r x n )^2 / I )
+   *
+   * which follows the standard rigid-body collision model. See
+   * https://en.wikipedia.org/wiki/Collision_response#Impulse-based_reaction_model.
+   * @public
+   *
+   * @param {Vector2} contactPoint - the point of contact, in meters.
+   * @param {Vector2} normal - the unit normal of the contact, which points from the fixed body into the cluster.
+   * @param {number} elasticity - the elasticity of the collision.
+   * @returns {number} - the magnitude of the impulse, in kg*m/s. 0 if the point of contact wasn't moving into the
+   *                      fixed body, in which case no impulse is applied.
+   */
+  applyContactImpulse( contactPoint, normal, elasticity ) {
+    assert && assert( contactPoint instanceof Vector2, `invalid contactPoint: ${contactPoint}` );
+    assert && assert( normal instanceof Vector2, `invalid normal: ${normal}` );
+    assert && assert( typeof elasticity === 'number' && elasticity >= 0, `invalid elasticity: ${elasticity}` );
+
+    const totalMass = this.getTotalMass();
+    const momentOfInertia = this.getMomentOfInertia();
+    const centerOfMassVelocity = this.getCenterOfMassVelocity();
+    const r = contactPoint.minus( this.getCenterOfMassPosition() );
+
+    // The velocity of the point of contact along the normal, which is the normal component of v + omega x r.
+    const vn = centerOfMassVelocity.dot( normal ) + this.angularVelocity * r.crossScalar( normal );
+
+    if ( vn >= 0 ) { return 0; /** do nothing **/ }
+
+    const rCrossN = r.crossScalar( normal );
+    const impulse = -( 1 + elasticity ) * vn / ( 1 / totalMass + rCrossN * rCrossN / momentOfInertia );
+
+    this.angularVelocity += rCrossN * impulse / momentOfInertia;
+    this.setBallVelocities( centerOfMassVelocity.add( normal.times( impulse / totalMass ) ) );
+    return impulse;
+  }
+
+  /**
+   * Sets the velocity of every Ball to the velocity of its point on the rigid cluster, which is the velocity of the
+   * center-of-mass plus the velocity of the rotation around the center-of-mass. Every Ball also spins with the angular
+   * velocity of the cluster.
+   * @private
+   *
+   * @param {Vector2} centerOfMassVelocity
+   */
+  setBallVelocities( centerOfMassVelocity ) {
+    const centerOfMassPosition = this.getCenterOfMassPosition();
+
+    this.balls.forEach( ball => {
+      ball.velocityProperty.value = this.getRotatedBallVelocity( ball, 0, centerOfMassPosition, centerOfMassVelocity );
+      ball.angularVelocityProperty.value = this.angularVelocity;
+    } );
+  }
+
+  /**
+   * Gets the position of a Ball after being 'rotated' for dt seconds, given the current center-of-mass position and
+   * velocity of the cluster.
+   * @private
+   *
+   * @param {Ball} ball
+   * @param {number} dt
+   * @param {Vector2} centerOfMassPosition
+   * @param {Vector2} centerOfMassVelocity
+   * @returns {Vector2}
+   */
+  getRotatedBallPosition( ball, dt, centerOfMassPosition, centerOfMassVelocity ) {
+
+    // Get the position vector of the Ball, relative to the center of mass. This is a change in reference frames.
+    // Then, rotate the position vector to apply uniform circular motion about the center of mass.
+    const position = ball.positionProperty.value.minus( centerOfMassPosition ).rotate( this.angularVelocity * dt );
+
+    // Compute the position back in the absolute reference frame, where the center-of-mass has moved uniformly.
+    return position.add( centerOfMassPosition ).add( centerOfMassVelocity.times( dt ) );
+  }
+
+  /**
+   * Gets the velocity of a Ball after being 'rotated' for dt seconds, given the current center-of-mass position and
+   * velocity of the cluster.
+   * @private
+   *
+   * @param {Ball} ball
+   * @param {number} dt
+   * @param {Vector2} centerOfMassPosition
+   * @param {Vector2} centerOfMassVelocity
+   * @returns {Vector2}
+   */
+  getRotatedBallVelocity( ball, dt, centerOfMassPosition, centerOfMassVelocity ) {
+    const position = ball.positionProperty.value.minus( centerOfMassPosition ).rotate( this.angularVelocity * dt );
+
+    // The velocity relative to the center of mass is the cross product of the angular velocity (vector) and the
+    // position vector after the rotation. See https://en.wikipedia.org/wiki/Circular_motion#Velocity.
+    return new Vector2( -this.angularVelocity * position.y, this.angularVelocity * position.x ).add( centerOfMassVelocity );
+  }
+}
+
+export default RotatingBallCluster;
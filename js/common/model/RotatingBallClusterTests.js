@@ -0,0 +1,196 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * RotatingBallCluster tests, with the Balls of the 'Explore 2D' screen. Balls that stick together move as a rigid body,
+ * with a linear and angular momentum that are conserved from the Balls, sticky collisions stick Balls into clusters and
+ * merge clusters, and the impulse of a contact with a fixed body changes both the linear and angular velocity.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Explore2DModel from '../../explore2D/model/Explore2DModel.js';
+import RotatingBallCluster from './RotatingBallCluster.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const DURATION = 2;        // the Balls all stick together within this duration, in seconds.
+const TOLERANCE = 1e-9;    // the tolerance of the compared values.
+
+QUnit.module( 'RotatingBallCluster' );
+
+/**
+ * Gets the linear momentum of the passed-in Balls.
+ *
+ * @param {Ball[]} balls
+ * @returns {Vector2}
+ */
+const getMomentum = balls => {
+  return balls.reduce( ( momentum, ball ) => momentum.plus( ball.momentumProperty.value ), Vector2.ZERO );
+};
+
+/**
+ * Gets the angular momentum of the passed-in Balls about the origin, which is the angular momentum of their motion plus
+ * the angular momentum of their spin.
+ *
+ * @param {Ball[]} balls
+ * @returns {number}
+ */
+const getAngularMomentum = balls => _.sum( balls.map( ball => {
+  return ball.positionProperty.value.crossScalar( ball.momentumProperty.value ) +
+         ball.momentOfInertiaProperty.value * ball.angularVelocityProperty.value;
+} ) );
+
+/**
+ * Gets the distances between every pair of the passed-in Balls.
+ *
+ * @param {Ball[]} balls
+ * @returns {number[]}
+ */
+const getDistances = balls => _.flatMap( balls, ( ball, i ) => balls.slice( i + 1 ).map( otherBall => {
+  return ball.positionProperty.value.distance( otherBall.positionProperty.value );
+} ) );
+
+QUnit.test( 'a cluster conserves the momenta of its Balls and moves rigidly', assert => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  model.ballSystem.numberOfBallsProperty.value = 3;
+  const balls = model.ballSystem.balls.slice();
+  balls[ 0 ].positionProperty.value = new Vector2( -0.3, 0 );
+  balls[ 1 ].positionProperty.value = new Vector2( 0.1, 0.1 );
+  balls[ 2 ].positionProperty.value = new Vector2( 0, -0.35 );
+  balls[ 0 ].angularVelocityProperty.value = 2;
+
+  const momentum = getMomentum( balls );
+  const angularMomentum = getAngularMomentum( balls );
+  const distances = getDistances( balls );
+
+  const cluster = new RotatingBallCluster( balls );
+  const centerOfMassPosition = cluster.getCenterOfMassPosition();
+  const centerOfMassVelocity = cluster.getCenterOfMassVelocity();
+
+  assert.ok( getMomentum( balls ).equalsEpsilon( momentum, TOLERANCE ), 'linear momentum is conserved' );
+  assert.ok( Math.abs( getAngularMomentum( balls ) - angularMomentum ) < TOLERANCE, 'angular momentum is conserved' );
+  assert.ok( Math.abs( model.ballSystem.totalKineticEnergyProperty.value -
+                       0.5 * cluster.getTotalMass() * centerOfMassVelocity.magnitudeSquared -
+                       0.5 * cluster.getMomentOfInertia() * cluster.angularVelocity ** 2 ) < TOLERANCE,
+    'the kinetic energy is the energy of the motion of the center-of-mass plus the energy of the rotation' );
+  assert.ok( balls.every( ball => ball.angularVelocityProperty.value === cluster.angularVelocity ),
+    'every Ball spins with the cluster' );
+
+  for ( let i = 0; i < 60; i++ ) {
+    cluster.step( DT );
+  }
+
+  assert.ok( _.every( getDistances( balls ), ( distance, i ) => Math.abs( distance - distances[ i ] ) < TOLERANCE ),
+    'the distances between the Balls are unchanged' );
+  assert.ok( cluster.getCenterOfMassPosition().equalsEpsilon( centerOfMassPosition.plus( centerOfMassVelocity ), 1e-6 ),
+    'the center-of-mass moves uniformly' );
+  assert.ok( Math.abs( getAngularMomentum( balls ) - angularMomentum ) < 1e-6,
+    'angular momentum is conserved while the cluster moves' );
+} );
+
+QUnit.test( 'sticky collisions stick Balls into clusters and merge clusters', assert => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  const ballSystem = model.ballSystem;
+  const collisionEngine = model.collisionEngine;
+  ballSystem.numberOfBallsProperty.value = 4;
+  model.playArea.stickyCollisionsProperty.value = true;
+
+  // Two pairs of Balls stick together into two clusters, which then stick together into one cluster of all of the
+  // Balls. The total momentum is zero, so the final cluster stays inside of the PlayArea.
+  const balls = ballSystem.balls;
+  [ [ -1.2, 0, 1 ], [ -0.5, 0.08, 0 ], [ 0.5, -0.08, 0 ], [ 1.2, 0, -1 ] ].forEach( ( [ x, y, vx ], i ) => {
+    balls[ i ].massProperty.value = 1;
+    balls[ i ].positionProperty.value = new Vector2( x, y );
+    balls[ i ].velocityProperty.value = new Vector2( vx, 0 );
+  } );
+
+  const momentum = getMomentum( balls );
+  const angularMomentum = getAngularMomentum( balls );
+
+  let numberOfClusters = 0;
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+    numberOfClusters = Math.max( numberOfClusters, collisionEngine.rotatingBallClusters.length );
+  }
+  const distances = getDistances( balls );
+  model.stepManual( DT );
+
+  const cluster = collisionEngine.getCluster( balls[ 0 ] );
+  assert.equal( numberOfClusters, 2, 'the pairs of Balls stuck into two clusters' );
+  assert.ok( cluster && balls.every( ball => collisionEngine.getCluster( ball ) === cluster ),
+    'the clusters merged into one cluster of all of the Balls' );
+  assert.ok( getMomentum( balls ).equalsEpsilon( momentum, 1e-6 ), 'linear momentum is conserved' );
+  assert.ok( Math.abs( getAngularMomentum( balls ) - angularMomentum ) < 1e-6, 'angular momentum is conserved' );
+  assert.ok( _.every( getDistances( balls ), ( distance, i ) => Math.abs( distance - distances[ i ] ) < 1e-6 ),
+    'the Balls move rigidly' );
+} );
+
+[ 0, 0.5, 1 ].forEach( elasticity => {
+
+  QUnit.test( `a contact impulse moves a cluster as a rigid body (elasticity: ${elasticity})`, assert => {
+    const model = new Explore2DModel( Tandem.OPT_OUT );
+    const [ ball1, ball2 ] = model.ballSystem.balls;
+    ball1.positionProperty.value = new Vector2( -0.3, 0 );
+    ball1.velocityProperty.value = new Vector2( 0, -1 );
+    ball2.positionProperty.value = new Vector2( -0.3 + ball1.radiusProperty.value + ball2.radiusProperty.value, 0 );
+    ball2.velocityProperty.value = new Vector2( 0.5, -1 );
+    const cluster = new RotatingBallCluster( [ ball1, ball2 ] );
+
+    // The Balls hit a floor under the second Ball, off of the center-of-mass, so the impulse also rotates the cluster.
+    const contactPoint = ball2.positionProperty.value.minusXY( 0, ball2.radiusProperty.value );
+    const normal = new Vector2( 0, 1 );
+
+    /**
+     * Gets the velocity of the point of the cluster at the point of contact.
+     *
+     * @returns {Vector2}
+     */
+    const getContactPointVelocity = () => {
+      const r = contactPoint.minus( cluster.getCenterOfMassPosition() );
+      return cluster.getCenterOfMassVelocity().plusXY( -cluster.angularVelocity * r.y, cluster.angularVelocity * r.x );
+    };
+
+    /**
+     * Gets the angular momentum of the cluster about the point of contact, which the impulse doesn't change.
+     *
+     * @returns {number}
+     */
+    const getContactAngularMomentum = () => {
+      return cluster.getCenterOfMassPosition().minus( contactPoint )
+               .crossScalar( cluster.getCenterOfMassVelocity().timesScalar( cluster.getTotalMass() ) ) +
+             cluster.getMomentOfInertia() * cluster.angularVelocity;
+    };
+
+    const normalVelocity = getContactPointVelocity().dot( normal );
+    const tangentialVelocity = cluster.getCenterOfMassVelocity().x;
+    const angularVelocity = cluster.angularVelocity;
+    const angularMomentum = getContactAngularMomentum();
+    const kineticEnergy = model.ballSystem.totalKineticEnergyProperty.value;
+
+    const impulse = cluster.applyContactImpulse( contactPoint, normal, elasticity );
+
+    assert.ok( normalVelocity < 0 && impulse > 0, 'the point of contact moved into the floor and was pushed back' );
+    assert.ok( Math.abs( getContactPointVelocity().dot( normal ) + elasticity * normalVelocity ) < TOLERANCE,
+      'the normal velocity of the point of contact is reversed and scaled by the elasticity' );
+    assert.ok( Math.abs( cluster.getCenterOfMassVelocity().x - tangentialVelocity ) < TOLERANCE,
+      'the tangential velocity of the center-of-mass is unchanged' );
+    assert.ok( Math.abs( getContactAngularMomentum() - angularMomentum ) < TOLERANCE,
+      'the angular momentum about the point of contact is conserved' );
+    assert.ok( cluster.angularVelocity !== angularVelocity, 'the impulse rotates the cluster' );
+    assert.ok( [ ball1, ball2 ].every( ball => ball.angularVelocityProperty.value === cluster.angularVelocity ),
+      'every Ball spins with the cluster' );
+
+    const energyChange = model.ballSystem.totalKineticEnergyProperty.value - kineticEnergy;
+    if ( elasticity === 1 ) {
+      assert.ok( Math.abs( energyChange ) < TOLERANCE, 'kinetic energy is conserved' );
+    }
+    else {
+      assert.ok( energyChange < 0, 'kinetic energy is lost' );
+    }
+
+    assert.ok( cluster.applyContactImpulse( contactPoint, normal, elasticity ) < TOLERANCE,
+      'no impulse once the point of contact isn\'t moving into the floor' );
+  } );
+} );
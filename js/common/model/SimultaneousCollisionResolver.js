@@ -0,0 +1,393 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * SimultaneousCollisionResolver resolves ball-ball collisions that involve more than two Balls at the same instant,
+ * like a Ball hitting a row of touching Balls (Newton's cradle) or two Balls hitting the same Ball at once. Handling
+ * the Collisions one pair at a time makes the result depend on the order that the pairs are handled in. Instead, the
+ * Balls that are touching each other at the instant of the collision are grouped, and every contact of the group is
+ * resolved together with one of the following models:
+ *
+ *   - SEQUENTIAL_IMPULSES - every contact of the group collides simultaneously. Impulses along the normal of each
+ *     contact are applied and accumulated, contact by contact, and iterated until they converge. Each impulse pushes
+ *     the Balls apart (never together) and each contact separates with its elasticity times its approaching speed
+ *     before the collision. Contacts that weren't approaching before the collision end up not approaching. For a
+ *     Newton's cradle, the row of Balls moves off together and the moving Ball bounces back, so the cradle isn't
+ *     reproduced.
+ *
+ *   - CHAIN_PROPAGATION - the collision propagates through the group as a sequence of pairwise collisions. The contact
+ *     that is approaching the fastest is collided (see CollisionEngine.handleBallToBallCollision()), and this is
+ *     repeated until no contact of the group is approaching. For a Newton's cradle, the momentum of the moving Ball is
+ *     passed down the row to the Ball at the other end.
+ *
+ * The contacts of the Balls of the group with the border, Pegs, and Walls are resolved with the group, like contacts
+ * with a Ball of infinite mass. Otherwise, a Ball that is pressed against the border by the Balls of the group (like a
+ * pile of Balls in a corner with gravity) bounces back and forth between them at the same instant, with velocities that
+ * shrink but never vanish, which takes hundreds of iterations of the CollisionEngine in a single step.
+ *
+ * Both models conserve the momentum of the Balls when no Ball touches the border, a Peg, or a Wall. The result of
+ * SEQUENTIAL_IMPULSES doesn't depend on the order of the contacts, and the result of CHAIN_PROPAGATION only depends
+ * on it when contacts approach at the exact same speed. Contact friction isn't modeled, so groups are handled one
+ * pair at a time (by the CollisionEngine) when the PlayArea has contact friction. Groups are also handled one pair
+ * at a time with sticky collisions, where colliding Balls stick together instead of bouncing.
+ *
+ * SimultaneousCollisionResolvers are created at the start of the sim and are never disposed, so no dispose method is
+ * necessary.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+import Ball from './Ball.js';
+import BallSystem from './BallSystem.js';
+import Collision from './Collision.js';
+import PlayArea from './PlayArea.js';
+
+// constants
+const CONTACT_TOLERANCE = 1e-7; // Balls closer than this (in meters) are touching, see Explore1DCollisionEngine
+const VELOCITY_TOLERANCE = 1e-12; // relative normal velocities smaller than this (in m/s) are negligible
+const MAX_ITERATIONS = 1000; // max number of pairwise collisions or sweeps of impulses for a group
+
+class SimultaneousCollisionResolver {
+
+  /**
+   * @param {PlayArea} playArea
+   * @param {BallSystem} ballSystem
+   * @param {SimultaneousCollisionResolver.Model} model - how the contacts of a group are resolved.
+   * @param {function(Ball, Object):number} getElasticity - gets the elasticity of a collision between a Ball and
+   *                                                         another Ball, the PlayArea, a Peg, or a Wall.
+   */
+  constructor( playArea, ballSystem, model, getElasticity ) {
+    assert && assert( playArea instanceof PlayArea, `invalid playArea: ${playArea}` );
+    assert && assert( ballSystem instanceof BallSystem, `invalid ballSystem: ${ballSystem}` );
+    assert && assert( SimultaneousCollisionResolver.Model.includes( model ), `invalid model: ${model}` );
+    assert && assert( model !== SimultaneousCollisionResolver.Model.PAIRWISE, 'PAIRWISE Collisions aren\'t resolved' );
+    assert && assert( typeof getElasticity === 'function', `invalid getElasticity: ${getElasticity}` );
+
+    // @private - reference to the passed-in parameters.
+    this.playArea = playArea;
+    this.ballSystem = ballSystem;
+    this.model = model;
+    this.getElasticity = getElasticity;
+
+    // @private {Ball[]} - the Balls of the current group, and the velocities of the Balls while the group is resolved.
+    //                     Velocities are reused from the pool to minimize GC.
+    this.groupBalls = [];
+    this.velocities = [];
+
+    // @private {{index1: number, index2: number, normal: Vector2, elasticity: number, targetSpeed: number,
+    //            impulse: number}[]} - the contacts of the current group, where index1 and index2 are the indices of
+    //                                  the Balls in groupBalls and the normal points from the first Ball to the second.
+    //                                  index2 is -1 for contacts with the border, Pegs, and Walls.
+    //                                  Contacts are reused from the pool to minimize GC.
+    this.contacts = [];
+    this.contactPool = [];
+
+    // @private {Vector2} - mutable Vector2 instance, reused to reduce memory allocations.
+    this.normal = new Vector2( 0, 0 );
+  }
+
+  /**
+   * Resolves the groups of touching Balls of the passed-in ball-ball Collisions that have more than one contact, which
+   * sets the velocities of their Balls. Collisions of other groups must be handled one pair at a time.
+   * @public
+   *
+   * @param {Collision[]} collisions - the Collisions that occur at the current instant. Collisions that don't involve
+   *                                   two Balls are ignored.
+   * @param {number} dt - the time-delta of the step, in seconds. Negative when the sim is being stepped backwards.
+   * @param {Ball[]} resolvedBalls - the Balls of the resolved groups are pushed to this array.
+   */
+  resolve( collisions, dt, resolvedBalls ) {
+    assert && assert( collisions.every( collision => collision instanceof Collision ), `invalid collisions: ${collisions}` );
+    assert && assert( typeof dt === 'number', `invalid dt: ${dt}` );
+    assert && assert( Array.isArray( resolvedBalls ), `invalid resolvedBalls: ${resolvedBalls}` );
+
+    if ( this.playArea.contactFrictionProperty.value > 0 || this.playArea.stickyCollisionsProperty.value ) {
+      return; /** do nothing **/
+    }
+
+    for ( let i = 0; i < collisions.length; i++ ) {
+      const collision = collisions[ i ];
+
+      if ( collision.body1 instanceof Ball && collision.body2 instanceof Ball && !resolvedBalls.includes( collision.body1 ) ) {
+        this.findGroup( collision.body1, Math.sign( dt ) || 1 );
+
+        if ( this.contacts.length > 1 ) {
+          this.model === SimultaneousCollisionResolver.Model.SEQUENTIAL_IMPULSES ?
+            this.resolveSequentialImpulses( Math.sign( dt ) || 1 ) :
+            this.resolveChainPropagation( Math.sign( dt ) || 1 );
+
+          for ( let j = 0; j < this.groupBalls.length; j++ ) {
+            this.groupBalls[ j ].velocityProperty.value = this.velocities[ j ].copy();
+            resolvedBalls.push( this.groupBalls[ j ] );
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Finds the group of Balls that are touching a Ball, directly or through other Balls, and the contacts between them.
+   * @private
+   *
+   * @param {Ball} ball
+   * @param {number} direction - 1 if the sim is being stepped forwards, -1 if backwards.
+   */
+  findGroup( ball, direction ) {
+    this.groupBalls.length = 0;
+    this.contacts.length = 0;
+    this.addGroupBall( ball );
+
+    // Breadth-first search through the touching Balls. Contacts are added when their first Ball is expanded, so each
+    // contact is only added once.
+    for ( let i = 0; i < this.groupBalls.length; i++ ) {
+      const ball1 = this.groupBalls[ i ];
+
+      for ( let j = 0; j < this.ballSystem.balls.length; j++ ) {
+        const ball2 = this.ballSystem.balls[ j ];
+        const index2 = this.groupBalls.indexOf( ball2 );
+
+        if ( ball2 !== ball1 && ( index2 === -1 || index2 > i ) && this.isTouching( ball1, ball2 ) ) {
+          index2 === -1 && this.addGroupBall( ball2 );
+
+          this.normal.set( this.playArea.getMinimumImagePosition( ball2.positionProperty.value,
+            ball1.positionProperty.value ) ).subtract( ball1.positionProperty.value ).normalize();
+          this.addContact( i, index2 === -1 ? this.groupBalls.length - 1 : index2, this.normal,
+            this.getElasticity( ball1, ball2 ), direction );
+        }
+      }
+      this.addObstacleContacts( i, direction );
+    }
+  }
+
+  /**
+   * Adds the contacts of a Ball of the current group with the border, Pegs, and Walls that it is touching. These bodies
+   * never move, so they are like Balls with infinite mass, and their index is -1.
+   * @private
+   *
+   * @param {number} index - the index of the Ball in groupBalls.
+   * @param {number} direction - 1 if the sim is being stepped forwards, -1 if backwards.
+   */
+  addObstacleContacts( index, direction ) {
+    const ball = this.groupBalls[ index ];
+    const position = ball.positionProperty.value;
+    const radius = ball.radiusProperty.value;
+
+    // The normals of the border point towards the inside of the PlayArea, so they are negated to point from the Ball
+    // towards the border.
+    this.playArea.reflectingBorderProperty.value && this.playArea.getBorderContactNormals( ball ).forEach( normal => {
+      this.addContact( index, -1, normal.negate(), this.getElasticity( ball, this.playArea ), direction );
+    } );
+
+    this.playArea.pegs.forEach( peg => {
+      this.normal.set( peg.positionProperty.value ).subtract( position );
+      this.normal.magnitude - radius - peg.radius <= CONTACT_TOLERANCE &&
+      this.addContact( index, -1, this.normal.normalize(), this.getElasticity( ball, peg ), direction );
+    } );
+
+    this.playArea.walls.forEach( wall => {
+      this.normal.set( wall.getClosestPoint( position ) ).subtract( position );
+      this.normal.magnitude - radius <= CONTACT_TOLERANCE &&
+      this.addContact( index, -1, this.normal.normalize(), this.getElasticity( ball, wall ), direction );
+    } );
+  }
+
+  /**
+   * Adds a Ball to the current group, starting its velocity at the velocity of the Ball.
+   * @private
+   *
+   * @param {Ball} ball
+   */
+  addGroupBall( ball ) {
+    if ( this.velocities.length === this.groupBalls.length ) {
+      this.velocities.push( new Vector2( 0, 0 ) );
+    }
+    this.velocities[ this.groupBalls.length ].set( ball.velocityProperty.value );
+    this.groupBalls.push( ball );
+  }
+
+  /**
+   * Determines whether two Balls are touching, with the minimum image of the second Ball for periodic borders.
+   * @private
+   *
+   * @param {Ball} ball1
+   * @param {Ball} ball2
+   * @returns {boolean}
+   */
+  isTouching( ball1, ball2 ) {
+    const position1 = ball1.positionProperty.value;
+    const position2 = this.playArea.getMinimumImagePosition( ball2.positionProperty.value, position1 );
+    const sumOfRadii = ball1.radiusProperty.value + ball2.radiusProperty.value;
+
+    return position1.distance( position2 ) - sumOfRadii <= CONTACT_TOLERANCE;
+  }
+
+  /**
+   * Adds a contact of a Ball of the current group with another Ball of the group, or with a body that never moves.
+   * @private
+   *
+   * @param {number} index1 - the index of the first Ball in groupBalls.
+   * @param {number} index2 - the index of the second Ball in groupBalls, or -1 for a body that never moves.
+   * @param {Vector2} normal - the unit normal of the contact, from the first Ball towards the other body.
+   * @param {number} elasticity - the elasticity of the contact.
+   * @param {number} direction - 1 if the sim is being stepped forwards, -1 if backwards.
+   */
+  addContact( index1, index2, normal, elasticity, direction ) {
+    if ( this.contactPool.length === this.contacts.length ) {
+      this.contactPool.push( { index1: 0, index2: 0, normal: new Vector2( 0, 0 ), elasticity: 0, targetSpeed: 0, impulse: 0 } );
+    }
+    const contact = this.contactPool[ this.contacts.length ];
+
+    contact.index1 = index1;
+    contact.index2 = index2;
+    contact.normal.set( normal );
+    contact.elasticity = elasticity;
+    contact.impulse = 0;
+
+    assert && assert( direction > 0 || contact.elasticity > 0, 'We cannot step backwards with zero elasticity' );
+
+    // Stepping backwards undoes collisions, so the contact separates with its approaching speed divided by the
+    // elasticity, like CollisionEngine.handleBallToBallCollision().
+    if ( direction < 0 ) {
+      contact.elasticity = 1 / contact.elasticity;
+    }
+
+    // The speed that the contact separates with after the collision.
+    contact.targetSpeed = this.getSeparatingSpeed( contact, this.getNormalVelocity( contact, direction ) );
+
+    this.contacts.push( contact );
+  }
+
+  /**
+   * Gets the speed that a contact separates with after a collision, which is its elasticity times its approaching
+   * speed. Like the border and Walls (see CollisionEngine.handleBallToBorderCollision()), negligible bounces off of
+   * bodies that never move are removed, which allows Balls to come to rest against them with gravity.
+   * @private
+   *
+   * @param {Object} contact
+   * @param {number} normalVelocity - the relative normal velocity of the contact before the collision, in m/s.
+   * @returns {number} - in m/s.
+   */
+  getSeparatingSpeed( contact, normalVelocity ) {
+    const separatingSpeed = -contact.elasticity * Math.min( normalVelocity, 0 );
+    return contact.index2 === -1 && separatingSpeed < CollisionLabConstants.MIN_VELOCITY ? 0 : separatingSpeed;
+  }
+
+  /**
+   * Gets the relative velocity of the Balls of a contact along its normal, in the direction of time progression, which
+   * is negative when the Balls are approaching each other.
+   * @private
+   *
+   * @param {Object} contact
+   * @param {number} direction - 1 if the sim is being stepped forwards, -1 if backwards.
+   * @returns {number} - in m/s.
+   */
+  getNormalVelocity( contact, direction ) {
+    const velocity2 = contact.index2 === -1 ? 0 : this.velocities[ contact.index2 ].dot( contact.normal );
+    return direction * ( velocity2 - this.velocities[ contact.index1 ].dot( contact.normal ) );
+  }
+
+  /**
+   * Applies an impulse along the normal of a contact, which pushes its Balls apart if positive.
+   * @private
+   *
+   * @param {Object} contact
+   * @param {number} impulse - in the direction of time progression, in kg*m/s.
+   * @param {number} direction - 1 if the sim is being stepped forwards, -1 if backwards.
+   */
+  applyImpulse( contact, impulse, direction ) {
+    const m1 = this.groupBalls[ contact.index1 ].massProperty.value;
+    const normal = contact.normal;
+
+    this.velocities[ contact.index1 ].subtractXY( direction * impulse * normal.x / m1, direction * impulse * normal.y / m1 );
+
+    if ( contact.index2 !== -1 ) {
+      const m2 = this.groupBalls[ contact.index2 ].massProperty.value;
+      this.velocities[ contact.index2 ].addXY( direction * impulse * normal.x / m2,
+        direction * impulse * normal.y / m2 );
+    }
+  }
+
+  /**
+   * Gets the impulse along the normal of a contact that changes its relative normal velocity by one m/s.
+   * @private
+   *
+   * @param {Object} contact
+   * @returns {number} - in kg.
+   */
+  getEffectiveMass( contact ) {
+    const inverseMass2 = contact.index2 === -1 ? 0 : 1 / this.groupBalls[ contact.index2 ].massProperty.value;
+    return 1 / ( 1 / this.groupBalls[ contact.index1 ].massProperty.value + inverseMass2 );
+  }
+
+  /**
+   * Resolves the contacts of the current group with the SEQUENTIAL_IMPULSES model. The accumulated impulse of each
+   * contact is clamped to be non-negative, so contacts can only push.
+   * @private
+   *
+   * @param {number} direction - 1 if the sim is being stepped forwards, -1 if backwards.
+   */
+  resolveSequentialImpulses( direction ) {
+    let iterations = 0;
+    let maxChange = Number.POSITIVE_INFINITY;
+
+    while ( maxChange > VELOCITY_TOLERANCE && iterations++ < MAX_ITERATIONS ) {
+      maxChange = 0;
+
+      for ( let i = 0; i < this.contacts.length; i++ ) {
+        const contact = this.contacts[ i ];
+        const normalVelocity = this.getNormalVelocity( contact, direction );
+
+        // The impulse that would make the contact separate with its target speed, clamped so that the accumulated
+        // impulse of the contact doesn't pull its Balls together.
+        const impulse = Math.max( contact.impulse + ( contact.targetSpeed - normalVelocity ) * this.getEffectiveMass( contact ), 0 );
+        const deltaImpulse = impulse - contact.impulse;
+
+        contact.impulse = impulse;
+        this.applyImpulse( contact, deltaImpulse, direction );
+        maxChange = Math.max( maxChange, Math.abs( deltaImpulse ) / this.getEffectiveMass( contact ) );
+      }
+    }
+  }
+
+  /**
+   * Resolves the contacts of the current group with the CHAIN_PROPAGATION model. The contact that is approaching the
+   * fastest is collided first. Ties go to the contact that was found first, which only depends on the Balls.
+   * @private
+   *
+   * @param {number} direction - 1 if the sim is being stepped forwards, -1 if backwards.
+   */
+  resolveChainPropagation( direction ) {
+    let iterations = 0;
+
+    while ( iterations++ < MAX_ITERATIONS ) {
+      let fastestContact = null;
+      let fastestNormalVelocity = -VELOCITY_TOLERANCE;
+
+      for ( let i = 0; i < this.contacts.length; i++ ) {
+        const normalVelocity = this.getNormalVelocity( this.contacts[ i ], direction );
+
+        if ( normalVelocity < fastestNormalVelocity ) {
+          fastestContact = this.contacts[ i ];
+          fastestNormalVelocity = normalVelocity;
+        }
+      }
+
+      if ( !fastestContact ) {
+        return;
+      }
+
+      // Collide the pair, which makes it separate with its elasticity times its approaching speed.
+      const separatingSpeed = this.getSeparatingSpeed( fastestContact, fastestNormalVelocity );
+      this.applyImpulse( fastestContact,
+        ( separatingSpeed - fastestNormalVelocity ) * this.getEffectiveMass( fastestContact ), direction );
+    }
+  }
+}
+
+// @public (read-only) {EnumerationDeprecated} - Enumeration of the models for resolving simultaneous collisions, where
+//                                               PAIRWISE handles the Collisions one pair at a time, without resolving.
+SimultaneousCollisionResolver.Model = EnumerationDeprecated.byKeys( [ 'PAIRWISE', 'SEQUENTIAL_IMPULSES', 'CHAIN_PROPAGATION' ] );
+
+export default SimultaneousCollisionResolver;
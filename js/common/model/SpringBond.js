@@ -0,0 +1,75 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * SpringBond is the model for the optional ideal spring that bonds two Balls of the PlayArea together, like the atoms
+ * of a diatomic molecule or the ends of a dumbbell. The user chooses which pair of Balls is bonded, which is Balls 1
+ * and 2 by default. The spring has a stiffness, k, and a rest length, L, between the centers of the Balls, and it pulls
+ * (or pushes) the Balls along the line between their centers with the force of Hooke's law:
+ *
+ *   F = -k * ( |r| - L ) * r / |r|
+ *
+ * where r is the position of the second Ball relative to the first. The spring only acts while both of its Balls are
+ * in the system. The force is internal to the pair, so the center-of-mass of the pair moves uniformly while the Balls
+ * oscillate and rotate about it (see BondedBallPair).
+ *
+ * The rest length is always longer than the sum of the radii of any two Balls, so the spring pushes the Balls apart
+ * whenever they are touching.
+ *
+ * SpringBonds are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+
+// constants
+const MAX_BALL_INDEX = 4; // the largest index of a Ball that can be bonded, the number of Balls in 'Explore 2D'
+
+class SpringBond {
+
+  constructor() {
+
+    // @public {Property.<boolean>} - indicates if the Balls are bonded by the spring. Manipulated in the view.
+    this.isEnabledProperty = new BooleanProperty( false );
+
+    // @public {Property.<number[]>} - the indices of the pair of Balls that are bonded by the spring (see Ball.index),
+    //                                 which is one of SpringBond.BALL_INDEX_PAIRS. Manipulated in the view.
+    this.ballIndicesProperty = new Property( SpringBond.BALL_INDEX_PAIRS[ 0 ], {
+      validValues: SpringBond.BALL_INDEX_PAIRS
+    } );
+
+    // @public {Property.<number>} - the stiffness of the spring, in N/m. Manipulated in the view.
+    this.stiffnessProperty = new NumberProperty( CollisionLabConstants.SPRING_STIFFNESS_RANGE.defaultValue, {
+      range: CollisionLabConstants.SPRING_STIFFNESS_RANGE
+    } );
+
+    // @public {Property.<number>} - the rest length of the spring, in meters, which is the distance between the centers
+    //                               of the Balls when the spring exerts no force. Manipulated in the view.
+    this.restLengthProperty = new NumberProperty( CollisionLabConstants.SPRING_REST_LENGTH_RANGE.defaultValue, {
+      range: CollisionLabConstants.SPRING_REST_LENGTH_RANGE
+    } );
+  }
+
+  /**
+   * Resets the SpringBond.
+   * @public
+   *
+   * Called when the reset-all button is pressed.
+   */
+  reset() {
+    this.isEnabledProperty.reset();
+    this.ballIndicesProperty.reset();
+    this.stiffnessProperty.reset();
+    this.restLengthProperty.reset();
+  }
+}
+
+// @public (read-only) {number[][]} - every pair of indices of Balls that can be bonded, in ascending order.
+SpringBond.BALL_INDEX_PAIRS = _.flatMap( _.range( 1, MAX_BALL_INDEX ), index1 => {
+  return _.range( index1 + 1, MAX_BALL_INDEX + 1 ).map( index2 => [ index1, index2 ] );
+} );
+
+export default SpringBond;
@@ -0,0 +1,155 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * TableFriction is the model for the optional friction of the surface of the PlayArea, which makes Balls slow down and
+ * eventually stop, like the Balls on a real air-hockey or billiards table. When enabled, each Ball experiences:
+ *   - a constant (kinetic) friction deceleration, a, opposite to its velocity.
+ *   - optionally, a linear drag deceleration that is proportional to its velocity, with a drag coefficient k.
+ *
+ * Since both decelerations are opposite to the velocity of the Ball, the direction of motion of a Ball never changes
+ * in between collisions. Only the speed, s, changes, which follows ds/dt = -a - k * s. Solving gives closed-form
+ * equations for the speed and the distance traveled of the Ball at any time, until it stops:
+ *
+ *   k = 0:  s(t) = s0 - a * t                        d(t) = s0 * t - a * t^2 / 2
+ *   k > 0:  s(t) = ( s0 + a / k ) * e^(-kt) - a / k  d(t) = ( s0 + a / k ) * ( 1 - e^(-kt) ) / k - a * t / k
+ *
+ * These equations are used to progress Balls (see Ball.stepFrictionMotion()) and to find the exact time of collisions
+ * of decelerating Balls (see CollisionEngine). Friction isn't time-reversible, so the sim cannot be stepped backwards
+ * while friction is enabled.
+ *
+ * TableFrictions are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+import CollisionLabUtils from '../CollisionLabUtils.js';
+
+// constants
+const DECELERATION = CollisionLabConstants.TABLE_FRICTION_DECELERATION;
+const DRAG_COEFFICIENT = CollisionLabConstants.TABLE_DRAG_COEFFICIENT;
+
+class TableFriction {
+
+  constructor() {
+
+    // @public {Property.<boolean>} - indicates if the surface of the PlayArea has friction. Manipulated in the view.
+    this.isEnabledProperty = new BooleanProperty( false );
+
+    // @public {Property.<boolean>} - indicates if Balls also experience linear drag. Drag only applies when friction is
+    //                                enabled. Manipulated in the view.
+    this.isDragEnabledProperty = new BooleanProperty( false );
+  }
+
+  /**
+   * Resets the TableFriction.
+   * @public
+   *
+   * Called when the reset-all button is pressed.
+   */
+  reset() {
+    this.isEnabledProperty.reset();
+    this.isDragEnabledProperty.reset();
+  }
+
+  /**
+   * Gets the drag coefficient of Balls, in 1/s. Zero if linear drag isn't enabled.
+   * @public
+   *
+   * @returns {number}
+   */
+  getDragCoefficient() {
+    return this.isDragEnabledProperty.value ? DRAG_COEFFICIENT : 0;
+  }
+
+  /**
+   * Gets the time it takes for a Ball with the given initial speed to stop, in seconds.
+   * @public
+   *
+   * @param {number} initialSpeed - in m/s.
+   * @returns {number}
+   */
+  getStopTime( initialSpeed ) {
+    assert && assert( typeof initialSpeed === 'number' && initialSpeed >= 0, `invalid initialSpeed: ${initialSpeed}` );
+
+    const k = this.getDragCoefficient();
+    return k > 0 ? Math.log( 1 + k * initialSpeed / DECELERATION ) / k : initialSpeed / DECELERATION;
+  }
+
+  /**
+   * Gets the speed of a Ball with the given initial speed after some time, in m/s.
+   * @public
+   *
+   * @param {number} initialSpeed - in m/s.
+   * @param {number} time - in seconds.
+   * @returns {number}
+   */
+  getSpeed( initialSpeed, time ) {
+    assert && assert( typeof initialSpeed === 'number' && initialSpeed >= 0, `invalid initialSpeed: ${initialSpeed}` );
+    assert && assert( typeof time === 'number' && time >= 0, `invalid time: ${time}` );
+
+    // The Ball doesn't move after it stops.
+    const t = Math.min( time, this.getStopTime( initialSpeed ) );
+    const k = this.getDragCoefficient();
+
+    const speed = k > 0 ? ( initialSpeed + DECELERATION / k ) * Math.exp( -k * t ) - DECELERATION / k :
+                  initialSpeed - DECELERATION * t;
+
+    return Math.max( 0, CollisionLabUtils.clampDown( speed ) );
+  }
+
+  /**
+   * Gets the distance traveled by a Ball with the given initial speed after some time, in meters.
+   * @public
+   *
+   * @param {number} initialSpeed - in m/s.
+   * @param {number} time - in seconds.
+   * @returns {number}
+   */
+  getDistance( initialSpeed, time ) {
+    assert && assert( typeof initialSpeed === 'number' && initialSpeed >= 0, `invalid initialSpeed: ${initialSpeed}` );
+    assert && assert( typeof time === 'number' && time >= 0, `invalid time: ${time}` );
+
+    // The Ball doesn't move after it stops.
+    const t = Math.min( time, this.getStopTime( initialSpeed ) );
+    const k = this.getDragCoefficient();
+
+    return k > 0 ? ( initialSpeed + DECELERATION / k ) * ( 1 - Math.exp( -k * t ) ) / k - DECELERATION * t / k :
+           initialSpeed * t - DECELERATION * t * t / 2;
+  }
+
+  /**
+   * Gets the time it takes for a Ball with the given initial speed to travel some distance, in seconds. Since the
+   * distance traveled only increases until the Ball stops, there is at most one solution. With linear drag, the
+   * distance function has no closed-form inverse, so the time is found with a root-finder.
+   * @public
+   *
+   * @param {number} initialSpeed - in m/s.
+   * @param {number} distance - in meters.
+   * @returns {number|null} - null indicates that the Ball stops before traveling the distance.
+   */
+  getTimeToTravel( initialSpeed, distance ) {
+    assert && assert( typeof initialSpeed === 'number' && initialSpeed >= 0, `invalid initialSpeed: ${initialSpeed}` );
+    assert && assert( typeof distance === 'number' && distance >= 0, `invalid distance: ${distance}` );
+
+    const stopTime = this.getStopTime( initialSpeed );
+
+    if ( distance > this.getDistance( initialSpeed, stopTime ) ) {
+      return null;
+    }
+    else if ( this.getDragCoefficient() === 0 ) {
+
+      // Solve the quadratic d = s0 * t - a * t^2 / 2 for the smaller root, which is before the Ball stops.
+      return ( initialSpeed - Math.sqrt( Math.max( 0, initialSpeed ** 2 - 2 * DECELERATION * distance ) ) ) / DECELERATION;
+    }
+    else {
+      return CollisionLabUtils.bisection( time => {
+        const difference = this.getDistance( initialSpeed, time ) - distance;
+        return Math.abs( difference ) < CollisionLabConstants.ZERO_THRESHOLD ? 0 : Math.sign( difference );
+      }, 0, stopTime );
+    }
+  }
+}
+
+export default TableFriction;
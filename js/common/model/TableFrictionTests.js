@@ -0,0 +1,99 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * TableFriction tests, for the closed-form motion of decelerating Balls, with and without linear drag, and for the
+ * collisions of decelerating Balls in the 'Explore 1D' screen.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Explore1DModel from '../../explore1D/model/Explore1DModel.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+
+// constants
+const DT = 1 / 60;           // the time-delta of each step, in seconds.
+const DURATION = 10;         // every Ball stops within this duration, in seconds.
+const EPSILON = 1e-6;        // the time-delta of the finite differences, in seconds.
+const TOLERANCE = 1e-6;      // the tolerance of the compared values.
+const DECELERATION = CollisionLabConstants.TABLE_FRICTION_DECELERATION;
+
+QUnit.module( 'TableFriction' );
+
+[ false, true ].forEach( isDragEnabled => {
+
+  QUnit.test( `closed-form motion (linear drag: ${isDragEnabled})`, assert => {
+    const model = new Explore1DModel( Tandem.OPT_OUT );
+    const tableFriction = model.playArea.tableFriction;
+    tableFriction.isDragEnabledProperty.value = isDragEnabled;
+    const k = tableFriction.getDragCoefficient();
+    const initialSpeed = 1.2;
+    const stopTime = tableFriction.getStopTime( initialSpeed );
+
+    [ 0.1, 0.5, 0.9 ].forEach( fraction => {
+      const time = fraction * stopTime;
+      const speed = tableFriction.getSpeed( initialSpeed, time );
+
+      // The speed follows ds/dt = -a - k * s, and the distance traveled follows dd/dt = s.
+      const acceleration = ( tableFriction.getSpeed( initialSpeed, time + EPSILON ) -
+                             tableFriction.getSpeed( initialSpeed, time - EPSILON ) ) / ( 2 * EPSILON );
+      const distanceRate = ( tableFriction.getDistance( initialSpeed, time + EPSILON ) -
+                             tableFriction.getDistance( initialSpeed, time - EPSILON ) ) / ( 2 * EPSILON );
+      assert.ok( Math.abs( acceleration + DECELERATION + k * speed ) < TOLERANCE, `deceleration at ${time}` );
+      assert.ok( Math.abs( distanceRate - speed ) < TOLERANCE, `speed at ${time}` );
+
+      // The time to travel is the inverse of the distance traveled.
+      const distance = tableFriction.getDistance( initialSpeed, time );
+      assert.ok( Math.abs( tableFriction.getTimeToTravel( initialSpeed, distance ) - time ) < TOLERANCE,
+        `time to travel ${distance}` );
+    } );
+
+    const stopDistance = tableFriction.getDistance( initialSpeed, stopTime );
+    assert.equal( tableFriction.getSpeed( initialSpeed, stopTime ), 0, 'the Ball stops' );
+    assert.equal( tableFriction.getDistance( initialSpeed, stopTime + 1 ), stopDistance, 'the Ball stays stopped' );
+    assert.equal( tableFriction.getTimeToTravel( initialSpeed, stopDistance + 0.1 ), null,
+      'the Ball stops before traveling past its stop distance' );
+  } );
+} );
+
+QUnit.test( 'collision times of decelerating Balls', assert => {
+  const model = new Explore1DModel( Tandem.OPT_OUT );
+  const tableFriction = model.playArea.tableFriction;
+  const collisionEngine = model.collisionEngine;
+  tableFriction.isEnabledProperty.value = true;
+
+  // A Ball that moves towards a Ball at rest collides when it has traveled the gap between their surfaces.
+  const getCollisionTime = ( position2, sumOfRadii ) => collisionEngine.getCircleCollisionTime(
+    Vector2.ZERO, new Vector2( 1, 0 ), Vector2.ZERO, position2, Vector2.ZERO, Vector2.ZERO, sumOfRadii, 0
+  );
+
+  const headOnTime = getCollisionTime( new Vector2( 1, 0 ), 0.4 );
+  assert.ok( Math.abs( headOnTime - tableFriction.getTimeToTravel( 1, 0.6 ) ) < TOLERANCE, 'head-on' );
+  assert.equal( getCollisionTime( new Vector2( 3, 0 ), 0.4 ), null, 'the Ball stops before reaching the other Ball' );
+  assert.equal( getCollisionTime( new Vector2( 1, 0.5 ), 0.4 ), null, 'the Ball passes the other Ball' );
+} );
+
+QUnit.test( 'decelerating Balls collide without overlapping and stop', assert => {
+  const model = new Explore1DModel( Tandem.OPT_OUT );
+  const [ ball1, ball2 ] = model.ballSystem.balls;
+  model.playArea.tableFriction.isEnabledProperty.value = true;
+
+  let minGap = Infinity;
+  let hasBounced = false;
+  let isKineticEnergyDecreasing = true;
+  let kineticEnergy = model.ballSystem.totalKineticEnergyProperty.value;
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+    minGap = Math.min( minGap, ball2.left - ball1.right );
+    hasBounced = hasBounced || ball1.velocityProperty.value.x < 0;
+    isKineticEnergyDecreasing = isKineticEnergyDecreasing &&
+                                model.ballSystem.totalKineticEnergyProperty.value <= kineticEnergy + TOLERANCE;
+    kineticEnergy = model.ballSystem.totalKineticEnergyProperty.value;
+  }
+
+  assert.ok( minGap > -TOLERANCE, `min gap between the Balls: ${minGap}` );
+  assert.ok( hasBounced, 'the first Ball bounced off of the second Ball' );
+  assert.ok( isKineticEnergyDecreasing, 'the kinetic energy never increases' );
+  assert.equal( kineticEnergy, 0, 'every Ball has stopped' );
+} );
@@ -0,0 +1,78 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * UniformGravity is the model for the optional uniform gravitational field of the PlayArea, which makes Balls follow
+ * parabolic trajectories in between collisions, like projectiles on a tilted air-hockey table. When enabled, every Ball
+ * experiences the same constant acceleration, g, regardless of its mass, so in between collisions:
+ *
+ *   r(t) = r0 + v0 * t + g * t^2 / 2        v(t) = v0 + g * t
+ *
+ * These equations are used to progress Balls (see Ball.stepGravityMotion()) and to find the exact time of collisions
+ * of accelerating Balls (see CollisionEngine). Unlike table friction, uniform gravity is time-reversible, so the sim can
+ * still be stepped backwards while gravity is enabled.
+ *
+ * Gravity is an external force, so the total momentum of the system isn't conserved while it is enabled; the
+ * CenterOfMass and the MomentaDiagram show the momentum of the system changing in between collisions.
+ *
+ * UniformGravities are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+import CollisionLabUtils from '../CollisionLabUtils.js';
+
+class UniformGravity {
+
+  constructor() {
+
+    // @public {Property.<boolean>} - indicates if the PlayArea has a uniform gravitational field. Manipulated in the view.
+    this.isEnabledProperty = new BooleanProperty( false );
+
+    // @public {Property.<number>} - the magnitude of the gravitational acceleration, in m/s^2. Manipulated in the view.
+    this.magnitudeProperty = new NumberProperty( CollisionLabConstants.GRAVITY_MAGNITUDE_RANGE.defaultValue, {
+      range: CollisionLabConstants.GRAVITY_MAGNITUDE_RANGE
+    } );
+
+    // @public {Property.<number>} - the direction of the gravitational acceleration, in degrees counterclockwise from the
+    //                               +x axis. Manipulated in the view.
+    this.directionProperty = new NumberProperty( CollisionLabConstants.GRAVITY_DIRECTION_RANGE.defaultValue, {
+      range: CollisionLabConstants.GRAVITY_DIRECTION_RANGE
+    } );
+  }
+
+  /**
+   * Resets the UniformGravity.
+   * @public
+   *
+   * Called when the reset-all button is pressed.
+   */
+  reset() {
+    this.isEnabledProperty.reset();
+    this.magnitudeProperty.reset();
+    this.directionProperty.reset();
+  }
+
+  /**
+   * Gets the gravitational acceleration of every Ball, in m/s^2. The zero vector if gravity isn't enabled.
+   * @public
+   *
+   * @returns {Vector2}
+   */
+  getAcceleration() {
+    if ( !this.isEnabledProperty.value ) {
+      return Vector2.ZERO.copy();
+    }
+    const acceleration = Vector2.createPolar( this.magnitudeProperty.value, Utils.toRadians( this.directionProperty.value ) );
+
+    // Remove the floating-point noise of the trigonometric functions, so that gravity that points straight down (for
+    // instance) doesn't have a negligible horizontal component.
+    return acceleration.setXY( CollisionLabUtils.clampDown( acceleration.x ), CollisionLabUtils.clampDown( acceleration.y ) );
+  }
+}
+
+export default UniformGravity;
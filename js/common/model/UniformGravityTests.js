@@ -0,0 +1,112 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * UniformGravity tests, with a projectile in the 'Explore 2D' screen. In between collisions, a Ball follows the
+ * parabolic trajectory of a constant acceleration, and its mechanical energy is conserved when it bounces elastically.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Explore2DModel from '../../explore2D/model/Explore2DModel.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const DURATION = 6;        // the duration of the bouncing motion, in seconds.
+const TOLERANCE = 1e-9;    // the tolerance of the compared values.
+
+QUnit.module( 'UniformGravity' );
+
+/**
+ * Creates an Explore2DModel with one Ball, at the passed-in position and velocity, and gravity enabled.
+ *
+ * @param {Vector2} position
+ * @param {Vector2} velocity
+ * @param {number} direction - the direction of gravity, in degrees.
+ * @returns {Explore2DModel}
+ */
+const createModel = ( position, velocity, direction ) => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  model.ballSystem.numberOfBallsProperty.value = 1;
+  model.ballSystem.balls[ 0 ].positionProperty.value = position;
+  model.ballSystem.balls[ 0 ].velocityProperty.value = velocity;
+  model.playArea.uniformGravity.isEnabledProperty.value = true;
+  model.playArea.uniformGravity.directionProperty.value = direction;
+  return model;
+};
+
+QUnit.test( 'acceleration', assert => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  const uniformGravity = model.playArea.uniformGravity;
+
+  assert.ok( uniformGravity.getAcceleration().equals( Vector2.ZERO ), 'no acceleration while disabled' );
+
+  uniformGravity.isEnabledProperty.value = true;
+  uniformGravity.magnitudeProperty.value = 2;
+  assert.ok( uniformGravity.getAcceleration().equals( new Vector2( 0, -2 ) ), 'straight down, without noise' );
+
+  uniformGravity.directionProperty.value = 45;
+  assert.ok( uniformGravity.getAcceleration().equalsEpsilon( new Vector2( Math.SQRT2, Math.SQRT2 ), TOLERANCE ),
+    'diagonally' );
+} );
+
+QUnit.test( 'a projectile follows a parabola', assert => {
+  const position = new Vector2( -1, -0.5 );
+  const velocity = new Vector2( 0.8, 1.2 );
+  const model = createModel( position, velocity, -90 );
+  const ball = model.ballSystem.balls[ 0 ];
+  const acceleration = model.playArea.uniformGravity.getAcceleration();
+
+  // The Ball reaches its highest point, at 1.2 m/s / 1 m/s^2, and falls back to its start height before it reaches the
+  // border of the PlayArea.
+  let time = 0;
+  let maxError = 0;
+  for ( let i = 0; i < 2.4 / DT; i++ ) {
+    model.stepManual( DT );
+    time += DT;
+    const expectedPosition = position.plus( velocity.timesScalar( time ) )
+      .add( acceleration.timesScalar( time * time / 2 ) );
+    maxError = Math.max( maxError, ball.positionProperty.value.distance( expectedPosition ) );
+  }
+
+  assert.ok( maxError < 1e-6, `max distance from the parabola: ${maxError}` );
+  assert.ok( ball.velocityProperty.value.equalsEpsilon( velocity.plus( acceleration.timesScalar( time ) ), 1e-6 ),
+    'the velocity changes uniformly' );
+} );
+
+QUnit.test( 'elastic bounces conserve mechanical energy and reverse in time', assert => {
+  const position = new Vector2( -0.7, 0.3 );
+  const velocity = new Vector2( 0.9, 0.4 );
+  const model = createModel( position, velocity, -120 );
+  const ball = model.ballSystem.balls[ 0 ];
+  const acceleration = model.playArea.uniformGravity.getAcceleration();
+  const playArea = model.playArea;
+
+  // The mechanical energy of the Ball per unit mass: the kinetic energy plus the potential energy in the field.
+  const getEnergy = () => {
+    return ball.velocityProperty.value.magnitudeSquared / 2 - acceleration.dot( ball.positionProperty.value );
+  };
+  const energy = getEnergy();
+
+  let bounces = 0;
+  let minGap = Infinity;
+  for ( let time = 0; time < DURATION; time += DT ) {
+    const previousVelocity = ball.velocityProperty.value;
+    model.stepManual( DT );
+    bounces += previousVelocity.dot( ball.velocityProperty.value ) < 0 ? 1 : 0;
+    minGap = Math.min( minGap, ball.left - playArea.left, playArea.right - ball.right,
+      ball.bottom - playArea.bottom, playArea.top - ball.top );
+  }
+
+  assert.ok( bounces > 2, `the Ball bounced ${bounces} times` );
+  assert.ok( minGap > -1e-6, `min gap between the Ball and the border: ${minGap}` );
+  assert.ok( Math.abs( getEnergy() - energy ) < 1e-6, 'the mechanical energy is conserved' );
+
+  // Gravity is time-reversible, so the Ball returns to where it started.
+  while ( model.elapsedTimeProperty.value > 0 ) {
+    model.stepBackwards();
+  }
+  assert.ok( ball.positionProperty.value.equalsEpsilon( position, 1e-6 ), 'the Ball returns to its start position' );
+  assert.ok( ball.velocityProperty.value.equalsEpsilon( velocity, 1e-6 ), 'the Ball returns to its start velocity' );
+} );
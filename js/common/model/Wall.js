@@ -0,0 +1,88 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A Wall is the model for a single straight wall segment inside of the PlayArea, which the user draws by dragging
+ * across the PlayArea. Balls reflect off of both faces of a Wall and off of its end-points, like they do off of the
+ * border of the PlayArea. Walls never move once they are drawn.
+ *
+ * Like Balls, the same Wall instances are used for the lifetime of the sim, regardless of whether or not they are in
+ * the PlayArea. Thus, Walls are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Vector2Property from '../../../../dot/js/Vector2Property.js';
+import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
+
+class Wall {
+
+  /**
+   * @param {number} index - the index of the Wall, which is unique among the Walls of the PlayArea. Starts from 1.
+   */
+  constructor( index ) {
+    assert && AssertUtils.assertPositiveInteger( index );
+
+    // @public {Property.<Vector2>} - Properties of the end-points of the Wall, in meters. The start-point is where the
+    //                                user started drawing the Wall.
+    this.startPositionProperty = new Vector2Property( Vector2.ZERO, {
+      valueComparisonStrategy: 'equalsFunction'
+    } );
+    this.endPositionProperty = new Vector2Property( Vector2.ZERO, {
+      valueComparisonStrategy: 'equalsFunction'
+    } );
+
+    // @public {Property.<boolean>} - indicates if the Wall is being drawn by the user. Set in the view.
+    this.userControlledProperty = new BooleanProperty( false );
+
+    // @public (read-only) {number} - the unique index of this Wall within the PlayArea.
+    this.index = index;
+  }
+
+  /**
+   * Resets this Wall to its factory settings. Called when the reset-all button is pressed.
+   * @public
+   */
+  reset() {
+    this.startPositionProperty.reset();
+    this.endPositionProperty.reset();
+    this.userControlledProperty.reset();
+  }
+
+  /**
+   * Gets the length of the Wall, in meters.
+   * @public
+   *
+   * @returns {number} - in meters.
+   */
+  get length() {
+    return this.startPositionProperty.value.distance( this.endPositionProperty.value );
+  }
+
+  /**
+   * Gets the point on the Wall that is closest to the passed-in point.
+   * @public
+   *
+   * @param {Vector2} point - in meters.
+   * @returns {Vector2} - in meters.
+   */
+  getClosestPoint( point ) {
+    assert && assert( point instanceof Vector2, `invalid point: ${point}` );
+
+    const start = this.startPositionProperty.value;
+    const delta = this.endPositionProperty.value.minus( start );
+
+    if ( delta.magnitudeSquared === 0 ) {
+      return start.copy();
+    }
+
+    // The fraction of the way along the Wall of the projection of the point onto the Wall, constrained to the Wall.
+    const fraction = Utils.clamp( point.minus( start ).dot( delta ) / delta.magnitudeSquared, 0, 1 );
+
+    return delta.multiplyScalar( fraction ).add( start );
+  }
+}
+
+export default Wall;
@@ -0,0 +1,137 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Wall tests, with a Ball of the 'Explore 2D' screen. Walls are drawn in the PlayArea, and Balls collide with either
+ * face of a Wall or with one of its end-points, and reflect about the normal at the point of contact.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Explore2DModel from '../../explore2D/model/Explore2DModel.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const DURATION = 1.2;      // the Ball bounces off of the Wall once within this duration, in seconds.
+const TOLERANCE = 1e-6;    // the tolerance of the compared values.
+
+QUnit.module( 'Wall' );
+
+/**
+ * Creates an Explore2DModel with one Ball, at the passed-in position and moving to the right, and a Wall between the
+ * passed-in end-points.
+ *
+ * @param {Vector2} position
+ * @param {Vector2} start
+ * @param {Vector2} end
+ * @param {number} elasticityPercent
+ * @returns {Explore2DModel}
+ */
+const createModel = ( position, start, end, elasticityPercent ) => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  model.ballSystem.numberOfBallsProperty.value = 1;
+  model.ballSystem.balls[ 0 ].positionProperty.value = position;
+  model.ballSystem.balls[ 0 ].velocityProperty.value = new Vector2( 1, 0 );
+  model.playArea.elasticityPercentProperty.value = elasticityPercent;
+  model.playArea.addWall( start ).endPositionProperty.value = end;
+  return model;
+};
+
+/**
+ * Steps the model and returns the min gap between the surface of the Ball and the Wall.
+ *
+ * @param {Explore2DModel} model
+ * @returns {number}
+ */
+const stepModel = model => {
+  const ball = model.ballSystem.balls[ 0 ];
+  const wall = model.playArea.walls.get( 0 );
+
+  let minGap = Infinity;
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+    const position = ball.positionProperty.value;
+    minGap = Math.min( minGap, position.distance( wall.getClosestPoint( position ) ) - ball.radiusProperty.value );
+  }
+  return minGap;
+};
+
+QUnit.test( 'drawing and erasing Walls', assert => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  const playArea = model.playArea;
+
+  const walls = _.range( CollisionLabConstants.MAX_WALLS ).map( index => {
+    const wall = playArea.addWall( new Vector2( -1, index * 0.1 ) );
+    wall.endPositionProperty.value = new Vector2( 1, index * 0.1 );
+    return wall;
+  } );
+  assert.equal( playArea.addWall( Vector2.ZERO ), null, 'no more than the max number of Walls are drawn' );
+  assert.equal( walls[ 0 ].length, 2, 'the length of a Wall' );
+
+  const wall = walls[ 0 ];
+  assert.ok( wall.getClosestPoint( new Vector2( 0.3, -0.4 ) ).equalsEpsilon( new Vector2( 0.3, 0 ), TOLERANCE ),
+    'on a face' );
+  assert.ok( wall.getClosestPoint( new Vector2( 1.5, -0.4 ) ).equals( new Vector2( 1, 0 ) ), 'at an end-point' );
+
+  playArea.removeWall( walls[ 1 ] );
+  assert.equal( playArea.walls.length, CollisionLabConstants.MAX_WALLS - 1, 'the Wall is removed' );
+
+  playArea.clearWalls();
+  assert.equal( playArea.walls.length, 0, 'every Wall is erased' );
+  assert.ok( walls.every( wall => wall.length === 0 ), 'the erased Walls are reset' );
+} );
+
+QUnit.test( 'collision times with the faces and end-points', assert => {
+  const model = createModel( new Vector2( -1, 0 ), new Vector2( 0, -0.5 ), new Vector2( 0, 0.5 ), 100 );
+  const ball = model.ballSystem.balls[ 0 ];
+  const wall = model.playArea.walls.get( 0 );
+  const radius = ball.radiusProperty.value;
+  const getCollisionTime = () => model.collisionEngine.getWallCollisionTime( ball, wall, Vector2.ZERO, 0 );
+
+  assert.ok( Math.abs( getCollisionTime() - ( 1 - radius ) ) < TOLERANCE, 'the face' );
+
+  // Above the Wall, the Ball collides with the end-point where the distance to its center equals its radius.
+  const offset = radius / 2;
+  ball.positionProperty.value = new Vector2( -1, 0.5 + offset );
+  assert.ok( Math.abs( getCollisionTime() - ( 1 - Math.sqrt( radius ** 2 - offset ** 2 ) ) ) < TOLERANCE,
+    'the end-point' );
+
+  ball.positionProperty.value = new Vector2( -1, 0.5 + radius * 1.1 );
+  assert.equal( getCollisionTime(), null, 'the Ball passes the Wall' );
+
+  ball.positionProperty.value = new Vector2( 1, 0 );
+  assert.equal( getCollisionTime(), null, 'the Ball moves away from the Wall' );
+} );
+
+QUnit.test( 'a Ball bounces off of a face with the elasticity', assert => {
+  const model = createModel( new Vector2( -1, 0 ), new Vector2( 0, -0.5 ), new Vector2( 0, 0.5 ), 50 );
+  const ball = model.ballSystem.balls[ 0 ];
+
+  const minGap = stepModel( model );
+
+  assert.ok( minGap > -TOLERANCE, `min gap between the Ball and the Wall: ${minGap}` );
+  assert.ok( ball.velocityProperty.value.equalsEpsilon( new Vector2( -0.5, 0 ), TOLERANCE ),
+    `the Ball bounces back with half of its speed: ${ball.velocityProperty.value}` );
+} );
+
+QUnit.test( 'a Ball reflects about the normal of a slanted Wall and reverses in time', assert => {
+  const position = new Vector2( -1, 0.1 );
+  const model = createModel( position, new Vector2( 0.4, -0.4 ), new Vector2( -0.4, 0.4 ), 100 );
+  const ball = model.ballSystem.balls[ 0 ];
+
+  const minGap = stepModel( model );
+
+  // The Wall is along y = -x, so a Ball that moves to the right is deflected downwards.
+  assert.ok( minGap > -TOLERANCE, `min gap between the Ball and the Wall: ${minGap}` );
+  assert.ok( ball.velocityProperty.value.equalsEpsilon( new Vector2( 0, -1 ), TOLERANCE ),
+    `the velocity is reflected about the normal: ${ball.velocityProperty.value}` );
+
+  while ( model.elapsedTimeProperty.value > 0 ) {
+    model.stepBackwards();
+  }
+  assert.ok( ball.positionProperty.value.equalsEpsilon( position, TOLERANCE ), 'the Ball returns to its position' );
+  assert.ok( ball.velocityProperty.value.equalsEpsilon( new Vector2( 1, 0 ), TOLERANCE ),
+    'the Ball returns to its velocity' );
+} );
@@ -0,0 +1,94 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * BallMaterialComboBox is a ComboBox sub-type that appears in the BallValuesPanel when 'More Data' is off. It allows
+ * the user to select the BallMaterial of a Ball, which changes the radius of the Ball and the elasticity of the pairs
+ * that the Ball is in.
+ *
+ * BallMaterialComboBoxes are created at the start of the sim and are never disposed.
+ *
+ * @author agent
+ */
+
+import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+import Ball from '../model/Ball.js';
+import BallMaterial from '../model/BallMaterial.js';
+import BallSystem from '../model/BallSystem.js';
+
+// Maps each BallMaterial to the label of its ComboBox item.
+const MATERIAL_TO_LABEL_MAP = new Map( [
+  [ BallMaterial.CUSTOM, CollisionLabStrings.custom ],
+  [ BallMaterial.STEEL, CollisionLabStrings.steel ],
+  [ BallMaterial.RUBBER, CollisionLabStrings.rubber ],
+  [ BallMaterial.WOOD, CollisionLabStrings.wood ],
+  [ BallMaterial.CLAY, CollisionLabStrings.clay ]
+] );
+
+class BallMaterialComboBox extends ComboBox {
+
+  /**
+   * @param {Ball} ball
+   * @param {BallSystem} ballSystem
+   * @param {Node} listParent - parent Node of the ComboBox's popup list.
+   * @param {Object} [options]
+   */
+  constructor( ball, ballSystem, listParent, options ) {
+    assert && assert( ball instanceof Ball, `invalid Ball: ${ball}` );
+    assert && assert( ballSystem instanceof BallSystem, `invalid ballSystem: ${ballSystem}` );
+    assert && assert( listParent instanceof Node, `invalid listParent: ${listParent}` );
+
+    options = merge( {
+
+      // super-class options
+      xMargin: 6,
+      yMargin: 2,
+      cornerRadius: 3
+
+    }, options );
+
+    //----------------------------------------------------------------------------------------
+
+    // Create the ComboBox items for each BallMaterial.
+    const items = BallMaterial.VALUES.map( material => {
+      return {
+        value: material,
+        createNode: () => new Text( MATERIAL_TO_LABEL_MAP.get( material ), {
+          font: CollisionLabConstants.DISPLAY_FONT,
+          maxWidth: 60 // constrain width for i18n, determined empirically
+        } )
+      };
+    } );
+
+    // Property of the material selected in the ComboBox. The ComboBox doesn't set the materialProperty of the Ball
+    // directly so that only materials selected by the user are treated as user-controlled. See the lazyLink below.
+    const selectedMaterialProperty = new EnumerationDeprecatedProperty( BallMaterial, ball.materialProperty.value );
+
+    super( selectedMaterialProperty, items, listParent, options );
+
+    //----------------------------------------------------------------------------------------
+
+    // Observe when the material of the Ball changes (for instance, when restarting) and update the ComboBox to match.
+    // Link is never disposed since BallMaterialComboBoxes are never disposed.
+    ball.materialProperty.link( material => { selectedMaterialProperty.value = material; } );
+
+    // Observe when the user selects a material and set the material of the Ball, setting the
+    // materialUserControlledProperty of the Ball to true while it changes. The Ball is bumped away from other Balls
+    // since its radius may have increased. Link is never disposed since BallMaterialComboBoxes are never disposed.
+    selectedMaterialProperty.lazyLink( material => {
+      if ( material !== ball.materialProperty.value ) {
+        ball.materialUserControlledProperty.value = true;
+        ball.materialProperty.value = material;
+        ballSystem.bumpBallAwayFromOthers( ball );
+        ball.materialUserControlledProperty.value = false;
+      }
+    } );
+  }
+}
+
+export default BallMaterialComboBox;
@@ -8,6 +8,7 @@
  *  - Creating a Circle that represents the visual Ball object with a label that displays its index.
  *  - Updating the Circle's center location when the Ball's position changes.
  *  - Updating the Circle's radius when the Ball's radius changes.
+ *  - Showing the spin of the Ball with a marker that rotates with the Ball.
  *  - Handling drag requests to change the position of the Ball and showing leader-lines.
  *  - Creating and positioning NumberDisplays for the speed and momentum values of the Ball.
  *  - Creating BallVectorNodes to allow the user to see/manipulate the momentum and velocity vectors of the Ball.
@@ -26,6 +27,7 @@ import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
 import Multilink from '../../../../axon/js/Multilink.js';
 import Range from '../../../../dot/js/Range.js';
 import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
 import Shape from '../../../../kite/js/Shape.js';
 import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
@@ -33,6 +35,7 @@ import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransfo
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import DragListener from '../../../../scenery/js/listeners/DragListener.js';
 import Circle from '../../../../scenery/js/nodes/Circle.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import Color from '../../../../scenery/js/util/Color.js';
@@ -61,7 +64,7 @@ class BallNode extends Node {
    * @param {Property.<boolean>} valuesVisibleProperty - indicates if the momentum and speed NumberDisplays are visible.
    * @param {Property.<boolean>} velocityVectorVisibleProperty - indicates if the velocity vector is visible.
    * @param {Property.<boolean>} momentumVectorVisibleProperty - indicates if the momentum vector is visible.
-   * @param {Property.<number>} elasticityPercentProperty - elasticity of all collisions as a percentage
+   * @param {Property.<number>} elasticityPercentProperty - elasticity of the Ball with the border, as a percentage
    * @param {Property.<boolean>} isPlayingProperty - indicates if simulation is playing or not.
    * @param {ModelViewTransform2} modelViewTransform
    * @param {Object} [options]
@@ -90,7 +93,7 @@ class BallNode extends Node {
     const fillProperty = new DerivedProperty( [ ball.massProperty, ballSystem.ballsConstantSizeProperty ],
       ( mass, isConstantSize ) => {
         const brightnessFactor = isConstantSize ? Utils.linear( MASS_RANGE.min, MASS_RANGE.max, 0.7, 0, mass ) : 0;
-        return CollisionLabColors.BALL_COLORS[ ball.index - 1 ].colorUtilsBrighter( brightnessFactor );
+        return CollisionLabColors.BALL_COLORS[ ( ball.index - 1 ) % CollisionLabColors.BALL_COLORS.length ].colorUtilsBrighter( brightnessFactor );
       } );
 
     //----------------------------------------------------------------------------------------
@@ -110,6 +113,17 @@ class BallNode extends Node {
       pickable: false
     } );
 
+    // Create the marker that shows the spin of the Ball, which is a radial line that rotates with the Ball. Only
+    // visible when the Ball is spinning. To be positioned later. DerivedProperty is never disposed since BallNodes are
+    // never disposed.
+    const spinMarker = new Line( 0, 0, 0, 0, {
+      stroke: Color.WHITE,
+      lineWidth: 2,
+      lineCap: 'round',
+      pickable: false,
+      visibleProperty: new DerivedProperty( [ ball.angularVelocityProperty ], angularVelocity => angularVelocity !== 0 )
+    } );
+
     // Create the Vector Node for the velocity vector of the Ball. To be positioned later.
     const velocityVectorNode = new BallVelocityVectorNode( ball,
       ball.playArea.dimension,
@@ -153,7 +167,7 @@ class BallNode extends Node {
     // of the PlayArea. This container is not translated so its local Bounds is the same as the parent bounds of the
     // BallCircle and Label. Note that this clip-area doesn't apply to any of the NumberDisplays or VectorNodes.
     const ballCircleAndLabelContainer = new Node( {
-      children: [ ballCircle, labelNode ],
+      children: [ ballCircle, spinMarker, labelNode ],
       clipArea: Shape.bounds( playAreaViewBounds )
     } );
 
@@ -271,6 +285,16 @@ class BallNode extends Node {
       labelNode.rotation = -rotation;
       labelNode.center = ballCircle.center;
     } );
+
+    // Observe when the position, radius, or rotation of the Ball changes and update the spinMarker, which extends from
+    // the center of the Ball to its edge. The rotation is negated since the y-axis is inverted in the view. Multilink
+    // persists for the lifetime of the simulation.
+    Multilink.multilink( [ ball.positionProperty, ball.radiusProperty, ball.rotationProperty ],
+      ( position, radius, rotation ) => {
+        const center = modelViewTransform.modelToViewPosition( position );
+        const edge = Vector2.createPolar( ballCircle.radius, -rotation ).add( center );
+        spinMarker.setLine( center.x, center.y, edge.x, edge.y );
+      } );
   }
 }
 
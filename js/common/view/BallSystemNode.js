@@ -8,6 +8,7 @@
  *   - BallNodes for each Ball in the system.
  *   - Displaying the Center of Mass.
  *   - PathsNode for all 'paths'.
+ *   - SpringBondNode for the spring that bonds a pair of Balls, if it is enabled.
  *
  * BallSystemNode takes advantage of the prepopulatedBalls in the BallSystem, which all Balls in the system must be
  * apart of. Instead of creating a BallNode each time a Ball is added to the system, it creates a BallNode for each
@@ -29,6 +30,7 @@ import PlayArea from '../model/PlayArea.js';
 import BallNode from './BallNode.js';
 import CenterOfMassNode from './CenterOfMassNode.js';
 import PathsNode from './PathsNode.js';
+import SpringBondNode from './SpringBondNode.js';
 
 class BallSystemNode extends Node {
 
@@ -82,7 +84,7 @@ class BallSystemNode extends Node {
         valuesVisibleProperty,
         velocityVectorVisibleProperty,
         momentumVectorVisibleProperty,
-        playArea.elasticityPercentProperty,
+        ballSystem.restitutionMatrix.getElasticityPercentProperty( ball, playArea ),
         isPlayingProperty,
         modelViewTransform );
 
@@ -122,11 +124,15 @@ class BallSystemNode extends Node {
       }
     );
 
+    // Create the SpringBondNode for the spring that bonds a pair of Balls, which is drawn behind the Balls.
+    const springBondNode = new SpringBondNode( playArea.springBond, ballSystem, modelViewTransform );
+
     //----------------------------------------------------------------------------------------
 
     // Set the children of this Node to the correct rendering order.
     this.children = [
       pathsNode,
+      springBondNode,
       ballNodeContainer,
       centerOfMassNode
     ];
@@ -13,6 +13,13 @@
  * If the "More Data" checkbox is not checked, the Panel only displays:
  *   - Masses of the Balls (kg).
  *   - Sliders to change the masses.
+ *   - ComboBoxes to change the materials of the Balls, if materials are included.
+ *   - The time (s) that each Ball explodes at, the energy (J) that its explosion releases, and the percent (%) of its
+ *     mass that goes to its first fragment, if explosions are included.
+ *   - The charges of the Balls (C), if charges are included.
+ *
+ * If the "Elasticity by Pair" checkbox is checked, the Panel instead displays the elasticity (%) of each Ball with the
+ * border and with every other Ball in the system, which is a view of the RestitutionMatrix.
  *
  * The Panel is built into columns using BallValuesPanelColumnNode. If the dimension of the PlayArea is 1D, the
  * y-component of the vectored BallValues described above are not included. Otherwise, each column of components are
@@ -23,6 +30,7 @@
  * @author Brandon Li
  */
 
+import Multilink from '../../../../axon/js/Multilink.js';
 import merge from '../../../../phet-core/js/merge.js';
 import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
@@ -55,13 +63,16 @@ class BallValuesPanel extends Panel {
   /**
    * @param {BallSystem} ballSystem - the system of Balls.
    * @param {Property.<boolean>} moreDataVisibleProperty - indicates if the "More Data" checkbox is checked.
+   * @param {Property.<boolean>} restitutionMatrixVisibleProperty - indicates if the "Elasticity by Pair" checkbox is
+   *                                                                checked.
    * @param {number} dimension - the dimension of the PlayArea.
    * @param {KeypadDialog} keypadDialog - KeypadDialog instance for the screen.
    * @param {Object} [options]
    */
-  constructor( ballSystem, moreDataVisibleProperty, dimension, keypadDialog, options ) {
+  constructor( ballSystem, moreDataVisibleProperty, restitutionMatrixVisibleProperty, dimension, keypadDialog, options ) {
     assert && assert( ballSystem instanceof BallSystem, `invalid ballSystem: ${ballSystem}` );
     assert && AssertUtils.assertPropertyOf( moreDataVisibleProperty, 'boolean' );
+    assert && AssertUtils.assertPropertyOf( restitutionMatrixVisibleProperty, 'boolean' );
     assert && assert( PlayArea.Dimension.includes( dimension ), `invalid dimension: ${dimension}` );
     assert && assert( keypadDialog instanceof KeypadDialog, `invalid keypadDialog: ${keypadDialog}` );
 
@@ -73,10 +84,23 @@ class BallValuesPanel extends Panel {
       titleLabelSpacing: 0.5,      // {number} - y-margin between the column groups and the title-labels above them.
 
       massTitleMaxWidth: 67,            // {number} - maxWidth for the 'Mass (kg)' title label, for i18n.
+      materialTitleMaxWidth: 80,        // {number} - maxWidth for the 'Material' title label, for i18n.
+      explosionTitleMaxWidth: 140,      // {number} - maxWidth for the 'Explosion' title label, for i18n.
+      chargeTitleMaxWidth: 80,          // {number} - maxWidth for the 'Charge (C)' title label, for i18n.
       componentGroupTitleMaxWidth: 140, // {number} - maxWidth for the title labels of component groups, for i18n.
 
       // {Font} - applied to all of the title-label Text instances
-      titleFont: CollisionLabConstants.PANEL_TITLE_FONT
+      titleFont: CollisionLabConstants.PANEL_TITLE_FONT,
+
+      // {Node|null} - parent Node of the popup lists of the ComboBoxes that change the material of each Ball. Null
+      //               indicates that the materials of the Balls are not included in the Panel.
+      materialComboBoxListParent: null,
+
+      // {boolean} - indicates if the explosion columns of each Ball are included in the Panel.
+      includeExplosions: false,
+
+      // {boolean} - indicates if the charge column of each Ball is included in the Panel.
+      includeCharges: false
 
     }, options );
 
@@ -106,6 +130,21 @@ class BallValuesPanel extends Panel {
       momentumColumnGroup.addChild( yMomentumColumnNode );
     }
 
+    // Create a ELASTICITY column for the border and for each possible Ball, which together display the RestitutionMatrix.
+    const elasticityColumnGroup = new HBox( { spacing: options.componentColumnsSpacing } );
+    [ ballSystem.playArea, ...ballSystem.prepopulatedBalls ].forEach( otherBody => {
+      const elasticityColumnNode = new BallValuesPanelColumnNode( ballSystem, BallValuesPanelColumnTypes.ELASTICITY, keypadDialog, {
+        otherBody: otherBody
+      } );
+      elasticityColumnGroup.addChild( elasticityColumnNode );
+
+      // Only show the columns of Balls that are in the system. Link is never removed since BallValuesPanels are never
+      // disposed.
+      otherBody !== ballSystem.playArea && ballSystem.balls.lengthProperty.link( () => {
+        elasticityColumnNode.visible = ballSystem.balls.includes( otherBody );
+      } );
+    } );
+
     //----------------------------------------------------------------------------------------
 
     // Convenience function to create the title-label that appears above each column group.
@@ -127,6 +166,7 @@ class BallValuesPanel extends Panel {
     const momentumTitleNode = createTitleLabel( CollisionLabStrings.momentum, CollisionLabStrings.units.kilogramMetersPerSecond );
     const positionTitleNode = createTitleLabel( CollisionLabStrings.position, CollisionLabStrings.units.meters );
     const velocityTitleNode = createTitleLabel( CollisionLabStrings.velocity, CollisionLabStrings.units.metersPerSecond );
+    const elasticityTitleNode = createTitleLabel( CollisionLabStrings.elasticity, CollisionLabStrings.units.percent );
 
     //----------------------------------------------------------------------------------------
 
@@ -148,6 +188,48 @@ class BallValuesPanel extends Panel {
     const positionSectionNode = createSectionNode( positionTitleNode, positionColumnGroup );
     const velocitySectionNode = createSectionNode( velocityTitleNode, velocityColumnGroup );
     const momentumSectionNode = createSectionNode( momentumTitleNode, momentumColumnGroup );
+    const elasticitySectionNode = createSectionNode( elasticityTitleNode, elasticityColumnGroup, false );
+
+    // Create the section of the material ComboBoxes, if it is included.
+    const lessDataChildren = [ new Node( { children: [ massSectionNode ] } ), massSlidersColumnNode ];
+    if ( options.materialComboBoxListParent ) {
+      const materialsColumnNode = new BallValuesPanelColumnNode( ballSystem, BallValuesPanelColumnTypes.BALL_MATERIALS, keypadDialog, {
+        comboBoxListParent: options.materialComboBoxListParent
+      } );
+      const materialTitleNode = TITLE_ALIGN_GROUP.createBox( new Text( CollisionLabStrings.material, {
+        font: options.titleFont,
+        maxWidth: options.materialTitleMaxWidth
+      } ) );
+
+      lessDataChildren.push( createSectionNode( materialTitleNode, materialsColumnNode, false ) );
+    }
+
+    // Create the section of the explosion columns, if it is included.
+    if ( options.includeExplosions ) {
+      const explosionColumnGroup = new HBox( {
+        children: [
+          BallValuesPanelColumnTypes.EXPLOSION_TIME,
+          BallValuesPanelColumnTypes.EXPLOSION_ENERGY,
+          BallValuesPanelColumnTypes.EXPLOSION_MASS_SPLIT
+        ].map( columnType => new BallValuesPanelColumnNode( ballSystem, columnType, keypadDialog ) ),
+        spacing: options.componentColumnsSpacing
+      } );
+      const explosionTitleNode = TITLE_ALIGN_GROUP.createBox( new Text( CollisionLabStrings.explosion, {
+        font: options.titleFont,
+        maxWidth: options.explosionTitleMaxWidth
+      } ) );
+
+      lessDataChildren.push( createSectionNode( explosionTitleNode, explosionColumnGroup, false ) );
+    }
+
+    // Create the section of the charge column, if it is included.
+    if ( options.includeCharges ) {
+      const chargeColumnNode = new BallValuesPanelColumnNode( ballSystem, BallValuesPanelColumnTypes.CHARGE, keypadDialog );
+      const chargeTitleNode = createTitleLabel( CollisionLabStrings.charge, CollisionLabStrings.units.coulombs,
+        options.chargeTitleMaxWidth );
+
+      lessDataChildren.push( createSectionNode( chargeTitleNode, chargeColumnNode, false ) );
+    }
 
     //----------------------------------------------------------------------------------------
 
@@ -165,24 +247,29 @@ class BallValuesPanel extends Panel {
 
     // The content of the entire Panel when "More Data" is not checked.
     const lessDataBox = new HBox( {
-      children: [
-        new Node( { children: [ massSectionNode ] } ),
-        massSlidersColumnNode
-      ],
+      children: lessDataChildren,
+      spacing: options.columnGroupSpacing,
+      align: 'bottom'
+    } );
+
+    // The content of the entire Panel when "Elasticity by Pair" is checked.
+    const elasticityBox = new HBox( {
+      children: [ new Node( { children: [ massSectionNode ] } ), elasticitySectionNode ],
       spacing: options.columnGroupSpacing,
       align: 'bottom'
     } );
 
-    // Observe when the moreDataVisibleProperty changes and update the visibility of the content of the Panel.
-    // Link is not removed since BallValuesPanels are never disposed.
-    moreDataVisibleProperty.link( moreDataVisible => {
-      moreDataBox.visible = moreDataVisible;
-      lessDataBox.visible = !moreDataVisible;
+    // Observe when the moreDataVisibleProperty or restitutionMatrixVisibleProperty changes and update the visibility of
+    // the content of the Panel. Multilink is not disposed since BallValuesPanels are never disposed.
+    Multilink.multilink( [ moreDataVisibleProperty, restitutionMatrixVisibleProperty ], ( moreDataVisible, restitutionMatrixVisible ) => {
+      moreDataBox.visible = moreDataVisible && !restitutionMatrixVisible;
+      lessDataBox.visible = !moreDataVisible && !restitutionMatrixVisible;
+      elasticityBox.visible = restitutionMatrixVisible;
     } );
 
     super( new HBox( {
       spacing: options.ballIconColumnSpacing,
-      children: [ ballIconsColumnNode, moreDataBox, lessDataBox ],
+      children: [ ballIconsColumnNode, moreDataBox, lessDataBox, elasticityBox ],
       align: 'bottom'
     } ), options );
   }
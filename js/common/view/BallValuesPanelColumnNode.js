@@ -2,8 +2,8 @@
 
 /**
  * A single column in the BallValuesPanel: usually displays a column of NumberDisplays of a single type of Ball Values
- * for all the Balls in the system, but also displays some other components, like Ball icons or Mass sliders. See
- * BallValuesPanelColumnTypes for and exhaustive list of all types of columns.
+ * for all the Balls in the system, but also displays some other components, like Ball icons, Mass sliders, or Material
+ * ComboBoxes. See BallValuesPanelColumnTypes for and exhaustive list of all types of columns.
  *
  * Each column has:
  *   - Content Nodes - these are the main content Nodes of the column (the NumberDisplays, ball icons, etc.).
@@ -25,12 +25,14 @@ import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import KeypadDialog from '../../../../scenery-phet/js/keypad/KeypadDialog.js';
 import AlignGroup from '../../../../scenery/js/layout/constraints/AlignGroup.js';
 import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
 import RichText from '../../../../scenery/js/nodes/RichText.js';
 import CollisionLabStrings from '../../CollisionLabStrings.js';
 import CollisionLabConstants from '../CollisionLabConstants.js';
 import Ball from '../model/Ball.js';
 import BallSystem from '../model/BallSystem.js';
 import BallMassSlider from './BallMassSlider.js';
+import BallMaterialComboBox from './BallMaterialComboBox.js';
 import BallValuesPanelColumnTypes from './BallValuesPanelColumnTypes.js';
 import BallValuesPanelNumberDisplay from './BallValuesPanelNumberDisplay.js';
 import CollisionLabIconFactory from './CollisionLabIconFactory.js';
@@ -59,10 +61,24 @@ class BallValuesPanelColumnNode extends VBox {
       contentContainerSpacing: 3.5,
 
       // {number} - y-spacing between the label and first content Node.
-      labelSpacing: 3
+      labelSpacing: 3,
+
+      // {Ball|PlayArea|null} - the other body of each pair for ELASTICITY columns. Must be null for other columns.
+      otherBody: null,
+
+      // {Node|null} - parent Node of the ComboBox popup lists for BALL_MATERIALS columns. Must be null otherwise.
+      comboBoxListParent: null
 
     }, options );
 
+    assert && assert( ( columnType === BallValuesPanelColumnTypes.ELASTICITY ) === ( options.otherBody !== null ),
+      'otherBody must be provided for ELASTICITY columns only' );
+    assert && assert( ( columnType === BallValuesPanelColumnTypes.BALL_MATERIALS ) === ( options.comboBoxListParent !== null ),
+      'comboBoxListParent must be provided for BALL_MATERIALS columns only' );
+    const otherBody = options.otherBody;
+    const comboBoxListParent = options.comboBoxListParent;
+    options = _.omit( options, [ 'otherBody', 'comboBoxListParent' ] );
+
     // Set the spacing super-class option.
     assert && assert( !options.spacing, 'BallValuesPanelColumnNode sets spacing' );
     assert && assert( !options.children, 'BallValuesPanelColumnNode sets children' );
@@ -71,7 +87,7 @@ class BallValuesPanelColumnNode extends VBox {
     //----------------------------------------------------------------------------------------
 
     // Create the Label Node. See the comment at the top of this file for context.
-    const labelNode = new RichText( BallValuesPanelColumnNode.getLabelString( columnType ), {
+    const labelNode = new RichText( BallValuesPanelColumnNode.getLabelString( columnType, otherBody ), {
       font: CollisionLabConstants.DISPLAY_FONT,
       maxWidth: 25 // constrain width for i18n, determined empirically
     } );
@@ -85,7 +101,8 @@ class BallValuesPanelColumnNode extends VBox {
     ballSystem.prepopulatedBalls.forEach( ball => {
 
       // Create the corresponding contentNode for each prepopulatedBall.
-      const contentNode = BallValuesPanelColumnNode.createContentNode( ball, columnType, ballSystem, keypadDialog );
+      const contentNode = BallValuesPanelColumnNode.createContentNode( ball, columnType, ballSystem, keypadDialog,
+        otherBody, comboBoxListParent );
 
       // Add the content to the container.
       contentContainer.addChild( contentNode );
@@ -111,9 +128,11 @@ class BallValuesPanelColumnNode extends VBox {
    * @param {BallValuesPanelColumnTypes} columnType
    * @param {BallSystem} ballSystem - the system of Balls.
    * @param {KeypadDialog} keypadDialog - KeypadDialog instance for the screen.
+   * @param {Ball|PlayArea|null} otherBody - the other body of the pair for ELASTICITY columns.
+   * @param {Node|null} comboBoxListParent - parent Node of the ComboBox popup lists for BALL_MATERIALS columns.
    * @returns {Node}
    */
-  static createContentNode( ball, columnType, ballSystem, keypadDialog ) {
+  static createContentNode( ball, columnType, ballSystem, keypadDialog, otherBody, comboBoxListParent ) {
     assert && assert( ball instanceof Ball, `invalid ball: ${ball}` );
     assert && assert( BallValuesPanelColumnTypes.includes( columnType ), `invalid columnType: ${columnType}` );
     assert && assert( ballSystem instanceof BallSystem, `invalid ballSystem: ${ballSystem}` );
@@ -128,8 +147,18 @@ class BallValuesPanelColumnNode extends VBox {
     else if ( columnType === BallValuesPanelColumnTypes.MASS_SLIDERS ) {
       contentNode = new BallMassSlider( ball, ballSystem );
     }
+    else if ( columnType === BallValuesPanelColumnTypes.BALL_MATERIALS ) {
+      contentNode = new BallMaterialComboBox( ball, ballSystem, comboBoxListParent );
+    }
+    else if ( columnType === BallValuesPanelColumnTypes.ELASTICITY && ball === otherBody ) {
+
+      // A Ball doesn't collide with itself, so the diagonal of the RestitutionMatrix is left empty.
+      contentNode = new Node();
+    }
     else {
-      contentNode = new BallValuesPanelNumberDisplay( ball, columnType, ballSystem, keypadDialog );
+      contentNode = new BallValuesPanelNumberDisplay( ball, columnType, ballSystem, keypadDialog, {
+        otherBody: otherBody
+      } );
     }
 
     // Wrap the contentNode in a AlignBox to match the height of all ContentNodes.
@@ -142,9 +171,10 @@ class BallValuesPanelColumnNode extends VBox {
    * @private
    *
    * @param {BallValuesPanelColumnTypes} columnType
+   * @param {Ball|PlayArea|null} otherBody - the other body of the pair for ELASTICITY columns.
    * @returns {string} - label to display. May use inlined HTML.
    */
-  static getLabelString( columnType ) {
+  static getLabelString( columnType, otherBody ) {
     assert && assert( BallValuesPanelColumnTypes.includes( columnType ), `invalid columnType: ${columnType}` );
 
     // Convenience function that gets the label for a component BallValuesPanelColumnType.
@@ -153,6 +183,12 @@ class BallValuesPanelColumnNode extends VBox {
       symbol2: component
     } );
 
+    // Convenience function that gets the label for a BallValuesPanelColumnType with units, like 't (s)'.
+    const getUnitsLabel = ( label, units ) => StringUtils.fillIn( CollisionLabStrings.pattern.labelParenthesesUnits, {
+      label: label,
+      units: units
+    } );
+
     if ( columnType === BallValuesPanelColumnTypes.X_POSITION ) {
       return CollisionLabStrings.symbol.x;
     }
@@ -171,6 +207,22 @@ class BallValuesPanelColumnNode extends VBox {
     else if ( columnType === BallValuesPanelColumnTypes.Y_MOMENTUM ) {
       return getComponentLabel( CollisionLabStrings.symbol.momentum, CollisionLabStrings.symbol.y );
     }
+    else if ( columnType === BallValuesPanelColumnTypes.ELASTICITY ) {
+
+      // Label the column with the index of the other Ball, or with 'Border' for ball-border pairs.
+      return otherBody instanceof Ball ? `${otherBody.index}` : CollisionLabStrings.border;
+    }
+    else if ( columnType === BallValuesPanelColumnTypes.EXPLOSION_TIME ) {
+      return getUnitsLabel( CollisionLabStrings.symbol.time, CollisionLabStrings.units.seconds );
+    }
+    else if ( columnType === BallValuesPanelColumnTypes.EXPLOSION_ENERGY ) {
+      return getUnitsLabel( CollisionLabStrings.symbol.energy, CollisionLabStrings.units.joules );
+    }
+    else if ( columnType === BallValuesPanelColumnTypes.EXPLOSION_MASS_SPLIT ) {
+
+      // Label the column with the mass of the first fragment, m_1.
+      return getUnitsLabel( getComponentLabel( CollisionLabStrings.symbol.mass, '1' ), CollisionLabStrings.units.percent );
+    }
     else {
       // At this point, the column doesn't have a specific label, so return the empty string.
       return '';
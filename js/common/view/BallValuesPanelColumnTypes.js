@@ -10,6 +10,7 @@
  */
 
 import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Utils from '../../../../dot/js/Utils.js';
 import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecated.js';
 import CollisionLabStrings from '../../CollisionLabStrings.js';
 import CollisionLabConstants from '../CollisionLabConstants.js';
@@ -19,9 +20,10 @@ import BallUtils from '../model/BallUtils.js';
 class BallValuesPanelColumnType {
 
   /**
-   * @param {function(ball: Ball):Property.<number>|null} createDisplayProperty - Function that gets a Property that is
-   *   displayed in the NumberDisplays in the column. Null means that there is no Property displayed. This function is
-   *   called ONCE at the start of the sim.
+   * @param {function(ball: Ball, ballSystem: BallSystem, otherBody: Ball|PlayArea|null):Property.<number>|null}
+   *   createDisplayProperty - Function that gets a Property that is displayed in the NumberDisplays in the column. Null
+   *   means that there is no Property displayed. This function is called ONCE at the start of the sim. The otherBody
+   *   is only provided for columns that display a value of a pair of bodies (see ELASTICITY).
    *
    * @param {Object|null} editConfig - contains information on how a Ball is edited if a NumberDisplay in this
    *                                   column 'type' is pressed. Null means the column is not editable in any way.
@@ -29,10 +31,10 @@ class BallValuesPanelColumnType {
    * {
    *
    *    // Function that edits a value of a Ball via Keypad.
-   *    editValue: {function(ball: Ball, value: number)},
+   *    editValue: {function(ball: Ball, value: number, ballSystem: BallSystem, otherBody: Ball|PlayArea|null)},
    *
    *    // Gets the range in which the value can be edited.
-   *    getEditingRange: {function(ball: Ball):Range},
+   *    getEditingRange: {function(ball: Ball, ballSystem: BallSystem):Range},
    *
    *    // The unit associated with the column type.
    *    editingUnit: {string},
@@ -73,6 +75,9 @@ const BallValuesPanelColumnTypes = EnumerationDeprecated.byMap( {
     getUserControlledProperty: _.property( 'massUserControlledProperty' )
   } ),
 
+  // Column of ComboBoxes to change the material of a Ball. Only shown when 'More Data' is unchecked.
+  BALL_MATERIALS: new BallValuesPanelColumnType( null, null ),
+
   // Column of x-position NumberDisplays. Editable by the user.
   X_POSITION: new BallValuesPanelColumnType( ball => new DerivedProperty( [ ball.positionProperty ], _.property( 'x' ) ), {
     editValue: ( ball, xPosition ) => ball.setXPosition( xPosition ),
@@ -109,7 +114,55 @@ const BallValuesPanelColumnTypes = EnumerationDeprecated.byMap( {
   X_MOMENTUM: new BallValuesPanelColumnType( ball => new DerivedProperty( [ ball.momentumProperty ], _.property( 'x' ) ), null ),
 
   // Column of y-momentum NumberDisplays. NOT editable by the user and shown for 2D screens only.
-  Y_MOMENTUM: new BallValuesPanelColumnType( ball => new DerivedProperty( [ ball.momentumProperty ], _.property( 'y' ) ), null )
+  Y_MOMENTUM: new BallValuesPanelColumnType( ball => new DerivedProperty( [ ball.momentumProperty ], _.property( 'y' ) ), null ),
+
+  // Column of elasticity NumberDisplays of the Ball with another body (a Ball or the border), which is provided to the
+  // column. Editable by the user and shown only when the elasticity of every pair is visible.
+  ELASTICITY: new BallValuesPanelColumnType( ( ball, ballSystem, otherBody ) => {
+    return ballSystem.restitutionMatrix.getElasticityPercentProperty( ball, otherBody );
+  }, {
+    editValue: ( ball, elasticityPercent, ballSystem, otherBody ) => {
+      ballSystem.restitutionMatrix.getElasticityPercentProperty( ball, otherBody ).value = Utils.roundSymmetric( elasticityPercent );
+    },
+    getEditingRange: ( ball, ballSystem ) => ballSystem.restitutionMatrix.elasticityPercentRange,
+    editingUnit: CollisionLabStrings.units.percent,
+    getUserControlledProperty: _.property( 'elasticityUserControlledProperty' )
+  } ),
+
+  // Column of NumberDisplays of the elapsed time that each Ball explodes at. Editable by the user, where editing the
+  // time to 0 means that the Ball doesn't explode. Shown only when explosions are included.
+  EXPLOSION_TIME: new BallValuesPanelColumnType( _.property( 'explosionTimeProperty' ), {
+    editValue: ( ball, explosionTime ) => { ball.explosionTimeProperty.value = explosionTime > 0 ? explosionTime : null; },
+    getEditingRange: () => CollisionLabConstants.EXPLOSION_TIME_RANGE,
+    editingUnit: CollisionLabStrings.units.seconds,
+    getUserControlledProperty: _.property( 'explosionUserControlledProperty' )
+  } ),
+
+  // Column of NumberDisplays of the kinetic energy released when each Ball explodes. Editable by the user and shown
+  // only when explosions are included.
+  EXPLOSION_ENERGY: new BallValuesPanelColumnType( _.property( 'explosionEnergyProperty' ), {
+    editValue: ( ball, explosionEnergy ) => { ball.explosionEnergyProperty.value = explosionEnergy; },
+    getEditingRange: () => CollisionLabConstants.EXPLOSION_ENERGY_RANGE,
+    editingUnit: CollisionLabStrings.units.joules,
+    getUserControlledProperty: _.property( 'explosionUserControlledProperty' )
+  } ),
+
+  // Column of NumberDisplays of the percent of the mass of each Ball that goes to its first fragment when it explodes.
+  // Editable by the user and shown only when explosions are included.
+  EXPLOSION_MASS_SPLIT: new BallValuesPanelColumnType( _.property( 'explosionMassSplitProperty' ), {
+    editValue: ( ball, massSplit ) => { ball.explosionMassSplitProperty.value = Utils.roundSymmetric( massSplit ); },
+    getEditingRange: () => CollisionLabConstants.EXPLOSION_MASS_SPLIT_RANGE,
+    editingUnit: CollisionLabStrings.units.percent,
+    getUserControlledProperty: _.property( 'explosionUserControlledProperty' )
+  } ),
+
+  // Column of NumberDisplays of the charge of each Ball. Editable by the user and shown only when charges are included.
+  CHARGE: new BallValuesPanelColumnType( _.property( 'chargeProperty' ), {
+    editValue: ( ball, charge ) => { ball.chargeProperty.value = charge; },
+    getEditingRange: () => CollisionLabConstants.CHARGE_RANGE,
+    editingUnit: CollisionLabStrings.units.coulombs,
+    getUserControlledProperty: _.property( 'chargeUserControlledProperty' )
+  } )
 
 } );
 
@@ -60,9 +60,6 @@ class BallValuesPanelNumberDisplay extends NumberDisplay {
     // Indicates if the Ball Property can be edited.
     const canEdit = columnType.editConfig !== null;
 
-    // Gets the property of the Ball that is associated with the BallValuesPanelColumnType.
-    const ballProperty = columnType.createDisplayProperty( ball );
-
     options = merge( {
       align: 'center',
       textOptions: {
@@ -74,11 +71,20 @@ class BallValuesPanelNumberDisplay extends NumberDisplay {
       backgroundLineWidth: 0.5,
       yMargin: 3,
       xMargin: 10,
-      decimalPlaces: CollisionLabConstants.DISPLAY_DECIMAL_PLACES
+      decimalPlaces: columnType === BallValuesPanelColumnTypes.ELASTICITY ||
+                     columnType === BallValuesPanelColumnTypes.EXPLOSION_MASS_SPLIT ? 0 : CollisionLabConstants.DISPLAY_DECIMAL_PLACES,
+
+      // {Ball|PlayArea|null} - the other body of the pair for ELASTICITY columns.
+      otherBody: null
     }, options );
 
     const decimalPlaces = options.decimalPlaces;
-    options = _.omit( options, [ 'decimalPlaces' ] );
+    const otherBody = options.otherBody;
+    options = _.omit( options, [ 'decimalPlaces', 'otherBody' ] );
+
+    // Gets the property of the Ball that is associated with the BallValuesPanelColumnType.
+    const ballProperty = columnType.createDisplayProperty( ball, ballSystem, otherBody );
+
     options.numberFormatter = value => {
       let numberString = Utils.toFixed( value, decimalPlaces );
 
@@ -115,7 +121,7 @@ class BallValuesPanelNumberDisplay extends NumberDisplay {
 
       // Get the unit displayed when the user is editing the BallProperty.
       const unit = columnType.editConfig.editingUnit;
-      const editValue = value => columnType.editConfig.editValue( ball, value );
+      const editValue = value => columnType.editConfig.editValue( ball, value, ballSystem, otherBody );
 
       // Observe when the user presses the NumberDisplay and open the KeypadDialog to allow the user to edit the
       // ballProperty. Listener is never removed since BallValuesPanelNumberDisplays are never disposed.
@@ -126,7 +132,7 @@ class BallValuesPanelNumberDisplay extends NumberDisplay {
           userControlledProperty.value = true;
 
           // Get the editing Range of the BallProperty. Must be recomputed every time the KeypadDialog is opened.
-          const editingRange = columnType.editConfig.getEditingRange( ball );
+          const editingRange = columnType.editConfig.getEditingRange( ball, ballSystem );
 
           keypadDialog.beginEdit( editValue, editingRange, new PatternStringProperty( CollisionLabStrings.pattern.rangeStringProperty, {
             units: unit || ''
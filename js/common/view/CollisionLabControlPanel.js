@@ -11,6 +11,16 @@
  *    - change in momentum Checkbox
  *    - path Checkbox
  *    - reflecting border Checkbox
+ *    - periodic border Checkbox
+ *    - table friction and drag Checkboxes
+ *    - gravity Checkbox and GravityControl
+ *    - spring bond Checkbox and SpringBondControl
+ *    - mutual gravity Checkbox and MutualGravityNumberControl
+ *    - charges Checkbox
+ *    - magnetic field Checkbox and MagneticFieldNumberControl
+ *    - Contact Friction Number Control
+ *    - Peg toolbox
+ *    - Wall controls
  *
  * Since many screens have similar control-panels, this was implemented to work generally for all screens, but can be
  * subclassed to add extra components that are specific to a screen. It also contains an options API to un-include
@@ -28,10 +38,22 @@ import Color from '../../../../scenery/js/util/Color.js';
 import Panel from '../../../../sun/js/Panel.js';
 import CollisionLabStrings from '../../CollisionLabStrings.js';
 import CollisionLabConstants from '../CollisionLabConstants.js';
+import MagneticField from '../model/MagneticField.js';
+import MutualGravity from '../model/MutualGravity.js';
+import SpringBond from '../model/SpringBond.js';
+import TableFriction from '../model/TableFriction.js';
+import UniformGravity from '../model/UniformGravity.js';
 import CollisionLabCheckbox from './CollisionLabCheckbox.js';
 import CollisionLabIconFactory from './CollisionLabIconFactory.js';
 import CollisionLabViewProperties from './CollisionLabViewProperties.js';
+import ContactFrictionNumberControl from './ContactFrictionNumberControl.js';
 import ElasticityNumberControl from './ElasticityNumberControl.js';
+import GravityControl from './GravityControl.js';
+import MagneticFieldNumberControl from './MagneticFieldNumberControl.js';
+import MutualGravityNumberControl from './MutualGravityNumberControl.js';
+import PegToolboxNode from './PegToolboxNode.js';
+import SpringBondControl from './SpringBondControl.js';
+import WallControl from './WallControl.js';
 
 class CollisionLabControlPanel extends Panel {
 
@@ -66,14 +88,62 @@ class CollisionLabControlPanel extends Panel {
       // {boolean} - indicates if the reflecting border checkbox is included.
       includeReflectingBorderCheckbox: true,
 
+      // {Property.<boolean>|null} - indicates if the border of the PlayArea is periodic. If provided, the 'Periodic
+      //                             Border' Checkbox is included.
+      periodicBorderProperty: null,
+
       // {boolean} - indicates if the 'Path' checkbox is included.
       includePathCheckbox: true,
 
-      // {boolean} - indicates if the 'Elasticity' NumberControl is included.
+      // {boolean} - indicates if the 'Elasticity' NumberControl and 'Elasticity by Pair' Checkbox are included.
       includeElasticityNumberControl: true,
 
       // {Object} - passed to the ElasticityNumberControl, if it is included.
-      elasticityNumberControlOptions: null
+      elasticityNumberControlOptions: null,
+
+      // {boolean} - indicates if the 'Constant Size' Checkbox is included.
+      includeConstantSizeCheckbox: true,
+
+      // {TableFriction|null} - the friction of the PlayArea's surface. If provided, the 'Table Friction' and 'Drag'
+      //                        Checkboxes are included.
+      tableFriction: null,
+
+      // {UniformGravity|null} - the gravitational field of the PlayArea. If provided, the 'Gravity' Checkbox and the
+      //                         GravityControl are included.
+      uniformGravity: null,
+
+      // {Property.<number>|null} - the coefficient of friction of ball-ball contacts. If provided, the 'Contact Friction'
+      //                            NumberControl is included.
+      contactFrictionProperty: null,
+
+      // {Property.<boolean>|null} - indicates if ball-ball collisions stick. If provided, the 'Sticky Collisions'
+      //                             Checkbox is included.
+      stickyCollisionsProperty: null,
+
+      // {SpringBond|null} - the spring that bonds a pair of Balls. If provided, the 'Spring Bond' Checkbox and the
+      //                     SpringBondControl are included.
+      springBond: null,
+
+      // {MutualGravity|null} - the mutual gravitational attraction of the Balls. If provided, the 'Mutual Gravity'
+      //                        Checkbox and the MutualGravityNumberControl are included.
+      mutualGravity: null,
+
+      // {Property.<boolean>|null} - indicates if charged Balls exert forces on each other. If provided, the 'Charges'
+      //                             Checkbox is included.
+      chargesEnabledProperty: null,
+
+      // {MagneticField|null} - the magnetic field of the PlayArea. If provided, the 'Magnetic Field' Checkbox and the
+      //                        MagneticFieldNumberControl are included.
+      magneticField: null,
+
+      // {PegToolboxNode|null} - the toolbox of the Pegs of the PlayArea. If provided, it is included.
+      pegToolboxNode: null,
+
+      // {WallControl|null} - the controls of the Walls of the PlayArea. If provided, it is included.
+      wallControl: null,
+
+      // {Node|null} - parent Node of the popup lists of ComboBoxes. Required if springBond is provided.
+      comboBoxListParent: null
 
     }, options );
 
@@ -143,6 +213,18 @@ class CollisionLabControlPanel extends Panel {
       contentNode.addChild( reflectingBorderCheckbox );
     }
 
+    // Add the periodic border Checkbox if it is included.
+    if ( options.periodicBorderProperty ) {
+      assert && AssertUtils.assertPropertyOf( options.periodicBorderProperty, 'boolean' );
+
+      // 'Periodic Border' Checkbox. Checking it un-checks the 'Reflecting Border' Checkbox, see PlayArea.
+      const periodicBorderCheckbox = new CollisionLabCheckbox( options.periodicBorderProperty,
+        CollisionLabStrings.periodicBorder );
+
+      // Add the Periodic Border Checkbox after the Reflecting Border Checkbox.
+      contentNode.addChild( periodicBorderCheckbox );
+    }
+
     // Add the path Checkbox if it is included.
     if ( options.includePathCheckbox ) {
 
@@ -153,7 +235,57 @@ class CollisionLabControlPanel extends Panel {
       contentNode.addChild( pathCheckbox );
     }
 
-    contentNode.addChild( hSeparator );
+    // Add the table friction Checkboxes if they are included.
+    if ( options.tableFriction ) {
+      assert && assert( options.tableFriction instanceof TableFriction, `invalid tableFriction: ${options.tableFriction}` );
+
+      // 'Table Friction' Checkbox
+      const tableFrictionCheckbox = new CollisionLabCheckbox( options.tableFriction.isEnabledProperty,
+        CollisionLabStrings.tableFriction );
+
+      // 'Drag' Checkbox, which is only enabled when the table has friction.
+      const dragCheckbox = new CollisionLabCheckbox( options.tableFriction.isDragEnabledProperty,
+        CollisionLabStrings.drag, {
+          enabledProperty: options.tableFriction.isEnabledProperty
+        } );
+
+      // Add the table friction Checkboxes before the horizontal line separator.
+      contentNode.addChild( tableFrictionCheckbox );
+      contentNode.addChild( dragCheckbox );
+    }
+
+    // Add the gravity Checkbox and GravityControl if they are included.
+    if ( options.uniformGravity ) {
+      assert && assert( options.uniformGravity instanceof UniformGravity, `invalid uniformGravity: ${options.uniformGravity}` );
+
+      // 'Gravity' Checkbox
+      const gravityCheckbox = new CollisionLabCheckbox( options.uniformGravity.isEnabledProperty, CollisionLabStrings.gravity );
+
+      // Add the gravity controls before the horizontal line separator.
+      contentNode.addChild( gravityCheckbox );
+      contentNode.addChild( new GravityControl( options.uniformGravity ) );
+    }
+
+    // Add the Peg toolbox if it is included.
+    if ( options.pegToolboxNode ) {
+      assert && assert( options.pegToolboxNode instanceof PegToolboxNode, `invalid pegToolboxNode: ${options.pegToolboxNode}` );
+
+      // Add the Peg toolbox before the horizontal line separator.
+      contentNode.addChild( options.pegToolboxNode );
+    }
+
+    // Add the Wall controls if they are included.
+    if ( options.wallControl ) {
+      assert && assert( options.wallControl instanceof WallControl, `invalid wallControl: ${options.wallControl}` );
+
+      // Add the Wall controls before the horizontal line separator.
+      contentNode.addChild( options.wallControl );
+    }
+
+    // Add the horizontal line separator if there are controls below it.
+    if ( options.includeElasticityNumberControl || options.contactFrictionProperty || options.includeConstantSizeCheckbox ) {
+      contentNode.addChild( hSeparator );
+    }
 
     // Add the 'Elasticity' NumberControl if it is included.
     if ( options.includeElasticityNumberControl ) {
@@ -163,9 +295,59 @@ class CollisionLabControlPanel extends Panel {
 
       // Add the 'Elasticity' NumberControl after the horizontal line separator.
       contentNode.addChild( elasticityNumberControl );
+
+      // 'Elasticity by Pair' Checkbox, which shows the elasticity of every pair of bodies in the BallValuesPanel.
+      const restitutionMatrixCheckbox = new CollisionLabCheckbox( viewProperties.restitutionMatrixVisibleProperty,
+        CollisionLabStrings.elasticityByPair );
+
+      // Add the 'Elasticity by Pair' Checkbox after the 'Elasticity' NumberControl.
+      contentNode.addChild( restitutionMatrixCheckbox );
+    }
+
+    // Add the 'Contact Friction' NumberControl if it is included.
+    if ( options.contactFrictionProperty ) {
+      contentNode.addChild( new ContactFrictionNumberControl( options.contactFrictionProperty ) );
+    }
+
+    // Add the 'Sticky Collisions' Checkbox if it is included.
+    if ( options.stickyCollisionsProperty ) {
+      assert && AssertUtils.assertPropertyOf( options.stickyCollisionsProperty, 'boolean' );
+
+      contentNode.addChild( new CollisionLabCheckbox( options.stickyCollisionsProperty, CollisionLabStrings.stickyCollisions ) );
+    }
+
+    // Add the 'Spring Bond' Checkbox and SpringBondControl if they are included.
+    if ( options.springBond ) {
+      assert && assert( options.springBond instanceof SpringBond, `invalid springBond: ${options.springBond}` );
+
+      contentNode.addChild( new CollisionLabCheckbox( options.springBond.isEnabledProperty, CollisionLabStrings.springBond ) );
+      contentNode.addChild( new SpringBondControl( options.springBond, options.comboBoxListParent ) );
+    }
+
+    // Add the 'Mutual Gravity' Checkbox and MutualGravityNumberControl if they are included.
+    if ( options.mutualGravity ) {
+      assert && assert( options.mutualGravity instanceof MutualGravity, `invalid mutualGravity: ${options.mutualGravity}` );
+
+      contentNode.addChild( new CollisionLabCheckbox( options.mutualGravity.isEnabledProperty, CollisionLabStrings.mutualGravity ) );
+      contentNode.addChild( new MutualGravityNumberControl( options.mutualGravity ) );
+    }
+
+    // Add the 'Charges' Checkbox if it is included.
+    if ( options.chargesEnabledProperty ) {
+      assert && AssertUtils.assertPropertyOf( options.chargesEnabledProperty, 'boolean' );
+
+      contentNode.addChild( new CollisionLabCheckbox( options.chargesEnabledProperty, CollisionLabStrings.charges ) );
+    }
+
+    // Add the 'Magnetic Field' Checkbox and MagneticFieldNumberControl if they are included.
+    if ( options.magneticField ) {
+      assert && assert( options.magneticField instanceof MagneticField, `invalid magneticField: ${options.magneticField}` );
+
+      contentNode.addChild( new CollisionLabCheckbox( options.magneticField.isEnabledProperty, CollisionLabStrings.magneticField ) );
+      contentNode.addChild( new MagneticFieldNumberControl( options.magneticField ) );
     }
 
-    contentNode.addChild( this.constantSizeCheckbox );
+    options.includeConstantSizeCheckbox && contentNode.addChild( this.constantSizeCheckbox );
 
     // Apply additional Bounds mutators.
     this.mutate( options );
@@ -101,6 +101,24 @@ const CollisionLabIconFactory = {
     ] );
   },
 
+  /**
+   * Creates the icon for the 'Ideal Gas' Screen, which is a handful of small Balls flying in different directions.
+   * @public
+   *
+   * @returns {ScreenIcon}
+   */
+  createIdealGasScreenIcon() {
+    const mass = 0.1;
+
+    return createScreenIcon( [
+      new BallState( new Vector2( -1, -0.3 ), new Vector2( 0.5, 0.4 ), mass ),
+      new BallState( new Vector2( -0.2, 0.4 ), new Vector2( -0.4, 0.4 ), mass ),
+      new BallState( new Vector2( 0.3, -0.5 ), new Vector2( 0.6, -0.1 ), mass ),
+      new BallState( new Vector2( 1, 0.2 ), new Vector2( -0.2, -0.6 ), mass ),
+      new BallState( new Vector2( 0.6, 0.7 ), new Vector2( 0.5, 0.2 ), mass )
+    ] );
+  },
+
   /*——————————————————————————————— Checkbox Icons ———————————————————————————————————————*/
 
   /**
@@ -5,13 +5,14 @@
  *
  * Displays these components:
  *   Balls
- *   PlayArea, Scale Bar, Kinetic Energy NumberDisplay
+ *   PlayArea, Pegs, Walls, Scale Bar, Kinetic Energy NumberDisplay
  *   PlayAreaTopRightControls
  *   Return Balls Button
+ *   Inelastic collapse message
  *   Restart button and Elapsed Time NumberDisplay
- *   BallValuesPanel
- *   Momenta Diagram
- *   Control Panel
+ *   BallValuesPanel, if it is included
+ *   Momenta Diagram, if it is included
+ *   Control Panel, with the Peg toolbox and Wall controls if the PlayArea supports Pegs and Walls
  *   Time controls (play/pause, step buttons)
  *   Reset All Button
  *
@@ -27,7 +28,10 @@ import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransfo
 import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
 import KeypadDialog from '../../../../scenery-phet/js/keypad/KeypadDialog.js';
 import ManualConstraint from '../../../../scenery/js/layout/constraints/ManualConstraint.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
 import CollisionLabColors from '../CollisionLabColors.js';
 import CollisionLabConstants from '../CollisionLabConstants.js';
 import CollisionLabModel from '../model/CollisionLabModel.js';
@@ -39,11 +43,13 @@ import ElapsedTimeNumberDisplay from './ElapsedTimeNumberDisplay.js';
 import KineticEnergyNumberDisplay from './KineticEnergyNumberDisplay.js';
 import MomentaDiagramAccordionBox from './MomentaDiagramAccordionBox.js';
 import MoreDataCheckbox from './MoreDataCheckbox.js';
+import PegToolboxNode from './PegToolboxNode.js';
 import PlayAreaNode from './PlayAreaNode.js';
 import PlayAreaScaleBarNode from './PlayAreaScaleBarNode.js';
 import PlayAreaTopRightControls from './PlayAreaTopRightControls.js';
 import RestartButton from './RestartButton.js';
 import ReturnBallsButton from './ReturnBallsButton.js';
+import WallControl from './WallControl.js';
 
 // constants
 const MODEL_TO_VIEW_SCALE = 152; // Meter to view coordinates scale factor.
@@ -73,6 +79,21 @@ class CollisionLabScreenView extends ScreenView {
       // {boolean}
       includeStepBack: true,
 
+      // {boolean} - indicates if the BallValuesPanel and its 'More Data' Checkbox are included.
+      includeBallValuesPanel: true,
+
+      // {boolean} - indicates if the Momenta Diagram is included.
+      includeMomentaDiagram: true,
+
+      // {boolean} - indicates if the material ComboBoxes of each Ball are included in the BallValuesPanel.
+      includeBallMaterials: true,
+
+      // {boolean} - indicates if the explosion columns of each Ball are included in the BallValuesPanel.
+      includeExplosions: false,
+
+      // {boolean} - indicates if the charge column of each Ball is included in the BallValuesPanel.
+      includeCharges: false,
+
       // {Object} - options to passed to the PlayAreaTopRightControls, if it is included.
       playAreaTopRightControlsOptions: null
 
@@ -96,12 +117,20 @@ class CollisionLabScreenView extends ScreenView {
     // Convenience reference to the view-bounds of the PlayArea. Used for layout.
     const playAreaViewBounds = modelViewTransform.modelToViewBounds( model.playArea.bounds );
 
+    // @protected {ModelViewTransform2} - exposed to sub-classes for adding Nodes to the PlayArea.
+    this.modelViewTransform = modelViewTransform;
+
+    // @protected {Bounds2} - exposed to sub-classes for layout.
+    this.playAreaViewBounds = playAreaViewBounds;
+
     //----------------------------------------------------------------------------------------
 
     // PlayArea
-    const playAreaNode = new PlayAreaNode( model.playArea, model.playArea.gridVisibleProperty, modelViewTransform );
+    const playAreaNode = new PlayAreaNode( model.playArea, model.playArea.gridVisibleProperty, modelViewTransform, {
+      wallDrawingEnabledProperty: viewProperties.wallDrawingEnabledProperty
+    } );
 
-    // @private {BallSystem}
+    // @protected {BallSystemNode} - exposed to sub-classes for layering.
     this.ballSystemNode = this.createBallSystemNode( model, viewProperties, modelViewTransform );
 
     // Scale Bar
@@ -131,6 +160,16 @@ class CollisionLabScreenView extends ScreenView {
       listener: model.returnBalls.bind( model )
     } );
 
+    // Inelastic collapse message, which is shown at the top of the PlayArea while Balls that have collapsed
+    // inelastically move together.
+    const inelasticCollapseText = new Text( CollisionLabStrings.inelasticCollapse, {
+      font: CollisionLabConstants.DISPLAY_FONT,
+      maxWidth: playAreaViewBounds.width - 20, // constrain width for i18n
+      visibleProperty: model.inelasticCollapseProperty,
+      centerX: playAreaViewBounds.centerX,
+      top: playAreaViewBounds.top + 5
+    } );
+
     //----------------------------------------------------------------------------------------
 
     // Elapsed Time NumberDisplay
@@ -145,7 +184,8 @@ class CollisionLabScreenView extends ScreenView {
       model.timeSpeedProperty,
       model.elapsedTimeProperty,
       model.ballSystem.ballSystemUserControlledProperty,
-      model.playArea.elasticityPercentProperty, {
+      model.ballSystem.restitutionMatrix.minElasticityPercentProperty,
+      model.isTimeReversibleProperty, {
         playPauseStepButtonOptions: {
           stepBackwardButtonOptions: { listener: model.stepBackwards.bind( model ) },
           stepForwardButtonOptions: { listener: model.stepForwards.bind( model ) },
@@ -192,34 +232,59 @@ class CollisionLabScreenView extends ScreenView {
       stroke: CollisionLabColors.PANEL_STROKE
     } );
 
-    // @protected - BallValuesPanel, exposed to sub-classes for layout.
-    this.ballValuesPanel = new BallValuesPanel(
+    // Parent Node of the popup lists of ComboBoxes, which is placed on top of all other Nodes.
+    const comboBoxListParent = new Node();
+
+    // @protected {BallValuesPanel|null} - BallValuesPanel, exposed to sub-classes for layout. Null if not included.
+    this.ballValuesPanel = options.includeBallValuesPanel ? new BallValuesPanel(
       model.ballSystem,
       viewProperties.moreDataVisibleProperty,
+      viewProperties.restitutionMatrixVisibleProperty,
       model.playArea.dimension,
       keypadDialog, {
         top: BALL_VALUES_PANEL_TOP,
-        left: playAreaViewBounds.left
-      } );
-
-    // More Data Checkbox
-    const moreDataCheckbox = new MoreDataCheckbox( viewProperties.moreDataVisibleProperty, {
+        left: playAreaViewBounds.left,
+        materialComboBoxListParent: options.includeBallMaterials ? comboBoxListParent : null,
+        includeExplosions: options.includeExplosions,
+        includeCharges: options.includeCharges
+      } ) : null;
+
+    // More Data Checkbox, if the BallValuesPanel is included.
+    const moreDataCheckbox = this.ballValuesPanel ? new MoreDataCheckbox( viewProperties.moreDataVisibleProperty, {
       bottom: this.ballValuesPanel.top - 4,
       left: playAreaViewBounds.left
-    } );
+    } ) : null;
+
+    // Peg toolbox, which is placed in the ControlPanel if the PlayArea supports Pegs.
+    const pegToolboxNode = model.playArea.prepopulatedPegs.length ?
+                           new PegToolboxNode( model.playArea, playAreaNode, modelViewTransform ) :
+                           null;
+
+    // Wall controls, which are placed in the ControlPanel if the PlayArea supports Walls.
+    const wallControl = model.playArea.prepopulatedWalls.length ?
+                        new WallControl( model.playArea, viewProperties.wallDrawingEnabledProperty ) :
+                        null;
 
     // ControlPanel
     const controlPanel = this.createControlPanel( viewProperties, model, {
       right: this.layoutBounds.maxX - CollisionLabConstants.SCREEN_VIEW_X_MARGIN,
-      top: CollisionLabConstants.SCREEN_VIEW_Y_MARGIN
+      top: CollisionLabConstants.SCREEN_VIEW_Y_MARGIN,
+      pegToolboxNode: pegToolboxNode,
+      wallControl: wallControl,
+      comboBoxListParent: comboBoxListParent
     } );
 
-    // Momenta Diagram
-    const momentaDiagram = new MomentaDiagramAccordionBox( model.momentaDiagram, model.ballSystem.balls, {
-      dimension: model.playArea.dimension,
-      centerX: controlPanel.centerX,
-      top: controlPanel.bottom + 8
-    } );
+    // @protected {CollisionLabControlPanel} - exposed to sub-classes for layout.
+    this.controlPanel = controlPanel;
+
+    // Momenta Diagram, if it is included.
+    const momentaDiagram = options.includeMomentaDiagram ?
+                           new MomentaDiagramAccordionBox( model.momentaDiagram, model.ballSystem.balls, {
+                             dimension: model.playArea.dimension,
+                             centerX: controlPanel.centerX,
+                             top: controlPanel.bottom + 8
+                           } ) :
+                           null;
 
     // Reset All Button
     const resetAllButton = new ResetAllButton( {
@@ -234,7 +299,7 @@ class CollisionLabScreenView extends ScreenView {
 
     //----------------------------------------------------------------------------------------
 
-    // Set the children in the correct rendering order.
+    // Set the children in the correct rendering order, without the components that aren't included.
     this.children = [
       this.ballValuesPanel,
       moreDataCheckbox,
@@ -247,9 +312,11 @@ class CollisionLabScreenView extends ScreenView {
       controlPanel,
       momentaDiagram,
       kineticEnergyNumberDisplay,
+      inelasticCollapseText,
       this.ballSystemNode,
-      returnBallsButton
-    ];
+      returnBallsButton,
+      comboBoxListParent
+    ].filter( _.identity );
 
     //----------------------------------------------------------------------------------------
 
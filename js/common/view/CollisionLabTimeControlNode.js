@@ -10,8 +10,8 @@
  *   - RadioButtons to control the speed of the simulation.
  *
  * Some functionality specific to 'Collision Lab':
- *  - The step-backward button is only enabled when the sim is paused, the elasticity is 100%, and the total
- *    elapsed-time isn't 0.
+ *  - The step-backward button is only enabled when the sim is paused, the elasticity of every pair of bodies is 100%,
+ *    there is no friction, no Balls have exploded, and the total elapsed-time isn't 0.
  *  - The entire TimeControlNode is disabled if the BallSystem is being user-controlled. See
  *    https://github.com/phetsims/collision-lab/issues/49.
  *
@@ -34,7 +34,9 @@ class CollisionLabTimeControlNode extends TimeControlNode {
    * @param {EnumerationProperty.<TimeSpeed>} timeSpeedProperty
    * @param {Property.<number>} elapsedTimeProperty
    * @param {ReadOnlyProperty.<boolean>} ballSystemUserControlledProperty
-   * @param {Property.<number>} elasticityProperty
+   * @param {ReadOnlyProperty.<number>} elasticityProperty - the minimum elasticity of all pairs of bodies, as a percentage.
+   * @param {ReadOnlyProperty.<boolean>} isTimeReversibleProperty - indicates if the sim can be stepped backwards,
+   *                                                                 ignoring elasticity.
    * @param {Object} [options]
    */
   constructor( isPlayingProperty,
@@ -42,12 +44,14 @@ class CollisionLabTimeControlNode extends TimeControlNode {
                elapsedTimeProperty,
                ballSystemUserControlledProperty,
                elasticityProperty,
+               isTimeReversibleProperty,
                options ) {
     assert && AssertUtils.assertPropertyOf( isPlayingProperty, 'boolean' );
     assert && assert( timeSpeedProperty instanceof EnumerationProperty );
     assert && AssertUtils.assertPropertyOf( elapsedTimeProperty, 'number' );
     assert && AssertUtils.assertAbstractPropertyOf( ballSystemUserControlledProperty, 'boolean' );
-    assert && AssertUtils.assertPropertyOf( elasticityProperty, 'number' );
+    assert && AssertUtils.assertAbstractPropertyOf( elasticityProperty, 'number' );
+    assert && AssertUtils.assertAbstractPropertyOf( isTimeReversibleProperty, 'boolean' );
 
     options = merge( {
       speedRadioButtonGroupOptions: {
@@ -72,14 +76,16 @@ class CollisionLabTimeControlNode extends TimeControlNode {
     // Set options that cannot be overridden.
     options.timeSpeedProperty = timeSpeedProperty;
 
-    // The step-backward button is only enabled when the sim is paused, the elasticity is 100%, and the total elapsed
-    // time isn't 0. There isn't any support to provide a custom enabledProperty to step-buttons. So, we use a
-    // a workaround. See https://github.com/phetsims/scenery-phet/issues/606 and
-    // https://github.com/phetsims/collision-lab/issues/66. DerivedProperty never disposed since
-    // CollisionLabTimeControlNode persists for the lifetime of simulation.
+    // The step-backward button is only enabled when the sim is paused, the elasticity is 100%, the motion is
+    // time-reversible (no friction or explosions), and the total elapsed time isn't 0. There isn't any support to
+    // provide a custom enabledProperty to step-buttons. So, we use a workaround. See
+    // https://github.com/phetsims/scenery-phet/issues/606 and https://github.com/phetsims/collision-lab/issues/66.
+    // DerivedProperty never disposed since CollisionLabTimeControlNode persists for the lifetime of simulation.
     options.playPauseStepButtonOptions.stepBackwardButtonOptions.enabledProperty = new DerivedProperty(
-      [ isPlayingProperty, elapsedTimeProperty, elasticityProperty ], ( isPlaying, elapsedTime, elasticity ) => {
-        return !isPlaying && elapsedTime > 0 && elasticity === CollisionLabConstants.ELASTICITY_PERCENT_RANGE.max;
+      [ isPlayingProperty, elapsedTimeProperty, elasticityProperty, isTimeReversibleProperty ],
+      ( isPlaying, elapsedTime, elasticity, isTimeReversible ) => {
+        return !isPlaying && elapsedTime > 0 && elasticity === CollisionLabConstants.ELASTICITY_PERCENT_RANGE.max &&
+               isTimeReversible;
       }, {
         valueType: 'boolean'
       } );
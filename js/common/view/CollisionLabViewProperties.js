@@ -27,6 +27,14 @@ class CollisionLabViewProperties {
 
     // @public {Property.<boolean>} - indicates if the 'More Data' in the BallValuesPanel is visible.
     this.moreDataVisibleProperty = new BooleanProperty( false );
+
+    // @public {Property.<boolean>} - indicates if the elasticity of every pair of bodies (the RestitutionMatrix) is
+    //                                visible in the BallValuesPanel.
+    this.restitutionMatrixVisibleProperty = new BooleanProperty( false );
+
+    // @public {Property.<boolean>} - indicates if dragging across the PlayArea draws Walls. Only used in screens with
+    //                                Walls.
+    this.wallDrawingEnabledProperty = new BooleanProperty( false );
   }
 
   /**
@@ -41,6 +49,8 @@ class CollisionLabViewProperties {
     this.valuesVisibleProperty.reset();
     this.kineticEnergyVisibleProperty.reset();
     this.moreDataVisibleProperty.reset();
+    this.restitutionMatrixVisibleProperty.reset();
+    this.wallDrawingEnabledProperty.reset();
   }
 }
 
@@ -0,0 +1,62 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * ContactFrictionNumberControl is a NumberControl sub-type to display and allow the user to manipulate the coefficient
+ * of friction of ball-ball contacts, which determines how much spin Balls pick up in collisions. It appears inside of
+ * the control-panel of screens that include contact friction.
+ *
+ * ContactFrictionNumberControls are created at the start of the sim and are never disposed.
+ *
+ * @author agent
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+
+// constants
+const CONTACT_FRICTION_RANGE = CollisionLabConstants.CONTACT_FRICTION_RANGE;
+const CONTACT_FRICTION_INTERVAL = CollisionLabConstants.CONTACT_FRICTION_INTERVAL;
+
+class ContactFrictionNumberControl extends NumberControl {
+
+  /**
+   * @param {Property.<number>} contactFrictionProperty
+   * @param {Object} [options]
+   */
+  constructor( contactFrictionProperty, options ) {
+    assert && AssertUtils.assertPropertyOf( contactFrictionProperty, 'number' );
+
+    options = merge( {
+
+      // superclass options
+      layoutFunction: NumberControl.createLayoutFunction4(),
+      includeArrowButtons: false,
+      delta: CONTACT_FRICTION_INTERVAL,
+      sliderOptions: {
+        constrainValue: value => Utils.roundToInterval( value, CONTACT_FRICTION_INTERVAL ),
+        trackSize: new Dimension2( CollisionLabConstants.CONTROL_PANEL_CONTENT_WIDTH - 10, 3 ),
+        thumbSize: new Dimension2( 12, 20 )
+      },
+      numberDisplayOptions: {
+        decimalPlaces: 2,
+        textOptions: { font: CollisionLabConstants.DISPLAY_FONT, maxWidth: 90 },
+        backgroundStroke: Color.BLACK,
+        backgroundLineWidth: 0.5
+      },
+      titleNodeOptions: {
+        font: CollisionLabConstants.PANEL_TITLE_FONT,
+        maxWidth: 110 // constrain width for i18n, determined empirically
+      }
+    }, options );
+
+    super( CollisionLabStrings.contactFriction, contactFrictionProperty, CONTACT_FRICTION_RANGE, options );
+  }
+}
+
+export default ContactFrictionNumberControl;
@@ -0,0 +1,109 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * GravityControl is a VBox sub-type that allows the user to manipulate the uniform gravitational field of the PlayArea.
+ * It contains a NumberControl for the strength of gravity and a NumberControl for its direction, which are only enabled
+ * when gravity is enabled. It appears inside of the control-panel of screens that include gravity.
+ *
+ * GravityControls are created at the start of the sim and are never disposed.
+ *
+ * @author agent
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+import UniformGravity from '../model/UniformGravity.js';
+
+// constants
+const STRENGTH_INTERVAL = 0.1;  // in m/s^2
+const DIRECTION_INTERVAL = 15;  // in degrees
+
+class GravityControl extends VBox {
+
+  /**
+   * @param {UniformGravity} uniformGravity
+   * @param {Object} [options]
+   */
+  constructor( uniformGravity, options ) {
+    assert && assert( uniformGravity instanceof UniformGravity, `invalid uniformGravity: ${uniformGravity}` );
+
+    options = merge( {
+
+      // {Object} - passed to both NumberControls.
+      numberControlOptions: {
+        layoutFunction: NumberControl.createLayoutFunction4(),
+        includeArrowButtons: false,
+        enabledProperty: uniformGravity.isEnabledProperty,
+        sliderOptions: {
+          trackSize: new Dimension2( CollisionLabConstants.CONTROL_PANEL_CONTENT_WIDTH - 10, 3 ),
+          thumbSize: new Dimension2( 12, 20 )
+        },
+        numberDisplayOptions: {
+          textOptions: { font: CollisionLabConstants.DISPLAY_FONT, maxWidth: 90 },
+          backgroundStroke: Color.BLACK,
+          backgroundLineWidth: 0.5
+        },
+        titleNodeOptions: {
+          font: CollisionLabConstants.DISPLAY_FONT,
+          maxWidth: 90 // constrain width for i18n, determined empirically
+        }
+      },
+
+      // superclass options
+      spacing: 4,
+      align: 'left'
+
+    }, options );
+
+    //----------------------------------------------------------------------------------------
+
+    // 'Strength' NumberControl, in m/s^2.
+    const strengthNumberControl = new NumberControl( CollisionLabStrings.strength,
+      uniformGravity.magnitudeProperty,
+      uniformGravity.magnitudeProperty.range,
+      merge( {
+        delta: STRENGTH_INTERVAL,
+        sliderOptions: {
+          constrainValue: value => Utils.roundToInterval( value, STRENGTH_INTERVAL )
+        },
+        numberDisplayOptions: {
+          decimalPlaces: 1,
+          useRichText: true,
+          valuePattern: StringUtils.fillIn( CollisionLabStrings.pattern.valueSpaceUnits, {
+            units: CollisionLabStrings.units.metersPerSecondSquared
+          } )
+        }
+      }, options.numberControlOptions ) );
+
+    // 'Direction' NumberControl, in degrees counterclockwise from the +x axis.
+    const directionNumberControl = new NumberControl( CollisionLabStrings.direction,
+      uniformGravity.directionProperty,
+      uniformGravity.directionProperty.range,
+      merge( {
+        delta: DIRECTION_INTERVAL,
+        sliderOptions: {
+          constrainValue: value => Utils.roundToInterval( value, DIRECTION_INTERVAL )
+        },
+        numberDisplayOptions: {
+          decimalPlaces: 0,
+          valuePattern: StringUtils.fillIn( CollisionLabStrings.pattern.valueUnits, {
+            units: CollisionLabStrings.units.degrees
+          } )
+        }
+      }, options.numberControlOptions ) );
+
+    assert && assert( !options.children, 'GravityControl sets children' );
+    options.children = [ strengthNumberControl, directionNumberControl ];
+
+    super( _.omit( options, 'numberControlOptions' ) );
+  }
+}
+
+export default GravityControl;
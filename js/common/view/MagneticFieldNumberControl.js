@@ -0,0 +1,66 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * MagneticFieldNumberControl is a NumberControl sub-type to display and allow the user to manipulate the strength of the
+ * magnetic field of the PlayArea, which is only enabled when the magnetic field is enabled. It appears inside of the
+ * control-panel of screens that include a magnetic field.
+ *
+ * MagneticFieldNumberControls are created at the start of the sim and are never disposed.
+ *
+ * @author agent
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+import MagneticField from '../model/MagneticField.js';
+
+// constants
+const STRENGTH_INTERVAL = CollisionLabConstants.MAGNETIC_FIELD_STRENGTH_INTERVAL;
+
+class MagneticFieldNumberControl extends NumberControl {
+
+  /**
+   * @param {MagneticField} magneticField
+   * @param {Object} [options]
+   */
+  constructor( magneticField, options ) {
+    assert && assert( magneticField instanceof MagneticField, `invalid magneticField: ${magneticField}` );
+
+    options = merge( {
+
+      // superclass options
+      layoutFunction: NumberControl.createLayoutFunction4(),
+      includeArrowButtons: false,
+      enabledProperty: magneticField.isEnabledProperty,
+      delta: STRENGTH_INTERVAL,
+      sliderOptions: {
+        constrainValue: value => Utils.roundToInterval( value, STRENGTH_INTERVAL ),
+        trackSize: new Dimension2( CollisionLabConstants.CONTROL_PANEL_CONTENT_WIDTH - 10, 3 ),
+        thumbSize: new Dimension2( 12, 20 )
+      },
+      numberDisplayOptions: {
+        decimalPlaces: 1,
+        valuePattern: StringUtils.fillIn( CollisionLabStrings.pattern.valueSpaceUnits, {
+          units: CollisionLabStrings.units.teslas
+        } ),
+        textOptions: { font: CollisionLabConstants.DISPLAY_FONT, maxWidth: 80 },
+        backgroundStroke: Color.BLACK,
+        backgroundLineWidth: 0.5
+      },
+      titleNodeOptions: {
+        font: CollisionLabConstants.DISPLAY_FONT,
+        maxWidth: 90 // constrain width for i18n, determined empirically
+      }
+    }, options );
+
+    super( CollisionLabStrings.strength, magneticField.strengthProperty, magneticField.strengthProperty.range, options );
+  }
+}
+
+export default MagneticFieldNumberControl;
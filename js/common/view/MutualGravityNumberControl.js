@@ -0,0 +1,67 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * MutualGravityNumberControl is a NumberControl sub-type to display and allow the user to manipulate the gravitational
+ * constant of the mutual gravity of the Balls, which is only enabled when mutual gravity is enabled. It appears inside
+ * of the control-panel of screens that include mutual gravity.
+ *
+ * MutualGravityNumberControls are created at the start of the sim and are never disposed.
+ *
+ * @author agent
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+import MutualGravity from '../model/MutualGravity.js';
+
+// constants
+const STRENGTH_INTERVAL = CollisionLabConstants.MUTUAL_GRAVITY_STRENGTH_INTERVAL;
+
+class MutualGravityNumberControl extends NumberControl {
+
+  /**
+   * @param {MutualGravity} mutualGravity
+   * @param {Object} [options]
+   */
+  constructor( mutualGravity, options ) {
+    assert && assert( mutualGravity instanceof MutualGravity, `invalid mutualGravity: ${mutualGravity}` );
+
+    options = merge( {
+
+      // superclass options
+      layoutFunction: NumberControl.createLayoutFunction4(),
+      includeArrowButtons: false,
+      enabledProperty: mutualGravity.isEnabledProperty,
+      delta: STRENGTH_INTERVAL,
+      sliderOptions: {
+        constrainValue: value => Utils.roundToInterval( value, STRENGTH_INTERVAL ),
+        trackSize: new Dimension2( CollisionLabConstants.CONTROL_PANEL_CONTENT_WIDTH - 10, 3 ),
+        thumbSize: new Dimension2( 12, 20 )
+      },
+      numberDisplayOptions: {
+        decimalPlaces: 2,
+        useRichText: true,
+        valuePattern: StringUtils.fillIn( CollisionLabStrings.pattern.valueSpaceUnits, {
+          units: CollisionLabStrings.units.newtonMetersSquaredPerKilogramSquared
+        } ),
+        textOptions: { font: CollisionLabConstants.DISPLAY_FONT, maxWidth: 110 },
+        backgroundStroke: Color.BLACK,
+        backgroundLineWidth: 0.5
+      },
+      titleNodeOptions: {
+        font: CollisionLabConstants.DISPLAY_FONT,
+        maxWidth: 90 // constrain width for i18n, determined empirically
+      }
+    }, options );
+
+    super( CollisionLabStrings.strength, mutualGravity.strengthProperty, mutualGravity.strengthProperty.range, options );
+  }
+}
+
+export default MutualGravityNumberControl;
@@ -105,14 +105,17 @@ class PathsNode extends CanvasNode {
     for ( let i = 1; i < path.dataPoints.length; i++ ) {
       const dataPoint = path.dataPoints[ i ];
 
-      // Each segment of the dataPoint path needs a new canvas path to create the gradient effect.
-      context.beginPath();
-
       // Get the start and end positions of the line-segment.
       const segmentStartPosition = previousViewPosition;
       const segmentEndPosition = this.modelViewTransform.modelToViewPosition( dataPoint.position );
       previousViewPosition = segmentEndPosition;
 
+      // Don't connect PathDataPoints where the 'Path' is broken, like when a Ball wraps around a periodic border.
+      if ( dataPoint.isDisconnected ) { continue; }
+
+      // Each segment of the dataPoint path needs a new canvas path to create the gradient effect.
+      context.beginPath();
+
       // Draw the line-segment that connects the start and end positions.
       context.moveTo( segmentStartPosition.x, segmentStartPosition.y );
       context.lineTo( segmentEndPosition.x, segmentEndPosition.y );
@@ -143,7 +146,7 @@ class PathsNode extends CanvasNode {
     // First draw the trailing 'Paths' behind every Ball.
     for ( let i = 0; i < this.prepopulatedBalls.length; i++ ) {
       const ball = this.prepopulatedBalls[ i ];
-      this.drawPath( ball.path, CollisionLabColors.BALL_COLORS[ ball.index - 1 ], context );
+      this.drawPath( ball.path, CollisionLabColors.BALL_COLORS[ ( ball.index - 1 ) % CollisionLabColors.BALL_COLORS.length ], context );
     }
 
     // Draw the trailing 'Path' behind the CenterOfMass.
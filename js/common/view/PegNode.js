@@ -0,0 +1,83 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * PegNode is the view representation of a single Peg, which appears inside of the PlayAreaNode. PegNodes are only
+ * visible while their Peg is in the PlayArea, and can be dragged around by the user. Dropping a Peg outside of the
+ * PlayArea removes it from the PlayArea.
+ *
+ * PegNodes are created for every possible Peg at the start of the sim and are never disposed, so no dispose method is
+ * necessary.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import CollisionLabColors from '../CollisionLabColors.js';
+import Peg from '../model/Peg.js';
+import PlayArea from '../model/PlayArea.js';
+
+class PegNode extends Circle {
+
+  /**
+   * @param {Peg} peg
+   * @param {PlayArea} playArea - the PlayArea that the Peg is added to.
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( peg, playArea, modelViewTransform, options ) {
+    assert && assert( peg instanceof Peg, `invalid peg: ${peg}` );
+    assert && assert( playArea instanceof PlayArea, `invalid playArea: ${playArea}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2, `invalid modelViewTransform: ${modelViewTransform}` );
+
+    options = merge( {
+
+      // super-class options
+      fill: CollisionLabColors.PEG_FILL,
+      stroke: CollisionLabColors.PEG_STROKE,
+      lineWidth: 1,
+      cursor: 'pointer'
+
+    }, options );
+
+    super( modelViewTransform.modelToViewDeltaX( peg.radius ), options );
+
+    // @public (read-only) {Peg} - the Peg that this PegNode represents.
+    this.peg = peg;
+
+    //----------------------------------------------------------------------------------------
+
+    // Observe when the Peg is added to or removed from the PlayArea and update the visibility of the PegNode. Link is
+    // never unlinked since PegNodes are never disposed.
+    playArea.pegs.lengthProperty.link( () => {
+      this.visible = playArea.pegs.includes( peg );
+    } );
+
+    // Observe when the position of the Peg changes and update the translation of the PegNode. Link is never unlinked
+    // since PegNodes are never disposed.
+    peg.positionProperty.link( position => {
+      this.center = modelViewTransform.modelToViewPosition( position );
+    } );
+
+    // @public (read-only) {DragListener} - translates the Peg. Exposed so that drags can be forwarded from the toolbox.
+    //                                      Listener is never removed since PegNodes are never disposed.
+    this.dragListener = new DragListener( {
+      positionProperty: peg.positionProperty,
+      transform: modelViewTransform,
+      start: () => {
+        peg.userControlledProperty.value = true;
+      },
+      end: () => {
+
+        // Remove the Peg if it isn't fully inside of the PlayArea, like when it is dropped back onto the toolbox.
+        !playArea.fullyContainsPeg( peg ) && playArea.removePeg( peg );
+        peg.userControlledProperty.value = false;
+      }
+    } );
+    this.addInputListener( this.dragListener );
+  }
+}
+
+export default PegNode;
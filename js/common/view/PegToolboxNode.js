@@ -0,0 +1,92 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * PegToolboxNode is the toolbox of Pegs that appears inside of the control-panel of screens that include Pegs. It
+ * contains a 'Pegs' label and a Peg icon. Pressing the icon adds a Peg to the PlayArea under the pointer and forwards
+ * the drag to the PegNode, so the user drags the Peg out of the toolbox into the PlayArea. The icon is faded and
+ * can't be pressed while every Peg is in the PlayArea. Pegs are removed by dropping them outside of the PlayArea.
+ *
+ * PegToolboxNodes are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabColors from '../CollisionLabColors.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+import PlayArea from '../model/PlayArea.js';
+import PlayAreaNode from './PlayAreaNode.js';
+
+// constants
+const DISABLED_OPACITY = 0.3;
+
+class PegToolboxNode extends Node {
+
+  /**
+   * @param {PlayArea} playArea
+   * @param {PlayAreaNode} playAreaNode - the PlayAreaNode that contains the PegNodes.
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( playArea, playAreaNode, modelViewTransform, options ) {
+    assert && assert( playArea instanceof PlayArea, `invalid playArea: ${playArea}` );
+    assert && assert( playAreaNode instanceof PlayAreaNode, `invalid playAreaNode: ${playAreaNode}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2, `invalid modelViewTransform: ${modelViewTransform}` );
+    assert && assert( playArea.prepopulatedPegs.length > 0, 'PlayArea must support Pegs' );
+
+    options = merge( {
+
+      // {number} - the width of the toolbox. The icon is placed at the far-right side to align with the icons of the
+      //            Checkboxes of the control-panel.
+      width: CollisionLabConstants.CONTROL_PANEL_CONTENT_WIDTH
+
+    }, options );
+
+    //----------------------------------------------------------------------------------------
+
+    // Peg icon, which is the same size as the Pegs in the PlayArea.
+    const pegIcon = new Circle( modelViewTransform.modelToViewDeltaX( CollisionLabConstants.PEG_RADIUS ), {
+      fill: CollisionLabColors.PEG_FILL,
+      stroke: CollisionLabColors.PEG_STROKE,
+      cursor: 'pointer',
+      right: options.width
+    } );
+
+    // 'Pegs' label
+    const labelText = new Text( CollisionLabStrings.pegs, {
+      font: CollisionLabConstants.CONTROL_FONT,
+      maxWidth: options.width - pegIcon.width - 10, // constrain width for i18n
+      centerY: pegIcon.centerY
+    } );
+
+    // Observe when Pegs are added to or removed from the PlayArea and update the appearance and pickability of the
+    // icon. Link is never unlinked since PegToolboxNodes are never disposed.
+    playArea.pegs.lengthProperty.link( numberOfPegs => {
+      const isFull = numberOfPegs === playArea.prepopulatedPegs.length;
+      pegIcon.opacity = isFull ? DISABLED_OPACITY : 1;
+      pegIcon.pickable = !isFull;
+    } );
+
+    // Add a Peg to the PlayArea under the pointer when the icon is pressed and start dragging it. Listener is never
+    // removed since PegToolboxNodes are never disposed.
+    pegIcon.addInputListener( DragListener.createForwardingListener( event => {
+      const viewPoint = playAreaNode.globalToParentPoint( event.pointer.point );
+      const peg = playArea.addPeg( modelViewTransform.viewToModelPosition( viewPoint ) );
+
+      peg && playAreaNode.startPegDrag( peg, event );
+    } ) );
+
+    assert && assert( !options.children, 'PegToolboxNode sets children' );
+    options.children = [ labelText, pegIcon ];
+
+    super( _.omit( options, 'width' ) );
+  }
+}
+
+export default PegToolboxNode;
@@ -4,9 +4,12 @@
  * PlayAreaNode is the view representation of a single PlayArea, which appears in all screens of the 'Collision Lab'
  * simulation. PlayAreaNode was implemented to work for both 1D and 2D screens, so no sub-types are needed.
  *
- * PlayAreaNode draws all of the components that are related to the 'play area', including its background, grid, and
- * border. For the 1D screens, the grid is a series of tick-lines at the top of the PlayArea. When the PlayArea's
- * border reflects, it has a 'thicker' border (and vise versa when its border doesn't reflect).
+ * PlayAreaNode draws all of the components that are related to the 'play area', including its background, grid,
+ * border, and the Pegs and Walls inside of it. For the 1D screens, the grid is a series of tick-lines at the top of
+ * the PlayArea. When the PlayArea's border reflects, it has a 'thicker' border (and vise versa when its border doesn't reflect).
+ * When the PlayArea's border is periodic, its border is dashed to indicate that Balls pass through it.
+ * For PlayAreas with non-rectangular borders, the background and border follow the shape of the border and the grid is
+ * clipped to it.
  *
  * For the 'Collision Lab' sim, there is 1 PlayAreaNode for each screen and they are created at the start if the sim,
  * so they are never disposed.
@@ -16,17 +19,22 @@
  * @author Brandon Li
  */
 
+import Multilink from '../../../../axon/js/Multilink.js';
 import GridNode from '../../../../griddle/js/GridNode.js';
 import Shape from '../../../../kite/js/Shape.js';
 import merge from '../../../../phet-core/js/merge.js';
 import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import SceneryEvent from '../../../../scenery/js/input/SceneryEvent.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Path from '../../../../scenery/js/nodes/Path.js';
-import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
 import CollisionLabColors from '../CollisionLabColors.js';
 import CollisionLabConstants from '../CollisionLabConstants.js';
+import Peg from '../model/Peg.js';
 import PlayArea from '../model/PlayArea.js';
+import PegNode from './PegNode.js';
+import WallNode from './WallNode.js';
 
 // constants
 const MINOR_GRIDLINE_SPACING = CollisionLabConstants.MINOR_GRIDLINE_SPACING; // In model units.
@@ -58,7 +66,12 @@ class PlayAreaNode extends Node {
 
       // border
       reflectingBorderLineWidth: 3,   // {number} - the line-width of the border when the border doesn't reflect.
-      nonReflectingBorderLineWidth: 1 // {number} - the line-width of the border when the border doesn't reflect.
+      nonReflectingBorderLineWidth: 1, // {number} - the line-width of the border when the border doesn't reflect.
+      periodicBorderLineDash: [ 8, 5 ], // {number[]} - the line-dash of the border when the border is periodic.
+
+      // walls
+      wallDrawingEnabledProperty: null // {Property.<boolean>|null} - indicates if dragging across the background draws
+                                       // Walls. Required if the PlayArea supports Walls.
 
     }, options );
 
@@ -69,26 +82,102 @@ class PlayAreaNode extends Node {
     // Convenience reference to the view-bounds of the PlayArea.
     const playAreaViewBounds = modelViewTransform.modelToViewBounds( playArea.bounds );
 
-    // Create the background Rectangle, which appears behind the grid/ticks.
-    const background = new Rectangle( playAreaViewBounds, { fill: CollisionLabColors.GRID_BACKGROUND } );
+    // Convenience function that creates the Shape of the border of the PlayArea in view coordinates, dilated by some
+    // amount in view coordinates.
+    const createBorderViewShape = dilation => {
+      const modelDilation = modelViewTransform.viewToModelDeltaX( dilation );
 
-    // Create the border Rectangle, which appears in front of the grid/ticks.
-    const border = new Rectangle( playAreaViewBounds );
+      if ( playArea.borderShape === PlayArea.BorderShape.CIRCLE ) {
+        return modelViewTransform.modelToViewShape( Shape.circle( playArea.bounds.centerX, playArea.bounds.centerY,
+          playArea.borderRadius + modelDilation ) );
+      }
+      else if ( playArea.borderShape === PlayArea.BorderShape.POLYGON ) {
+        return modelViewTransform.modelToViewShape( Shape.polygon( playArea.getInsetBorderVertices( -modelDilation ) ) );
+      }
+      else {
+        return Shape.bounds( playAreaViewBounds.dilated( dilation ) );
+      }
+    };
 
-    // Observe when PlayArea's reflectingBorderProperty changes and update the appearance of the border. Link
-    // is never unlinked since PlayAreaNodes are never disposed.
-    playArea.reflectingBorderProperty.link( reflectingBorder => {
+    // Create the background Path, which appears behind the grid/ticks.
+    const background = new Path( createBorderViewShape( 0 ), { fill: CollisionLabColors.GRID_BACKGROUND } );
 
-      // Update the line-width of the Border. The border's bounds is dilated so that it fully encapsulates the PlayArea.
+    // Create the border Path, which appears in front of the grid/ticks.
+    const border = new Path( null );
+
+    // Observe when PlayArea's reflectingBorderProperty or periodicBorderProperty changes and update the appearance of
+    // the border. Multilink is never disposed since PlayAreaNodes are never disposed.
+    Multilink.multilink( [ playArea.reflectingBorderProperty, playArea.periodicBorderProperty ], ( reflectingBorder, periodicBorder ) => {
+
+      // Update the line-width of the Border. The border's shape is dilated so that it fully encapsulates the PlayArea.
       border.lineWidth = reflectingBorder ? options.reflectingBorderLineWidth : options.nonReflectingBorderLineWidth;
-      border.rectBounds = playAreaViewBounds.dilated( border.lineWidth / 2 );
+      border.shape = createBorderViewShape( border.lineWidth / 2 );
 
       // Update the stroke color of the Border.
       border.stroke = reflectingBorder ?
                       CollisionLabColors.REFLECTING_PLAY_AREA_BORDER :
                       CollisionLabColors.NON_REFLECTING_PLAY_AREA_BORDER;
+
+      // Dash the Border when Balls wrap around it.
+      border.lineDash = periodicBorder ? options.periodicBorderLineDash : [];
     } );
 
+    // Create a PegNode for every possible Peg and a WallNode for every possible Wall, which appear in front of the
+    // border.
+    const pegNodes = playArea.prepopulatedPegs.map( peg => new PegNode( peg, playArea, modelViewTransform ) );
+    const wallNodes = playArea.prepopulatedWalls.map( wall => new WallNode( wall, playArea, modelViewTransform ) );
+    const obstaclesLayer = new Node( { children: [ ...wallNodes, ...pegNodes ] } );
+
+    // Add a DragListener to the background for drawing Walls when wall-drawing is enabled. Dragging across the
+    // background draws a new Wall from where the drag started to the pointer.
+    if ( playArea.prepopulatedWalls.length ) {
+      assert && AssertUtils.assertPropertyOf( options.wallDrawingEnabledProperty, 'boolean' );
+
+      // Convenience function that gets the model position of the pointer of a DragListener, constrained to the
+      // PlayArea.
+      const getPosition = listener => playArea.getClosestContainedPosition( listener.modelPoint, 0 );
+
+      // Reference to the Wall that is being drawn, if any. Null if all Walls are already in the PlayArea.
+      let drawnWall = null;
+
+      const wallDrawingListener = new DragListener( {
+        transform: modelViewTransform,
+        start: ( event, listener ) => {
+          drawnWall = playArea.addWall( getPosition( listener ) );
+          if ( drawnWall ) {
+            drawnWall.userControlledProperty.value = true;
+          }
+        },
+        drag: ( event, listener ) => {
+          if ( drawnWall ) {
+            drawnWall.endPositionProperty.value = getPosition( listener );
+          }
+        },
+        end: () => {
+          if ( drawnWall ) {
+
+            // Discard Walls that are too short, like when the background is clicked without dragging.
+            drawnWall.length < CollisionLabConstants.WALL_MIN_LENGTH && playArea.removeWall( drawnWall );
+            drawnWall.userControlledProperty.value = false;
+            drawnWall = null;
+          }
+        }
+      } );
+
+      // Observe when wall-drawing is toggled and add or remove the DragListener. Link is never unlinked since
+      // PlayAreaNodes are never disposed.
+      options.wallDrawingEnabledProperty.link( wallDrawingEnabled => {
+        if ( wallDrawingEnabled ) {
+          background.addInputListener( wallDrawingListener );
+        }
+        else if ( background.hasInputListener( wallDrawingListener ) ) {
+          wallDrawingListener.interrupt();
+          background.removeInputListener( wallDrawingListener );
+        }
+        background.cursor = wallDrawingEnabled ? 'crosshair' : null;
+      } );
+    }
+
     //----------------------------------------------------------------------------------------
 
     if ( playArea.dimension === PlayArea.Dimension.TWO ) {
@@ -110,6 +199,12 @@ class PlayAreaNode extends Node {
         center: playAreaViewBounds.center
       } );
 
+      // For non-rectangular borders, clip the grid to the border. The clipArea is in the local coordinate frame of the
+      // GridNode.
+      if ( playArea.borderShape !== PlayArea.BorderShape.RECTANGLE ) {
+        gridNode.clipArea = background.shape.transformed( gridNode.matrix.inverted() );
+      }
+
       // Observe when the gridVisibleProperty changes and update the visibility of the GridNode. Link is never unlinked
       // since PlayAreaNodes are never disposed.
       gridVisibleProperty.linkAttribute( gridNode, 'visible' );
@@ -118,7 +213,8 @@ class PlayAreaNode extends Node {
       options.children = [
         background,
         gridNode,
-        border
+        border,
+        obstaclesLayer
       ];
     }
     else {
@@ -155,11 +251,31 @@ class PlayAreaNode extends Node {
         background,
         minorTickLinesPath,
         majorTickLinesPath,
-        border
+        border,
+        obstaclesLayer
       ];
     }
 
-    super( options );
+    super( _.omit( options, 'wallDrawingEnabledProperty' ) );
+
+    // @private {PegNode[]} - the PegNodes of every possible Peg, in the same order as the prepopulatedPegs.
+    this.pegNodes = pegNodes;
+  }
+
+  /**
+   * Starts dragging the PegNode of a Peg, forwarding the press of a SceneryEvent. Called when the user drags a Peg out
+   * of the toolbox.
+   * @public
+   *
+   * @param {Peg} peg
+   * @param {SceneryEvent} event
+   */
+  startPegDrag( peg, event ) {
+    assert && assert( peg instanceof Peg, `invalid peg: ${peg}` );
+    assert && assert( event instanceof SceneryEvent, `invalid event: ${event}` );
+
+    const pegNode = _.find( this.pegNodes, pegNode => pegNode.peg === peg );
+    pegNode.dragListener.press( event, pegNode );
   }
 }
 
@@ -63,6 +63,10 @@ class PlayAreaTopRightControls extends VBox {
         maxWidth: 40 // constrain width for i18n, determined empirically
       },
 
+      // {Property.<Range>|null} - the range of the NumberSpinner, for a range that changes. If null, the passed-in
+      //                          numberOfBallsRange is used.
+      numberOfBallsRangeProperty: null,
+
       // {Object} - options passed to the NumberSpinner instance.
       numberSpinnerOptions: {
         numberDisplayOptions: {
@@ -99,7 +103,7 @@ class PlayAreaTopRightControls extends VBox {
 
       // Create the NumberSpinner of the PlayAreaTopRightControls to allow the user to change the number of balls.
       const numberOfBallsSpinner = new NumberSpinner( numberOfBallsProperty,
-        new Property( numberOfBallsRange ),
+        options.numberOfBallsRangeProperty || new Property( numberOfBallsRange ),
         options.numberSpinnerOptions );
 
       // Wrap the controls of the number of Balls in a separate VBox to give separate spacing.
@@ -0,0 +1,142 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * SpringBondControl is a VBox sub-type that allows the user to manipulate the spring that bonds a pair of Balls of the
+ * PlayArea. It contains a ComboBox for the pair of Balls that are bonded, a NumberControl for the stiffness of the
+ * spring and a NumberControl for its rest length, which are only enabled when the spring is enabled. It appears inside
+ * of the control-panel of screens that include spring bonds.
+ *
+ * SpringBondControls are created at the start of the sim and are never disposed.
+ *
+ * @author agent
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import HBox from '../../../../scenery/js/layout/nodes/HBox.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+import SpringBond from '../model/SpringBond.js';
+
+class SpringBondControl extends VBox {
+
+  /**
+   * @param {SpringBond} springBond
+   * @param {Node} listParent - parent Node of the popup list of the ComboBox of the bonded Balls.
+   * @param {Object} [options]
+   */
+  constructor( springBond, listParent, options ) {
+    assert && assert( springBond instanceof SpringBond, `invalid springBond: ${springBond}` );
+    assert && assert( listParent instanceof Node, `invalid listParent: ${listParent}` );
+
+    options = merge( {
+
+      // {Object} - passed to both NumberControls.
+      numberControlOptions: {
+        layoutFunction: NumberControl.createLayoutFunction4(),
+        includeArrowButtons: false,
+        enabledProperty: springBond.isEnabledProperty,
+        sliderOptions: {
+          trackSize: new Dimension2( CollisionLabConstants.CONTROL_PANEL_CONTENT_WIDTH - 10, 3 ),
+          thumbSize: new Dimension2( 12, 20 )
+        },
+        numberDisplayOptions: {
+          textOptions: { font: CollisionLabConstants.DISPLAY_FONT, maxWidth: 90 },
+          backgroundStroke: Color.BLACK,
+          backgroundLineWidth: 0.5
+        },
+        titleNodeOptions: {
+          font: CollisionLabConstants.DISPLAY_FONT,
+          maxWidth: 90 // constrain width for i18n, determined empirically
+        }
+      },
+
+      // superclass options
+      spacing: 4,
+      align: 'left'
+
+    }, options );
+
+    //----------------------------------------------------------------------------------------
+
+    // ComboBox of the pair of Balls that are bonded, with an item for each pair that can be bonded.
+    const ballIndicesComboBox = new ComboBox( springBond.ballIndicesProperty, SpringBond.BALL_INDEX_PAIRS.map( pair => {
+      return {
+        value: pair,
+        createNode: () => new Text( StringUtils.fillIn( CollisionLabStrings.pattern.ballAndBall, {
+          ball1: pair[ 0 ],
+          ball2: pair[ 1 ]
+        } ), {
+          font: CollisionLabConstants.DISPLAY_FONT,
+          maxWidth: 60 // constrain width for i18n, determined empirically
+        } )
+      };
+    } ), listParent, {
+      enabledProperty: springBond.isEnabledProperty,
+      xMargin: 6,
+      yMargin: 2,
+      cornerRadius: 3
+    } );
+
+    // 'Bonded Balls' label and its ComboBox.
+    const ballIndicesControl = new HBox( {
+      spacing: 8,
+      children: [
+        new Text( CollisionLabStrings.bondedBalls, {
+          font: CollisionLabConstants.DISPLAY_FONT,
+          maxWidth: 90 // constrain width for i18n, determined empirically
+        } ),
+        ballIndicesComboBox
+      ]
+    } );
+
+    // 'Stiffness' NumberControl, in N/m.
+    const stiffnessNumberControl = new NumberControl( CollisionLabStrings.stiffness,
+      springBond.stiffnessProperty,
+      springBond.stiffnessProperty.range,
+      merge( {
+        delta: CollisionLabConstants.SPRING_STIFFNESS_INTERVAL,
+        sliderOptions: {
+          constrainValue: value => Utils.roundToInterval( value, CollisionLabConstants.SPRING_STIFFNESS_INTERVAL )
+        },
+        numberDisplayOptions: {
+          decimalPlaces: 1,
+          valuePattern: StringUtils.fillIn( CollisionLabStrings.pattern.valueSpaceUnits, {
+            units: CollisionLabStrings.units.newtonsPerMeter
+          } )
+        }
+      }, options.numberControlOptions ) );
+
+    // 'Rest Length' NumberControl, in meters.
+    const restLengthNumberControl = new NumberControl( CollisionLabStrings.restLength,
+      springBond.restLengthProperty,
+      springBond.restLengthProperty.range,
+      merge( {
+        delta: CollisionLabConstants.SPRING_REST_LENGTH_INTERVAL,
+        sliderOptions: {
+          constrainValue: value => Utils.roundToInterval( value, CollisionLabConstants.SPRING_REST_LENGTH_INTERVAL )
+        },
+        numberDisplayOptions: {
+          decimalPlaces: 2,
+          valuePattern: StringUtils.fillIn( CollisionLabStrings.pattern.valueSpaceUnits, {
+            units: CollisionLabStrings.units.meters
+          } )
+        }
+      }, options.numberControlOptions ) );
+
+    assert && assert( !options.children, 'SpringBondControl sets children' );
+    options.children = [ ballIndicesControl, stiffnessNumberControl, restLengthNumberControl ];
+
+    super( _.omit( options, 'numberControlOptions' ) );
+  }
+}
+
+export default SpringBondControl;
@@ -0,0 +1,105 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * SpringBondNode is the view representation of the SpringBond of the PlayArea, which appears as a zig-zag spring between
+ * the centers of the bonded Balls, behind the BallNodes. SpringBondNodes are only visible while the spring is enabled
+ * and both bonded Balls are in the BallSystem.
+ *
+ * SpringBondNodes are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * NOTE: Do not translate this node. It's origin must be at the origin of the view coordinate frame.
+ *
+ * @author agent
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import CollisionLabColors from '../CollisionLabColors.js';
+import BallSystem from '../model/BallSystem.js';
+import SpringBond from '../model/SpringBond.js';
+
+// constants
+const NUMBER_OF_COILS = 8;    // the number of zig-zags of the spring
+const COIL_AMPLITUDE = 6;     // the distance that the zig-zags extend from the line between the Balls, in view units
+
+class SpringBondNode extends Path {
+
+  /**
+   * @param {SpringBond} springBond
+   * @param {BallSystem} ballSystem
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( springBond, ballSystem, modelViewTransform, options ) {
+    assert && assert( springBond instanceof SpringBond, `invalid springBond: ${springBond}` );
+    assert && assert( ballSystem instanceof BallSystem, `invalid ballSystem: ${ballSystem}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2, `invalid modelViewTransform: ${modelViewTransform}` );
+
+    options = merge( {
+
+      // super-class options
+      stroke: CollisionLabColors.SPRING_STROKE,
+      lineWidth: 2,
+      lineJoin: 'round',
+      pickable: false
+
+    }, options );
+
+    super( null, options );
+
+    //----------------------------------------------------------------------------------------
+
+    // Gets the pair of Balls that are bonded by the spring.
+    const getBondedBalls = () => springBond.ballIndicesProperty.value.map( index => {
+      return ballSystem.prepopulatedBalls[ index - 1 ];
+    } );
+
+    // Re-draws the spring between the centers of the bonded Balls.
+    const updateShape = () => {
+      const [ ball1, ball2 ] = getBondedBalls();
+      const start = modelViewTransform.modelToViewPosition( ball1.positionProperty.value );
+      const end = modelViewTransform.modelToViewPosition( ball2.positionProperty.value );
+      const length = start.distance( end );
+
+      // Balls that aren't in the BallSystem may be on top of each other, where the spring has no direction.
+      if ( length === 0 ) {
+        this.shape = null;
+        return;
+      }
+
+      // The direction along the spring and the direction perpendicular to it, in view coordinates.
+      const direction = end.minus( start ).normalize();
+      const perpendicular = direction.perpendicular;
+
+      const shape = new Shape().moveToPoint( start );
+      for ( let i = 1; i < 2 * NUMBER_OF_COILS; i++ ) {
+        const offset = i % 2 === 0 ? -COIL_AMPLITUDE : COIL_AMPLITUDE;
+        shape.lineToPoint( start.plus( direction.times( length * i / ( 2 * NUMBER_OF_COILS ) ) ).add( perpendicular.times( offset ) ) );
+      }
+      this.shape = shape.lineToPoint( end );
+    };
+
+    // Observe when the spring is enabled, when the bonded Balls are chosen, or when the bonded Balls are added or
+    // removed from the BallSystem and update the visibility of the SpringBondNode. Multilink is never disposed since
+    // SpringBondNodes are never disposed.
+    Multilink.multilink( [
+      springBond.isEnabledProperty,
+      springBond.ballIndicesProperty,
+      ballSystem.balls.lengthProperty
+    ], isEnabled => {
+      this.visible = isEnabled && getBondedBalls().every( ball => ballSystem.balls.includes( ball ) );
+    } );
+
+    // Observe when other Balls are bonded or when the bonded Balls move and re-draw the spring. Links are never
+    // disposed since SpringBondNodes are never disposed.
+    springBond.ballIndicesProperty.link( updateShape );
+    ballSystem.prepopulatedBalls.forEach( ball => ball.positionProperty.lazyLink( () => {
+      getBondedBalls().includes( ball ) && updateShape();
+    } ) );
+  }
+}
+
+export default SpringBondNode;
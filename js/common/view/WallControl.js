@@ -0,0 +1,66 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * WallControl appears inside of the control-panel of screens that include Walls. It contains a 'Draw Walls' Checkbox,
+ * which toggles if dragging across the PlayArea draws Walls, and an EraserButton that removes every Wall from the
+ * PlayArea. The EraserButton is only enabled while there are Walls in the PlayArea.
+ *
+ * WallControls are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import merge from '../../../../phet-core/js/merge.js';
+import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
+import EraserButton from '../../../../scenery-phet/js/buttons/EraserButton.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabConstants from '../CollisionLabConstants.js';
+import PlayArea from '../model/PlayArea.js';
+import CollisionLabCheckbox from './CollisionLabCheckbox.js';
+
+class WallControl extends Node {
+
+  /**
+   * @param {PlayArea} playArea
+   * @param {Property.<boolean>} wallDrawingEnabledProperty - indicates if dragging across the PlayArea draws Walls.
+   * @param {Object} [options]
+   */
+  constructor( playArea, wallDrawingEnabledProperty, options ) {
+    assert && assert( playArea instanceof PlayArea, `invalid playArea: ${playArea}` );
+    assert && AssertUtils.assertPropertyOf( wallDrawingEnabledProperty, 'boolean' );
+    assert && assert( playArea.prepopulatedWalls.length > 0, 'PlayArea must support Walls' );
+
+    options = merge( {
+
+      // {number} - the width of the WallControl. The EraserButton is placed at the far-right side to align with the
+      //            icons of the Checkboxes of the control-panel.
+      width: CollisionLabConstants.CONTROL_PANEL_CONTENT_WIDTH
+
+    }, options );
+
+    //----------------------------------------------------------------------------------------
+
+    // EraserButton that removes every Wall from the PlayArea. Only enabled while there are Walls in the PlayArea.
+    const eraserButton = new EraserButton( {
+      listener: () => playArea.clearWalls(),
+      enabledProperty: new DerivedProperty( [ playArea.walls.lengthProperty ], numberOfWalls => numberOfWalls > 0 ),
+      iconWidth: 16,
+      right: options.width
+    } );
+
+    // 'Draw Walls' Checkbox
+    const wallDrawingCheckbox = new CollisionLabCheckbox( wallDrawingEnabledProperty, CollisionLabStrings.drawWalls, {
+      maxWidth: options.width - eraserButton.width - 10,
+      centerY: eraserButton.centerY
+    } );
+
+    assert && assert( !options.children, 'WallControl sets children' );
+    options.children = [ wallDrawingCheckbox, eraserButton ];
+
+    super( _.omit( options, 'width' ) );
+  }
+}
+
+export default WallControl;
@@ -0,0 +1,64 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * WallNode is the view representation of a single Wall, which appears inside of the PlayAreaNode. WallNodes are only
+ * visible while their Wall is in the PlayArea. WallNodes aren't interactive; Walls are drawn by dragging across the
+ * PlayAreaNode.
+ *
+ * WallNodes are created for every possible Wall at the start of the sim and are never disposed, so no dispose method
+ * is necessary.
+ *
+ * @author agent
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import merge from '../../../../phet-core/js/merge.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
+import CollisionLabColors from '../CollisionLabColors.js';
+import PlayArea from '../model/PlayArea.js';
+import Wall from '../model/Wall.js';
+
+class WallNode extends Line {
+
+  /**
+   * @param {Wall} wall
+   * @param {PlayArea} playArea - the PlayArea that the Wall is added to.
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( wall, playArea, modelViewTransform, options ) {
+    assert && assert( wall instanceof Wall, `invalid wall: ${wall}` );
+    assert && assert( playArea instanceof PlayArea, `invalid playArea: ${playArea}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2, `invalid modelViewTransform: ${modelViewTransform}` );
+
+    options = merge( {
+
+      // super-class options
+      stroke: CollisionLabColors.WALL_STROKE,
+      lineWidth: 4,
+      lineCap: 'round',
+      pickable: false
+
+    }, options );
+
+    super( options );
+
+    //----------------------------------------------------------------------------------------
+
+    // Observe when the Wall is added to or removed from the PlayArea and update the visibility of the WallNode. Link is
+    // never unlinked since WallNodes are never disposed.
+    playArea.walls.lengthProperty.link( () => {
+      this.visible = playArea.walls.includes( wall );
+    } );
+
+    // Observe when the end-points of the Wall change and update the WallNode. Multilink is never disposed since WallNodes
+    // are never disposed.
+    Multilink.multilink( [ wall.startPositionProperty, wall.endPositionProperty ], ( startPosition, endPosition ) => {
+      this.setPoint1( modelViewTransform.modelToViewPosition( startPosition ) );
+      this.setPoint2( modelViewTransform.modelToViewPosition( endPosition ) );
+    } );
+  }
+}
+
+export default WallNode;
@@ -46,7 +46,7 @@ class Explore1DCollisionEngine extends CollisionEngine {
    * @param {number} dt
    */
   handleBallToBallCollision( ball1, ball2, dt ) {
-    if ( this.playArea.elasticityPercentProperty.value === 0 ) {
+    if ( this.getElasticity( ball1, ball2 ) === 0 ) {
 
       const balls = this.findGroupedBalls( [ ball1, ball2 ] );
 
@@ -73,7 +73,7 @@ class Explore1DCollisionEngine extends CollisionEngine {
    * @param {number} dt
    */
   handleBallToBorderCollision( ball, dt ) {
-    if ( this.playArea.elasticityPercentProperty.value === 0 ) {
+    if ( this.getElasticity( ball, this.playArea ) === 0 ) {
       const balls = this.findGroupedBalls( [ ball ] );
 
       balls.forEach( ball => {
@@ -0,0 +1,144 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Explore1DCollisionEngine tests for Balls that collide with a row of touching Balls at the same instant, which are
+ * resolved together by the SimultaneousCollisionResolver. Every case is run with both models of the
+ * SimultaneousCollisionResolver. The cases with Balls of different masses, or with collisions at both ends of a row,
+ * depend on the order of the pairs, so they fail when the Collisions are handled one pair at a time.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import BallUtils from '../../common/model/BallUtils.js';
+import SimultaneousCollisionResolver from '../../common/model/SimultaneousCollisionResolver.js';
+import Explore1DBallSystem from './Explore1DBallSystem.js';
+import Explore1DCollisionEngine from './Explore1DCollisionEngine.js';
+import Explore1DPlayArea from './Explore1DPlayArea.js';
+
+// constants
+const LEFT = -0.8;         // the position of the left edge of the first Ball, in meters.
+const DT = 0.5;            // the time-delta of the step, in seconds, which includes every collision of the cases.
+const TOLERANCE = 1e-9;    // the tolerance of the compared values.
+
+// The models of the SimultaneousCollisionResolver, and every model for the tests that apply to all of them.
+const RESOLVER_MODELS = [
+  SimultaneousCollisionResolver.Model.CHAIN_PROPAGATION,
+  SimultaneousCollisionResolver.Model.SEQUENTIAL_IMPULSES
+];
+const ALL_MODELS = [ ...RESOLVER_MODELS, SimultaneousCollisionResolver.Model.PAIRWISE ];
+
+// The cases, where each Ball has a mass (in kg), an initial velocity (in m/s), and a gap (in meters) between it and the
+// Ball before it. The expected velocities after the step are given for each model of the SimultaneousCollisionResolver.
+const CASES = [ {
+  name: 'Newton\'s cradle',
+  masses: [ 0.5, 0.5, 0.5, 0.5 ],
+  velocities: [ 1, 0, 0, 0 ],
+  gaps: [ 0, 0.2, 0, 0 ],
+
+  // The moving Ball stops and the Ball at the other end of the row moves off with its velocity. With sequential
+  // impulses, the row moves off together and the moving Ball bounces back.
+  CHAIN_PROPAGATION: [ 0, 0, 0, 1 ],
+  SEQUENTIAL_IMPULSES: [ -1 / 2, 1 / 2, 1 / 2, 1 / 2 ]
+}, {
+  name: 'two-ball chain',
+  masses: [ 0.5, 0.5, 0.5, 0.5, 0.5 ],
+  velocities: [ 1, 1, 0, 0, 0 ],
+  gaps: [ 0, 0, 0.2, 0, 0 ],
+
+  // The two moving Balls stop and the two Balls at the other end of the row move off with their velocity. With
+  // sequential impulses, the two Balls and the row move off as two bodies.
+  CHAIN_PROPAGATION: [ 0, 0, 0, 1, 1 ],
+  SEQUENTIAL_IMPULSES: [ -1 / 5, -1 / 5, 4 / 5, 4 / 5, 4 / 5 ]
+}, {
+  name: 'Ball hit from both sides',
+  masses: [ 0.5, 1, 1.5 ],
+  velocities: [ 0.5, 0, -1 ],
+  gaps: [ 0, 0.1, 0.2 ],
+
+  // The contact that approaches the fastest, on the right, collides first. With sequential impulses, both contacts
+  // separate with their approaching speeds.
+  CHAIN_PROPAGATION: [ -53 / 30, -17 / 75, -7 / 75 ],
+  SEQUENTIAL_IMPULSES: [ -4 / 3, -5 / 6, 1 / 6 ]
+}, {
+  name: 'unequal masses at both ends of a row',
+  masses: [ 1, 0.5, 0.5, 0.5, 1.5 ],
+  velocities: [ 1, 0, 0, 0, -0.5 ],
+  gaps: [ 0, 0.2, 0, 0, 0.1 ],
+
+  // The collision propagates down the row from the left, and then back and forth. With sequential impulses, the row
+  // moves off together and the contacts at both ends separate with their approaching speeds.
+  CHAIN_PROPAGATION: [ -5 / 6, 0, 0, 1 / 6, 2 / 3 ],
+  SEQUENTIAL_IMPULSES: [ -7 / 8, 1 / 8, 1 / 8, 1 / 8, 5 / 8 ]
+} ];
+
+QUnit.module( 'Explore1DCollisionEngine' );
+
+/**
+ * Creates an Explore1DCollisionEngine with the Balls of a case, from left to right.
+ *
+ * @param {Object} testCase - see CASES.
+ * @param {SimultaneousCollisionResolver.Model} simultaneousCollisionModel
+ * @returns {{collisionEngine: Explore1DCollisionEngine, balls: Ball[]}}
+ */
+const createCase = ( testCase, simultaneousCollisionModel ) => {
+  const playArea = new Explore1DPlayArea();
+  const ballSystem = new Explore1DBallSystem( playArea );
+  const collisionEngine = new Explore1DCollisionEngine( playArea, ballSystem, {
+    simultaneousCollisionModel: simultaneousCollisionModel
+  } );
+
+  playArea.elasticityPercentProperty.value = 100;
+  ballSystem.numberOfBallsProperty.value = testCase.masses.length;
+
+  const balls = ballSystem.balls.slice();
+  let left = LEFT;
+  balls.forEach( ( ball, index ) => {
+    ball.massProperty.value = testCase.masses[ index ];
+
+    const radius = ball.radiusProperty.value;
+    left += testCase.gaps[ index ];
+    ball.positionProperty.value = new Vector2( left + radius, 0 );
+    ball.velocityProperty.value = new Vector2( testCase.velocities[ index ], 0 );
+    left += 2 * radius;
+  } );
+  return { collisionEngine: collisionEngine, balls: balls };
+};
+
+/**
+ * Gets the x-component of the total momentum of Balls.
+ *
+ * @param {Ball[]} balls
+ * @returns {number}
+ */
+const getMomentum = balls => _.sum( balls.map( ball => ball.momentumProperty.value.x ) );
+
+CASES.forEach( testCase => {
+  RESOLVER_MODELS.forEach( model => {
+    QUnit.test( `${testCase.name} (${model.name})`, assert => {
+      const { collisionEngine, balls } = createCase( testCase, model );
+
+      collisionEngine.step( DT, 0 );
+
+      testCase[ model.name ].forEach( ( velocity, index ) => {
+        const actualVelocity = balls[ index ].velocityProperty.value.x;
+        assert.ok( Math.abs( actualVelocity - velocity ) < TOLERANCE,
+          `Ball ${index + 1} velocity: ${actualVelocity}, expected ${velocity}` );
+      } );
+    } );
+  } );
+
+  ALL_MODELS.forEach( model => {
+    QUnit.test( `${testCase.name} conserves momentum and kinetic energy (${model.name})`, assert => {
+      const { collisionEngine, balls } = createCase( testCase, model );
+      const momentum = getMomentum( balls );
+      const kineticEnergy = BallUtils.getTotalKineticEnergy( balls );
+
+      collisionEngine.step( DT, 0 );
+
+      assert.ok( Math.abs( getMomentum( balls ) - momentum ) < TOLERANCE, `momentum: ${getMomentum( balls )}` );
+      assert.ok( Math.abs( BallUtils.getTotalKineticEnergy( balls ) - kineticEnergy ) < TOLERANCE,
+        `kinetic energy: ${BallUtils.getTotalKineticEnergy( balls )}` );
+    } );
+  } );
+} );
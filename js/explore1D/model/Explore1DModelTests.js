@@ -0,0 +1,73 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Explore1DModel tests for Balls that collapse inelastically, which happens with an elasticity of 20% and five Balls
+ * that end up pressed together against the border, when the touching Balls are handled one pair at a time.
+ *
+ * @author agent
+ */
+
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Explore1DModel from './Explore1DModel.js';
+
+// constants
+const DT = 1 / 60;           // the time-delta of each step, in seconds.
+const DURATION = 10;         // the duration of the motion, in seconds, which includes every collapse of the Balls.
+const MAX_ITERATIONS = 50;   // far below the default maxIterations of CollisionEngine.step(), see below.
+
+QUnit.module( 'Explore1DModel' );
+
+/**
+ * Creates an Explore1DModel with five Balls at their initial states, with an elasticity of 20%. The PlayArea has
+ * contact friction, which has no effect in 1D, but makes the CollisionEngine handle touching Balls one pair at a time
+ * instead of with the SimultaneousCollisionResolver, which resolves the Balls against the border together.
+ *
+ * @returns {Explore1DModel}
+ */
+const createModel = () => {
+  const model = new Explore1DModel( Tandem.OPT_OUT );
+  model.ballSystem.numberOfBallsProperty.value = 5;
+  model.playArea.elasticityPercentProperty.value = 20;
+  model.playArea.contactFrictionProperty.value = 0.5;
+  return model;
+};
+
+QUnit.test( 'inelastic collapse is reported', assert => {
+  const model = createModel();
+
+  let collapses = 0;
+  model.collisionEngine.inelasticCollapseEmitter.addListener( () => collapses++ );
+
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+  }
+
+  assert.ok( collapses > 0, `collapses: ${collapses}` );
+  assert.ok( model.inelasticCollapseProperty.value, 'collapse is shown' );
+
+  model.restart();
+  assert.ok( !model.inelasticCollapseProperty.value, 'collapse is no longer shown after restarting' );
+} );
+
+// Without resting contacts, the Balls that are pressed against the border collide hundreds of times in some steps.
+QUnit.test( 'every step finishes well within maxIterations', assert => {
+  const model = createModel();
+
+  // Count the iterations of the detection-response loop, which detects collisions once in each iteration.
+  const collisionEngine = model.collisionEngine;
+  const detectAllCollisions = collisionEngine.detectAllCollisions.bind( collisionEngine );
+  let iterations = 0;
+  collisionEngine.detectAllCollisions = ( elapsedTime, dt ) => {
+    iterations++;
+    detectAllCollisions( elapsedTime, dt );
+  };
+
+  let maxIterations = 0;
+  for ( let time = 0; time < DURATION; time += DT ) {
+    iterations = 0;
+    model.stepManual( DT );
+    maxIterations = Math.max( maxIterations, iterations );
+  }
+
+  assert.ok( maxIterations < MAX_ITERATIONS, `max iterations of a step: ${maxIterations}` );
+} );
@@ -60,7 +60,8 @@ class Explore1DScreenView extends CollisionLabScreenView {
       model.playArea.elasticityPercentProperty,
       model.ballSystem.ballsConstantSizeProperty,
       merge( options, {
-        includePathCheckbox: false
+        includePathCheckbox: false,
+        tableFriction: model.playArea.tableFriction
       } ) );
   }
 
@@ -5,7 +5,7 @@
  *
  * Although it adds no additional functionality to the super-class, it is added for symmetry within the screen-specific
  * model-view type hierarchy. It also verifies a correct configuration of initialBallStates for 2D and gives the
- * initial BallStates for the Explore 2D screen.
+ * initial BallStates for the Explore 2D screen, which depend on the shape of the border of the PlayArea.
  *
  * @author Brandon Li
  */
@@ -13,6 +13,7 @@
 import Vector2 from '../../../../dot/js/Vector2.js';
 import BallState from '../../common/model/BallState.js';
 import BallSystem from '../../common/model/BallSystem.js';
+import PlayArea from '../../common/model/PlayArea.js';
 import Explore2DPlayArea from './Explore2DPlayArea.js';
 
 class Explore2DBallSystem extends BallSystem {
@@ -24,7 +25,12 @@ class Explore2DBallSystem extends BallSystem {
   constructor( playArea, options ) {
     assert && assert( playArea instanceof Explore2DPlayArea, `invalid playArea: ${playArea}` );
 
-    super( Explore2DBallSystem.INITIAL_BALL_STATES, playArea, options );
+    // Non-rectangular borders are inside of the bounds of the PlayArea, so the Balls start closer to the center.
+    const initialBallStates = playArea.borderShape === PlayArea.BorderShape.RECTANGLE ?
+                              Explore2DBallSystem.INITIAL_BALL_STATES :
+                              Explore2DBallSystem.NON_RECTANGULAR_INITIAL_BALL_STATES;
+
+    super( initialBallStates, playArea, options );
 
     //----------------------------------------------------------------------------------------
 
@@ -33,10 +39,10 @@ class Explore2DBallSystem extends BallSystem {
     if ( assert ) {
 
       // Verify that the correct number of BallStates were provided.
-      assert( Explore2DBallSystem.INITIAL_BALL_STATES.length === this.numberOfBallsRange.max );
+      assert( initialBallStates.length === this.numberOfBallsRange.max );
 
-      // Verify that the position of BallStates were inside the PlayArea's bounds.
-      assert( Explore2DBallSystem.INITIAL_BALL_STATES.every( ballState => playArea.bounds.containsPoint( ballState.position ) ) );
+      // Verify that the position of BallStates were inside the PlayArea's border.
+      assert( initialBallStates.every( ballState => playArea.fullyContainsCircle( ballState.position, 0 ) ) );
     }
   }
 }
@@ -49,4 +55,13 @@ Explore2DBallSystem.INITIAL_BALL_STATES = [
   new BallState( new Vector2( 0.20, -0.65 ), new Vector2( 1.10, 0.200 ), 1.00 )
 ];
 
+// @public (read-only) {BallState[]} - the initial BallStates of all Balls in the 'Explore 2D' screen when the border of
+//                                     the PlayArea isn't rectangular. The Balls fit inside of the inscribed circle.
+Explore2DBallSystem.NON_RECTANGULAR_INITIAL_BALL_STATES = [
+  new BallState( new Vector2( -0.50, 0.10 ), new Vector2( 1.00, 0.300 ), 0.50 ),
+  new BallState( new Vector2( 0.10, 0.500 ), new Vector2( -0.5, -0.50 ), 1.50 ),
+  new BallState( new Vector2( -0.45, -0.45 ), new Vector2( -0.25, -0.5 ), 1.00 ),
+  new BallState( new Vector2( 0.35, -0.40 ), new Vector2( 1.10, 0.200 ), 1.00 )
+];
+
 export default Explore2DBallSystem;
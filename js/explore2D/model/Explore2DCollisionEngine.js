@@ -0,0 +1,635 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Explore2DCollisionEngine is a CollisionEngine sub-type for the 'Explore 2D' screen, which handles perfectly inelastic
+ * ball-to-ball collisions that 'stick' when 'Sticky Collisions' is on (see PlayArea.stickyCollisionsProperty), the
+ * motion of the Balls that are bonded by a spring when the 'Spring Bond' is on (see PlayArea.springBond), and the motion
+ * of Balls that attract each other when 'Mutual Gravity' is on (see PlayArea.mutualGravity) or that exert Coulomb
+ * forces on each other when 'Charges' is on (see PlayArea.chargesEnabledProperty), and the motion of charged Balls when
+ * the 'Magnetic Field' is on (see PlayArea.magneticField).
+ *
+ * ## Sticky Collision Response
+ *
+ *  - When two Balls collide with sticky collisions, they stick together into a RotatingBallCluster, which moves as a
+ *    rigid body. If either Ball is already in a cluster, the entire cluster is stuck to the other Ball (or to its
+ *    cluster), so clusters absorb free Balls and merge with other clusters. Each merge creates a new
+ *    RotatingBallCluster of all of the Balls, which conserves the linear and angular momentum of the Balls.
+ *
+ *  - When a Ball of a cluster collides with the border, a Peg, or a Wall, the impulse of the collision is applied to
+ *    the entire cluster (see RotatingBallCluster.applyContactImpulse()), which changes both the velocity of its
+ *    center-of-mass and its angular velocity.
+ *
+ * ## Cluster Collision Detection
+ *
+ *  - The Balls of a cluster move on circular paths around the moving center-of-mass of the cluster, so there is no
+ *    closed-form solution for when they collide. CollisionEngine doesn't detect the collisions of clustered Balls (see
+ *    CollisionEngine.isBallFree()). Instead, they are found with conservative advancement: the gap between the bodies
+ *    can close at most by the sum of the maximum speeds of the bodies, so advancing time by the gap divided by that sum
+ *    never passes the first contact. Once the bodies overlap, the exact time of contact is found with bisection (see
+ *    CollisionEngine.getAdvancementCollisionTime()).
+ *
+ *  - The collisions of clustered Balls are only searched for within the rest of the current time-step, so they are
+ *    re-detected on every time-step.
+ *
+ * ## Spring Bonds
+ *
+ *  - When the 'Spring Bond' is on, the pair of Balls chosen by the user is bonded by a spring into a BondedBallPair,
+ *    which oscillates while its center-of-mass moves uniformly. The bonded Balls are found in the same way as clustered
+ *    Balls, but unlike the Balls of a cluster, they can also collide with each other. Their collisions with other
+ *    bodies are ordinary impulses, which change the internal energy of the pair, so a pair that is hit starts
+ *    vibrating.
+ *
+ *  - Changing the velocity of one bonded Ball changes the path of the other, so their collisions are removed together.
+ *
+ * ## Mutual Gravity and Charges
+ *
+ *  - When 'Mutual Gravity' or 'Charges' is on, all of the Balls exert inverse-square forces on each other as an
+ *    InverseSquareBallGroup, whose motion is integrated numerically in between collisions instead of being solved in
+ *    closed-form. No Ball is free, and every collision is found with conservative advancement. Like bonded Balls, the
+ *    Balls of the group can collide with each other, and their collisions are ordinary impulses. If none of the Balls
+ *    interact (for example, if every Ball is uncharged), the Balls move uniformly instead.
+ *
+ *  - Changing the velocity of any Ball changes the force on every other Ball, so a collision removes the collisions of
+ *    all of the Balls. Balls that collapse into resting contact (see RestingContacts) stop attracting each other, since
+ *    the contact cancels their attraction.
+ *
+ * ## Magnetic Field
+ *
+ *  - When the 'Magnetic Field' is on, every charged Ball is a GyratingBall, which moves on a circle in closed-form. Like
+ *    clustered Balls, there is no closed-form solution for when gyrating Balls collide, so their collisions are found
+ *    with conservative advancement. Their collisions are ordinary impulses, which only change the path of the Ball that
+ *    is hit, and uncharged Balls move uniformly.
+ *
+ * Sticky collisions, spring bonds, mutual gravity, charges, and the magnetic field can't be combined with each other,
+ * nor with table friction, gravity, or a periodic border (see PlayArea), so free Balls move uniformly. They also can't
+ * be stepped backwards, since Balls that stick together never come apart, and the collisions of bonded, inverse-square
+ * grouped, and gyrating Balls are only found forwards in time.
+ *
+ * @author agent
+ */
+
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import CollisionLabUtils from '../../common/CollisionLabUtils.js';
+import Ball from '../../common/model/Ball.js';
+import BondedBallPair from '../../common/model/BondedBallPair.js';
+import Collision from '../../common/model/Collision.js';
+import CollisionEngine from '../../common/model/CollisionEngine.js';
+import GyratingBall from '../../common/model/GyratingBall.js';
+import InverseSquareBallGroup from '../../common/model/InverseSquareBallGroup.js';
+import Peg from '../../common/model/Peg.js';
+import RotatingBallCluster from '../../common/model/RotatingBallCluster.js';
+import Wall from '../../common/model/Wall.js';
+import Explore2DBallSystem from './Explore2DBallSystem.js';
+import Explore2DPlayArea from './Explore2DPlayArea.js';
+
+class Explore2DCollisionEngine extends CollisionEngine {
+
+  /**
+   * @param {Explore2DPlayArea} playArea
+   * @param {Explore2DBallSystem} ballSystem
+   */
+  constructor( playArea, ballSystem ) {
+    assert && assert( playArea instanceof Explore2DPlayArea, `invalid playArea: ${playArea}` );
+    assert && assert( ballSystem instanceof Explore2DBallSystem, `invalid ballSystem: ${ballSystem}` );
+
+    super( playArea, ballSystem );
+
+    // @private {RotatingBallCluster[]} - the clusters of Balls that have stuck together. A Ball is in at most one
+    //                                    cluster, and Balls that aren't in a cluster are free.
+    this.rotatingBallClusters = [];
+
+    // @private {BondedBallPair|null} - the pair of Balls that are bonded by the spring, or null if there is no bond.
+    //                                  Created on every time-step, so that it uses the latest spring settings.
+    this.bondedBallPair = null;
+
+    // @private {InverseSquareBallGroup|null} - all of the Balls when they exert inverse-square forces on each other, or
+    //                                          null if they don't. Created on every time-step, like the bondedBallPair.
+    this.inverseSquareBallGroup = null;
+
+    // @private {GyratingBall[]} - the charged Balls when the magnetic field is on. Created on every time-step, like the
+    //                             bondedBallPair.
+    this.gyratingBalls = [];
+  }
+
+  /**
+   * Resets the Explore2DCollisionEngine, which also releases the Balls of every cluster.
+   * @override
+   * @public
+   *
+   * Called when the reset/restart button is pressed or when some 'state' of the simulation changes.
+   */
+  reset() {
+    this.rotatingBallClusters.length = 0;
+    this.bondedBallPair = null;
+    this.inverseSquareBallGroup = null;
+    this.gyratingBalls.length = 0;
+    super.reset();
+  }
+
+  /**
+   * Steps the Explore2DCollisionEngine. Overridden to bond the chosen pair of Balls when the 'Spring Bond' is on, to
+   * group all of the Balls when 'Mutual Gravity' or 'Charges' is on, to make the charged Balls gyrate when the
+   * 'Magnetic Field' is on, and to re-detect the collisions of grouped Balls on every time-step.
+   * @override
+   * @public
+   *
+   * @param {number} dt - time-delta of this step, in seconds.
+   * @param {number} elapsedTime - elapsedTime, based on where the Balls are positioned when this method is called.
+   * @param {number} [maxIterations]
+   */
+  step( dt, elapsedTime, maxIterations ) {
+
+    // The Balls of the last bonded pair, inverse-square group, and gyrating Balls may move freely in this time-step, so
+    // their collisions are re-detected.
+    [ this.bondedBallPair, this.inverseSquareBallGroup, ...this.gyratingBalls ].forEach( group => {
+      group && this.invalidateGroupCollisions( group );
+    } );
+
+    const springBond = this.playArea.springBond;
+    const ball1 = this.ballSystem.prepopulatedBalls[ springBond.ballIndicesProperty.value[ 0 ] - 1 ];
+    const ball2 = this.ballSystem.prepopulatedBalls[ springBond.ballIndicesProperty.value[ 1 ] - 1 ];
+
+    this.bondedBallPair = springBond.isEnabledProperty.value &&
+                          this.ballSystem.balls.includes( ball1 ) && this.ballSystem.balls.includes( ball2 ) ?
+                          new BondedBallPair( ball1, ball2, springBond.stiffnessProperty.value, springBond.restLengthProperty.value ) :
+                          null;
+
+    const mutualGravity = this.playArea.mutualGravity;
+    const gravitationalConstant = mutualGravity.isEnabledProperty.value ? mutualGravity.strengthProperty.value : 0;
+    const coulombConstant = this.playArea.chargesEnabledProperty.value ? CollisionLabConstants.COULOMB_CONSTANT : 0;
+
+    // The coupling constant of a pair of Balls, in J*m. Pairs in resting contact don't attract each other.
+    const getCoupling = ( ball1, ball2 ) => {
+      const coupling = coulombConstant * ball1.chargeProperty.value * ball2.chargeProperty.value -
+                       gravitationalConstant * ball1.massProperty.value * ball2.massProperty.value;
+      return coupling < 0 && this.restingContacts.includes( ball1, ball2 ) ? 0 : coupling;
+    };
+
+    const inverseSquareBallGroup = ( gravitationalConstant || coulombConstant ) && this.ballSystem.balls.length > 1 ?
+                                   new InverseSquareBallGroup( this.ballSystem.balls.slice(), getCoupling ) :
+                                   null;
+    this.inverseSquareBallGroup = inverseSquareBallGroup && inverseSquareBallGroup.hasInteractions() ?
+                                  inverseSquareBallGroup :
+                                  null;
+
+    const magneticField = this.playArea.magneticField;
+    const magneticFieldStrength = magneticField.isEnabledProperty.value ? magneticField.strengthProperty.value : 0;
+
+    this.gyratingBalls = this.ballSystem.balls
+      .filter( ball => ball.chargeProperty.value * magneticFieldStrength !== 0 )
+      .map( ball => new GyratingBall( ball, magneticFieldStrength ) );
+
+    this.getBallGroups().forEach( group => this.invalidateGroupCollisions( group ) );
+
+    super.step( dt, elapsedTime, maxIterations );
+  }
+
+  /**
+   * Progresses the Balls forwards by the given time-delta, assuming there are no collisions.
+   * @protected
+   * @override
+   *
+   * @param {number} dt - time-delta, in seconds.
+   * @param {number} elapsedTime - elapsedTime, based on where the Balls are positioned when this method is called.
+   */
+  progressBalls( dt, elapsedTime ) {
+    assert && assert( typeof dt === 'number', `invalid dt: ${dt}` );
+    assert && assert( typeof elapsedTime === 'number' && elapsedTime >= 0, `invalid elapsedTime: ${elapsedTime}` );
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.Sim( 'Explore2DCollisionEngine.progressBalls' );
+    sceneryLog && sceneryLog.Sim && sceneryLog.push();
+
+    // Step the free Balls uniformly and step the clusters and the bonded pair, then update the trailing 'Paths' behind
+    // the Balls.
+    const groups = this.getBallGroups();
+    if ( groups.length ) {
+      this.ballSystem.balls.forEach( ball => { this.isBallFree( ball ) && ball.stepUniformMotion( dt ); } );
+      groups.forEach( group => group.step( dt ) );
+      this.ballSystem.updatePaths( elapsedTime + dt );
+    }
+    else {
+      super.progressBalls( dt, elapsedTime );
+    }
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.pop();
+  }
+
+  /**
+   * Detects all collisions that have not already been detected, including the collisions of clustered and bonded Balls.
+   * @protected
+   * @override
+   *
+   * @param {number} elapsedTime - elapsedTime, based on where the Balls are positioned when this method is called.
+   * @param {number} dt - the time-delta until the end of the time-step, in seconds.
+   */
+  detectAllCollisions( elapsedTime, dt ) {
+    super.detectAllCollisions( elapsedTime, dt );
+
+    this.getBallGroups().length && this.detectGroupedBallCollisions( elapsedTime, dt );
+  }
+
+  /**
+   * Whether a Ball is free, meaning it isn't stuck in a cluster, bonded by the spring, or attracted by other Balls.
+   * @protected
+   * @override
+   *
+   * @param {Ball} ball
+   * @returns {boolean}
+   */
+  isBallFree( ball ) {
+    return !this.getBallGroup( ball );
+  }
+
+  /**
+   * Removes all collisions that involve the passed-in body. Overridden to also remove the collisions of the other
+   * Balls of the bonded pair or of the inverse-square group, since changing the velocity of one of their Balls changes the
+   * paths of all of their Balls.
+   * @protected
+   * @override
+   *
+   * @param {Object} body
+   */
+  invalidateCollisions( body ) {
+    super.invalidateCollisions( body );
+
+    [ this.bondedBallPair, this.inverseSquareBallGroup ].forEach( group => {
+      if ( group && group.balls.includes( body ) ) {
+        group.balls.forEach( ball => { ball !== body && super.invalidateCollisions( ball ); } );
+      }
+    } );
+  }
+
+  //----------------------------------------------------------------------------------------
+
+  /**
+   * Processes and responds to a collision between two balls. Overridden to stick the Balls (and their clusters)
+   * together when 'Sticky Collisions' is on.
+   * @override
+   * @protected
+   *
+   * @param {Ball} ball1 - the first Ball involved in the collision.
+   * @param {Ball} ball2 - the second Ball involved in the collision.
+   * @param {number} dt
+   */
+  handleBallToBallCollision( ball1, ball2, dt ) {
+    assert && assert( ball1 instanceof Ball, `invalid ball1: ${ball1}` );
+    assert && assert( ball2 instanceof Ball, `invalid ball2: ${ball2}` );
+
+    if ( !this.playArea.stickyCollisionsProperty.value ) {
+      super.handleBallToBallCollision( ball1, ball2, dt );
+      return;
+    }
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `Explore2DCollisionEngine.handleBallToBallCollision #${ball1.index} #${ball2.index}` );
+    sceneryLog && sceneryLog.Sim && sceneryLog.push();
+
+    const cluster1 = this.getCluster( ball1 );
+    const cluster2 = this.getCluster( ball2 );
+
+    // The Balls may already be stuck together by another collision at the same instant.
+    if ( cluster1 && cluster1 === cluster2 ) {
+      sceneryLog && sceneryLog.Sim && sceneryLog.pop();
+      return;
+    }
+
+    // Replace the clusters of the Balls with a single cluster of all of their Balls.
+    _.pull( this.rotatingBallClusters, cluster1, cluster2 );
+    const cluster = new RotatingBallCluster( [
+      ...( cluster1 ? cluster1.balls : [ ball1 ] ),
+      ...( cluster2 ? cluster2.balls : [ ball2 ] )
+    ] );
+    this.rotatingBallClusters.push( cluster );
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `RotatingBallCluster created with ${cluster.balls.length} Balls` );
+
+    // Remove all collisions that involve the Balls of the new cluster.
+    this.invalidateGroupCollisions( cluster );
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.pop();
+  }
+
+  /**
+   * Processes a ball-to-border collision. Overridden to apply the impulse of the collision to the cluster of the Ball,
+   * if the Ball is in a cluster.
+   * @override
+   * @protected
+   *
+   * @param {Ball} ball - the Ball involved in the collision.
+   * @param {number} dt
+   */
+  handleBallToBorderCollision( ball, dt ) {
+    assert && assert( ball instanceof Ball, `invalid ball: ${ball}` );
+
+    const cluster = this.getCluster( ball );
+
+    if ( cluster ) {
+
+      // The normal of the side of the border that the Ball is colliding with, which is the closest side.
+      const normal = this.playArea.getClosestBorderNormal( ball.positionProperty.value );
+      this.handleClusterContact( cluster, ball, normal, this.getElasticity( ball, this.playArea ) );
+    }
+    else {
+      super.handleBallToBorderCollision( ball, dt );
+    }
+  }
+
+  /**
+   * Processes a ball-to-peg collision. Overridden to apply the impulse of the collision to the cluster of the Ball, if
+   * the Ball is in a cluster.
+   * @override
+   * @protected
+   *
+   * @param {Ball} ball - the Ball involved in the collision.
+   * @param {Peg} peg - the Peg involved in the collision.
+   * @param {number} dt
+   */
+  handleBallToPegCollision( ball, peg, dt ) {
+    assert && assert( ball instanceof Ball, `invalid ball: ${ball}` );
+    assert && assert( peg instanceof Peg, `invalid peg: ${peg}` );
+
+    const cluster = this.getCluster( ball );
+
+    if ( cluster ) {
+
+      // The 'line of impact', from the center of the Peg to the center of the Ball.
+      const normal = ball.positionProperty.value.minus( peg.positionProperty.value ).normalize();
+      this.handleClusterContact( cluster, ball, normal, this.getElasticity( ball, peg ) );
+    }
+    else {
+      super.handleBallToPegCollision( ball, peg, dt );
+    }
+  }
+
+  /**
+   * Processes a ball-to-wall collision. Overridden to apply the impulse of the collision to the cluster of the Ball,
+   * if the Ball is in a cluster.
+   * @override
+   * @protected
+   *
+   * @param {Ball} ball - the Ball involved in the collision.
+   * @param {Wall} wall - the Wall involved in the collision.
+   * @param {number} dt
+   */
+  handleBallToWallCollision( ball, wall, dt ) {
+    assert && assert( ball instanceof Ball, `invalid ball: ${ball}` );
+    assert && assert( wall instanceof Wall, `invalid wall: ${wall}` );
+
+    const cluster = this.getCluster( ball );
+
+    if ( cluster ) {
+
+      // The 'line of impact', from the closest point of the Wall to the center of the Ball.
+      const normal = ball.positionProperty.value.minus( wall.getClosestPoint( ball.positionProperty.value ) ).normalize();
+      this.handleClusterContact( cluster, ball, normal, this.getElasticity( ball, wall ) );
+    }
+    else {
+      super.handleBallToWallCollision( ball, wall, dt );
+    }
+  }
+
+  /*----------------------------------------------------------------------------*
+   * Rotating Ball Clusters
+   *----------------------------------------------------------------------------*/
+
+  /**
+   * Gets the cluster that a Ball is stuck in.
+   * @private
+   *
+   * @param {Ball} ball
+   * @returns {RotatingBallCluster|null} - null if the Ball is free.
+   */
+  getCluster( ball ) {
+    return _.find( this.rotatingBallClusters, cluster => cluster.balls.includes( ball ) ) || null;
+  }
+
+  /**
+   * Gets the clusters, the bonded pair, the inverse-square group, and the gyrating Balls, which are the groups of Balls
+   * that don't move uniformly.
+   * @private
+   *
+   * @returns {Array.<RotatingBallCluster|BondedBallPair|InverseSquareBallGroup|GyratingBall>}
+   */
+  getBallGroups() {
+    return this.bondedBallPair || this.inverseSquareBallGroup || this.gyratingBalls.length ? [
+      ...this.rotatingBallClusters,
+      this.bondedBallPair,
+      this.inverseSquareBallGroup,
+      ...this.gyratingBalls
+    ].filter( _.identity ) : this.rotatingBallClusters;
+  }
+
+  /**
+   * Gets the cluster, the bonded pair, the inverse-square group, or the gyrating Ball that a Ball moves with.
+   * @private
+   *
+   * @param {Ball} ball
+   * @returns {RotatingBallCluster|BondedBallPair|InverseSquareBallGroup|GyratingBall|null} - null if the Ball is free.
+   */
+  getBallGroup( ball ) {
+    return _.find( this.getBallGroups(), group => group.balls.includes( ball ) ) || null;
+  }
+
+  /**
+   * Removes all collisions that involve the Balls of a cluster, of the bonded pair, of the inverse-square group, or of a
+   * gyrating Ball.
+   * @private
+   *
+   * @param {RotatingBallCluster|BondedBallPair|InverseSquareBallGroup|GyratingBall} group
+   */
+  invalidateGroupCollisions( group ) {
+    group.balls.forEach( ball => this.invalidateCollisions( ball ) );
+  }
+
+  /**
+   * Responds to a collision between a Ball of a cluster and a fixed body (the border, a Peg, or a Wall) by applying the
+   * impulse of the collision to the entire cluster.
+   * @private
+   *
+   * @param {RotatingBallCluster} cluster
+   * @param {Ball} ball - the Ball of the cluster that is colliding.
+   * @param {Vector2} normal - the unit normal of the contact, which points from the fixed body into the Ball.
+   * @param {number} elasticity
+   */
+  handleClusterContact( cluster, ball, normal, elasticity ) {
+    sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `Explore2DCollisionEngine.handleClusterContact #${ball.index}` );
+
+    const contactPoint = ball.positionProperty.value.minus( normal.times( ball.radiusProperty.value ) );
+    cluster.applyContactImpulse( contactPoint, normal, elasticity );
+
+    // Remove all collisions that involve the Balls of the cluster, since all of their velocities changed.
+    this.invalidateGroupCollisions( cluster );
+  }
+
+  /**
+   * Gets the position of a Ball after some time-delta, assuming there are no collisions.
+   * @private
+   *
+   * @param {Ball} ball
+   * @param {number} dt
+   * @returns {Vector2}
+   */
+  getBallPosition( ball, dt ) {
+    const group = this.getBallGroup( ball );
+    return group ? group.getBallPosition( ball, dt ) :
+           ball.velocityProperty.value.times( dt ).add( ball.positionProperty.value );
+  }
+
+  /**
+   * Gets the velocity of a Ball after some time-delta, assuming there are no collisions.
+   * @private
+   *
+   * @param {Ball} ball
+   * @param {number} dt
+   * @returns {Vector2}
+   */
+  getBallVelocity( ball, dt ) {
+    const group = this.getBallGroup( ball );
+    return group ? group.getBallVelocity( ball, dt ) : ball.velocityProperty.value;
+  }
+
+  /**
+   * Gets the maximum speed of the center of a Ball, assuming there are no collisions.
+   * @private
+   *
+   * @param {Ball} ball
+   * @returns {number}
+   */
+  getMaxBallSpeed( ball ) {
+    const group = this.getBallGroup( ball );
+    return group ? group.getMaxBallSpeed( ball ) : ball.velocityProperty.value.magnitude;
+  }
+
+  /**
+   * Detects the collisions of the Balls of every cluster, of the bonded pair, of the inverse-square group, and of every
+   * gyrating Ball with other Balls, the border, Pegs, and Walls that have not already been detected and that occur
+   * within the rest of the time-step. For newly detected collisions, information is encapsulated in a Collision
+   * instance, with the grouped Ball as the first body.
+   * @private
+   *
+   * @param {number} elapsedTime - elapsedTime, based on where the Balls are positioned when this method is called.
+   * @param {number} dt - the time-delta until the end of the time-step, in seconds.
+   */
+  detectGroupedBallCollisions( elapsedTime, dt ) {
+    assert && assert( dt >= 0, 'sticky collisions, spring bonds, mutual gravity, charges, and magnetic fields are not time-reversible' );
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.Sim( 'detectGroupedBallCollisions' );
+    sceneryLog && sceneryLog.Sim && sceneryLog.push();
+
+    const balls = this.ballSystem.balls;
+
+    for ( let i = balls.length - 1; i >= 0; i-- ) {
+      const ball = balls[ i ];
+      const group = this.getBallGroup( ball );
+      const radius = ball.radiusProperty.value;
+
+      if ( !group ) { continue; }
+
+      // Ball-ball collisions with the Balls that aren't in the same cluster. The Balls of the bonded pair and of the
+      // inverse-square group can collide with each other. Pairs of grouped Balls are only checked from the Ball with the
+      // greater index.
+      for ( let j = balls.length - 1; j >= 0; j-- ) {
+        const otherBall = balls[ j ];
+        const otherGroup = this.getBallGroup( otherBall );
+
+        if ( otherBall === ball || ( otherGroup === group && group instanceof RotatingBallCluster ) ||
+             ( otherGroup && otherBall.index > ball.index ) || this.hasCollisionBetween( ball, otherBall ) ) {
+          continue;
+        }
+
+        const sumOfRadii = radius + otherBall.radiusProperty.value;
+        this.addGroupedBallCollision( ball, otherBall, elapsedTime, dt,
+          time => this.getBallPosition( ball, time ).distance( this.getBallPosition( otherBall, time ) ) - sumOfRadii,
+          time => {
+            const deltaR = this.getBallPosition( otherBall, time ).minus( this.getBallPosition( ball, time ) );
+            const deltaV = this.getBallVelocity( otherBall, time ).minus( this.getBallVelocity( ball, time ) );
+            return CollisionLabUtils.clampDown( deltaV.dot( deltaR ) ) < 0;
+          },
+          this.getMaxBallSpeed( ball ) + this.getMaxBallSpeed( otherBall ),
+          sumOfRadii
+        );
+      }
+
+      // Ball-peg collisions.
+      this.playArea.pegs.forEach( peg => {
+        if ( this.hasCollisionBetween( ball, peg ) ) { return; }
+
+        const pegPosition = peg.positionProperty.value;
+        this.addGroupedBallCollision( ball, peg, elapsedTime, dt,
+          time => this.getBallPosition( ball, time ).distance( pegPosition ) - radius - peg.radius,
+          time => CollisionLabUtils.clampDown(
+            this.getBallVelocity( ball, time ).dot( this.getBallPosition( ball, time ).minus( pegPosition ) ) ) < 0,
+          this.getMaxBallSpeed( ball ),
+          radius + peg.radius
+        );
+      } );
+
+      // Ball-wall collisions.
+      this.playArea.walls.forEach( wall => {
+        if ( this.hasCollisionBetween( ball, wall ) ) { return; }
+
+        this.addGroupedBallCollision( ball, wall, elapsedTime, dt,
+          time => {
+            const position = this.getBallPosition( ball, time );
+            return position.distance( wall.getClosestPoint( position ) ) - radius;
+          },
+          time => {
+            const position = this.getBallPosition( ball, time );
+            return CollisionLabUtils.clampDown(
+              this.getBallVelocity( ball, time ).dot( position.minus( wall.getClosestPoint( position ) ) ) ) < 0;
+          },
+          this.getMaxBallSpeed( ball ),
+          radius
+        );
+      } );
+
+      // Ball-border collisions. In the design, if a Ball is partially out-of-bounds when the Reflecting Border is
+      // turned on, it will continue to escape. Balls that are touching the border are still in-bounds.
+      if ( this.playArea.reflectingBorderProperty.value &&
+           CollisionLabUtils.clampDown( this.playArea.getBorderGap( ball.positionProperty.value, radius ) ) >= 0 &&
+           !this.hasCollisionBetween( ball, this.playArea ) ) {
+
+        this.addGroupedBallCollision( ball, this.playArea, elapsedTime, dt,
+          time => this.playArea.getBorderGap( this.getBallPosition( ball, time ), radius ),
+          time => CollisionLabUtils.clampDown( this.getBallVelocity( ball, time )
+            .dot( this.playArea.getClosestBorderNormal( this.getBallPosition( ball, time ) ) ) ) < 0,
+          this.getMaxBallSpeed( ball ),
+          radius
+        );
+      }
+    }
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.pop();
+  }
+
+  /**
+   * Finds when a grouped Ball will collide with another body within the rest of the time-step and saves a Collision
+   * of the bodies (see CollisionEngine.getAdvancementCollisionTime()). A Collision without a time is saved if the bodies
+   * don't collide within the time-step, so that they aren't re-detected until the next time-step.
+   * @private
+   *
+   * @param {Ball} ball - the Ball of a cluster, of the bonded pair, of the inverse-square group, or a gyrating Ball.
+   * @param {Object} body - the other body.
+   * @param {number} elapsedTime - elapsedTime, based on where the Balls are positioned when this method is called.
+   * @param {number} dt - the time-delta until the end of the time-step, in seconds.
+   * @param {function(time:number):number} getGap - gets the gap between the bodies after a time-delta. Negative when
+   *                                                overlapping.
+   * @param {function(time:number):boolean} isApproaching - indicates if the bodies are moving towards each other after
+   *                                                        a time-delta. Negligible approaching speeds are ignored, so
+   *                                                        that bodies that are touching after a perfectly inelastic
+   *                                                        collision don't collide again.
+   * @param {number} maxSpeed - the maximum rate that the gap between the bodies can close, in meters per second.
+   * @param {number} size - the sum of the radii of the bodies, in meters, which scales the minimum advancement.
+   */
+  addGroupedBallCollision( ball, body, elapsedTime, dt, getGap, isApproaching, maxSpeed, size ) {
+    const collisionTime = this.getAdvancementCollisionTime( getGap, isApproaching, maxSpeed, size, elapsedTime, dt );
+
+    const collision = Collision.createFromPool( ball, body, collisionTime );
+
+    sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `adding collision ${collision}` );
+
+    // Register the collision and encapsulate information in a Collision instance.
+    this.addCollision( collision );
+  }
+}
+
+export default Explore2DCollisionEngine;
@@ -0,0 +1,151 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Explore2DCollisionEngine tests for the circular and polygonal borders of the arenaShape query parameter. The
+ * ball-border collision times are compared against the distance that the Ball travels to the border, and the velocities
+ * after a ball-border collision are compared against the reflection about the normal of the border.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import PlayArea from '../../common/model/PlayArea.js';
+import Explore2DBallSystem from './Explore2DBallSystem.js';
+import Explore2DCollisionEngine from './Explore2DCollisionEngine.js';
+import Explore2DPlayArea from './Explore2DPlayArea.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const DURATION = 10;       // the duration of the motion in the arena, in seconds.
+const TOLERANCE = 1e-9;    // the tolerance of the compared values.
+
+// The half-width and half-height of the diamond, which has slanted sides so that its normals aren't axis-aligned.
+const A = 1.6;
+const B = 0.9;
+const DIAMOND_VERTICES = [ new Vector2( A, 0 ), new Vector2( 0, B ), new Vector2( -A, 0 ), new Vector2( 0, -B ) ];
+
+// The outward unit normal of the top-right side of the diamond, and the distance from the center to that side.
+const DIAMOND_NORMAL = new Vector2( B, A ).normalized();
+const DIAMOND_DISTANCE = A * B / Math.sqrt( A * A + B * B );
+
+QUnit.module( 'Explore2DCollisionEngine' );
+
+/**
+ * Creates an Explore2DCollisionEngine with one Ball, in an Explore2DPlayArea with the passed-in border.
+ *
+ * @param {PlayArea.BorderShape} borderShape
+ * @param {Vector2[]|null} borderVertices
+ * @returns {Explore2DCollisionEngine}
+ */
+const createCollisionEngine = ( borderShape, borderVertices ) => {
+  const playArea = new Explore2DPlayArea( { borderShape: borderShape, borderVertices: borderVertices } );
+  const ballSystem = new Explore2DBallSystem( playArea );
+  ballSystem.numberOfBallsProperty.value = 1;
+  return new Explore2DCollisionEngine( playArea, ballSystem );
+};
+
+/**
+ * Places the Ball of the CollisionEngine touching the border from the inside, at the point of the border with the
+ * passed-in outward normal, and handles its collision with the border. Asserts that the normal component of the
+ * velocity of the Ball is reflected and scaled by the elasticity, and that the tangential component is unchanged.
+ *
+ * @param {Object} assert
+ * @param {Explore2DCollisionEngine} collisionEngine
+ * @param {Vector2} borderPoint - the point of the border that the Ball touches.
+ * @param {Vector2} normal - the outward unit normal of the border at the point.
+ * @param {Vector2} velocity - the velocity of the Ball, towards the border.
+ * @param {number} elasticity
+ */
+const assertReflection = ( assert, collisionEngine, borderPoint, normal, velocity, elasticity ) => {
+  const ball = collisionEngine.ballSystem.balls[ 0 ];
+  collisionEngine.playArea.elasticityPercentProperty.value = elasticity * 100;
+  ball.positionProperty.value = borderPoint.minus( normal.timesScalar( ball.radiusProperty.value ) );
+  ball.velocityProperty.value = velocity;
+
+  collisionEngine.handleBallToBorderCollision( ball, DT );
+
+  const normalVelocity = velocity.dot( normal );
+  const expectedVelocity = velocity.minus( normal.timesScalar( ( 1 + elasticity ) * normalVelocity ) );
+  assert.ok( ball.velocityProperty.value.equalsEpsilon( expectedVelocity, TOLERANCE ),
+    `${velocity} is reflected about ${normal} with an elasticity of ${elasticity}: ${ball.velocityProperty.value}` );
+};
+
+/**
+ * Steps a Ball around the arena of the CollisionEngine. Asserts that the Ball stays inside of the border and that its
+ * speed is unchanged, since its collisions with the border are elastic.
+ *
+ * @param {Object} assert
+ * @param {Explore2DCollisionEngine} collisionEngine
+ */
+const assertBouncesInside = ( assert, collisionEngine ) => {
+  const ball = collisionEngine.ballSystem.balls[ 0 ];
+  const playArea = collisionEngine.playArea;
+  ball.positionProperty.value = new Vector2( 0.1, -0.2 );
+  ball.velocityProperty.value = new Vector2( 1.3, 0.7 );
+  const speed = ball.speedProperty.value;
+
+  let minGap = Infinity;
+  let elapsedTime = 0;
+  for ( let i = 0; i < DURATION / DT; i++ ) {
+    collisionEngine.step( DT, elapsedTime );
+    elapsedTime += DT;
+    minGap = Math.min( minGap, playArea.getBorderGap( ball.positionProperty.value, ball.radiusProperty.value ) );
+  }
+
+  assert.ok( minGap > -TOLERANCE, `min gap between the Ball and the border: ${minGap}` );
+  assert.ok( Math.abs( ball.speedProperty.value - speed ) < TOLERANCE, 'the speed of the Ball is unchanged' );
+};
+
+QUnit.test( 'circular border collision times', assert => {
+  const collisionEngine = createCollisionEngine( PlayArea.BorderShape.CIRCLE, null );
+  const radius = collisionEngine.ballSystem.balls[ 0 ].radiusProperty.value;
+  const borderRadius = collisionEngine.playArea.borderRadius;
+
+  // From the center, the Ball travels the radius of the border minus its own radius, in any direction.
+  assert.ok( Math.abs( collisionEngine.getBorderCollisionTime( Vector2.ZERO, new Vector2( 1.5, 2 ), radius, 1 ) -
+                       ( 1 + ( borderRadius - radius ) / 2.5 ) ) < TOLERANCE, 'from the center' );
+
+  // Off-center, the Ball travels along a chord of the circle of the positions where it touches the border.
+  const chordTime = Math.sqrt( ( borderRadius - radius ) ** 2 - 0.3 ** 2 ) / 2;
+  assert.ok( Math.abs( collisionEngine.getBorderCollisionTime( new Vector2( 0, 0.3 ), new Vector2( 2, 0 ), radius, 0 ) -
+                       chordTime ) < TOLERANCE, 'along a chord' );
+
+  assert.equal( collisionEngine.getBorderCollisionTime( new Vector2( 0, 0.3 ), Vector2.ZERO, radius, 0 ), null,
+    'a Ball at rest never collides' );
+} );
+
+QUnit.test( 'circular border reflection about the normal', assert => {
+  const collisionEngine = createCollisionEngine( PlayArea.BorderShape.CIRCLE, null );
+  const normal = Vector2.createPolar( 1, Math.PI / 3 );
+  const borderPoint = normal.timesScalar( collisionEngine.playArea.borderRadius );
+
+  assertReflection( assert, collisionEngine, borderPoint, normal, new Vector2( 1, 0.5 ), 1 );
+  assertReflection( assert, collisionEngine, borderPoint, normal, new Vector2( 1, 0.5 ), 0.5 );
+  assertBouncesInside( assert, createCollisionEngine( PlayArea.BorderShape.CIRCLE, null ) );
+} );
+
+QUnit.test( 'polygonal border collision times', assert => {
+  const collisionEngine = createCollisionEngine( PlayArea.BorderShape.POLYGON, DIAMOND_VERTICES );
+  const radius = collisionEngine.ballSystem.balls[ 0 ].radiusProperty.value;
+
+  // From the center, along the normal of a side, the Ball travels the distance to the side minus its own radius.
+  const velocity = DIAMOND_NORMAL.timesScalar( 2 );
+  assert.ok( Math.abs( collisionEngine.getBorderCollisionTime( Vector2.ZERO, velocity, radius, 0 ) -
+                       ( DIAMOND_DISTANCE - radius ) / 2 ) < TOLERANCE, 'along the normal' );
+
+  // Horizontally, the Ball touches the top-right side where the normal component of its position is the distance to
+  // the side minus its own radius.
+  const y = 0.2;
+  const x = ( ( DIAMOND_DISTANCE - radius ) - DIAMOND_NORMAL.y * y ) / DIAMOND_NORMAL.x;
+  assert.ok( Math.abs( collisionEngine.getBorderCollisionTime( new Vector2( 0, y ), new Vector2( 2, 0 ), radius, 0 ) -
+                       x / 2 ) < TOLERANCE, 'horizontally' );
+} );
+
+QUnit.test( 'polygonal border reflection about the normal', assert => {
+  const collisionEngine = createCollisionEngine( PlayArea.BorderShape.POLYGON, DIAMOND_VERTICES );
+  const borderPoint = DIAMOND_VERTICES[ 0 ].average( DIAMOND_VERTICES[ 1 ] );
+
+  assertReflection( assert, collisionEngine, borderPoint, DIAMOND_NORMAL, new Vector2( 1, 0.5 ), 1 );
+  assertReflection( assert, collisionEngine, borderPoint, DIAMOND_NORMAL, new Vector2( 1, 0.5 ), 0.5 );
+  assertBouncesInside( assert, createCollisionEngine( PlayArea.BorderShape.POLYGON, DIAMOND_VERTICES ) );
+} );
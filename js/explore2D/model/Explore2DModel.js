@@ -6,12 +6,27 @@
  * @author Brandon Li
  */
 
+import Tandem from '../../../../tandem/js/Tandem.js';
 import CollisionLabModel from '../../common/model/CollisionLabModel.js';
 import Explore2DBallSystem from './Explore2DBallSystem.js';
+import Explore2DCollisionEngine from './Explore2DCollisionEngine.js';
 import Explore2DPlayArea from './Explore2DPlayArea.js';
+import RutherfordScattering from './RutherfordScattering.js';
 
 class Explore2DModel extends CollisionLabModel {
 
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+    assert && assert( tandem instanceof Tandem, `invalid tandem: ${tandem}` );
+
+    super( tandem );
+
+    // @public (read-only) {RutherfordScattering} - the scattering of Ball 1 by Ball 2 when charges are enabled.
+    this.rutherfordScattering = new RutherfordScattering( this.ballSystem, this.playArea, this.elapsedTimeProperty );
+  }
+
   /**
    * Creates the PlayArea for the 'Explore 2D' screen, which uses a screen-specific sub-type of PlayArea. Called in the
    * constructor of the super-class, which uses the Factory Method Pattern.
@@ -38,6 +53,23 @@ class Explore2DModel extends CollisionLabModel {
 
     return new Explore2DBallSystem( playArea );
   }
+
+  /**
+   * Creates the CollisionEngine for the 'Explore 2D' screen, which uses a screen-specific sub-type of CollisionEngine.
+   * Called in the constructor of the super-class, which uses the Factory Method Pattern.
+   * @override
+   * @protected
+   *
+   * @param {Explore2DPlayArea} playArea
+   * @param {Explore2DBallSystem} ballSystem
+   * @returns {Explore2DCollisionEngine}
+   */
+  createCollisionEngine( playArea, ballSystem ) {
+    assert && assert( playArea instanceof Explore2DPlayArea, `invalid playArea: ${playArea}` );
+    assert && assert( ballSystem instanceof Explore2DBallSystem, `invalid ballSystem: ${ballSystem}` );
+
+    return new Explore2DCollisionEngine( playArea, ballSystem );
+  }
 }
 
 export default Explore2DModel;
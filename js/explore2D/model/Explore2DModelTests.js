@@ -0,0 +1,54 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Explore2DModel tests for a pile of Balls that settles in a corner of the PlayArea with gravity, which happens when
+ * students point gravity into a corner with four Balls and an elasticity of 20% in Explore 2D.
+ *
+ * @author agent
+ */
+
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Explore2DModel from './Explore2DModel.js';
+
+// constants
+const DT = 1 / 60;           // the time-delta of each step, in seconds.
+const SETTLE_TIME = 10;      // the time that the Balls take to settle into a pile in the corner, in seconds.
+const DURATION = 20;         // the duration of the motion, in seconds.
+const MAX_ITERATIONS = 20;   // the max iterations of a step once the pile has settled, see below.
+const TOLERANCE = 1e-6;      // how far the Balls may overlap the border, in meters.
+
+QUnit.module( 'Explore2DModel' );
+
+// Re-detecting every collision on each time-step, or resolving the contacts of the pile with the border separately
+// from the contacts between its Balls, takes hundreds of iterations in some steps of the settled pile.
+QUnit.test( 'a settled pile of Balls steps with few iterations', assert => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  model.ballSystem.numberOfBallsProperty.value = 4;
+  model.playArea.elasticityPercentProperty.value = 20;
+  model.playArea.uniformGravity.isEnabledProperty.value = true;
+  model.playArea.uniformGravity.directionProperty.value = -135;
+
+  // Count the iterations of the detection-response loop, which detects collisions once in each iteration.
+  const collisionEngine = model.collisionEngine;
+  const detectAllCollisions = collisionEngine.detectAllCollisions.bind( collisionEngine );
+  let iterations = 0;
+  collisionEngine.detectAllCollisions = ( elapsedTime, dt ) => {
+    iterations++;
+    detectAllCollisions( elapsedTime, dt );
+  };
+
+  let maxIterations = 0;
+  for ( let time = 0; time < DURATION; time += DT ) {
+    iterations = 0;
+    model.stepManual( DT );
+    time > SETTLE_TIME && ( maxIterations = Math.max( maxIterations, iterations ) );
+  }
+
+  assert.ok( maxIterations < MAX_ITERATIONS, `max iterations of a step: ${maxIterations}` );
+
+  const playArea = model.playArea;
+  model.ballSystem.balls.forEach( ball => {
+    assert.ok( ball.left > playArea.left - TOLERANCE && ball.bottom > playArea.bottom - TOLERANCE,
+      `Ball ${ball.index} is inside the border` );
+  } );
+} );
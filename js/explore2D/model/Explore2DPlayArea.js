@@ -1,19 +1,35 @@
 // Copyright 2020-2026, University of Colorado Boulder
 
 /**
- * Explore2DPlayArea is a PlayArea sub-type for the 'Explore 2D' screen.
+ * Explore2DPlayArea is a PlayArea sub-type for the 'Explore 2D' screen. The shape of its border is determined by the
+ * arenaShape query parameter, which is the only way to choose it (there is no control in the sim).
  *
  * @author Brandon Li
  */
 
 import Range from '../../../../dot/js/Range.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import merge from '../../../../phet-core/js/merge.js';
 import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import CollisionLabQueryParameters from '../../common/CollisionLabQueryParameters.js';
 import PlayArea from '../../common/model/PlayArea.js';
 
 // constants
 const ELASTICITY_PERCENT_RANGE = CollisionLabConstants.ELASTICITY_PERCENT_RANGE;
 const ELASTICITY_PERCENT_INTERVAL = CollisionLabConstants.ELASTICITY_PERCENT_INTERVAL;
 
+// The vertices of the regular hexagonal border, which has flat sides at the top and bottom of the default bounds.
+const HALF_HEIGHT = PlayArea.DEFAULT_BOUNDS.height / 2;
+const HALF_SIDE = HALF_HEIGHT / Math.sqrt( 3 );
+const HEXAGON_VERTICES = [
+  new Vector2( 2 * HALF_SIDE, 0 ),
+  new Vector2( HALF_SIDE, HALF_HEIGHT ),
+  new Vector2( -HALF_SIDE, HALF_HEIGHT ),
+  new Vector2( -2 * HALF_SIDE, 0 ),
+  new Vector2( -HALF_SIDE, -HALF_HEIGHT ),
+  new Vector2( HALF_SIDE, -HALF_HEIGHT )
+];
+
 class Explore2DPlayArea extends PlayArea {
 
   /**
@@ -21,6 +37,18 @@ class Explore2DPlayArea extends PlayArea {
    */
   constructor( options ) {
 
+    options = merge( {
+
+      // super-class options
+      maxPegs: CollisionLabConstants.MAX_PEGS,
+      maxWalls: CollisionLabConstants.MAX_WALLS,
+      borderShape: CollisionLabQueryParameters.arenaShape === 'circle' ? PlayArea.BorderShape.CIRCLE :
+                   CollisionLabQueryParameters.arenaShape === 'hexagon' ? PlayArea.BorderShape.POLYGON :
+                   PlayArea.BorderShape.RECTANGLE,
+      borderVertices: CollisionLabQueryParameters.arenaShape === 'hexagon' ? HEXAGON_VERTICES : null
+
+    }, options );
+
     super( PlayArea.Dimension.TWO, options );
 
     //----------------------------------------------------------------------------------------
@@ -0,0 +1,193 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * RutherfordScattering measures how Ball 1 (the projectile) is scattered by Ball 2 (the target) in the 'Explore 2D'
+ * screen when charges are enabled (see PlayArea.chargesEnabledProperty), and compares it to the analytic prediction
+ * of Rutherford scattering. It is a model of a classic experiment: a light charged Ball is aimed at a heavy charged
+ * Ball with a chosen impact parameter, and is deflected by the Coulomb force between them.
+ *
+ * The incoming states of the projectile and the target are recorded whenever the elapsed time is zero, which is when
+ * the user sets up the Balls and when the sim is restarted. The measured scattering angle is the angle between the
+ * current velocity of the projectile and its incoming velocity, which settles on the final scattering angle once the
+ * projectile has left the target.
+ *
+ * The prediction treats the projectile and the target as an isolated pair of point charges, with the coupling constant
+ * c = k * q1 * q2 and the reduced mass mu = m1 * m2 / ( m1 + m2 ). The energy, E, and the angular momentum, L, of
+ * the relative motion are conserved, which give the relative speed at infinity, v = sqrt( 2 * E / mu ), and the impact
+ * parameter, b = |L| / ( mu * v ). The relative velocity of the pair is deflected by the angle theta, where
+ *
+ *   tan( theta / 2 ) = |c| / ( mu * v^2 * b )
+ *
+ * Like charges deflect the projectile away from the target and unlike charges deflect it towards the target. The final
+ * velocity of the projectile is the velocity of the center-of-mass plus m2 / ( m1 + m2 ) of the final relative
+ * velocity, which gives the predicted scattering angle in the frame of the PlayArea. For a target that is much heavier
+ * than the projectile, this is the scattering angle of Rutherford's formula. See
+ * https://en.wikipedia.org/wiki/Rutherford_scattering_experiments.
+ *
+ * The prediction assumes that the incoming relative velocity is the relative velocity at infinity, so it is only
+ * accurate if the Balls start far apart. There is no prediction if the Balls are bound to each other or if they would
+ * touch, since they then collide, which Rutherford's formula doesn't describe.
+ *
+ * RutherfordScatterings are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Multilink from '../../../../axon/js/Multilink.js';
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import Ball from '../../common/model/Ball.js';
+import BallSystem from '../../common/model/BallSystem.js';
+import PlayArea from '../../common/model/PlayArea.js';
+
+class RutherfordScattering {
+
+  /**
+   * @param {BallSystem} ballSystem
+   * @param {PlayArea} playArea
+   * @param {Property.<number>} elapsedTimeProperty
+   */
+  constructor( ballSystem, playArea, elapsedTimeProperty ) {
+    assert && assert( ballSystem instanceof BallSystem, `invalid ballSystem: ${ballSystem}` );
+    assert && assert( playArea instanceof PlayArea, `invalid playArea: ${playArea}` );
+    assert && assert( elapsedTimeProperty instanceof Property, `invalid elapsedTimeProperty: ${elapsedTimeProperty}` );
+
+    // @public (read-only) {Ball} - the Ball that is scattered (Ball 1) and the Ball that scatters it (Ball 2).
+    this.projectile = ballSystem.prepopulatedBalls[ 0 ];
+    this.target = ballSystem.prepopulatedBalls[ 1 ];
+
+    // Convenience function that gets the current states of the projectile and the target.
+    const getIncomingState = () => ( {
+      projectile: RutherfordScattering.getIncomingBallState( this.projectile ),
+      target: RutherfordScattering.getIncomingBallState( this.target )
+    } );
+
+    // @private {Property.<{projectile: Object, target: Object}>} - the incoming states of the projectile and the target.
+    //                                                              See getIncomingBallState().
+    this.incomingStateProperty = new Property( getIncomingState() );
+
+    // Observe when the projectile or the target change while the elapsed time is zero and record their incoming states.
+    // Multilink is never disposed since RutherfordScatterings are never disposed.
+    Multilink.lazyMultilink( [ elapsedTimeProperty, ..._.flatMap( [ this.projectile, this.target ], ball => [
+      ball.positionProperty,
+      ball.velocityProperty,
+      ball.massProperty,
+      ball.radiusProperty,
+      ball.chargeProperty
+    ] ) ], elapsedTime => {
+      if ( elapsedTime === 0 ) {
+        this.incomingStateProperty.value = getIncomingState();
+      }
+    } );
+
+    // @public {ReadOnlyProperty.<number|null>} - the angle between the current velocity of the projectile and its
+    //                                            incoming velocity, in degrees. Null if either velocity is zero.
+    //                                            DerivedProperty is never disposed.
+    this.measuredAngleProperty = new DerivedProperty( [ this.incomingStateProperty, this.projectile.velocityProperty ],
+      ( incomingState, velocity ) => {
+        const incomingVelocity = incomingState.projectile.velocity;
+        return incomingVelocity.magnitude > 0 && velocity.magnitude > 0 ?
+               Utils.toDegrees( incomingVelocity.angleBetween( velocity ) ) :
+               null;
+      } );
+
+    // @public {ReadOnlyProperty.<{angle: number, impactParameter: number, origin: Vector2, direction: Vector2}|null>} -
+    //   the prediction of Rutherford scattering, with the predicted scattering angle (in degrees), the impact parameter
+    //   (in meters), the incoming position of the target, and the predicted final direction of the projectile. Null if
+    //   charges are disabled, if the projectile or the target isn't in the BallSystem, or if there is no prediction.
+    //   DerivedProperty is never disposed.
+    this.predictionProperty = new DerivedProperty( [
+      this.incomingStateProperty,
+      playArea.chargesEnabledProperty,
+      ballSystem.balls.lengthProperty
+    ], ( incomingState, chargesEnabled ) => {
+      return chargesEnabled && ballSystem.balls.includes( this.projectile ) && ballSystem.balls.includes( this.target ) ?
+             RutherfordScattering.getPrediction( incomingState.projectile, incomingState.target ) :
+             null;
+    } );
+  }
+
+  /**
+   * Gets the incoming state of a Ball, which are the values of the Ball that the prediction depends on.
+   * @private
+   *
+   * @param {Ball} ball
+   * @returns {{position: Vector2, velocity: Vector2, mass: number, radius: number, charge: number}}
+   */
+  static getIncomingBallState( ball ) {
+    assert && assert( ball instanceof Ball, `invalid ball: ${ball}` );
+
+    return {
+      position: ball.positionProperty.value,
+      velocity: ball.velocityProperty.value,
+      mass: ball.massProperty.value,
+      radius: ball.radiusProperty.value,
+      charge: ball.chargeProperty.value
+    };
+  }
+
+  /**
+   * Gets the prediction of Rutherford scattering from the incoming states of the projectile and the target.
+   * @private
+   *
+   * @param {Object} projectile - the incoming state of the projectile, see getIncomingBallState().
+   * @param {Object} target - the incoming state of the target, see getIncomingBallState().
+   * @returns {{angle: number, impactParameter: number, origin: Vector2, direction: Vector2}|null} - null if there is
+   *                                                                                              no prediction.
+   */
+  static getPrediction( projectile, target ) {
+    const coupling = CollisionLabConstants.COULOMB_CONSTANT * projectile.charge * target.charge;
+    const totalMass = projectile.mass + target.mass;
+    const reducedMass = projectile.mass * target.mass / totalMass;
+    const relativePosition = projectile.position.minus( target.position );
+    const relativeVelocity = projectile.velocity.minus( target.velocity );
+    const distance = relativePosition.magnitude;
+
+    if ( coupling === 0 || projectile.velocity.magnitude === 0 || relativeVelocity.magnitude === 0 || distance === 0 ) {
+      return null;
+    }
+
+    // The energy of the relative motion. Pairs without a positive energy are bound to each other and never separate.
+    const energy = 0.5 * reducedMass * relativeVelocity.magnitudeSquared + coupling / distance;
+    if ( energy <= 0 ) {
+      return null;
+    }
+
+    const speedAtInfinity = Math.sqrt( 2 * energy / reducedMass );
+    const angularMomentum = reducedMass * relativePosition.crossScalar( relativeVelocity );
+    const impactParameter = Math.abs( angularMomentum ) / ( reducedMass * speedAtInfinity );
+
+    // The distance of closest approach of the Balls. Balls that would touch collide instead of being scattered.
+    const halfHeadOnDistance = coupling / ( 2 * energy );
+    const closestDistance = halfHeadOnDistance + Math.sqrt( halfHeadOnDistance * halfHeadOnDistance +
+                                                            impactParameter * impactParameter );
+    if ( closestDistance <= projectile.radius + target.radius ) {
+      return null;
+    }
+
+    // Rotate the relative velocity by the deflection, away from the target for like charges and towards it otherwise.
+    const deflection = 2 * Math.atan2( Math.abs( coupling ), 2 * energy * impactParameter );
+    const rotation = ( angularMomentum < 0 ? 1 : -1 ) * Math.sign( coupling ) * deflection;
+    const finalRelativeVelocity = relativeVelocity.normalized().rotate( rotation ).multiplyScalar( speedAtInfinity );
+
+    const centerOfMassVelocity = projectile.velocity.times( projectile.mass )
+      .add( target.velocity.times( target.mass ) )
+      .divideScalar( totalMass );
+    const finalVelocity = centerOfMassVelocity.add( finalRelativeVelocity.multiplyScalar( target.mass / totalMass ) );
+
+    if ( finalVelocity.magnitude === 0 ) {
+      return null;
+    }
+
+    return {
+      angle: Utils.toDegrees( projectile.velocity.angleBetween( finalVelocity ) ),
+      impactParameter: impactParameter,
+      origin: target.position,
+      direction: finalVelocity.normalized()
+    };
+  }
+}
+
+export default RutherfordScattering;
@@ -0,0 +1,89 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * RutherfordScattering tests. A light charged Ball that is aimed at a heavy charged Ball is deflected by the Coulomb
+ * force between them, away from the heavy Ball for like charges and towards it for unlike charges, by the scattering
+ * angle that is predicted by Rutherford's formula.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import Explore2DModel from './Explore2DModel.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const DURATION = 0.9;      // the projectile passes the target within this duration, in seconds.
+const TOLERANCE = 1e-6;    // the tolerance of the compared values.
+
+QUnit.module( 'RutherfordScattering' );
+
+/**
+ * Creates an Explore2DModel with charges, where Ball 1 is a light projectile that is aimed at Ball 2, a heavy target
+ * at rest at the origin, with an impact parameter of 0.6 m.
+ *
+ * @param {number} targetCharge - the charge of the target, in Coulombs. The projectile has a charge of 0.2 C.
+ * @returns {Explore2DModel}
+ */
+const createScatteringModel = targetCharge => {
+  const model = new Explore2DModel( Tandem.OPT_OUT );
+  model.playArea.chargesEnabledProperty.value = true;
+
+  const [ projectile, target ] = model.ballSystem.balls;
+  projectile.massProperty.value = 0.1;
+  projectile.chargeProperty.value = 0.2;
+  projectile.positionProperty.value = new Vector2( -1.4, 0.6 );
+  projectile.velocityProperty.value = new Vector2( 3, 0 );
+  target.massProperty.value = 3;
+  target.chargeProperty.value = targetCharge;
+  target.positionProperty.value = Vector2.ZERO;
+  target.velocityProperty.value = Vector2.ZERO;
+  return model;
+};
+
+[ 0.2, -0.2 ].forEach( targetCharge => {
+
+  QUnit.test( `the projectile is scattered by the predicted angle (target charge: ${targetCharge})`, assert => {
+    const model = createScatteringModel( targetCharge );
+    const [ projectile, target ] = model.ballSystem.balls;
+    const rutherfordScattering = model.rutherfordScattering;
+    const prediction = rutherfordScattering.predictionProperty.value;
+
+    // The energy of the Balls, which is the kinetic energy plus the potential energy of the Coulomb force, k*q1*q2/r.
+    const getEnergy = () => {
+      const distance = projectile.positionProperty.value.distance( target.positionProperty.value );
+      return model.ballSystem.totalKineticEnergyProperty.value + 0.2 * targetCharge / distance;
+    };
+    const energy = getEnergy();
+
+    let maxEnergyError = 0;
+    for ( let time = 0; time < DURATION; time += DT ) {
+      model.stepManual( DT );
+      maxEnergyError = Math.max( maxEnergyError, Math.abs( getEnergy() - energy ) );
+    }
+
+    // The Balls start and end a finite distance apart, so the measured angle is close to the prediction, which is for
+    // Balls that start and end infinitely far apart.
+    assert.ok( prediction && Math.abs( prediction.impactParameter - 0.6 ) < 0.03, 'the impact parameter' );
+    assert.ok( Math.abs( rutherfordScattering.measuredAngleProperty.value - prediction.angle ) < 1,
+      `measured angle: ${rutherfordScattering.measuredAngleProperty.value}, predicted angle: ${prediction.angle}` );
+    assert.ok( Math.sign( projectile.velocityProperty.value.y ) === Math.sign( targetCharge ),
+      'like charges repel and unlike charges attract' );
+    assert.ok( maxEnergyError < TOLERANCE, `max error of the energy: ${maxEnergyError}` );
+  } );
+} );
+
+QUnit.test( 'there is no prediction without charges or for Balls that collide', assert => {
+  const model = createScatteringModel( 0.2 );
+  const projectile = model.ballSystem.balls[ 0 ];
+  const rutherfordScattering = model.rutherfordScattering;
+  assert.ok( rutherfordScattering.predictionProperty.value, 'a prediction for Balls that pass each other' );
+
+  projectile.positionProperty.value = new Vector2( -1.4, 0.1 );
+  assert.equal( rutherfordScattering.predictionProperty.value, null, 'no prediction for Balls that would touch' );
+
+  projectile.positionProperty.value = new Vector2( -1.4, 0.6 );
+  model.playArea.chargesEnabledProperty.value = false;
+  assert.equal( rutherfordScattering.predictionProperty.value, null, 'no prediction without charges' );
+} );
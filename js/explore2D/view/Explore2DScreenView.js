@@ -6,15 +6,56 @@
  * @author BrandonLi
  */
 
+import merge from '../../../../phet-core/js/merge.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import PlayArea from '../../common/model/PlayArea.js';
 import BallSystemNode from '../../common/view/BallSystemNode.js';
 import CollisionLabScreenView from '../../common/view/CollisionLabScreenView.js';
 import CollisionLabViewProperties from '../../common/view/CollisionLabViewProperties.js';
 import Explore2DModel from '../model/Explore2DModel.js';
 import Explore2DControlPanel from './Explore2DControlPanel.js';
+import MagneticFieldNode from './MagneticFieldNode.js';
+import RutherfordPredictionNode from './RutherfordPredictionNode.js';
+import ScatteringAngleDisplay from './ScatteringAngleDisplay.js';
 
 class Explore2DScreenView extends CollisionLabScreenView {
 
+  /**
+   * @param {Explore2DModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   */
+  constructor( model, tandem, options ) {
+    assert && assert( model instanceof Explore2DModel, `invalid model: ${model}` );
+    assert && assert( tandem instanceof Tandem, `invalid tandem: ${tandem}` );
+
+    options = merge( {
+      includeExplosions: true,
+      includeCharges: true
+    }, options );
+
+    super( model, tandem, options );
+
+    //----------------------------------------------------------------------------------------
+
+    // Magnetic field symbols, behind the Balls.
+    const magneticFieldNode = new MagneticFieldNode( model.playArea.magneticField, model.playArea.bounds,
+      this.modelViewTransform );
+    this.insertChild( this.indexOfChild( this.ballSystemNode ), magneticFieldNode );
+
+    // Rutherford scattering prediction, behind the Balls.
+    const rutherfordPredictionNode = new RutherfordPredictionNode( model.rutherfordScattering, this.modelViewTransform );
+    this.insertChild( this.indexOfChild( this.ballSystemNode ), rutherfordPredictionNode );
+
+    // Scattering angle display, just inside the top-left corner of the PlayArea.
+    const scatteringAngleDisplay = new ScatteringAngleDisplay( model.rutherfordScattering, {
+      left: this.playAreaViewBounds.left + 5,
+      top: this.playAreaViewBounds.top + 5
+    } );
+    this.insertChild( this.indexOfChild( this.ballSystemNode ), scatteringAngleDisplay );
+  }
+
   /**
    * Creates the CollisionLabControlPanel for the 'Explore 2D' screen. Called in the constructor of the super-class. For
    * this screen, his method will instantiate a sub-type of CollisionLabControlPanel: Explore2DControlPanel.
@@ -38,7 +79,21 @@ class Explore2DScreenView extends CollisionLabScreenView {
       model.playArea.elasticityPercentProperty,
       model.playArea.enabledElasticityRange,
       model.ballSystem.ballsConstantSizeProperty,
-      options
+      merge( options, {
+        tableFriction: model.playArea.tableFriction,
+        uniformGravity: model.playArea.uniformGravity,
+        contactFrictionProperty: model.playArea.contactFrictionProperty,
+        stickyCollisionsProperty: model.playArea.stickyCollisionsProperty,
+        springBond: model.playArea.springBond,
+        mutualGravity: model.playArea.mutualGravity,
+        chargesEnabledProperty: model.playArea.chargesEnabledProperty,
+        magneticField: model.playArea.magneticField,
+
+        // Only rectangular borders can be periodic.
+        periodicBorderProperty: model.playArea.borderShape === PlayArea.BorderShape.RECTANGLE ?
+                                model.playArea.periodicBorderProperty :
+                                null
+      } )
     );
   }
 
@@ -0,0 +1,97 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * MagneticFieldNode is the view representation of the MagneticField of the PlayArea, which appears as a grid of the
+ * conventional symbols of a field that is perpendicular to the page: dots inside of circles when the field points out
+ * of the PlayArea, and crosses when it points into the PlayArea. It is only visible when the magnetic field is enabled
+ * and has a strength.
+ *
+ * MagneticFieldNodes are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * NOTE: Do not translate this node. It's origin must be at the origin of the view coordinate frame.
+ *
+ * @author agent
+ */
+
+import Multilink from '../../../../axon/js/Multilink.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import CollisionLabColors from '../../common/CollisionLabColors.js';
+import MagneticField from '../../common/model/MagneticField.js';
+
+// constants
+const SYMBOL_SPACING = 0.4; // the spacing between the symbols, in meters
+const SYMBOL_RADIUS = 5;    // the radius of each symbol, in view coordinates
+const DOT_RADIUS = 1;       // the radius of the dot of the 'out of the PlayArea' symbol, in view coordinates
+
+class MagneticFieldNode extends Path {
+
+  /**
+   * @param {MagneticField} magneticField
+   * @param {Bounds2} playAreaBounds - the bounds of the PlayArea, in model coordinates.
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( magneticField, playAreaBounds, modelViewTransform, options ) {
+    assert && assert( magneticField instanceof MagneticField, `invalid magneticField: ${magneticField}` );
+    assert && assert( playAreaBounds instanceof Bounds2, `invalid playAreaBounds: ${playAreaBounds}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2, `invalid modelViewTransform: ${modelViewTransform}` );
+
+    options = merge( {
+
+      // super-class options
+      stroke: CollisionLabColors.MAGNETIC_FIELD_SYMBOL_STROKE,
+      lineWidth: 1.5,
+      pickable: false
+
+    }, options );
+
+    super( null, options );
+
+    //----------------------------------------------------------------------------------------
+
+    // The centers of the symbols, in view coordinates, on a grid that is centered in the PlayArea.
+    const columns = Math.floor( playAreaBounds.width / SYMBOL_SPACING );
+    const rows = Math.floor( playAreaBounds.height / SYMBOL_SPACING );
+    const symbolCenters = [];
+    for ( let column = 0; column < columns; column++ ) {
+      for ( let row = 0; row < rows; row++ ) {
+        symbolCenters.push( modelViewTransform.modelToViewXY(
+          playAreaBounds.centerX + ( column - ( columns - 1 ) / 2 ) * SYMBOL_SPACING,
+          playAreaBounds.centerY + ( row - ( rows - 1 ) / 2 ) * SYMBOL_SPACING
+        ) );
+      }
+    }
+
+    // The grid of dots inside of circles, for a field that points out of the PlayArea.
+    const outOfPlayAreaShape = new Shape();
+    symbolCenters.forEach( center => {
+      outOfPlayAreaShape.circle( center.x, center.y, SYMBOL_RADIUS ).circle( center.x, center.y, DOT_RADIUS );
+    } );
+    outOfPlayAreaShape.makeImmutable();
+
+    // The grid of crosses, for a field that points into the PlayArea.
+    const intoPlayAreaShape = new Shape();
+    const halfCrossWidth = SYMBOL_RADIUS / Math.SQRT2;
+    symbolCenters.forEach( center => {
+      intoPlayAreaShape
+        .moveTo( center.x - halfCrossWidth, center.y - halfCrossWidth )
+        .lineTo( center.x + halfCrossWidth, center.y + halfCrossWidth )
+        .moveTo( center.x - halfCrossWidth, center.y + halfCrossWidth )
+        .lineTo( center.x + halfCrossWidth, center.y - halfCrossWidth );
+    } );
+    intoPlayAreaShape.makeImmutable();
+
+    // Observe when the magnetic field changes and update the symbols. Multilink is never disposed since
+    // MagneticFieldNodes are never disposed.
+    Multilink.multilink( [ magneticField.isEnabledProperty, magneticField.strengthProperty ], ( isEnabled, strength ) => {
+      this.visible = isEnabled && strength !== 0;
+      this.shape = strength > 0 ? outOfPlayAreaShape : intoPlayAreaShape;
+    } );
+  }
+}
+
+export default MagneticFieldNode;
@@ -0,0 +1,64 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * RutherfordPredictionNode is the view representation of the prediction of a RutherfordScattering, which appears as a
+ * dashed ray from the incoming position of the target along the predicted final direction of the projectile. Comparing
+ * the trailing path of the projectile to the ray shows how well the prediction matches the scattering. It is only
+ * visible when there is a prediction.
+ *
+ * RutherfordPredictionNodes are created at the start of the sim and are never disposed, so no dispose method is
+ * necessary.
+ *
+ * NOTE: Do not translate this node. It's origin must be at the origin of the view coordinate frame.
+ *
+ * @author agent
+ */
+
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import CollisionLabColors from '../../common/CollisionLabColors.js';
+import RutherfordScattering from '../model/RutherfordScattering.js';
+
+// constants
+const RAY_LENGTH = 1; // the length of the ray, in meters
+
+class RutherfordPredictionNode extends Path {
+
+  /**
+   * @param {RutherfordScattering} rutherfordScattering
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( rutherfordScattering, modelViewTransform, options ) {
+    assert && assert( rutherfordScattering instanceof RutherfordScattering, `invalid rutherfordScattering: ${rutherfordScattering}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2, `invalid modelViewTransform: ${modelViewTransform}` );
+
+    options = merge( {
+
+      // super-class options
+      stroke: CollisionLabColors.RUTHERFORD_PREDICTION_STROKE,
+      lineWidth: 1.5,
+      lineDash: [ 6, 4 ],
+      pickable: false
+
+    }, options );
+
+    super( null, options );
+
+    //----------------------------------------------------------------------------------------
+
+    // Observe when the prediction changes and re-draw the ray. Link is never disposed since RutherfordPredictionNodes
+    // are never disposed.
+    rutherfordScattering.predictionProperty.link( prediction => {
+      this.visible = !!prediction;
+      this.shape = prediction ? new Shape()
+        .moveToPoint( modelViewTransform.modelToViewPosition( prediction.origin ) )
+        .lineToPoint( modelViewTransform.modelToViewPosition( prediction.origin.plus( prediction.direction.times( RAY_LENGTH ) ) ) )
+        .makeImmutable() : null;
+    } );
+  }
+}
+
+export default RutherfordPredictionNode;
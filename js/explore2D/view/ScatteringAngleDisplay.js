@@ -0,0 +1,105 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * ScatteringAngleDisplay is a VBox sub-type that displays the scattering of a RutherfordScattering inside of the
+ * PlayArea. It shows the measured scattering angle of the projectile, the scattering angle that Rutherford's formula
+ * predicts, and the impact parameter of the projectile, and is only visible when there is a prediction.
+ *
+ * ScatteringAngleDisplays are created at the start of the sim and are never disposed, so no dispose method is
+ * necessary.
+ *
+ * @author agent
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberDisplay from '../../../../scenery-phet/js/NumberDisplay.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import RutherfordScattering from '../model/RutherfordScattering.js';
+
+// constants
+const ANGLE_RANGE = new Range( 0, 180 );         // the range of the scattering angles, in degrees
+const ANGLE_DECIMAL_PLACES = 1;
+const IMPACT_PARAMETER_RANGE = new Range( 0, 9 ); // the display range of the impact parameter, in meters
+
+class ScatteringAngleDisplay extends VBox {
+
+  /**
+   * @param {RutherfordScattering} rutherfordScattering
+   * @param {Object} [options]
+   */
+  constructor( rutherfordScattering, options ) {
+    assert && assert( rutherfordScattering instanceof RutherfordScattering, `invalid rutherfordScattering: ${rutherfordScattering}` );
+
+    options = merge( {
+
+      // {Object} - passed to all of the NumberDisplays.
+      numberDisplayOptions: {
+        align: 'left',
+        backgroundFill: Color.WHITE.withAlpha( 0.6 ),
+        backgroundLineWidth: 0,
+        textOptions: {
+          font: CollisionLabConstants.DISPLAY_FONT
+        },
+        maxWidth: 220 // constrain width for i18n, determined empirically
+      },
+
+      // superclass options
+      spacing: 3,
+      align: 'left'
+
+    }, options );
+
+    //----------------------------------------------------------------------------------------
+
+    // Convenience function that creates a NumberDisplay that labels a value with a pattern, like 'Measured = 12.3°'.
+    const createNumberDisplay = ( numberProperty, pattern, label, units, range, decimalPlaces ) => {
+      return new NumberDisplay( numberProperty, range, merge( {
+        decimalPlaces: decimalPlaces,
+        valuePattern: StringUtils.fillIn( pattern, {
+          label: label,
+          units: units
+        } )
+      }, options.numberDisplayOptions ) );
+    };
+
+    // DerivedProperties are never disposed since ScatteringAngleDisplays are never disposed.
+    const predictedAngleProperty = new DerivedProperty( [ rutherfordScattering.predictionProperty ],
+      prediction => prediction ? prediction.angle : null );
+    const impactParameterProperty = new DerivedProperty( [ rutherfordScattering.predictionProperty ],
+      prediction => prediction ? prediction.impactParameter : null );
+
+    const titleText = new Text( CollisionLabStrings.scatteringAngle, {
+      font: CollisionLabConstants.PANEL_TITLE_FONT,
+      maxWidth: options.numberDisplayOptions.maxWidth
+    } );
+
+    assert && assert( !options.children, 'ScatteringAngleDisplay sets children' );
+    options.children = [
+      titleText,
+      createNumberDisplay( rutherfordScattering.measuredAngleProperty, CollisionLabStrings.pattern.labelEqualsValueUnits,
+        CollisionLabStrings.measured, CollisionLabStrings.units.degrees, ANGLE_RANGE, ANGLE_DECIMAL_PLACES ),
+      createNumberDisplay( predictedAngleProperty, CollisionLabStrings.pattern.labelEqualsValueUnits,
+        CollisionLabStrings.rutherford, CollisionLabStrings.units.degrees, ANGLE_RANGE, ANGLE_DECIMAL_PLACES ),
+      createNumberDisplay( impactParameterProperty, CollisionLabStrings.pattern.labelEqualsValueSpaceUnits,
+        CollisionLabStrings.impactParameter, CollisionLabStrings.units.meters, IMPACT_PARAMETER_RANGE,
+        CollisionLabConstants.DISPLAY_DECIMAL_PLACES )
+    ];
+
+    super( _.omit( options, 'numberDisplayOptions' ) );
+
+    // Only show the display when there is a prediction. Link is never disposed since ScatteringAngleDisplays are never
+    // disposed.
+    rutherfordScattering.predictionProperty.link( prediction => {
+      this.visible = !!prediction;
+    } );
+  }
+}
+
+export default ScatteringAngleDisplay;
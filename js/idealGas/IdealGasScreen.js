@@ -0,0 +1,38 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * The 'Ideal Gas' screen. Conforms to the contract specified in joist/Screen.
+ *
+ * @author agent
+ */
+
+import Property from '../../../axon/js/Property.js';
+import Screen from '../../../joist/js/Screen.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import CollisionLabStrings from '../CollisionLabStrings.js';
+import CollisionLabColors from '../common/CollisionLabColors.js';
+import CollisionLabIconFactory from '../common/view/CollisionLabIconFactory.js';
+import IdealGasModel from './model/IdealGasModel.js';
+import IdealGasScreenView from './view/IdealGasScreenView.js';
+
+class IdealGasScreen extends Screen {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+    assert && assert( tandem instanceof Tandem, `invalid tandem: ${tandem}` );
+
+    const createModel = () => new IdealGasModel( tandem.createTandem( 'model' ) );
+    const createView = model => new IdealGasScreenView( model, tandem.createTandem( 'view' ) );
+
+    super( createModel, createView, {
+      name: CollisionLabStrings.screen.idealGasStringProperty,
+      backgroundColorProperty: new Property( CollisionLabColors.SCREEN_BACKGROUND ),
+      homeScreenIcon: CollisionLabIconFactory.createIdealGasScreenIcon(),
+      tandem: tandem
+    } );
+  }
+}
+
+export default IdealGasScreen;
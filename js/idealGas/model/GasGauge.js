@@ -0,0 +1,103 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * GasGauge measures the state of the gas in the 'Ideal Gas' screen: its pressure, the area of its container, its
+ * temperature, and its number of Balls, which are related by the ideal gas law. In 2D, the area of the container takes
+ * the place of the volume of the gas, and the pressure is a force per unit length of the border:
+ *
+ *   P * A = N * k * T
+ *
+ * The temperature comes from the mean translational kinetic energy of the Balls. Each Ball has two translational
+ * degrees of freedom, which each hold 1/2 * k * T of kinetic energy on average, so the mean kinetic energy is k * T.
+ *
+ * The pressure comes from the momentum that the border absorbs in ball-to-border collisions (see
+ * IdealGasCollisionEngine), which is averaged over the last few seconds and divided by the length of the border. Balls
+ * have a finite size, so the measured pressure is a bit higher than the ideal gas law predicts, especially for crowded
+ * containers. The measurement starts over whenever the elapsed time is reset, which is when the gas is re-spawned, when
+ * the user moves a Ball, and when the sim is restarted.
+ *
+ * GasGauges are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import IdealGasBallSystem from './IdealGasBallSystem.js';
+import IdealGasPlayArea from './IdealGasPlayArea.js';
+import TimeAveragedRate from './TimeAveragedRate.js';
+
+// constants
+const PRESSURE_AVERAGING_TIME = 5; // the time that the pressure is averaged over, in seconds.
+
+class GasGauge {
+
+  /**
+   * @param {IdealGasBallSystem} ballSystem
+   * @param {IdealGasPlayArea} playArea
+   * @param {Property.<number>} elapsedTimeProperty
+   */
+  constructor( ballSystem, playArea, elapsedTimeProperty ) {
+    assert && assert( ballSystem instanceof IdealGasBallSystem, `invalid ballSystem: ${ballSystem}` );
+    assert && assert( playArea instanceof IdealGasPlayArea, `invalid playArea: ${playArea}` );
+    assert && assert( elapsedTimeProperty instanceof Property, `invalid elapsedTimeProperty: ${elapsedTimeProperty}` );
+
+    // @public (read-only) {Property.<number>} - the number of Balls of the gas.
+    this.numberOfBallsProperty = ballSystem.balls.lengthProperty;
+
+    // @public (read-only) {Property.<number>} - the area of the container of the gas, in meters squared, which changes as
+    //                                          the Piston moves. DerivedProperty is never disposed.
+    this.areaProperty = new DerivedProperty( [ playArea.piston.positionProperty ], () => playArea.area, {
+      valueType: 'number'
+    } );
+
+    // @public (read-only) {Property.<number>} - the temperature of the gas, in Kelvin. DerivedProperty is never disposed.
+    this.temperatureProperty = new DerivedProperty( [
+      ballSystem.balls.lengthProperty,
+      ...ballSystem.prepopulatedBalls.map( ball => ball.massProperty ),
+      ...ballSystem.prepopulatedBalls.map( ball => ball.velocityProperty )
+    ], numberOfBalls => {
+      const kineticEnergy = _.sumBy( ballSystem.balls, ball => {
+        return 0.5 * ball.massProperty.value * ball.velocityProperty.value.magnitudeSquared;
+      } );
+      return numberOfBalls ? kineticEnergy / ( numberOfBalls * CollisionLabConstants.BOLTZMANN_CONSTANT ) : 0;
+    }, {
+      valueType: 'number',
+      isValidValue: value => value >= 0
+    } );
+
+    // @private {TimeAveragedRate} - the rate that the border absorbs momentum, which is the force on the border.
+    this.borderImpulseRate = new TimeAveragedRate( elapsedTimeProperty, { averagingTime: PRESSURE_AVERAGING_TIME } );
+
+    // @public (read-only) {Property.<number|null>} - the time-averaged pressure of the gas, in N/m. Null if no time has
+    //                                                elapsed since the measurement started. DerivedProperty is never
+    //                                                disposed since GasGauges are never disposed.
+    this.pressureProperty = new DerivedProperty( [ this.borderImpulseRate.rateProperty, playArea.piston.positionProperty ],
+      force => force === null ? null : force / playArea.perimeter );
+  }
+
+  /**
+   * Resets the GasGauge.
+   * @public
+   *
+   * Called when the reset-all button is pressed.
+   */
+  reset() {
+    this.borderImpulseRate.reset();
+  }
+
+  /**
+   * Records the momentum that the border absorbed in a ball-to-border collision at the current elapsed time.
+   * @public
+   *
+   * @param {number} impulse - in kg*m/s.
+   */
+  addBorderImpulse( impulse ) {
+    assert && assert( typeof impulse === 'number' && impulse >= 0, `invalid impulse: ${impulse}` );
+
+    this.borderImpulseRate.addAmount( impulse );
+  }
+}
+
+export default GasGauge;
@@ -0,0 +1,72 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * GasGauge tests, with the gas of the 'Ideal Gas' screen. The temperature of the gas comes from the mean kinetic energy
+ * of its Balls, and the time-averaged pressure on the border follows the ideal gas law, P * A = N * k * T.
+ *
+ * @author agent
+ */
+
+import Tandem from '../../../../tandem/js/Tandem.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import IdealGasModel from './IdealGasModel.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const DURATION = 10;       // the duration of the motion, twice the time that the pressure is averaged over, in seconds.
+const TOLERANCE = 1e-9;    // the tolerance of the compared values.
+
+QUnit.module( 'GasGauge' );
+
+QUnit.test( 'the temperature is the mean kinetic energy over k', assert => {
+  const model = new IdealGasModel( Tandem.OPT_OUT );
+  const balls = model.ballSystem.balls;
+  const gasGauge = model.gasGauge;
+
+  // The gas is spawned with the same speed for every Ball.
+  const kineticEnergy = 0.5 * balls[ 0 ].massProperty.value * balls[ 0 ].velocityProperty.value.magnitudeSquared;
+  assert.equal( gasGauge.numberOfBallsProperty.value, balls.length, 'the number of Balls' );
+  assert.ok( Math.abs( gasGauge.temperatureProperty.value -
+                       kineticEnergy / CollisionLabConstants.BOLTZMANN_CONSTANT ) < TOLERANCE, 'the temperature' );
+
+  balls[ 0 ].velocityProperty.value = balls[ 0 ].velocityProperty.value.times( 2 );
+  const temperature = ( balls.length + 3 ) * kineticEnergy / balls.length / CollisionLabConstants.BOLTZMANN_CONSTANT;
+  assert.ok( Math.abs( gasGauge.temperatureProperty.value - temperature ) < TOLERANCE,
+    'doubling the speed of one Ball quadruples its kinetic energy' );
+} );
+
+QUnit.test( 'the pressure is the time-averaged impulse on the border per unit length', assert => {
+  const model = new IdealGasModel( Tandem.OPT_OUT );
+  const gasGauge = model.gasGauge;
+  const perimeter = model.playArea.perimeter;
+
+  assert.equal( gasGauge.pressureProperty.value, null, 'no pressure before any time elapses' );
+
+  model.elapsedTimeProperty.value = 1;
+  gasGauge.addBorderImpulse( 2 );
+  model.elapsedTimeProperty.value = 2;
+  assert.ok( Math.abs( gasGauge.pressureProperty.value - 1 / perimeter ) < TOLERANCE,
+    'the impulse is averaged over the elapsed time' );
+
+  model.elapsedTimeProperty.value = 6;
+  assert.ok( Math.abs( gasGauge.pressureProperty.value - 0 ) < TOLERANCE, 'old impulses are forgotten' );
+
+  model.elapsedTimeProperty.value = 0;
+  assert.equal( gasGauge.pressureProperty.value, null, 'the measurement starts over when the time is reset' );
+} );
+
+QUnit.test( 'the gas follows the ideal gas law', assert => {
+  const model = new IdealGasModel( Tandem.OPT_OUT );
+  const gasGauge = model.gasGauge;
+
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+  }
+
+  // The Balls cover about a tenth of the container, which raises the pressure by about a third above the ideal gas
+  // law, and the pressure of a few dozen Balls fluctuates.
+  const idealPressureTimesArea = gasGauge.numberOfBallsProperty.value * CollisionLabConstants.BOLTZMANN_CONSTANT *
+                                 gasGauge.temperatureProperty.value;
+  const ratio = gasGauge.pressureProperty.value * gasGauge.areaProperty.value / idealPressureTimesArea;
+  assert.ok( ratio > 1 && ratio < 1.7, `P * A / ( N * k * T ): ${ratio}` );
+} );
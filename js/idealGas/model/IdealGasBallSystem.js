@@ -0,0 +1,212 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * IdealGasBallSystem is a BallSystem sub-type for the 'Ideal Gas' screen, where the Balls are the identical particles of
+ * a gas. Whenever the number of Balls changes (and when the screen is reset), the gas is re-spawned: every Ball is
+ * placed at a random position inside of the container where it doesn't overlap any other Ball, and is given the same
+ * speed in a random direction. Collisions quickly spread the speeds of the Balls out into a thermal distribution.
+ *
+ * In the 'Brownian Motion' scenario, the first Ball is a heavy Ball that starts at rest in the center of the container,
+ * among the many small, fast Balls of the gas. The gas kicks the heavy Ball around in a random walk, which leaves a
+ * long-lived trailing 'Path' behind it so that students can see the walk unfold (see MeanSquaredDisplacement).
+ *
+ * In the 'Many Balls' mode, the gas has hundreds of Balls, which shows the speed distribution much more clearly. The
+ * radii of all Balls are scaled down so that the most Balls of either mode cover the same area of the container. The
+ * masses of the Balls don't change, so the same speeds are still the same temperature.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import dotRandom from '../../../../dot/js/dotRandom.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import BallState from '../../common/model/BallState.js';
+import BallSystem from '../../common/model/BallSystem.js';
+import CollisionLabPath from '../../common/model/CollisionLabPath.js';
+import IdealGasPlayArea from './IdealGasPlayArea.js';
+
+// constants
+const BALL_MASS = 0.1;           // the mass of every Ball of the gas, in kg.
+const SPAWN_SPEED = 1;           // the speed of every Ball when the gas is spawned, in m/s.
+const MAX_SPAWN_ATTEMPTS = 100;  // the number of random positions that are tried for each Ball before it is bumped.
+const NUMBER_OF_BALLS_RANGE = new RangeWithValue( 1, 50, 30 );
+const MANY_BALLS_RANGE = new RangeWithValue( 50, 300, 150 ); // the range of the number of Balls in 'Many Balls' mode.
+const MANY_BALLS_RADIUS_SCALE = Math.sqrt( NUMBER_OF_BALLS_RANGE.max / MANY_BALLS_RANGE.max );
+const GRID_COLUMNS = 6;          // the number of columns of the grid of the initial BallStates.
+const HEAVY_BALL_MASS = 3;       // the mass of the heavy Ball of the 'Brownian Motion' scenario, in kg.
+const HEAVY_BALL_PATH_POINT_LIFETIME = 60; // the time period that the 'Path' of the heavy Ball is kept for, in seconds.
+
+class IdealGasBallSystem extends BallSystem {
+
+  /**
+   * @param {IdealGasPlayArea} playArea
+   * @param {Object} [options]
+   */
+  constructor( playArea, options ) {
+    assert && assert( playArea instanceof IdealGasPlayArea, `invalid playArea: ${playArea}` );
+
+    options = merge( {
+
+      // super-class options
+      numberOfBallsRange: new RangeWithValue( NUMBER_OF_BALLS_RANGE.min, MANY_BALLS_RANGE.max,
+        NUMBER_OF_BALLS_RANGE.defaultValue )
+
+    }, options );
+
+    super( IdealGasBallSystem.createInitialBallStates( playArea, options.numberOfBallsRange.max ), playArea, options );
+
+    //----------------------------------------------------------------------------------------
+
+    // @public {Property.<boolean>} - indicates if the first Ball is the heavy Ball of the 'Brownian Motion' scenario.
+    //                                Manipulated in the view.
+    this.isBrownianMotionProperty = new BooleanProperty( false );
+
+    // @public (read-only) {Ball} - the Ball that is the heavy Ball of the 'Brownian Motion' scenario, which is always in
+    //                              the system since there is always at least one Ball.
+    this.heavyBall = this.prepopulatedBalls[ 0 ];
+
+    // @public {Property.<boolean>} - indicates if the gas is in the 'Many Balls' mode. Manipulated in the view.
+    this.isManyBallsProperty = new BooleanProperty( false );
+
+    // Scale the radii of the Balls when the mode is toggled. This is linked before the number of Balls changes with the
+    // mode (see below), so that the Balls that are added are bumped away from each other at their scaled radii.
+    this.isManyBallsProperty.link( isManyBalls => {
+      this.ballsRadiusScaleProperty.value = isManyBalls ? MANY_BALLS_RADIUS_SCALE : 1;
+    } );
+
+    // @public (read-only) {Property.<RangeWithValue>} - the range of the number of Balls in the current mode.
+    //                                                   DerivedProperty is never disposed.
+    this.numberOfBallsRangeProperty = new DerivedProperty( [ this.isManyBallsProperty ], isManyBalls => {
+      return isManyBalls ? MANY_BALLS_RANGE : NUMBER_OF_BALLS_RANGE;
+    } );
+
+    // Change to the default number of Balls of the new mode, which re-spawns the gas. A NumberSpinner of the number of
+    // Balls may have already constrained it to the new range. Link is never disposed since IdealGasBallSystems are
+    // never disposed.
+    this.isManyBallsProperty.lazyLink( () => {
+      this.numberOfBallsProperty.value = this.numberOfBallsRangeProperty.value.defaultValue;
+    } );
+
+    // Observe when the number of Balls changes and re-spawn the gas. This is linked after the super-class, which adds
+    // and removes the Balls. Link is never disposed since IdealGasBallSystems are never disposed.
+    this.numberOfBallsProperty.lazyLink( () => this.spawnBalls() );
+
+    // Observe when the 'Brownian Motion' scenario is toggled to re-spawn the gas with or without the heavy Ball, which
+    // keeps its trailing 'Path' for much longer than the other Balls. Link is never disposed since IdealGasBallSystems
+    // are never disposed.
+    this.isBrownianMotionProperty.lazyLink( () => this.spawnBalls() );
+    this.isBrownianMotionProperty.link( isBrownianMotion => {
+      this.heavyBall.path.pointLifetime = isBrownianMotion ? HEAVY_BALL_PATH_POINT_LIFETIME :
+                                          CollisionLabPath.DEFAULT_POINT_LIFETIME;
+    } );
+
+    this.spawnBalls();
+  }
+
+  /**
+   * Resets the IdealGasBallSystem, which re-spawns the gas.
+   * @override
+   * @public
+   *
+   * Called when the reset-all button is pressed.
+   */
+  reset() {
+
+    // Reset the mode first, since the super-class resets the number of Balls to a number outside of the range of the
+    // 'Many Balls' mode.
+    this.isManyBallsProperty.reset();
+    super.reset();
+    this.isBrownianMotionProperty.reset();
+    this.spawnBalls();
+  }
+
+  /**
+   * Spawns the gas, placing every Ball in the system at a random position where it doesn't overlap any other Ball and
+   * giving it the spawn speed in a random direction. In the 'Brownian Motion' scenario, the heavy Ball is spawned first,
+   * at rest in the center of the container. The spawned states are saved, so restarting returns to them.
+   * @public
+   */
+  spawnBalls() {
+    const bounds = this.playArea.borderBounds;
+    const spawnedBalls = [];
+
+    this.balls.forEach( ball => {
+      const isHeavyBall = this.isHeavyBall( ball );
+      ball.massProperty.value = isHeavyBall ? HEAVY_BALL_MASS : BALL_MASS;
+      const radius = ball.radiusProperty.value;
+
+      let position;
+      let attempts = 0;
+      if ( isHeavyBall ) {
+        position = bounds.center;
+      }
+      else {
+
+        // Try random positions until one doesn't overlap any of the Balls that have already been spawned.
+        do {
+          position = new Vector2(
+            dotRandom.nextDoubleBetween( bounds.minX + radius, bounds.maxX - radius ),
+            dotRandom.nextDoubleBetween( bounds.minY + radius, bounds.maxY - radius )
+          );
+          attempts++;
+        } while ( attempts < MAX_SPAWN_ATTEMPTS && spawnedBalls.some( spawnedBall => {
+          return spawnedBall.positionProperty.value.distance( position ) < spawnedBall.radiusProperty.value + radius;
+        } ) );
+      }
+
+      ball.positionProperty.value = position;
+      ball.velocityProperty.value = isHeavyBall ? new Vector2( 0, 0 ) :
+                                    Vector2.createPolar( SPAWN_SPEED, dotRandom.nextDoubleBetween( -Math.PI, Math.PI ) );
+      ball.angularVelocityProperty.reset();
+      spawnedBalls.push( ball );
+
+      // If the container is too crowded to find an open position, bump the Ball away from the others instead.
+      attempts === MAX_SPAWN_ATTEMPTS && this.bumpBallAwayFromOthers( ball );
+    } );
+
+    this.tryToSaveBallStates();
+  }
+
+  /**
+   * Indicates if a Ball is the heavy Ball of the 'Brownian Motion' scenario, rather than one of the Balls of the gas.
+   * @public
+   *
+   * @param {Ball} ball
+   * @returns {boolean}
+   */
+  isHeavyBall( ball ) {
+    return this.isBrownianMotionProperty.value && ball === this.heavyBall;
+  }
+
+  /**
+   * Creates the initial BallStates of all possible Balls, which are at rest on a grid that is centered in the
+   * container. They are only the starting point for the Balls, since the gas is spawned when it is created.
+   * @private
+   *
+   * @param {IdealGasPlayArea} playArea
+   * @param {number} numberOfBalls
+   * @returns {BallState[]}
+   */
+  static createInitialBallStates( playArea, numberOfBalls ) {
+    const rows = Math.ceil( numberOfBalls / GRID_COLUMNS );
+    const columnSpacing = playArea.width / GRID_COLUMNS;
+    const rowSpacing = playArea.height / rows;
+
+    return _.range( numberOfBalls ).map( index => new BallState(
+      new Vector2(
+        playArea.left + ( index % GRID_COLUMNS + 0.5 ) * columnSpacing,
+        playArea.bottom + ( Math.floor( index / GRID_COLUMNS ) + 0.5 ) * rowSpacing
+      ),
+      new Vector2( 0, 0 ),
+      BALL_MASS
+    ) );
+  }
+}
+
+// @public (read-only) {number} - the mass of every Ball of the gas, other than the heavy Ball, in kg.
+IdealGasBallSystem.BALL_MASS = BALL_MASS;
+
+export default IdealGasBallSystem;
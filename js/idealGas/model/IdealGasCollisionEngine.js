@@ -0,0 +1,213 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * IdealGasCollisionEngine is a CollisionEngine sub-type for the 'Ideal Gas' screen, which reports the momentum that the
+ * border of the PlayArea absorbs in each ball-to-border collision. The pressure of the gas is the time-average of the
+ * momentum that the border absorbs, per unit length of the border (see GasGauge).
+ *
+ * When the ThermalWalls of the PlayArea are on, a Ball that bounces off of the left or right side of the container is
+ * re-emitted with a velocity drawn from the thermal distribution of that ThermalWall, instead of being reflected like a
+ * mirror. IdealGasCollisionEngine also reports the heat that each ThermalWall gives to the gas, which is the change in
+ * the kinetic energy of the Ball.
+ *
+ * When the Piston of the PlayArea moves, the gap between a Ball and the Piston closes at the difference of their
+ * x-velocities, and a Ball that hits the Piston is reflected in the frame of the Piston, where the Piston is at rest.
+ * The Piston is much heavier than the Balls, so it isn't slowed down by the Balls. IdealGasCollisionEngine also reports
+ * the work that the Piston does on the gas, which is the change in the kinetic energy of the Ball.
+ *
+ * @author agent
+ */
+
+import Emitter from '../../../../axon/js/Emitter.js';
+import Multilink from '../../../../axon/js/Multilink.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Ball from '../../common/model/Ball.js';
+import CollisionEngine from '../../common/model/CollisionEngine.js';
+import IdealGasBallSystem from './IdealGasBallSystem.js';
+import IdealGasPlayArea from './IdealGasPlayArea.js';
+import ThermalWall from './ThermalWall.js';
+
+class IdealGasCollisionEngine extends CollisionEngine {
+
+  /**
+   * @param {IdealGasPlayArea} playArea
+   * @param {IdealGasBallSystem} ballSystem
+   */
+  constructor( playArea, ballSystem ) {
+    assert && assert( playArea instanceof IdealGasPlayArea, `invalid playArea: ${playArea}` );
+    assert && assert( ballSystem instanceof IdealGasBallSystem, `invalid ballSystem: ${ballSystem}` );
+
+    super( playArea, ballSystem );
+
+    // @public (read-only) {Emitter} - emits with the magnitude of the momentum that the border absorbs in a
+    //                                 ball-to-border collision, in kg*m/s.
+    this.borderImpulseEmitter = new Emitter( { parameters: [ { valueType: 'number' } ] } );
+
+    // @public (read-only) {Emitter} - emits with a ThermalWall and the heat that it gives to the gas in a collision,
+    //                                 in Joules. The heat is negative if the Ball leaves the wall slower than it hit it.
+    this.thermalWallHeatEmitter = new Emitter( { parameters: [ { valueType: ThermalWall }, { valueType: 'number' } ] } );
+
+    // @public (read-only) {Emitter} - emits with the work that the moving Piston does on the gas in a collision, in
+    //                                 Joules. The work is negative if the Ball leaves the Piston slower than it hit it.
+    this.pistonWorkEmitter = new Emitter( { parameters: [ { valueType: 'number' } ] } );
+
+    // Observe when the Piston changes its velocity or jumps (when it is turned on or off), meaning existing Collisions
+    // with the border may be incorrect and should be re-detected. Multilink persists for the lifetime of the sim.
+    Multilink.lazyMultilink( [
+      playArea.piston.velocityProperty,
+      playArea.piston.isEnabledProperty
+    ], () => this.invalidateCollisions( playArea ) );
+  }
+
+  /**
+   * Steps the CollisionEngine. Overridden to choose the velocity of the Piston for the time-step before the Balls move.
+   * The Balls start moving from their saved states when the elapsed time is zero, so the position of the Piston is
+   * saved then too.
+   * @override
+   * @public
+   *
+   * @param {number} dt - time-delta of this step, in seconds.
+   * @param {number} elapsedTime - elapsedTime, based on where the Balls are positioned when this method is called.
+   * @param {number} [maxIterations]
+   */
+  step( dt, elapsedTime, maxIterations ) {
+    elapsedTime === 0 && this.playArea.piston.saveState();
+    this.playArea.piston.updateVelocity( dt );
+
+    super.step( dt, elapsedTime, maxIterations );
+  }
+
+  /**
+   * Progresses the Balls forwards by the given time-delta, assuming there are no collisions. Overridden to move the
+   * Piston with the Balls.
+   * @override
+   * @protected
+   *
+   * @param {number} dt - time-delta, in seconds.
+   * @param {number} elapsedTime - elapsedTime, based on where the Balls are positioned when this method is called.
+   */
+  progressBalls( dt, elapsedTime ) {
+    super.progressBalls( dt, elapsedTime );
+    this.playArea.piston.progress( dt );
+  }
+
+  /**
+   * Calculates when some Ball will collide with the PlayArea's border. Overridden to account for the motion of the
+   * Piston. The Balls of the gas always move uniformly, so the gap between the Ball and each side of the border closes
+   * at a constant rate.
+   * @override
+   * @protected
+   *
+   * @param {Vector2} position - the position of the Ball.
+   * @param {Vector2} velocity - the velocity of the Ball.
+   * @param {number} radius - the radius of the Ball.
+   * @param {number} elapsedTime - elapsedTime, based on where the Ball is positioned when this method is called.
+   * @param {Vector2} [acceleration] - the acceleration of the Ball due to gravity.
+   * @returns {number|null} - null indicates that the Ball will not collide with the border.
+   */
+  getBorderCollisionTime( position, velocity, radius, elapsedTime, acceleration = Vector2.ZERO ) {
+    const pistonVelocity = this.playArea.piston.velocityProperty.value;
+
+    if ( pistonVelocity === 0 ) {
+      return super.getBorderCollisionTime( position, velocity, radius, elapsedTime, acceleration );
+    }
+    assert && assert( this.timeStepDirectionProperty.value === 1, 'the Piston only moves forwards in time' );
+    assert && assert( acceleration.equals( Vector2.ZERO ) && !this.playArea.tableFriction.isEnabledProperty.value,
+      'the Balls of the gas must move uniformly' );
+
+    const timeUntilCollision = Math.min(
+      this.getGapClosingTime( position.x - radius - this.playArea.left, velocity.x, 0 ),
+      this.getGapClosingTime( this.playArea.right - position.x - radius, pistonVelocity - velocity.x, 0 ),
+      this.getGapClosingTime( position.y - radius - this.playArea.bottom, velocity.y, 0 ),
+      this.getGapClosingTime( this.playArea.top - position.y - radius, -velocity.y, 0 )
+    );
+
+    return Number.isFinite( timeUntilCollision ) ? elapsedTime + timeUntilCollision : null;
+  }
+
+  /**
+   * Processes a ball-to-border collision. Overridden to reflect Balls in the frame of the moving Piston, to re-emit
+   * Balls from ThermalWalls, and to report the momentum that the border absorbs, which is the opposite of the change in
+   * the momentum of the Ball.
+   * @override
+   * @protected
+   *
+   * @param {Ball} ball - the Ball involved in the collision.
+   * @param {number} dt
+   */
+  handleBallToBorderCollision( ball, dt ) {
+    assert && assert( ball instanceof Ball, `invalid ball: ${ball}` );
+
+    const velocityBefore = ball.velocityProperty.value.copy();
+    const thermalWall = this.getHitThermalWall( ball, dt );
+
+    // Reflect the Ball in the frame of the Piston if it hits the moving Piston. The x-velocity of the Ball is shifted
+    // into the frame of the Piston while the super-class reflects it, and shifted back afterwards. The y-velocity is
+    // the same in both frames, so the Ball still bounces off of the top or bottom if it is also touching them.
+    const pistonVelocity = this.playArea.isBallTouchingRight( ball ) ? this.playArea.piston.velocityProperty.value : 0;
+
+    pistonVelocity && ball.setXVelocity( ball.velocityProperty.value.x - pistonVelocity );
+    super.handleBallToBorderCollision( ball, dt );
+    pistonVelocity && ball.setXVelocity( ball.velocityProperty.value.x + pistonVelocity );
+
+    if ( pistonVelocity ) {
+      const work = 0.5 * ball.massProperty.value * ( ball.velocityProperty.value.magnitudeSquared -
+                                                     velocityBefore.magnitudeSquared );
+      this.pistonWorkEmitter.emit( work );
+    }
+
+    // Re-emit the Ball from the ThermalWall that it hit, if any. The super-class has already reflected the Ball off of
+    // the other sides that it is touching, so the Ball is re-emitted away from those sides too.
+    if ( thermalWall ) {
+      assert && assert( dt >= 0, 'ThermalWalls are irreversible' );
+
+      const velocity = thermalWall.sampleEmittedVelocity( ball.massProperty.value );
+      if ( this.playArea.isBallTouchingBottom( ball ) || this.playArea.isBallTouchingTop( ball ) ) {
+        velocity.y = Math.abs( velocity.y ) * Math.sign( ball.velocityProperty.value.y );
+      }
+      ball.velocityProperty.value = velocity;
+
+      const heat = 0.5 * ball.massProperty.value * ( velocity.magnitudeSquared - velocityBefore.magnitudeSquared );
+      this.thermalWallHeatEmitter.emit( thermalWall, heat );
+    }
+
+    // The border is rectangular, so the pressure on each side that the Ball touches is along one of the axes. At a
+    // corner, the Ball pushes on both sides at once. The change in the velocity along a ThermalWall is a shear, which
+    // doesn't push on the wall, so it is only counted if the Ball also touches the top or bottom.
+    const deltaVelocity = ball.velocityProperty.value.minus( velocityBefore );
+    const isTouchingLeftOrRight = this.playArea.isBallTouchingLeft( ball ) || this.playArea.isBallTouchingRight( ball );
+    const isTouchingBottomOrTop = this.playArea.isBallTouchingBottom( ball ) || this.playArea.isBallTouchingTop( ball );
+    const impulse = ball.massProperty.value * ( ( isTouchingLeftOrRight ? Math.abs( deltaVelocity.x ) : 0 ) +
+                                                ( isTouchingBottomOrTop ? Math.abs( deltaVelocity.y ) : 0 ) );
+
+    impulse > 0 && this.borderImpulseEmitter.emit( impulse );
+  }
+
+  /**
+   * Gets the ThermalWall that a Ball is touching and moving towards in the direction of time, if the ThermalWalls are
+   * on. Null if there is none.
+   * @private
+   *
+   * @param {Ball} ball
+   * @param {number} dt
+   * @returns {ThermalWall|null}
+   */
+  getHitThermalWall( ball, dt ) {
+    const thermalWalls = this.playArea.thermalWalls;
+
+    // When the sim is being reversed (dt < 0), the Ball moves towards the wall that it is moving away from.
+    const velocityX = dt >= 0 ? ball.velocityProperty.value.x : -ball.velocityProperty.value.x;
+
+    if ( thermalWalls.isEnabledProperty.value ) {
+      if ( this.playArea.isBallTouchingLeft( ball ) && velocityX < 0 ) {
+        return thermalWalls.leftWall;
+      }
+      if ( this.playArea.isBallTouchingRight( ball ) && velocityX > 0 ) {
+        return thermalWalls.rightWall;
+      }
+    }
+    return null;
+  }
+}
+
+export default IdealGasCollisionEngine;
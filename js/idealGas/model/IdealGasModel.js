@@ -0,0 +1,152 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Top level model for the 'Ideal Gas' screen.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import CollisionLabModel from '../../common/model/CollisionLabModel.js';
+import GasGauge from './GasGauge.js';
+import IdealGasBallSystem from './IdealGasBallSystem.js';
+import IdealGasCollisionEngine from './IdealGasCollisionEngine.js';
+import IdealGasPlayArea from './IdealGasPlayArea.js';
+import MeanSquaredDisplacement from './MeanSquaredDisplacement.js';
+import SpeedHistogram from './SpeedHistogram.js';
+import TimeAveragedRate from './TimeAveragedRate.js';
+
+class IdealGasModel extends CollisionLabModel {
+
+  /**
+   * @param {Tandem} tandem
+   */
+  constructor( tandem ) {
+    assert && assert( tandem instanceof Tandem, `invalid tandem: ${tandem}` );
+
+    super( tandem );
+
+    // @public (read-only) {GasGauge} - measures the pressure, area, temperature, and number of Balls of the gas.
+    this.gasGauge = new GasGauge( this.ballSystem, this.playArea, this.elapsedTimeProperty );
+
+    // @public (read-only) {SpeedHistogram} - the distribution of the speeds of the Balls of the gas.
+    this.speedHistogram = new SpeedHistogram( this.ballSystem, this.gasGauge.temperatureProperty, this.elapsedTimeProperty );
+
+    // The temperature and the speed distribution are derived from the velocity of every Ball too, so they are deferred
+    // while the CollisionEngine steps, see CollisionLabModel.stepManual().
+    this.velocityDerivedProperties.push(
+      this.gasGauge.temperatureProperty,
+      this.speedHistogram.instantaneousFractionsProperty
+    );
+
+    // @public (read-only) {MeanSquaredDisplacement} - the statistics of the random walk of the heavy Ball of the
+    //                                                 'Brownian Motion' scenario.
+    this.meanSquaredDisplacement = new MeanSquaredDisplacement( this.ballSystem.heavyBall,
+      this.ballSystem.isBrownianMotionProperty, this.elapsedTimeProperty );
+
+    // @public (read-only) {Map.<ThermalWall, TimeAveragedRate>} - the time-averaged heat that flows into the gas through
+    //                                                             each ThermalWall, in Watts.
+    this.heatFlowRates = new Map( this.playArea.thermalWalls.walls.map( wall => {
+      return [ wall, new TimeAveragedRate( this.elapsedTimeProperty ) ];
+    } ) );
+
+    // @public (read-only) {Property.<number>} - the total work that the Piston has done on the gas since the elapsed time
+    //                                          was last reset, in Joules.
+    this.pistonWorkProperty = new NumberProperty( 0 );
+
+    // Observe when the border absorbs momentum to measure the pressure of the gas, when ThermalWalls give heat to the gas
+    // to measure the heat flow, and when the Piston does work on the gas to add up the work. Listeners are never
+    // removed since IdealGasModels are never disposed.
+    this.collisionEngine.borderImpulseEmitter.addListener( impulse => this.gasGauge.addBorderImpulse( impulse ) );
+    this.collisionEngine.thermalWallHeatEmitter.addListener( ( wall, heat ) => this.heatFlowRates.get( wall ).addAmount( heat ) );
+    this.collisionEngine.pistonWorkEmitter.addListener( work => { this.pistonWorkProperty.value += work; } );
+
+    // Observe when the elapsed time goes backwards, which is when it is reset, and start adding up the work over, like
+    // the other measurements of the gas. Link is never disposed since IdealGasModels are never disposed.
+    this.elapsedTimeProperty.lazyLink( ( elapsedTime, previousElapsedTime ) => {
+      elapsedTime < previousElapsedTime && this.pistonWorkProperty.reset();
+    } );
+
+    // Observe when the 'Brownian Motion' scenario is toggled, which re-spawns the gas, and reset the elapsed time and
+    // re-detect collisions, like when the elasticity changes. Link is never disposed since IdealGasModels are never
+    // disposed.
+    this.ballSystem.isBrownianMotionProperty.lazyLink( () => {
+      this.elapsedTimeProperty.reset();
+      this.collisionEngine.reset();
+    } );
+  }
+
+  /**
+   * Creates the PlayArea for the 'Ideal Gas' screen, which uses a screen-specific sub-type of PlayArea. Called in the
+   * constructor of the super-class, which uses the Factory Method Pattern.
+   * @override
+   * @protected
+   *
+   * @returns {IdealGasPlayArea}
+   */
+  createPlayArea() {
+    return new IdealGasPlayArea();
+  }
+
+  /**
+   * Creates the BallSystem for the 'Ideal Gas' screen, which uses a screen-specific sub-type of BallSystem. Called in
+   * the constructor of the super-class, which uses the Factory Method Pattern.
+   * @override
+   * @protected
+   *
+   * @param {IdealGasPlayArea} playArea
+   * @returns {IdealGasBallSystem}
+   */
+  createBallSystem( playArea ) {
+    assert && assert( playArea instanceof IdealGasPlayArea, `invalid playArea: ${playArea}` );
+
+    return new IdealGasBallSystem( playArea );
+  }
+
+  /**
+   * Creates the CollisionEngine for the 'Ideal Gas' screen, which uses a screen-specific sub-type of CollisionEngine.
+   * Called in the constructor of the super-class, which uses the Factory Method Pattern.
+   * @override
+   * @protected
+   *
+   * @param {IdealGasPlayArea} playArea
+   * @param {IdealGasBallSystem} ballSystem
+   * @returns {IdealGasCollisionEngine}
+   */
+  createCollisionEngine( playArea, ballSystem ) {
+    assert && assert( playArea instanceof IdealGasPlayArea, `invalid playArea: ${playArea}` );
+    assert && assert( ballSystem instanceof IdealGasBallSystem, `invalid ballSystem: ${ballSystem}` );
+
+    return new IdealGasCollisionEngine( playArea, ballSystem );
+  }
+
+  //----------------------------------------------------------------------------------------
+
+  /**
+   * Resets the 'Ideal Gas' screen. Called when the reset-all button is pressed.
+   *
+   * @override
+   * @public
+   */
+  reset() {
+    super.reset();
+    this.gasGauge.reset();
+    this.speedHistogram.reset();
+    this.meanSquaredDisplacement.reset();
+    this.heatFlowRates.forEach( heatFlowRate => heatFlowRate.reset() );
+    this.pistonWorkProperty.reset();
+  }
+
+  /**
+   * Restarts the 'Ideal Gas' screen, which also returns the Piston to where it was when the Balls were saved.
+   * @override
+   * @public
+   */
+  restart() {
+    super.restart();
+    this.playArea.piston.restart();
+  }
+}
+
+export default IdealGasModel;
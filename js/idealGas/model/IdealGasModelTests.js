@@ -0,0 +1,72 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * IdealGasModel tests for the 'Many Balls' mode, which steps hundreds of Balls of the gas. The Balls must never
+ * overlap or leave the PlayArea, and their kinetic energy must be conserved, since every collision is elastic.
+ *
+ * @author agent
+ */
+
+import Tandem from '../../../../tandem/js/Tandem.js';
+import IdealGasModel from './IdealGasModel.js';
+
+// constants
+const DT = 1 / 60;             // the time-delta of each step, in seconds.
+const DURATION = 1;            // the duration of the motion, in seconds.
+const MAX_ITERATIONS = 100;    // the max iterations of a step, far below the default maxIterations of the engine.
+const TOLERANCE = 1e-6;        // how far the Balls may overlap each other or the border, in meters.
+
+QUnit.module( 'IdealGasModel' );
+
+[ false, true ].forEach( isPeriodic => {
+
+  QUnit.test( `hundreds of Balls step without overlapping (periodic border: ${isPeriodic})`, assert => {
+    const model = new IdealGasModel( Tandem.OPT_OUT );
+    const ballSystem = model.ballSystem;
+    const playArea = model.playArea;
+    ballSystem.isManyBallsProperty.value = true;
+    ballSystem.numberOfBallsProperty.value = ballSystem.numberOfBallsRangeProperty.value.max;
+    playArea.periodicBorderProperty.value = isPeriodic;
+
+    // Count the iterations of the detection-response loop, which detects collisions once in each iteration.
+    const collisionEngine = model.collisionEngine;
+    const detectAllCollisions = collisionEngine.detectAllCollisions.bind( collisionEngine );
+    let iterations = 0;
+    collisionEngine.detectAllCollisions = ( elapsedTime, dt ) => {
+      iterations++;
+      detectAllCollisions( elapsedTime, dt );
+    };
+
+    const kineticEnergy = ballSystem.totalKineticEnergyProperty.value;
+    let maxIterations = 0;
+    let totalIterations = 0;
+    for ( let time = 0; time < DURATION; time += DT ) {
+      iterations = 0;
+      model.stepManual( DT );
+      maxIterations = Math.max( maxIterations, iterations );
+      totalIterations += iterations;
+    }
+
+    const balls = ballSystem.balls;
+    let maxOverlap = 0;
+    for ( let i = 0; i < balls.length; i++ ) {
+      for ( let j = 0; j < i; j++ ) {
+        const position1 = balls[ i ].positionProperty.value;
+        const position2 = playArea.getMinimumImagePosition( balls[ j ].positionProperty.value, position1 );
+        const sumOfRadii = balls[ i ].radiusProperty.value + balls[ j ].radiusProperty.value;
+        maxOverlap = Math.max( maxOverlap, sumOfRadii - position1.distance( position2 ) );
+      }
+    }
+
+    assert.equal( balls.length, ballSystem.numberOfBallsRangeProperty.value.max, `${balls.length} Balls` );
+    assert.ok( totalIterations > DURATION / DT * 2, `the Balls collided: ${totalIterations} iterations` );
+    assert.ok( maxIterations < MAX_ITERATIONS, `max iterations of a step: ${maxIterations}` );
+    assert.ok( maxOverlap < TOLERANCE, `max overlap of the Balls: ${maxOverlap}` );
+    assert.ok( isPeriodic || balls.every( ball => {
+      return ball.left > playArea.left - TOLERANCE && ball.right < playArea.right + TOLERANCE &&
+             ball.bottom > playArea.bottom - TOLERANCE && ball.top < playArea.top + TOLERANCE;
+    } ), 'every Ball is inside the border' );
+    assert.ok( Math.abs( ballSystem.totalKineticEnergyProperty.value - kineticEnergy ) < TOLERANCE * kineticEnergy,
+      'kinetic energy is conserved' );
+  } );
+} );
@@ -0,0 +1,111 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * IdealGasPlayArea is a PlayArea sub-type for the 'Ideal Gas' screen. Its border is the rectangular container of the
+ * gas. The elasticity of the PlayArea isn't manipulated in the 'Ideal Gas' screen, so collisions are always perfectly
+ * elastic and the kinetic energy of the gas stays constant, unless the left and right sides of the container are
+ * ThermalWalls that exchange heat with the gas, or the right side of the container is a moving Piston that does work
+ * on the gas. The right edge of the PlayArea is the face of the Piston, so the container shrinks and grows as the
+ * Piston moves, inside of the bounds of the PlayArea.
+ *
+ * @author agent
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import PlayArea from '../../common/model/PlayArea.js';
+import Piston from './Piston.js';
+import ThermalWalls from './ThermalWalls.js';
+
+// constants
+const MIN_CONTAINER_WIDTH = 1.5; // the width of the container when the Piston is pushed in all the way, in meters.
+
+class IdealGasPlayArea extends PlayArea {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    super( PlayArea.Dimension.TWO, options );
+
+    assert && assert( this.borderShape === PlayArea.BorderShape.RECTANGLE, 'the container of the gas must be rectangular' );
+
+    // @public (read-only) {ThermalWalls} - the optional heat baths on the left and right sides of the container.
+    this.thermalWalls = new ThermalWalls();
+
+    // @public (read-only) {Piston} - the optional movable right side of the container.
+    this.piston = new Piston( new Range( this.bounds.minX + MIN_CONTAINER_WIDTH, this.bounds.maxX ) );
+
+    // The work that the Piston does and the heat that the ThermalWalls give can't be told apart if the Piston is also a
+    // ThermalWall, so turning one on turns the other off. Links persist for the lifetime of the sim since PlayAreas are
+    // never disposed.
+    this.thermalWalls.isEnabledProperty.link( isEnabled => {
+      if ( isEnabled ) { this.piston.isEnabledProperty.value = false; }
+    } );
+    this.piston.isEnabledProperty.link( isEnabled => {
+      if ( isEnabled ) { this.thermalWalls.isEnabledProperty.value = false; }
+    } );
+
+    // @public {Property.<boolean>} - overridden to account for the ThermalWalls, which re-emit Balls with random
+    //                                velocities that can't be undone by stepping backwards, and the Piston, whose
+    //                                motion isn't recorded to be replayed backwards. DerivedProperty is never disposed
+    //                                since PlayAreas are never disposed.
+    this.isTimeReversibleProperty = new DerivedProperty(
+      [ this.isTimeReversibleProperty, this.thermalWalls.isEnabledProperty, this.piston.isEnabledProperty ],
+      ( isTimeReversible, thermalWallsEnabled, pistonEnabled ) => {
+        return isTimeReversible && !thermalWallsEnabled && !pistonEnabled;
+      }, {
+        valueType: 'boolean'
+      } );
+  }
+
+  /**
+   * Resets the IdealGasPlayArea.
+   * @override
+   * @public
+   *
+   * Called when the reset-all button is pressed.
+   */
+  reset() {
+    super.reset();
+    this.thermalWalls.reset();
+    this.piston.reset();
+  }
+
+  /**
+   * Gets the right edge of the PlayArea, which is the face of the Piston. Overridden since the Piston moves.
+   * @override
+   * @public
+   *
+   * @returns {number} - in meters.
+   */
+  get right() { return this.piston.positionProperty.value; }
+
+  /**
+   * Gets the width of the container of the gas, which shrinks and grows as the Piston moves.
+   * @override
+   * @public
+   *
+   * @returns {number} - in meters.
+   */
+  get width() { return this.right - this.left; }
+
+  /**
+   * Gets the perimeter of the container of the gas, which is the length of the border that the Balls push on.
+   * @public
+   *
+   * @returns {number} - in meters.
+   */
+  get perimeter() { return 2 * ( this.width + this.height ); }
+
+  /**
+   * Gets the area of the container of the gas, which is the 2D analog of the volume of the gas.
+   * @public
+   *
+   * @returns {number} - in meters squared.
+   */
+  get area() { return this.width * this.height; }
+}
+
+export default IdealGasPlayArea;
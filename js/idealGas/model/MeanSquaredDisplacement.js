@@ -0,0 +1,155 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * MeanSquaredDisplacement measures how far the heavy Ball of the 'Brownian Motion' scenario of the 'Ideal Gas' screen
+ * wanders in its random walk. It samples the position of the heavy Ball at regular intervals of the elapsed time and
+ * averages the squared displacement of the heavy Ball over every pair of samples that are a given lag time apart:
+ *
+ *   MSD(τ) = < |r(t + τ) - r(t)|^2 >
+ *
+ * For short lag times, the gas hasn't kicked the heavy Ball much yet, so it moves in a straight line and the MSD grows
+ * like τ^2. For longer lag times, the kicks of the gas randomize the direction of the heavy Ball, so it diffuses and the
+ * MSD grows like 4 * D * τ, where D is the diffusion coefficient of the heavy Ball. For even longer lag times, the MSD
+ * levels off, since the heavy Ball can't wander farther than the walls of the container.
+ *
+ * Samples are only taken in the 'Brownian Motion' scenario. The averages are statistics that are collected over every
+ * run of the sim: when the elapsed time is reset, the samples start over from the new position of the heavy Ball, but
+ * the averages are kept until they are cleared, which is when the scenario is toggled or the user erases them.
+ *
+ * MeanSquaredDisplacements are created at the start of the sim and are never disposed, so no dispose method is
+ * necessary.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import Ball from '../../common/model/Ball.js';
+
+// constants
+const SAMPLE_INTERVAL = 0.2; // the elapsed time between the samples of the position of the heavy Ball, in seconds.
+const NUMBER_OF_LAGS = 50;   // the number of lag times, which are the first multiples of the sample interval.
+
+class MeanSquaredDisplacement {
+
+  /**
+   * @param {Ball} heavyBall
+   * @param {Property.<boolean>} isBrownianMotionProperty - indicates if the 'Brownian Motion' scenario is on.
+   * @param {Property.<number>} elapsedTimeProperty
+   */
+  constructor( heavyBall, isBrownianMotionProperty, elapsedTimeProperty ) {
+    assert && assert( heavyBall instanceof Ball, `invalid heavyBall: ${heavyBall}` );
+    assert && AssertUtils.assertPropertyOf( isBrownianMotionProperty, 'boolean' );
+    assert && AssertUtils.assertPropertyOf( elapsedTimeProperty, 'number' );
+
+    // @public (read-only) {number} - the number of lag times and the interval between them, in seconds.
+    this.numberOfLags = NUMBER_OF_LAGS;
+    this.lagInterval = SAMPLE_INTERVAL;
+
+    // @public {Property.<boolean>} - indicates if the MeanSquaredDisplacement is expanded. This Property is manipulated
+    //                                externally in the view.
+    this.expandedProperty = new BooleanProperty( true );
+
+    // @public (read-only) {Property.<Array.<number|null>>} - the mean squared displacement for each lag time, in order
+    //                                                        of the lag times, in meters squared. Null for lag times
+    //                                                        that no pair of samples has been taken for yet.
+    this.valuesProperty = new Property( _.times( NUMBER_OF_LAGS, () => null ), {
+      valueType: Array
+    } );
+
+    // @private {Ball} - reference to the passed-in heavyBall.
+    this.heavyBall = heavyBall;
+
+    // @private {Vector2[]} - the positions of the heavy Ball of the last few samples since the elapsed time was last
+    //                        reset, in the order that they were sampled, in meters.
+    this.positions = [];
+
+    // @private {number} - the elapsed time that the next sample is taken at, in seconds. Samples are taken on a fixed
+    //                     grid of elapsed times, so that the lag times are exact on average.
+    this.nextSampleTime = 0;
+
+    // @private {number[]} - the sum of the squared displacements and the number of pairs of samples, for each lag time.
+    this.squaredDisplacementSums = _.times( NUMBER_OF_LAGS, () => 0 );
+    this.pairCounts = _.times( NUMBER_OF_LAGS, () => 0 );
+
+    //----------------------------------------------------------------------------------------
+
+    // Observe when the elapsed time changes to sample the position of the heavy Ball, or to start the samples over if
+    // the elapsed time went backwards. Link is never disposed since MeanSquaredDisplacements are never disposed.
+    let previousElapsedTime = elapsedTimeProperty.value;
+    elapsedTimeProperty.lazyLink( elapsedTime => {
+      if ( elapsedTime < previousElapsedTime ) {
+        this.positions.length = 0;
+      }
+      else if ( isBrownianMotionProperty.value &&
+                ( !this.positions.length || elapsedTime + CollisionLabConstants.ZERO_THRESHOLD >= this.nextSampleTime ) ) {
+        this.addSample( elapsedTime );
+      }
+      previousElapsedTime = elapsedTime;
+    } );
+
+    // Observe when the 'Brownian Motion' scenario is toggled and clear the statistics, since the gas is re-spawned.
+    // Link is never disposed since MeanSquaredDisplacements are never disposed.
+    isBrownianMotionProperty.lazyLink( () => this.clear() );
+  }
+
+  /**
+   * Resets the MeanSquaredDisplacement.
+   * @public
+   *
+   * Called when the reset-all button is pressed.
+   */
+  reset() {
+    this.expandedProperty.reset();
+    this.clear();
+  }
+
+  /**
+   * Clears the statistics, which starts the averages and the samples over. Called when the user erases the statistics.
+   * @public
+   */
+  clear() {
+    this.positions.length = 0;
+    this.squaredDisplacementSums.fill( 0 );
+    this.pairCounts.fill( 0 );
+    this.updateValues();
+  }
+
+  /**
+   * Samples the position of the heavy Ball and adds the squared displacement from each of the previous samples to the
+   * sums of its lag time.
+   * @private
+   *
+   * @param {number} elapsedTime - in seconds.
+   */
+  addSample( elapsedTime ) {
+    const position = this.heavyBall.positionProperty.value.copy();
+    const numberOfPositions = this.positions.length;
+
+    for ( let lagIndex = 0; lagIndex < numberOfPositions; lagIndex++ ) {
+      this.squaredDisplacementSums[ lagIndex ] += position.distanceSquared( this.positions[ numberOfPositions - 1 - lagIndex ] );
+      this.pairCounts[ lagIndex ]++;
+    }
+
+    // Only the samples that are within the longest lag time of the next sample are kept.
+    this.positions.push( position );
+    this.positions.length > NUMBER_OF_LAGS && this.positions.shift();
+
+    this.nextSampleTime = numberOfPositions ? this.nextSampleTime + SAMPLE_INTERVAL : elapsedTime + SAMPLE_INTERVAL;
+    this.updateValues();
+  }
+
+  /**
+   * Updates the mean squared displacement for each lag time from the sums of the pairs of samples.
+   * @private
+   */
+  updateValues() {
+    this.valuesProperty.value = this.squaredDisplacementSums.map( ( sum, lagIndex ) => {
+      return this.pairCounts[ lagIndex ] ? sum / this.pairCounts[ lagIndex ] : null;
+    } );
+  }
+}
+
+export default MeanSquaredDisplacement;
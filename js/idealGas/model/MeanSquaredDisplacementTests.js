@@ -0,0 +1,106 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * MeanSquaredDisplacement tests, with the gas of the 'Ideal Gas' screen. The mean squared displacement of a heavy Ball
+ * that moves in a straight line grows like the square of the lag time, the statistics are kept over runs of the sim
+ * until they are cleared, and the heavy Ball of the 'Brownian Motion' scenario wanders with a long trailing 'Path'.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import CollisionLabPath from '../../common/model/CollisionLabPath.js';
+import IdealGasModel from './IdealGasModel.js';
+import MeanSquaredDisplacement from './MeanSquaredDisplacement.js';
+
+// constants
+const DT = 1 / 60;           // the time-delta of each step, in seconds.
+const DURATION = 10;         // the duration of the random walk of the heavy Ball, in seconds.
+const TOLERANCE = 1e-9;      // the tolerance of the compared values.
+const NUMBER_OF_SAMPLES = 5; // the number of samples of the heavy Ball that moves in a straight line.
+
+QUnit.module( 'MeanSquaredDisplacement' );
+
+QUnit.test( 'the mean squared displacement of a heavy Ball that moves in a straight line', assert => {
+  const heavyBall = new IdealGasModel( Tandem.OPT_OUT ).ballSystem.heavyBall;
+  const isBrownianMotionProperty = new BooleanProperty( true );
+  const elapsedTimeProperty = new NumberProperty( 0 );
+  const meanSquaredDisplacement = new MeanSquaredDisplacement( heavyBall, isBrownianMotionProperty,
+    elapsedTimeProperty );
+  const lagInterval = meanSquaredDisplacement.lagInterval;
+
+  /**
+   * Samples the heavy Ball, which moves to the right with a speed of 1 m/s, at the passed-in number of lag intervals.
+   *
+   * @param {number} numberOfSamples
+   */
+  const sampleStraightLine = numberOfSamples => {
+    _.range( 1, numberOfSamples + 1 ).forEach( sampleIndex => {
+      heavyBall.positionProperty.value = new Vector2( sampleIndex * lagInterval, 0 );
+      elapsedTimeProperty.value = sampleIndex * lagInterval;
+    } );
+  };
+
+  sampleStraightLine( NUMBER_OF_SAMPLES );
+  let values = meanSquaredDisplacement.valuesProperty.value;
+  assert.ok( _.range( NUMBER_OF_SAMPLES - 1 ).every( lagIndex => {
+    return Math.abs( values[ lagIndex ] - ( ( lagIndex + 1 ) * lagInterval ) ** 2 ) < TOLERANCE;
+  } ), 'the mean squared displacement grows like the square of the lag time' );
+  assert.ok( values.slice( NUMBER_OF_SAMPLES - 1 ).every( value => value === null ),
+    'no pairs of samples are as far apart as the longer lag times' );
+
+  // Resetting the elapsed time starts the samples over, but keeps the averages.
+  elapsedTimeProperty.value = 0;
+  assert.ok( _.isEqual( meanSquaredDisplacement.valuesProperty.value, values ), 'the averages are kept' );
+  sampleStraightLine( NUMBER_OF_SAMPLES );
+  values = meanSquaredDisplacement.valuesProperty.value;
+  assert.ok( Math.abs( values[ 0 ] - lagInterval ** 2 ) < TOLERANCE && values[ NUMBER_OF_SAMPLES - 1 ] === null,
+    'the pairs of samples don\'t span the reset' );
+
+  isBrownianMotionProperty.value = false;
+  assert.ok( meanSquaredDisplacement.valuesProperty.value.every( value => value === null ),
+    'toggling the scenario clears the statistics' );
+  elapsedTimeProperty.value += lagInterval;
+  assert.ok( meanSquaredDisplacement.valuesProperty.value.every( value => value === null ),
+    'no samples are taken outside of the scenario' );
+} );
+
+QUnit.test( 'the heavy Ball of the \'Brownian Motion\' scenario wanders in the gas', assert => {
+  const model = new IdealGasModel( Tandem.OPT_OUT );
+  const ballSystem = model.ballSystem;
+  const heavyBall = ballSystem.heavyBall;
+  ballSystem.pathsVisibleProperty.value = true;
+  ballSystem.isBrownianMotionProperty.value = true;
+
+  assert.ok( ballSystem.balls.includes( heavyBall ), 'the heavy Ball is one of the Balls' );
+  assert.ok( ballSystem.balls.every( ball => {
+    return ball === heavyBall || ball.massProperty.value < heavyBall.massProperty.value;
+  } ), 'the heavy Ball is heavier than the Balls of the gas' );
+  assert.ok( heavyBall.positionProperty.value.equals( model.playArea.bounds.center ),
+    'the heavy Ball starts at the center of the container' );
+
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+  }
+
+  // The 'Path' of the heavy Ball is kept for longer than the 'Paths' of the other Balls.
+  const getPathDuration = ball => model.elapsedTimeProperty.value - ball.path.dataPoints[ 0 ].time;
+  assert.ok( getPathDuration( heavyBall ) > DURATION - 1, 'the \'Path\' of the heavy Ball covers its random walk' );
+  assert.ok( ballSystem.balls.every( ball => ball === heavyBall ||
+                                             getPathDuration( ball ) <= CollisionLabPath.DEFAULT_POINT_LIFETIME ),
+    'the \'Paths\' of the other Balls are short' );
+
+  const values = model.meanSquaredDisplacement.valuesProperty.value;
+  assert.ok( values[ 0 ] > 0 && values[ 9 ] > values[ 0 ], `the heavy Ball wanders away: ${values.slice( 0, 10 )}` );
+
+  ballSystem.isBrownianMotionProperty.value = false;
+  assert.ok( ballSystem.balls.every( ball => ball.massProperty.value === heavyBall.massProperty.value ),
+    'the heavy Ball is a Ball of the gas outside of the scenario' );
+  assert.equal( heavyBall.path.pointLifetime, CollisionLabPath.DEFAULT_POINT_LIFETIME,
+    'the \'Path\' of the heavy Ball is short outside of the scenario' );
+  assert.ok( model.meanSquaredDisplacement.valuesProperty.value.every( value => value === null ),
+    'the statistics are cleared' );
+} );
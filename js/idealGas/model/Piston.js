@@ -0,0 +1,173 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Piston is the model of the optional movable right side of the container of the gas in the 'Ideal Gas' screen. When
+ * the Piston is on, the right side of the container is the face of the Piston, which only moves horizontally. The
+ * Piston either moves to the position that the user dragged it to, or oscillates about that position, and it never
+ * moves faster than its maximum speed. The Piston only moves while time passes, like the Balls.
+ *
+ * The Piston moves with a constant velocity in each time-step, which is chosen at the start of the time-step (see
+ * updateVelocity()), so that the collisions of Balls with the moving Piston can be detected exactly (see
+ * IdealGasCollisionEngine). Balls that hit the moving Piston are reflected in the frame of the Piston, so the Piston
+ * does work on the gas: pushing the Piston in heats the gas up, and pulling it out cools the gas down. Oscillating the
+ * Piston quickly speeds up the Balls on average, which is known as Fermi acceleration.
+ *
+ * When the Piston is off, it is out of the way at the right side of the PlayArea. Turning the Piston off lets the gas
+ * expand freely into the rest of the PlayArea, without doing any work.
+ *
+ * Pistons are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+
+// constants
+const OSCILLATION_PERIOD = 2; // the period of the oscillations of the Piston, in seconds.
+const ANGULAR_FREQUENCY = 2 * Math.PI / OSCILLATION_PERIOD;
+
+class Piston {
+
+  /**
+   * @param {Range} positionRange - the range of the x-position of the face of the Piston, in meters. The Piston is out
+   *                                of the way at the max of the range.
+   */
+  constructor( positionRange ) {
+    assert && assert( positionRange instanceof Range, `invalid positionRange: ${positionRange}` );
+
+    // @public {Property.<boolean>} - indicates if the Piston is on. Manipulated in the view.
+    this.isEnabledProperty = new BooleanProperty( false );
+
+    // @public (read-only) {Property.<number>} - the x-position of the face of the Piston, in meters.
+    this.positionProperty = new NumberProperty( positionRange.max, { range: positionRange } );
+
+    // @public {Property.<number>} - the x-position that the Piston moves to, or oscillates about, in meters.
+    //                               Manipulated in the view.
+    this.targetPositionProperty = new NumberProperty( positionRange.max, { range: positionRange } );
+
+    // @public {Property.<boolean>} - indicates if the Piston oscillates about its target position. Manipulated in the
+    //                                view.
+    this.isOscillatingProperty = new BooleanProperty( false );
+
+    // @public {Property.<number>} - the maximum speed of the Piston, which is also the speed that the Piston passes its
+    //                               target position with when it oscillates, in m/s. Manipulated in the view.
+    this.maxSpeedProperty = new NumberProperty( CollisionLabConstants.PISTON_SPEED_RANGE.defaultValue, {
+      range: CollisionLabConstants.PISTON_SPEED_RANGE
+    } );
+
+    // @public (read-only) {Property.<number>} - the velocity of the Piston in the current time-step, in m/s.
+    this.velocityProperty = new NumberProperty( 0 );
+
+    // @private {number} - the time that the Piston has been oscillating for, in seconds.
+    this.oscillationTime = 0;
+
+    // @private {number} - the x-position of the Piston when the Balls were last saved, which the Piston returns to
+    //                     when the sim is restarted, in meters.
+    this.restartPosition = positionRange.max;
+
+    // Observe when the Piston is turned off and move it out of the way, and when the Piston starts or stops oscillating
+    // to start its oscillations over. Links are never disposed since Pistons are never disposed.
+    this.isEnabledProperty.lazyLink( isEnabled => {
+      !isEnabled && this.moveToPosition( positionRange.max );
+    } );
+    this.isOscillatingProperty.lazyLink( () => {
+      this.oscillationTime = 0;
+    } );
+  }
+
+  /**
+   * Resets the Piston.
+   * @public
+   *
+   * Called when the reset-all button is pressed.
+   */
+  reset() {
+    this.isEnabledProperty.reset();
+    this.isOscillatingProperty.reset();
+    this.maxSpeedProperty.reset();
+    this.moveToPosition( this.positionProperty.range.max );
+    this.restartPosition = this.positionProperty.range.max;
+  }
+
+  /**
+   * Saves the position of the Piston, which it returns to when the sim is restarted. Called when the Balls start moving
+   * from their saved states.
+   * @public
+   */
+  saveState() {
+    this.restartPosition = this.positionProperty.value;
+  }
+
+  /**
+   * Returns the Piston to its saved position, if it is on. Called when the restart button is pressed.
+   * @public
+   */
+  restart() {
+    this.isEnabledProperty.value && this.moveToPosition( this.restartPosition );
+  }
+
+  /**
+   * Chooses the velocity of the Piston for the next time-step, which moves it towards its target position (or where it
+   * is in its oscillation about the target position) without exceeding its maximum speed.
+   * @public
+   *
+   * @param {number} dt - the duration of the time-step, in seconds.
+   */
+  updateVelocity( dt ) {
+    assert && assert( typeof dt === 'number', `invalid dt: ${dt}` );
+    assert && assert( dt >= 0 || !this.isEnabledProperty.value, 'the Piston is irreversible' );
+
+    if ( !this.isEnabledProperty.value || dt <= 0 ) {
+      this.velocityProperty.value = 0;
+      return;
+    }
+
+    const maxSpeed = this.maxSpeedProperty.value;
+    let targetPosition = this.targetPositionProperty.value;
+
+    // The oscillations have an amplitude such that the Piston passes its target position at its maximum speed.
+    if ( this.isOscillatingProperty.value ) {
+      this.oscillationTime += dt;
+      targetPosition += maxSpeed / ANGULAR_FREQUENCY * Math.sin( ANGULAR_FREQUENCY * this.oscillationTime );
+    }
+    targetPosition = this.positionProperty.range.constrainValue( targetPosition );
+
+    this.velocityProperty.value = Utils.clamp( ( targetPosition - this.positionProperty.value ) / dt, -maxSpeed, maxSpeed );
+  }
+
+  /**
+   * Moves the Piston with its velocity for some time. Called with the Balls, so that the Piston and the Balls move
+   * together in between collisions.
+   * @public
+   *
+   * @param {number} dt - in seconds.
+   */
+  progress( dt ) {
+    assert && assert( typeof dt === 'number', `invalid dt: ${dt}` );
+
+    if ( this.velocityProperty.value !== 0 ) {
+      this.positionProperty.value = this.positionProperty.range.constrainValue(
+        this.positionProperty.value + this.velocityProperty.value * dt
+      );
+    }
+  }
+
+  /**
+   * Moves the Piston to a position right away, which stops it. Its target position is moved with it.
+   * @private
+   *
+   * @param {number} position - in meters.
+   */
+  moveToPosition( position ) {
+    this.velocityProperty.value = 0;
+    this.oscillationTime = 0;
+    this.positionProperty.value = position;
+    this.targetPositionProperty.value = position;
+  }
+}
+
+export default Piston;
@@ -0,0 +1,132 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Piston tests, with the gas of the 'Ideal Gas' screen. The Piston moves towards its target position, or oscillates
+ * about it, without exceeding its max speed, and Balls that hit the moving Piston are reflected in its frame, so that
+ * the Piston does work on the gas: compressing the gas heats it up and expanding it cools it down.
+ *
+ * @author agent
+ */
+
+import Range from '../../../../dot/js/Range.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import IdealGasModel from './IdealGasModel.js';
+import Piston from './Piston.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const DURATION = 5;        // the Piston moves across its range within this duration, in seconds.
+const TOLERANCE = 1e-9;    // the tolerance of the compared values.
+
+QUnit.module( 'Piston' );
+
+/**
+ * Steps the passed-in Piston, without any Balls.
+ *
+ * @param {Piston} piston
+ * @param {number} duration - in seconds.
+ * @returns {{minPosition: number, maxPosition: number, maxSpeed: number}}
+ */
+const stepPiston = ( piston, duration ) => {
+  let minPosition = Infinity;
+  let maxPosition = -Infinity;
+  let maxSpeed = 0;
+  for ( let time = 0; time < duration; time += DT ) {
+    piston.updateVelocity( DT );
+    piston.progress( DT );
+    minPosition = Math.min( minPosition, piston.positionProperty.value );
+    maxPosition = Math.max( maxPosition, piston.positionProperty.value );
+    maxSpeed = Math.max( maxSpeed, Math.abs( piston.velocityProperty.value ) );
+  }
+  return { minPosition: minPosition, maxPosition: maxPosition, maxSpeed: maxSpeed };
+};
+
+/**
+ * Steps the passed-in IdealGasModel while its Piston moves to the passed-in target position. Returns the change in the
+ * kinetic energy of the gas and the max overlap of any Ball with the Piston.
+ *
+ * @param {IdealGasModel} model
+ * @param {number} targetPosition - in meters.
+ * @returns {{energyChange: number, maxOverlap: number}}
+ */
+const stepPistonModel = ( model, targetPosition ) => {
+  const piston = model.playArea.piston;
+  const kineticEnergy = model.ballSystem.totalKineticEnergyProperty.value;
+  piston.targetPositionProperty.value = targetPosition;
+
+  let maxOverlap = -Infinity;
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+    model.ballSystem.balls.forEach( ball => {
+      maxOverlap = Math.max( maxOverlap,
+        ball.positionProperty.value.x + ball.radiusProperty.value - piston.positionProperty.value );
+    } );
+  }
+  return { energyChange: model.ballSystem.totalKineticEnergyProperty.value - kineticEnergy, maxOverlap: maxOverlap };
+};
+
+QUnit.test( 'the Piston moves towards its target position without exceeding its max speed', assert => {
+  const piston = new Piston( new Range( -1, 2 ) );
+  piston.maxSpeedProperty.value = 0.5;
+  piston.targetPositionProperty.value = 0.5;
+
+  let motion = stepPiston( piston, DURATION );
+  assert.equal( motion.maxSpeed, 0, 'the Piston doesn\'t move while it is off' );
+
+  piston.isEnabledProperty.value = true;
+  motion = stepPiston( piston, DURATION );
+  assert.ok( motion.maxSpeed <= 0.5, 'the Piston never moves faster than its max speed' );
+  assert.ok( Math.abs( piston.positionProperty.value - 0.5 ) < TOLERANCE, 'the Piston moves to its target position' );
+
+  // The Piston oscillates about its target position, and passes it at its max speed.
+  piston.isOscillatingProperty.value = true;
+  motion = stepPiston( piston, 2 );
+  const amplitude = 0.5 / Math.PI;
+  assert.ok( motion.maxSpeed <= 0.5, 'the oscillating Piston never moves faster than its max speed' );
+  assert.ok( Math.abs( motion.maxPosition - 0.5 - amplitude ) < 0.01 &&
+             Math.abs( 0.5 - motion.minPosition - amplitude ) < 0.01,
+    `the Piston oscillates about its target position: ${motion.minPosition} to ${motion.maxPosition}` );
+
+  const savedPosition = piston.positionProperty.value;
+  piston.saveState();
+  stepPiston( piston, 0.5 );
+  piston.restart();
+  assert.equal( piston.positionProperty.value, savedPosition, 'the Piston returns to its saved position on restart' );
+
+  piston.isEnabledProperty.value = false;
+  assert.equal( piston.positionProperty.value, 2, 'the Piston is out of the way while it is off' );
+} );
+
+QUnit.test( 'the Piston does work on the gas', assert => {
+  const model = new IdealGasModel( Tandem.OPT_OUT );
+  const piston = model.playArea.piston;
+  piston.isEnabledProperty.value = true;
+  piston.maxSpeedProperty.value = 1;
+  const area = model.gasGauge.areaProperty.value;
+  const temperature = model.gasGauge.temperatureProperty.value;
+
+  assert.ok( !model.playArea.isTimeReversibleProperty.value, 'the Piston isn\'t time-reversible' );
+  assert.ok( !model.playArea.thermalWalls.isEnabledProperty.value, 'the ThermalWalls are off while the Piston is on' );
+
+  // Compress the gas to the smallest container.
+  const compression = stepPistonModel( model, piston.positionProperty.range.min );
+  assert.ok( model.gasGauge.areaProperty.value < area, 'the area of the container shrinks' );
+  assert.ok( compression.maxOverlap < 1e-6, `the Balls stay inside of the Piston: ${compression.maxOverlap}` );
+  assert.ok( model.pistonWorkProperty.value > 0, 'compressing the gas does positive work on it' );
+  assert.ok( Math.abs( compression.energyChange - model.pistonWorkProperty.value ) < TOLERANCE,
+    'the kinetic energy of the gas changes by the work of the Piston' );
+  assert.ok( model.gasGauge.temperatureProperty.value > temperature, 'compressing the gas heats it up' );
+
+  // Expand the gas back to the largest container, starting the work over.
+  model.elapsedTimeProperty.reset();
+  assert.equal( model.pistonWorkProperty.value, 0, 'the work is reset with the elapsed time' );
+  const compressedTemperature = model.gasGauge.temperatureProperty.value;
+  const expansion = stepPistonModel( model, piston.positionProperty.range.max );
+  assert.ok( Math.abs( model.gasGauge.areaProperty.value - area ) < TOLERANCE,
+    'the area of the container is restored' );
+  assert.ok( expansion.maxOverlap < 1e-6, `the Balls stay inside of the Piston: ${expansion.maxOverlap}` );
+  assert.ok( model.pistonWorkProperty.value < 0, 'expanding the gas does negative work on it' );
+  assert.ok( Math.abs( expansion.energyChange - model.pistonWorkProperty.value ) < TOLERANCE,
+    'the kinetic energy of the gas changes by the work of the Piston' );
+  assert.ok( model.gasGauge.temperatureProperty.value < compressedTemperature, 'expanding the gas cools it down' );
+} );
@@ -0,0 +1,185 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * SpeedHistogram is the model of the speed distribution of the gas in the 'Ideal Gas' screen. It sorts the speeds of
+ * the Balls into bins and computes the fraction of the Balls in each bin, which can be averaged over the last few
+ * seconds to smooth out the fluctuations of the few Balls of the gas.
+ *
+ * At equilibrium, the speeds of the identical Balls of a 2D gas follow the Maxwell-Boltzmann distribution
+ *
+ *   f(v) = m * v / ( k * T ) * exp( -m * v^2 / ( 2 * k * T ) )
+ *
+ * where k * T is the mean kinetic energy of the Balls (see GasGauge). SpeedHistogram also computes the fraction of the
+ * Balls that the distribution predicts in each bin, so that students can watch the gas relax to it from any start.
+ * Balls that are faster than the maximum speed of the histogram aren't in any bin. The heavy Ball of the 'Brownian
+ * Motion' scenario isn't part of the gas, so it isn't in any bin either.
+ *
+ * SpeedHistograms are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import IdealGasBallSystem from './IdealGasBallSystem.js';
+
+// constants
+const NUMBER_OF_BINS = 12;
+const MAX_SPEED = 3;       // the upper edge of the last bin, in m/s.
+const AVERAGING_TIME = 5;  // the time that the fractions are averaged over when time-averaging, in seconds.
+
+class SpeedHistogram {
+
+  /**
+   * @param {IdealGasBallSystem} ballSystem
+   * @param {ReadOnlyProperty.<number>} temperatureProperty - the temperature of the gas, in Kelvin.
+   * @param {Property.<number>} elapsedTimeProperty
+   */
+  constructor( ballSystem, temperatureProperty, elapsedTimeProperty ) {
+    assert && assert( ballSystem instanceof IdealGasBallSystem, `invalid ballSystem: ${ballSystem}` );
+    assert && AssertUtils.assertAbstractPropertyOf( temperatureProperty, 'number' );
+    assert && AssertUtils.assertPropertyOf( elapsedTimeProperty, 'number' );
+
+    // @public (read-only) {number} - the number of bins and the width of each bin, in m/s.
+    this.numberOfBins = NUMBER_OF_BINS;
+    this.binWidth = MAX_SPEED / NUMBER_OF_BINS;
+
+    // @public (read-only) {ReadOnlyProperty.<number>} - reference to the passed-in temperatureProperty, which
+    //                                                  determines the Maxwell-Boltzmann distribution.
+    this.temperatureProperty = temperatureProperty;
+
+    // @public {Property.<boolean>} - indicates if the SpeedHistogram is expanded. This Property is manipulated
+    //                                externally in the view.
+    this.expandedProperty = new BooleanProperty( true );
+
+    // @public {Property.<boolean>} - indicates if the fractions are averaged over the last few seconds. This Property is
+    //                                manipulated externally in the view.
+    this.isTimeAveragingProperty = new BooleanProperty( false );
+
+    // @public (read-only) {Property.<number[]>} - the fraction of the Balls in each bin right now. DerivedProperty is
+    //                                             never disposed since SpeedHistograms are never disposed.
+    this.instantaneousFractionsProperty = new DerivedProperty( [
+      ballSystem.balls.lengthProperty,
+      ballSystem.isBrownianMotionProperty,
+      ...ballSystem.prepopulatedBalls.map( ball => ball.speedProperty )
+    ], () => {
+      const fractions = _.times( NUMBER_OF_BINS, () => 0 );
+      const gasBalls = ballSystem.balls.filter( ball => !ballSystem.isHeavyBall( ball ) );
+
+      gasBalls.forEach( ball => {
+        const binIndex = Math.floor( ball.speedProperty.value / this.binWidth );
+        if ( binIndex < NUMBER_OF_BINS ) {
+          fractions[ binIndex ] += 1 / gasBalls.length;
+        }
+      } );
+      return fractions;
+    }, {
+      valueType: Array
+    } );
+
+    // @public (read-only) {Property.<number[]>} - the fraction of the Balls in each bin that is displayed, which is
+    //                                             averaged over the last few seconds if time-averaging.
+    this.fractionsProperty = new Property( this.instantaneousFractionsProperty.value, {
+      valueType: Array
+    } );
+
+    // @private {{time: number, fractions: number[]}[]} - the fractions of each step within the averaging time, with
+    //                                                    the elapsed time of the step, in the order that they happened.
+    this.samples = [];
+
+    // @private {number[]} - the sum of the fractions of the samples, for each bin.
+    this.sampleSums = _.times( NUMBER_OF_BINS, () => 0 );
+
+    //----------------------------------------------------------------------------------------
+
+    // Observe when the elapsed time changes to sample the fractions of the step, or to start the average over if the
+    // elapsed time went backwards. Link is never disposed since SpeedHistograms are never disposed.
+    let previousElapsedTime = elapsedTimeProperty.value;
+    elapsedTimeProperty.lazyLink( elapsedTime => {
+      if ( elapsedTime < previousElapsedTime ) {
+        this.clearSamples();
+      }
+      else {
+        while ( this.samples.length && this.samples[ 0 ].time <= elapsedTime - AVERAGING_TIME ) {
+          this.addToSampleSums( this.samples.shift().fractions, -1 );
+        }
+        this.samples.push( { time: elapsedTime, fractions: this.instantaneousFractionsProperty.value } );
+        this.addToSampleSums( this.instantaneousFractionsProperty.value, 1 );
+      }
+      previousElapsedTime = elapsedTime;
+      this.updateFractions();
+    } );
+
+    // Observe when the fractions change or time-averaging is toggled to update the displayed fractions. Links are never
+    // disposed since SpeedHistograms are never disposed.
+    this.instantaneousFractionsProperty.lazyLink( () => this.updateFractions() );
+    this.isTimeAveragingProperty.lazyLink( () => this.updateFractions() );
+  }
+
+  /**
+   * Resets the SpeedHistogram.
+   * @public
+   *
+   * Called when the reset-all button is pressed.
+   */
+  reset() {
+    this.expandedProperty.reset();
+    this.isTimeAveragingProperty.reset();
+    this.clearSamples();
+    this.updateFractions();
+  }
+
+  /**
+   * Gets the fraction of the Balls that the Maxwell-Boltzmann distribution predicts in a bin that is centered at the
+   * given speed, for the current temperature of the gas. The Balls of the gas are identical, with the mass of the gas.
+   * @public
+   *
+   * @param {number} speed - in m/s.
+   * @returns {number}
+   */
+  getMaxwellBoltzmannFraction( speed ) {
+    assert && assert( typeof speed === 'number' && speed >= 0, `invalid speed: ${speed}` );
+
+    const thermalEnergy = CollisionLabConstants.BOLTZMANN_CONSTANT * this.temperatureProperty.value;
+    if ( !thermalEnergy ) { return 0; /** all Balls are at rest **/ }
+
+    const mass = IdealGasBallSystem.BALL_MASS;
+    const density = mass * speed / thermalEnergy * Math.exp( -mass * speed * speed / ( 2 * thermalEnergy ) );
+    return density * this.binWidth;
+  }
+
+  /**
+   * Forgets every sample and starts the average over.
+   * @private
+   */
+  clearSamples() {
+    this.samples.length = 0;
+    this.sampleSums.fill( 0 );
+  }
+
+  /**
+   * Adds the fractions of a sample to the sums of the samples, for each bin.
+   * @private
+   *
+   * @param {number[]} fractions
+   * @param {number} sign - 1 to add the sample, -1 to remove it.
+   */
+  addToSampleSums( fractions, sign ) {
+    fractions.forEach( ( fraction, binIndex ) => { this.sampleSums[ binIndex ] += sign * fraction; } );
+  }
+
+  /**
+   * Updates the displayed fractions, which are the average of the samples if time-averaging and there are samples.
+   * @private
+   */
+  updateFractions() {
+    this.fractionsProperty.value = this.isTimeAveragingProperty.value && this.samples.length ?
+                                   this.sampleSums.map( sum => Math.max( sum / this.samples.length, 0 ) ) :
+                                   this.instantaneousFractionsProperty.value;
+  }
+}
+
+export default SpeedHistogram;
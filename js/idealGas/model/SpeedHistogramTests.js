@@ -0,0 +1,78 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * SpeedHistogram tests, with the gas of the 'Ideal Gas' screen. The gas is spawned with the same speed for every Ball,
+ * and collisions relax the speeds of the Balls to the Maxwell-Boltzmann distribution.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import IdealGasModel from './IdealGasModel.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const DURATION = 10;       // the duration of the motion, which relaxes the gas, in seconds.
+const TOLERANCE = 1e-9;    // the tolerance of the compared values.
+
+QUnit.module( 'SpeedHistogram' );
+
+/**
+ * Gets the fraction of the Balls that the Maxwell-Boltzmann distribution predicts in each bin of the passed-in
+ * SpeedHistogram.
+ *
+ * @param {SpeedHistogram} speedHistogram
+ * @returns {number[]}
+ */
+const getMaxwellBoltzmannFractions = speedHistogram => _.range( speedHistogram.numberOfBins ).map( binIndex => {
+  return speedHistogram.getMaxwellBoltzmannFraction( ( binIndex + 0.5 ) * speedHistogram.binWidth );
+} );
+
+QUnit.test( 'the fractions of the Balls in the bins', assert => {
+  const model = new IdealGasModel( Tandem.OPT_OUT );
+  const speedHistogram = model.speedHistogram;
+  const balls = model.ballSystem.balls;
+
+  // Every Ball is spawned with the same speed, and every Ball is in a bin below the maximum speed.
+  assert.ok( balls.every( ball => Math.abs( ball.speedProperty.value - balls[ 0 ].speedProperty.value ) < TOLERANCE ),
+    'every Ball is spawned with the same speed' );
+  assert.ok( Math.abs( _.sum( speedHistogram.fractionsProperty.value ) - 1 ) < TOLERANCE, 'every Ball is in a bin' );
+
+  // The spawn speed is on the edge of a bin, so move every Ball to the middle of a bin.
+  const speed = 3.5 * speedHistogram.binWidth;
+  balls.forEach( ball => { ball.velocityProperty.value = new Vector2( 0, speed ); } );
+  assert.ok( Math.abs( speedHistogram.fractionsProperty.value[ 3 ] - 1 ) < TOLERANCE, 'every Ball is in the same bin' );
+  assert.ok( Math.abs( _.sum( getMaxwellBoltzmannFractions( speedHistogram ) ) - 1 ) < 0.01,
+    'the Maxwell-Boltzmann distribution is normalized' );
+
+  balls[ 0 ].velocityProperty.value = balls[ 0 ].velocityProperty.value.times( 10 );
+  assert.ok( Math.abs( _.sum( speedHistogram.fractionsProperty.value ) - ( balls.length - 1 ) / balls.length ) <
+             TOLERANCE, 'Balls that are faster than the maximum speed aren\'t in any bin' );
+} );
+
+QUnit.test( 'the speeds of the gas relax to the Maxwell-Boltzmann distribution', assert => {
+  const model = new IdealGasModel( Tandem.OPT_OUT );
+  const speedHistogram = model.speedHistogram;
+  speedHistogram.isTimeAveragingProperty.value = true;
+
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+  }
+
+  // The difference between the time-averaged histogram and the distribution, which is the largest difference in the
+  // fraction of the Balls of any range of speeds.
+  const maxwellBoltzmannFractions = getMaxwellBoltzmannFractions( speedHistogram );
+  const difference = _.sum( speedHistogram.fractionsProperty.value.map( ( fraction, binIndex ) => {
+    return Math.abs( fraction - maxwellBoltzmannFractions[ binIndex ] );
+  } ) ) / 2;
+  assert.ok( difference < 0.15, `difference from the Maxwell-Boltzmann distribution: ${difference}` );
+
+  const instantaneousFractions = speedHistogram.instantaneousFractionsProperty.value;
+  assert.ok( !_.isEqual( speedHistogram.fractionsProperty.value, instantaneousFractions ),
+    'the fractions are averaged over time' );
+
+  speedHistogram.isTimeAveragingProperty.value = false;
+  assert.ok( _.isEqual( speedHistogram.fractionsProperty.value, instantaneousFractions ),
+    'the fractions aren\'t averaged without time-averaging' );
+} );
@@ -0,0 +1,77 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * ThermalWall is the model of one side of the container of the gas in the 'Ideal Gas' screen, when it is a heat bath
+ * at its own temperature (see ThermalWalls). Instead of reflecting a Ball like a mirror, a ThermalWall absorbs the Ball
+ * and re-emits it with a velocity that is drawn from the thermal distribution of the wall, so the Ball forgets its old
+ * velocity. For a Ball with the mass m, at the temperature T of the wall:
+ *
+ *   - the component of the velocity along the wall is normally distributed, with the standard deviation
+ *     sigma = sqrt( k * T / m ).
+ *   - the component of the velocity away from the wall follows the Rayleigh distribution with the same sigma. The
+ *     emitted Balls are weighted by how fast they leave the wall, since fast Balls leave the wall more often.
+ *
+ * A gas whose Balls all bounce off of ThermalWalls at the same temperature comes to equilibrium at that temperature.
+ * See https://en.wikipedia.org/wiki/Maxwell%E2%80%93Boltzmann_distribution.
+ *
+ * ThermalWalls are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import dotRandom from '../../../../dot/js/dotRandom.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+
+class ThermalWall {
+
+  /**
+   * @param {Vector2} normal - the unit normal of the wall, which points into the container.
+   * @param {number} initialTemperature - in Kelvin.
+   */
+  constructor( normal, initialTemperature ) {
+    assert && assert( normal instanceof Vector2 && normal.isFinite(), `invalid normal: ${normal}` );
+    assert && assert( CollisionLabConstants.THERMAL_WALL_TEMPERATURE_RANGE.contains( initialTemperature ),
+      `invalid initialTemperature: ${initialTemperature}` );
+
+    // @public (read-only) {Vector2} - the unit normal of the wall, which points into the container.
+    this.normal = normal.normalized();
+
+    // @public {Property.<number>} - the temperature of the wall, in Kelvin. Manipulated in the view.
+    this.temperatureProperty = new NumberProperty( initialTemperature, {
+      range: CollisionLabConstants.THERMAL_WALL_TEMPERATURE_RANGE
+    } );
+  }
+
+  /**
+   * Resets the ThermalWall.
+   * @public
+   *
+   * Called when the reset-all button is pressed.
+   */
+  reset() {
+    this.temperatureProperty.reset();
+  }
+
+  /**
+   * Draws a random velocity for a Ball that the wall emits, from the thermal distribution of the wall.
+   * @public
+   *
+   * @param {number} mass - the mass of the Ball, in kg.
+   * @returns {Vector2} - in m/s.
+   */
+  sampleEmittedVelocity( mass ) {
+    assert && assert( typeof mass === 'number' && mass > 0, `invalid mass: ${mass}` );
+
+    const sigma = Math.sqrt( CollisionLabConstants.BOLTZMANN_CONSTANT * this.temperatureProperty.value / mass );
+
+    // Inverse-transform sampling of the Rayleigh distribution. 1 - nextDouble() is in (0, 1], so the log is finite.
+    const normalSpeed = sigma * Math.sqrt( -2 * Math.log( 1 - dotRandom.nextDouble() ) );
+    const tangentialVelocity = sigma * dotRandom.nextGaussian();
+
+    return this.normal.times( normalSpeed ).add( this.normal.perpendicular.multiplyScalar( tangentialVelocity ) );
+  }
+}
+
+export default ThermalWall;
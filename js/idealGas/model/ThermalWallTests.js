@@ -0,0 +1,98 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * ThermalWall tests, with the gas of the 'Ideal Gas' screen. ThermalWalls emit Balls with velocities drawn from their
+ * thermal distribution, a gas between ThermalWalls at the same temperature comes to that temperature, and heat flows
+ * from a hot ThermalWall through the gas to a cold ThermalWall.
+ *
+ * @author agent
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import IdealGasModel from './IdealGasModel.js';
+import ThermalWall from './ThermalWall.js';
+
+// constants
+const DT = 1 / 60;                 // the time-delta of each step, in seconds.
+const DURATION = 10;               // the duration of the motion, in seconds.
+const RELAXATION_TIME = 5;         // the gas comes to a steady state within this time, in seconds.
+const NUMBER_OF_SAMPLES = 20000;   // the number of sampled velocities of a ThermalWall.
+
+QUnit.module( 'ThermalWall' );
+
+/**
+ * Creates an IdealGasModel with the ThermalWalls on, at the passed-in temperatures, and steps it. Returns the mean
+ * temperature of the gas and the heat that each ThermalWall gives to the gas, once the gas is in a steady state.
+ *
+ * @param {number} leftTemperature - in Kelvin.
+ * @param {number} rightTemperature - in Kelvin.
+ * @returns {{model: IdealGasModel, temperature: number, heats: Map.<ThermalWall, number>}}
+ */
+const stepThermalModel = ( leftTemperature, rightTemperature ) => {
+  const model = new IdealGasModel( Tandem.OPT_OUT );
+  const thermalWalls = model.playArea.thermalWalls;
+  thermalWalls.isEnabledProperty.value = true;
+  thermalWalls.leftWall.temperatureProperty.value = leftTemperature;
+  thermalWalls.rightWall.temperatureProperty.value = rightTemperature;
+
+  const heats = new Map( thermalWalls.walls.map( wall => [ wall, 0 ] ) );
+  model.collisionEngine.thermalWallHeatEmitter.addListener( ( wall, heat ) => {
+    if ( model.elapsedTimeProperty.value > RELAXATION_TIME ) {
+      heats.set( wall, heats.get( wall ) + heat );
+    }
+  } );
+
+  const temperatures = [];
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+    model.elapsedTimeProperty.value > RELAXATION_TIME && temperatures.push( model.gasGauge.temperatureProperty.value );
+  }
+  return { model: model, temperature: _.mean( temperatures ), heats: heats };
+};
+
+QUnit.test( 'the thermal distribution of the emitted velocities', assert => {
+  const temperature = 100;
+  const mass = 0.1;
+  const wall = new ThermalWall( new Vector2( -1, 0 ), temperature );
+  const velocities = _.range( NUMBER_OF_SAMPLES ).map( () => wall.sampleEmittedVelocity( mass ) );
+
+  // The component away from the wall follows the Rayleigh distribution, with a mean square of 2 * sigma^2, and the
+  // component along the wall follows the normal distribution, with a mean square of sigma^2.
+  const sigmaSquared = CollisionLabConstants.BOLTZMANN_CONSTANT * temperature / mass;
+  const normalMeanSquare = _.mean( velocities.map( velocity => velocity.x ** 2 ) );
+  const tangentialMeanSquare = _.mean( velocities.map( velocity => velocity.y ** 2 ) );
+
+  assert.ok( velocities.every( velocity => velocity.x < 0 ), 'every Ball is emitted into the container' );
+  assert.ok( Math.abs( normalMeanSquare / ( 2 * sigmaSquared ) - 1 ) < 0.05,
+    `the mean square of the normal component: ${normalMeanSquare}` );
+  assert.ok( Math.abs( tangentialMeanSquare / sigmaSquared - 1 ) < 0.05,
+    `the mean square of the tangential component: ${tangentialMeanSquare}` );
+  assert.ok( Math.abs( _.mean( velocities.map( velocity => velocity.y ) ) ) < 0.05 * Math.sqrt( sigmaSquared ),
+    'the tangential component has no drift' );
+} );
+
+QUnit.test( 'a gas between ThermalWalls at the same temperature comes to that temperature', assert => {
+  const { model, temperature } = stepThermalModel( 150, 150 );
+
+  // The gas is spawned at a lower temperature. The mean temperature is noisy, since the gas only has a few Balls.
+  assert.ok( Math.abs( temperature / 150 - 1 ) < 0.3, `the mean temperature of the gas: ${temperature}` );
+  assert.ok( !model.playArea.isTimeReversibleProperty.value, 'ThermalWalls aren\'t time-reversible' );
+  assert.ok( !model.playArea.piston.isEnabledProperty.value, 'the Piston is off while the ThermalWalls are on' );
+} );
+
+QUnit.test( 'heat flows from a hot ThermalWall through the gas to a cold ThermalWall', assert => {
+  const { model, temperature, heats } = stepThermalModel( 200, 10 );
+  const thermalWalls = model.playArea.thermalWalls;
+
+  assert.ok( temperature > 10 && temperature < 200, `the gas is between the temperatures: ${temperature}` );
+  assert.ok( heats.get( thermalWalls.leftWall ) > 0, 'the hot ThermalWall gives heat to the gas' );
+  assert.ok( heats.get( thermalWalls.rightWall ) < 0, 'the cold ThermalWall takes heat from the gas' );
+  assert.ok( model.heatFlowRates.get( thermalWalls.leftWall ).rateProperty.value !== null,
+    'the heat flow rates are measured' );
+
+  model.reset();
+  assert.ok( !thermalWalls.isEnabledProperty.value && thermalWalls.leftWall.temperatureProperty.value === 100,
+    'the ThermalWalls are reset' );
+} );
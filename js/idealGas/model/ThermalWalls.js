@@ -0,0 +1,48 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * ThermalWalls is the model of the optional heat baths of the container of the gas in the 'Ideal Gas' screen. When
+ * they are on, the left and right sides of the container are ThermalWalls, each at its own temperature, while the top
+ * and bottom sides still reflect Balls like mirrors. A Ball that bounces off of a ThermalWall leaves it with a velocity
+ * drawn from the thermal distribution of the wall, so heat flows from the hotter wall through the gas to the colder
+ * wall (see IdealGasCollisionEngine).
+ *
+ * ThermalWalls are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import ThermalWall from './ThermalWall.js';
+
+class ThermalWalls {
+
+  constructor() {
+
+    // @public {Property.<boolean>} - indicates if the thermal walls are on. Manipulated in the view.
+    this.isEnabledProperty = new BooleanProperty( false );
+
+    // @public (read-only) {ThermalWall} - the left side of the container, which is hot initially.
+    this.leftWall = new ThermalWall( new Vector2( 1, 0 ), 100 );
+
+    // @public (read-only) {ThermalWall} - the right side of the container, which is cold initially.
+    this.rightWall = new ThermalWall( new Vector2( -1, 0 ), 20 );
+
+    // @public (read-only) {ThermalWall[]} - every ThermalWall.
+    this.walls = [ this.leftWall, this.rightWall ];
+  }
+
+  /**
+   * Resets the ThermalWalls.
+   * @public
+   *
+   * Called when the reset-all button is pressed.
+   */
+  reset() {
+    this.isEnabledProperty.reset();
+    this.walls.forEach( wall => wall.reset() );
+  }
+}
+
+export default ThermalWalls;
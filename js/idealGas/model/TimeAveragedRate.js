@@ -0,0 +1,112 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * TimeAveragedRate measures the average rate at which some quantity (like the momentum that the border absorbs, or the
+ * heat that flows through a ThermalWall) is delivered over the last few seconds of elapsed time. Each amount is
+ * recorded at the current elapsed time, and is forgotten once it is older than the averaging time. The rate is the
+ * total of the recorded amounts divided by the duration of the measurement, which is the averaging time once enough
+ * time has elapsed.
+ *
+ * The measurement starts over whenever the elapsed time goes backwards, which is when the elapsed time is reset (for
+ * instance when the user moves a Ball or restarts the sim).
+ *
+ * TimeAveragedRates are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import merge from '../../../../phet-core/js/merge.js';
+import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
+
+class TimeAveragedRate {
+
+  /**
+   * @param {Property.<number>} elapsedTimeProperty
+   * @param {Object} [options]
+   */
+  constructor( elapsedTimeProperty, options ) {
+    assert && AssertUtils.assertPropertyOf( elapsedTimeProperty, 'number' );
+
+    options = merge( {
+
+      // {number} - the time that the rate is averaged over, in seconds.
+      averagingTime: 5
+
+    }, options );
+
+    // @private - references to the passed-in parameters.
+    this.elapsedTimeProperty = elapsedTimeProperty;
+    this.averagingTime = options.averagingTime;
+
+    // @public (read-only) {Property.<number|null>} - the time-averaged rate, per second. Null if no time has elapsed
+    //                                                since the measurement started.
+    this.rateProperty = new Property( null );
+
+    // @private {{time: number, amount: number}[]} - the amounts within the averaging time, with the elapsed time that
+    //                                               they were recorded at, in the order that they were recorded.
+    this.records = [];
+
+    // @private {number} - the total of the amounts of the records.
+    this.total = 0;
+
+    // @private {number} - the elapsed time that the measurement started at, in seconds.
+    this.startTime = elapsedTimeProperty.value;
+
+    // Observe when the elapsed time changes to forget the amounts that are older than the averaging time, or to start
+    // the measurement over if the elapsed time went backwards. Link is never disposed since TimeAveragedRates are never
+    // disposed.
+    let previousElapsedTime = elapsedTimeProperty.value;
+    elapsedTimeProperty.lazyLink( elapsedTime => {
+      if ( elapsedTime < previousElapsedTime ) {
+        this.reset();
+      }
+      else {
+        while ( this.records.length && this.records[ 0 ].time <= elapsedTime - this.averagingTime ) {
+          this.total -= this.records.shift().amount;
+        }
+        this.updateRate();
+      }
+      previousElapsedTime = elapsedTime;
+    } );
+  }
+
+  /**
+   * Forgets every recorded amount and starts the measurement over at the current elapsed time.
+   * @public
+   *
+   * Called when the reset-all button is pressed.
+   */
+  reset() {
+    this.records.length = 0;
+    this.total = 0;
+    this.startTime = this.elapsedTimeProperty.value;
+    this.updateRate();
+  }
+
+  /**
+   * Records an amount of the quantity at the current elapsed time.
+   * @public
+   *
+   * @param {number} amount
+   */
+  addAmount( amount ) {
+    assert && assert( typeof amount === 'number' && isFinite( amount ), `invalid amount: ${amount}` );
+
+    this.records.push( { time: this.elapsedTimeProperty.value, amount: amount } );
+    this.total += amount;
+    this.updateRate();
+  }
+
+  /**
+   * Updates the rate, which is the total of the recorded amounts divided by the duration of the measurement.
+   * @private
+   */
+  updateRate() {
+    const duration = Math.min( this.averagingTime, this.elapsedTimeProperty.value - this.startTime );
+
+    this.rateProperty.value = duration > 0 ? this.total / duration : null;
+  }
+}
+
+export default TimeAveragedRate;
@@ -0,0 +1,100 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * GasGaugePanel is a Panel sub-type that displays the readouts of a GasGauge in the 'Ideal Gas' screen, which appears
+ * below the PlayArea. It shows the pressure, area, temperature, and number of Balls of the gas, so that students can
+ * check the ideal gas law, P * A = N * k * T.
+ *
+ * GasGaugePanels are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberDisplay from '../../../../scenery-phet/js/NumberDisplay.js';
+import HBox from '../../../../scenery/js/layout/nodes/HBox.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Panel from '../../../../sun/js/Panel.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import GasGauge from '../model/GasGauge.js';
+
+// constants
+const PRESSURE_RANGE = new Range( 0, 100 );     // the display range of the pressure, in N/m
+const AREA_RANGE = new Range( 0, 10 );          // the display range of the area, in meters squared
+const TEMPERATURE_RANGE = new Range( 0, 1000 ); // the display range of the temperature, in Kelvin
+const NUMBER_OF_BALLS_RANGE = new Range( 0, 999 );
+const TEMPERATURE_DECIMAL_PLACES = 1;
+
+class GasGaugePanel extends Panel {
+
+  /**
+   * @param {GasGauge} gasGauge
+   * @param {Object} [options]
+   */
+  constructor( gasGauge, options ) {
+    assert && assert( gasGauge instanceof GasGauge, `invalid gasGauge: ${gasGauge}` );
+
+    options = merge( {}, CollisionLabConstants.PANEL_OPTIONS, {
+
+      // {Object} - passed to all of the NumberDisplays.
+      numberDisplayOptions: {
+        align: 'left',
+        backgroundStroke: null,
+        useRichText: true,
+        textOptions: {
+          font: CollisionLabConstants.DISPLAY_FONT
+        },
+        maxWidth: 150 // constrain width for i18n, determined empirically
+      }
+
+    }, options );
+
+    //----------------------------------------------------------------------------------------
+
+    // Convenience function that creates a NumberDisplay that labels a value with a symbol, like 'P = 0.19 N/m'.
+    const createNumberDisplay = ( numberProperty, symbol, units, range, decimalPlaces ) => {
+      return new NumberDisplay( numberProperty, range, merge( {
+        decimalPlaces: decimalPlaces,
+        valuePattern: StringUtils.fillIn( units ?
+                                          CollisionLabStrings.pattern.labelEqualsValueSpaceUnits :
+                                          CollisionLabStrings.pattern.labelEqualsValueUnits, {
+          label: symbol,
+          units: units
+        } )
+      }, options.numberDisplayOptions ) );
+    };
+
+    const titleText = new Text( CollisionLabStrings.idealGas, {
+      font: CollisionLabConstants.PANEL_TITLE_FONT,
+      maxWidth: options.numberDisplayOptions.maxWidth
+    } );
+
+    const numberDisplays = new HBox( {
+      spacing: 15,
+      children: [
+        createNumberDisplay( gasGauge.pressureProperty, CollisionLabStrings.symbol.pressure,
+          CollisionLabStrings.units.newtonsPerMeter, PRESSURE_RANGE, CollisionLabConstants.DISPLAY_DECIMAL_PLACES ),
+        createNumberDisplay( gasGauge.areaProperty, CollisionLabStrings.symbol.area,
+          CollisionLabStrings.units.metersSquared, AREA_RANGE, CollisionLabConstants.DISPLAY_DECIMAL_PLACES ),
+        createNumberDisplay( gasGauge.temperatureProperty, CollisionLabStrings.symbol.temperature,
+          CollisionLabStrings.units.kelvins, TEMPERATURE_RANGE, TEMPERATURE_DECIMAL_PLACES ),
+        createNumberDisplay( gasGauge.numberOfBallsProperty, CollisionLabStrings.symbol.numberOfBalls,
+          '', NUMBER_OF_BALLS_RANGE, 0 )
+      ]
+    } );
+
+    const contentNode = new VBox( {
+      spacing: 5,
+      align: 'left',
+      children: [ titleText, numberDisplays ]
+    } );
+
+    super( contentNode, _.omit( options, 'numberDisplayOptions' ) );
+  }
+}
+
+export default GasGaugePanel;
@@ -0,0 +1,108 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * IdealGasControlPanel is a CollisionLabControlPanel sub-type for the 'Ideal Gas' screen, which appears on the
+ * upper-right corner of the screen.
+ *
+ * The container of the gas is always perfectly elastic and reflecting, and the Balls of the gas are identical, so the
+ * 'Reflecting Border' Checkbox, the 'Elasticity' NumberControl, and the 'Constant Size' Checkbox aren't included. It adds
+ * a 'Thermal Walls' Checkbox and a ThermalWallNumberControl for the temperature of each ThermalWall below a horizontal
+ * line separator at the bottom, followed by the 'Piston' and 'Oscillate' Checkboxes and a PistonSpeedNumberControl
+ * below another separator, and the 'Brownian Motion' and 'Many Balls' Checkboxes below a last separator. All other
+ * configurations and options are the same.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
+import HSeparator from '../../../../scenery/js/layout/nodes/HSeparator.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabCheckbox from '../../common/view/CollisionLabCheckbox.js';
+import CollisionLabControlPanel from '../../common/view/CollisionLabControlPanel.js';
+import CollisionLabViewProperties from '../../common/view/CollisionLabViewProperties.js';
+import Piston from '../model/Piston.js';
+import ThermalWalls from '../model/ThermalWalls.js';
+import PistonSpeedNumberControl from './PistonSpeedNumberControl.js';
+import ThermalWallNumberControl from './ThermalWallNumberControl.js';
+
+class IdealGasControlPanel extends CollisionLabControlPanel {
+
+  /**
+   * @param {CollisionLabViewProperties} viewProperties
+   * @param {Property.<boolean>} centerOfMassVisibleProperty
+   * @param {Property.<boolean>} pathsVisibleProperty
+   * @param {Property.<boolean>} reflectingBorderProperty
+   * @param {Property.<number>} elasticityPercentProperty
+   * @param {Property.<boolean>} ballsConstantSizeProperty
+   * @param {ThermalWalls} thermalWalls
+   * @param {Piston} piston
+   * @param {Property.<boolean>} isBrownianMotionProperty
+   * @param {Property.<boolean>} isManyBallsProperty
+   * @param {Object} [options]
+   */
+  constructor( viewProperties,
+               centerOfMassVisibleProperty,
+               pathsVisibleProperty,
+               reflectingBorderProperty,
+               elasticityPercentProperty,
+               ballsConstantSizeProperty,
+               thermalWalls,
+               piston,
+               isBrownianMotionProperty,
+               isManyBallsProperty,
+               options ) {
+    assert && assert( viewProperties instanceof CollisionLabViewProperties, `invalid viewProperties: ${viewProperties}` );
+    assert && AssertUtils.assertPropertyOf( centerOfMassVisibleProperty, 'boolean' );
+    assert && AssertUtils.assertPropertyOf( reflectingBorderProperty, 'boolean' );
+    assert && AssertUtils.assertPropertyOf( elasticityPercentProperty, 'number' );
+    assert && AssertUtils.assertPropertyOf( ballsConstantSizeProperty, 'boolean' );
+    assert && assert( thermalWalls instanceof ThermalWalls, `invalid thermalWalls: ${thermalWalls}` );
+    assert && assert( piston instanceof Piston, `invalid piston: ${piston}` );
+    assert && AssertUtils.assertPropertyOf( isBrownianMotionProperty, 'boolean' );
+    assert && AssertUtils.assertPropertyOf( isManyBallsProperty, 'boolean' );
+
+    options = merge( {
+
+      // super-class options
+      includeReflectingBorderCheckbox: false,
+      includeElasticityNumberControl: false,
+      includeConstantSizeCheckbox: false
+
+    }, options );
+
+    super( viewProperties,
+      centerOfMassVisibleProperty,
+      pathsVisibleProperty,
+      reflectingBorderProperty,
+      elasticityPercentProperty,
+      ballsConstantSizeProperty,
+      options );
+
+    //----------------------------------------------------------------------------------------
+
+    // Add the 'Thermal Walls' controls below a horizontal line separator, since the super-class doesn't add one.
+    this.contentNode.addChild( new HSeparator( { stroke: Color.BLACK } ) );
+    this.contentNode.addChild( new CollisionLabCheckbox( thermalWalls.isEnabledProperty, CollisionLabStrings.thermalWalls ) );
+    this.contentNode.addChild( new ThermalWallNumberControl( thermalWalls.leftWall, CollisionLabStrings.leftWall,
+      thermalWalls.isEnabledProperty ) );
+    this.contentNode.addChild( new ThermalWallNumberControl( thermalWalls.rightWall, CollisionLabStrings.rightWall,
+      thermalWalls.isEnabledProperty ) );
+
+    // Add the 'Piston' controls below another horizontal line separator.
+    this.contentNode.addChild( new HSeparator( { stroke: Color.BLACK } ) );
+    this.contentNode.addChild( new CollisionLabCheckbox( piston.isEnabledProperty, CollisionLabStrings.piston ) );
+    this.contentNode.addChild( new CollisionLabCheckbox( piston.isOscillatingProperty, CollisionLabStrings.oscillate, {
+      enabledProperty: piston.isEnabledProperty
+    } ) );
+    this.contentNode.addChild( new PistonSpeedNumberControl( piston ) );
+
+    // Add the 'Brownian Motion' and 'Many Balls' Checkboxes below a last horizontal line separator.
+    this.contentNode.addChild( new HSeparator( { stroke: Color.BLACK } ) );
+    this.contentNode.addChild( new CollisionLabCheckbox( isBrownianMotionProperty, CollisionLabStrings.brownianMotion ) );
+    this.contentNode.addChild( new CollisionLabCheckbox( isManyBallsProperty, CollisionLabStrings.manyBalls ) );
+  }
+}
+
+export default IdealGasControlPanel;
@@ -0,0 +1,164 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Top level view for the 'Ideal Gas' screen. The gas has too many Balls to list in a BallValuesPanel and its momenta
+ * diagram would be a tangle of arrows, so they are replaced with a GasGaugePanel below the PlayArea and a
+ * SpeedHistogramAccordionBox below the control panel. In the 'Brownian Motion' scenario, the SpeedHistogramAccordionBox
+ * is swapped for a MeanSquaredDisplacementAccordionBox of the heavy Ball. The ThermalWalls are drawn along their sides
+ * of the PlayArea, and the Piston is drawn at the right side of the container.
+ *
+ * @author agent
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import merge from '../../../../phet-core/js/merge.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import BallSystemNode from '../../common/view/BallSystemNode.js';
+import CollisionLabScreenView from '../../common/view/CollisionLabScreenView.js';
+import CollisionLabViewProperties from '../../common/view/CollisionLabViewProperties.js';
+import IdealGasModel from '../model/IdealGasModel.js';
+import GasGaugePanel from './GasGaugePanel.js';
+import IdealGasControlPanel from './IdealGasControlPanel.js';
+import MeanSquaredDisplacementAccordionBox from './MeanSquaredDisplacementAccordionBox.js';
+import PistonNode from './PistonNode.js';
+import SpeedHistogramAccordionBox from './SpeedHistogramAccordionBox.js';
+import ThermalWallNode from './ThermalWallNode.js';
+
+// constants
+const MANY_BALLS_DELTA = 10; // the change in the number of Balls for each press of the NumberSpinner in 'Many Balls' mode.
+
+class IdealGasScreenView extends CollisionLabScreenView {
+
+  /**
+   * @param {IdealGasModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   */
+  constructor( model, tandem, options ) {
+    assert && assert( model instanceof IdealGasModel, `invalid model: ${model}` );
+    assert && assert( tandem instanceof Tandem, `invalid tandem: ${tandem}` );
+
+    // The number of Balls changes by more for each press of the NumberSpinner in the 'Many Balls' mode.
+    const getNumberOfBallsDelta = () => model.ballSystem.isManyBallsProperty.value ? MANY_BALLS_DELTA : 1;
+
+    options = merge( {
+
+      playAreaTopRightControlsOptions: {
+        numberOfBallsRangeProperty: model.ballSystem.numberOfBallsRangeProperty,
+        numberSpinnerOptions: {
+          incrementFunction: value => value + getNumberOfBallsDelta(),
+          decrementFunction: value => value - getNumberOfBallsDelta()
+        }
+      },
+
+      includeBallValuesPanel: false,
+      includeMomentaDiagram: false,
+      includeStepBack: false,
+      includeBallMaterials: false
+    }, options );
+
+    super( model, tandem, options );
+
+    //----------------------------------------------------------------------------------------
+
+    // Panel of the pressure, area, temperature, and number of Balls of the gas.
+    const gasGaugePanel = new GasGaugePanel( model.gasGauge, {
+      left: this.playAreaViewBounds.left,
+      top: this.playAreaViewBounds.bottom + 55
+    } );
+
+    this.addChild( gasGaugePanel );
+    gasGaugePanel.moveToBack();
+
+    // Speed histogram, where the Momenta Diagram appears in the other screens. It is swapped for the graph of the mean
+    // squared displacement of the heavy Ball in the 'Brownian Motion' scenario.
+    const speedHistogramAccordionBox = new SpeedHistogramAccordionBox( model.speedHistogram, {
+      centerX: this.controlPanel.centerX,
+      top: this.controlPanel.bottom + 8,
+      visibleProperty: DerivedProperty.not( model.ballSystem.isBrownianMotionProperty )
+    } );
+    const meanSquaredDisplacementAccordionBox = new MeanSquaredDisplacementAccordionBox( model.meanSquaredDisplacement, {
+      centerX: this.controlPanel.centerX,
+      top: this.controlPanel.bottom + 8,
+      visibleProperty: model.ballSystem.isBrownianMotionProperty
+    } );
+
+    this.addChild( speedHistogramAccordionBox );
+    this.addChild( meanSquaredDisplacementAccordionBox );
+    speedHistogramAccordionBox.moveToBack();
+    meanSquaredDisplacementAccordionBox.moveToBack();
+
+    // The ThermalWalls of the container, behind the Balls.
+    model.playArea.thermalWalls.walls.forEach( wall => {
+      const thermalWallNode = new ThermalWallNode( wall,
+        model.playArea.thermalWalls.isEnabledProperty,
+        model.heatFlowRates.get( wall ).rateProperty,
+        model.playArea,
+        this.modelViewTransform );
+
+      this.insertChild( this.indexOfChild( this.ballSystemNode ), thermalWallNode );
+    } );
+
+    // The Piston, behind the Balls.
+    const pistonNode = new PistonNode( model.playArea, model.pistonWorkProperty, this.modelViewTransform );
+    this.insertChild( this.indexOfChild( this.ballSystemNode ), pistonNode );
+  }
+
+  /**
+   * Creates the CollisionLabControlPanel for the 'Ideal Gas' screen. Called in the constructor of the super-class.
+   *
+   * @override
+   * @protected
+   * @param {CollisionLabViewProperties} viewProperties
+   * @param {IdealGasModel} model
+   * @param {Object} [options]
+   * @returns {CollisionLabControlPanel}
+   */
+  createControlPanel( viewProperties, model, options ) {
+    assert && assert( viewProperties instanceof CollisionLabViewProperties, `invalid viewProperties: ${viewProperties}` );
+    assert && assert( model instanceof IdealGasModel, `invalid model: ${model}` );
+
+    return new IdealGasControlPanel(
+      viewProperties,
+      model.ballSystem.centerOfMassVisibleProperty,
+      model.ballSystem.pathsVisibleProperty,
+      model.playArea.reflectingBorderProperty,
+      model.playArea.elasticityPercentProperty,
+      model.ballSystem.ballsConstantSizeProperty,
+      model.playArea.thermalWalls,
+      model.playArea.piston,
+      model.ballSystem.isBrownianMotionProperty,
+      model.ballSystem.isManyBallsProperty,
+      options
+    );
+  }
+
+  /**
+   * Creates the BallSystemNode for the 'Ideal Gas' screen. Called in the constructor of the super-class.
+   *
+   * @override
+   * @protected
+   * @param {IdealGasModel} model
+   * @param {CollisionLabViewProperties} viewProperties
+   * @param {ModelViewTransform2} modelViewTransform
+   * @returns {BallSystemNode}
+   */
+  createBallSystemNode( model, viewProperties, modelViewTransform ) {
+    assert && assert( model instanceof IdealGasModel, `invalid model: ${model}` );
+    assert && assert( viewProperties instanceof CollisionLabViewProperties, `invalid viewProperties: ${viewProperties}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2, `invalid modelViewTransform: ${modelViewTransform}` );
+
+    return new BallSystemNode(
+      model.ballSystem,
+      model.playArea,
+      viewProperties.valuesVisibleProperty,
+      viewProperties.velocityVectorVisibleProperty,
+      viewProperties.momentumVectorVisibleProperty,
+      model.isPlayingProperty,
+      modelViewTransform
+    );
+  }
+}
+
+export default IdealGasScreenView;
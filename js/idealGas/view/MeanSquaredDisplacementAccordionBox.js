@@ -0,0 +1,200 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * MeanSquaredDisplacementAccordionBox appears on the bottom-right side of the 'Ideal Gas' screen in the 'Brownian Motion'
+ * scenario, in place of the SpeedHistogramAccordionBox. It displays a MeanSquaredDisplacement:
+ *   - a graph of the mean squared displacement of the heavy Ball against the lag time.
+ *   - an EraserButton that clears the statistics, so that they can be collected again from scratch.
+ *
+ * MeanSquaredDisplacementAccordionBoxes are created at the start of the sim and are never disposed, so no dispose
+ * method is necessary.
+ *
+ * @author agent
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import EraserButton from '../../../../scenery-phet/js/buttons/EraserButton.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/layout/nodes/HBox.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabColors from '../../common/CollisionLabColors.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import MeanSquaredDisplacement from '../model/MeanSquaredDisplacement.js';
+
+// constants
+const PANEL_X_MARGIN = CollisionLabConstants.PANEL_X_MARGIN;
+const PANEL_Y_MARGIN = CollisionLabConstants.PANEL_Y_MARGIN;
+const PANEL_CORNER_RADIUS = CollisionLabConstants.PANEL_CORNER_RADIUS;
+const MAX_VALUE = 2;               // the mean squared displacement at the top of the graph, in meters squared.
+const VALUE_TICK_SPACING = 0.5;    // the spacing of the tick labels of the mean squared displacement, in meters squared.
+const LAG_TIME_TICK_SPACING = 2;   // the spacing of the tick labels of the lag time, in seconds.
+const TICK_LABEL_WIDTH = 20;       // the width reserved for the tick labels of the mean squared displacement.
+const POINT_RADIUS = 2;            // the radius of the point of each lag time, in view coordinates.
+const TICK_LABEL_FONT = new PhetFont( 11 );
+
+class MeanSquaredDisplacementAccordionBox extends AccordionBox {
+
+  /**
+   * @param {MeanSquaredDisplacement} meanSquaredDisplacement
+   * @param {Object} [options]
+   */
+  constructor( meanSquaredDisplacement, options ) {
+    assert && assert( meanSquaredDisplacement instanceof MeanSquaredDisplacement,
+      `invalid meanSquaredDisplacement: ${meanSquaredDisplacement}` );
+
+    options = merge( {
+
+      // {number} - the width of the content and the height of the graph, in view coordinates.
+      contentWidth: CollisionLabConstants.CONTROL_PANEL_CONTENT_WIDTH,
+      graphHeight: 110,
+
+      // superclass options
+      titleNode: new Text( CollisionLabStrings.meanSquaredDisplacement, { font: CollisionLabConstants.DISPLAY_FONT } ),
+      expandedProperty: meanSquaredDisplacement.expandedProperty,
+      cornerRadius: PANEL_CORNER_RADIUS,
+      contentXMargin: PANEL_X_MARGIN,
+      contentYMargin: PANEL_Y_MARGIN,
+      buttonXMargin: PANEL_X_MARGIN,
+      buttonYMargin: PANEL_Y_MARGIN,
+      titleYMargin: PANEL_Y_MARGIN,
+      titleXMargin: PANEL_X_MARGIN,
+      titleXSpacing: PANEL_X_MARGIN,
+      contentYSpacing: 0,
+      titleAlignX: 'left',
+      expandCollapseButtonOptions: {
+        sideLength: 22,
+        touchAreaXDilation: 6,
+        touchAreaYDilation: 6
+      },
+      fill: CollisionLabColors.PANEL_FILL,
+      stroke: CollisionLabColors.PANEL_STROKE
+
+    }, options );
+
+    // Assign a max width to the title node for i18n.
+    options.titleNode.maxWidth = options.contentWidth
+                                 - options.expandCollapseButtonOptions.sideLength
+                                 - options.titleXSpacing
+                                 - options.titleXMargin;
+
+    //----------------------------------------------------------------------------------------
+
+    // The graph is to the right of the tick labels of the mean squared displacement.
+    const graphViewBounds = new Bounds2( TICK_LABEL_WIDTH, 0, options.contentWidth, options.graphHeight );
+    const maxLagTime = meanSquaredDisplacement.numberOfLags * meanSquaredDisplacement.lagInterval;
+
+    // Convenience functions that map a lag time and a mean squared displacement to view coordinates.
+    const lagTimeToViewX = lagTime => graphViewBounds.minX + lagTime / maxLagTime * graphViewBounds.width;
+    const valueToViewY = value => graphViewBounds.maxY - value / MAX_VALUE * graphViewBounds.height;
+
+    // Create the line through the points and the points themselves, which are redrawn when the values change.
+    const linePath = new Path( null, {
+      stroke: CollisionLabColors.MEAN_SQUARED_DISPLACEMENT_STROKE,
+      lineWidth: 1.5
+    } );
+    const pointsPath = new Path( null, {
+      fill: CollisionLabColors.MEAN_SQUARED_DISPLACEMENT_POINT_FILL,
+      stroke: CollisionLabColors.MEAN_SQUARED_DISPLACEMENT_STROKE,
+      lineWidth: 0.5
+    } );
+
+    const graphNode = new Node( {
+      children: [
+        new Rectangle( graphViewBounds, { fill: CollisionLabColors.GRID_BACKGROUND } ),
+        linePath,
+        pointsPath,
+        new Rectangle( graphViewBounds, { stroke: Color.BLACK, lineWidth: 1 } )
+      ],
+      clipArea: Shape.bounds( graphViewBounds.dilated( 1 ) )
+    } );
+
+    // Observe when the values change to redraw the line and the points. Lag times without a value are skipped. Link is
+    // never disposed since MeanSquaredDisplacementAccordionBoxes are never disposed.
+    meanSquaredDisplacement.valuesProperty.link( values => {
+      const lineShape = new Shape();
+      const pointsShape = new Shape();
+
+      values.forEach( ( value, lagIndex ) => {
+        if ( value !== null ) {
+          const viewX = lagTimeToViewX( ( lagIndex + 1 ) * meanSquaredDisplacement.lagInterval );
+          const viewY = Math.max( valueToViewY( value ), -POINT_RADIUS );
+          lineShape.lineTo( viewX, viewY );
+          pointsShape.circle( viewX, viewY, POINT_RADIUS );
+        }
+      } );
+      linePath.shape = lineShape;
+      pointsPath.shape = pointsShape;
+    } );
+
+    //----------------------------------------------------------------------------------------
+
+    // Create the tick labels of both axes.
+    const tickLabels = new Node( {
+      children: [
+        ..._.range( 0, maxLagTime + LAG_TIME_TICK_SPACING / 2, LAG_TIME_TICK_SPACING ).map( lagTime => {
+          return new Text( `${lagTime}`, {
+            font: TICK_LABEL_FONT,
+            centerX: lagTimeToViewX( lagTime ),
+            top: graphViewBounds.maxY + 2
+          } );
+        } ),
+        ..._.range( 0, MAX_VALUE + VALUE_TICK_SPACING / 2, VALUE_TICK_SPACING ).map( value => {
+          return new Text( `${value}`, {
+            font: TICK_LABEL_FONT,
+            right: graphViewBounds.minX - 2,
+            centerY: valueToViewY( value )
+          } );
+        } )
+      ]
+    } );
+
+    const valueAxisLabel = new RichText( StringUtils.fillIn( CollisionLabStrings.pattern.labelParenthesesUnits, {
+      label: CollisionLabStrings.msd,
+      units: CollisionLabStrings.units.metersSquared
+    } ), {
+      font: TICK_LABEL_FONT,
+      maxWidth: options.contentWidth // constrain width for i18n
+    } );
+
+    const lagTimeAxisLabel = new Text( StringUtils.fillIn( CollisionLabStrings.pattern.labelParenthesesUnits, {
+      label: CollisionLabStrings.lagTime,
+      units: CollisionLabStrings.units.seconds
+    } ), {
+      font: TICK_LABEL_FONT,
+      maxWidth: options.contentWidth - 40 // constrain width for i18n, leaving room for the EraserButton
+    } );
+
+    // EraserButton that clears the statistics. Only enabled while there are statistics to clear.
+    const eraserButton = new EraserButton( {
+      listener: () => meanSquaredDisplacement.clear(),
+      enabledProperty: new DerivedProperty( [ meanSquaredDisplacement.valuesProperty ],
+        values => values.some( value => value !== null ) ),
+      iconWidth: 16
+    } );
+
+    const contentNode = new VBox( {
+      spacing: 6,
+      children: [
+        valueAxisLabel,
+        new Node( { children: [ graphNode, tickLabels ] } ),
+        new HBox( { spacing: 10, children: [ lagTimeAxisLabel, eraserButton ] } )
+      ]
+    } );
+
+    super( contentNode, _.omit( options, [ 'contentWidth', 'graphHeight' ] ) );
+  }
+}
+
+export default MeanSquaredDisplacementAccordionBox;
@@ -0,0 +1,134 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * PistonNode is the view of the Piston in the 'Ideal Gas' screen. It is the head of the Piston, which is the right side
+ * of the container of the gas, with a rod that sticks out of the right side of the PlayArea. The head can be dragged to
+ * set the position that the Piston moves to, which is marked with a dashed line. A NumberDisplay of the work that the
+ * Piston has done on the gas is shown next to the head. It is only visible when the Piston is on.
+ *
+ * PistonNodes are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import NumberDisplay from '../../../../scenery-phet/js/NumberDisplay.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabColors from '../../common/CollisionLabColors.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import IdealGasPlayArea from '../model/IdealGasPlayArea.js';
+
+// constants
+const WORK_RANGE = new Range( -9, 9 ); // the display range of the work, in Joules
+
+class PistonNode extends Node {
+
+  /**
+   * @param {IdealGasPlayArea} playArea
+   * @param {Property.<number>} workProperty - the work that the Piston has done on the gas, in Joules.
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( playArea, workProperty, modelViewTransform, options ) {
+    assert && assert( playArea instanceof IdealGasPlayArea, `invalid playArea: ${playArea}` );
+    assert && AssertUtils.assertPropertyOf( workProperty, 'number' );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2, `invalid modelViewTransform: ${modelViewTransform}` );
+
+    options = merge( {
+
+      // {number} - the width of the head of the Piston, in view coordinates.
+      headWidth: 12,
+
+      // {number} - the height of the rod of the Piston, in view coordinates.
+      rodHeight: 14,
+
+      // {number} - the length of the rod outside of the PlayArea, in view coordinates.
+      rodExtension: 15,
+
+      // {number} - the margin between the NumberDisplay and the head and top of the PlayArea, in view coordinates.
+      numberDisplayMargin: 5,
+
+      // superclass options
+      visibleProperty: playArea.piston.isEnabledProperty
+
+    }, options );
+
+    //----------------------------------------------------------------------------------------
+
+    const piston = playArea.piston;
+    const playAreaViewBounds = modelViewTransform.modelToViewBounds( playArea.bounds );
+
+    const head = new Rectangle( 0, playAreaViewBounds.minY, options.headWidth, playAreaViewBounds.height, {
+      fill: CollisionLabColors.PISTON_FILL,
+      stroke: CollisionLabColors.PISTON_STROKE,
+      cursor: 'ew-resize'
+    } );
+
+    const rod = new Rectangle( 0, playAreaViewBounds.centerY - options.rodHeight / 2, 0, options.rodHeight, {
+      fill: CollisionLabColors.PISTON_FILL,
+      stroke: CollisionLabColors.PISTON_STROKE
+    } );
+
+    const targetLine = new Line( 0, playAreaViewBounds.minY, 0, playAreaViewBounds.maxY, {
+      stroke: CollisionLabColors.PISTON_STROKE,
+      lineDash: [ 4, 4 ]
+    } );
+
+    const workNumberDisplay = new NumberDisplay( workProperty, WORK_RANGE, {
+      decimalPlaces: CollisionLabConstants.DISPLAY_DECIMAL_PLACES,
+      valuePattern: StringUtils.fillIn( CollisionLabStrings.pattern.labelEqualsValueSpaceUnits, {
+        label: CollisionLabStrings.work,
+        units: CollisionLabStrings.units.joules
+      } ),
+      backgroundFill: Color.WHITE.withAlpha( 0.6 ),
+      backgroundLineWidth: 0,
+      textOptions: {
+        font: CollisionLabConstants.DISPLAY_FONT
+      },
+      maxWidth: 180, // constrain width for i18n, determined empirically
+      top: playAreaViewBounds.minY + options.numberDisplayMargin
+    } );
+
+    assert && assert( !options.children, 'PistonNode sets children' );
+    options.children = [ targetLine, rod, head, workNumberDisplay ];
+
+    super( _.omit( options, [ 'headWidth', 'rodHeight', 'rodExtension', 'numberDisplayMargin' ] ) );
+
+    //----------------------------------------------------------------------------------------
+
+    // Observe when the Piston moves and move the head, rod, and NumberDisplay with it. Link is never disposed since
+    // PistonNodes are never disposed.
+    piston.positionProperty.link( position => {
+      head.left = modelViewTransform.modelToViewX( position );
+      rod.setRectWidth( playAreaViewBounds.maxX + options.rodExtension - head.right );
+      rod.left = head.right;
+      workNumberDisplay.right = head.left - options.numberDisplayMargin;
+    } );
+
+    // Observe when the target position of the Piston changes and move the dashed line. Link is never disposed since
+    // PistonNodes are never disposed.
+    piston.targetPositionProperty.link( targetPosition => {
+      targetLine.x1 = targetLine.x2 = modelViewTransform.modelToViewX( targetPosition );
+    } );
+
+    // Drag the head of the Piston to set the position that the Piston moves to. Listener is never removed since
+    // PistonNodes are never disposed.
+    head.addInputListener( new DragListener( {
+      transform: modelViewTransform,
+      drag: ( event, listener ) => {
+        piston.targetPositionProperty.value = piston.targetPositionProperty.range.constrainValue( listener.modelPoint.x );
+      }
+    } ) );
+  }
+}
+
+export default PistonNode;
@@ -0,0 +1,66 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * PistonSpeedNumberControl is a NumberControl sub-type to display and allow the user to manipulate the maximum speed of
+ * the Piston, which is only enabled when the Piston is on. It appears inside of the control-panel of the 'Ideal Gas'
+ * screen.
+ *
+ * PistonSpeedNumberControls are created at the start of the sim and are never disposed.
+ *
+ * @author agent
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import Piston from '../model/Piston.js';
+
+// constants
+const SPEED_INTERVAL = CollisionLabConstants.PISTON_SPEED_INTERVAL;
+
+class PistonSpeedNumberControl extends NumberControl {
+
+  /**
+   * @param {Piston} piston
+   * @param {Object} [options]
+   */
+  constructor( piston, options ) {
+    assert && assert( piston instanceof Piston, `invalid piston: ${piston}` );
+
+    options = merge( {
+
+      // superclass options
+      layoutFunction: NumberControl.createLayoutFunction4(),
+      includeArrowButtons: false,
+      enabledProperty: piston.isEnabledProperty,
+      delta: SPEED_INTERVAL,
+      sliderOptions: {
+        constrainValue: value => Utils.roundToInterval( value, SPEED_INTERVAL ),
+        trackSize: new Dimension2( CollisionLabConstants.CONTROL_PANEL_CONTENT_WIDTH - 10, 3 ),
+        thumbSize: new Dimension2( 12, 20 )
+      },
+      numberDisplayOptions: {
+        decimalPlaces: 1,
+        valuePattern: StringUtils.fillIn( CollisionLabStrings.pattern.valueSpaceUnits, {
+          units: CollisionLabStrings.units.metersPerSecond
+        } ),
+        textOptions: { font: CollisionLabConstants.DISPLAY_FONT, maxWidth: 80 },
+        backgroundStroke: Color.BLACK,
+        backgroundLineWidth: 0.5
+      },
+      titleNodeOptions: {
+        font: CollisionLabConstants.DISPLAY_FONT,
+        maxWidth: 90 // constrain width for i18n, determined empirically
+      }
+    }, options );
+
+    super( CollisionLabStrings.pistonSpeed, piston.maxSpeedProperty, piston.maxSpeedProperty.range, options );
+  }
+}
+
+export default PistonSpeedNumberControl;
@@ -0,0 +1,189 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * SpeedHistogramAccordionBox appears on the bottom-right side of the 'Ideal Gas' screen, where the Momenta Diagram
+ * appears in the other screens. It displays a SpeedHistogram:
+ *   - a bar for the fraction of the Balls in each speed bin.
+ *   - the Maxwell-Boltzmann curve for the current temperature of the gas, with a legend.
+ *   - a 'Time Average' Checkbox to average the bars over the last few seconds.
+ *
+ * SpeedHistogramAccordionBoxes are created at the start of the sim and are never disposed, so no dispose method is
+ * necessary.
+ *
+ * @author agent
+ */
+
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/layout/nodes/HBox.js';
+import VBox from '../../../../scenery/js/layout/nodes/VBox.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabColors from '../../common/CollisionLabColors.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import CollisionLabCheckbox from '../../common/view/CollisionLabCheckbox.js';
+import SpeedHistogram from '../model/SpeedHistogram.js';
+
+// constants
+const PANEL_X_MARGIN = CollisionLabConstants.PANEL_X_MARGIN;
+const PANEL_Y_MARGIN = CollisionLabConstants.PANEL_Y_MARGIN;
+const PANEL_CORNER_RADIUS = CollisionLabConstants.PANEL_CORNER_RADIUS;
+const MAX_FRACTION = 0.5;          // the fraction of the Balls at the top of the histogram. Taller bars are clipped.
+const CURVE_POINTS_PER_BIN = 8;    // the number of points of the Maxwell-Boltzmann curve per bin.
+const TICK_LABEL_FONT = new PhetFont( 11 );
+
+class SpeedHistogramAccordionBox extends AccordionBox {
+
+  /**
+   * @param {SpeedHistogram} speedHistogram
+   * @param {Object} [options]
+   */
+  constructor( speedHistogram, options ) {
+    assert && assert( speedHistogram instanceof SpeedHistogram, `invalid speedHistogram: ${speedHistogram}` );
+
+    options = merge( {
+
+      // {number} - the width and height of the histogram, in view coordinates.
+      contentWidth: CollisionLabConstants.CONTROL_PANEL_CONTENT_WIDTH,
+      histogramHeight: 110,
+
+      // superclass options
+      titleNode: new Text( CollisionLabStrings.speedDistribution, { font: CollisionLabConstants.DISPLAY_FONT } ),
+      expandedProperty: speedHistogram.expandedProperty,
+      cornerRadius: PANEL_CORNER_RADIUS,
+      contentXMargin: PANEL_X_MARGIN,
+      contentYMargin: PANEL_Y_MARGIN,
+      buttonXMargin: PANEL_X_MARGIN,
+      buttonYMargin: PANEL_Y_MARGIN,
+      titleYMargin: PANEL_Y_MARGIN,
+      titleXMargin: PANEL_X_MARGIN,
+      titleXSpacing: PANEL_X_MARGIN,
+      contentYSpacing: 0,
+      titleAlignX: 'left',
+      expandCollapseButtonOptions: {
+        sideLength: 22,
+        touchAreaXDilation: 6,
+        touchAreaYDilation: 6
+      },
+      fill: CollisionLabColors.PANEL_FILL,
+      stroke: CollisionLabColors.PANEL_STROKE
+
+    }, options );
+
+    // Assign a max width to the title node for i18n.
+    options.titleNode.maxWidth = options.contentWidth
+                                 - options.expandCollapseButtonOptions.sideLength
+                                 - options.titleXSpacing
+                                 - options.titleXMargin;
+
+    //----------------------------------------------------------------------------------------
+
+    const histogramViewBounds = new Bounds2( 0, 0, options.contentWidth, options.histogramHeight );
+    const binViewWidth = histogramViewBounds.width / speedHistogram.numberOfBins;
+
+    // Convenience function that maps a fraction of the Balls to a view y-coordinate.
+    const fractionToViewY = fraction => histogramViewBounds.maxY - fraction / MAX_FRACTION * histogramViewBounds.height;
+
+    // Create a bar for each bin, which are resized when the fractions change.
+    const bars = _.times( speedHistogram.numberOfBins, binIndex => new Rectangle( 0, 0, binViewWidth, 0, {
+      x: binIndex * binViewWidth,
+      fill: CollisionLabColors.SPEED_HISTOGRAM_BAR_FILL,
+      stroke: CollisionLabColors.SPEED_HISTOGRAM_BAR_STROKE,
+      lineWidth: 0.5
+    } ) );
+
+    // Create the Maxwell-Boltzmann curve, which is redrawn when the temperature changes.
+    const curvePath = new Path( null, {
+      stroke: CollisionLabColors.MAXWELL_BOLTZMANN_CURVE_STROKE,
+      lineWidth: 2
+    } );
+
+    const histogramNode = new Node( {
+      children: [
+        new Rectangle( histogramViewBounds, { fill: CollisionLabColors.GRID_BACKGROUND } ),
+        ...bars,
+        curvePath,
+        new Rectangle( histogramViewBounds, { stroke: Color.BLACK, lineWidth: 1 } )
+      ],
+      clipArea: Shape.bounds( histogramViewBounds.dilated( 1 ) )
+    } );
+
+    // Observe when the fractions change to resize the bars. Link is never disposed since SpeedHistogramAccordionBoxes
+    // are never disposed.
+    speedHistogram.fractionsProperty.link( fractions => {
+      fractions.forEach( ( fraction, binIndex ) => {
+        const top = Math.max( fractionToViewY( fraction ), histogramViewBounds.minY );
+        bars[ binIndex ].setRect( 0, top, binViewWidth, histogramViewBounds.maxY - top );
+      } );
+    } );
+
+    // Observe when the temperature changes to redraw the Maxwell-Boltzmann curve. Link is never disposed since
+    // SpeedHistogramAccordionBoxes are never disposed.
+    speedHistogram.temperatureProperty.link( () => {
+      const numberOfPoints = speedHistogram.numberOfBins * CURVE_POINTS_PER_BIN;
+      const shape = new Shape();
+
+      _.range( numberOfPoints + 1 ).forEach( pointIndex => {
+        const fraction = speedHistogram.getMaxwellBoltzmannFraction( pointIndex * speedHistogram.binWidth / CURVE_POINTS_PER_BIN );
+        shape.lineTo( pointIndex * binViewWidth / CURVE_POINTS_PER_BIN, Math.max( fractionToViewY( fraction ), -1 ) );
+      } );
+      curvePath.shape = shape;
+    } );
+
+    //----------------------------------------------------------------------------------------
+
+    // Create the tick labels of the speed axis, at every whole speed.
+    const tickLabels = new Node( {
+      children: _.range( Math.floor( speedHistogram.numberOfBins * speedHistogram.binWidth ) + 1 ).map( speed => {
+        return new Text( `${speed}`, {
+          font: TICK_LABEL_FONT,
+          centerX: speed / speedHistogram.binWidth * binViewWidth,
+          top: histogramViewBounds.maxY + 2
+        } );
+      } )
+    } );
+
+    const speedAxisLabel = new Text( StringUtils.fillIn( CollisionLabStrings.pattern.labelParenthesesUnits, {
+      label: CollisionLabStrings.speed,
+      units: CollisionLabStrings.units.metersPerSecond
+    } ), {
+      font: TICK_LABEL_FONT,
+      maxWidth: options.contentWidth // constrain width for i18n
+    } );
+
+    // Legend of the Maxwell-Boltzmann curve.
+    const legend = new HBox( {
+      spacing: 5,
+      children: [
+        new Line( 0, 0, 20, 0, { stroke: CollisionLabColors.MAXWELL_BOLTZMANN_CURVE_STROKE, lineWidth: 2 } ),
+        new Text( CollisionLabStrings.maxwellBoltzmann, { font: TICK_LABEL_FONT, maxWidth: options.contentWidth - 25 } )
+      ]
+    } );
+
+    const timeAverageCheckbox = new CollisionLabCheckbox( speedHistogram.isTimeAveragingProperty,
+      CollisionLabStrings.timeAverage );
+
+    const contentNode = new VBox( {
+      spacing: 6,
+      children: [
+        new Node( { children: [ histogramNode, tickLabels ] } ),
+        speedAxisLabel,
+        legend,
+        timeAverageCheckbox
+      ]
+    } );
+
+    super( contentNode, _.omit( options, [ 'contentWidth', 'histogramHeight' ] ) );
+  }
+}
+
+export default SpeedHistogramAccordionBox;
@@ -0,0 +1,115 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * ThermalWallNode is the view of a ThermalWall in the 'Ideal Gas' screen. It is a strip along its side of the PlayArea
+ * that is colored from cold (blue) to hot (red) by the temperature of the wall, with a NumberDisplay of the heat that
+ * flows into the gas through the wall. It is only visible when the ThermalWalls are on.
+ *
+ * ThermalWallNodes are created at the start of the sim and are never disposed, so no dispose method is necessary.
+ *
+ * @author agent
+ */
+
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import NumberDisplay from '../../../../scenery-phet/js/NumberDisplay.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabColors from '../../common/CollisionLabColors.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import PlayArea from '../../common/model/PlayArea.js';
+import ThermalWall from '../model/ThermalWall.js';
+
+// constants
+const HEAT_FLOW_RANGE = new Range( -9, 9 ); // the display range of the heat flow, in Watts
+
+class ThermalWallNode extends Node {
+
+  /**
+   * @param {ThermalWall} thermalWall
+   * @param {Property.<boolean>} thermalWallsEnabledProperty
+   * @param {Property.<number|null>} heatFlowProperty - the time-averaged heat that flows into the gas, in Watts.
+   * @param {PlayArea} playArea
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( thermalWall, thermalWallsEnabledProperty, heatFlowProperty, playArea, modelViewTransform, options ) {
+    assert && assert( thermalWall instanceof ThermalWall, `invalid thermalWall: ${thermalWall}` );
+    assert && AssertUtils.assertPropertyOf( thermalWallsEnabledProperty, 'boolean' );
+    assert && assert( playArea instanceof PlayArea, `invalid playArea: ${playArea}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2, `invalid modelViewTransform: ${modelViewTransform}` );
+
+    options = merge( {
+
+      // {number} - the width of the strip along the wall, in view coordinates.
+      stripWidth: 6,
+
+      // {number} - the margin between the NumberDisplay and the wall and top of the PlayArea, in view coordinates.
+      numberDisplayMargin: 5,
+
+      // superclass options
+      visibleProperty: thermalWallsEnabledProperty
+
+    }, options );
+
+    //----------------------------------------------------------------------------------------
+
+    const playAreaViewBounds = modelViewTransform.modelToViewBounds( playArea.bounds );
+
+    // The wall is on the side of the PlayArea that its normal points away from. The normal points horizontally, so its
+    // y-component is the same in model and view coordinates.
+    const isLeftWall = thermalWall.normal.x > 0;
+    const stripBounds = isLeftWall ?
+                        new Bounds2( playAreaViewBounds.minX, playAreaViewBounds.minY,
+                          playAreaViewBounds.minX + options.stripWidth, playAreaViewBounds.maxY ) :
+                        new Bounds2( playAreaViewBounds.maxX - options.stripWidth, playAreaViewBounds.minY,
+                          playAreaViewBounds.maxX, playAreaViewBounds.maxY );
+
+    const strip = new Rectangle( stripBounds );
+
+    const heatFlowNumberDisplay = new NumberDisplay( heatFlowProperty, HEAT_FLOW_RANGE, {
+      decimalPlaces: CollisionLabConstants.DISPLAY_DECIMAL_PLACES,
+      valuePattern: StringUtils.fillIn( CollisionLabStrings.pattern.labelEqualsValueSpaceUnits, {
+        label: CollisionLabStrings.heatFlow,
+        units: CollisionLabStrings.units.watts
+      } ),
+      backgroundFill: Color.WHITE.withAlpha( 0.6 ),
+      backgroundLineWidth: 0,
+      textOptions: {
+        font: CollisionLabConstants.DISPLAY_FONT
+      },
+      maxWidth: 180, // constrain width for i18n, determined empirically
+      top: playAreaViewBounds.minY + options.numberDisplayMargin
+    } );
+    if ( isLeftWall ) {
+      heatFlowNumberDisplay.left = stripBounds.maxX + options.numberDisplayMargin;
+    }
+    else {
+      heatFlowNumberDisplay.right = stripBounds.minX - options.numberDisplayMargin;
+    }
+
+    assert && assert( !options.children, 'ThermalWallNode sets children' );
+    options.children = [ strip, heatFlowNumberDisplay ];
+
+    super( _.omit( options, [ 'stripWidth', 'numberDisplayMargin' ] ) );
+
+    //----------------------------------------------------------------------------------------
+
+    // Observe when the temperature of the wall changes to color the strip. Link is never disposed since
+    // ThermalWallNodes are never disposed.
+    const temperatureRange = thermalWall.temperatureProperty.range;
+    thermalWall.temperatureProperty.link( temperature => {
+      strip.fill = Color.interpolateRGBA( CollisionLabColors.THERMAL_WALL_COLD_FILL, CollisionLabColors.THERMAL_WALL_HOT_FILL,
+        Utils.linear( temperatureRange.min, temperatureRange.max, 0, 1, temperature ) );
+    } );
+  }
+}
+
+export default ThermalWallNode;
@@ -0,0 +1,71 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * ThermalWallNumberControl is a NumberControl sub-type to display and allow the user to manipulate the temperature of a
+ * ThermalWall, which is only enabled when the ThermalWalls are on. It appears inside of the control-panel of the
+ * 'Ideal Gas' screen.
+ *
+ * ThermalWallNumberControls are created at the start of the sim and are never disposed.
+ *
+ * @author agent
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import ThermalWall from '../model/ThermalWall.js';
+
+// constants
+const TEMPERATURE_INTERVAL = CollisionLabConstants.THERMAL_WALL_TEMPERATURE_INTERVAL;
+
+class ThermalWallNumberControl extends NumberControl {
+
+  /**
+   * @param {ThermalWall} thermalWall
+   * @param {string} title
+   * @param {Property.<boolean>} thermalWallsEnabledProperty
+   * @param {Object} [options]
+   */
+  constructor( thermalWall, title, thermalWallsEnabledProperty, options ) {
+    assert && assert( thermalWall instanceof ThermalWall, `invalid thermalWall: ${thermalWall}` );
+    assert && assert( typeof title === 'string', `invalid title: ${title}` );
+    assert && AssertUtils.assertPropertyOf( thermalWallsEnabledProperty, 'boolean' );
+
+    options = merge( {
+
+      // superclass options
+      layoutFunction: NumberControl.createLayoutFunction4(),
+      includeArrowButtons: false,
+      enabledProperty: thermalWallsEnabledProperty,
+      delta: TEMPERATURE_INTERVAL,
+      sliderOptions: {
+        constrainValue: value => Utils.roundToInterval( value, TEMPERATURE_INTERVAL ),
+        trackSize: new Dimension2( CollisionLabConstants.CONTROL_PANEL_CONTENT_WIDTH - 10, 3 ),
+        thumbSize: new Dimension2( 12, 20 )
+      },
+      numberDisplayOptions: {
+        decimalPlaces: 0,
+        valuePattern: StringUtils.fillIn( CollisionLabStrings.pattern.valueSpaceUnits, {
+          units: CollisionLabStrings.units.kelvins
+        } ),
+        textOptions: { font: CollisionLabConstants.DISPLAY_FONT, maxWidth: 80 },
+        backgroundStroke: Color.BLACK,
+        backgroundLineWidth: 0.5
+      },
+      titleNodeOptions: {
+        font: CollisionLabConstants.DISPLAY_FONT,
+        maxWidth: 90 // constrain width for i18n, determined empirically
+      }
+    }, options );
+
+    super( title, thermalWall.temperatureProperty, thermalWall.temperatureProperty.range, options );
+  }
+}
+
+export default ThermalWallNumberControl;
@@ -17,40 +17,50 @@
  *    A RotatingBallCluster instance will be created. Currently, the 'Inelastic' screen only has 2 Balls, so the
  *    RotatingBallCluster represents the entire BallSystem.
  *
- *  - Using the conservation of Angular Momentum (L), the InelasticCollisionEngine derives the angular velocity (omega)
- *    of the rotation of the balls relative to the center of mass. See the following for some general background:
+ *  - Using the conservation of Angular Momentum (L), the RotatingBallCluster derives the angular velocity (omega) of
+ *    the rotation of the balls relative to the center of mass. See the following for some general background:
  *      + https://en.wikipedia.org/wiki/Angular_momentum#Discussion
  *      + https://en.wikipedia.org/wiki/Angular_momentum#Collection_of_particles
  *      + https://en.wikipedia.org/wiki/Angular_velocity
  *
  * ### Cluster-to-border Collision Detection:
  *
- *  - On the first time-step after a RotatingBallCluster instance has been created, InelasticCollisionEngine must detect
- *    when it will collide with the border (if 'Reflecting Border' is on). There is no closed-form solution to finding
- *    when the cluster will collide.
+ *  - When 'Reflecting Border' is on, InelasticCollisionEngine must detect when the RotatingBallCluster will collide
+ *    with the border. The Balls of the cluster move on circular paths around the moving center-of-mass, so there is no
+ *    closed-form solution to finding when the cluster will collide. Instead, the collision is found with conservative
+ *    advancement and bisection for each Ball of the cluster (see CollisionEngine.getAdvancementCollisionTime()), and the
+ *    cluster collides when its first Ball does. The collision is only searched for within the rest of the current
+ *    time-step, so it is re-detected on every time-step.
  *
- *  - The lower-bound of when the cluster will collide with the border is when the bounding circle of the cluster
- *    collides with the border. The upper-bound is when the center-of-mass collides with the border.
- *    InelasticCollisionEngine uses the bisection method to approximate when the cluster exactly collides with the
- *    border. See https://en.wikipedia.org/wiki/Bisection_method.
+ * ### Cluster-to-border Collision Response:
+ *
+ *  - The cluster responds to the border as a rigid body. The impulse of the border is applied at the point of contact
+ *    of each Ball that is touching the border (see RotatingBallCluster.applyContactImpulse()), using the moment of
+ *    inertia of the cluster about its center-of-mass and the elasticity of the PlayArea. The lever arm of the point of
+ *    contact changes both the velocity of the center-of-mass and the angular velocity of the cluster, and the
+ *    cluster stays together after the collision. See
+ *    https://en.wikipedia.org/wiki/Collision_response#Impulse-based_reaction_model.
+ *
+ *  - If 'Breakable Bonds' is on and the total impulse of the border is larger than the bond strength (see
+ *    InelasticPlayArea.bondStrengthProperty), the cluster breaks apart into free Balls after the impulse is applied.
+ *    Each Ball leaves with the velocity of its point on the rotating cluster. The border is the only body that the
+ *    cluster can hit, since the 'Inelastic' screen only has 2 Balls.
  *
  * @author Brandon Li
  */
 
-import Utils from '../../../../dot/js/Utils.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
-import CollisionLabConstants from '../../common/CollisionLabConstants.js';
 import CollisionLabUtils from '../../common/CollisionLabUtils.js';
 import Ball from '../../common/model/Ball.js';
 import Collision from '../../common/model/Collision.js';
 import CollisionEngine from '../../common/model/CollisionEngine.js';
+import RotatingBallCluster from '../../common/model/RotatingBallCluster.js';
 import InelasticBallSystem from './InelasticBallSystem.js';
 import InelasticCollisionType from './InelasticCollisionType.js';
 import InelasticPlayArea from './InelasticPlayArea.js';
-import RotatingBallCluster from './RotatingBallCluster.js';
 
 // constants
-const TOLERANCE = CollisionLabConstants.ZERO_THRESHOLD;
+const MAX_IMPULSE_ITERATIONS = 10; // the maximum number of passes over the contacts of a cluster-to-border collision
 
 class InelasticCollisionEngine extends CollisionEngine {
 
@@ -87,6 +97,21 @@ class InelasticCollisionEngine extends CollisionEngine {
     super.reset();
   }
 
+  /**
+   * Steps the InelasticCollisionEngine. Overridden to re-detect the cluster-to-border collision on every time-step.
+   * @override
+   * @public
+   *
+   * @param {number} dt - time-delta of this step, in seconds.
+   * @param {number} elapsedTime - elapsedTime, based on where the Balls are positioned when this method is called.
+   * @param {number} [maxIterations]
+   */
+  step( dt, elapsedTime, maxIterations ) {
+    this.rotatingBallCluster && this.invalidateCollisions( this.rotatingBallCluster );
+
+    super.step( dt, elapsedTime, maxIterations );
+  }
+
   /**
    * Progresses the Balls forwards by the given time-delta, assuming there are no collisions.
    * @protected
@@ -120,16 +145,17 @@ class InelasticCollisionEngine extends CollisionEngine {
    * @override
    *
    * @param {number} elapsedTime - elapsedTime, based on where the Balls are positioned when this method is called.
+   * @param {number} dt - the time-delta until the end of the time-step, in seconds.
    */
-  detectAllCollisions( elapsedTime ) {
+  detectAllCollisions( elapsedTime, dt ) {
     assert && assert( typeof elapsedTime === 'number' && elapsedTime >= 0, `invalid elapsedTime: ${elapsedTime}` );
 
     // Detect cluster-border collisions if the RotatingBallCluster exists.
     if ( this.rotatingBallCluster ) {
-      this.detectBallClusterToBorderCollision( elapsedTime );
+      this.detectBallClusterToBorderCollision( elapsedTime, dt );
     }
     else {
-      super.detectAllCollisions( elapsedTime );
+      super.detectAllCollisions( elapsedTime, dt );
     }
   }
 
@@ -184,23 +210,10 @@ class InelasticCollisionEngine extends CollisionEngine {
     // Handle collisions that 'stick'.
     if ( this.playArea.inelasticCollisionTypeProperty.value === InelasticCollisionType.STICK ) {
 
-      // Get the moment of inertia of both Balls, treated as point masses rotating around their center of mass. The
-      // reason why we treat the Balls as point masses is because of the formula L = r^2 * m * omega, where r^2 * m is
-      // the moment of inertia of a point-mass. See https://en.wikipedia.org/wiki/Angular_momentum#Discussion.
-      const I1 = ball1.positionProperty.value.minus( this.ballSystem.centerOfMass.positionProperty.value ).magnitudeSquared * ball1.massProperty.value;
-      const I2 = ball2.positionProperty.value.minus( this.ballSystem.centerOfMass.positionProperty.value ).magnitudeSquared * ball2.massProperty.value;
-
-      // Update the angular velocity reference. Formula comes from
-      // https://en.wikipedia.org/wiki/Angular_momentum#Collection_of_particles.
-      const angularVelocity = this.ballSystem.getTotalAngularMomentum() / ( I1 + I2 );
-
-      // Create and reference a RotatingBallCluster instance. Since there are only 2 Balls in the 'Inelastic' screen,
-      // the RotatingBallCluster represents the entire BallSystem.
-      this.rotatingBallCluster = new RotatingBallCluster(
-        this.ballSystem.balls,
-        angularVelocity,
-        this.ballSystem.centerOfMass
-      );
+      // Create and reference a RotatingBallCluster instance, which derives the angular velocity of the rotation from
+      // the conservation of angular momentum. Since there are only 2 Balls in the 'Inelastic' screen, the
+      // RotatingBallCluster represents the entire BallSystem.
+      this.rotatingBallCluster = new RotatingBallCluster( [ ball1, ball2 ] );
 
       sceneryLog && sceneryLog.Sim && sceneryLog.Sim( 'RotatingBallCluster created' );
     }
@@ -240,15 +253,18 @@ class InelasticCollisionEngine extends CollisionEngine {
    *----------------------------------------------------------------------------*/
 
   /**
-   * Detects the cluster-to-border collision of the rotatingBallCluster if it hasn't already been detected. Although
-   * tunneling doesn't occur with cluster-to-border collisions, collisions are still detected before they occur to
-   * mirror the approach in the super-class. For newly detected collisions, information is encapsulated in a Collision
-   * instance. NOTE: no-op when the PlayArea's border doesn't reflect.
+   * Detects the cluster-to-border collision of the rotatingBallCluster within the rest of the time-step if it hasn't
+   * already been detected. The collision is found for each Ball of the cluster with conservative advancement (see
+   * CollisionEngine.getAdvancementCollisionTime()), and the earliest collision of the Balls is the collision of the
+   * cluster. For newly detected collisions, information is encapsulated in a Collision instance. A Collision without a
+   * time is saved if the cluster doesn't collide within the time-step. NOTE: no-op when the PlayArea's border doesn't
+   * reflect.
    * @private
    *
    * @param {number} elapsedTime - elapsedTime, based on where the Balls are positioned when this method is called.
+   * @param {number} dt - the time-delta until the end of the time-step, in seconds.
    */
-  detectBallClusterToBorderCollision( elapsedTime ) {
+  detectBallClusterToBorderCollision( elapsedTime, dt ) {
     assert && assert( typeof elapsedTime === 'number' && elapsedTime >= 0, `invalid elapsedTime: ${elapsedTime}` );
     assert && assert( this.rotatingBallCluster, 'cannot call detectBallClusterToBorderCollision' );
 
@@ -260,121 +276,52 @@ class InelasticCollisionEngine extends CollisionEngine {
     }
 
     // No-op if the cluster-to-border collision has already been detected
-    for ( let i = 0; i < this.collisions.length; i++ ) {
-      if ( this.collisions[ i ].includes( this.rotatingBallCluster ) ) {
-        return;
-      }
-    }
-
-    // Handle degenerate case where the cluster is already colliding with the border.
-    for ( let i = 0; i < this.rotatingBallCluster.balls.length; i++ ) {
-      const ball = this.rotatingBallCluster.balls[ i ];
-
-      // If any ball is touching the side
-      if ( this.playArea.isBallTouchingSide( ball ) ) {
-        const collision = Collision.createFromPool( this.rotatingBallCluster, this.playArea, elapsedTime );
-
-        sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `adding collision ${collision}` );
-
-        this.collisions.push( collision );
-        return;
-      }
+    if ( this.hasCollisionBetween( this.rotatingBallCluster, this.playArea ) ) {
+      return;
     }
 
     // Handle degenerate case where the cluster is out-of-bounds. In the design, if an object is partially out-of-bounds
     // when the Reflecting Border is turned on, it will continue to escape.
-    for ( let i = 0; i < this.rotatingBallCluster.balls.length; i++ ) {
-      const ball = this.rotatingBallCluster.balls[ i ];
-
-      if ( !this.playArea.fullyContainsBall( ball ) ) {
-        return;
-      }
+    if ( this.rotatingBallCluster.balls.some( ball => {
+      return CollisionLabUtils.clampDown( this.playArea.getBorderGap( ball.positionProperty.value,
+        ball.radiusProperty.value ) ) < 0;
+    } ) ) {
+      return;
     }
 
-    // Get the lower-bound of when the cluster will collide with the border, which is when bounding circle of the
-    // cluster collides with the border.
-    const minCollisionTime = this.getBorderCollisionTime( this.ballSystem.centerOfMass.positionProperty.value,
-      this.ballSystem.centerOfMass.velocityProperty.value,
-      this.rotatingBallCluster.getBoundingCircleRadius(),
-      elapsedTime );
-
-    // Get the upper-bound of when the cluster will collide with the border, which is when the center-of-mass collides
-    // with the border.
-    const maxCollisionTime = this.getBorderCollisionTime( this.ballSystem.centerOfMass.positionProperty.value,
-      this.ballSystem.centerOfMass.velocityProperty.value,
-      0,
-      elapsedTime );
-
-    // Use the bisection method to approximate when the cluster exactly collides with the border.
-    const collisionTime = ( !Number.isFinite( minCollisionTime ) || !Number.isFinite( maxCollisionTime ) ) ? null :
-                          CollisionLabUtils.bisection( time => this.willBallClusterCollideWithBorderIn( time - elapsedTime ),
-                            minCollisionTime,
-                            maxCollisionTime );
-
-    // Register the collision and encapsulate information in a Collision instance.
-    const collision = Collision.createFromPool( this.rotatingBallCluster, this.playArea, collisionTime );
-    sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `adding collision ${collision}` );
-    this.collisions.push( collision );
-  }
-
-  /**
-   * Indicates if the rotatingBallCluster will approximately collide with the border at some passed-in time-delta OR if
-   * it is an over/under estimate. If any of the Balls in cluster are overlapping (more than some threshold), then the
-   * dt is considered an overestimate. Likewise, if none of the balls are overlapping, the dt is an underestimate. If
-   * any of the Balls are tangentially touching the side of the PlayArea, it is considered to be 'close enough'.
-   * @private
-   *
-   * @param {number} dt
-   * @returns {number} - Returns -1 if the passed-in time is an underestimate,
-   *                              0 if the passed-in time is considered 'close enough'
-   *                              1 if the passed-in time is an overestimate.
-   */
-  willBallClusterCollideWithBorderIn( dt ) {
-    assert && assert( typeof dt === 'number', `invalid dt: ${dt}` );
-    assert && assert( this.rotatingBallCluster, 'cannot call willBallClusterCollideWithBorderIn' );
-    assert && assert( this.playArea.reflectingBorderProperty.value, 'cannot call willBallClusterCollideWithBorderIn' );
-
-    // Get the states of the Balls after the time-delta.
-    const rotationStates = this.rotatingBallCluster.getSteppedRotationStates( dt );
-
-    // Flags that track the number of Balls in the cluster that are overlapping and tangentially touching the border.
-    let overlapping = 0;
-    let touching = 0;
-
-    for ( let i = 0; i < this.rotatingBallCluster.balls.length; i++ ) {
-      const ball = this.rotatingBallCluster.balls[ i ];
-
+    // Find the earliest collision of the Balls of the cluster with the border.
+    let collisionTime = null;
+    this.rotatingBallCluster.balls.forEach( ball => {
       const radius = ball.radiusProperty.value;
 
-      // Position of the Ball after the time-delta.
-      const position = rotationStates.get( ball ).position;
-      const left = position.x - radius;
-      const right = position.x + radius;
-      const top = position.y + radius;
-      const bottom = position.y - radius;
-
-      if ( left < this.playArea.left ||
-           right > this.playArea.right ||
-           bottom < this.playArea.bottom ||
-           top > this.playArea.top ) {
-        overlapping += 1;
-      }
-      else if ( Utils.equalsEpsilon( left, this.playArea.left, TOLERANCE ) ||
-                Utils.equalsEpsilon( right, this.playArea.right, TOLERANCE ) ||
-                Utils.equalsEpsilon( top, this.playArea.top, TOLERANCE ) ||
-                Utils.equalsEpsilon( bottom, this.playArea.bottom, TOLERANCE ) ) {
-        touching += 1;
+      const ballCollisionTime = this.getAdvancementCollisionTime(
+        time => this.playArea.getBorderGap( this.rotatingBallCluster.getBallPosition( ball, time ), radius ),
+        time => CollisionLabUtils.clampDown( this.rotatingBallCluster.getBallVelocity( ball, time )
+          .dot( this.playArea.getClosestBorderNormal( this.rotatingBallCluster.getBallPosition( ball, time ) ) ) ) < 0,
+        this.rotatingBallCluster.getMaxBallSpeed( ball ),
+        radius,
+        elapsedTime,
+        dt
+      );
+
+      if ( ballCollisionTime !== null && ( collisionTime === null || ballCollisionTime < collisionTime ) ) {
+        collisionTime = ballCollisionTime;
       }
-    }
+    } );
 
-    return overlapping ? 1 : ( touching ? 0 : -1 );
+    // Register the collision and encapsulate information in a Collision instance.
+    const collision = Collision.createFromPool( this.rotatingBallCluster, this.playArea, collisionTime );
+    sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `adding collision ${collision}` );
+    this.addCollision( collision );
   }
 
   /**
-   * Handles a cluster-to-border collision by updating the velocity of the Balls.
+   * Handles a cluster-to-border collision by applying the impulse of the border to the cluster as a rigid body, at the
+   * point of contact of each Ball with each side of the border that it is touching. Impulses are applied in passes over
+   * the contacts until none of the points of contact are moving into the border, since an impulse at one contact
+   * changes the velocity of the points of contact of the other Balls. If the bonds of the cluster are breakable and the
+   * total impulse is larger than the bond strength, the cluster breaks apart into free Balls.
    * @private
-   *
-   * When a rotating ball cluster collides the border, every ball in the cluster has 0 velocity.
    */
   handleBallClusterToBorderCollision() {
     assert && assert( this.rotatingBallCluster, 'cannot call handleBallToBorderCollision' );
@@ -382,14 +329,43 @@ class InelasticCollisionEngine extends CollisionEngine {
     sceneryLog && sceneryLog.Sim && sceneryLog.Sim( 'InelasticCollisionEngine.handleBallClusterToBorderCollision' );
     sceneryLog && sceneryLog.Sim && sceneryLog.push();
 
-    // Set the velocity of every Ball to 0.
+    // The Balls of the cluster that are touching the border, with the normals of the sides that each Ball is touching.
+    const contacts = [];
     this.rotatingBallCluster.balls.forEach( ball => {
-      ball.velocityProperty.value = Vector2.ZERO;
+      this.playArea.getBorderContactNormals( ball ).forEach( normal => { contacts.push( { ball: ball, normal: normal } ); } );
     } );
 
-    // Remove all collisions that involves rotatingBallCluster.
+    // The total magnitude of the impulses applied to the cluster, in kg*m/s.
+    let totalImpulse = 0;
+
+    let iterations = 0;
+    let isImpulseApplied = true;
+    while ( isImpulseApplied && iterations++ < MAX_IMPULSE_ITERATIONS ) {
+      isImpulseApplied = false;
+
+      contacts.forEach( contact => {
+        const contactPoint = contact.ball.positionProperty.value.minus( contact.normal.times( contact.ball.radiusProperty.value ) );
+
+        const impulse = this.rotatingBallCluster.applyContactImpulse( contactPoint, contact.normal,
+          this.getElasticity( contact.ball, this.playArea ) );
+
+        if ( impulse > 0 ) {
+          totalImpulse += impulse;
+          isImpulseApplied = true;
+        }
+      } );
+    }
+
+    // Remove all collisions that involves rotatingBallCluster, since its motion has changed.
     this.invalidateCollisions( this.rotatingBallCluster );
-    this.rotatingBallCluster = null;
+
+    // Break the cluster apart if the impulse was stronger than its bonds. The Balls already have the velocity of their
+    // points on the rotating cluster, so they are free once the cluster is discarded.
+    if ( this.playArea.breakableBondsProperty.value && totalImpulse > this.playArea.bondStrengthProperty.value ) {
+      this.rotatingBallCluster = null;
+
+      sceneryLog && sceneryLog.Sim && sceneryLog.Sim( `RotatingBallCluster broken apart, impulse: ${totalImpulse}` );
+    }
 
     sceneryLog && sceneryLog.Sim && sceneryLog.pop();
   }
@@ -0,0 +1,126 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * InelasticCollisionEngine tests, with the Balls of the 'Inelastic' screen. Balls that stick together form a
+ * RotatingBallCluster, which bounces off of the border as a rigid body, so that the impulse of the border changes both
+ * its linear and angular velocity, and breaks apart into free Balls if the impulse is stronger than breakable bonds.
+ *
+ * @author agent
+ */
+
+import Tandem from '../../../../tandem/js/Tandem.js';
+import InelasticModel from './InelasticModel.js';
+
+// constants
+const DT = 1 / 60;         // the time-delta of each step, in seconds.
+const DURATION = 5;        // the cluster hits the border twice within this duration, in seconds.
+const TOLERANCE = 1e-6;    // the tolerance of the compared values.
+
+QUnit.module( 'InelasticCollisionEngine' );
+
+/**
+ * Creates an InelasticModel with the passed-in bonds and steps it until its Balls stick together into a cluster.
+ *
+ * @param {boolean} breakableBonds
+ * @param {number} bondStrength
+ * @returns {InelasticModel}
+ */
+const createClusteredModel = ( breakableBonds, bondStrength ) => {
+  const model = new InelasticModel( Tandem.OPT_OUT );
+  model.playArea.breakableBondsProperty.value = breakableBonds;
+  model.playArea.bondStrengthProperty.value = bondStrength;
+
+  while ( !model.collisionEngine.rotatingBallCluster ) {
+    model.stepManual( DT );
+  }
+  return model;
+};
+
+/**
+ * Steps the passed-in model and gets the times at which the angular velocity of its cluster changes, which is when the
+ * cluster bounces off of the border, and the time at which its cluster breaks apart.
+ *
+ * @param {InelasticModel} model
+ * @returns {{bounceTimes: number[], breakTime: number|null}}
+ */
+const stepClusteredModel = model => {
+  const cluster = model.collisionEngine.rotatingBallCluster;
+
+  const bounceTimes = [];
+  let breakTime = null;
+  let angularVelocity = cluster.angularVelocity;
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+
+    cluster.angularVelocity !== angularVelocity && bounceTimes.push( time );
+    breakTime === null && !model.collisionEngine.rotatingBallCluster && ( breakTime = time );
+    angularVelocity = cluster.angularVelocity;
+  }
+  return { bounceTimes: bounceTimes, breakTime: breakTime };
+};
+
+QUnit.test( 'a cluster bounces off of the border as a rigid body', assert => {
+  const model = createClusteredModel( false, 0 );
+  const [ ball1, ball2 ] = model.ballSystem.balls;
+  const collisionEngine = model.collisionEngine;
+  const playArea = model.playArea;
+
+  /**
+   * Gets the gap between the border and the Ball that is closest to it.
+   *
+   * @returns {number}
+   */
+  const getBorderGap = () => Math.min( ...[ ball1, ball2 ].map( ball => {
+    return playArea.getBorderGap( ball.positionProperty.value, ball.radiusProperty.value );
+  } ) );
+
+  const cluster = collisionEngine.rotatingBallCluster;
+  const distance = ball1.positionProperty.value.distance( ball2.positionProperty.value );
+
+  let angularVelocity = cluster.angularVelocity;
+  let kineticEnergy = model.ballSystem.totalKineticEnergyProperty.value;
+  let numberOfBounces = 0;
+  let maxEnergyIncrease = -Infinity;
+  let maxDistanceChange = 0;
+  let minGap = Infinity;
+  for ( let time = 0; time < DURATION; time += DT ) {
+    model.stepManual( DT );
+
+    numberOfBounces += cluster.angularVelocity !== angularVelocity ? 1 : 0;
+    const energyIncrease = model.ballSystem.totalKineticEnergyProperty.value - kineticEnergy;
+    maxEnergyIncrease = Math.max( maxEnergyIncrease, energyIncrease );
+    maxDistanceChange = Math.max( maxDistanceChange,
+      Math.abs( ball1.positionProperty.value.distance( ball2.positionProperty.value ) - distance ) );
+    minGap = Math.min( minGap, getBorderGap() );
+
+    angularVelocity = cluster.angularVelocity;
+    kineticEnergy = model.ballSystem.totalKineticEnergyProperty.value;
+  }
+
+  assert.equal( collisionEngine.rotatingBallCluster, cluster, 'the cluster stays together' );
+  assert.equal( numberOfBounces, 2, 'the impulse of each bounce off of the border changes the spin of the cluster' );
+  assert.ok( maxDistanceChange < TOLERANCE, `the Balls move rigidly: ${maxDistanceChange}` );
+  assert.ok( minGap > -TOLERANCE, `min gap between the Balls and the border: ${minGap}` );
+  assert.ok( maxEnergyIncrease < TOLERANCE, `the bounces never add kinetic energy: ${maxEnergyIncrease}` );
+} );
+
+QUnit.test( 'a cluster breaks apart if the impulse of the border is stronger than its bonds', assert => {
+  const unbreakableResults = stepClusteredModel( createClusteredModel( false, 0.05 ) );
+  const strongResults = stepClusteredModel( createClusteredModel( true, 2 ) );
+
+  const model = createClusteredModel( true, 0.05 );
+  const kineticEnergy = model.ballSystem.totalKineticEnergyProperty.value;
+  const weakResults = stepClusteredModel( model );
+
+  assert.equal( unbreakableResults.breakTime, null, 'a cluster without breakable bonds stays together' );
+  assert.equal( strongResults.breakTime, null, 'a cluster with strong bonds stays together' );
+  assert.deepEqual( strongResults.bounceTimes, unbreakableResults.bounceTimes,
+    'strong bonds don\'t change the bounces' );
+  assert.equal( weakResults.breakTime, unbreakableResults.bounceTimes[ 0 ],
+    'a cluster with weak bonds breaks apart at its first bounce' );
+  assert.ok( model.ballSystem.totalKineticEnergyProperty.value < kineticEnergy + TOLERANCE,
+    'breaking apart never adds kinetic energy' );
+  assert.ok( model.ballSystem.balls.every( ball => {
+    return model.playArea.getBorderGap( ball.positionProperty.value, ball.radiusProperty.value ) > -TOLERANCE;
+  } ), 'the free Balls stay inside of the border' );
+} );
@@ -6,8 +6,11 @@
  * @author Brandon Li
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import EnumerationDeprecatedProperty from '../../../../axon/js/EnumerationDeprecatedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import merge from '../../../../phet-core/js/merge.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
 import PlayArea from '../../common/model/PlayArea.js';
 import InelasticCollisionType from './InelasticCollisionType.js';
 
@@ -33,6 +36,16 @@ class InelasticPlayArea extends PlayArea {
     this.inelasticCollisionTypeProperty = new EnumerationDeprecatedProperty( InelasticCollisionType,
       InelasticCollisionType.STICK );
 
+    // @public {Property.<boolean>} - indicates if the bonds of Balls that 'stick' together can break. If false, Balls
+    //                                that stick together stay together until the sim is restarted.
+    this.breakableBondsProperty = new BooleanProperty( false );
+
+    // @public {Property.<number>} - the strength of the bonds of Balls that 'stick' together, in kg*m/s. A
+    //                               RotatingBallCluster that receives an impulse larger than this breaks apart into
+    //                               free Balls. Ignored if breakableBondsProperty is false.
+    this.bondStrengthProperty = new NumberProperty( CollisionLabConstants.BOND_STRENGTH_RANGE.defaultValue, {
+      range: CollisionLabConstants.BOND_STRENGTH_RANGE
+    } );
 
     // Verify that Paths are never visible for the 'Explore 1D' screen.
     assert && this.elasticityPercentProperty.link( elasticityPercent => assert( elasticityPercent === 0 ) );
@@ -47,6 +60,8 @@ class InelasticPlayArea extends PlayArea {
   reset() {
     super.reset();
     this.inelasticCollisionTypeProperty.reset();
+    this.breakableBondsProperty.reset();
+    this.bondStrengthProperty.reset();
   }
 }
 
@@ -9,6 +9,9 @@
  * of each value of the enumeration. If the user manipulates any of the two Balls, the preset should be set to CUSTOM,
  * which indicates that the user can set up a 'custom' collision scenario.
  *
+ * The EXPLOSION preset is the time-reverse of a perfectly inelastic collision: two Balls start in contact and fly apart
+ * from rest, with the BallStates of the fragments of an exploding Ball. See BallUtils.getExplosionFragmentStates().
+ *
  * @author Brandon Li
  */
 
@@ -17,6 +20,7 @@ import EnumerationDeprecated from '../../../../phet-core/js/EnumerationDeprecate
 import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
 import Ball from '../../common/model/Ball.js';
 import BallState from '../../common/model/BallState.js';
+import BallUtils from '../../common/model/BallUtils.js';
 
 // @private
 class InelasticPresetValue {
@@ -86,7 +90,11 @@ const InelasticPreset = EnumerationDeprecated.byMap( {
   GLANCING: new InelasticPresetValue( [
     new BallState( new Vector2( -0.65, 0.00 ), new Vector2( 0, 0 ), 1.8 ),
     new BallState( new Vector2( 0.6, 0.12 ), new Vector2( -1, 0 ), 0.3 )
-  ] )
+  ] ),
+
+  EXPLOSION: new InelasticPresetValue(
+    BallUtils.getExplosionFragmentStates( new BallState( Vector2.ZERO, Vector2.ZERO, 1.5 ), [ 1 / 3, 2 / 3 ], 0.5, false )
+  )
 } );
 
 export default InelasticPreset;
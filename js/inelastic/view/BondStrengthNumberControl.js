@@ -0,0 +1,69 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * BondStrengthNumberControl is a NumberControl sub-type to display and allow the user to manipulate the strength of the
+ * bonds of Balls that 'stick' together, which is the impulse that breaks a RotatingBallCluster apart. It appears inside
+ * of the control-panel of the 'Inelastic' screen, and is only enabled when 'Breakable Bonds' is on.
+ *
+ * BondStrengthNumberControls are created at the start of the sim and are never disposed.
+ *
+ * @author agent
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import AssertUtils from '../../../../phetcommon/js/AssertUtils.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import CollisionLabStrings from '../../CollisionLabStrings.js';
+import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+
+// constants
+const BOND_STRENGTH_RANGE = CollisionLabConstants.BOND_STRENGTH_RANGE;
+const BOND_STRENGTH_INTERVAL = CollisionLabConstants.BOND_STRENGTH_INTERVAL;
+
+class BondStrengthNumberControl extends NumberControl {
+
+  /**
+   * @param {Property.<number>} bondStrengthProperty
+   * @param {Property.<boolean>} breakableBondsProperty
+   * @param {Object} [options]
+   */
+  constructor( bondStrengthProperty, breakableBondsProperty, options ) {
+    assert && AssertUtils.assertPropertyOf( bondStrengthProperty, 'number' );
+    assert && AssertUtils.assertPropertyOf( breakableBondsProperty, 'boolean' );
+
+    options = merge( {
+
+      // superclass options
+      layoutFunction: NumberControl.createLayoutFunction4(),
+      includeArrowButtons: false,
+      enabledProperty: breakableBondsProperty,
+      delta: BOND_STRENGTH_INTERVAL,
+      sliderOptions: {
+        constrainValue: value => Utils.roundToInterval( value, BOND_STRENGTH_INTERVAL ),
+        trackSize: new Dimension2( CollisionLabConstants.CONTROL_PANEL_CONTENT_WIDTH - 10, 3 ),
+        thumbSize: new Dimension2( 12, 20 )
+      },
+      numberDisplayOptions: {
+        decimalPlaces: 2,
+        valuePattern: StringUtils.fillIn( CollisionLabStrings.pattern.valueSpaceUnits, {
+          units: CollisionLabStrings.units.kilogramMetersPerSecond
+        } ),
+        textOptions: { font: CollisionLabConstants.DISPLAY_FONT, maxWidth: 90 },
+        backgroundStroke: Color.BLACK,
+        backgroundLineWidth: 0.5
+      },
+      titleNodeOptions: {
+        font: CollisionLabConstants.DISPLAY_FONT,
+        maxWidth: 110 // constrain width for i18n, determined empirically
+      }
+    }, options );
+
+    super( CollisionLabStrings.bondStrength, bondStrengthProperty, BOND_STRENGTH_RANGE, options );
+  }
+}
+
+export default BondStrengthNumberControl;
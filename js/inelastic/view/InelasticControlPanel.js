@@ -5,8 +5,9 @@
  * upper-right corner of the screen.
  *
  * It adds a 'Stick' vs 'Slip' ABSwitch to allow the user to toggle the InelasticCollisionType. The ABSwitch is inserted
- * right below the 'elasticity' NumberControl of the super-class. It also disables the 'elasticity' NumberControl. All
- * other configurations and options are the same.
+ * right below the 'elasticity' NumberControl of the super-class. It also disables the 'elasticity' NumberControl. It
+ * also adds a 'Breakable Bonds' Checkbox and a 'Bond Strength' NumberControl below the ABSwitch, for Balls that 'stick'
+ * together. All other configurations and options are the same.
  *
  * @author Brandon Li
  */
@@ -20,8 +21,10 @@ import HStrut from '../../../../scenery/js/nodes/HStrut.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import CollisionLabStrings from '../../CollisionLabStrings.js';
 import CollisionLabConstants from '../../common/CollisionLabConstants.js';
+import CollisionLabCheckbox from '../../common/view/CollisionLabCheckbox.js';
 import CollisionLabControlPanel from '../../common/view/CollisionLabControlPanel.js';
 import CollisionLabViewProperties from '../../common/view/CollisionLabViewProperties.js';
+import BondStrengthNumberControl from './BondStrengthNumberControl.js';
 import StickSlipABSwitch from './StickSlipABSwitch.js';
 
 class InelasticControlPanel extends CollisionLabControlPanel {
@@ -34,6 +37,8 @@ class InelasticControlPanel extends CollisionLabControlPanel {
    * @param {Property.<number>} elasticityPercentProperty
    * @param {Property.<boolean>} ballsConstantSizeProperty
    * @param {Property.<InelasticCollisionType>} inelasticCollisionTypeProperty
+   * @param {Property.<boolean>} breakableBondsProperty
+   * @param {Property.<number>} bondStrengthProperty
    * @param {Object} [options]
    */
   constructor( viewProperties,
@@ -43,12 +48,16 @@ class InelasticControlPanel extends CollisionLabControlPanel {
                elasticityPercentProperty,
                ballsConstantSizeProperty,
                inelasticCollisionTypeProperty,
+               breakableBondsProperty,
+               bondStrengthProperty,
                options ) {
     assert && assert( viewProperties instanceof CollisionLabViewProperties, `invalid viewProperties: ${viewProperties}` );
     assert && AssertUtils.assertPropertyOf( centerOfMassVisibleProperty, 'boolean' );
     assert && AssertUtils.assertPropertyOf( reflectingBorderProperty, 'boolean' );
     assert && AssertUtils.assertPropertyOf( elasticityPercentProperty, 'number' );
     assert && AssertUtils.assertPropertyOf( ballsConstantSizeProperty, 'boolean' );
+    assert && AssertUtils.assertPropertyOf( breakableBondsProperty, 'boolean' );
+    assert && AssertUtils.assertPropertyOf( bondStrengthProperty, 'number' );
 
     options = merge( {
 
@@ -85,11 +94,18 @@ class InelasticControlPanel extends CollisionLabControlPanel {
     // Create the 'Stick' vs 'Slip' ABSwitch.
     const stickSlipSwitch = new StickSlipABSwitch( inelasticCollisionTypeProperty );
 
+    // Create the 'Breakable Bonds' Checkbox and the 'Bond Strength' NumberControl, which is only enabled when the bonds
+    // are breakable.
+    const breakableBondsCheckbox = new CollisionLabCheckbox( breakableBondsProperty, CollisionLabStrings.breakableBonds );
+    const bondStrengthNumberControl = new BondStrengthNumberControl( bondStrengthProperty, breakableBondsProperty );
+
     const elasticityControls = new VBox( {
       spacing: 4, children: [
         elasticityReadout,
         new HStrut( CollisionLabConstants.CONTROL_PANEL_CONTENT_WIDTH, { pickable: false } ),
-        stickSlipSwitch
+        stickSlipSwitch,
+        breakableBondsCheckbox,
+        bondStrengthNumberControl
       ]
     } );
 
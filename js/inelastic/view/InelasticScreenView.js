@@ -33,7 +33,8 @@ class InelasticScreenView extends CollisionLabScreenView {
         includeNumberOfBallsSpinner: false
       },
 
-      includeStepBack: false
+      includeStepBack: false,
+      includeBallMaterials: false
     }, options );
 
     super( model, tandem, options );
@@ -71,6 +72,8 @@ class InelasticScreenView extends CollisionLabScreenView {
       model.playArea.elasticityPercentProperty,
       model.ballSystem.ballsConstantSizeProperty,
       model.playArea.inelasticCollisionTypeProperty,
+      model.playArea.breakableBondsProperty,
+      model.playArea.bondStrengthProperty,
       options
     );
   }